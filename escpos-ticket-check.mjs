@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+// escpos-ticket-check.mjs
+// Confere a comanda ESC/POS (src/js/utils/escpos-ticket.js) contra buffers de referência
+// Uso: node escpos-ticket-check.mjs [--update]
+//   sem opções: gera os bytes de cada pedido de fixtures/escpos-ticket/orders.json em 58mm
+//               e 80mm e compara com os .bin gravados; sai com código 1 se algum diferir
+//   --update:   regrava os .bin (só depois de conferir a mudança na prévia do painel)
+// Requer Node 20.19+ (importa os módulos ES do front sem package.json)
+
+import { readFileSync, writeFileSync, existsSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { PAPER_WIDTHS, renderOrderTicket, renderOrderTicketText } from "./src/js/utils/escpos-ticket.js";
+
+const ROOT = dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIR = join(ROOT, "fixtures", "escpos-ticket");
+const CONTEXT_BYTES = 16;
+
+function toHex(bytes) {
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join(" ");
+}
+
+// Primeira posição em que os buffers diferem (-1 se iguais)
+function firstDifference(expected, actual) {
+  const length = Math.max(expected.length, actual.length);
+  for (let i = 0; i < length; i++) {
+    if (expected[i] !== actual[i]) return i;
+  }
+  return -1;
+}
+
+// Linha da prévia em texto que contém o byte (conta os LF até a posição)
+function lineAt(bytes, offset) {
+  let line = 0;
+  for (let i = 0; i < offset && i < bytes.length; i++) {
+    if (bytes[i] === 0x0a) line++;
+  }
+  return line;
+}
+
+function reportDifference(name, expected, actual, order, paperWidth) {
+  const offset = firstDifference(expected, actual);
+  const start = Math.max(0, offset - CONTEXT_BYTES);
+  const end = offset + CONTEXT_BYTES;
+  const previewLine = renderOrderTicketText(order, { paperWidth }).split("\n")[lineAt(actual, offset)];
+
+  console.error(`✗ ${name}: difere no byte ${offset} (esperado ${expected.length} bytes, gerado ${actual.length})`);
+  console.error(`  esperado: ${toHex(expected.slice(start, end))}`);
+  console.error(`  gerado:   ${toHex(actual.slice(start, end))}`);
+  if (previewLine !== undefined) {
+    console.error(`  linha:    "${previewLine}"`);
+  }
+}
+
+function main() {
+  const update = process.argv.includes("--update");
+  const orders = JSON.parse(readFileSync(join(FIXTURES_DIR, "orders.json"), "utf8"));
+  let failures = 0;
+
+  Object.entries(orders).forEach(([caseName, order]) => {
+    Object.keys(PAPER_WIDTHS).forEach((paperWidth) => {
+      const name = `${caseName}-${paperWidth}`;
+      const file = join(FIXTURES_DIR, `${name}.bin`);
+      const actual = renderOrderTicket(order, { paperWidth });
+
+      if (update) {
+        writeFileSync(file, actual);
+        console.log(`↻ ${name}.bin (${actual.length} bytes)`);
+        return;
+      }
+
+      if (!existsSync(file)) {
+        console.error(`✗ ${name}: referência ausente (rode com --update)`);
+        failures++;
+        return;
+      }
+
+      const expected = new Uint8Array(readFileSync(file));
+      if (firstDifference(expected, actual) === -1) {
+        console.log(`✓ ${name}`);
+      } else {
+        reportDifference(name, expected, actual, order, paperWidth);
+        failures++;
+      }
+    });
+  });
+
+  if (failures > 0) {
+    console.error(`\n${failures} comanda(s) diferente(s) da referência`);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,298 @@
+/**
+ * Service Worker
+ * Fica na raiz do site para que o escopo cubra index.html e src/pages/.
+ *
+ * PWA / offline: pré-cacheia o shell da loja (HTML, CSS, scripts de entrada), guarda o
+ * cardápio (lista de produtos, categorias, detalhe) como reserva para quando a rede cai e
+ * serve as imagens de produto com stale-while-revalidate, para que home e produto abram
+ * mesmo offline. O JSON do cardápio vai sempre à rede quando há conexão: a validade dele é
+ * controlada pelo cacheManager (IndexedDB, ETag e invalidação por socket) na página.
+ *
+ * Notificações push: o backend envia { order_id, new_status, order_type, confirmation_code }
+ * quando o status do pedido muda; aqui o payload vira uma notificação apenas para as
+ * etapas que interessam ao cliente (pedido aceito, saiu para entrega, pronto para retirada).
+ */
+
+// Incrementar ao mudar a lista do shell: o activate remove os caches das versões antigas
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `rb-shell-${CACHE_VERSION}`;
+const MENU_CACHE = `rb-menu-${CACHE_VERSION}`;
+const IMAGE_CACHE = `rb-images-${CACHE_VERSION}`;
+const MAX_CACHED_IMAGES = 200;
+
+// Shell da loja (caminhos relativos ao escopo do worker)
+const SHELL_URLS = [
+    'index.html',
+    'manifest.webmanifest',
+    'src/pages/produto.html',
+    'src/components/layout/header.html',
+    'src/components/layout/footer.html',
+    'src/assets/svg/logo.svg',
+    'src/assets/styles/header.css',
+    'src/assets/styles/global.css',
+    'src/assets/styles/inicio.css',
+    'src/assets/styles/footer.css',
+    'src/assets/styles/cesta.css',
+    'src/assets/styles/modais.css',
+    'src/assets/styles/mensagens.css',
+    'src/assets/styles/produto.css',
+    'src/js/utils.js',
+    'src/js/utils/pwa.js',
+    'src/js/utils/image-loader.js',
+    'src/js/ui/imports.js',
+    'src/js/ui/header.js',
+    'src/js/ui/alerts.js',
+    'src/js/ui/modais.js',
+    'src/js/ui/log-cadas.js',
+    'src/js/ui/home.js',
+    'src/js/ui/produto.js',
+    'src/js/ui/cesta.js'
+];
+
+// Páginas que editam o cardápio precisam sempre da versão do servidor
+const NO_MENU_CACHE_PAGES = ['painel-adm.html', 'kds.html'];
+
+// Página aberta ao tocar na notificação (relativa ao escopo do worker)
+const ORDER_PAGE_PATH = 'src/pages/info-pedido.html';
+const NOTIFICATION_ICON = 'src/assets/svg/logo.svg';
+
+/**
+ * Monta título e texto da notificação a partir do status
+ * @param {Object} payload - Dados enviados pelo backend
+ * @returns {{title: string, body: string}|null} Null para status que não notificam
+ */
+function buildOrderNotification(payload) {
+    const status = payload?.new_status;
+    const isPickup = payload?.order_type === 'pickup';
+    const code = payload?.confirmation_code ? ` ${payload.confirmation_code}` : '';
+
+    if (status === 'preparing') {
+        return {
+            title: 'Pedido aceito!',
+            body: `Seu pedido${code} foi aceito e já está sendo preparado.`
+        };
+    }
+    if (status === 'on_the_way') {
+        return {
+            title: 'Saiu para entrega!',
+            body: `Seu pedido${code} está a caminho.`
+        };
+    }
+    // 'in_progress' é o fallback do backend quando 'ready' não está na constraint
+    if (isPickup && (status === 'ready' || status === 'in_progress')) {
+        return {
+            title: 'Pronto para retirada!',
+            body: `Seu pedido${code} está pronto. Pode vir buscar no balcão.`
+        };
+    }
+    return null;
+}
+
+function showOrderNotification(payload) {
+    const notification = buildOrderNotification(payload);
+    if (!notification) return Promise.resolve();
+
+    return self.registration.showNotification(notification.title, {
+        body: notification.body,
+        icon: NOTIFICATION_ICON,
+        badge: NOTIFICATION_ICON,
+        // Uma notificação por pedido: a etapa nova substitui a anterior
+        tag: `order-${payload.order_id}`,
+        renotify: true,
+        data: { orderId: payload.order_id }
+    });
+}
+
+function parsePushData(event) {
+    if (!event.data) return null;
+    try {
+        return event.data.json();
+    } catch (error) {
+        return null;
+    }
+}
+
+// ====== Cache ======
+
+function isMenuApiRequest(url) {
+    const path = url.pathname.replace(/\/+$/, '');
+    return path === '/api/products' || path === '/api/categories' || /^\/api\/products\/\d+$/.test(path);
+}
+
+function isProductImageRequest(url) {
+    return url.pathname.startsWith('/api/products/image/');
+}
+
+function isShellRequest(request, url) {
+    return request.mode === 'navigate' || url.origin === self.location.origin;
+}
+
+async function trimCache(cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    // Cache API preserva a ordem de inserção: remover as entradas mais antigas
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map((key) => cache.delete(key)));
+}
+
+/**
+ * Stale-while-revalidate: responde do cache (se houver) e atualiza em segundo plano
+ * @param {FetchEvent} event
+ * @param {string} cacheName
+ * @param {Object} [options]
+ * @param {boolean} [options.ignoreSearchOffline] - Sem rede, aceitar a mesma rota com outra query
+ * @param {number} [options.maxEntries] - Limite de entradas do cache
+ */
+async function staleWhileRevalidate(event, cacheName, { ignoreSearchOffline = false, maxEntries } = {}) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(event.request);
+
+    const network = fetch(event.request)
+        .then(async (response) => {
+            if (response.ok) {
+                await cache.put(event.request, response.clone());
+                if (maxEntries) await trimCache(cacheName, maxEntries);
+            }
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => null));
+        return cached;
+    }
+
+    try {
+        return await network;
+    } catch (error) {
+        if (ignoreSearchOffline) {
+            const similar = await cache.match(event.request, { ignoreSearch: true });
+            if (similar) return similar;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Cardápio: rede primeiro, cópia guardada só para uso offline
+ * Respostas 304 (revalidação do cacheManager com If-None-Match) passam direto para a página.
+ * @param {Request} request
+ */
+async function networkFirstMenu(request) {
+    const cache = await caches.open(MENU_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.status === 200) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request) || await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Shell: rede primeiro (deploys novos aparecem logo), cache quando offline
+async function networkFirstShell(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok && request.method === 'GET') {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        // Navegação para página não visitada: abrir a home (cardápio) em vez da tela de erro do navegador
+        if (request.mode === 'navigate') {
+            const home = await cache.match('index.html');
+            if (home) return home;
+        }
+        throw error;
+    }
+}
+
+async function isMenuEditorClient(clientId) {
+    if (!clientId) return false;
+    const client = await self.clients.get(clientId);
+    return Boolean(client && NO_MENU_CACHE_PAGES.some((page) => client.url.includes(page)));
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then((cache) => cache.addAll(SHELL_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, MENU_CACHE, IMAGE_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then((keys) => Promise.all(
+                keys.filter((key) => key.startsWith('rb-') && !current.includes(key)).map((key) => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (isProductImageRequest(url)) {
+        event.respondWith(staleWhileRevalidate(event, IMAGE_CACHE, { maxEntries: MAX_CACHED_IMAGES, ignoreSearchOffline: true }));
+        return;
+    }
+
+    if (isMenuApiRequest(url)) {
+        event.respondWith((async () => {
+            if (await isMenuEditorClient(event.clientId)) return fetch(request);
+            return networkFirstMenu(request);
+        })());
+        return;
+    }
+
+    // Demais chamadas à API (cesta, pedidos, login) nunca passam pelo cache
+    if (url.pathname.startsWith('/api/') || url.pathname.startsWith('/socket.io/')) return;
+
+    if (isShellRequest(request, url)) {
+        event.respondWith(networkFirstShell(request));
+    }
+});
+
+// ====== Notificações push ======
+
+self.addEventListener('push', (event) => {
+    const payload = parsePushData(event);
+    if (!payload) return;
+    event.waitUntil(showOrderNotification(payload));
+});
+
+// Push simulado (desenvolvimento/testes): a página repassa o payload via postMessage com o
+// mesmo formato do push real. Aceito só com o site em localhost; ver utils/push-notifications.js.
+const MOCK_PUSH_HOSTS = ['localhost', '127.0.0.1', '0.0.0.0'];
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type !== 'MOCK_PUSH' || !MOCK_PUSH_HOSTS.includes(self.location.hostname)) return;
+    event.waitUntil(showOrderNotification(event.data.payload));
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+
+    const orderId = event.notification.data?.orderId;
+    const target = new URL(orderId ? `${ORDER_PAGE_PATH}?id=${encodeURIComponent(orderId)}` : ORDER_PAGE_PATH, self.registration.scope).href;
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windowClients) => {
+            // Reaproveitar a aba do pedido se já estiver aberta
+            const existing = windowClients.find((client) => client.url === target);
+            if (existing) return existing.focus();
+            return self.clients.openWindow(target);
+        })
+    );
+});
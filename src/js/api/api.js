@@ -1,17 +1,32 @@
 // Utilitários de requisição para a API
 // Centraliza base URL, headers, token e tratamento de erros
 import { robustFetch, classifyNetworkError } from "../utils/network-error-handler.js";
+import { cacheManager, NOT_MODIFIED, withEtag } from "../utils/cache-manager.js";
+import {
+  tokenStorage,
+  getTokenExpiration,
+  TOKEN_KEYS,
+} from "../utils/token-storage.js";
+import { orderQueue } from "../utils/order-queue.js";
 
 const STORAGE_KEYS = {
-  token: "rb.token",
+  token: TOKEN_KEYS.access,
+  refreshToken: TOKEN_KEYS.refresh,
   user: "rb.user",
 };
 
-// TODO: REVISAR - Armazenamento de tokens no localStorage
-// Tokens JWT armazenados no localStorage são vulneráveis a XSS.
-// Considerar migrar para httpOnly cookies (requer mudanças no backend) ou
-// usar sessionStorage para reduzir o tempo de exposição.
-// Alternativa: implementar refresh tokens com armazenamento mais seguro.
+// Endpoint de renovação do access token (recebe { refresh_token })
+const AUTH_REFRESH_PATH = "/api/users/refresh";
+
+// Renova o access token quando faltar menos que isso para expirar
+const TOKEN_REFRESH_MARGIN_MS = 30 * 1000;
+
+// Evento disparado quando a sessão não pode mais ser renovada
+export const SESSION_EXPIRED_EVENT = "auth:session-expired";
+
+// Tokens ficam em tokenStorage (utils/token-storage.js), com estratégia configurável
+// (memória, sessionStorage ou localStorage). O access token é curto e renovado
+// automaticamente com o refresh token; ver refreshAccessToken.
 
 // Ajuste se necessário. Mantém flexível para backends montados em outras portas.
 // Considerar usar variável de ambiente ou configuração dinâmica baseada no ambiente
@@ -21,17 +36,35 @@ export const API_BASE_URL = (() => {
 })();
 
 export function getStoredToken() {
-  return localStorage.getItem(STORAGE_KEYS.token) || "";
+  return tokenStorage.getAccessToken();
 }
 
 export function setStoredToken(token) {
   if (token) {
-    localStorage.setItem(STORAGE_KEYS.token, token);
+    tokenStorage.setTokens({ accessToken: token });
   }
 }
 
 export function clearStoredToken() {
-  localStorage.removeItem(STORAGE_KEYS.token);
+  tokenStorage.clear();
+}
+
+export function getStoredRefreshToken() {
+  return tokenStorage.getRefreshToken();
+}
+
+export function setStoredRefreshToken(refreshToken) {
+  if (refreshToken) {
+    tokenStorage.setTokens({ refreshToken });
+  }
+}
+
+/**
+ * Define onde os tokens são guardados
+ * @param {string} strategy - 'memory' | 'session' | 'local'
+ */
+export function configureTokenStorage(strategy) {
+  tokenStorage.setStrategy(strategy);
 }
 
 export function getStoredUser() {
@@ -54,6 +87,143 @@ export function clearStoredUser() {
   localStorage.removeItem(STORAGE_KEYS.user);
 }
 
+// Renovação em andamento (single-flight): requisições concorrentes aguardam a mesma promise
+let refreshPromise = null;
+
+function notifySessionExpired() {
+  if (typeof window !== "undefined") {
+    window.dispatchEvent(new CustomEvent(SESSION_EXPIRED_EVENT));
+  }
+}
+
+function isAuthEndpoint(path) {
+  return (
+    path.includes("/login") ||
+    path.includes("/verify-2fa") ||
+    path.includes(AUTH_REFRESH_PATH)
+  );
+}
+
+/**
+ * Chama o endpoint de refresh e salva os novos tokens
+ * @param {string} refreshToken - Refresh token atual
+ * @returns {Promise<string>} Novo access token
+ */
+async function requestNewAccessToken(refreshToken) {
+  const response = await fetch(`${API_BASE_URL}${AUTH_REFRESH_PATH}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ refresh_token: refreshToken }),
+    credentials: "include",
+    mode: "cors",
+  });
+
+  let data = null;
+  try {
+    data = await response.json();
+  } catch (_e) {
+    data = null;
+  }
+
+  const accessToken = data && (data.access_token || data.token);
+  if (!response.ok || !accessToken) {
+    const error = new Error(
+      data?.error || data?.message || "Sessão expirada. Faça login novamente."
+    );
+    error.status = response.status;
+    throw error;
+  }
+
+  // O backend pode rotacionar o refresh token; se não vier, mantém o atual
+  tokenStorage.setTokens({
+    accessToken,
+    refreshToken: data.refresh_token,
+  });
+  return accessToken;
+}
+
+/**
+ * Indica se o endpoint de refresh recusou o refresh token (e não apenas ficou inacessível)
+ * @param {Error} error - Erro lançado por refreshAccessToken
+ * @returns {boolean}
+ */
+function isRefreshRejected(error) {
+  return error?.status === 401 || error?.status === 403;
+}
+
+/**
+ * Renova o access token usando o refresh token (single-flight)
+ * Chamadas simultâneas compartilham a mesma requisição. Entre abas, a Web Locks API
+ * evita que duas abas rotacionem o mesmo refresh token ao mesmo tempo.
+ * @returns {Promise<string>} Novo access token
+ */
+export function refreshAccessToken() {
+  if (refreshPromise) return refreshPromise;
+
+  const refreshToken = getStoredRefreshToken();
+  if (!refreshToken) {
+    const error = new Error("Sessão expirada. Faça login novamente.");
+    error.status = 401;
+    return Promise.reject(error);
+  }
+
+  const run = async () => {
+    // Outra aba pode ter renovado enquanto esperávamos o lock
+    const current = getStoredRefreshToken();
+    if (current && current !== refreshToken) {
+      return getStoredToken();
+    }
+    return requestNewAccessToken(refreshToken);
+  };
+
+  const locks = typeof navigator !== "undefined" ? navigator.locks : null;
+
+  refreshPromise = (locks ? locks.request("rb-token-refresh", run) : run())
+    .catch((error) => {
+      // Erros de rede não encerram a sessão: o refresh token ainda pode ser válido
+      if (isRefreshRejected(error)) {
+        logoutLocal();
+        notifySessionExpired();
+      }
+      throw error;
+    })
+    .finally(() => {
+      refreshPromise = null;
+    });
+
+  return refreshPromise;
+}
+
+/**
+ * Garante um access token utilizável antes de enviar a requisição:
+ * aguarda renovação em andamento ou renova proativamente se estiver para expirar
+ */
+async function ensureFreshToken() {
+  if (refreshPromise) {
+    try {
+      await refreshPromise;
+    } catch (_e) {
+      // A requisição segue e recebe 401 normalmente
+    }
+    return;
+  }
+
+  const token = getStoredToken();
+  const expiresAt = getTokenExpiration(token);
+  if (
+    token &&
+    expiresAt &&
+    expiresAt - Date.now() < TOKEN_REFRESH_MARGIN_MS &&
+    getStoredRefreshToken()
+  ) {
+    try {
+      await refreshAccessToken();
+    } catch (_e) {
+      // Idem: o tratamento de 401 abaixo cuida do fluxo
+    }
+  }
+}
+
 export async function apiRequest(
   path,
   {
@@ -64,6 +234,9 @@ export async function apiRequest(
     timeout = 30000, // 30 segundos padrão
     maxRetries = 3, // 3 tentativas padrão
     skipRetry = false, // Para desabilitar retry em casos específicos (ex: login)
+    skipRefresh = false, // Não tentar renovar o token em caso de 401 (uso interno)
+    ifNoneMatch = null, // ETag da versão em cache: o servidor pode responder 304
+    withMeta = false, // Retornar { data, etag, notModified } em vez de apenas os dados
   } = {}
 ) {
   const url = path.startsWith("http") ? path : `${API_BASE_URL}${path}`;
@@ -72,11 +245,19 @@ export async function apiRequest(
     ...headers,
   };
 
+  if (ifNoneMatch) {
+    baseHeaders["If-None-Match"] = ifNoneMatch;
+  }
+
   // Só define Content-Type se não for FormData
   if (!(body instanceof FormData)) {
     baseHeaders["Content-Type"] = "application/json";
   }
 
+  if (!skipAuth && !isAuthEndpoint(path)) {
+    await ensureFreshToken();
+  }
+
   if (!skipAuth) {
     const token = getStoredToken();
     if (token) {
@@ -140,6 +321,11 @@ export async function apiRequest(
           },
         });
 
+    // Versão em cache continua válida (só chega aqui quando ifNoneMatch foi enviado)
+    if (response.status === 304) {
+      return withMeta ? { data: null, etag: ifNoneMatch, notModified: true } : null;
+    }
+
     let data;
     const contentType = response.headers.get("content-type") || "";
     if (contentType.includes("application/json")) {
@@ -148,6 +334,41 @@ export async function apiRequest(
       data = await response.text();
     }
 
+    // Token expirado: renovar uma única vez e repetir a requisição original
+    let keepSession = false;
+    if (
+      response.status === 401 &&
+      !skipAuth &&
+      !skipRefresh &&
+      !isAuthEndpoint(path) &&
+      getStoredRefreshToken()
+    ) {
+      let refreshed = false;
+      try {
+        await refreshAccessToken();
+        refreshed = true;
+      } catch (refreshError) {
+        refreshed = false;
+        // Refresh inacessível (rede, 5xx): mantém os tokens para tentar de novo depois
+        keepSession = !isRefreshRejected(refreshError);
+      }
+
+      if (refreshed) {
+        return apiRequest(path, {
+          method,
+          body,
+          headers,
+          skipAuth,
+          timeout,
+          maxRetries,
+          skipRetry,
+          skipRefresh: true,
+          ifNoneMatch,
+          withMeta,
+        });
+      }
+    }
+
     if (!response.ok) {
       // Tratamento específico para diferentes tipos de erro
       let errorMessage;
@@ -218,9 +439,13 @@ export async function apiRequest(
         // Limpar token expirado automaticamente apenas se não for erro de login
         const isLoginEndpoint =
           path.includes("/login") || path.includes("/users/login");
-        if (!isLoginEndpoint) {
+        if (!isLoginEndpoint && !keepSession) {
+          const hadSession = !!getStoredToken();
           clearStoredToken();
           clearStoredUser();
+          if (hadSession) {
+            notifySessionExpired();
+          }
         }
       } else if (response.status === 403) {
         // Proibido - pode ser conta inativa, email não verificado, ou outros problemas
@@ -282,6 +507,10 @@ export async function apiRequest(
       throw error;
     }
 
+    if (withMeta) {
+      // Em requisições cross-origin o backend precisa expor o header (Access-Control-Expose-Headers: ETag)
+      return { data, etag: response.headers.get("etag"), notModified: false };
+    }
     return data;
   } catch (fetchError) {
     const classification = classifyNetworkError(fetchError);
@@ -327,7 +556,32 @@ export async function apiRequest(
   }
 }
 
+/**
+ * GET com cache em camadas (memória → IndexedDB) e revalidação por ETag
+ * Entradas vencidas são revalidadas com If-None-Match; um 304 renova o TTL sem baixar os
+ * dados de novo. Sem rede, retorna a última versão em cache.
+ * @param {string} path - Caminho da API
+ * @param {Object} [options]
+ * @param {string} [options.cacheKey] - Chave do cache (padrão: o próprio path)
+ * @param {number} [options.ttl] - Tempo de vida em milissegundos
+ * @param {string[]} [options.tags] - Tags de invalidação (ver SOCKET_INVALIDATION_RULES)
+ * @param {boolean} [options.skipAuth=false]
+ * @returns {Promise<*>} Dados da resposta
+ */
+export function cachedApiRequest(path, { cacheKey = path, ttl = null, tags = [], skipAuth = false } = {}) {
+  return cacheManager.getOrFetch(
+    cacheKey,
+    async ({ etag }) => {
+      const result = await apiRequest(path, { method: "GET", skipAuth, ifNoneMatch: etag, withMeta: true });
+      return result.notModified ? NOT_MODIFIED : withEtag(result.data, result.etag);
+    },
+    { ttl, tags }
+  );
+}
+
 export function logoutLocal() {
   clearStoredToken();
   clearStoredUser();
+  // Pedidos offline pendentes pertencem à sessão que está saindo
+  orderQueue.clear();
 }
@@ -1,4 +1,4 @@
-import { apiRequest, setStoredToken, setStoredUser, logoutLocal } from './api.js';
+import { apiRequest, setStoredToken, setStoredRefreshToken, getStoredRefreshToken, setStoredUser, logoutLocal } from './api.js';
 
 // Endpoints de autenticação
 // Ajuste os caminhos conforme seu backend Flask
@@ -15,11 +15,14 @@ export async function loginWithEmailAndPassword({ email, password }) {
         skipAuth: true
     });
 
-    // Convencionalmente, espera { access_token, user }
+    // Convencionalmente, espera { access_token, refresh_token, user }
     if (data && (data.access_token || data.token)) {
         const token = data.access_token || data.token;
         setStoredToken(token);
     }
+    if (data && data.refresh_token) {
+        setStoredRefreshToken(data.refresh_token);
+    }
     if (data && data.user) {
         setStoredUser(data.user);
     } else {
@@ -38,7 +41,13 @@ export async function fetchMe() {
 
 export async function logout() {
     try {
-        await apiRequest(AUTH_ROUTES.logout, { method: 'POST' });
+        // Envia o refresh token para que o backend possa revogá-lo
+        const refreshToken = getStoredRefreshToken();
+        await apiRequest(AUTH_ROUTES.logout, {
+            method: 'POST',
+            body: refreshToken ? { refresh_token: refreshToken } : undefined,
+            skipRefresh: true
+        });
     } catch (_e) {
         // Se a API não tiver logout de servidor, ainda removemos localmente
     }
@@ -58,6 +67,9 @@ export async function verify2FACode(userId, code) {
         const token = data.access_token || data.token;
         setStoredToken(token);
     }
+    if (data && data.refresh_token) {
+        setStoredRefreshToken(data.refresh_token);
+    }
     if (data && data.user) {
         setStoredUser(data.user);
     }
@@ -22,6 +22,7 @@
  */
 
 import { apiRequest, getStoredToken, getStoredUser, API_BASE_URL } from './api.js';
+import { normalizeComboSelections } from './products.js';
 
 // Chave para armazenar dados do carrinho no localStorage
 const CART_STORAGE_KEY = 'royal_burger_cart';
@@ -151,6 +152,16 @@ function isValidNotes(notes) {
     return typeof notes === 'string' && notes.length <= VALIDATION_LIMITS.MAX_NOTES_LENGTH;
 }
 
+/**
+ * Escolhas de combo no formato do backend (validadas por normalizeComboSelections de products.js)
+ * @param {Array|null|undefined} comboSelections - Escolhas; ausente = produto que não é combo
+ * @returns {Array} Escolhas normalizadas
+ * @throws {Error} Escolhas inválidas
+ */
+function toComboSelectionsPayload(comboSelections) {
+    return comboSelections == null ? [] : normalizeComboSelections(comboSelections);
+}
+
 /**
  * Obtém cart_id do localStorage
  * @returns {string|null} ID do carrinho ou null
@@ -232,6 +243,218 @@ function clearCartFromStorage() {
     localStorage.removeItem(CART_STORAGE_KEY);
 }
 
+// ====== Cesta offline ======
+// Sem conexão, os itens adicionados ficam numa fila local e a cesta é exibida a partir do
+// último carrinho conhecido + fila. syncOfflineCart() envia a fila quando a conexão volta.
+// As chaves levam o id do usuário (ou "guest"): outra conta no mesmo navegador não herda a fila.
+
+const OFFLINE_QUEUE_STORAGE_KEY = 'royal_burger_cart_offline';
+const CART_SNAPSHOT_STORAGE_KEY = 'royal_burger_cart_snapshot';
+const OFFLINE_FAILURES_STORAGE_KEY = 'royal_burger_cart_offline_failed';
+const OFFLINE_ITEM_PREFIX = 'offline-';
+
+/**
+ * Evento disparado quando itens da fila offline são recusados na sincronização
+ * detail: { failed: Array<{name: string, error: string}> }
+ */
+export const OFFLINE_SYNC_FAILED_EVENT = 'cart:offline-sync-failed';
+
+function offlineStorageKey(baseKey) {
+    const userId = getStoredUser()?.id;
+    return `${baseKey}_${userId ?? 'guest'}`;
+}
+
+function isBrowserOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+function isOfflineItemId(itemId) {
+    return typeof itemId === 'string' && itemId.startsWith(OFFLINE_ITEM_PREFIX);
+}
+
+function readOfflineQueue() {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(offlineStorageKey(OFFLINE_QUEUE_STORAGE_KEY)) || '[]');
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function writeOfflineQueue(queue) {
+    try {
+        if (queue.length > 0) {
+            localStorage.setItem(offlineStorageKey(OFFLINE_QUEUE_STORAGE_KEY), JSON.stringify(queue));
+        } else {
+            localStorage.removeItem(offlineStorageKey(OFFLINE_QUEUE_STORAGE_KEY));
+        }
+    } catch (error) {
+        // Quota excedida: o item simplesmente não fica na fila
+    }
+}
+
+/**
+ * Guarda os itens recusados até a cesta exibi-los (a sincronização pode rodar a partir
+ * de getCart em páginas sem a cesta) e avisa quem estiver ouvindo
+ */
+function recordOfflineFailures(failed) {
+    try {
+        const key = offlineStorageKey(OFFLINE_FAILURES_STORAGE_KEY);
+        const previous = JSON.parse(localStorage.getItem(key) || '[]');
+        localStorage.setItem(key, JSON.stringify([...(Array.isArray(previous) ? previous : []), ...failed]));
+    } catch (error) {
+        // Sem armazenamento: o evento abaixo ainda avisa a página atual
+    }
+    window.dispatchEvent(new CustomEvent(OFFLINE_SYNC_FAILED_EVENT, { detail: { failed } }));
+}
+
+/**
+ * Retorna e limpa os itens da fila offline recusados ainda não exibidos
+ * @returns {Array<{name: string, error: string}>}
+ */
+export function takeOfflineSyncFailures() {
+    const key = offlineStorageKey(OFFLINE_FAILURES_STORAGE_KEY);
+    try {
+        const parsed = JSON.parse(localStorage.getItem(key) || '[]');
+        localStorage.removeItem(key);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function saveCartSnapshot(data) {
+    try {
+        localStorage.setItem(offlineStorageKey(CART_SNAPSHOT_STORAGE_KEY), JSON.stringify(data));
+    } catch (error) {
+        // Snapshot é só para exibição offline
+    }
+}
+
+/**
+ * Anexa os itens da fila offline ao carrinho retornado pela API (ou pelo snapshot)
+ * @param {Object} data - Resposta de /api/cart/me ou /api/cart/guest/:id
+ * @returns {Object} Mesma estrutura com os itens pendentes no fim
+ */
+function withOfflineItems(data) {
+    const queue = readOfflineQueue();
+    if (queue.length === 0) return data;
+
+    const base = data || { cart: { items: [] }, summary: {} };
+    const items = [...(base.cart?.items || base.items || []), ...queue];
+    return {
+        ...base,
+        cart: { ...(base.cart || {}), items },
+        summary: { ...(base.summary || {}), is_empty: false, has_offline_items: true }
+    };
+}
+
+function getOfflineCartResult() {
+    let snapshot = null;
+    try {
+        snapshot = JSON.parse(localStorage.getItem(offlineStorageKey(CART_SNAPSHOT_STORAGE_KEY)) || 'null');
+    } catch (error) {
+        snapshot = null;
+    }
+    return {
+        success: true,
+        data: withOfflineItems(snapshot || { cart: { items: [] }, summary: { is_empty: true } }),
+        isAuthenticated: isAuthenticated(),
+        offline: true
+    };
+}
+
+/**
+ * Guarda na fila um item adicionado sem conexão
+ * O produto vem do cardápio em cache do service worker; o preço dos extras só o backend
+ * conhece, então o subtotal exibido é provisório até a sincronização.
+ */
+async function queueOfflineItem(args) {
+    let product = null;
+    try {
+        product = await apiRequest(`/api/products/${args.productId}`, { method: 'GET', skipAuth: true, skipRetry: true });
+    } catch (error) {
+        product = null;
+    }
+
+    const price = parseFloat(product?.price) || 0;
+    const item = {
+        id: `${OFFLINE_ITEM_PREFIX}${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        offline: true,
+        quantity: Number(args.quantity),
+        notes: args.notes || '',
+        extras: [],
+        base_modifications: [],
+        item_subtotal: price * Number(args.quantity),
+        product: {
+            id: Number(args.productId),
+            name: product?.name || 'Produto',
+            description: product?.description || '',
+            price,
+            image_url: product?.image_url || null,
+            image_hash: product?.image_hash || null
+        },
+        args
+    };
+
+    writeOfflineQueue([...readOfflineQueue(), item]);
+    return item;
+}
+
+// Sincronização em andamento (cesta e getCart podem disparar ao mesmo tempo)
+let offlineSyncPromise = null;
+
+/**
+ * Envia ao backend os itens adicionados sem conexão
+ * Itens recusados (ex.: estoque insuficiente) saem da fila, são devolvidos em failed e ficam
+ * guardados até takeOfflineSyncFailures() (ver OFFLINE_SYNC_FAILED_EVENT).
+ * @returns {Promise<{success: boolean, synced: number, failed: Array<{name: string, error: string}>}>}
+ */
+export function syncOfflineCart() {
+    if (!offlineSyncPromise) {
+        offlineSyncPromise = sendOfflineQueue().finally(() => {
+            offlineSyncPromise = null;
+        });
+    }
+    return offlineSyncPromise;
+}
+
+async function sendOfflineQueue() {
+    const queue = readOfflineQueue();
+    if (queue.length === 0 || isBrowserOffline()) {
+        return { success: true, synced: 0, failed: [] };
+    }
+
+    const pending = [];
+    const failed = [];
+    let synced = 0;
+
+    for (const item of queue) {
+        // Conexão caiu no meio da sincronização: manter o restante para a próxima vez
+        if (isBrowserOffline()) {
+            pending.push(item);
+            continue;
+        }
+
+        const { productId, extras, notes, base_modifications, combo_selections } = item.args || {};
+        const result = await addToCart(productId, item.quantity, extras, notes, base_modifications, combo_selections);
+
+        if (result.success && !result.offline) {
+            synced++;
+        } else if (isBrowserOffline()) {
+            pending.push(item);
+        } else {
+            failed.push({ name: item.product?.name || 'Produto', error: result.error });
+        }
+    }
+
+    writeOfflineQueue(pending);
+    if (failed.length > 0) {
+        recordOfflineFailures(failed);
+    }
+    return { success: failed.length === 0, synced, failed };
+}
+
 /**
  * REVISÃO: Valida guest_cart_id com sanitização e limpeza de cache
  * Verifica se o carrinho de convidado ainda existe no backend
@@ -315,9 +538,11 @@ async function validateGuestCartId(cartId) {
  * @param {number} quantity - Quantidade
  * @param {Array} extras - Extras do produto
  * @param {string} notes - Observações
+ * @param {Array} base_modifications - Modificações da receita base
+ * @param {Array} combo_selections - Escolhas do combo [{slot_id, product_id}] (apenas produtos combo)
  * @returns {Promise<Object>} Resultado da operação
  */
-export async function addToCart(productId, quantity = 1, extras = [], notes = '', base_modifications = []) {
+export async function addToCart(productId, quantity = 1, extras = [], notes = '', base_modifications = [], combo_selections = []) {
     // Definir variáveis antes do try para que estejam disponíveis no catch
     const isAuth = isAuthenticated();
     let cartId = getCartIdFromStorage();
@@ -436,11 +661,29 @@ export async function addToCart(productId, quantity = 1, extras = [], notes = ''
             payload.base_modifications = normalizedBaseMods;
         }
 
+        // Combos: o backend valida as escolhas contra as etapas e soma os acréscimos ao preço
+        const normalizedComboSelections = toComboSelectionsPayload(combo_selections);
+        if (normalizedComboSelections.length > 0) {
+            payload.combo_selections = normalizedComboSelections;
+        }
+
         // Se não logado, inclui cart_id no payload (se existir)
         if (!isAuth && cartId) {
             payload.guest_cart_id = cartId;
         }
 
+        // Sem conexão: guardar na fila local (enviado por syncOfflineCart quando a conexão voltar)
+        if (isBrowserOffline()) {
+            const item = await queueOfflineItem({ productId, quantity, extras, notes, base_modifications, combo_selections });
+            return {
+                success: true,
+                offline: true,
+                data: { item },
+                cartId,
+                isAuthenticated: isAuth
+            };
+        }
+
         const data = await apiRequest('/api/cart/items', {
             method: 'POST',
             body: payload,
@@ -521,6 +764,11 @@ export async function addToCart(productId, quantity = 1, extras = [], notes = ''
                     retryPayload.base_modifications = retryNormalizedBaseMods;
                 }
                 
+                const retryComboSelections = toComboSelectionsPayload(combo_selections);
+                if (retryComboSelections.length > 0) {
+                    retryPayload.combo_selections = retryComboSelections;
+                }
+                
                 const retryData = await apiRequest('/api/cart/items', {
                     method: 'POST',
                     body: retryPayload,
@@ -579,15 +827,26 @@ export async function addToCart(productId, quantity = 1, extras = [], notes = ''
  * @returns {Promise<Object>} Dados do carrinho
  */
 export async function getCart() {
+    // Sem conexão: último carrinho conhecido + itens da fila offline
+    if (isBrowserOffline()) {
+        return getOfflineCartResult();
+    }
+
     try {
+        // Conexão voltou com itens pendentes: enviá-los antes de ler o carrinho do servidor
+        if (readOfflineQueue().length > 0) {
+            await syncOfflineCart();
+        }
+
         const isAuth = isAuthenticated();
         
         if (isAuth) {
             // Busca carrinho do usuário logado
             const data = await apiRequest('/api/cart/me', { method: 'GET' });
+            saveCartSnapshot(data);
             return {
                 success: true,
-                data: data,
+                data: withOfflineItems(data),
                 isAuthenticated: true
             };
         } else {
@@ -610,9 +869,10 @@ export async function getCart() {
                         method: 'GET',
                         skipAuth: true
                     });
+                    saveCartSnapshot(data);
                     return {
                         success: true,
-                        data: data,
+                        data: withOfflineItems(data),
                         isAuthenticated: false
                     };
                 } catch (error) {
@@ -631,12 +891,18 @@ export async function getCart() {
             }
         }
         
+        const emptyCart = { cart: { items: [] }, summary: { is_empty: true } };
+        saveCartSnapshot(emptyCart);
         return {
             success: true,
-            data: { cart: { items: [] }, summary: { is_empty: true } },
+            data: withOfflineItems(emptyCart),
             isAuthenticated: isAuth
         };
     } catch (error) {
+        // Conexão caiu durante a requisição
+        if (error.status === 0 || isBrowserOffline()) {
+            return getOfflineCartResult();
+        }
         return {
             success: false,
             error: error.message
@@ -665,9 +931,29 @@ export async function getCart() {
  * @param {Array} [updates.extras] - Novos extras (valida estoque)
  * @param {string} [updates.notes] - Novas observações
  * @param {Array} [updates.base_modifications] - Novas modificações da receita base
+ * @param {Array} [updates.combo_selections] - Novas escolhas do combo [{slot_id, product_id}]
  * @returns {Promise<Object>} Resultado da operação
  */
 export async function updateCartItem(itemId, updates) {
+    // Item ainda na fila offline: atualizar localmente
+    if (isOfflineItemId(itemId)) {
+        if (updates.quantity !== undefined && !isValidQuantity(updates.quantity)) {
+            return { success: false, error: `Quantidade deve ser entre 1 e ${VALIDATION_LIMITS.MAX_QUANTITY}` };
+        }
+        const queue = readOfflineQueue().map((item) => {
+            if (item.id !== itemId) return item;
+            const quantity = updates.quantity !== undefined ? Number(updates.quantity) : item.quantity;
+            return {
+                ...item,
+                quantity,
+                notes: updates.notes !== undefined ? updates.notes : item.notes,
+                item_subtotal: (parseFloat(item.product?.price) || 0) * quantity
+            };
+        });
+        writeOfflineQueue(queue);
+        return { success: true, offline: true };
+    }
+
     try {
         // ALTERAÇÃO: Validar se o usuário pode atualizar itens no carrinho
         const permissionCheck = canUserAddToCart();
@@ -739,6 +1025,11 @@ export async function updateCartItem(itemId, updates) {
             payload.base_modifications = normalizedBaseMods;
         }
         
+        // Normalizar combo_selections se fornecidos
+        if (updates.combo_selections !== undefined) {
+            payload.combo_selections = toComboSelectionsPayload(updates.combo_selections);
+        }
+        
         if (!isAuth && cartId) {
             payload.guest_cart_id = cartId;
         }
@@ -804,6 +1095,11 @@ export async function updateCartItem(itemId, updates) {
  * @returns {Promise<Object>} Resultado da operação
  */
 export async function removeCartItem(itemId) {
+    if (isOfflineItemId(itemId)) {
+        writeOfflineQueue(readOfflineQueue().filter((item) => item.id !== itemId));
+        return { success: true, offline: true };
+    }
+
     try {
         // Validar ID do item
         if (!isValidProductId(itemId)) {
@@ -940,6 +1236,7 @@ export async function syncCart() {
  */
 export async function clearCart() {
     try {
+        writeOfflineQueue([]);
         const isAuth = isAuthenticated();
         const cartId = getCartIdFromStorage();
 
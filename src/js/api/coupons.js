@@ -0,0 +1,291 @@
+/**
+ * API de Cupons
+ * Gerencia cupons de desconto digitados pelo cliente no checkout
+ */
+
+import { apiRequest } from './api.js';
+
+/**
+ * Tipos de cupom aceitos pelo backend
+ */
+export const COUPON_TYPES = {
+    PERCENTAGE: 'percentage',
+    FIXED: 'fixed',
+    FREE_DELIVERY: 'free_delivery'
+};
+
+const MAX_CODE_LENGTH = 30;
+
+/**
+ * Normaliza o código digitado (sem espaços, maiúsculas)
+ * @param {string} code - Código do cupom
+ * @returns {string} Código normalizado
+ */
+export function normalizeCouponCode(code) {
+    return String(code || '').replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Valida os campos de um cupom antes de enviar ao backend
+ * @param {Object} couponData - Dados do cupom
+ * @param {boolean} [partial=false] - Se true, valida apenas os campos presentes (atualização)
+ */
+function assertCouponData(couponData, partial = false) {
+    if (!partial || couponData.code !== undefined) {
+        const code = normalizeCouponCode(couponData.code);
+        if (!code) {
+            throw new Error('Código do cupom é obrigatório');
+        }
+        if (code.length > MAX_CODE_LENGTH || !/^[A-Z0-9_-]+$/.test(code)) {
+            throw new Error(`Código deve ter até ${MAX_CODE_LENGTH} caracteres (letras, números, - ou _)`);
+        }
+    }
+
+    if (!partial || couponData.discount_type !== undefined) {
+        if (!Object.values(COUPON_TYPES).includes(couponData.discount_type)) {
+            throw new Error('Tipo de desconto inválido');
+        }
+    }
+
+    if (couponData.discount_type === COUPON_TYPES.PERCENTAGE) {
+        const value = Number(couponData.discount_value);
+        if (!(value > 0 && value <= 100)) {
+            throw new Error('Percentual deve estar entre 0 e 100');
+        }
+    } else if (couponData.discount_type === COUPON_TYPES.FIXED) {
+        if (!(Number(couponData.discount_value) > 0)) {
+            throw new Error('Valor do desconto deve ser maior que zero');
+        }
+    }
+
+    if (couponData.starts_at && couponData.expires_at &&
+        new Date(couponData.starts_at) >= new Date(couponData.expires_at)) {
+        throw new Error('A data de início deve ser anterior à data de expiração');
+    }
+}
+
+/**
+ * Lista cupons (painel administrativo)
+ * @param {Object} options - Opções de filtro e paginação
+ * @param {string} [options.search] - Busca por código
+ * @param {string} [options.status] - Filtro por status (ativos, expirados, inativos)
+ * @param {number} [options.page] - Página atual
+ * @param {number} [options.page_size] - Itens por página
+ * @returns {Promise<Object>} Lista paginada no formato { success, data }
+ */
+export const getCoupons = async (options = {}) => {
+    const params = new URLSearchParams();
+
+    if (options.page) params.append('page', options.page);
+    if (options.page_size) params.append('page_size', options.page_size);
+    if (options.search) params.append('search', options.search);
+    if (options.status) params.append('status', options.status);
+
+    const queryString = params.toString();
+    const url = `/api/coupons${queryString ? `?${queryString}` : ''}`;
+
+    try {
+        const response = await apiRequest(url, {
+            method: 'GET'
+        });
+        return {
+            success: true,
+            data: response
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message || 'Erro ao buscar cupons'
+        };
+    }
+};
+
+/**
+ * Busca um cupom por ID
+ * @param {number} couponId - ID do cupom
+ * @returns {Promise<Object>} Dados do cupom
+ */
+export const getCouponById = async (couponId) => {
+    if (!couponId || isNaN(couponId) || couponId <= 0) {
+        throw new Error('ID do cupom é obrigatório e deve ser um número positivo');
+    }
+
+    return await apiRequest(`/api/coupons/${couponId}`, {
+        method: 'GET'
+    });
+};
+
+/**
+ * Cria um novo cupom
+ * @param {Object} couponData - Dados do cupom
+ * @param {string} couponData.code - Código digitado pelo cliente
+ * @param {string} couponData.discount_type - Um de COUPON_TYPES
+ * @param {number} [couponData.discount_value] - Percentual ou valor em R$ (não usado em free_delivery)
+ * @param {number} [couponData.max_discount] - Teto do desconto percentual em R$
+ * @param {number} [couponData.min_order_value] - Subtotal mínimo do pedido
+ * @param {number} [couponData.usage_limit] - Limite global de usos
+ * @param {number} [couponData.usage_limit_per_user] - Limite de usos por cliente
+ * @param {string} [couponData.starts_at] - Início da validade (ISO 8601)
+ * @param {string} [couponData.expires_at] - Fim da validade (ISO 8601)
+ * @param {boolean} [couponData.stackable_with_points] - Se pode ser combinado com Pontos Royal
+ * @param {boolean} [couponData.is_active] - Se está ativo
+ * @returns {Promise<Object>} Dados do cupom criado
+ */
+export const createCoupon = async (couponData) => {
+    assertCouponData(couponData);
+
+    return await apiRequest('/api/coupons', {
+        method: 'POST',
+        body: JSON.stringify({ ...couponData, code: normalizeCouponCode(couponData.code) })
+    });
+};
+
+/**
+ * Atualiza um cupom existente
+ * @param {number} couponId - ID do cupom
+ * @param {Object} couponData - Campos a atualizar (mesmos de createCoupon)
+ * @returns {Promise<Object>} Dados do cupom atualizado
+ */
+export const updateCoupon = async (couponId, couponData) => {
+    if (!couponId || isNaN(couponId) || couponId <= 0) {
+        throw new Error('ID do cupom é obrigatório e deve ser um número positivo');
+    }
+
+    assertCouponData(couponData, true);
+
+    const body = { ...couponData };
+    if (body.code !== undefined) body.code = normalizeCouponCode(body.code);
+
+    return await apiRequest(`/api/coupons/${couponId}`, {
+        method: 'PUT',
+        body: JSON.stringify(body)
+    });
+};
+
+/**
+ * Remove um cupom
+ * @param {number} couponId - ID do cupom
+ * @returns {Promise<void>}
+ */
+export const deleteCoupon = async (couponId) => {
+    if (!couponId || isNaN(couponId) || couponId <= 0) {
+        throw new Error('ID do cupom é obrigatório e deve ser um número positivo');
+    }
+
+    return await apiRequest(`/api/coupons/${couponId}`, {
+        method: 'DELETE'
+    });
+};
+
+/**
+ * Valida um código no checkout
+ * O backend confere validade, limites de uso (global e do cliente logado) e pedido mínimo.
+ * @param {string} code - Código digitado
+ * @param {Object} context - Dados do pedido atual
+ * @param {number} context.subtotal - Subtotal dos produtos
+ * @param {string} context.order_type - 'delivery' ou 'pickup'
+ * @param {number} [context.points_to_redeem] - Pontos que o cliente pretende usar
+ * @returns {Promise<Object>} { success, data: cupom } ou { success: false, error, code }
+ */
+export const validateCoupon = async (code, context = {}) => {
+    const normalized = normalizeCouponCode(code);
+    if (!normalized) {
+        return { success: false, error: 'Informe o código do cupom' };
+    }
+
+    try {
+        const data = await apiRequest('/api/coupons/validate', {
+            method: 'POST',
+            body: {
+                code: normalized,
+                subtotal: context.subtotal,
+                order_type: context.order_type,
+                points_to_redeem: context.points_to_redeem || 0
+            }
+        });
+        return {
+            success: true,
+            data: data?.coupon || data
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message || 'Cupom inválido',
+            code: error.payload?.error_code || error.payload?.code || null
+        };
+    }
+};
+
+/**
+ * Verifica localmente se o cupom pode ser aplicado ao pedido atual
+ * Usado para reagir a mudanças na cesta sem nova chamada à API (a regra final é do backend).
+ * @param {Object} coupon - Cupom validado
+ * @param {Object} context
+ * @param {number} context.subtotal - Subtotal dos produtos
+ * @param {boolean} context.isPickup - Se o pedido é retirada no balcão
+ * @param {boolean} context.usingPoints - Se o cliente está resgatando pontos
+ * @param {Date} [context.now] - Data de referência
+ * @returns {{valid: boolean, error?: string}} Resultado
+ */
+export function checkCouponEligibility(coupon, { subtotal, isPickup, usingPoints, now = new Date() }) {
+    if (!coupon) {
+        return { valid: false, error: 'Cupom não informado' };
+    }
+
+    if (coupon.is_active === false) {
+        return { valid: false, error: 'Este cupom não está mais ativo' };
+    }
+
+    if (coupon.starts_at && new Date(coupon.starts_at) > now) {
+        return { valid: false, error: 'Este cupom ainda não está válido' };
+    }
+
+    if (coupon.expires_at && new Date(coupon.expires_at) <= now) {
+        return { valid: false, error: 'Este cupom expirou' };
+    }
+
+    const minOrder = parseFloat(coupon.min_order_value) || 0;
+    if (minOrder > 0 && subtotal < minOrder) {
+        const formatted = minOrder.toFixed(2).replace('.', ',');
+        return { valid: false, error: `Pedido mínimo de R$ ${formatted} para este cupom` };
+    }
+
+    if (coupon.discount_type === COUPON_TYPES.FREE_DELIVERY && isPickup) {
+        return { valid: false, error: 'Cupom de frete grátis válido apenas para entrega' };
+    }
+
+    if (usingPoints && coupon.stackable_with_points === false) {
+        return { valid: false, error: 'Este cupom não pode ser combinado com Pontos Royal' };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Calcula o desconto do cupom
+ * Percentual e valor fixo incidem sobre o subtotal dos produtos; frete grátis zera a taxa de entrega.
+ * @param {Object} coupon - Cupom validado
+ * @param {number} subtotal - Subtotal dos produtos (já com promoções)
+ * @param {number} deliveryFee - Taxa de entrega do pedido (0 para retirada)
+ * @returns {number} Valor do desconto em R$ (nunca maior que o valor sobre o qual incide)
+ */
+export function calculateCouponDiscount(coupon, subtotal, deliveryFee = 0) {
+    if (!coupon) return 0;
+
+    const base = Math.max(0, Number(subtotal) || 0);
+    const value = parseFloat(coupon.discount_value) || 0;
+    let discount = 0;
+
+    if (coupon.discount_type === COUPON_TYPES.PERCENTAGE) {
+        discount = base * (value / 100);
+        const maxDiscount = parseFloat(coupon.max_discount) || 0;
+        if (maxDiscount > 0) discount = Math.min(discount, maxDiscount);
+    } else if (coupon.discount_type === COUPON_TYPES.FIXED) {
+        discount = Math.min(value, base);
+    } else if (coupon.discount_type === COUPON_TYPES.FREE_DELIVERY) {
+        discount = Math.max(0, Number(deliveryFee) || 0);
+    }
+
+    // Arredondar para centavos
+    return Math.round(discount * 100) / 100;
+}
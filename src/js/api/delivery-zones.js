@@ -0,0 +1,231 @@
+/**
+ * API de Zonas de Entrega
+ * Gerencia as áreas atendidas pela loja (faixa de CEP, bairros ou raio) com taxa, pedido mínimo e prazo próprios
+ */
+
+import { apiRequest } from './api.js';
+
+/**
+ * Tipos de zona aceitos pelo backend
+ */
+export const ZONE_TYPES = {
+    CEP_RANGE: 'cep_range',
+    NEIGHBORHOOD: 'neighborhood',
+    RADIUS: 'radius'
+};
+
+const MAX_RADIUS_KM = 50;
+
+/**
+ * Mantém apenas os dígitos de um CEP
+ * @param {string|number} cep - CEP com ou sem máscara
+ * @returns {string} CEP com 8 dígitos ou string vazia se inválido
+ */
+export function normalizeCep(cep) {
+    const digits = String(cep || '').replace(/\D/g, '');
+    return digits.length === 8 ? digits : '';
+}
+
+/**
+ * Valida os campos de uma zona antes de enviar ao backend
+ * @param {Object} zoneData - Dados da zona
+ * @param {boolean} [partial=false] - Se true, valida apenas os campos presentes (atualização)
+ */
+function assertZoneData(zoneData, partial = false) {
+    if (!partial || zoneData.name !== undefined) {
+        if (!String(zoneData.name || '').trim()) {
+            throw new Error('Nome da zona é obrigatório');
+        }
+    }
+
+    if (!partial || zoneData.type !== undefined) {
+        if (!Object.values(ZONE_TYPES).includes(zoneData.type)) {
+            throw new Error('Tipo de zona inválido');
+        }
+    }
+
+    if (zoneData.type === ZONE_TYPES.CEP_RANGE) {
+        const start = normalizeCep(zoneData.cep_start);
+        const end = normalizeCep(zoneData.cep_end);
+        if (!start || !end) {
+            throw new Error('Informe CEP inicial e final com 8 dígitos');
+        }
+        if (Number(start) > Number(end)) {
+            throw new Error('O CEP inicial deve ser menor ou igual ao CEP final');
+        }
+    } else if (zoneData.type === ZONE_TYPES.NEIGHBORHOOD) {
+        const neighborhoods = (zoneData.neighborhoods || []).filter((n) => String(n || '').trim());
+        if (neighborhoods.length === 0) {
+            throw new Error('Informe ao menos um bairro');
+        }
+    } else if (zoneData.type === ZONE_TYPES.RADIUS) {
+        const radius = Number(zoneData.radius_km);
+        if (!(radius > 0 && radius <= MAX_RADIUS_KM)) {
+            throw new Error(`Raio deve estar entre 0 e ${MAX_RADIUS_KM} km`);
+        }
+    }
+
+    if (zoneData.fee !== undefined && !(Number(zoneData.fee) >= 0)) {
+        throw new Error('Taxa de entrega não pode ser negativa');
+    }
+
+    if (zoneData.min_order_value !== undefined && zoneData.min_order_value !== null &&
+        !(Number(zoneData.min_order_value) >= 0)) {
+        throw new Error('Pedido mínimo não pode ser negativo');
+    }
+
+    if (zoneData.eta_minutes !== undefined && zoneData.eta_minutes !== null &&
+        !(Number.isInteger(Number(zoneData.eta_minutes)) && Number(zoneData.eta_minutes) > 0)) {
+        throw new Error('Prazo de entrega deve ser um número inteiro de minutos');
+    }
+}
+
+/**
+ * Valida uma zona sem lançar erro (usado para conferir várias zonas antes de salvar em lote)
+ * @param {Object} zoneData - Dados da zona
+ * @returns {string|null} Mensagem de erro ou null se válida
+ */
+export function validateDeliveryZone(zoneData) {
+    try {
+        assertZoneData(zoneData);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Normaliza os campos de uma zona para o formato do backend
+ * Campos que não pertencem ao tipo da zona são descartados.
+ * @param {Object} zoneData - Dados da zona
+ * @returns {Object} Corpo da requisição
+ */
+function buildZonePayload(zoneData) {
+    const body = { ...zoneData };
+
+    if (body.name !== undefined) body.name = String(body.name).trim();
+
+    if (body.type === ZONE_TYPES.CEP_RANGE) {
+        body.cep_start = normalizeCep(body.cep_start);
+        body.cep_end = normalizeCep(body.cep_end);
+        delete body.neighborhoods;
+        delete body.radius_km;
+    } else if (body.type === ZONE_TYPES.NEIGHBORHOOD) {
+        body.neighborhoods = [...new Set(
+            (body.neighborhoods || []).map((n) => String(n || '').trim()).filter(Boolean)
+        )];
+        delete body.cep_start;
+        delete body.cep_end;
+        delete body.radius_km;
+    } else if (body.type === ZONE_TYPES.RADIUS) {
+        body.radius_km = Number(body.radius_km);
+        delete body.cep_start;
+        delete body.cep_end;
+        delete body.neighborhoods;
+    }
+
+    if (body.fee !== undefined) body.fee = Number(body.fee);
+    if (body.min_order_value !== undefined && body.min_order_value !== null) {
+        body.min_order_value = Number(body.min_order_value);
+    }
+    if (body.eta_minutes !== undefined && body.eta_minutes !== null) {
+        body.eta_minutes = Number(body.eta_minutes);
+    }
+
+    return body;
+}
+
+/**
+ * Valida se um ID de zona é válido
+ * @param {any} zoneId - ID a ser validado
+ */
+function assertZoneId(zoneId) {
+    if (!zoneId || isNaN(zoneId) || zoneId <= 0) {
+        throw new Error('ID da zona é obrigatório e deve ser um número positivo');
+    }
+}
+
+/**
+ * Lista as zonas de entrega
+ * Sem autenticação o backend retorna apenas as zonas ativas.
+ * @param {Object} [options]
+ * @param {boolean} [options.includeInactive] - Incluir zonas inativas (painel administrativo)
+ * @returns {Promise<Object>} { success, data: zonas } ou { success: false, error }
+ */
+export async function getDeliveryZones(options = {}) {
+    const url = options.includeInactive
+        ? '/api/delivery-zones?include_inactive=true'
+        : '/api/delivery-zones';
+
+    try {
+        const data = await apiRequest(url, {
+            method: 'GET',
+            skipAuth: !options.includeInactive
+        });
+
+        return {
+            success: true,
+            data: data.zones || data.items || (Array.isArray(data) ? data : [])
+        };
+    } catch (error) {
+        console.error('Erro ao buscar zonas de entrega:', error.message);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Cria uma zona de entrega
+ * @param {Object} zoneData - Dados da zona
+ * @param {string} zoneData.name - Nome exibido ao cliente
+ * @param {string} zoneData.type - Um de ZONE_TYPES
+ * @param {string} [zoneData.cep_start] - CEP inicial (cep_range)
+ * @param {string} [zoneData.cep_end] - CEP final (cep_range)
+ * @param {string[]} [zoneData.neighborhoods] - Bairros atendidos (neighborhood)
+ * @param {number} [zoneData.radius_km] - Raio a partir da loja em km (radius)
+ * @param {number} zoneData.fee - Taxa de entrega da zona
+ * @param {number} [zoneData.min_order_value] - Subtotal mínimo para entregar na zona
+ * @param {number} [zoneData.eta_minutes] - Tempo de deslocamento até a zona, em minutos
+ * @param {number} [zoneData.priority] - Ordem de avaliação quando zonas se sobrepõem (menor vence)
+ * @param {boolean} [zoneData.is_active] - Se está ativa
+ * @returns {Promise<Object>} Dados da zona criada
+ */
+export const createDeliveryZone = async (zoneData) => {
+    assertZoneData(zoneData);
+
+    return await apiRequest('/api/delivery-zones', {
+        method: 'POST',
+        body: JSON.stringify(buildZonePayload(zoneData))
+    });
+};
+
+/**
+ * Atualiza uma zona de entrega
+ * @param {number} zoneId - ID da zona
+ * @param {Object} zoneData - Campos a atualizar (mesmos de createDeliveryZone)
+ * @returns {Promise<Object>} Dados da zona atualizada
+ */
+export const updateDeliveryZone = async (zoneId, zoneData) => {
+    assertZoneId(zoneId);
+    assertZoneData(zoneData, true);
+
+    return await apiRequest(`/api/delivery-zones/${zoneId}`, {
+        method: 'PUT',
+        body: JSON.stringify(buildZonePayload(zoneData))
+    });
+};
+
+/**
+ * Remove uma zona de entrega
+ * @param {number} zoneId - ID da zona
+ * @returns {Promise<void>}
+ */
+export const deleteDeliveryZone = async (zoneId) => {
+    assertZoneId(zoneId);
+
+    return await apiRequest(`/api/delivery-zones/${zoneId}`, {
+        method: 'DELETE'
+    });
+};
@@ -0,0 +1,98 @@
+/**
+ * API de Favoritos
+ * Montagens salvas pelo cliente (produto + extras + modificações da receita + observação)
+ * para adicionar de novo à cesta com um toque a partir da home
+ */
+
+import { apiRequest } from './api.js';
+import { cacheManager } from '../utils/cache-manager.js';
+
+const FAVORITES_CACHE_KEY = 'favorites_mine';
+const FAVORITES_CACHE_TTL = 5 * 60 * 1000; // 5 minutos
+const MAX_FAVORITE_NAME_LENGTH = 60;
+const MAX_NOTES_LENGTH = 500;
+
+function isValidId(id) {
+    return id !== null && id !== undefined && Number.isInteger(Number(id)) && Number(id) > 0;
+}
+
+/**
+ * Lista os favoritos do cliente logado
+ * @returns {Promise<Object>} { success, data } com data = lista de favoritos
+ */
+export const getFavorites = async () => {
+    try {
+        const items = await cacheManager.getOrFetch(FAVORITES_CACHE_KEY, async () => {
+            const response = await apiRequest('/api/favorites', {
+                method: 'GET'
+            });
+            return Array.isArray(response) ? response : (response?.items || []);
+        }, { ttl: FAVORITES_CACHE_TTL, persist: false });
+
+        return { success: true, data: items };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message || 'Erro ao buscar favoritos'
+        };
+    }
+};
+
+/**
+ * Salva uma montagem como favorita
+ * @param {Object} favoriteData
+ * @param {number} favoriteData.product_id - ID do produto
+ * @param {string} [favoriteData.name] - Apelido (padrão: nome do produto no backend)
+ * @param {number} [favoriteData.quantity=1] - Quantidade
+ * @param {Array<{ingredient_id: number, quantity: number}>} [favoriteData.extras] - Extras
+ * @param {Array<{ingredient_id: number, delta: number}>} [favoriteData.base_modifications] - Modificações da receita
+ * @param {string} [favoriteData.notes] - Observação do item
+ * @param {Array<{slot_id: number, product_id: number}>} [favoriteData.combo_selections] - Escolhas do combo
+ * @returns {Promise<Object>} Favorito criado
+ */
+export const createFavorite = async (favoriteData) => {
+    if (!favoriteData || !isValidId(favoriteData.product_id)) {
+        throw new Error('ID do produto é obrigatório e deve ser um número positivo');
+    }
+
+    const name = String(favoriteData.name || '').trim();
+    if (name.length > MAX_FAVORITE_NAME_LENGTH) {
+        throw new Error(`O nome do favorito deve ter até ${MAX_FAVORITE_NAME_LENGTH} caracteres`);
+    }
+
+    const payload = {
+        product_id: Number(favoriteData.product_id),
+        quantity: Math.max(1, parseInt(favoriteData.quantity, 10) || 1),
+        extras: favoriteData.extras || [],
+        base_modifications: favoriteData.base_modifications || [],
+        notes: String(favoriteData.notes || '').slice(0, MAX_NOTES_LENGTH)
+    };
+    if (name) payload.name = name;
+    if (favoriteData.combo_selections && favoriteData.combo_selections.length > 0) {
+        payload.combo_selections = favoriteData.combo_selections;
+    }
+
+    const response = await apiRequest('/api/favorites', {
+        method: 'POST',
+        body: payload
+    });
+    cacheManager.invalidate(FAVORITES_CACHE_KEY);
+    return response;
+};
+
+/**
+ * Remove um favorito
+ * @param {number} favoriteId - ID do favorito
+ * @returns {Promise<Object>} Resposta da API
+ */
+export const deleteFavorite = async (favoriteId) => {
+    if (!isValidId(favoriteId)) {
+        throw new Error('ID do favorito é obrigatório e deve ser um número positivo');
+    }
+
+    const response = await apiRequest(`/api/favorites/${favoriteId}`, {
+        method: 'DELETE'
+    });
+    cacheManager.invalidate(FAVORITES_CACHE_KEY);
+    return response;
+};
@@ -9,11 +9,17 @@
  * - Campos obrigatórios: base_portion_quantity e base_portion_unit
  */
 
-import { apiRequest } from './api.js';
+import { apiRequest, cachedApiRequest } from './api.js';
+import { cacheManager } from '../utils/cache-manager.js';
 
 // Constantes para evitar hardcoding
 const MAX_PAGE_SIZE = 1000; // TODO: Implementar paginação adequada no backend
 
+// Catálogo completo compartilhado (checkout, detalhes do pedido) no cacheManager
+// Toda mutação desta API invalida a tag 'ingredients' (o socket só cobre as outras abas)
+const CATALOG_CACHE_KEY = 'ingredients_all';
+const CATALOG_CACHE_TTL = 5 * 60 * 1000; // 5 minutos; eventos de estoque invalidam antes
+
 /**
  * Lista todos os ingredientes com filtros opcionais
  * ALTERAÇÃO: Atualizado para seguir padrão de filtros padronizados
@@ -61,6 +67,27 @@ export const getIngredients = async (options = {}) => {
     }
 };
 
+/**
+ * Lista completa de ingredientes (preços de extras) via cache em camadas
+ * Memória → IndexedDB → rede com revalidação por ETag; invalidada pela tag 'ingredients'
+ * quando o socket recebe alterações de estoque.
+ * @param {Object} [options]
+ * @param {boolean} [options.forceReload=false] - Descartar o cache e buscar no servidor
+ * @returns {Promise<Array>} Ingredientes
+ * @throws {Error} Falha na requisição sem versão em cache
+ */
+export const getIngredientsCatalog = async ({ forceReload = false } = {}) => {
+    if (forceReload) {
+        cacheManager.invalidate(CATALOG_CACHE_KEY);
+    }
+    const response = await cachedApiRequest(`/api/ingredients?page_size=${MAX_PAGE_SIZE}`, {
+        cacheKey: CATALOG_CACHE_KEY,
+        ttl: CATALOG_CACHE_TTL,
+        tags: ['ingredients']
+    });
+    return Array.isArray(response?.items) ? response.items : [];
+};
+
 /**
  * Busca um ingrediente por ID-
  * @param {number} ingredientId - ID do ingrediente
@@ -123,8 +150,11 @@ export const getIngredientById = async (ingredientId) => {
  * @param {number} ingredientData.max_stock - Estoque máximo
  * @param {string} ingredientData.supplier - Fornecedor do ingrediente
  * @param {string} ingredientData.category - Categoria do ingrediente
+ * @param {string|null} [ingredientData.storage_area] - Área de armazenamento (chave de STORAGE_AREAS em api/inventory-counts.js)
  * @param {number} ingredientData.base_portion_quantity - Quantidade da porção base padronizada
  * @param {string} ingredientData.base_portion_unit - Unidade da porção base (g, kg, L, ml, un)
+ * @param {number|null} [ingredientData.density] - Densidade em g/ml (conversão peso ↔ volume)
+ * @param {Array} [ingredientData.packaging_units] - Embalagens [{ name, quantity, unit }] (ex: caixa = 12 un)
  * @returns {Promise<Object>} Ingrediente criado
  */
 export const createIngredient = async (ingredientData) => {
@@ -158,10 +188,12 @@ export const createIngredient = async (ingredientData) => {
         category: ingredientData.category ? ingredientData.category.trim().substring(0, 50) : 'outros'
     };
 
-    return await apiRequest('/api/ingredients', {
+    const response = await apiRequest('/api/ingredients', {
         method: 'POST',
         body: JSON.stringify(sanitizedData)
     });
+    cacheManager.invalidateTag('ingredients');
+    return response;
 };
 
 /**
@@ -177,16 +209,21 @@ export const createIngredient = async (ingredientData) => {
  * @param {number} [updateData.max_stock] - Estoque máximo
  * @param {string} [updateData.supplier] - Fornecedor do ingrediente
  * @param {string} [updateData.category] - Categoria do ingrediente
+ * @param {string|null} [updateData.storage_area] - Área de armazenamento usada na contagem de estoque
  * @param {boolean} [updateData.is_available] - Status de disponibilidade
  * @param {number} [updateData.base_portion_quantity] - Quantidade da porção base padronizada
  * @param {string} [updateData.base_portion_unit] - Unidade da porção base (g, kg, L, ml, un)
+ * @param {number|null} [updateData.density] - Densidade em g/ml (conversão peso ↔ volume)
+ * @param {Array} [updateData.packaging_units] - Embalagens [{ name, quantity, unit }] (ex: fardo = 6 L)
  * @returns {Promise<Object>} Resultado da atualização
  */
 export const updateIngredient = async (ingredientId, updateData) => {
-    return await apiRequest(`/api/ingredients/${ingredientId}`, {
+    const response = await apiRequest(`/api/ingredients/${ingredientId}`, {
         method: 'PUT',
         body: JSON.stringify(updateData)
     });
+    cacheManager.invalidateTag('ingredients');
+    return response;
 };
 
 /**
@@ -195,9 +232,11 @@ export const updateIngredient = async (ingredientId, updateData) => {
  * @returns {Promise<Object>} Resultado da exclusão
  */
 export const deleteIngredient = async (ingredientId) => {
-    return await apiRequest(`/api/ingredients/${ingredientId}`, {
+    const response = await apiRequest(`/api/ingredients/${ingredientId}`, {
         method: 'DELETE'
     });
+    cacheManager.invalidateTag('ingredients');
+    return response;
 };
 
 /**
@@ -207,10 +246,12 @@ export const deleteIngredient = async (ingredientId) => {
  * @returns {Promise<Object>} Resultado da atualização
  */
 export const updateIngredientAvailability = async (ingredientId, isAvailable) => {
-    return await apiRequest(`/api/ingredients/${ingredientId}/availability`, {
+    const response = await apiRequest(`/api/ingredients/${ingredientId}/availability`, {
         method: 'PATCH',
         body: JSON.stringify({ is_available: isAvailable })
     });
+    cacheManager.invalidateTag('ingredients');
+    return response;
 };
 
 /**
@@ -228,10 +269,12 @@ export const adjustIngredientStock = async (ingredientId, changeAmount) => {
     
     const payload = { change: numericChange };
     
-    return await apiRequest(`/api/ingredients/${ingredientId}/stock`, {
+    const response = await apiRequest(`/api/ingredients/${ingredientId}/stock`, {
         method: 'POST',
         body: JSON.stringify(payload)
     });
+    cacheManager.invalidateTag('ingredients');
+    return response;
 };
 
 /**
@@ -241,10 +284,12 @@ export const adjustIngredientStock = async (ingredientId, changeAmount) => {
  * @returns {Promise<Object>} Resultado da adição
  */
 export const addIngredientQuantity = async (ingredientId, quantity) => {
-    return await apiRequest(`/api/ingredients/${ingredientId}/add-quantity`, {
+    const response = await apiRequest(`/api/ingredients/${ingredientId}/add-quantity`, {
         method: 'POST',
         body: JSON.stringify({ quantity: quantity })
     });
+    cacheManager.invalidateTag('ingredients');
+    return response;
 };
 
 /**
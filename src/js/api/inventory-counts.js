@@ -0,0 +1,300 @@
+/**
+ * API de Inventário (contagem física de estoque)
+ * Sessões de contagem: o backend congela o estoque do sistema ao abrir a sessão, a equipe
+ * registra as quantidades contadas por área de armazenamento e, ao finalizar, todas as
+ * diferenças são lançadas de uma vez como ajustes de estoque. Sessões finalizadas ficam
+ * como relatório histórico.
+ */
+
+import { apiRequest } from './api.js';
+import { cacheManager } from '../utils/cache-manager.js';
+import { normalizeUnit } from '../utils/unit-conversion.js';
+
+/**
+ * Áreas de armazenamento aceitas em ingredients.storage_area
+ */
+export const STORAGE_AREAS = {
+    seco: 'Estoque seco',
+    refrigerado: 'Geladeira / câmara fria',
+    congelado: 'Freezer',
+    bar: 'Bar e bebidas',
+    embalagens: 'Embalagens e descartáveis',
+    cozinha: 'Cozinha / linha de produção'
+};
+
+/**
+ * Rótulo dos insumos sem área definida
+ */
+export const NO_STORAGE_AREA_LABEL = 'Sem área definida';
+
+/**
+ * Motivos aceitos para diferenças de contagem
+ */
+export const VARIANCE_REASONS = {
+    perda: 'Perda / vencimento',
+    avaria: 'Quebra / avaria',
+    consumo_nao_registrado: 'Consumo não registrado',
+    erro_lancamento: 'Erro em compra ou lançamento',
+    erro_contagem_anterior: 'Erro na contagem anterior',
+    furto: 'Furto / extravio',
+    outro: 'Outro'
+};
+
+/**
+ * Diferença a partir da qual o motivo é obrigatório (basta atingir um dos limites)
+ */
+export const VARIANCE_REASON_THRESHOLD = {
+    percent: 10, // % sobre a quantidade do sistema
+    value: 50 // R$
+};
+
+/**
+ * Status das sessões de contagem
+ */
+export const INVENTORY_COUNT_STATUS = {
+    open: 'Em contagem',
+    finalized: 'Finalizada',
+    cancelled: 'Cancelada'
+};
+
+const MAX_NOTE_LENGTH = 255;
+
+function isValidId(id) {
+    return id !== null && id !== undefined && Number.isInteger(Number(id)) && Number(id) > 0;
+}
+
+/**
+ * Rótulo de exibição da área de armazenamento
+ * @param {string|null} area - Chave de STORAGE_AREAS
+ * @returns {string}
+ */
+export function getStorageAreaLabel(area) {
+    return STORAGE_AREAS[area] || NO_STORAGE_AREA_LABEL;
+}
+
+/**
+ * Diferença entre o contado e o estoque congelado do sistema
+ * @param {Object} item - Item da sessão (expected_quantity, counted_quantity, unit_cost)
+ * @returns {{quantity: number, value: number, percent: number|null}|null} null se ainda não contado
+ */
+export function calculateCountVariance(item) {
+    if (!item || item.counted_quantity === null || item.counted_quantity === undefined) {
+        return null;
+    }
+
+    const expected = parseFloat(item.expected_quantity) || 0;
+    const counted = parseFloat(item.counted_quantity) || 0;
+    const quantity = counted - expected;
+
+    return {
+        quantity,
+        value: quantity * (parseFloat(item.unit_cost) || 0),
+        // Sem estoque no sistema, qualquer quantidade encontrada é 100% de diferença
+        percent: expected !== 0 ? (quantity / expected) * 100 : (quantity !== 0 ? 100 : 0)
+    };
+}
+
+/**
+ * Indica se a diferença do item exige motivo (ver VARIANCE_REASON_THRESHOLD)
+ * @param {Object} item - Item da sessão
+ * @returns {boolean}
+ */
+export function requiresVarianceReason(item) {
+    const variance = calculateCountVariance(item);
+    if (!variance || variance.quantity === 0) return false;
+
+    return Math.abs(variance.percent) >= VARIANCE_REASON_THRESHOLD.percent ||
+        Math.abs(variance.value) >= VARIANCE_REASON_THRESHOLD.value;
+}
+
+/**
+ * Totais da sessão para o relatório
+ * @param {Array} items - Itens da sessão
+ * @returns {Object} { total, counted, withVariance, shortageValue, surplusValue, netValue }
+ */
+export function summarizeInventoryCount(items) {
+    return (items || []).reduce((summary, item) => {
+        summary.total += 1;
+        const variance = calculateCountVariance(item);
+        if (!variance) return summary;
+
+        summary.counted += 1;
+        if (variance.quantity !== 0) summary.withVariance += 1;
+        if (variance.value < 0) summary.shortageValue += variance.value;
+        if (variance.value > 0) summary.surplusValue += variance.value;
+        summary.netValue += variance.value;
+        return summary;
+    }, { total: 0, counted: 0, withVariance: 0, shortageValue: 0, surplusValue: 0, netValue: 0 });
+}
+
+/**
+ * Valida e monta as contagens enviadas ao backend
+ */
+function toCountPayload(items) {
+    if (!Array.isArray(items)) {
+        throw new Error('Itens da contagem são obrigatórios');
+    }
+
+    return items.map(item => {
+        if (!isValidId(item.ingredient_id)) {
+            throw new Error('Insumo inválido na contagem');
+        }
+
+        const counted = item.counted_quantity === null || item.counted_quantity === undefined || item.counted_quantity === ''
+            ? null
+            : Number(item.counted_quantity);
+        if (counted !== null && !(counted >= 0)) {
+            throw new Error('Quantidade contada inválida');
+        }
+
+        if (item.variance_reason && !(item.variance_reason in VARIANCE_REASONS)) {
+            throw new Error('Motivo da diferença inválido');
+        }
+
+        const note = String(item.variance_note || '').trim();
+        if (note.length > MAX_NOTE_LENGTH) {
+            throw new Error(`A observação deve ter até ${MAX_NOTE_LENGTH} caracteres`);
+        }
+
+        return {
+            ingredient_id: Number(item.ingredient_id),
+            counted_quantity: counted,
+            count_unit: item.count_unit ? normalizeUnit(item.count_unit) : null,
+            count_input_quantity: item.count_input_quantity ?? null,
+            variance_reason: item.variance_reason || null,
+            variance_note: note || null
+        };
+    });
+}
+
+/**
+ * Lista sessões de contagem (mais recentes primeiro)
+ * @param {Object} options - Opções de filtro e paginação
+ * @param {string} [options.status] - 'open', 'finalized' ou 'cancelled'
+ * @param {number} [options.page] - Página atual
+ * @param {number} [options.page_size] - Itens por página
+ * @returns {Promise<Object>} Lista paginada no formato { success, data }
+ */
+export const getInventoryCounts = async (options = {}) => {
+    const params = new URLSearchParams();
+
+    if (options.page) params.append('page', options.page);
+    if (options.page_size) params.append('page_size', options.page_size);
+    if (options.status) params.append('status', options.status);
+
+    const queryString = params.toString();
+    const url = `/api/inventory-counts${queryString ? `?${queryString}` : ''}`;
+
+    try {
+        const response = await apiRequest(url, {
+            method: 'GET'
+        });
+        return {
+            success: true,
+            data: response
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message || 'Erro ao buscar contagens de estoque'
+        };
+    }
+};
+
+/**
+ * Busca uma sessão de contagem com seus itens
+ * Cada item traz o estoque congelado na abertura (expected_quantity), o custo unitário
+ * (unit_cost), a unidade e o perfil de conversão do insumo (stock_unit, density, packaging_units),
+ * a área (storage_area) e a contagem registrada (counted_quantity, count_unit,
+ * count_input_quantity, variance_reason, variance_note, counted_by_name, counted_at)
+ * @param {number} countId - ID da sessão
+ * @returns {Promise<Object>} Sessão { id, status, storage_areas, notes, created_at, created_by_name, finalized_at, items }
+ */
+export const getInventoryCountById = async (countId) => {
+    if (!isValidId(countId)) {
+        throw new Error('ID da contagem é obrigatório e deve ser um número positivo');
+    }
+
+    return await apiRequest(`/api/inventory-counts/${countId}`, {
+        method: 'GET'
+    });
+};
+
+/**
+ * Abre uma sessão de contagem congelando o estoque atual dos insumos
+ * @param {Object} countData
+ * @param {Array<string>} [countData.storage_areas] - Áreas a contar (vazio = todas)
+ * @param {string} [countData.notes] - Observações
+ * @returns {Promise<Object>} Sessão criada (mesmo formato de getInventoryCountById)
+ */
+export const createInventoryCount = async (countData = {}) => {
+    const areas = countData.storage_areas || [];
+    if (!Array.isArray(areas) || areas.some(area => area !== null && !(area in STORAGE_AREAS))) {
+        throw new Error('Áreas de armazenamento inválidas');
+    }
+
+    const notes = String(countData.notes || '').trim();
+    if (notes.length > MAX_NOTE_LENGTH) {
+        throw new Error(`As observações devem ter até ${MAX_NOTE_LENGTH} caracteres`);
+    }
+
+    return await apiRequest('/api/inventory-counts', {
+        method: 'POST',
+        body: { storage_areas: areas, notes: notes || null }
+    });
+};
+
+/**
+ * Registra contagens de uma sessão aberta (parcial: só os itens enviados são alterados)
+ * Permite que várias pessoas contem áreas diferentes ao mesmo tempo
+ * @param {number} countId - ID da sessão
+ * @param {Array} items - [{ ingredient_id, counted_quantity, count_unit, count_input_quantity, variance_reason, variance_note }]
+ *   counted_quantity na unidade de estoque; null limpa a contagem do item
+ * @returns {Promise<Object>} Itens atualizados
+ */
+export const saveInventoryCountItems = async (countId, items) => {
+    if (!isValidId(countId)) {
+        throw new Error('ID da contagem é obrigatório e deve ser um número positivo');
+    }
+
+    return await apiRequest(`/api/inventory-counts/${countId}/items`, {
+        method: 'PATCH',
+        body: { items: toCountPayload(items) }
+    });
+};
+
+/**
+ * Finaliza a sessão e lança todas as diferenças como ajustes de estoque em um único lote
+ * O backend recusa (422) itens com diferença acima do limite sem motivo
+ * @param {number} countId - ID da sessão
+ * @param {Object} [options]
+ * @param {boolean} [options.zero_uncounted=false] - Zerar insumos não contados (senão ficam como estão)
+ * @returns {Promise<Object>} Sessão finalizada
+ */
+export const finalizeInventoryCount = async (countId, options = {}) => {
+    if (!isValidId(countId)) {
+        throw new Error('ID da contagem é obrigatório e deve ser um número positivo');
+    }
+
+    const response = await apiRequest(`/api/inventory-counts/${countId}/finalize`, {
+        method: 'POST',
+        body: { zero_uncounted: !!options.zero_uncounted }
+    });
+    cacheManager.invalidateTag('ingredients');
+    return response;
+};
+
+/**
+ * Cancela uma sessão aberta sem alterar o estoque
+ * @param {number} countId - ID da sessão
+ * @returns {Promise<Object>} Sessão cancelada
+ */
+export const cancelInventoryCount = async (countId) => {
+    if (!isValidId(countId)) {
+        throw new Error('ID da contagem é obrigatório e deve ser um número positivo');
+    }
+
+    return await apiRequest(`/api/inventory-counts/${countId}/cancel`, {
+        method: 'POST'
+    });
+};
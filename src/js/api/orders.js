@@ -4,6 +4,8 @@
  */
 
 import { apiRequest } from './api.js';
+import { describeClientDevice, ORDER_EVENT_SOURCES } from '../utils/order-timeline-utils.js';
+import { SPLIT_PAYMENT_METHOD, SPLIT_TENDER_METHODS } from '../utils/split-payment-utils.js';
 
 /**
  * Valida se um ID de pedido é válido
@@ -21,27 +23,78 @@ function isValidOrderId(orderId) {
  * @returns {boolean} True se válido
  */
 function isValidStatus(status) {
-    const validStatuses = ['pending', 'preparing', 'ready', 'in_progress', 'on_the_way', 'delivered', 'paid', 'completed', 'cancelled'];
+    const validStatuses = ['scheduled', 'pending', 'preparing', 'ready', 'in_progress', 'on_the_way', 'delivered', 'paid', 'completed', 'cancelled'];
     return typeof status === 'string' && validStatuses.includes(status);
 }
 
+/**
+ * Motivos de cancelamento/estorno aceitos pelo backend
+ * 'other' exige descrição livre.
+ */
+export const CANCELLATION_REASONS = [
+    { code: 'customer_request', label: 'Solicitação do cliente' },
+    { code: 'out_of_stock', label: 'Produto em falta' },
+    { code: 'store_unavailable', label: 'Loja sem capacidade de atender' },
+    { code: 'delivery_unavailable', label: 'Entrega indisponível para o endereço' },
+    { code: 'payment_issue', label: 'Problema no pagamento' },
+    { code: 'duplicate_order', label: 'Pedido duplicado' },
+    { code: 'quality_issue', label: 'Problema com o produto' },
+    { code: 'other', label: 'Outro motivo', requiresNote: true }
+];
+
+/**
+ * Rótulo do motivo de cancelamento
+ * @param {string} code - Código do motivo
+ * @returns {string} Rótulo ou o próprio código se desconhecido
+ */
+export function getCancellationReasonLabel(code) {
+    const reason = CANCELLATION_REASONS.find((r) => r.code === code);
+    return reason ? reason.label : code;
+}
+
+/**
+ * Valida motivo informado para cancelamento/estorno
+ * @param {string} reasonCode - Código do motivo
+ * @param {string} [reasonNote] - Descrição livre
+ */
+function assertCancellationReason(reasonCode, reasonNote) {
+    const reason = CANCELLATION_REASONS.find((r) => r.code === reasonCode);
+    if (!reason) {
+        throw new Error('Motivo do cancelamento é obrigatório');
+    }
+    if (reason.requiresNote && !String(reasonNote || '').trim()) {
+        throw new Error('Descreva o motivo do cancelamento');
+    }
+}
+
 /**
  * Cria um novo pedido
  * @param {Object} orderData - Dados do pedido
  * @param {number} orderData.address_id - ID do endereço
  * @param {Array} orderData.items - Itens do pedido
- * @param {string} orderData.payment_method - Método de pagamento
+ * @param {string} orderData.payment_method - Método de pagamento ('split' quando dividido em payments)
+ * @param {Array<{method: string, amount: number, amount_paid?: number}>} [orderData.payments] - Partes do
+ *        pagamento dividido (pix, credit, debit, money). A soma deve fechar o total; amount_paid é o
+ *        "troco para" das partes em dinheiro.
  * @param {string} [orderData.notes] - Observações
  * @param {number} [orderData.amount_paid] - Valor pago (obrigatório para pagamento em dinheiro, API calcula troco automaticamente)
  * @param {string} [orderData.cpf_on_invoice] - CPF na nota
  * @param {number} [orderData.points_to_redeem] - Pontos para resgatar
+ * @param {string} [orderData.coupon_code] - Código do cupom (backend revalida e registra o uso)
+ * @param {number} [orderData.delivery_zone_id] - Zona de entrega resolvida no checkout (backend revalida pelo endereço)
+ * @param {string} [orderData.scheduled_for] - Início da janela agendada (ISO 8601). O pedido é criado como
+ *        'scheduled' e entra na fila como 'pending' com a antecedência configurada.
  * @param {boolean} [orderData.use_cart] - Usar carrinho
  * @param {Array} [orderData.promotions] - Informações de promoções para aplicar descontos
  * @param {Object} [orderData.promotions[].product_id] - ID do produto com promoção
  * @param {number} [orderData.promotions[].promotion_id] - ID da promoção
  * @param {number} [orderData.promotions[].discount_percentage] - Desconto percentual (se aplicável)
  * @param {number} [orderData.promotions[].discount_value] - Desconto em valor fixo (se aplicável)
- * @returns {Promise<Object>} Resultado da operação
+ * @param {Object} [options] - Opções de envio
+ * @param {string} [options.idempotencyKey] - Chave de idempotência (header Idempotency-Key).
+ *        Reenvios com a mesma chave devolvem o pedido já criado em vez de duplicá-lo.
+ * @returns {Promise<Object>} Resultado da operação (em falhas inclui status e errorType para
+ *          diferenciar erro de conexão de erro de negócio)
  * 
  * IMPORTANTE - APLICAÇÃO DE DESCONTOS:
  * Quando orderData.promotions é fornecido, o backend DEVE:
@@ -56,7 +109,7 @@ function isValidStatus(status) {
  * - item_subtotal com desconto: R$ 36,00 (40 - 10% = 36)
  * - O valor R$ 36,00 deve ser salvo no banco como item_subtotal
  */
-export async function createOrder(orderData) {
+export async function createOrder(orderData, { idempotencyKey } = {}) {
     try {
         if (!orderData || typeof orderData !== 'object') {
             throw new Error('Dados do pedido são obrigatórios');
@@ -66,6 +119,7 @@ export async function createOrder(orderData) {
         if (orderData.order_type === 'pickup') {
             // Para pickup, remover address_id completamente (backend não espera este campo)
             delete orderData.address_id;
+            delete orderData.delivery_zone_id;
         } else {
             // Para delivery, address_id é obrigatório
             if (!isValidOrderId(orderData.address_id)) {
@@ -73,10 +127,41 @@ export async function createOrder(orderData) {
             }
         }
 
+        if (orderData.scheduled_for !== undefined && orderData.scheduled_for !== null) {
+            const scheduledFor = new Date(orderData.scheduled_for);
+            if (isNaN(scheduledFor.getTime()) || scheduledFor <= new Date()) {
+                throw new Error('Horário de agendamento inválido');
+            }
+        }
+
         if (!orderData.payment_method || typeof orderData.payment_method !== 'string') {
             throw new Error('Método de pagamento é obrigatório');
         }
 
+        if (orderData.payment_method === SPLIT_PAYMENT_METHOD) {
+            // Total final é calculado no backend; aqui só a estrutura das partes é validada
+            const parts = Array.isArray(orderData.payments) ? orderData.payments : [];
+            if (parts.length < 2) {
+                throw new Error('Pagamento dividido precisa de pelo menos duas partes');
+            }
+            orderData.payments = parts.map((part) => {
+                const amount = parseFloat(part.amount);
+                if (!SPLIT_TENDER_METHODS.includes(part.method) || !(amount > 0)) {
+                    throw new Error('Parte do pagamento inválida');
+                }
+                const normalized = { method: part.method, amount };
+                if (part.method === 'money' && part.amount_paid !== undefined && part.amount_paid !== null) {
+                    normalized.amount_paid = parseFloat(part.amount_paid);
+                    if (isNaN(normalized.amount_paid)) {
+                        throw new Error('Valor pago inválido');
+                    }
+                }
+                return normalized;
+            });
+        } else {
+            delete orderData.payments;
+        }
+
         if (!orderData.use_cart && (!orderData.items || !Array.isArray(orderData.items) || orderData.items.length === 0)) {
             throw new Error('Itens do pedido são obrigatórios quando não usar carrinho');
         }
@@ -113,9 +198,15 @@ export async function createOrder(orderData) {
             }
         }
 
+        const headers = {};
+        if (idempotencyKey) {
+            headers['Idempotency-Key'] = idempotencyKey;
+        }
+
         const data = await apiRequest('/api/orders/', {
             method: 'POST',
-            body: cleanedOrderData
+            body: cleanedOrderData,
+            headers
         });
 
         return {
@@ -157,7 +248,9 @@ export async function createOrder(orderData) {
         
         return {
             success: false,
-            error: errorMessage
+            error: errorMessage,
+            status: error.status,
+            errorType: error.errorType
         };
     }
 }
@@ -167,9 +260,13 @@ export async function createOrder(orderData) {
  * @param {Array} items - Itens do pedido
  * @param {number} [points_to_redeem] - Pontos para resgatar
  * @param {string} [order_type] - Tipo do pedido ('delivery' ou 'pickup')
+ * @param {Object} [options] - Dados de entrega
+ * @param {number} [options.address_id] - Endereço de entrega; o backend resolve a zona e aplica
+ *        taxa e pedido mínimo dela (resposta inclui delivery_fee, delivery_zone e delivery_available)
+ * @param {number} [options.delivery_zone_id] - Zona já resolvida no cliente (o backend confere)
  * @returns {Promise<Object>} Cálculo do total
  */
-export async function calculateOrderTotal(items, points_to_redeem = 0, order_type = 'delivery') {
+export async function calculateOrderTotal(items, points_to_redeem = 0, order_type = 'delivery', options = {}) {
     try {
         if (!items || !Array.isArray(items) || items.length === 0) {
             throw new Error('Itens são obrigatórios');
@@ -185,6 +282,12 @@ export async function calculateOrderTotal(items, points_to_redeem = 0, order_typ
             requestBody.order_type = order_type;
         }
 
+        // Zona de entrega só se aplica a delivery
+        if (order_type !== 'pickup') {
+            if (options.address_id) requestBody.address_id = options.address_id;
+            if (options.delivery_zone_id) requestBody.delivery_zone_id = options.delivery_zone_id;
+        }
+
         const data = await apiRequest('/api/orders/calculate-total', {
             method: 'POST',
             body: requestBody
@@ -357,11 +460,16 @@ export async function getTodayOrders() {
 
 /**
  * Atualiza status do pedido (admin/manager/attendant)
+ * O backend registra a mudança na linha do tempo do pedido com o usuário autenticado,
+ * a tela de origem e o dispositivo.
  * @param {number} orderId - ID do pedido
  * @param {string} status - Novo status
+ * @param {Object} [options] - Dados para a trilha de auditoria
+ * @param {string} [options.source] - Tela de origem (ORDER_EVENT_SOURCES)
+ * @param {string} [options.reason] - Motivo da alteração
  * @returns {Promise<Object>} Resultado da operação
  */
-export async function updateOrderStatus(orderId, status) {
+export async function updateOrderStatus(orderId, status, options = {}) {
     try {
         if (!isValidOrderId(orderId)) {
             throw new Error('ID do pedido inválido');
@@ -371,9 +479,13 @@ export async function updateOrderStatus(orderId, status) {
             throw new Error('Status inválido');
         }
 
+        const body = { status: status, device: describeClientDevice() };
+        if (options.source) body.source = options.source;
+        if (options.reason) body.reason = String(options.reason).trim();
+
         const data = await apiRequest(`/api/orders/${orderId}/status`, {
             method: 'PATCH',
-            body: { status: status }
+            body: body
         });
 
         return {
@@ -392,7 +504,8 @@ export async function updateOrderStatus(orderId, status) {
         }
         return {
             success: false,
-            error: error.message
+            error: error.message,
+            status: error.status
         };
     }
 }
@@ -434,18 +547,96 @@ export async function getOrderDetails(orderId) {
 }
 
 /**
- * Cancela um pedido (customer)
+ * Busca a linha do tempo do pedido (criação, mudanças de status, cancelamento, pagamento)
+ * Para a equipe o backend inclui quem alterou, a tela e o dispositivo; para o cliente,
+ * apenas os eventos do próprio pedido (filtrar com filterCustomerTimeline antes de exibir).
+ * @param {number} orderId - ID do pedido
+ * @returns {Promise<Object>} { success, data: eventos } ou { success: false, error }
+ */
+export async function getOrderTimeline(orderId) {
+    try {
+        if (!isValidOrderId(orderId)) {
+            throw new Error('ID do pedido inválido');
+        }
+
+        const data = await apiRequest(`/api/orders/${orderId}/timeline`, {
+            method: 'GET'
+        });
+
+        return {
+            success: true,
+            data: data.events || data.items || (Array.isArray(data) ? data : [])
+        };
+    } catch (error) {
+        // ALTERAÇÃO: Log condicional apenas em modo debug
+        if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+          const isDev = typeof process !== "undefined" && process.env?.NODE_ENV === "development";
+          if (isDev) {
+            // eslint-disable-next-line no-console
+            console.error('Erro ao buscar linha do tempo do pedido:', error.message);
+          }
+        }
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Monta a reversão enviada junto com o cancelamento/estorno
+ * O backend aplica pontos e lançamentos na mesma transação do cancelamento/estorno:
+ * ou tudo é registrado, ou nada muda.
+ * @param {Object} [reversal]
+ * @param {{earnedToRemove: number, redeemedToReturn: number}} [reversal.points] - Ver calculatePointsReversal
+ * @param {Array<Object>} [reversal.movements] - Ver buildRefundMovements
+ * @returns {Object|null} Corpo de "reversal" ou null se não houver o que reverter
+ */
+function toReversalPayload(reversal) {
+    if (!reversal) return null;
+    return {
+        points: {
+            earned_to_remove: Math.max(0, parseInt(reversal.points?.earnedToRemove, 10) || 0),
+            redeemed_to_return: Math.max(0, parseInt(reversal.points?.redeemedToReturn, 10) || 0)
+        },
+        financial_movements: Array.isArray(reversal.movements) ? reversal.movements : []
+    };
+}
+
+/**
+ * Cancela um pedido
+ * O backend registra o motivo na linha do tempo e devolve o pagamento online, se houver.
+ * Pontos de fidelidade e lançamentos financeiros do estorno vão em options.reversal
+ * (ver refund-utils.js) e são aplicados pelo backend junto com o cancelamento.
  * @param {number} orderId - ID do pedido
+ * @param {Object} [options]
+ * @param {string} [options.reasonCode] - Um dos códigos de CANCELLATION_REASONS (padrão: solicitação do cliente)
+ * @param {string} [options.reasonNote] - Descrição livre (obrigatória para 'other')
+ * @param {string} [options.source] - Tela de origem (ORDER_EVENT_SOURCES)
+ * @param {Object} [options.reversal] - Pontos e lançamentos a reverter (ver toReversalPayload)
  * @returns {Promise<Object>} Resultado da operação
  */
-export async function cancelOrder(orderId) {
+export async function cancelOrder(orderId, options = {}) {
     try {
         if (!isValidOrderId(orderId)) {
             throw new Error('ID do pedido inválido');
         }
 
+        const reasonCode = options.reasonCode || 'customer_request';
+        assertCancellationReason(reasonCode, options.reasonNote);
+
+        const body = {
+            reason_code: reasonCode,
+            source: options.source || ORDER_EVENT_SOURCES.CUSTOMER_APP,
+            device: describeClientDevice()
+        };
+        if (options.reasonNote) body.reason_note = String(options.reasonNote).trim();
+        const reversal = toReversalPayload(options.reversal);
+        if (reversal) body.reversal = reversal;
+
         const data = await apiRequest(`/api/orders/${orderId}/cancel`, {
-            method: 'POST'
+            method: 'POST',
+            body: body
         });
 
         return {
@@ -469,6 +660,81 @@ export async function cancelOrder(orderId) {
     }
 }
 
+/**
+ * Estorna parte de um pedido (admin/manager)
+ * O pedido segue no status atual; o backend acumula refunded_amount e a
+ * refunded_quantity de cada item.
+ * @param {number} orderId - ID do pedido
+ * @param {Object} refundData - Dados do estorno
+ * @param {string} refundData.reasonCode - Um dos códigos de CANCELLATION_REASONS
+ * @param {string} [refundData.reasonNote] - Descrição livre (obrigatória para 'other')
+ * @param {Array<{order_item_id: number, quantity: number}>} refundData.items - Itens estornados
+ * @param {boolean} [refundData.includeDeliveryFee] - Devolver a taxa de entrega
+ * @param {number} refundData.amount - Valor total do estorno
+ * @param {string} [refundData.source] - Tela de origem (ORDER_EVENT_SOURCES)
+ * @param {Object} [refundData.reversal] - Pontos e lançamentos a reverter, aplicados na mesma transação (ver toReversalPayload)
+ * @returns {Promise<Object>} Resultado da operação
+ */
+export async function refundOrder(orderId, refundData = {}) {
+    try {
+        if (!isValidOrderId(orderId)) {
+            throw new Error('ID do pedido inválido');
+        }
+
+        assertCancellationReason(refundData.reasonCode, refundData.reasonNote);
+
+        const items = (refundData.items || []).filter(
+            (item) => isValidOrderId(item.order_item_id) && Number(item.quantity) > 0
+        );
+        if (items.length === 0 && !refundData.includeDeliveryFee) {
+            throw new Error('Selecione ao menos um item para estornar');
+        }
+
+        const amount = Number(refundData.amount);
+        if (!(amount > 0)) {
+            throw new Error('Valor do estorno deve ser maior que zero');
+        }
+
+        const body = {
+            reason_code: refundData.reasonCode,
+            items: items.map((item) => ({
+                order_item_id: Number(item.order_item_id),
+                quantity: parseInt(item.quantity, 10)
+            })),
+            include_delivery_fee: !!refundData.includeDeliveryFee,
+            amount: amount,
+            source: refundData.source || ORDER_EVENT_SOURCES.ADMIN_PANEL,
+            device: describeClientDevice()
+        };
+        if (refundData.reasonNote) body.reason_note = String(refundData.reasonNote).trim();
+        const reversal = toReversalPayload(refundData.reversal);
+        if (reversal) body.reversal = reversal;
+
+        const data = await apiRequest(`/api/orders/${orderId}/refunds`, {
+            method: 'POST',
+            body: body
+        });
+
+        return {
+            success: true,
+            data: data
+        };
+    } catch (error) {
+        // ALTERAÇÃO: Log condicional apenas em modo debug
+        if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+          const isDev = typeof process !== "undefined" && process.env?.NODE_ENV === "development";
+          if (isDev) {
+            // eslint-disable-next-line no-console
+            console.error('Erro ao estornar pedido:', error.message);
+          }
+        }
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
 /**
  * Formata status para exibição
  * @param {string} status - Status do pedido
@@ -476,6 +742,7 @@ export async function cancelOrder(orderId) {
  */
 export function formatOrderStatus(status) {
     const statusMap = {
+        'scheduled': 'Agendado',
         'pending': 'Pendente',
         'preparing': 'Preparando',
         'ready': 'Pronto',
@@ -497,6 +764,7 @@ export function formatOrderStatus(status) {
  */
 export function getStatusColor(status) {
     const colorMap = {
+        'scheduled': 'status-scheduled',
         'pending': 'status-pending',
         'preparing': 'status-preparing',
         'ready': 'status-ready',
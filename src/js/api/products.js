@@ -5,6 +5,25 @@
 
 import { apiRequest } from './api.js';
 
+/**
+ * Tipos de produto
+ * SIMPLE: produto com receita (ingredientes + extras)
+ * COMBO: produto montado a partir de etapas (slots) com outros produtos
+ */
+export const PRODUCT_TYPES = {
+    SIMPLE: 'simple',
+    COMBO: 'combo'
+};
+
+/**
+ * Verifica se o produto é um combo
+ * @param {Object} product - Produto retornado pela API
+ * @returns {boolean}
+ */
+export function isComboProduct(product) {
+    return !!product && product.product_type === PRODUCT_TYPES.COMBO;
+}
+
 /**
  * Lista todos os produtos com filtros opcionais
  * ALTERAÇÃO: Atualizado para seguir padrão de filtros padronizados
@@ -101,6 +120,7 @@ export const getProductById = async (productId, quantity = 1) => {
  * @param {number} productData.cost_price - Preço de custo
  * @param {number} productData.preparation_time_minutes - Tempo de preparo
  * @param {number} productData.category_id - ID da categoria
+ * @param {string} productData.product_type - Tipo do produto (PRODUCT_TYPES, padrão: simple)
  * @param {File} productData.image - Arquivo de imagem (opcional)
  * @returns {Promise<Object>} Produto criado
  */
@@ -161,6 +181,9 @@ export const createProduct = async (productData) => {
         formData.append('category_id', categoryId === null ? '' : categoryId);
         // ALTERAÇÃO: Sempre enviar is_active (padrão true se não especificado)
         formData.append('is_active', productData.is_active !== undefined ? productData.is_active : true);
+        if (productData.product_type) {
+            formData.append('product_type', productData.product_type);
+        }
         
         // ALTERAÇÃO: Adicionar ingredientes ANTES da imagem (o backend pode processar na ordem)
         // Adiciona ingredientes se fornecidos (como JSON string)
@@ -735,6 +758,139 @@ export const permanentDeleteProduct = async (productId) => {
     });
 };
 
+const MAX_COMBO_SLOTS = 10;
+
+/**
+ * Valida e normaliza as etapas (slots) de um combo
+ * @param {Array} slots - Etapas do combo
+ * @returns {Array} Etapas normalizadas no formato aceito pela API
+ */
+function normalizeComboSlots(slots) {
+    if (!Array.isArray(slots) || slots.length === 0) {
+        throw new Error('Combo deve ter pelo menos uma etapa');
+    }
+    if (slots.length > MAX_COMBO_SLOTS) {
+        throw new Error(`Combo pode ter no máximo ${MAX_COMBO_SLOTS} etapas`);
+    }
+
+    return slots.map((slot, idx) => {
+        const name = String(slot?.name || '').trim();
+        if (!name) {
+            throw new Error(`Etapa ${idx + 1}: nome é obrigatório`);
+        }
+
+        const options = Array.isArray(slot.options) ? slot.options : [];
+        if (options.length === 0) {
+            throw new Error(`Etapa "${name}": selecione pelo menos um produto elegível`);
+        }
+
+        const seen = new Set();
+        const normalizedOptions = options.map(option => {
+            const productId = parseInt(option?.product_id, 10);
+            if (!productId || isNaN(productId) || productId <= 0) {
+                throw new Error(`Etapa "${name}": product_id inválido`);
+            }
+            if (seen.has(productId)) {
+                throw new Error(`Etapa "${name}": produto repetido`);
+            }
+            seen.add(productId);
+
+            const upcharge = Number(option.upcharge || 0);
+            if (isNaN(upcharge) || !isFinite(upcharge) || upcharge < 0) {
+                throw new Error(`Etapa "${name}": acréscimo inválido`);
+            }
+
+            return {
+                product_id: productId,
+                upcharge: Math.round(upcharge * 100) / 100
+            };
+        });
+
+        const normalized = {
+            name,
+            position: idx + 1,
+            is_required: slot.is_required !== false,
+            options: normalizedOptions
+        };
+        if (slot.id) normalized.id = slot.id;
+        return normalized;
+    });
+}
+
+/**
+ * Valida as escolhas de um combo ([{slot_id, product_id}], uma por etapa)
+ * Usada pela cesta (cart.js) e pela checagem de capacidade, para que as duas recusem
+ * as mesmas escolhas.
+ * @param {Array} comboSelections - Escolhas feitas pelo cliente
+ * @returns {Array} Escolhas normalizadas
+ * @throws {Error} Lista, etapa ou produto inválidos, ou duas escolhas para a mesma etapa
+ */
+export function normalizeComboSelections(comboSelections) {
+    if (!Array.isArray(comboSelections)) {
+        throw new Error('combo_selections deve ser uma lista');
+    }
+
+    const seenSlots = new Set();
+    return comboSelections.map(sel => {
+        if (!sel || typeof sel !== 'object') {
+            throw new Error('Cada escolha do combo deve ser um objeto');
+        }
+
+        const slotId = parseInt(sel.slot_id, 10);
+        const productId = parseInt(sel.product_id, 10);
+
+        if (!slotId || isNaN(slotId) || slotId <= 0) {
+            throw new Error('slot_id é obrigatório e deve ser um número positivo');
+        }
+        if (!productId || isNaN(productId) || productId <= 0) {
+            throw new Error('product_id da escolha do combo é obrigatório e deve ser um número positivo');
+        }
+        if (seenSlots.has(slotId)) {
+            throw new Error('Escolha apenas um produto por etapa do combo');
+        }
+        seenSlots.add(slotId);
+
+        return {
+            slot_id: slotId,
+            product_id: productId
+        };
+    });
+}
+
+/**
+ * Obtém as etapas (slots) de um combo
+ * @param {number} productId - ID do produto combo
+ * @returns {Promise<Array>} Etapas [{id, name, position, is_required, options: [{product_id, product_name, upcharge, is_available}]}]
+ */
+export const getComboSlots = async (productId) => {
+    if (!productId || isNaN(productId) || productId <= 0) {
+        throw new Error('ID do produto é obrigatório e deve ser um número positivo');
+    }
+
+    const response = await apiRequest(`/api/products/${productId}/combo-slots`, {
+        method: 'GET'
+    });
+    const slots = Array.isArray(response) ? response : (response?.slots || response?.items || []);
+    return [...slots].sort((a, b) => (a.position || 0) - (b.position || 0));
+};
+
+/**
+ * Substitui as etapas (slots) de um combo
+ * @param {number} productId - ID do produto combo
+ * @param {Array} slots - Etapas [{id?, name, is_required, options: [{product_id, upcharge}]}] (a ordem define a posição)
+ * @returns {Promise<Object>} Etapas salvas
+ */
+export const updateComboSlots = async (productId, slots) => {
+    if (!productId || isNaN(productId) || productId <= 0) {
+        throw new Error('ID do produto é obrigatório e deve ser um número positivo');
+    }
+
+    return await apiRequest(`/api/products/${productId}/combo-slots`, {
+        method: 'PUT',
+        body: JSON.stringify({ slots: normalizeComboSlots(slots) })
+    });
+};
+
 /**
  * Simula capacidade máxima de um produto com extras e modificações da receita base
  * @param {number} productId - ID do produto
@@ -743,6 +899,8 @@ export const permanentDeleteProduct = async (productId) => {
  * @param {Array} baseModifications - Modificações da receita base [{ingredient_id: number, delta: number}]
  *                                   delta positivo = adiciona à receita base
  *                                   delta negativo = remove da receita base
+ * @param {Array} comboSelections - Escolhas do combo [{slot_id: number, product_id: number}]
+ *                                  o backend soma a receita de cada produto escolhido ao consumo
  * @returns {Promise<Object>} Dados de capacidade
  * 
  * Resposta esperada:
@@ -761,7 +919,7 @@ export const permanentDeleteProduct = async (productId) => {
  *   "message": string
  * }
  */
-export const simulateProductCapacity = async (productId, extras = [], quantity = 1, baseModifications = []) => {
+export const simulateProductCapacity = async (productId, extras = [], quantity = 1, baseModifications = [], comboSelections = []) => {
     try {
         // ALTERAÇÃO: Validação de parâmetros mais robusta
         if (!productId || isNaN(productId) || productId <= 0) {
@@ -856,6 +1014,11 @@ export const simulateProductCapacity = async (productId, extras = [], quantity =
             });
         }
         
+        // Validação de combo_selections (opcional)
+        const validatedComboSelections = comboSelections && comboSelections.length > 0
+            ? normalizeComboSelections(comboSelections)
+            : [];
+        
         const requestBody = {
             product_id: productId,
             extras: validatedExtras,
@@ -867,6 +1030,11 @@ export const simulateProductCapacity = async (productId, extras = [], quantity =
             requestBody.base_modifications = validatedBaseModifications;
         }
         
+        // Adiciona combo_selections apenas se houver
+        if (validatedComboSelections.length > 0) {
+            requestBody.combo_selections = validatedComboSelections;
+        }
+        
         const response = await apiRequest('/api/products/simular_capacidade', {
             method: 'POST',
             body: JSON.stringify(requestBody)
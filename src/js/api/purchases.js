@@ -24,12 +24,14 @@ export async function createPurchaseInvoice(invoiceData) {
  * @param {Object} filters - Filtros de busca e paginação
  * @param {number} filters.page - Número da página (opcional, default: 1)
  * @param {number} filters.page_size - Itens por página (opcional, default: 100)
+ * @param {number} filters.supplier_id - Fornecedor do cadastro (opcional)
  * @returns {Promise<Object>} Objeto com items, total, page, page_size, total_pages
  */
 export async function getPurchaseInvoices(filters = {}) {
     const params = new URLSearchParams();
     if (filters.start_date) params.append('start_date', filters.start_date);
     if (filters.end_date) params.append('end_date', filters.end_date);
+    if (filters.supplier_id) params.append('supplier_id', filters.supplier_id.toString());
     if (filters.supplier_name) params.append('supplier_name', filters.supplier_name);
     if (filters.payment_status) params.append('payment_status', filters.payment_status);
     // ALTERAÇÃO: Adicionar parâmetros de paginação
@@ -3,7 +3,7 @@
  * Funções para interagir com endpoints de relatórios
  */
 
-import { apiRequest } from './api.js';
+import { apiRequest, getStoredToken } from './api.js';
 
 /**
  * Busca lista de relatórios disponíveis
@@ -148,7 +148,7 @@ export async function generatePDFReport(reportType, filters = {}) {
 
         // ALTERAÇÃO: Construir URL e opções de requisição baseado no método HTTP
         const baseURL = endpoint.startsWith('http') ? endpoint : `http://127.0.0.1:5000${endpoint}`;
-        const token = localStorage.getItem('rb.token') || localStorage.getItem('token') || '';
+        const token = getStoredToken();
         
         let requestUrl = baseURL;
         let requestOptions = {
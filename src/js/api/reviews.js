@@ -0,0 +1,240 @@
+/**
+ * API de Avaliações
+ * Avaliações dos clientes para pedidos entregues (geral, comida, entrega e por produto),
+ * médias exibidas no cardápio e moderação/resposta no painel administrativo
+ */
+
+import { apiRequest } from './api.js';
+
+/**
+ * Status de moderação aceitos pelo backend
+ * Avaliações novas entram como 'published'; o painel pode ocultar ou voltar a publicar.
+ */
+export const REVIEW_STATUSES = {
+    PUBLISHED: 'published',
+    HIDDEN: 'hidden'
+};
+
+/**
+ * Status de pedido que liberam a avaliação
+ */
+export const REVIEWABLE_ORDER_STATUSES = ['delivered', 'completed'];
+
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+const MAX_COMMENT_LENGTH = 1000;
+const MAX_REPLY_LENGTH = 1000;
+
+function isValidId(id) {
+    return id !== null && id !== undefined && Number.isInteger(Number(id)) && Number(id) > 0;
+}
+
+function isValidRating(value) {
+    return Number.isInteger(value) && value >= MIN_RATING && value <= MAX_RATING;
+}
+
+/**
+ * Valida a avaliação antes de enviar ao backend
+ * @param {Object} reviewData - Dados da avaliação
+ * @param {boolean} requiresDeliveryRating - Pedido de entrega (retirada não avalia entrega)
+ */
+function assertReviewData(reviewData, requiresDeliveryRating) {
+    if (!isValidRating(reviewData.overall_rating)) {
+        throw new Error('Dê uma nota de 1 a 5 estrelas para o pedido');
+    }
+    if (!isValidRating(reviewData.food_rating)) {
+        throw new Error('Dê uma nota de 1 a 5 estrelas para a comida');
+    }
+    if (requiresDeliveryRating && !isValidRating(reviewData.delivery_rating)) {
+        throw new Error('Dê uma nota de 1 a 5 estrelas para a entrega');
+    }
+    if (reviewData.comment && reviewData.comment.length > MAX_COMMENT_LENGTH) {
+        throw new Error(`O comentário deve ter até ${MAX_COMMENT_LENGTH} caracteres`);
+    }
+    (reviewData.items || []).forEach((item) => {
+        if (!isValidId(item.product_id) || !isValidRating(item.rating)) {
+            throw new Error('Nota de produto inválida');
+        }
+    });
+}
+
+/**
+ * Busca a avaliação de um pedido do cliente
+ * @param {number} orderId - ID do pedido
+ * @returns {Promise<Object>} { success, data } com data = avaliação ou null se ainda não avaliado
+ */
+export const getOrderReview = async (orderId) => {
+    if (!isValidId(orderId)) {
+        return { success: false, error: 'ID do pedido inválido' };
+    }
+
+    try {
+        const response = await apiRequest(`/api/orders/${orderId}/review`, {
+            method: 'GET'
+        });
+        return { success: true, data: response || null };
+    } catch (error) {
+        if (error.status === 404) {
+            return { success: true, data: null };
+        }
+        return {
+            success: false,
+            error: error.message || 'Erro ao buscar avaliação'
+        };
+    }
+};
+
+/**
+ * Envia a avaliação de um pedido entregue
+ * @param {number} orderId - ID do pedido
+ * @param {Object} reviewData
+ * @param {number} reviewData.overall_rating - Nota geral (1 a 5)
+ * @param {number} reviewData.food_rating - Nota da comida (1 a 5)
+ * @param {number} [reviewData.delivery_rating] - Nota da entrega (obrigatória em pedidos de entrega)
+ * @param {string} [reviewData.comment] - Comentário livre
+ * @param {Array<{product_id: number, rating: number}>} [reviewData.items] - Notas por produto
+ * @param {Object} [options]
+ * @param {boolean} [options.isPickup=false] - Pedido de retirada (sem nota de entrega)
+ * @returns {Promise<Object>} { success, data } com a avaliação criada
+ */
+export const submitOrderReview = async (orderId, reviewData, { isPickup = false } = {}) => {
+    if (!isValidId(orderId)) {
+        return { success: false, error: 'ID do pedido inválido' };
+    }
+
+    try {
+        assertReviewData(reviewData, !isPickup);
+
+        const payload = {
+            overall_rating: reviewData.overall_rating,
+            food_rating: reviewData.food_rating,
+            comment: (reviewData.comment || '').trim() || null,
+            items: reviewData.items || []
+        };
+        if (!isPickup) {
+            payload.delivery_rating = reviewData.delivery_rating;
+        }
+
+        const response = await apiRequest(`/api/orders/${orderId}/review`, {
+            method: 'POST',
+            body: payload
+        });
+        return { success: true, data: response };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message || 'Erro ao enviar avaliação'
+        };
+    }
+};
+
+/**
+ * Média e avaliações recentes de um produto (público)
+ * @param {number} productId - ID do produto
+ * @param {Object} [options]
+ * @param {number} [options.page_size=5] - Quantidade de avaliações recentes
+ * @returns {Promise<Object>} { success, data } com data = { average_rating, review_count, items }
+ */
+export const getProductReviews = async (productId, options = {}) => {
+    if (!isValidId(productId)) {
+        return { success: false, error: 'ID do produto inválido' };
+    }
+
+    const params = new URLSearchParams();
+    params.append('page_size', options.page_size || 5);
+
+    try {
+        const response = await apiRequest(`/api/products/${productId}/reviews?${params.toString()}`, {
+            method: 'GET',
+            skipAuth: true
+        });
+        return { success: true, data: response };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message || 'Erro ao buscar avaliações do produto'
+        };
+    }
+};
+
+/**
+ * Lista avaliações para moderação (painel administrativo)
+ * @param {Object} options - Opções de filtro e paginação
+ * @param {string} [options.status] - REVIEW_STATUSES
+ * @param {number} [options.rating] - Filtrar pela nota geral
+ * @param {boolean} [options.unanswered] - Apenas avaliações sem resposta
+ * @param {number} [options.page] - Página atual
+ * @param {number} [options.page_size] - Itens por página
+ * @returns {Promise<Object>} Lista paginada no formato { success, data }
+ */
+export const getReviews = async (options = {}) => {
+    const params = new URLSearchParams();
+
+    if (options.page) params.append('page', options.page);
+    if (options.page_size) params.append('page_size', options.page_size);
+    if (options.status) params.append('status', options.status);
+    if (options.rating) params.append('rating', options.rating);
+    if (options.unanswered) params.append('unanswered', 'true');
+
+    const queryString = params.toString();
+    const url = `/api/reviews${queryString ? `?${queryString}` : ''}`;
+
+    try {
+        const response = await apiRequest(url, {
+            method: 'GET'
+        });
+        return {
+            success: true,
+            data: response
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message || 'Erro ao buscar avaliações'
+        };
+    }
+};
+
+/**
+ * Publica ou oculta uma avaliação
+ * @param {number} reviewId - ID da avaliação
+ * @param {string} status - REVIEW_STATUSES
+ * @returns {Promise<Object>} Avaliação atualizada
+ */
+export const moderateReview = async (reviewId, status) => {
+    if (!isValidId(reviewId)) {
+        throw new Error('ID da avaliação é obrigatório e deve ser um número positivo');
+    }
+    if (!Object.values(REVIEW_STATUSES).includes(status)) {
+        throw new Error('Status de moderação inválido');
+    }
+
+    return await apiRequest(`/api/reviews/${reviewId}/status`, {
+        method: 'PATCH',
+        body: { status }
+    });
+};
+
+/**
+ * Responde (ou edita a resposta de) uma avaliação; a resposta aparece para o cliente
+ * @param {number} reviewId - ID da avaliação
+ * @param {string} reply - Texto da resposta
+ * @returns {Promise<Object>} Avaliação atualizada
+ */
+export const replyToReview = async (reviewId, reply) => {
+    if (!isValidId(reviewId)) {
+        throw new Error('ID da avaliação é obrigatório e deve ser um número positivo');
+    }
+    const text = String(reply || '').trim();
+    if (!text) {
+        throw new Error('Escreva uma resposta');
+    }
+    if (text.length > MAX_REPLY_LENGTH) {
+        throw new Error(`A resposta deve ter até ${MAX_REPLY_LENGTH} caracteres`);
+    }
+
+    return await apiRequest(`/api/reviews/${reviewId}/reply`, {
+        method: 'PUT',
+        body: { reply: text }
+    });
+};
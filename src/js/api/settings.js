@@ -128,6 +128,7 @@ export async function getAllSettings() {
  * @param {number} [settingsData.prazo_preparo] - Prazo de preparo
  * @param {number} [settingsData.prazo_envio] - Prazo de envio
  * @param {number} [settingsData.prazo_entrega] - Prazo de entrega
+ * @param {number} [settingsData.antecedencia_agendamento] - Minutos antes do horário em que o pedido agendado entra na fila
  * @param {number} [settingsData.taxa_entrega] - Taxa de entrega
  * @param {number} [settingsData.taxa_conversao_ganho_clube] - Taxa de conversão de ganho do clube
  * @param {number} [settingsData.taxa_conversao_resgate_clube] - Taxa de conversão de resgate do clube
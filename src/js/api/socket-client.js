@@ -5,6 +5,7 @@
 
 import { getStoredToken } from './api.js';
 import { API_BASE_URL } from './api.js';
+import { cacheManager } from '../utils/cache-manager.js';
 
 class SocketClient {
     constructor() {
@@ -205,3 +206,6 @@ class SocketClient {
 // Exporta uma instância única (Singleton)
 export const socketService = new SocketClient();
 
+// Alterações de cardápio/estoque recebidas pelo socket invalidam o cache (memória e IndexedDB)
+cacheManager.bindSocketInvalidation(socketService);
+
@@ -4,6 +4,9 @@
  */
 
 import { apiRequest } from './api.js';
+import { getStoreStatusAt, toDateKey } from '../utils/store-hours-utils.js';
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 
 /**
  * Busca os horários de funcionamento da loja
@@ -31,20 +34,45 @@ export async function getStoreHours() {
 
 /**
  * Verifica se a loja está aberta no momento
- * @returns {Promise<Object>} Status da loja
+ * Exceções por data (feriado fechado, horário estendido, turnos divididos) prevalecem
+ * sobre a resposta baseada na grade semanal.
+ * @returns {Promise<Object>} Status da loja ({ success, isOpen, message, exception })
  */
 export async function isStoreOpen() {
     try {
-        const data = await apiRequest('/api/store/is-open', {
-            method: 'GET',
-            skipAuth: true // Endpoint público
-        });
+        const now = new Date();
+        const yesterday = new Date(now);
+        yesterday.setDate(yesterday.getDate() - 1);
 
-        return {
+        // Ontem entra na busca por causa de turnos que atravessam a meia-noite
+        const [data, exceptions] = await Promise.all([
+            apiRequest('/api/store/is-open', {
+                method: 'GET',
+                skipAuth: true // Endpoint público
+            }),
+            getStoreHourExceptions({ from: toDateKey(yesterday), to: toDateKey(now) })
+        ]);
+
+        const status = {
             success: true,
             isOpen: data.is_open || false,
-            message: data.message || ''
+            message: data.message || '',
+            exception: null
         };
+
+        if (exceptions.success && exceptions.data.length > 0) {
+            const hours = await getStoreHours();
+            if (hours.success) {
+                const local = getStoreStatusAt(hours.data, exceptions.data, now);
+                if (local.exception) {
+                    status.isOpen = local.isOpen;
+                    status.message = local.exception.description || status.message;
+                    status.exception = local.exception;
+                }
+            }
+        }
+
+        return status;
     } catch (error) {
         console.error('Erro ao verificar status da loja:', error.message);
         return {
@@ -128,3 +156,100 @@ export async function bulkUpdateStoreHours(hoursData) {
     }
 }
 
+
+/**
+ * Busca as exceções de horário por data (feriados, horários especiais e turnos divididos)
+ * @param {Object} [options]
+ * @param {string} [options.from] - Data inicial (YYYY-MM-DD)
+ * @param {string} [options.to] - Data final (YYYY-MM-DD)
+ * @returns {Promise<Object>} Exceções ({ date, is_closed, shifts, description })
+ */
+export async function getStoreHourExceptions(options = {}) {
+    try {
+        const params = new URLSearchParams();
+        if (options.from) params.append('from', options.from);
+        if (options.to) params.append('to', options.to);
+        const query = params.toString();
+
+        const data = await apiRequest(`/api/store/hours/exceptions${query ? `?${query}` : ''}`, {
+            method: 'GET',
+            skipAuth: true // Endpoint público
+        });
+
+        return {
+            success: true,
+            data: data.exceptions || []
+        };
+    } catch (error) {
+        console.error('Erro ao buscar exceções de horário:', error.message);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Cria ou substitui a exceção de horário de uma data
+ * @param {Object} exception - Exceção
+ * @param {string} exception.date - Data (YYYY-MM-DD)
+ * @param {boolean} exception.is_closed - Se a loja fica fechada o dia todo
+ * @param {Array<{opening_time: string, closing_time: string}>} [exception.shifts] - Turnos do dia (HH:MM)
+ * @param {string} [exception.description] - Motivo exibido ao cliente (ex: "Natal")
+ * @returns {Promise<Object>} Resultado da operação
+ */
+export async function saveStoreHourException(exception) {
+    try {
+        if (!exception || !DATE_KEY_PATTERN.test(exception.date || '')) {
+            throw new Error('date deve estar no formato YYYY-MM-DD');
+        }
+
+        const data = await apiRequest(`/api/store/hours/exceptions/${exception.date}`, {
+            method: 'PUT',
+            body: {
+                is_closed: exception.is_closed === true,
+                shifts: exception.is_closed ? [] : exception.shifts || [],
+                description: (exception.description || '').trim() || null
+            }
+        });
+
+        return {
+            success: true,
+            message: data.message
+        };
+    } catch (error) {
+        console.error('Erro ao salvar exceção de horário:', error.message);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Remove a exceção de horário de uma data (o dia volta a seguir a grade semanal)
+ * @param {string} date - Data (YYYY-MM-DD)
+ * @returns {Promise<Object>} Resultado da operação
+ */
+export async function deleteStoreHourException(date) {
+    try {
+        if (!DATE_KEY_PATTERN.test(date || '')) {
+            throw new Error('date deve estar no formato YYYY-MM-DD');
+        }
+
+        const data = await apiRequest(`/api/store/hours/exceptions/${date}`, {
+            method: 'DELETE'
+        });
+
+        return {
+            success: true,
+            message: data?.message
+        };
+    } catch (error) {
+        console.error('Erro ao remover exceção de horário:', error.message);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
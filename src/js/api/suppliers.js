@@ -0,0 +1,391 @@
+/**
+ * API de Fornecedores
+ * Cadastro de fornecedores (CNPJ, contato, condições comerciais) e vínculos
+ * insumo ↔ fornecedor com código (SKU) e preço praticados por cada fornecedor
+ */
+
+import { apiRequest } from './api.js';
+import { cacheManager } from '../utils/cache-manager.js';
+import { normalizeUnit } from '../utils/unit-conversion.js';
+
+/**
+ * Dias da semana aceitos em delivery_days (mesma ordem de Date.getDay())
+ */
+export const DELIVERY_DAYS = {
+    sun: 'Domingo',
+    mon: 'Segunda',
+    tue: 'Terça',
+    wed: 'Quarta',
+    thu: 'Quinta',
+    fri: 'Sexta',
+    sat: 'Sábado'
+};
+
+const SUPPLIERS_CACHE_TAG = 'suppliers';
+const ACTIVE_SUPPLIERS_CACHE_KEY = 'suppliers_active';
+const SUPPLIERS_CACHE_TTL = 5 * 60 * 1000; // 5 minutos
+const MAX_NAME_LENGTH = 100;
+const MAX_SKU_LENGTH = 50;
+const MAX_PAYMENT_TERMS_LENGTH = 100;
+
+function isValidId(id) {
+    return id !== null && id !== undefined && Number.isInteger(Number(id)) && Number(id) > 0;
+}
+
+/**
+ * Remove a máscara do CNPJ
+ * @param {string} cnpj - CNPJ digitado
+ * @returns {string} Apenas dígitos
+ */
+export function normalizeCNPJ(cnpj) {
+    return String(cnpj || '').replace(/\D/g, '');
+}
+
+/**
+ * Valida CNPJ pelos dígitos verificadores
+ * @param {string} cnpj - CNPJ com ou sem máscara
+ * @returns {boolean}
+ */
+export function isValidCNPJ(cnpj) {
+    const digits = normalizeCNPJ(cnpj);
+    if (digits.length !== 14 || /^(\d)\1{13}$/.test(digits)) return false;
+
+    const checkDigit = (length) => {
+        let sum = 0;
+        let weight = length - 7;
+        for (let i = 0; i < length; i++) {
+            sum += Number(digits[i]) * weight;
+            weight = weight === 2 ? 9 : weight - 1;
+        }
+        const rest = sum % 11;
+        return rest < 2 ? 0 : 11 - rest;
+    };
+
+    return checkDigit(12) === Number(digits[12]) && checkDigit(13) === Number(digits[13]);
+}
+
+/**
+ * Formata CNPJ para exibição (00.000.000/0000-00)
+ * @param {string} cnpj - CNPJ com ou sem máscara
+ * @returns {string}
+ */
+export function formatCNPJ(cnpj) {
+    const digits = normalizeCNPJ(cnpj);
+    if (digits.length !== 14) return cnpj || '';
+    return digits.replace(/^(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})$/, '$1.$2.$3/$4-$5');
+}
+
+/**
+ * Valida os campos de um fornecedor antes de enviar ao backend
+ * @param {Object} supplierData - Dados do fornecedor
+ * @param {boolean} [partial=false] - Se true, valida apenas os campos presentes (atualização)
+ */
+function assertSupplierData(supplierData, partial = false) {
+    if (!supplierData || typeof supplierData !== 'object') {
+        throw new Error('Dados do fornecedor são obrigatórios');
+    }
+
+    if (!partial || supplierData.name !== undefined) {
+        const name = String(supplierData.name || '').trim();
+        if (!name) {
+            throw new Error('Nome do fornecedor é obrigatório');
+        }
+        if (name.length > MAX_NAME_LENGTH) {
+            throw new Error(`O nome deve ter até ${MAX_NAME_LENGTH} caracteres`);
+        }
+    }
+
+    if (supplierData.cnpj && !isValidCNPJ(supplierData.cnpj)) {
+        throw new Error('CNPJ inválido');
+    }
+
+    if (supplierData.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(supplierData.email)) {
+        throw new Error('E-mail do fornecedor inválido');
+    }
+
+    if (supplierData.payment_terms && String(supplierData.payment_terms).length > MAX_PAYMENT_TERMS_LENGTH) {
+        throw new Error(`Condição de pagamento deve ter até ${MAX_PAYMENT_TERMS_LENGTH} caracteres`);
+    }
+
+    if (supplierData.lead_time_days !== undefined && supplierData.lead_time_days !== null) {
+        const leadTime = Number(supplierData.lead_time_days);
+        if (!Number.isInteger(leadTime) || leadTime < 0) {
+            throw new Error('Prazo de entrega deve ser um número inteiro de dias');
+        }
+    }
+
+    if (supplierData.delivery_days !== undefined) {
+        const days = supplierData.delivery_days || [];
+        if (!Array.isArray(days) || days.some(day => !(day in DELIVERY_DAYS))) {
+            throw new Error('Dias de entrega inválidos');
+        }
+    }
+}
+
+/**
+ * Monta o corpo enviado ao backend (CNPJ só com dígitos, textos aparados)
+ */
+function toSupplierPayload(supplierData) {
+    const payload = { ...supplierData };
+    if (payload.name !== undefined) payload.name = String(payload.name).trim();
+    if (payload.cnpj !== undefined) payload.cnpj = normalizeCNPJ(payload.cnpj) || null;
+    ['trade_name', 'contact_name', 'phone', 'email', 'payment_terms', 'notes'].forEach(field => {
+        if (payload[field] !== undefined) payload[field] = String(payload[field] || '').trim() || null;
+    });
+    return payload;
+}
+
+/**
+ * Lista fornecedores (painel administrativo)
+ * @param {Object} options - Opções de filtro e paginação
+ * @param {string} [options.search] - Busca por nome, nome fantasia ou CNPJ
+ * @param {string} [options.status] - 'active' ou 'inactive'
+ * @param {number} [options.page] - Página atual
+ * @param {number} [options.page_size] - Itens por página
+ * @returns {Promise<Object>} Lista paginada no formato { success, data }
+ */
+export const getSuppliers = async (options = {}) => {
+    const params = new URLSearchParams();
+
+    if (options.page) params.append('page', options.page);
+    if (options.page_size) params.append('page_size', options.page_size);
+    if (options.search) params.append('search', options.search);
+    if (options.status) params.append('status', options.status);
+
+    const queryString = params.toString();
+    const url = `/api/suppliers${queryString ? `?${queryString}` : ''}`;
+
+    try {
+        const response = await apiRequest(url, {
+            method: 'GET'
+        });
+        return {
+            success: true,
+            data: response
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message || 'Erro ao buscar fornecedores'
+        };
+    }
+};
+
+/**
+ * Fornecedores ativos para selects (compras), ordenados por nome
+ * @returns {Promise<Object>} { success, data } com data = lista de fornecedores
+ */
+export const getActiveSuppliers = async () => {
+    try {
+        const items = await cacheManager.getOrFetch(ACTIVE_SUPPLIERS_CACHE_KEY, async () => {
+            const response = await apiRequest('/api/suppliers?status=active&page_size=500', {
+                method: 'GET'
+            });
+            const list = Array.isArray(response) ? response : (response?.items || []);
+            return list.sort((a, b) => String(a.name || '').localeCompare(String(b.name || ''), 'pt-BR', { sensitivity: 'base' }));
+        }, { ttl: SUPPLIERS_CACHE_TTL, tags: [SUPPLIERS_CACHE_TAG], persist: false });
+
+        return { success: true, data: items };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message || 'Erro ao buscar fornecedores'
+        };
+    }
+};
+
+/**
+ * Busca um fornecedor por ID
+ * @param {number} supplierId - ID do fornecedor
+ * @returns {Promise<Object>} Dados do fornecedor
+ */
+export const getSupplierById = async (supplierId) => {
+    if (!isValidId(supplierId)) {
+        throw new Error('ID do fornecedor é obrigatório e deve ser um número positivo');
+    }
+
+    return await apiRequest(`/api/suppliers/${supplierId}`, {
+        method: 'GET'
+    });
+};
+
+/**
+ * Cria um novo fornecedor
+ * @param {Object} supplierData - Dados do fornecedor
+ * @param {string} supplierData.name - Razão social
+ * @param {string} [supplierData.trade_name] - Nome fantasia
+ * @param {string} [supplierData.cnpj] - CNPJ (com ou sem máscara)
+ * @param {string} [supplierData.contact_name] - Pessoa de contato
+ * @param {string} [supplierData.phone] - Telefone/WhatsApp
+ * @param {string} [supplierData.email] - E-mail para pedidos
+ * @param {string} [supplierData.payment_terms] - Condição de pagamento (ex.: "28 dias boleto")
+ * @param {number} [supplierData.lead_time_days] - Prazo de entrega em dias após o pedido
+ * @param {Array<string>} [supplierData.delivery_days] - Dias em que entrega (chaves de DELIVERY_DAYS)
+ * @param {string} [supplierData.notes] - Observações
+ * @param {boolean} [supplierData.is_active] - Se aparece nas compras
+ * @returns {Promise<Object>} Dados do fornecedor criado
+ */
+export const createSupplier = async (supplierData) => {
+    assertSupplierData(supplierData);
+
+    const response = await apiRequest('/api/suppliers', {
+        method: 'POST',
+        body: toSupplierPayload(supplierData)
+    });
+    cacheManager.invalidateTag(SUPPLIERS_CACHE_TAG);
+    return response;
+};
+
+/**
+ * Atualiza um fornecedor existente
+ * @param {number} supplierId - ID do fornecedor
+ * @param {Object} supplierData - Campos a atualizar (mesmos de createSupplier)
+ * @returns {Promise<Object>} Dados do fornecedor atualizado
+ */
+export const updateSupplier = async (supplierId, supplierData) => {
+    if (!isValidId(supplierId)) {
+        throw new Error('ID do fornecedor é obrigatório e deve ser um número positivo');
+    }
+
+    assertSupplierData(supplierData, true);
+
+    const response = await apiRequest(`/api/suppliers/${supplierId}`, {
+        method: 'PUT',
+        body: toSupplierPayload(supplierData)
+    });
+    cacheManager.invalidateTag(SUPPLIERS_CACHE_TAG);
+    return response;
+};
+
+/**
+ * Remove um fornecedor
+ * O backend recusa (409) fornecedores com notas fiscais; nesse caso, inative.
+ * @param {number} supplierId - ID do fornecedor
+ * @returns {Promise<void>}
+ */
+export const deleteSupplier = async (supplierId) => {
+    if (!isValidId(supplierId)) {
+        throw new Error('ID do fornecedor é obrigatório e deve ser um número positivo');
+    }
+
+    const response = await apiRequest(`/api/suppliers/${supplierId}`, {
+        method: 'DELETE'
+    });
+    cacheManager.invalidateTag(SUPPLIERS_CACHE_TAG);
+    return response;
+};
+
+/**
+ * Insumos fornecidos por um fornecedor
+ * @param {number} supplierId - ID do fornecedor
+ * @returns {Promise<Object>} { success, data } com data = [{ ingredient_id, ingredient_name, stock_unit, sku, price, purchase_unit }]
+ */
+export const getSupplierIngredients = async (supplierId) => {
+    if (!isValidId(supplierId)) {
+        return { success: false, error: 'ID do fornecedor inválido' };
+    }
+
+    try {
+        const items = await cacheManager.getOrFetch(`supplier_ingredients:${supplierId}`, async () => {
+            const response = await apiRequest(`/api/suppliers/${supplierId}/ingredients`, {
+                method: 'GET'
+            });
+            return Array.isArray(response) ? response : (response?.items || []);
+        }, { ttl: SUPPLIERS_CACHE_TTL, tags: [SUPPLIERS_CACHE_TAG], persist: false });
+
+        return { success: true, data: items };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message || 'Erro ao buscar insumos do fornecedor'
+        };
+    }
+};
+
+/**
+ * Fornecedores de um insumo
+ * @param {number} ingredientId - ID do insumo
+ * @returns {Promise<Object>} { success, data } com data = [{ supplier_id, supplier_name, sku, price }]
+ */
+export const getIngredientSuppliers = async (ingredientId) => {
+    if (!isValidId(ingredientId)) {
+        return { success: false, error: 'ID do insumo inválido' };
+    }
+
+    try {
+        const items = await cacheManager.getOrFetch(`ingredient_suppliers:${ingredientId}`, async () => {
+            const response = await apiRequest(`/api/ingredients/${ingredientId}/suppliers`, {
+                method: 'GET'
+            });
+            return Array.isArray(response) ? response : (response?.items || []);
+        }, { ttl: SUPPLIERS_CACHE_TTL, tags: [SUPPLIERS_CACHE_TAG], persist: false });
+
+        return { success: true, data: items };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message || 'Erro ao buscar fornecedores do insumo'
+        };
+    }
+};
+
+/**
+ * Vincula (ou atualiza o vínculo de) um insumo a um fornecedor
+ * @param {number} supplierId - ID do fornecedor
+ * @param {Object} linkData
+ * @param {number} linkData.ingredient_id - ID do insumo
+ * @param {string} [linkData.sku] - Código do insumo no catálogo do fornecedor
+ * @param {number} [linkData.price] - Preço do fornecedor por unidade de estoque do insumo
+ * @param {string} [linkData.purchase_unit] - Unidade em que o fornecedor vende (ex: kg, caixa); omitido mantém o atual
+ * @returns {Promise<Object>} Vínculo salvo
+ */
+export const saveSupplierIngredient = async (supplierId, linkData) => {
+    if (!isValidId(supplierId)) {
+        throw new Error('ID do fornecedor é obrigatório e deve ser um número positivo');
+    }
+    if (!linkData || !isValidId(linkData.ingredient_id)) {
+        throw new Error('Selecione o insumo');
+    }
+
+    const sku = String(linkData.sku || '').trim();
+    if (sku.length > MAX_SKU_LENGTH) {
+        throw new Error(`O código do fornecedor deve ter até ${MAX_SKU_LENGTH} caracteres`);
+    }
+
+    const price = linkData.price === null || linkData.price === undefined || linkData.price === ''
+        ? null
+        : Number(linkData.price);
+    if (price !== null && !(price >= 0)) {
+        throw new Error('Preço do fornecedor inválido');
+    }
+
+    const body = { sku: sku || null, price };
+    if (linkData.purchase_unit !== undefined) {
+        body.purchase_unit = linkData.purchase_unit ? normalizeUnit(linkData.purchase_unit) : null;
+    }
+
+    const response = await apiRequest(`/api/suppliers/${supplierId}/ingredients/${linkData.ingredient_id}`, {
+        method: 'PUT',
+        body
+    });
+    cacheManager.invalidateTag(SUPPLIERS_CACHE_TAG);
+    return response;
+};
+
+/**
+ * Remove o vínculo entre insumo e fornecedor
+ * @param {number} supplierId - ID do fornecedor
+ * @param {number} ingredientId - ID do insumo
+ * @returns {Promise<void>}
+ */
+export const removeSupplierIngredient = async (supplierId, ingredientId) => {
+    if (!isValidId(supplierId) || !isValidId(ingredientId)) {
+        throw new Error('Fornecedor e insumo são obrigatórios');
+    }
+
+    const response = await apiRequest(`/api/suppliers/${supplierId}/ingredients/${ingredientId}`, {
+        method: 'DELETE'
+    });
+    cacheManager.invalidateTag(SUPPLIERS_CACHE_TAG);
+    return response;
+};
@@ -36,6 +36,26 @@ export async function updateNotificationPreferences(userId, preferences) {
     });
 }
 
+// Notificações push: chave pública VAPID usada para assinar no navegador.
+export async function getPushPublicKey() {
+    return apiRequest(`${CUSTOMER_BASE}/push/public-key`, { method: 'GET' });
+}
+
+// Assinaturas push por navegador, identificadas pelo endpoint (um cliente pode ter várias).
+// Salvar de novo o mesmo endpoint apenas atualiza as chaves.
+export async function savePushSubscription(userId, subscription) {
+    return apiRequest(`${CUSTOMER_BASE}/${userId}/push-subscriptions`, {
+        method: 'POST',
+        body: subscription
+    });
+}
+
+export async function deletePushSubscription(userId, endpoint) {
+    return apiRequest(`${CUSTOMER_BASE}/${userId}/push-subscriptions?endpoint=${encodeURIComponent(endpoint)}`, {
+        method: 'DELETE'
+    });
+}
+
 export async function deleteAccountPermanent() {
     return apiRequest(`${CUSTOMER_BASE}/delete-account`, { method: 'DELETE' });
 }
@@ -0,0 +1,251 @@
+/**
+ * API de Perdas e Desperdício
+ * Registro de perdas de insumos ou produtos prontos (vencimento, queda, pedido devolvido...).
+ * O backend baixa o estoque ao registrar: insumo direto na unidade de estoque, produto pronto
+ * pelos insumos da receita. O custo da perda é lançado no financeiro como CMV
+ * (ver buildWasteMovement) e alimenta o relatório de perdas por motivo e período.
+ */
+
+import { apiRequest } from './api.js';
+import { cacheManager } from '../utils/cache-manager.js';
+import { formatDateForAPI } from '../utils/date-formatter.js';
+import { convertUnit, getConversionProfile, normalizeUnit } from '../utils/unit-conversion.js';
+
+/**
+ * Tipos de item que podem ser registrados como perda
+ */
+export const WASTE_ITEM_TYPES = {
+    ingredient: 'Insumo',
+    product: 'Produto pronto'
+};
+
+/**
+ * Motivos aceitos para perdas
+ */
+export const WASTE_REASONS = {
+    vencido: 'Vencido / fora da validade',
+    estragado: 'Estragado / mal armazenado',
+    queda: 'Queda / acidente',
+    devolucao: 'Pedido devolvido',
+    erro_preparo: 'Erro de preparo',
+    outro: 'Outro'
+};
+
+/**
+ * Categoria das movimentações financeiras de perdas
+ */
+export const WASTE_MOVEMENT_CATEGORY = 'Perdas';
+
+export const WASTE_PHOTO_MAX_SIZE = 5 * 1024 * 1024; // 5MB
+const WASTE_PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_NOTE_LENGTH = 255;
+const CENTS = 100;
+
+function isValidId(id) {
+    return id !== null && id !== undefined && Number.isInteger(Number(id)) && Number(id) > 0;
+}
+
+function roundMoney(value) {
+    return Math.round((Number(value) || 0) * CENTS) / CENTS;
+}
+
+/**
+ * Custo estimado da perda
+ * Insumo: quantidade convertida para a unidade de estoque × preço do insumo.
+ * Produto pronto: quantidade × preço de custo do produto (cost_price).
+ * @param {Object} params
+ * @param {string} params.item_type - 'ingredient' ou 'product'
+ * @param {Object} params.item - Insumo (price, stock_unit, density, packaging_units) ou produto (cost_price)
+ * @param {number} params.quantity - Quantidade perdida
+ * @param {string} [params.unit] - Unidade informada (insumos; padrão = unidade de estoque)
+ * @returns {{stockQuantity: number, cost: number}} Quantidade na unidade de estoque e custo
+ * @throws {Error} UnitConversionError quando a unidade não converte para a de estoque
+ */
+export function calculateWasteCost({ item_type, item, quantity, unit }) {
+    const amount = Number(quantity) || 0;
+    if (!item || amount <= 0) {
+        return { stockQuantity: 0, cost: 0 };
+    }
+
+    if (item_type === 'product') {
+        return { stockQuantity: amount, cost: roundMoney(amount * (parseFloat(item.cost_price) || 0)) };
+    }
+
+    const stockUnit = item.stock_unit || 'un';
+    const stockQuantity = unit && normalizeUnit(unit) !== normalizeUnit(stockUnit)
+        ? convertUnit(amount, unit, stockUnit, getConversionProfile(item))
+        : amount;
+
+    return { stockQuantity, cost: roundMoney(stockQuantity * (parseFloat(item.price) || 0)) };
+}
+
+/**
+ * Movimentação financeira (CMV) que registra o custo da perda
+ * @param {Object} wasteLog - Perda registrada (id, cost, reason, created_at)
+ * @param {string} itemName - Nome do insumo ou produto
+ * @returns {Object|null} Corpo para createFinancialMovement; null quando a perda não tem custo
+ */
+export function buildWasteMovement(wasteLog, itemName) {
+    const value = roundMoney(wasteLog?.cost);
+    if (!wasteLog || value <= 0) return null;
+
+    const reason = WASTE_REASONS[wasteLog.reason] || wasteLog.reason || '';
+    return {
+        type: 'CMV',
+        value,
+        movement_date: formatDateForAPI(wasteLog.created_at ? new Date(wasteLog.created_at) : new Date()),
+        description: `Perda: ${itemName}${reason ? ` (${reason})` : ''}`,
+        category: WASTE_MOVEMENT_CATEGORY,
+        payment_status: 'Paid',
+        related_entity_type: 'waste',
+        related_entity_id: wasteLog.id
+    };
+}
+
+/**
+ * Valida a foto opcional da perda
+ * @param {File|null} photo - Arquivo escolhido
+ * @throws {Error} Tipo ou tamanho inválido
+ */
+export function validateWastePhoto(photo) {
+    if (!photo) return;
+    if (!WASTE_PHOTO_TYPES.includes(photo.type)) {
+        throw new Error('A foto deve ser JPG, PNG ou WEBP');
+    }
+    if (photo.size > WASTE_PHOTO_MAX_SIZE) {
+        throw new Error('A foto deve ter no máximo 5MB');
+    }
+}
+
+/**
+ * Lista perdas registradas (mais recentes primeiro)
+ * @param {Object} options - Opções de filtro e paginação
+ * @param {string} [options.start_date] - Data inicial (DD-MM-AAAA ou AAAA-MM-DD)
+ * @param {string} [options.end_date] - Data final (DD-MM-AAAA ou AAAA-MM-DD)
+ * @param {string} [options.reason] - Chave de WASTE_REASONS
+ * @param {string} [options.item_type] - 'ingredient' ou 'product'
+ * @param {number} [options.page] - Página atual
+ * @param {number} [options.page_size] - Itens por página
+ * @returns {Promise<Object>} Lista paginada no formato { success, data }
+ */
+export const getWasteLogs = async (options = {}) => {
+    const params = new URLSearchParams();
+
+    if (options.page) params.append('page', options.page);
+    if (options.page_size) params.append('page_size', options.page_size);
+    if (options.start_date) params.append('start_date', formatDateForAPI(options.start_date));
+    if (options.end_date) params.append('end_date', formatDateForAPI(options.end_date));
+    if (options.reason) params.append('reason', options.reason);
+    if (options.item_type) params.append('item_type', options.item_type);
+
+    const queryString = params.toString();
+    const url = `/api/waste-logs${queryString ? `?${queryString}` : ''}`;
+
+    try {
+        const response = await apiRequest(url, {
+            method: 'GET'
+        });
+        return {
+            success: true,
+            data: response
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message || 'Erro ao buscar perdas'
+        };
+    }
+};
+
+/**
+ * Registra uma perda e baixa o estoque
+ * @param {Object} wasteData
+ * @param {string} wasteData.item_type - 'ingredient' ou 'product'
+ * @param {number} wasteData.item_id - ID do insumo ou produto
+ * @param {number} wasteData.quantity - Quantidade na unidade informada
+ * @param {string} [wasteData.unit] - Unidade informada (insumos)
+ * @param {number} [wasteData.stock_quantity] - Quantidade na unidade de estoque (insumos)
+ * @param {string} wasteData.reason - Chave de WASTE_REASONS
+ * @param {string} [wasteData.notes] - Observações
+ * @param {File} [wasteData.photo] - Foto opcional (enviada como multipart)
+ * @returns {Promise<Object>} Perda registrada { id, item_type, item_id, item_name, quantity, unit, stock_quantity, reason, cost, photo_url, created_at }
+ */
+export const createWasteLog = async (wasteData = {}) => {
+    if (!(wasteData.item_type in WASTE_ITEM_TYPES)) {
+        throw new Error('Tipo de item inválido');
+    }
+    if (!isValidId(wasteData.item_id)) {
+        throw new Error('Selecione o insumo ou produto perdido');
+    }
+
+    const quantity = Number(wasteData.quantity);
+    if (!(quantity > 0)) {
+        throw new Error('Quantidade perdida deve ser maior que zero');
+    }
+    if (!(wasteData.reason in WASTE_REASONS)) {
+        throw new Error('Selecione o motivo da perda');
+    }
+
+    const notes = String(wasteData.notes || '').trim();
+    if (notes.length > MAX_NOTE_LENGTH) {
+        throw new Error(`As observações devem ter até ${MAX_NOTE_LENGTH} caracteres`);
+    }
+    validateWastePhoto(wasteData.photo);
+
+    const payload = {
+        item_type: wasteData.item_type,
+        item_id: Number(wasteData.item_id),
+        quantity,
+        unit: wasteData.unit ? normalizeUnit(wasteData.unit) : null,
+        stock_quantity: wasteData.stock_quantity ?? null,
+        reason: wasteData.reason,
+        notes: notes || null
+    };
+
+    let body = payload;
+    if (wasteData.photo) {
+        body = new FormData();
+        Object.entries(payload).forEach(([key, value]) => {
+            if (value !== null) body.append(key, value);
+        });
+        body.append('photo', wasteData.photo);
+    }
+
+    const response = await apiRequest('/api/waste-logs', {
+        method: 'POST',
+        body
+    });
+    // Produto pronto também baixa os insumos da receita
+    cacheManager.invalidateTag('ingredients');
+    return response;
+};
+
+/**
+ * Relatório de perdas do período
+ * @param {Object} filters
+ * @param {string} filters.start_date - Data inicial (DD-MM-AAAA ou AAAA-MM-DD)
+ * @param {string} filters.end_date - Data final (DD-MM-AAAA ou AAAA-MM-DD)
+ * @returns {Promise<Object>} { success, data: { total_cost, total_records, by_reason: [{ reason, records, cost }], top_items: [{ item_type, item_name, quantity, unit, cost }] } }
+ */
+export const getWasteReport = async (filters = {}) => {
+    const params = new URLSearchParams();
+    if (filters.start_date) params.append('start_date', formatDateForAPI(filters.start_date));
+    if (filters.end_date) params.append('end_date', formatDateForAPI(filters.end_date));
+
+    const queryString = params.toString();
+
+    try {
+        const response = await apiRequest(`/api/waste-logs/report${queryString ? `?${queryString}` : ''}`, {
+            method: 'GET'
+        });
+        return {
+            success: true,
+            data: response
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message || 'Erro ao buscar relatório de perdas'
+        };
+    }
+};
@@ -0,0 +1,442 @@
+/**
+ * Módulo de Gerenciamento de Avaliações
+ * Responsável pela moderação (publicar/ocultar) e resposta às avaliações dos clientes
+ */
+
+import {
+    getReviews,
+    moderateReview,
+    replyToReview,
+    REVIEW_STATUSES
+} from '../../api/reviews.js';
+
+import { showToast, showConfirm, toastFromApiError, toastFromApiSuccess } from '../alerts.js';
+import { abrirModal, fecharModal } from '../modais.js';
+import { escapeHTML } from '../../utils/html-sanitizer.js';
+import { renderStars } from '../../utils/rating-utils.js';
+import { normalizePaginationResponse, getItemsFromResponse, getPaginationFromResponse } from '../../utils/pagination-utils.js';
+import { showLoadingOverlay, hideLoadingOverlay } from '../../utils/loading-indicator.js';
+
+const STATUS_LABELS = {
+    [REVIEW_STATUSES.PUBLISHED]: { classe: 'ativa', texto: 'Publicada' },
+    [REVIEW_STATUSES.HIDDEN]: { classe: 'expirada', texto: 'Oculta' }
+};
+
+function formatDataHora(value) {
+    return new Date(value).toLocaleString('pt-BR', {
+        day: '2-digit',
+        month: '2-digit',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+/**
+ * Gerenciador de interface de avaliações
+ */
+class AvaliacaoManager {
+    constructor() {
+        this.currentAvaliacaoId = null;
+        this.avaliacoes = [];
+        this.eventListeners = [];
+        this.filtroStatus = '';
+        this.filtroNota = '';
+        this.apenasSemResposta = false;
+        this.currentPage = 1;
+        this.pageSize = 20;
+        this.totalPages = 1;
+        this.totalItems = 0;
+        this.isLoading = false;
+    }
+
+    /**
+     * Inicializa o módulo
+     */
+    async init() {
+        try {
+            this.setupEventListeners();
+            await this.loadAvaliacoes();
+        } catch (error) {
+            if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+                console.error('Erro ao inicializar módulo de avaliações:', error);
+            }
+            showToast('Erro ao carregar avaliações', { type: 'error' });
+        }
+    }
+
+    /**
+     * Carrega avaliações com paginação e filtros da API
+     */
+    async loadAvaliacoes() {
+        if (this.isLoading) return;
+
+        try {
+            this.isLoading = true;
+            showLoadingOverlay('#secao-avaliacoes .promocoes-container', 'avaliacoes-loading', 'Carregando avaliações...');
+
+            const options = {
+                page: this.currentPage,
+                page_size: this.pageSize
+            };
+            if (this.filtroStatus) options.status = this.filtroStatus;
+            if (this.filtroNota) options.rating = parseInt(this.filtroNota, 10);
+            if (this.apenasSemResposta) options.unanswered = true;
+
+            const result = await getReviews(options);
+            if (!result.success) {
+                throw new Error(result.error || 'Erro ao buscar avaliações');
+            }
+
+            const normalizedResponse = normalizePaginationResponse(result.data, 'items');
+            this.avaliacoes = getItemsFromResponse(normalizedResponse);
+            const paginationInfo = getPaginationFromResponse(normalizedResponse);
+            this.totalPages = paginationInfo.total_pages || 1;
+            this.totalItems = paginationInfo.total || 0;
+
+            this.renderAvaliacoes();
+            this.renderPagination();
+        } catch (error) {
+            if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+                console.error('Erro ao carregar avaliações:', error);
+            }
+            this.avaliacoes = [];
+            this.renderAvaliacoes();
+        } finally {
+            this.isLoading = false;
+            hideLoadingOverlay('avaliacoes-loading');
+        }
+    }
+
+    /**
+     * Configura event listeners
+     */
+    setupEventListeners() {
+        this.removeEventListeners();
+
+        const addListener = (element, event, handler) => {
+            if (!element) return;
+            element.addEventListener(event, handler);
+            this.eventListeners.push({ element, event, handler });
+        };
+
+        const recarregar = async () => {
+            this.currentPage = 1;
+            await this.loadAvaliacoes();
+        };
+
+        addListener(document.getElementById('filtro-status-avaliacao'), 'change', async (e) => {
+            this.filtroStatus = e.target.value;
+            await recarregar();
+        });
+
+        addListener(document.getElementById('filtro-nota-avaliacao'), 'change', async (e) => {
+            this.filtroNota = e.target.value;
+            await recarregar();
+        });
+
+        addListener(document.getElementById('filtro-sem-resposta-avaliacao'), 'change', async (e) => {
+            this.apenasSemResposta = e.target.checked;
+            await recarregar();
+        });
+
+        // Modal de resposta
+        addListener(document.getElementById('cancelar-resposta-avaliacao'), 'click', () => this.closeModal());
+        addListener(document.getElementById('salvar-resposta-avaliacao'), 'click', () => this.saveResposta());
+
+        // Event delegation para botões dos cards
+        addListener(document.getElementById('avaliacoes-list'), 'click', (e) => {
+            const card = e.target.closest('.promocao-card');
+            if (!card) return;
+            const avaliacaoId = parseInt(card.dataset.avaliacaoId, 10);
+            const botao = e.target.closest('[data-action]');
+            if (!botao) return;
+            if (botao.dataset.action === 'responder') {
+                this.openModal(avaliacaoId);
+            } else if (botao.dataset.action === 'moderar') {
+                this.handleModerarAvaliacao(avaliacaoId);
+            }
+        });
+    }
+
+    /**
+     * Remove event listeners existentes
+     */
+    removeEventListeners() {
+        if (this.eventListeners) {
+            this.eventListeners.forEach(({ element, event, handler }) => {
+                element.removeEventListener(event, handler);
+            });
+            this.eventListeners = [];
+        }
+    }
+
+    /**
+     * Cleanup ao sair da seção
+     */
+    cleanup() {
+        this.removeEventListeners();
+    }
+
+    /**
+     * Renderiza lista de avaliações
+     */
+    renderAvaliacoes() {
+        const container = document.getElementById('avaliacoes-list');
+        if (!container) return;
+
+        if (this.avaliacoes.length === 0) {
+            container.innerHTML = `
+                <div style="text-align: center; padding: 40px; color: #666;">
+                    <i class="fa-solid fa-star" style="font-size: 48px; margin-bottom: 16px; opacity: 0.3;"></i>
+                    <p style="font-size: 16px;">Nenhuma avaliação encontrada</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = this.avaliacoes.map(avaliacao => this.createAvaliacaoCard(avaliacao)).join('');
+    }
+
+    /**
+     * Cria card de avaliação (reaproveita o layout dos cards de promoção)
+     */
+    createAvaliacaoCard(avaliacao) {
+        const status = STATUS_LABELS[avaliacao.status] || STATUS_LABELS[REVIEW_STATUSES.PUBLISHED];
+        const oculta = avaliacao.status === REVIEW_STATUSES.HIDDEN;
+        const pedido = avaliacao.order_confirmation_code || avaliacao.order_id;
+
+        const notas = [
+            ['Comida', avaliacao.food_rating],
+            ['Entrega', avaliacao.delivery_rating]
+        ]
+            .filter(([, nota]) => nota)
+            .map(([rotulo, nota]) => `
+                <div class="detalhe-item">
+                    <span class="avaliacao-nota-rotulo">${rotulo}</span>
+                    ${renderStars(nota)}
+                </div>
+            `).join('');
+
+        const produtos = (avaliacao.items || []).map(item => `
+                <div class="detalhe-item">
+                    <span class="avaliacao-nota-rotulo">${escapeHTML(item.product_name || 'Produto')}</span>
+                    ${renderStars(item.rating)}
+                </div>
+            `).join('');
+
+        const comentario = avaliacao.comment
+            ? `<p class="avaliacao-comentario-admin">${escapeHTML(avaliacao.comment)}</p>`
+            : '';
+        const resposta = avaliacao.reply
+            ? `<p class="avaliacao-resposta-admin"><strong>Resposta:</strong> ${escapeHTML(avaliacao.reply)}</p>`
+            : '';
+
+        return `
+            <div class="promocao-card avaliacao-card" data-avaliacao-id="${avaliacao.id}">
+                <div class="promocao-header">
+                    <div class="promocao-info">
+                        <h3>${escapeHTML(avaliacao.customer_name || 'Cliente')}</h3>
+                        <span class="status-badge ${status.classe}">${status.texto}</span>
+                    </div>
+                    <div class="promocao-actions">
+                        <button class="btn-editar-promocao" data-action="responder" title="${avaliacao.reply ? 'Editar resposta' : 'Responder'}">
+                            <i class="fa-solid fa-reply"></i>
+                        </button>
+                        <button class="btn-excluir-promocao" data-action="moderar" title="${oculta ? 'Publicar avaliação' : 'Ocultar avaliação'}">
+                            <i class="fa-solid ${oculta ? 'fa-eye' : 'fa-eye-slash'}"></i>
+                        </button>
+                    </div>
+                </div>
+                <div class="promocao-body">
+                    <div class="desconto-badge">
+                        ${renderStars(avaliacao.overall_rating)}
+                    </div>
+                    <div class="promocao-detalhes">
+                        ${notas}
+                        ${produtos}
+                        <div class="detalhe-item">
+                            <i class="fa-solid fa-receipt"></i>
+                            <span>Pedido #${escapeHTML(String(pedido))}</span>
+                        </div>
+                        <div class="detalhe-item">
+                            <i class="fa-solid fa-calendar"></i>
+                            <span>${avaliacao.created_at ? formatDataHora(avaliacao.created_at) : '-'}</span>
+                        </div>
+                    </div>
+                    ${comentario}
+                    ${resposta}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Renderiza controles de paginação
+     */
+    renderPagination() {
+        const container = document.getElementById('avaliacoes-list');
+        if (!container) return;
+
+        const existingPagination = container.parentElement.querySelector('.pagination');
+        if (existingPagination) {
+            existingPagination.remove();
+        }
+
+        if (this.totalItems === 0) {
+            return;
+        }
+
+        const startItem = (this.currentPage - 1) * this.pageSize + 1;
+        const endItem = Math.min(this.currentPage * this.pageSize, this.totalItems);
+
+        const pagination = document.createElement('div');
+        pagination.className = 'pagination';
+        pagination.innerHTML = `
+      <div class="pagination-wrapper">
+        <div class="pagination-info">
+          <span class="pagination-text">
+            Mostrando <strong>${startItem}-${endItem}</strong> de <strong>${this.totalItems}</strong> avaliações
+          </span>
+          ${this.totalPages > 1 ? `<span class="pagination-page-info">Página ${this.currentPage} de ${this.totalPages}</span>` : ''}
+        </div>
+        ${this.totalPages > 1 ? `
+        <div class="pagination-controls">
+          <button class="pagination-btn pagination-btn-nav" ${this.currentPage === 1 ? 'disabled' : ''} data-page="prev" title="Página anterior">
+            <i class="fa-solid fa-chevron-left"></i>
+            <span>Anterior</span>
+          </button>
+          <button class="pagination-btn pagination-btn-nav" ${this.currentPage === this.totalPages ? 'disabled' : ''} data-page="next" title="Próxima página">
+            <span>Próxima</span>
+            <i class="fa-solid fa-chevron-right"></i>
+          </button>
+        </div>
+        ` : ''}
+      </div>
+    `;
+
+        pagination.addEventListener('click', async (e) => {
+            const target = e.target.closest('.pagination-btn');
+            if (!target || target.disabled || this.isLoading) return;
+
+            if (target.dataset.page === 'prev' && this.currentPage > 1) {
+                this.currentPage -= 1;
+            } else if (target.dataset.page === 'next' && this.currentPage < this.totalPages) {
+                this.currentPage += 1;
+            } else {
+                return;
+            }
+
+            await this.loadAvaliacoes();
+            document.getElementById('secao-avaliacoes')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        });
+
+        container.parentElement.appendChild(pagination);
+    }
+
+    /**
+     * Publica uma avaliação oculta ou oculta uma publicada
+     */
+    async handleModerarAvaliacao(avaliacaoId) {
+        const avaliacao = this.avaliacoes.find(a => a.id === avaliacaoId);
+        if (!avaliacao) return;
+
+        const ocultar = avaliacao.status !== REVIEW_STATUSES.HIDDEN;
+        const confirmed = await showConfirm({
+            title: ocultar ? 'Ocultar Avaliação' : 'Publicar Avaliação',
+            message: ocultar
+                ? 'A avaliação deixará de aparecer no cardápio e não contará na média do produto. Deseja continuar?'
+                : 'A avaliação voltará a aparecer no cardápio. Deseja continuar?',
+            confirmText: ocultar ? 'Ocultar' : 'Publicar',
+            cancelText: 'Cancelar'
+        });
+
+        if (!confirmed) return;
+
+        try {
+            const response = await moderateReview(
+                avaliacaoId,
+                ocultar ? REVIEW_STATUSES.HIDDEN : REVIEW_STATUSES.PUBLISHED
+            );
+            toastFromApiSuccess(response, ocultar ? 'Avaliação ocultada' : 'Avaliação publicada');
+            await this.loadAvaliacoes();
+        } catch (error) {
+            if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+                console.error('Erro ao moderar avaliação:', error);
+            }
+            toastFromApiError(error, 'Erro ao atualizar avaliação');
+        }
+    }
+
+    /**
+     * Abre modal de resposta já preenchido com a resposta atual (se houver)
+     */
+    openModal(avaliacaoId) {
+        const avaliacao = this.avaliacoes.find(a => a.id === avaliacaoId);
+        if (!avaliacao || !document.getElementById('modal-resposta-avaliacao')) return;
+
+        this.currentAvaliacaoId = avaliacaoId;
+
+        const comentario = document.getElementById('comentario-resposta-avaliacao');
+        if (comentario) {
+            comentario.textContent = avaliacao.comment || 'Cliente não deixou comentário.';
+        }
+        const campo = document.getElementById('texto-resposta-avaliacao');
+        if (campo) campo.value = avaliacao.reply || '';
+
+        abrirModal('modal-resposta-avaliacao');
+        campo?.focus();
+    }
+
+    /**
+     * Fecha modal
+     */
+    closeModal() {
+        fecharModal('modal-resposta-avaliacao');
+        this.currentAvaliacaoId = null;
+    }
+
+    /**
+     * Salva a resposta da loja
+     */
+    async saveResposta() {
+        if (!this.currentAvaliacaoId) return;
+
+        const texto = document.getElementById('texto-resposta-avaliacao')?.value || '';
+
+        try {
+            const response = await replyToReview(this.currentAvaliacaoId, texto);
+            toastFromApiSuccess(response, 'Resposta enviada ao cliente');
+            this.closeModal();
+            await this.loadAvaliacoes();
+        } catch (error) {
+            if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+                console.error('Erro ao responder avaliação:', error);
+            }
+            // Validações locais de reviews.js (texto vazio/longo) também caem aqui
+            toastFromApiError(error, 'Erro ao enviar resposta');
+        }
+    }
+}
+
+// Instância global do gerenciador
+let avaliacaoManager = null;
+
+/**
+ * Inicializa o módulo quando a seção de avaliações é exibida
+ */
+export async function initAvaliacoesManager() {
+    if (!avaliacaoManager) {
+        avaliacaoManager = new AvaliacaoManager();
+    }
+    await avaliacaoManager.init();
+}
+
+/**
+ * Libera listeners ao sair da seção
+ */
+export function cleanupAvaliacoesManager() {
+    if (avaliacaoManager) {
+        avaliacaoManager.cleanup();
+    }
+}
@@ -5,6 +5,7 @@
 
 import { createPurchaseInvoice } from '../../api/purchases.js';
 import { getIngredients, getIngredientById } from '../../api/ingredients.js';
+import { getActiveSuppliers, getSupplierIngredients, getIngredientSuppliers } from '../../api/suppliers.js';
 import { showToast } from '../alerts.js';
 import { escapeHTML } from '../../utils/html-sanitizer.js';
 import { formatDateForAPI } from '../../utils/date-formatter.js';
@@ -12,21 +13,25 @@ import { abrirModal, fecharModal } from '../modais.js';
 import { gerenciarInputsEspecificos } from '../../utils.js';
 import { cacheManager } from '../../utils/cache-manager.js';
 import { debounce } from '../../utils/performance-utils.js';
+import { normalizeUnit, formatQuantity, convertUnit, convertPrice, getCompatibleUnits, getConversionProfile, isUnitConversionError } from '../../utils/unit-conversion.js';
+import { CompraNFeImport } from './compra-nfe-import.js';
 
 export class CompraForm {
     constructor(modalId) {
         this.modal = document.getElementById(modalId);
         this.form = null;
         this.ingredients = []; // Todos os ingredientes
-        this.suppliers = []; // Lista de fornecedores únicos
-        this.filteredIngredients = []; // Ingredientes filtrados por fornecedor
-        this.selectedSupplier = null; // Fornecedor selecionado
+        this.suppliers = []; // Fornecedores ativos do cadastro (api/suppliers.js)
+        this.supplierLinks = new Map(); // ingredient_id → vínculo (sku, price) do fornecedor selecionado
+        this.selectedSupplier = null; // ID do fornecedor selecionado
         this.items = []; // Lista de itens da nota fiscal
         this.onSuccess = null;
         this.abortController = null; // Para cancelar requisições pendentes
         this.eventListeners = new Map(); // Para cleanup de event listeners
         this.draftKey = 'compra-form-draft'; // ALTERAÇÃO: Chave para localStorage
         this.autoSaveInterval = null; // ALTERAÇÃO: Intervalo de auto-save
+        this.nfeImporter = new CompraNFeImport(this); // Importação do XML da NF-e
+        this.nfeImport = null; // Dados da NF-e importada (chave, série, impostos e acréscimos)
     }
 
     /**
@@ -41,7 +46,7 @@ export class CompraForm {
             document.body.appendChild(this.modal);
         }
 
-        await this.loadIngredients();
+        await Promise.all([this.loadIngredients(), this.loadSuppliers()]);
     }
 
     /**
@@ -56,20 +61,15 @@ export class CompraForm {
             // Verificar se cached é array válido
             if (Array.isArray(cached)) {
                 this.ingredients = cached;
-                this.extractSuppliers();
-                this.filteredIngredients = [...this.ingredients];
              } else {
                 cacheManager.delete(cacheKey);
                 this.ingredients = [];
-                this.suppliers = [];
-                this.filteredIngredients = [];
             }
             return;
         }
     
         try {
             // ALTERAÇÃO: Remover filtro de status para buscar todos os ingredientes disponíveis
-            // Buscar todos os ingredientes sem filtro de status para exibir todos os fornecedores e insumos
             const response = await getIngredients({ page_size: 1000 });
             
             // ALTERAÇÃO: Verificar se a resposta foi bem-sucedida
@@ -81,7 +81,6 @@ export class CompraForm {
             let items = response.data?.items || [];
             
             // ALTERAÇÃO: Filtrar apenas ingredientes disponíveis (is_available = true) para manter validação
-            // mas incluir todos os fornecedores, mesmo os com "Não informado"
             items = items.filter(ingredient => {
                 // Incluir apenas ingredientes disponíveis (se o campo existir)
                 const isAvailable = ingredient.is_available !== undefined ? ingredient.is_available : true;
@@ -93,9 +92,6 @@ export class CompraForm {
             if (this.ingredients.length > 0) {
                 cacheManager.set(cacheKey, this.ingredients, 5 * 60 * 1000);
             }
-            
-            this.extractSuppliers();
-            this.filteredIngredients = [...this.ingredients];
         } catch (error) {
             // ALTERAÇÃO: Removido console.error - erro já é exibido ao usuário via toast
             showToast('Erro ao carregar ingredientes', { type: 'error' });
@@ -103,54 +99,69 @@ export class CompraForm {
     }
 
     /**
-     * Extrai lista de fornecedores únicos dos ingredientes
-     * ALTERAÇÃO: Incluir TODOS os fornecedores, incluindo "Não informado" e vazios
+     * Carrega fornecedores ativos do cadastro
      */
-    async extractSuppliers() {
-        const suppliersSet = new Set();
-        
-        this.ingredients.forEach(ingredient => {
-            // ALTERAÇÃO: Incluir todos os fornecedores, mesmo vazios ou "Não informado"
-            if (ingredient.supplier && ingredient.supplier.trim() !== '') {
-                suppliersSet.add(ingredient.supplier.trim());
-            } else {
-                // ALTERAÇÃO: Adicionar "Não informado" como opção válida para ingredientes sem fornecedor
-                suppliersSet.add('Não informado');
-            }
-        });
+    async loadSuppliers() {
+        const response = await getActiveSuppliers();
+        if (!response.success) {
+            this.suppliers = [];
+            showToast('Erro ao carregar fornecedores', { type: 'error' });
+            return;
+        }
+        this.suppliers = response.data;
+    }
+
+    /**
+     * Nome exibido do fornecedor (nome fantasia, se houver)
+     * @param {number|string} supplierId - ID do fornecedor
+     * @returns {string}
+     */
+    getSupplierName(supplierId) {
+        const supplier = this.suppliers.find(s => String(s.id) === String(supplierId));
+        return supplier ? (supplier.trade_name || supplier.name) : '';
+    }
 
-        // ALTERAÇÃO: Ordenar fornecedores, colocando "Não informado" no final
-        this.suppliers = Array.from(suppliersSet).sort((a, b) => {
-            // Colocar "Não informado" sempre no final
-            if (a === 'Não informado') return 1;
-            if (b === 'Não informado') return -1;
-            return a.localeCompare(b, 'pt-BR', { sensitivity: 'base' });
+    /**
+     * Seleciona o fornecedor e carrega os insumos vinculados a ele (código e preço do fornecedor)
+     * @param {number|string|null} supplierId - ID do fornecedor ou null para limpar
+     */
+    async selectSupplier(supplierId) {
+        this.supplierLinks = new Map();
+        this.selectedSupplier = supplierId ? parseInt(supplierId, 10) : null;
+        if (!this.selectedSupplier) return;
+
+        const response = await getSupplierIngredients(this.selectedSupplier);
+        if (!response.success) {
+            showToast('Erro ao carregar insumos do fornecedor', { type: 'error' });
+            return;
+        }
+        response.data.forEach(link => {
+            this.supplierLinks.set(parseInt(link.ingredient_id, 10), link);
         });
     }
 
     /**
-     * Filtra ingredientes por fornecedor
-     * ALTERAÇÃO: Incluir ingredientes sem fornecedor quando "Não informado" for selecionado
+     * Options do select de insumos: com fornecedor selecionado, os insumos vinculados a ele
+     * vêm primeiro; os demais continuam disponíveis em "Outros insumos"
+     * @returns {string} HTML das options
      */
-    async filterIngredientsBySupplier(supplierName) {
-        if (!supplierName || supplierName === '') {
-            this.filteredIngredients = [...this.ingredients];
-            this.selectedSupplier = null;
-        } else if (supplierName === 'Não informado') {
-            // ALTERAÇÃO: Filtrar ingredientes sem fornecedor ou com fornecedor vazio
-            this.filteredIngredients = this.ingredients.filter(ing => {
-                const supplier = ing.supplier ? ing.supplier.trim() : '';
-                return !supplier || supplier === '' || supplier === 'Não informado';
-            });
-            this.selectedSupplier = supplierName;
-        } else {
-            // ALTERAÇÃO: Filtrar ingredientes com fornecedor específico
-            this.filteredIngredients = this.ingredients.filter(ing => {
-                const supplier = ing.supplier ? ing.supplier.trim() : '';
-                return supplier === supplierName.trim();
-            });
-            this.selectedSupplier = supplierName;
+    renderIngredientOptions() {
+        const option = ing => `<option value="${ing.id}">${escapeHTML(ing.name || 'Insumo')}</option>`;
+        const placeholder = '<option value="">Selecione o insumo...</option>';
+
+        if (!this.selectedSupplier || this.supplierLinks.size === 0) {
+            return placeholder + this.ingredients.map(option).join('');
         }
+
+        const linked = this.ingredients.filter(ing => this.supplierLinks.has(ing.id));
+        const others = this.ingredients.filter(ing => !this.supplierLinks.has(ing.id));
+        return `
+            ${placeholder}
+            <optgroup label="Fornecidos por ${escapeHTML(this.getSupplierName(this.selectedSupplier))}">
+                ${linked.map(option).join('')}
+            </optgroup>
+            ${others.length > 0 ? `<optgroup label="Outros insumos">${others.map(option).join('')}</optgroup>` : ''}
+        `;
     }
 
     /**
@@ -159,10 +170,13 @@ export class CompraForm {
      * @param {Function} onSuccess - Callback chamado após sucesso
      */
     async openNew(onSuccess = null) {
-        // Garantir que ingredientes estejam carregados
+        // Garantir que ingredientes e fornecedores estejam carregados
         if (this.ingredients.length === 0) {
             await this.loadIngredients();
         }
+        if (this.suppliers.length === 0) {
+            await this.loadSuppliers();
+        }
         
         this.items = [];
         this.onSuccess = onSuccess;
@@ -192,6 +206,9 @@ export class CompraForm {
                 </div>
                 <div class="conteudo-modal">
                     <form id="form-nova-compra">
+                        <!-- Importação do XML da NF-e (opcional) -->
+                        ${this.nfeImporter.render()}
+
                         <!-- 1. Número da Nota Fiscal -->
                         <div class="form-field-wrapper">
                             <div class="div-input">
@@ -208,12 +225,12 @@ export class CompraForm {
                                 <select id="compra-supplier-select">
                                     <option value="">Selecione o fornecedor...</option>
                                     ${this.suppliers.map(supplier => `
-                                        <option value="${escapeHTML(supplier)}">${escapeHTML(supplier)}</option>
+                                        <option value="${supplier.id}">${escapeHTML(supplier.trade_name || supplier.name)}</option>
                                     `).join('')}
                                 </select>
                                 <label for="compra-supplier-select" class="${this.suppliers.length > 0 ? 'active' : ''}">Fornecedor *</label>
                             </div>
-                            <small class="form-text">Selecione o fornecedor para filtrar insumos, ou escolha um insumo para selecionar automaticamente</small>
+                            <small class="form-text">Fornecedores cadastrados em Fornecedores. Os insumos vinculados ao fornecedor aparecem primeiro</small>
                         </div>
 
                         <!-- 3. Itens da Nota Fiscal -->
@@ -303,6 +320,9 @@ export class CompraForm {
 
         // Configurar event listeners do formulário
         this.setupFormListeners();
+
+        // Arrastar/selecionar XML da NF-e
+        this.nfeImporter.setup();
         
         // ALTERAÇÃO: Configurar listener do select de fornecedor
         this.setupSupplierListener();
@@ -347,19 +367,18 @@ export class CompraForm {
         const supplierSelect = document.getElementById('compra-supplier-select');
         if (!supplierSelect) return;
 
-        supplierSelect.addEventListener('change', () => {
-            const selectedSupplier = supplierSelect.value;
-            
-            if (selectedSupplier) {
-                // Filtrar ingredientes pelo fornecedor selecionado
-                this.filterIngredientsBySupplier(selectedSupplier);
-            } else {
-                // Restaurar todos os ingredientes
-                this.filterIngredientsBySupplier(null);
-            }
+        supplierSelect.addEventListener('change', async () => {
+            // Carregar vínculos do fornecedor selecionado (ou limpar)
+            await this.selectSupplier(supplierSelect.value || null);
 
             // Atualizar select de insumos no formulário de item (se estiver aberto)
             this.updateIngredientSelectInForm();
+
+            // Atualizar preço de referência do insumo já escolhido
+            const formWrapper = document.getElementById('compra-item-form-wrapper');
+            if (supplierSelect.value && formWrapper && formWrapper.dataset.ingredientData) {
+                await this.onFormIngredientSelected(null);
+            }
         });
     }
 
@@ -450,12 +469,9 @@ export class CompraForm {
                     <div class="form-field-wrapper">
                         <div class="div-input">
                             <select class="compra-item-ingredient" data-item-id="${itemId}" required>
-                                <option value="">Selecione o insumo...</option>
-                                ${this.filteredIngredients.map(ing => `
-                                    <option value="${ing.id}" data-supplier="${escapeHTML(ing.supplier || '')}">${escapeHTML(ing.name || 'Insumo')}</option>
-                                `).join('')}
+                                ${this.renderIngredientOptions()}
                             </select>
-                            <label class="${this.filteredIngredients.length > 0 ? 'active' : ''}">Insumo *</label>
+                            <label class="${this.ingredients.length > 0 ? 'active' : ''}">Insumo *</label>
                         </div>
                         <small class="form-text">Selecione o insumo que foi comprado</small>
                     </div>
@@ -474,7 +490,7 @@ export class CompraForm {
                         </div>
                     </div>
 
-                    <div class="compra-item-row">
+                    <div class="compra-item-row compra-item-row-unidade">
                         <div class="form-field-wrapper">
                             <div class="div-input">
                                 <input type="number" class="compra-item-quantity" 
@@ -486,6 +502,15 @@ export class CompraForm {
                             </div>
                             <small class="form-text">Quantidade comprada</small>
                         </div>
+                        <div class="form-field-wrapper">
+                            <div class="div-input">
+                                <select class="compra-item-purchase-unit" data-item-id="${itemId}" disabled>
+                                    <option value="">-</option>
+                                </select>
+                                <label class="active">Unidade da compra</label>
+                            </div>
+                            <small class="form-text">Unidade ou embalagem da nota</small>
+                        </div>
                         <div class="form-field-wrapper">
                             <div class="div-input">
                                 <input type="number" class="compra-item-price" 
@@ -558,6 +583,13 @@ export class CompraForm {
                 this.calculateFormPriceFromQuantity(itemId);
             }, 300));
 
+            const unitSelect = formWrapper.querySelector('.compra-item-purchase-unit');
+            if (unitSelect) {
+                unitSelect.addEventListener('change', () => {
+                    this.calculateFormPriceFromQuantity(itemId);
+                });
+            }
+
             priceInput.addEventListener('input', debounce(() => {
                 this.calculateFormQuantityFromPrice(itemId);
             }, 300));
@@ -566,7 +598,8 @@ export class CompraForm {
 
     /**
      * Busca informações do insumo no formulário
-     * ALTERAÇÃO: Sincronizar fornecedor ao selecionar insumo
+     * Sem fornecedor escolhido, seleciona o único fornecedor vinculado ao insumo;
+     * com fornecedor, usa o código e o preço do vínculo como referência
      */
     async onFormIngredientSelected(itemId) {
         const formWrapper = document.getElementById('compra-item-form-wrapper');
@@ -594,14 +627,37 @@ export class CompraForm {
                 ingredient = await getIngredientById(ingredientId);
                 cacheManager.set(cacheKey, ingredient, 10 * 60 * 1000);
             }
+
+            // Sincronizar fornecedor quando o insumo tem um único fornecedor vinculado
+            const supplierSelect = document.getElementById('compra-supplier-select');
+            if (supplierSelect && !supplierSelect.value) {
+                const response = await getIngredientSuppliers(ingredientId);
+                const links = response.success ? response.data : [];
+                const supplierId = links.length === 1 ? links[0].supplier_id : null;
+                if (supplierId && this.getSupplierName(supplierId)) {
+                    supplierSelect.value = String(supplierId);
+                    const label = supplierSelect.closest('.div-input')?.querySelector('label');
+                    if (label) label.classList.add('active');
+
+                    await this.selectSupplier(supplierId);
+                    this.updateIngredientSelectInForm();
+                    this.saveDraft();
+                }
+            }
+
+            const link = this.supplierLinks.get(ingredientId) || null;
+            const linkPrice = link && link.price !== null && link.price !== undefined ? parseFloat(link.price) : NaN;
+            const supplierName = this.selectedSupplier ? this.getSupplierName(this.selectedSupplier) : '';
             
             // Armazenar dados temporariamente
             formWrapper.dataset.ingredientData = JSON.stringify({
                 id: ingredientId,
                 name: ingredient.name,
-                supplier: ingredient.supplier || 'Não informado',
+                supplier: supplierName || 'Não informado',
+                sku: link?.sku || null,
                 stock_unit: ingredient.stock_unit || 'un',
-                price: ingredient.price || 0
+                conversion: getConversionProfile(ingredient),
+                price: Number.isFinite(linkPrice) ? linkPrice : (ingredient.price || 0)
             });
 
             // Exibir informações
@@ -610,32 +666,18 @@ export class CompraForm {
             const unitSpan = formWrapper.querySelector('.compra-item-unit');
 
             if (infoDiv) infoDiv.style.display = 'block';
-            if (supplierSpan) supplierSpan.textContent = ingredient.supplier || 'Não informado';
-            if (unitSpan) unitSpan.textContent = this.normalizeUnit(ingredient.stock_unit || 'un').toUpperCase();
-
-            // ALTERAÇÃO: Sincronizar fornecedor bidirecional (incluindo "Não informado")
-            const supplierSelect = document.getElementById('compra-supplier-select');
-            if (supplierSelect) {
-                const currentSupplier = supplierSelect.value;
-                // ALTERAÇÃO: Determinar fornecedor a usar (incluindo "Não informado" para ingredientes sem fornecedor)
-                const ingredientSupplier = (ingredient.supplier && ingredient.supplier.trim() !== '') 
-                    ? ingredient.supplier.trim() 
-                    : 'Não informado';
-                
-                // Se nenhum fornecedor selecionado, ou fornecedor diferente, atualizar
-                if (!currentSupplier || currentSupplier !== ingredientSupplier) {
-                    // Definir fornecedor no select
-                    supplierSelect.value = ingredientSupplier;
-                    const label = supplierSelect.closest('.div-input')?.querySelector('label');
-                    if (label) label.classList.add('active');
-                    
-                    // Filtrar ingredientes pelo fornecedor
-                    this.filterIngredientsBySupplier(ingredientSupplier);
-                    
-                    // Atualizar select de insumos
-                    this.updateIngredientSelectInForm();
+            if (supplierSpan) {
+                if (!supplierName) {
+                    supplierSpan.textContent = 'Selecione o fornecedor';
+                } else if (!link) {
+                    supplierSpan.textContent = `${supplierName} (insumo não vinculado)`;
+                } else {
+                    supplierSpan.textContent = link.sku ? `${supplierName} · cód. ${link.sku}` : supplierName;
                 }
             }
+            if (unitSpan) unitSpan.textContent = normalizeUnit(ingredient.stock_unit || 'un').toUpperCase();
+
+            this.renderPurchaseUnitOptions(ingredient);
         } catch (error) {
             if (error.name === 'AbortError') return;
             showToast('Erro ao carregar informações do insumo', { type: 'error', title: 'Erro' });
@@ -644,7 +686,7 @@ export class CompraForm {
 
     /**
      * Atualiza select de insumos no formulário de item
-     * ALTERAÇÃO: Novo método para atualizar select dinamicamente
+     * Reagrupa as options conforme o fornecedor selecionado, mantendo o insumo escolhido
      */
     updateIngredientSelectInForm() {
         const formWrapper = document.getElementById('compra-item-form-wrapper');
@@ -654,39 +696,64 @@ export class CompraForm {
         if (!ingredientSelect) return;
 
         const currentValue = ingredientSelect.value;
-
-        // Reconstruir options
-        const optionsHTML = `
-            <option value="">Selecione o insumo...</option>
-            ${this.filteredIngredients.map(ing => `
-                <option value="${ing.id}" data-supplier="${escapeHTML(ing.supplier || '')}">${escapeHTML(ing.name || 'Insumo')}</option>
-            `).join('')}
-        `;
-
-        ingredientSelect.innerHTML = optionsHTML;
-
-        // Restaurar valor selecionado se ainda existir na lista filtrada
+        ingredientSelect.innerHTML = this.renderIngredientOptions();
         if (currentValue) {
-            const optionExists = this.filteredIngredients.some(ing => ing.id == currentValue);
-            if (optionExists) {
-                ingredientSelect.value = currentValue;
-            } else {
-                // Se o ingrediente não existe mais na lista filtrada, limpar seleção
-                ingredientSelect.value = '';
-                const label = ingredientSelect.closest('.div-input')?.querySelector('label');
-                if (label) label.classList.remove('active');
-                
-                // Limpar informações do insumo
-                const infoDiv = formWrapper.querySelector('.compra-item-info');
-                if (infoDiv) infoDiv.style.display = 'none';
-                formWrapper.dataset.ingredientData = '';
-            }
+            ingredientSelect.value = currentValue;
         }
 
         // Atualizar gerenciamento de inputs
         gerenciarInputsEspecificos([ingredientSelect]);
     }
 
+    /**
+     * Preenche o select de unidade da compra com a unidade de estoque,
+     * as embalagens do insumo e as unidades conversíveis
+     * @param {Object} ingredient - Insumo selecionado
+     */
+    renderPurchaseUnitOptions(ingredient) {
+        const unitSelect = document.querySelector('#compra-item-form-wrapper .compra-item-purchase-unit');
+        if (!unitSelect) return;
+
+        const options = getCompatibleUnits(ingredient.stock_unit || 'un', getConversionProfile(ingredient));
+        unitSelect.innerHTML = options
+            .map(option => `<option value="${escapeHTML(option.value)}">${escapeHTML(option.label)}</option>`)
+            .join('');
+        unitSelect.disabled = false;
+    }
+
+    /**
+     * Preço de referência por unidade da compra selecionada
+     * O preço do insumo (ou do vínculo com o fornecedor) é por unidade de estoque
+     * @param {Object} data - Dados do insumo no formulário
+     * @returns {number} Preço por unidade da compra (0 se não houver conversão)
+     */
+    getFormUnitPrice(data) {
+        const unit = document.querySelector('#compra-item-form-wrapper .compra-item-purchase-unit')?.value;
+        if (!unit) return data.price;
+
+        try {
+            return convertPrice(data.price, data.stock_unit, unit, data.conversion);
+        } catch (error) {
+            if (!isUnitConversionError(error)) throw error;
+            return 0;
+        }
+    }
+
+    /**
+     * Formata a quantidade do item, mostrando a unidade da compra quando diferente do estoque
+     * Ex: "2 CAIXA (24 UN)"
+     * @param {Object} item - Item da compra
+     * @returns {string}
+     */
+    formatItemQuantity(item) {
+        const stockUnit = item.ingredient_data?.stock_unit || 'un';
+        const stockQuantity = formatQuantity(item.quantity, stockUnit);
+        if (!item.purchase_unit || normalizeUnit(item.purchase_unit) === normalizeUnit(stockUnit)) {
+            return stockQuantity;
+        }
+        return `${formatQuantity(item.purchase_quantity, item.purchase_unit)} (${stockQuantity})`;
+    }
+
     /**
      * Calcula preço a partir da quantidade (formulário)
      * ALTERAÇÃO: Novo método para formulário
@@ -716,8 +783,9 @@ export class CompraForm {
             if (!data || typeof data !== 'object' || typeof data.price !== 'number') {
                 return;
             }
-            if (data.price > 0) {
-                const calculatedPrice = quantity * data.price;
+            const unitPrice = this.getFormUnitPrice(data);
+            if (unitPrice > 0) {
+                const calculatedPrice = quantity * unitPrice;
                 // ALTERAÇÃO: Preservar todas as casas decimais sem arredondamento
                 priceInput.value = String(calculatedPrice);
                 const label = priceInput.closest('.div-input')?.querySelector('label');
@@ -757,8 +825,9 @@ export class CompraForm {
             if (!data || typeof data !== 'object' || typeof data.price !== 'number') {
                 return;
             }
-            if (data.price > 0) {
-                const calculatedQuantity = totalPrice / data.price;
+            const unitPrice = this.getFormUnitPrice(data);
+            if (unitPrice > 0) {
+                const calculatedQuantity = totalPrice / unitPrice;
                 // ALTERAÇÃO: Preservar todas as casas decimais sem arredondamento
                 quantityInput.value = String(calculatedQuantity);
                 const label = quantityInput.closest('.div-input')?.querySelector('label');
@@ -824,14 +893,28 @@ export class CompraForm {
             return;
         }
 
+        // Converter da unidade da compra para a unidade de estoque do insumo
+        const stockUnit = ingredientData.stock_unit || 'un';
+        const purchaseUnit = formWrapper.querySelector('.compra-item-purchase-unit')?.value || stockUnit;
+        let stockQuantity;
+        try {
+            stockQuantity = convertUnit(quantity, purchaseUnit, stockUnit, ingredientData.conversion);
+        } catch (error) {
+            if (!isUnitConversionError(error)) throw error;
+            showToast(error.message, { type: 'error', title: 'Unidade inválida' });
+            return;
+        }
+
         // Adicionar à lista de itens
         const item = {
             id: itemId,
             ingredient_id: ingredientId,
             ingredient_data: ingredientData,
-            quantity: quantity,
+            quantity: stockQuantity,
+            purchase_quantity: quantity,
+            purchase_unit: normalizeUnit(purchaseUnit),
             total_price: totalPrice,
-            unit_price: totalPrice / quantity
+            unit_price: totalPrice / stockQuantity
         };
 
         this.items.push(item);
@@ -878,7 +961,7 @@ export class CompraForm {
                         <div class="compra-item-detalhes">
                             <div class="detalhe-item">
                                 <span class="detalhe-label">Quantidade:</span>
-                                <span class="detalhe-value">${this.formatQuantity(item.quantity, item.ingredient_data?.stock_unit || 'un')}</span>
+                                <span class="detalhe-value">${escapeHTML(this.formatItemQuantity(item))}</span>
                             </div>
                             <div class="detalhe-item">
                                 <span class="detalhe-label">Valor:</span>
@@ -934,6 +1017,7 @@ export class CompraForm {
             const draft = {
                 invoiceNumber: document.getElementById('compra-invoice-number')?.value || '',
                 supplier: document.getElementById('compra-supplier-select')?.value || '',
+                supplierName: this.getSupplierName(document.getElementById('compra-supplier-select')?.value),
                 purchaseDate: document.getElementById('compra-purchase-date')?.value || '',
                 paymentMethod: document.getElementById('compra-payment-method')?.value || '',
                 paymentStatus: document.getElementById('compra-payment-status')?.value || 'Pending',
@@ -943,9 +1027,14 @@ export class CompraForm {
                     ingredient_id: item.ingredient_id,
                     ingredient_data: item.ingredient_data,
                     quantity: item.quantity,
+                    purchase_quantity: item.purchase_quantity,
+                    purchase_unit: item.purchase_unit,
                     total_price: item.total_price,
-                    unit_price: item.unit_price
+                    unit_price: item.unit_price,
+                    taxes: item.taxes,
+                    nfe_item_number: item.nfe_item_number
                 })),
+                nfeImport: this.nfeImport,
                 selectedSupplier: this.selectedSupplier,
                 timestamp: new Date().toISOString()
             };
@@ -983,14 +1072,15 @@ export class CompraForm {
                 if (label) label.classList.add('active');
             }
 
+            // Rascunhos antigos guardavam o nome do fornecedor; só restaura IDs do cadastro
             const supplierSelect = document.getElementById('compra-supplier-select');
-            if (supplierSelect && draft.supplier) {
-                supplierSelect.value = draft.supplier;
+            if (supplierSelect && draft.supplier && this.getSupplierName(draft.supplier)) {
+                supplierSelect.value = String(draft.supplier);
                 const label = supplierSelect.closest('.div-input')?.querySelector('label');
                 if (label) label.classList.add('active');
                 
-                // Aplicar filtro de fornecedor
-                this.filterIngredientsBySupplier(draft.supplier);
+                // Carregar vínculos do fornecedor
+                this.selectSupplier(draft.supplier);
             }
 
             const dateInput = document.getElementById('compra-purchase-date');
@@ -1020,6 +1110,7 @@ export class CompraForm {
             // Restaurar itens
             if (draft.items && draft.items.length > 0) {
                 this.items = draft.items;
+                this.nfeImport = draft.nfeImport || null;
                 
                 // Renderizar itens na lista
                 const itemsList = document.getElementById('compra-items-cadastrados');
@@ -1117,7 +1208,7 @@ export class CompraForm {
                                 </div>
                                 <div class="draft-info-item">
                                     <span class="draft-label">Fornecedor:</span>
-                                    <span class="draft-value">${escapeHTML(draft.supplier || 'Não informado')}</span>
+                                    <span class="draft-value">${escapeHTML(draft.supplierName || 'Não informado')}</span>
                                 </div>
                                 <div class="draft-info-item">
                                     <span class="draft-label">Itens:</span>
@@ -1221,135 +1312,6 @@ export class CompraForm {
         }
     }
 
-    /**
-     * Converte unidades de medida para unidade padrão
-     * @param {number} quantity - Quantidade
-     * @param {string} fromUnit - Unidade de origem (g, kg, L, ml, un)
-     * @param {string} toUnit - Unidade de destino (g, kg, L, ml, un)
-     * @returns {number} Quantidade convertida
-     */
-    convertUnit(quantity, fromUnit, toUnit) {
-        if (!fromUnit || !toUnit || !quantity || quantity === 0) {
-            return quantity;
-        }
-
-        const from = this.normalizeUnit(fromUnit);
-        const to = this.normalizeUnit(toUnit);
-
-        if (from === to) {
-            return quantity;
-        }
-
-        // Conversões de peso: kg ↔ g
-        if (from === 'kg' && to === 'g') {
-            return quantity * 1000; // kg para g
-        } else if (from === 'g' && to === 'kg') {
-            return quantity / 1000; // g para kg
-        }
-
-        // Conversões de volume: L ↔ ml
-        if (from === 'l' && to === 'ml') {
-            return quantity * 1000; // L para ml
-        } else if (from === 'ml' && to === 'l') {
-            return quantity / 1000; // ml para L
-        }
-
-        // Unidades não conversíveis (diferentes tipos) retornam o valor original
-        // (ex: un para kg não faz sentido, manter original)
-        // Mesmo tipo mas conversão não aplicável (ex: kg para un) retorna original
-        return quantity;
-    }
-
-    /**
-     * Normaliza unidade para formato padrão
-     * @param {string} unit - Unidade
-     * @returns {string} Unidade normalizada
-     */
-    normalizeUnit(unit) {
-        if (!unit) return 'un';
-        const u = unit.toLowerCase().trim();
-        if (u === 'kilogram' || u === 'kilograma') return 'kg';
-        if (u === 'gram' || u === 'grama') return 'g';
-        if (u === 'liter' || u === 'litro') return 'l';
-        if (u === 'milliliter' || u === 'mililitro') return 'ml';
-        if (u === 'unit' || u === 'unidade') return 'un';
-        return u;
-    }
-
-    /**
-     * ALTERAÇÃO: Formata quantidade com base na unidade de medida do ingrediente
-     * 
-     * REGRA CRÍTICA: O banco armazena na mesma unidade do ingrediente
-     * Se o ingrediente tem stock_unit = 'kg', o banco armazena em kg, não em gramas
-     * Portanto, NÃO deve converter dividindo por 1000 quando a unidade já é kg ou L
-     * 
-     * @param {number} quantity - Quantidade armazenada no banco (na mesma unidade do ingrediente)
-     * @param {string} stockUnit - Unidade de estoque do ingrediente (kg, g, L, ml, un)
-     * @returns {string} Quantidade formatada com unidade
-     */
-    formatQuantity(quantity, stockUnit) {
-        if (!quantity || quantity === 0) return '0';
-        
-        const normalizedUnit = this.normalizeUnit(stockUnit);
-        let displayQuantity = quantity;
-        let displayUnit = normalizedUnit;
-
-        // ALTERAÇÃO CRÍTICA: Não converter quando unidade já é kg ou L
-        // O banco armazena na mesma unidade do ingrediente
-        // Se stock_unit = 'kg', quantity já está em kg (não precisa dividir por 1000)
-        
-        // Apenas usar a quantidade como está - banco armazena na mesma unidade do ingrediente
-        displayQuantity = quantity;
-        displayUnit = normalizedUnit;
-
-        // ALTERAÇÃO: Formatar quantidade com decimais apropriados
-        let formattedQuantity;
-        if (displayUnit === 'kg' || displayUnit === 'L') {
-            // ALTERAÇÃO: Para kg e L, exibir com até 3 casas decimais se necessário
-            formattedQuantity = displayQuantity % 1 === 0 
-                ? displayQuantity.toFixed(0) 
-                : parseFloat(displayQuantity.toFixed(3)).toString();
-        } else if (displayUnit === 'g' || displayUnit === 'ml') {
-            // ALTERAÇÃO: Para g e ml, exibir com até 1 casa decimal se necessário
-            formattedQuantity = displayQuantity % 1 === 0 
-                ? displayQuantity.toFixed(0) 
-                : parseFloat(displayQuantity.toFixed(1)).toString();
-        } else {
-            // ALTERAÇÃO: Para unidades (un), exibir sem decimais ou com até 3 casas se necessário
-            formattedQuantity = displayQuantity % 1 === 0 
-                ? displayQuantity.toFixed(0) 
-                : parseFloat(displayQuantity.toFixed(3)).toString();
-        }
-
-        return `${formattedQuantity} ${displayUnit.toUpperCase()}`;
-    }
-
-    /**
-     * ALTERAÇÃO: Converte quantidade da unidade de exibição para unidade base
-     * Usado ao salvar itens (o usuário digita na unidade de exibição, mas o backend espera unidade base)
-     * 
-     * REGRA CRÍTICA: NÃO converter quando unidade compra = unidade insumo
-     * Se o ingrediente tem unidade base 'kg', o banco armazena em kg, não em gramas!
-     * 
-     * @param {number} quantity - Quantidade digitada pelo usuário (na unidade de exibição: kg, L, etc)
-     * @param {string} stockUnit - Unidade de estoque do ingrediente (kg, g, L, ml, un)
-     * @returns {number} Quantidade na unidade base do banco (mesma unidade do ingrediente)
-     */
-    convertQuantityToBase(quantity, stockUnit) {
-        if (!quantity || quantity === 0) return 0;
-        
-        const normalizedUnit = this.normalizeUnit(stockUnit);
-        
-        // ALTERAÇÃO CRÍTICA: O banco armazena na mesma unidade do ingrediente
-        // Se o ingrediente tem stock_unit = 'kg', o banco armazena em kg, NÃO em gramas
-        // Portanto, NÃO deve converter quando a unidade do ingrediente já é kg ou L
-        
-        // Para kg, L, g, ml, un - quantidade já está na unidade correta
-        // Não fazer conversão - o banco armazena na mesma unidade do ingrediente
-        return quantity;
-    }
-
-
     /**
      * Atualiza total geral da compra
      * ALTERAÇÃO: Simplificado para usar diretamente this.items
@@ -1357,7 +1319,7 @@ export class CompraForm {
     updateGrandTotal() {
         const total = this.items.reduce((sum, item) => {
             return sum + (item.total_price || 0);
-        }, 0);
+        }, 0) + this.getNFeExtras();
 
         const totalElement = document.getElementById('compra-total-value');
         if (totalElement) {
@@ -1366,6 +1328,16 @@ export class CompraForm {
         }
     }
 
+    /**
+     * Acréscimos da NF-e importada (frete, seguro, IPI, ST, outras despesas menos descontos)
+     * Só contam enquanto algum item da nota continua na compra
+     * @returns {number}
+     */
+    getNFeExtras() {
+        if (!this.nfeImport || !this.items.some(item => item.nfe_item_number)) return 0;
+        return this.nfeImport.extras || 0;
+    }
+
     /**
      * Formata valor monetário
      * @param {number} value - Valor a formatar
@@ -1460,7 +1432,7 @@ export class CompraForm {
 
         // Coletar dados do formulário
         const invoiceNumber = document.getElementById('compra-invoice-number').value.trim();
-        const supplierName = document.getElementById('compra-supplier-select').value.trim();
+        const supplierId = parseInt(document.getElementById('compra-supplier-select').value, 10);
         const purchaseDate = document.getElementById('compra-purchase-date').value;
         const paymentMethod = document.getElementById('compra-payment-method').value || null;
         const paymentStatus = document.getElementById('compra-payment-status').value;
@@ -1476,10 +1448,9 @@ export class CompraForm {
             const totalPrice = item.total_price || 0;
             const stockUnit = item.ingredient_data?.stock_unit || 'un';
             
-            // ALTERAÇÃO: Converter quantidade da unidade de exibição para unidade base antes de salvar
-            // ALTERAÇÃO CRÍTICA: Não deve converter quando unidade compra = unidade insumo
+            // item.quantity já foi convertido para a unidade de estoque ao confirmar o item
             // O banco armazena na mesma unidade do ingrediente (ex: se stock_unit = 'kg', armazena em kg)
-            const baseQuantity = this.convertQuantityToBase(displayQuantity, stockUnit);
+            const baseQuantity = displayQuantity;
             
             // ALTERAÇÃO: Validar quantidade e preço antes de calcular unit_price
             if (baseQuantity <= 0) {
@@ -1520,7 +1491,7 @@ export class CompraForm {
             // unit_price agora está na unidade de exibição, então valores mínimos são maiores
             if (unitPrice < 0.01) {
                 const itemName = item.ingredient_data?.name || 'este item';
-                const quantityDisplay = this.formatQuantity(displayQuantity, stockUnit);
+                const quantityDisplay = formatQuantity(displayQuantity, stockUnit);
                 const minTotal = (0.01 * displayQuantity).toFixed(2);
                 const currentTotal = totalPrice.toFixed(2);
                 
@@ -1549,13 +1520,24 @@ export class CompraForm {
                 // ALTERAÇÃO: Enviar unit_price na unidade de exibição (39.90 por kg)
                 unit_price: unitPrice,
                 // ALTERAÇÃO: Enviar total_price exato (79.80)
-                total_price: totalPrice
+                total_price: totalPrice,
+                // Código do insumo no catálogo do fornecedor (vínculo do cadastro)
+                supplier_sku: item.ingredient_data?.sku || null,
+                // Quantidade e unidade como constam na nota (ex: 2 caixa)
+                purchase_quantity: item.purchase_quantity ?? displayQuantity,
+                purchase_unit: item.purchase_unit || normalizeUnit(stockUnit),
+                // Impostos destacados no item da NF-e importada
+                taxes: item.taxes || null
             });
         }
 
+        const nfeExtras = this.getNFeExtras();
+        totalAmount += nfeExtras;
+
         const formData = {
             invoice_number: invoiceNumber,
-            supplier_name: supplierName,
+            supplier_id: supplierId,
+            supplier_name: this.getSupplierName(supplierId),
             total_amount: totalAmount,
             purchase_date: formatDateForAPI(purchaseDate),
             payment_method: paymentMethod,
@@ -1564,6 +1546,14 @@ export class CompraForm {
             notes: notes
         };
 
+        // NF-e importada: chave de acesso, série e totais de impostos da nota
+        if (this.nfeImport && this.items.some(item => item.nfe_item_number)) {
+            formData.nfe_access_key = this.nfeImport.access_key;
+            formData.invoice_series = this.nfeImport.series;
+            formData.taxes = this.nfeImport.totals;
+            formData.additional_costs = nfeExtras;
+        }
+
         // Se pagamento é "Pago", adicionar payment_date
         if (paymentStatus === 'Paid') {
             formData.payment_date = formatDateForAPI(purchaseDate);
@@ -1608,7 +1598,9 @@ export class CompraForm {
     resetForm() {
         this.items = [];
         this.selectedSupplier = null;
-        this.filteredIngredients = [...this.ingredients];
+        this.supplierLinks = new Map();
+        this.nfeImport = null;
+        this.nfeImporter.discard();
         
         // ALTERAÇÃO: Parar auto-save
         this.stopAutoSave();
@@ -0,0 +1,450 @@
+/**
+ * Importação de NF-e (XML) no formulário de nova compra
+ * Preenche número, data e fornecedor, sugere o insumo de cada item (código do fornecedor
+ * ou nome) e, após a conferência, adiciona os itens à compra e lembra os vínculos
+ */
+
+import { saveSupplierIngredient, normalizeCNPJ, formatCNPJ } from '../../api/suppliers.js';
+import { showToast } from '../alerts.js';
+import { escapeHTML } from '../../utils/html-sanitizer.js';
+import { readNFeFile, matchNFeItem } from '../../utils/nfe-import.js';
+import {
+    normalizeUnit,
+    convertUnit,
+    canConvert,
+    getCompatibleUnits,
+    getConversionProfile,
+    isUnitConversionError
+} from '../../utils/unit-conversion.js';
+
+const MATCH_SOURCE_LABELS = {
+    sku: 'Código do fornecedor',
+    name: 'Sugestão pelo nome',
+    manual: 'Escolhido',
+    none: 'Sem correspondência'
+};
+
+export class CompraNFeImport {
+    /**
+     * @param {CompraForm} compraForm - Formulário de compra que recebe os itens
+     */
+    constructor(compraForm) {
+        this.compraForm = compraForm;
+        this.nfe = null; // NF-e lida (utils/nfe-import.js)
+        this.rows = []; // [{ item, ingredientId, unit, source }]
+    }
+
+    /**
+     * HTML da área de importação (inserida no topo do formulário)
+     * @returns {string}
+     */
+    render() {
+        return `
+            <div class="compra-nfe-import" id="compra-nfe-import">
+                <input type="file" id="compra-nfe-file" accept=".xml,text/xml,application/xml" hidden>
+                <div class="compra-nfe-dropzone" id="compra-nfe-dropzone" role="button" tabindex="0" aria-label="Importar XML da NF-e">
+                    <i class="fa-solid fa-file-import" aria-hidden="true"></i>
+                    <p><strong>Importar NF-e</strong> · arraste o XML aqui ou clique para selecionar</p>
+                </div>
+                <div class="compra-nfe-mapeamento" id="compra-nfe-mapeamento" style="display: none;"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Configura arrastar/soltar e seleção de arquivo
+     * Chamado a cada render do formulário (elementos novos, sem listeners acumulados)
+     */
+    setup() {
+        const dropzone = document.getElementById('compra-nfe-dropzone');
+        const fileInput = document.getElementById('compra-nfe-file');
+        const mapping = document.getElementById('compra-nfe-mapeamento');
+        if (!dropzone || !fileInput || !mapping) return;
+
+        dropzone.addEventListener('click', () => fileInput.click());
+        dropzone.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                fileInput.click();
+            }
+        });
+        dropzone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropzone.classList.add('arrastando');
+        });
+        dropzone.addEventListener('dragleave', () => dropzone.classList.remove('arrastando'));
+        dropzone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropzone.classList.remove('arrastando');
+            this.handleFile(e.dataTransfer?.files?.[0]);
+        });
+
+        fileInput.addEventListener('change', () => {
+            this.handleFile(fileInput.files?.[0]);
+            fileInput.value = '';
+        });
+
+        mapping.addEventListener('change', (e) => this.handleMappingChange(e));
+        mapping.addEventListener('click', (e) => {
+            if (e.target.closest('.btn-importar-nfe')) {
+                e.preventDefault();
+                this.importItems();
+            } else if (e.target.closest('.btn-descartar-nfe')) {
+                e.preventDefault();
+                this.discard();
+            }
+        });
+    }
+
+    /**
+     * Lê o arquivo e monta a etapa de conferência
+     * @param {File} file - XML da NF-e
+     */
+    async handleFile(file) {
+        if (!file) return;
+
+        let nfe;
+        try {
+            nfe = await readNFeFile(file);
+        } catch (error) {
+            showToast(error.message, { type: 'error', title: 'NF-e inválida' });
+            return;
+        }
+
+        // Uma compra corresponde a uma nota: não mistura itens de NF-e diferentes
+        const current = this.compraForm.nfeImport;
+        if (current && current.access_key !== nfe.accessKey && this.compraForm.items.some(item => item.nfe_item_number)) {
+            showToast('Esta compra já contém itens de outra NF-e. Salve-a ou remova esses itens antes de importar.', { type: 'warning', title: 'Atenção' });
+            return;
+        }
+
+        this.nfe = nfe;
+        await this.applyHeader(nfe);
+        this.buildRows();
+        this.renderMapping();
+    }
+
+    /**
+     * Preenche número, data e fornecedor (pelo CNPJ do emitente)
+     * @param {Object} nfe - NF-e lida
+     */
+    async applyHeader(nfe) {
+        this.setFieldValue('compra-invoice-number', nfe.number);
+        if (nfe.issueDate) {
+            this.setFieldValue('compra-purchase-date', nfe.issueDate);
+        }
+
+        const supplier = nfe.emitter.cnpj
+            ? this.compraForm.suppliers.find(s => normalizeCNPJ(s.cnpj) === nfe.emitter.cnpj)
+            : null;
+
+        if (!supplier) {
+            const cnpj = nfe.emitter.cnpj ? ` (CNPJ ${formatCNPJ(nfe.emitter.cnpj)})` : '';
+            showToast(
+                `${nfe.emitter.name || 'O emitente'}${cnpj} não está no cadastro de fornecedores. ` +
+                'Selecione o fornecedor para importar os itens.',
+                { type: 'warning', title: 'Fornecedor não encontrado', autoClose: 8000 }
+            );
+            return;
+        }
+
+        this.setFieldValue('compra-supplier-select', String(supplier.id));
+        await this.compraForm.selectSupplier(supplier.id);
+        this.compraForm.updateIngredientSelectInForm();
+    }
+
+    /**
+     * Define valor de um campo do formulário e ativa o label flutuante
+     */
+    setFieldValue(id, value) {
+        const field = document.getElementById(id);
+        if (!field || !value) return;
+        field.value = value;
+        const label = field.closest('.div-input')?.querySelector('label');
+        if (label) label.classList.add('active');
+    }
+
+    /**
+     * Sugere insumo e unidade de cada item com base nos vínculos do fornecedor selecionado
+     */
+    buildRows() {
+        const links = Array.from(this.compraForm.supplierLinks.values());
+
+        this.rows = this.nfe.items.map(item => {
+            const match = matchNFeItem(item, this.compraForm.ingredients, links);
+            const row = {
+                item,
+                ingredientId: match.ingredient ? match.ingredient.id : null,
+                source: match.source || 'none',
+                unit: null
+            };
+            row.unit = this.suggestUnit(row, match.link);
+            return row;
+        });
+    }
+
+    /**
+     * Unidade do item em termos do insumo: a unidade lembrada no vínculo, a uCom da nota
+     * quando conversível ou, por fim, a unidade de estoque
+     * @param {Object} row - Linha da conferência
+     * @param {Object|null} link - Vínculo do fornecedor com o insumo
+     * @returns {string|null}
+     */
+    suggestUnit(row, link = null) {
+        const ingredient = this.getIngredient(row.ingredientId);
+        if (!ingredient) return null;
+
+        const stockUnit = normalizeUnit(ingredient.stock_unit);
+        const profile = getConversionProfile(ingredient);
+        const candidates = [link?.purchase_unit, row.item.unit].filter(Boolean);
+        return candidates.map(normalizeUnit).find(unit => canConvert(unit, stockUnit, profile)) || stockUnit;
+    }
+
+    getIngredient(ingredientId) {
+        if (!ingredientId) return null;
+        return this.compraForm.ingredients.find(ing => String(ing.id) === String(ingredientId)) || null;
+    }
+
+    /**
+     * Renderiza a etapa de conferência dos itens
+     */
+    renderMapping() {
+        const mapping = document.getElementById('compra-nfe-mapeamento');
+        if (!mapping || !this.nfe) return;
+
+        const { nfe } = this;
+        const matched = this.rows.filter(row => row.ingredientId).length;
+
+        mapping.innerHTML = `
+            <div class="compra-nfe-header">
+                <div>
+                    <h4>NF-e ${escapeHTML(nfe.number || '-')}${nfe.series ? ` · série ${escapeHTML(nfe.series)}` : ''}</h4>
+                    <small>${escapeHTML(nfe.emitter.tradeName || nfe.emitter.name || 'Emitente não informado')} · ${nfe.items.length} itens · R$ ${this.compraForm.formatCurrency(nfe.totals.total)}</small>
+                </div>
+                <button type="button" class="btn-descartar-nfe" aria-label="Descartar importação">
+                    <i class="fa-solid fa-xmark" aria-hidden="true"></i>
+                </button>
+            </div>
+            <p class="compra-nfe-ajuda">
+                ${matched} de ${this.rows.length} itens com insumo sugerido. Confira cada item; os sem insumo são ignorados.
+                Os vínculos confirmados ficam salvos no fornecedor para as próximas notas.
+            </p>
+            <div class="compra-nfe-itens">
+                ${this.rows.map((row, index) => this.renderRow(row, index)).join('')}
+            </div>
+            <div class="compra-nfe-acoes">
+                <button type="button" class="btn-importar-nfe">
+                    <i class="fa-solid fa-check" aria-hidden="true"></i>
+                    Adicionar itens à compra
+                </button>
+            </div>
+        `;
+        mapping.style.display = 'block';
+    }
+
+    renderRow(row, index) {
+        const { item } = row;
+        const ingredientOptions = this.compraForm.ingredients
+            .map(ing => `<option value="${ing.id}" ${String(ing.id) === String(row.ingredientId) ? 'selected' : ''}>${escapeHTML(ing.name || 'Insumo')}</option>`)
+            .join('');
+
+        return `
+            <div class="compra-nfe-item" data-index="${index}">
+                <div class="compra-nfe-item-info">
+                    <span class="compra-nfe-item-descricao">${escapeHTML(item.description || 'Item sem descrição')}</span>
+                    <span class="compra-nfe-item-detalhes">
+                        ${item.code ? `cód. ${escapeHTML(item.code)} · ` : ''}${item.quantity} ${escapeHTML(item.unit || '')} × R$ ${this.compraForm.formatCurrency(item.unitPrice)} = R$ ${this.compraForm.formatCurrency(item.totalPrice)}
+                    </span>
+                    <span class="compra-nfe-origem compra-nfe-origem-${row.source}">${MATCH_SOURCE_LABELS[row.source]}</span>
+                </div>
+                <select class="compra-nfe-insumo" data-index="${index}" aria-label="Insumo do item">
+                    <option value="">Ignorar item</option>
+                    ${ingredientOptions}
+                </select>
+                <select class="compra-nfe-unidade" data-index="${index}" aria-label="Unidade do item na nota" ${row.ingredientId ? '' : 'disabled'}>
+                    ${this.renderUnitOptions(row)}
+                </select>
+            </div>
+        `;
+    }
+
+    renderUnitOptions(row) {
+        const ingredient = this.getIngredient(row.ingredientId);
+        if (!ingredient) return '<option value="">-</option>';
+
+        return getCompatibleUnits(ingredient.stock_unit || 'un', getConversionProfile(ingredient))
+            .map(option => `<option value="${escapeHTML(option.value)}" ${option.value === row.unit ? 'selected' : ''}>${escapeHTML(option.label)}</option>`)
+            .join('');
+    }
+
+    /**
+     * Troca de insumo ou de unidade em uma linha
+     */
+    handleMappingChange(e) {
+        const select = e.target.closest('.compra-nfe-insumo, .compra-nfe-unidade');
+        if (!select) return;
+
+        const row = this.rows[parseInt(select.dataset.index, 10)];
+        if (!row) return;
+
+        if (select.classList.contains('compra-nfe-unidade')) {
+            row.unit = select.value;
+            return;
+        }
+
+        row.ingredientId = select.value ? parseInt(select.value, 10) : null;
+        row.source = row.ingredientId ? 'manual' : 'none';
+        row.unit = this.suggestUnit(row, this.compraForm.supplierLinks.get(row.ingredientId));
+
+        const itemEl = select.closest('.compra-nfe-item');
+        const unitSelect = itemEl?.querySelector('.compra-nfe-unidade');
+        if (unitSelect) {
+            unitSelect.innerHTML = this.renderUnitOptions(row);
+            unitSelect.disabled = !row.ingredientId;
+        }
+        const origem = itemEl?.querySelector('.compra-nfe-origem');
+        if (origem) {
+            origem.className = `compra-nfe-origem compra-nfe-origem-${row.source}`;
+            origem.textContent = MATCH_SOURCE_LABELS[row.source];
+        }
+    }
+
+    /**
+     * Adiciona os itens conferidos à compra e lembra os vínculos no fornecedor
+     */
+    async importItems() {
+        const supplierSelect = document.getElementById('compra-supplier-select');
+        const supplierId = supplierSelect ? parseInt(supplierSelect.value, 10) : NaN;
+        if (!supplierId) {
+            showToast('Selecione o fornecedor da nota para importar os itens', { type: 'error', title: 'Erro' });
+            supplierSelect?.focus();
+            return;
+        }
+
+        const selected = this.rows.filter(row => row.ingredientId);
+        if (selected.length === 0) {
+            showToast('Escolha o insumo de pelo menos um item', { type: 'error', title: 'Erro' });
+            return;
+        }
+
+        // Converte tudo antes de alterar a compra: uma unidade inválida não deixa importação pela metade
+        const supplierName = this.compraForm.getSupplierName(supplierId);
+        const items = [];
+        for (const [index, row] of selected.entries()) {
+            const ingredient = this.getIngredient(row.ingredientId);
+            const stockUnit = ingredient.stock_unit || 'un';
+            const profile = getConversionProfile(ingredient);
+
+            let stockQuantity;
+            try {
+                stockQuantity = convertUnit(row.item.quantity, row.unit || stockUnit, stockUnit, profile);
+            } catch (error) {
+                if (!isUnitConversionError(error)) throw error;
+                showToast(`${row.item.description}: ${error.message}`, { type: 'error', title: 'Unidade inválida' });
+                return;
+            }
+            if (!(stockQuantity > 0)) {
+                showToast(`${row.item.description}: quantidade inválida na nota`, { type: 'error', title: 'Erro' });
+                return;
+            }
+
+            const totalPrice = row.item.totalPrice - row.item.discount;
+            items.push({
+                id: `item-${Date.now()}-${index}`,
+                ingredient_id: ingredient.id,
+                ingredient_data: {
+                    id: ingredient.id,
+                    name: ingredient.name,
+                    supplier: supplierName || 'Não informado',
+                    sku: row.item.code || null,
+                    stock_unit: stockUnit,
+                    conversion: profile,
+                    price: totalPrice / stockQuantity
+                },
+                quantity: stockQuantity,
+                purchase_quantity: row.item.quantity,
+                purchase_unit: normalizeUnit(row.unit || stockUnit),
+                total_price: totalPrice,
+                unit_price: totalPrice / stockQuantity,
+                taxes: row.item.taxes,
+                nfe_item_number: row.item.number
+            });
+        }
+
+        items.forEach(item => {
+            this.compraForm.items.push(item);
+            this.compraForm.renderItemInList(item);
+        });
+
+        // Frete, seguro, IPI, ST e demais acréscimos da nota entram no total da compra
+        const importedTotal = selected.reduce((sum, row) => sum + row.item.totalPrice - row.item.discount, 0);
+        const allItemsTotal = this.nfe.items.reduce((sum, item) => sum + item.totalPrice - item.discount, 0);
+        this.compraForm.nfeImport = {
+            access_key: this.nfe.accessKey,
+            series: this.nfe.series || null,
+            emitter_cnpj: this.nfe.emitter.cnpj || null,
+            totals: this.nfe.totals,
+            extras: Math.max(0, this.nfe.totals.total - allItemsTotal)
+        };
+        this.compraForm.updateGrandTotal();
+        this.compraForm.saveDraft();
+
+        const ignored = this.rows.length - selected.length;
+        const failedLinks = await this.rememberLinks(supplierId, selected, items);
+
+        showToast(
+            `${items.length} ${items.length === 1 ? 'item importado' : 'itens importados'} da NF-e ${this.nfe.number}` +
+            (ignored > 0 ? ` (${ignored} ignorado${ignored === 1 ? '' : 's'})` : '') +
+            ` · R$ ${this.compraForm.formatCurrency(importedTotal)}`,
+            { type: 'success', title: 'NF-e importada' }
+        );
+        if (failedLinks > 0) {
+            showToast(`Não foi possível lembrar ${failedLinks} vínculo(s) com o fornecedor`, { type: 'warning', title: 'Atenção' });
+        }
+
+        this.discard();
+    }
+
+    /**
+     * Salva código, unidade e último preço de cada item no vínculo insumo ↔ fornecedor
+     * @returns {Promise<number>} Quantidade de vínculos que falharam
+     */
+    async rememberLinks(supplierId, rows, items) {
+        const pending = rows
+            .map((row, index) => ({ row, item: items[index], link: this.compraForm.supplierLinks.get(row.ingredientId) }))
+            .filter(({ row, item, link }) =>
+                !link ||
+                (row.item.code && String(link.sku || '') !== row.item.code) ||
+                normalizeUnit(link.purchase_unit || '') !== item.purchase_unit
+            );
+        if (pending.length === 0) return 0;
+
+        const results = await Promise.allSettled(pending.map(({ row, item, link }) =>
+            saveSupplierIngredient(supplierId, {
+                ingredient_id: row.ingredientId,
+                sku: row.item.code || link?.sku || '',
+                price: Math.round(item.unit_price * 10000) / 10000,
+                purchase_unit: item.purchase_unit
+            })
+        ));
+
+        // Recarrega os vínculos para que o formulário de item use os códigos novos
+        await this.compraForm.selectSupplier(supplierId);
+        this.compraForm.updateIngredientSelectInForm();
+
+        return results.filter(result => result.status === 'rejected').length;
+    }
+
+    /**
+     * Fecha a etapa de conferência sem alterar os itens já adicionados
+     */
+    discard() {
+        this.nfe = null;
+        this.rows = [];
+        const mapping = document.getElementById('compra-nfe-mapeamento');
+        if (mapping) {
+            mapping.innerHTML = '';
+            mapping.style.display = 'none';
+        }
+    }
+}
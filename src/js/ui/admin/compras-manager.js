@@ -5,6 +5,7 @@
 
 import { getPurchaseInvoices, getPurchaseInvoiceById, updatePurchaseInvoice, deletePurchaseInvoice } from '../../api/purchases.js';
 import { getIngredients, getIngredientById } from '../../api/ingredients.js';
+import { getActiveSuppliers, getSupplierIngredients } from '../../api/suppliers.js';
 import { showToast, showConfirm } from '../alerts.js';
 import { escapeHTML } from '../../utils/html-sanitizer.js';
 import { abrirModal, fecharModal } from '../modais.js';
@@ -13,10 +14,11 @@ import { formatDateForAPI } from '../../utils/date-formatter.js';
 import { CompraForm } from './compra-form.js';
 import { gerenciarInputsEspecificos } from '../../utils.js';
 import { cacheManager } from '../../utils/cache-manager.js';
+import { normalizeUnit, formatQuantity } from '../../utils/unit-conversion.js';
 // ALTERAÇÃO: Importar utility compartilhada para modal de compra
 import { showPurchaseInvoiceModal } from '../../utils/purchase-modal-utils.js';
 // ALTERAÇÃO: Importar cliente de eventos em tempo real
-import { getRealtimeClient } from '../../utils/realtime-events.js';
+import { realtimeHub, REALTIME_EVENTS } from '../../utils/realtime-hub.js';
 
 export class ComprasManager {
     constructor(containerId) {
@@ -25,7 +27,7 @@ export class ComprasManager {
         this.filters = {
             start_date: null,
             end_date: null,
-            supplier_name: null,
+            supplier_id: null,
             payment_status: null
         };
         // ALTERAÇÃO: Adicionar propriedades de paginação
@@ -58,7 +60,7 @@ export class ComprasManager {
 
         this.isInitialized = true;
         this.render();
-        await this.loadInvoices();
+        await Promise.all([this.loadInvoices(), this.loadSupplierFilterOptions()]);
         this.setupEventListeners();
         await this.initCompraForm();
         // ALTERAÇÃO: Configurar eventos em tempo real
@@ -92,7 +94,9 @@ export class ComprasManager {
                         </div>
                         <div class="financial-filter-group">
                             <label for="filter-compra-supplier">Fornecedor</label>
-                            <input type="text" id="filter-compra-supplier" class="filter-input" placeholder="Buscar fornecedor" aria-label="Filtrar por fornecedor">
+                            <select id="filter-compra-supplier" class="filter-select" aria-label="Filtrar por fornecedor">
+                                <option value="">Todos</option>
+                            </select>
                         </div>
                         <div class="financial-filter-group">
                             <label for="filter-compra-status">Status</label>
@@ -318,11 +322,10 @@ export class ComprasManager {
             });
         }
 
-        // Input de fornecedor com debounce (300ms para busca)
         if (supplierInput) {
-            supplierInput.addEventListener('input', debounce(() => {
+            supplierInput.addEventListener('change', () => {
                 debouncedApplyFilters();
-            }, 300));
+            });
         }
 
         // Botão de nova compra
@@ -431,7 +434,7 @@ export class ComprasManager {
         this.filters = {
             start_date: startDate,
             end_date: endDate,
-            supplier_name: supplier || null,
+            supplier_id: supplier ? parseInt(supplier, 10) : null,
             payment_status: status || null
         };
 
@@ -439,6 +442,24 @@ export class ComprasManager {
         this.loadInvoices();
     }
 
+    /**
+     * Preenche o filtro de fornecedor com o cadastro de fornecedores
+     */
+    async loadSupplierFilterOptions() {
+        const select = document.getElementById('filter-compra-supplier');
+        if (!select) return;
+
+        const response = await getActiveSuppliers();
+        if (!response.success) return;
+
+        select.innerHTML = `
+            <option value="">Todos</option>
+            ${response.data.map(supplier => `
+                <option value="${supplier.id}">${escapeHTML(supplier.trade_name || supplier.name)}</option>
+            `).join('')}
+        `;
+    }
+
     /**
      * Inicializa o formulário de compra
      */
@@ -642,9 +663,8 @@ export class ComprasManager {
             document.body.appendChild(modal);
         }
 
-        // ALTERAÇÃO: Carregar ingredientes filtrados por fornecedor e inicializar itens
-        const supplierName = invoice.supplier_name || invoice.supplier || null;
-        await this.loadEditIngredients(supplierName);
+        // Carregar ingredientes (vinculados ao fornecedor da nota primeiro) e inicializar itens
+        await this.loadEditIngredients(invoice.supplier_id || null);
         this.currentEditInvoiceId = invoice.id;
 
         // ALTERAÇÃO: Converter itens da nota fiscal para formato de edição, carregando dados completos do ingrediente
@@ -667,8 +687,7 @@ export class ComprasManager {
                         ingredientData = {
                             id: fullIngredient.id,
                             name: fullIngredient.name || ingredientData.name || item.ingredient_name || item.name || 'Item',
-                            stock_unit: fullIngredient.stock_unit || ingredientData.stock_unit || 'un',
-                            supplier: fullIngredient.supplier || ingredientData.supplier
+                            stock_unit: fullIngredient.stock_unit || ingredientData.stock_unit || 'un'
                         };
                     } else {
                         // Se não conseguir carregar, garantir que stock_unit existe
@@ -703,7 +722,7 @@ export class ComprasManager {
                 total_price: totalPrice,
                 unit_price: item.unit_price || item.price || 0,
                 // ALTERAÇÃO: Armazenar display_quantity e stock_unit para uso posterior
-                display_quantity: this.getEditableQuantity(item.quantity || 0, ingredientData.stock_unit || 'un'),
+                display_quantity: item.quantity || 0,
                 stock_unit: ingredientData.stock_unit || 'un'
             };
         }));
@@ -971,10 +990,10 @@ export class ComprasManager {
     }
 
     /**
-     * ALTERAÇÃO: Carrega ingredientes para edição filtrados por fornecedor
-     * @param {string} supplierName - Nome do fornecedor para filtrar ingredientes
+     * Carrega ingredientes para edição; os vinculados ao fornecedor da nota vêm primeiro
+     * @param {number|null} supplierId - ID do fornecedor da nota (cadastro de fornecedores)
      */
-    async loadEditIngredients(supplierName = null) {
+    async loadEditIngredients(supplierId = null) {
         const cacheKey = 'ingredients:active:1000';
         const cached = cacheManager.get(cacheKey);
 
@@ -985,29 +1004,26 @@ export class ComprasManager {
         } else {
             try {
                 const response = await getIngredients({ page_size: 1000, status: 'active' });
-                allIngredients = Array.isArray(response.items) ? response.items : (Array.isArray(response) ? response : []);
-                cacheManager.set(cacheKey, allIngredients, 5 * 60 * 1000);
+                allIngredients = response.success && Array.isArray(response.data?.items) ? response.data.items : [];
+                if (allIngredients.length > 0) {
+                    cacheManager.set(cacheKey, allIngredients, 5 * 60 * 1000);
+                }
             } catch (error) {
                 allIngredients = [];
             }
         }
 
-        // ALTERAÇÃO: Garantir que allIngredients seja um array antes de usar filter
-        if (!Array.isArray(allIngredients)) {
-            allIngredients = [];
-        }
-
-        // ALTERAÇÃO: Filtrar ingredientes por fornecedor se fornecido (comparação case-insensitive)
-        if (supplierName && supplierName.trim() !== '') {
-            const normalizedSupplierName = supplierName.trim().toLowerCase();
-            this.editIngredients = allIngredients.filter(ing => {
-                if (!ing.supplier) return false;
-                const normalizedIngSupplier = ing.supplier.trim().toLowerCase();
-                return normalizedIngSupplier === normalizedSupplierName;
-            });
-        } else {
+        if (!supplierId) {
             this.editIngredients = allIngredients;
+            return;
         }
+
+        const response = await getSupplierIngredients(supplierId);
+        const linkedIds = new Set(response.success ? response.data.map(link => parseInt(link.ingredient_id, 10)) : []);
+        this.editIngredients = [
+            ...allIngredients.filter(ing => linkedIds.has(ing.id)),
+            ...allIngredients.filter(ing => !linkedIds.has(ing.id))
+        ];
     }
 
     /**
@@ -1225,7 +1241,7 @@ export class ComprasManager {
             const unitSpan = formWrapper.querySelector('.compra-item-unit');
 
             if (infoDiv) infoDiv.style.display = 'block';
-            if (unitSpan) unitSpan.textContent = this.normalizeUnit(ingredient.stock_unit || 'un').toUpperCase();
+            if (unitSpan) unitSpan.textContent = normalizeUnit(ingredient.stock_unit || 'un').toUpperCase();
         } catch (error) {
             showToast('Erro ao carregar informações do insumo', { type: 'error', title: 'Erro' });
         }
@@ -1328,9 +1344,9 @@ export class ComprasManager {
             }
         }
 
-        // ALTERAÇÃO: Converter quantidade da unidade de exibição para unidade base antes de salvar
+        // O banco armazena na unidade de estoque do insumo; a edição já é feita nessa unidade
         const stockUnit = ingredientData.stock_unit || 'un';
-        const baseQuantity = this.convertQuantityToBase(quantity, stockUnit);
+        const baseQuantity = quantity;
 
         // ALTERAÇÃO: Calcular unit_price na unidade de exibição (kg/L), não na unidade base (g/ml)
         // Isso evita valores muito pequenos (ex: 0.0399 por grama) que são arredondados incorretamente
@@ -1381,7 +1397,7 @@ export class ComprasManager {
                         <div class="compra-item-detalhes">
                             <div class="detalhe-item">
                                 <span class="detalhe-label">Quantidade:</span>
-                                <span class="detalhe-value">${this.formatQuantity(item.quantity, item.ingredient_data?.stock_unit || 'un')}</span>
+                                <span class="detalhe-value">${formatQuantity(item.quantity, item.ingredient_data?.stock_unit || 'un')}</span>
                             </div>
                             <div class="detalhe-item">
                                 <span class="detalhe-label">Valor:</span>
@@ -1490,7 +1506,7 @@ export class ComprasManager {
                         <div class="compra-item-info-row">
                             <div class="compra-info-item">
                                 <span class="info-label">Unidade:</span>
-                                <span class="info-value compra-item-unit" data-item-id="${newItemId}">${this.normalizeUnit(item.ingredient_data?.stock_unit || 'un').toUpperCase()}</span>
+                                <span class="info-value compra-item-unit" data-item-id="${newItemId}">${normalizeUnit(item.ingredient_data?.stock_unit || 'un').toUpperCase()}</span>
                             </div>
                         </div>
                     </div>
@@ -1502,11 +1518,11 @@ export class ComprasManager {
                                        data-item-id="${newItemId}" 
                                        step="0.001" 
                                        min="0" 
-                                       value="${this.getEditableQuantity(item.quantity, item.ingredient_data?.stock_unit || 'un')}"
+                                       value="${item.quantity}"
                                        required>
                                 <label class="active">Quantidade *</label>
                             </div>
-                            <small class="form-text">Quantidade comprada (${this.normalizeUnit(item.ingredient_data?.stock_unit || 'un').toUpperCase()})</small>
+                            <small class="form-text">Quantidade comprada (${normalizeUnit(item.ingredient_data?.stock_unit || 'un').toUpperCase()})</small>
                         </div>
                         <div class="form-field-wrapper">
                             <div class="div-input">
@@ -1573,144 +1589,6 @@ export class ComprasManager {
         }
     }
 
-    /**
-     * ALTERAÇÃO: Normaliza unidade de medida
-     */
-    normalizeUnit(unit) {
-        if (!unit) return 'un';
-        const u = unit.toLowerCase().trim();
-        if (u === 'kilogram' || u === 'kilograma') return 'kg';
-        if (u === 'gram' || u === 'grama') return 'g';
-        if (u === 'liter' || u === 'litro') return 'l';
-        if (u === 'milliliter' || u === 'mililitro') return 'ml';
-        if (u === 'unit' || u === 'unidade') return 'un';
-        return u;
-    }
-
-    /**
-     * ALTERAÇÃO: Formata quantidade com base na unidade de medida do ingrediente
-     * 
-     * REGRA CRÍTICA: O banco armazena na mesma unidade do ingrediente
-     * Se o ingrediente tem stock_unit = 'kg', o banco armazena em kg, não em gramas
-     * Portanto, NÃO deve converter dividindo por 1000 quando a unidade já é kg ou L
-     * 
-     * @param {number} quantity - Quantidade armazenada no banco (na mesma unidade do ingrediente)
-     * @param {string} stockUnit - Unidade de estoque do ingrediente (kg, g, L, ml, un)
-     * @returns {string} Quantidade formatada com unidade
-     */
-    formatQuantity(quantity, stockUnit) {
-        if (!quantity || quantity === 0) return '0';
-        
-        const normalizedUnit = this.normalizeUnit(stockUnit);
-        let displayQuantity = quantity;
-        let displayUnit = normalizedUnit;
-
-        // ALTERAÇÃO CRÍTICA: Não converter quando unidade já é kg ou L
-        // O banco armazena na mesma unidade do ingrediente
-        // Se stock_unit = 'kg', quantity já está em kg (não precisa dividir por 1000)
-        
-        // Apenas usar a quantidade como está - banco armazena na mesma unidade do ingrediente
-        displayQuantity = quantity;
-        displayUnit = normalizedUnit;
-
-        // ALTERAÇÃO: Formatar quantidade com decimais apropriados
-        let formattedQuantity;
-        if (displayUnit === 'kg' || displayUnit === 'L') {
-            // ALTERAÇÃO: Para kg e L, exibir com até 3 casas decimais se necessário
-            formattedQuantity = displayQuantity % 1 === 0 
-                ? displayQuantity.toFixed(0) 
-                : parseFloat(displayQuantity.toFixed(3)).toString();
-        } else if (displayUnit === 'g' || displayUnit === 'ml') {
-            // ALTERAÇÃO: Para g e ml, exibir com até 1 casa decimal se necessário
-            formattedQuantity = displayQuantity % 1 === 0 
-                ? displayQuantity.toFixed(0) 
-                : parseFloat(displayQuantity.toFixed(1)).toString();
-        } else {
-            // ALTERAÇÃO: Para unidades (un), exibir sem decimais ou com até 3 casas se necessário
-            formattedQuantity = displayQuantity % 1 === 0 
-                ? displayQuantity.toFixed(0) 
-                : parseFloat(displayQuantity.toFixed(3)).toString();
-        }
-
-        return `${formattedQuantity} ${displayUnit.toUpperCase()}`;
-    }
-
-    /**
-     * ALTERAÇÃO: Obtém quantidade editável para exibição em campos de input
-     * 
-     * REGRA CRÍTICA: O banco armazena na mesma unidade do ingrediente
-     * Se o ingrediente tem stock_unit = 'kg', o banco armazena em kg, não em gramas
-     * Portanto, NÃO deve converter dividindo por 1000 quando a unidade já é kg ou L
-     * 
-     * Usado para preencher campos de input ao editar itens
-     * @param {number} quantity - Quantidade armazenada no banco (na mesma unidade do ingrediente)
-     * @param {string} stockUnit - Unidade de estoque do ingrediente (kg, g, L, ml, un)
-     * @returns {number} Quantidade para exibição no input (na mesma unidade do ingrediente)
-     */
-    getEditableQuantity(quantity, stockUnit) {
-        if (!quantity || quantity === 0) return 0;
-        
-        const normalizedUnit = this.normalizeUnit(stockUnit);
-        
-        // ALTERAÇÃO CRÍTICA: Não converter quando unidade já é kg ou L
-        // O banco armazena na mesma unidade do ingrediente
-        // Se stock_unit = 'kg', quantity já está em kg (não precisa dividir por 1000)
-        
-        // Para kg, L, g, ml, un - quantidade já está na unidade correta
-        return quantity;
-    }
-
-    /**
-     * ALTERAÇÃO: Converte quantidade da unidade de exibição para unidade base
-     * Usado ao salvar itens (o usuário digita na unidade de exibição, mas o backend espera unidade base)
-     * 
-     * REGRA CRÍTICA: NÃO converter quando unidade compra = unidade insumo
-     * Se o ingrediente tem unidade base 'kg', o banco armazena em kg, não em gramas!
-     * 
-     * @param {number} quantity - Quantidade digitada pelo usuário (na unidade de exibição: kg, L, etc)
-     * @param {string} stockUnit - Unidade de estoque do ingrediente (kg, g, L, ml, un)
-     * @returns {number} Quantidade na unidade base do banco (mesma unidade do ingrediente)
-     */
-    convertQuantityToBase(quantity, stockUnit) {
-        if (!quantity || quantity === 0) return 0;
-        
-        const normalizedUnit = this.normalizeUnit(stockUnit);
-        
-        // ALTERAÇÃO CRÍTICA: O banco armazena na mesma unidade do ingrediente
-        // Se o ingrediente tem stock_unit = 'kg', o banco armazena em kg, NÃO em gramas
-        // Portanto, NÃO deve converter quando a unidade do ingrediente já é kg ou L
-        
-        // Para kg, L, g, ml, un - quantidade já está na unidade correta
-        // Não fazer conversão - o banco armazena na mesma unidade do ingrediente
-        return quantity;
-    }
-
-    /**
-     * ALTERAÇÃO: Converte preço unitário da unidade base para unidade de exibição
-     * O backend armazena unit_price na unidade base (por grama ou por ml)
-     * Mas na exibição, precisamos mostrar na unidade de exibição (por kg ou por L)
-     * @param {number} baseUnitPrice - Preço unitário na unidade base (por grama ou por ml)
-     * @param {string} stockUnit - Unidade de estoque do ingrediente (kg, g, L, ml, un)
-     * @returns {number} Preço unitário na unidade de exibição (por kg, L, g, ml ou un)
-     */
-    formatUnitPrice(baseUnitPrice, stockUnit) {
-        if (!baseUnitPrice || baseUnitPrice === 0) return 0;
-        
-        const normalizedUnit = this.normalizeUnit(stockUnit);
-        
-        // ALTERAÇÃO: Converter da unidade base para unidade de exibição
-        if (normalizedUnit === 'kg') {
-            // Preço está por grama, converter para por kg (multiplicar por 1000)
-            return baseUnitPrice * 1000;
-        } else if (normalizedUnit === 'l') {
-            // Preço está por ml, converter para por L (multiplicar por 1000)
-            return baseUnitPrice * 1000;
-        }
-        
-        // Para g, ml, un - preço já está na unidade correta
-        return baseUnitPrice;
-    }
-
     /**
      * Confirma exclusão de nota fiscal
      * ALTERAÇÃO: Novo método para exclusão
@@ -1883,20 +1761,18 @@ export class ComprasManager {
      * ALTERAÇÃO: Implementado para atualizar lista de compras quando há mudanças
      */
     setupRealtimeEvents() {
-        const client = getRealtimeClient();
-        
         // ALTERAÇÃO: Escutar eventos de compras criadas/atualizadas
-        client.on('purchase.created', async (data) => {
+        realtimeHub.subscribe(REALTIME_EVENTS.PURCHASE_CREATED, async (data) => {
             // Recarregar lista de compras
             await this.loadInvoices();
         });
 
-        client.on('purchase.updated', async (data) => {
+        realtimeHub.subscribe(REALTIME_EVENTS.PURCHASE_UPDATED, async (data) => {
             // Recarregar lista de compras quando atualizada
             await this.loadInvoices();
         });
 
-        client.on('purchase.deleted', async (data) => {
+        realtimeHub.subscribe(REALTIME_EVENTS.PURCHASE_DELETED, async (data) => {
             // Recarregar lista de compras quando excluída
             await this.loadInvoices();
         });
@@ -6,15 +6,37 @@
 import { abrirModal, fecharModal } from "../modais.js";
 import { showSuccess, showError } from "../alerts.js";
 import { getAllSettings, updateSettings } from "../../api/settings.js";
-import { getStoreHours, bulkUpdateStoreHours } from "../../api/store.js";
+import {
+  getStoreHours,
+  bulkUpdateStoreHours,
+  getStoreHourExceptions,
+  saveStoreHourException,
+  deleteStoreHourException,
+} from "../../api/store.js";
+import {
+  toDateKey,
+  fromDateKey,
+  getShiftsForDate,
+  formatShifts,
+} from "../../utils/store-hours-utils.js";
+import {
+  getDeliveryZones,
+  createDeliveryZone,
+  updateDeliveryZone,
+  deleteDeliveryZone,
+  validateDeliveryZone,
+  ZONE_TYPES,
+} from "../../api/delivery-zones.js";
 import { debounce } from "../../utils/performance-utils.js";
 import { escapeHTML } from "../../utils/html-sanitizer.js";
 import { gerenciarInputsEspecificos } from "../../utils.js";
 import {
   validateCNPJ,
+  validateCPF,
   validatePhone,
   validateEmail,
 } from "../../utils/validators.js";
+import { getPixKeyType, normalizePixKey } from "../../utils/pix-brcode.js";
 
 /**
  * Gerenciador de configurações
@@ -62,6 +84,9 @@ class ConfiguracoesManager {
 
       // Carregar horários de funcionamento
       await this.loadStoreHours();
+
+      // Carregar zonas de entrega
+      await this.loadDeliveryZones();
     } catch (error) {
       // Log apenas em desenvolvimento
       const isDev =
@@ -78,6 +103,8 @@ class ConfiguracoesManager {
    * Carregar horários de funcionamento da API
    */
   async loadStoreHours() {
+    await this.loadStoreHourExceptions();
+
     try {
       const result = await getStoreHours();
       if (result.success) {
@@ -143,6 +170,7 @@ class ConfiguracoesManager {
       "prazo-preparo-pedido": "prazo_preparo",
       "prazo-envio-pedido": "prazo_envio",
       "prazo-entrega-pedido": "prazo_entrega",
+      "antecedencia-agendados": "antecedencia_agendamento",
       "taxa-entrega": "taxa_entrega",
       "taxa-conversao-ganho-clube": "taxa_conversao_ganho_clube",
       "taxa-conversao-resgate-clube": "taxa_conversao_resgate_clube",
@@ -159,6 +187,9 @@ class ConfiguracoesManager {
       "endereco-empresa": "endereco",
       "telefone-empresa": "telefone",
       "email-empresa": "email",
+      "pix-chave": "pix_chave",
+      "pix-nome-recebedor": "pix_nome_recebedor",
+      "pix-cidade": "pix_cidade",
     };
     return keyMap[frontendKey] || frontendKey;
   }
@@ -513,10 +544,30 @@ class ConfiguracoesManager {
       modalHorarios: document.getElementById("modal-horarios-funcionamento"),
       tableBodyHorarios: document.getElementById("horarios-table-body"),
       btnSalvarHorarios: document.getElementById("btn-salvar-horarios"),
+      calendarioTitulo: document.getElementById("calendario-mes-titulo"),
+      calendarioGrid: document.getElementById("calendario-excecoes-grid"),
+      btnMesAnterior: document.getElementById("btn-mes-anterior"),
+      btnMesSeguinte: document.getElementById("btn-mes-seguinte"),
+      editorExcecao: document.getElementById("excecao-editor"),
+      // Modal de zonas de entrega
+      modalZonas: document.getElementById("modal-zonas-entrega"),
+      tableBodyZonas: document.getElementById("zonas-table-body"),
+      btnAdicionarZona: document.getElementById("btn-adicionar-zona"),
+      btnSalvarZonas: document.getElementById("btn-salvar-zonas"),
     };
 
     // Armazenar horários carregados
     this.storeHours = [];
+
+    // Datas especiais em edição e estado salvo (JSON por data) para detectar alterações
+    this.storeHourExceptions = [];
+    this.storeHourExceptionsOriginal = new Map();
+    this.exceptionsMonth = null;
+    this.selectedExceptionDate = null;
+
+    // Zonas de entrega em edição e IDs removidos aguardando salvar
+    this.deliveryZones = [];
+    this.deliveryZonesRemoved = [];
   }
 
   /**
@@ -664,6 +715,28 @@ class ConfiguracoesManager {
       },
     });
 
+    this.registerHandler("antecedencia-agendados", {
+      configKey: "antecedencia-agendados",
+      title: "Definir Antecedência de Agendados",
+      label: "Antecedência de pedidos agendados",
+      inputLabel: "Tempo (minutos)",
+      inputType: "number",
+      placeholder: "Digite o tempo em minutos (ex: 45)",
+      validator: (value) => {
+        const num = parseInt(value, 10);
+        return !isNaN(num) && num > 0;
+      },
+      formatter: (value) => {
+        return value ? `${value} min` : "";
+      },
+      parser: (value) => {
+        return value.replace(/\D/g, "");
+      },
+      onSave: async (value) => {
+        return await this.saveConfig("antecedencia_agendamento", parseInt(value, 10));
+      },
+    });
+
     // Configurações de Taxas
     this.registerHandler("taxa-entrega", {
       configKey: "taxa-entrega",
@@ -1143,6 +1216,57 @@ class ConfiguracoesManager {
         return await this.saveConfig("email", value.trim().toLowerCase());
       },
     });
+
+    // Recebimento por Pix (QR code e copia e cola gerados no checkout e nos detalhes do pedido)
+    this.registerHandler("pix-chave", {
+      configKey: "pix-chave",
+      title: "Definir Chave Pix",
+      label: "Chave Pix",
+      inputLabel: "Chave (CPF, CNPJ, e-mail, +55 telefone ou aleatória)",
+      inputType: "text",
+      placeholder: "Ex: 00.000.000/0000-00 ou +5511999998888",
+      validator: (value) => {
+        const type = getPixKeyType(value);
+        if (type === "cpf") return validateCPF(value.replace(/\D/g, "")).valid;
+        if (type === "cnpj") return validateCNPJ(value.replace(/\D/g, "")).valid;
+        return type !== null;
+      },
+      // Exibir como salvo: chaves numéricas não podem cair na formatação de número
+      formatter: (value) => value,
+      onSave: async (value) => {
+        return await this.saveConfig("pix_chave", normalizePixKey(value));
+      },
+    });
+
+    this.registerHandler("pix-nome-recebedor", {
+      configKey: "pix-nome-recebedor",
+      title: "Definir Nome do Recebedor Pix",
+      label: "Nome do recebedor Pix",
+      inputLabel: "Nome (até 25 caracteres)",
+      inputType: "text",
+      placeholder: "Nome do titular da chave",
+      validator: (value) => {
+        return value && value.trim().length > 0 && value.trim().length <= 25;
+      },
+      onSave: async (value) => {
+        return await this.saveConfig("pix_nome_recebedor", value.trim());
+      },
+    });
+
+    this.registerHandler("pix-cidade", {
+      configKey: "pix-cidade",
+      title: "Definir Cidade do Recebedor Pix",
+      label: "Cidade do recebedor Pix",
+      inputLabel: "Cidade (até 15 caracteres)",
+      inputType: "text",
+      placeholder: "Cidade do titular da chave",
+      validator: (value) => {
+        return value && value.trim().length > 0 && value.trim().length <= 15;
+      },
+      onSave: async (value) => {
+        return await this.saveConfig("pix_cidade", value.trim());
+      },
+    });
   }
 
   /**
@@ -1373,6 +1497,18 @@ class ConfiguracoesManager {
       );
     }
 
+    // Navegação do calendário de datas especiais
+    if (this.el.btnMesAnterior) {
+      this.el.btnMesAnterior.addEventListener("click", () =>
+        this.changeExceptionsMonth(-1)
+      );
+    }
+    if (this.el.btnMesSeguinte) {
+      this.el.btnMesSeguinte.addEventListener("click", () =>
+        this.changeExceptionsMonth(1)
+      );
+    }
+
     // Fechar modal de horários ao clicar no overlay
     if (this.el.modalHorarios) {
       const overlay = this.el.modalHorarios.querySelector(".div-overlay");
@@ -1380,6 +1516,24 @@ class ConfiguracoesManager {
         overlay.addEventListener("click", () => this.closeStoreHoursModal());
       }
     }
+
+    // Eventos da modal de zonas de entrega
+    if (this.el.btnAdicionarZona) {
+      this.el.btnAdicionarZona.addEventListener("click", () =>
+        this.addDeliveryZone()
+      );
+    }
+    if (this.el.btnSalvarZonas) {
+      this.el.btnSalvarZonas.addEventListener("click", () =>
+        this.handleSaveDeliveryZones()
+      );
+    }
+    if (this.el.modalZonas) {
+      const overlay = this.el.modalZonas.querySelector(".div-overlay");
+      if (overlay) {
+        overlay.addEventListener("click", () => this.closeDeliveryZonesModal());
+      }
+    }
   }
 
   /**
@@ -1460,6 +1614,22 @@ class ConfiguracoesManager {
         return;
       }
 
+      // Botão especial para Zonas de entrega (abre modal especial)
+      if (configLabel === "Zonas de entrega") {
+        if (!button) {
+          button = document.createElement("button");
+          button.textContent = "Gerenciar";
+          infoElement.appendChild(button);
+        }
+
+        const newButton = button.cloneNode(true);
+        button.parentNode.replaceChild(newButton, button);
+        newButton.addEventListener("click", () => {
+          this.openDeliveryZonesModal();
+        });
+        return;
+      }
+
       // Para outros elementos .info, criar botão "Definir" se não existir
       if (!button && configKey) {
         button = document.createElement("button");
@@ -1525,6 +1695,7 @@ class ConfiguracoesManager {
       "Prazo de preparo de pedido": "prazo-preparo-pedido",
       "Prazo de envio de pedido": "prazo-envio-pedido",
       "Prazo de entrega de pedido": "prazo-entrega-pedido",
+      "Antecedência de pedidos agendados": "antecedencia-agendados",
       "Taxa de entrega": "taxa-entrega",
       "Taxa de conversão de ganho do clube": "taxa-conversao-ganho-clube",
       "Taxa de conversão de resgate do clube": "taxa-conversao-resgate-clube",
@@ -1541,6 +1712,9 @@ class ConfiguracoesManager {
       Endereço: "endereco-empresa",
       Telefone: "telefone-empresa",
       "E-mail": "email-empresa",
+      "Chave Pix": "pix-chave",
+      "Nome do recebedor Pix": "pix-nome-recebedor",
+      "Cidade do recebedor Pix": "pix-cidade",
     };
 
     return labelMap[label] || null;
@@ -1909,6 +2083,14 @@ class ConfiguracoesManager {
         // Endereço: até 500 caracteres
         this.el.input.maxLength = "500";
         this.el.input.minLength = "1";
+      } else if (handler.configKey === "pix-chave") {
+        // Chave aleatória (EVP) tem 36 caracteres; e-mail até 77 no DICT
+        this.el.input.maxLength = "77";
+      } else if (handler.configKey === "pix-nome-recebedor") {
+        // Limites do BR Code (campos 59 e 60)
+        this.el.input.maxLength = "25";
+      } else if (handler.configKey === "pix-cidade") {
+        this.el.input.maxLength = "15";
       }
     } else if (handler.inputType === "email") {
       // Email: maxlength padrão
@@ -1964,6 +2146,9 @@ class ConfiguracoesManager {
       } else if (handler.configKey === "email-empresa") {
         validation = validateEmail(value);
         errorMessage = validation.message || "Digite um e-mail válido";
+      } else if (handler.configKey === "pix-chave") {
+        errorMessage =
+          "Chave Pix inválida. Use CPF, CNPJ, e-mail, telefone com +55 ou chave aleatória";
       } else if (handler.inputType === "number") {
         errorMessage = "Digite um valor válido";
       } else {
@@ -2083,6 +2268,34 @@ class ConfiguracoesManager {
    * Atualizar UI com horários de funcionamento carregados
    */
   updateStoreHoursUI() {
+    // Se há horários configurados, exibir resumo
+    const hasConfiguredHours =
+      this.storeHours &&
+      this.storeHours.some(
+        (h) => h.is_open && (h.opening_time || h.closing_time)
+      );
+
+    let summary = hasConfiguredHours ? this.formatStoreHoursSummary() : null;
+    const exceptionsCount = this.storeHourExceptions.length;
+    if (summary && exceptionsCount > 0) {
+      summary += ` | ${exceptionsCount} ${
+        exceptionsCount === 1 ? "data especial" : "datas especiais"
+      }`;
+    }
+
+    this.renderInfoSummary("Horário de funcionamento", summary, () =>
+      this.openStoreHoursModal()
+    );
+  }
+
+  /**
+   * Exibir resumo com ícone de edição no .valor de um elemento .info
+   * Usado pelas configurações gerenciadas em modal própria (horários, zonas de entrega)
+   * @param {string} label - Texto do .config que identifica o elemento
+   * @param {string|null} summary - Resumo a exibir (null mantém só o botão "Gerenciar")
+   * @param {Function} onEdit - Ação do ícone de edição
+   */
+  renderInfoSummary(label, summary, onEdit) {
     const secaoConfiguracoes = document.getElementById("secao-configuracoes");
     if (!secaoConfiguracoes) return;
 
@@ -2090,7 +2303,7 @@ class ConfiguracoesManager {
       secaoConfiguracoes.querySelectorAll(".info")
     ).find((el) => {
       const configLabel = el.querySelector(".config")?.textContent?.trim();
-      return configLabel === "Horário de funcionamento";
+      return configLabel === label;
     });
 
     if (!infoElement) return;
@@ -2098,17 +2311,7 @@ class ConfiguracoesManager {
     const valorDiv = infoElement.querySelector(".valor");
     if (!valorDiv) return;
 
-    // Se há horários configurados, exibir resumo
-    const hasConfiguredHours =
-      this.storeHours &&
-      this.storeHours.some(
-        (h) => h.is_open && (h.opening_time || h.closing_time)
-      );
-
-    if (hasConfiguredHours) {
-      // Criar resumo dos horários
-      const summary = this.formatStoreHoursSummary();
-
+    if (summary) {
       // Limpar e atualizar conteúdo
       while (valorDiv.firstChild) {
         valorDiv.removeChild(valorDiv.firstChild);
@@ -2134,9 +2337,7 @@ class ConfiguracoesManager {
       editIcon.style.color = "var(--color-texto-erased)";
       editIcon.style.fontSize = "0.85rem";
       editIcon.style.marginTop = "2px";
-      editIcon.addEventListener("click", () => {
-        this.openStoreHoursModal();
-      });
+      editIcon.addEventListener("click", onEdit);
       editIcon.addEventListener("mouseenter", () => {
         editIcon.style.color = "var(--color-texto-black)";
       });
@@ -2151,8 +2352,14 @@ class ConfiguracoesManager {
         button.remove();
       }
     } else {
-      // Não há horários configurados, mostrar botão "Gerenciar"
+      // Nada configurado, mostrar botão "Gerenciar"
       valorDiv.style.display = "none";
+      if (!infoElement.querySelector("button")) {
+        const button = document.createElement("button");
+        button.textContent = "Gerenciar";
+        button.addEventListener("click", onEdit);
+        infoElement.appendChild(button);
+      }
     }
   }
 
@@ -2217,8 +2424,13 @@ class ConfiguracoesManager {
     // Recarregar horários antes de abrir
     await this.loadStoreHours();
 
-    // Renderizar tabela
+    // Renderizar tabela e calendário de datas especiais
     this.renderStoreHoursTable();
+    const today = new Date();
+    this.exceptionsMonth = new Date(today.getFullYear(), today.getMonth(), 1);
+    this.selectedExceptionDate = null;
+    this.renderExceptionsCalendar();
+    this.renderExceptionEditor();
 
     // Abrir modal
     abrirModal("modal-horarios-funcionamento");
@@ -2404,6 +2616,390 @@ class ConfiguracoesManager {
     }
   }
 
+  /**
+   * Carregar datas especiais a partir de hoje (as passadas não afetam mais o funcionamento)
+   */
+  async loadStoreHourExceptions() {
+    const today = new Date();
+    const lastDay = new Date(today);
+    lastDay.setFullYear(lastDay.getFullYear() + 1);
+
+    const result = await getStoreHourExceptions({
+      from: toDateKey(today),
+      to: toDateKey(lastDay),
+    });
+
+    if (!result.success) {
+      // Log apenas em desenvolvimento
+      const isDev =
+        typeof process !== "undefined" &&
+        process.env?.NODE_ENV === "development";
+      if (isDev) {
+        console.warn("Erro ao carregar datas especiais:", result.error);
+      }
+      return;
+    }
+
+    this.storeHourExceptions = result.data
+      .map((exception) => this.toExceptionRow(exception))
+      .sort((a, b) => a.date.localeCompare(b.date));
+    this.storeHourExceptionsOriginal = new Map(
+      this.storeHourExceptions.map((e) => [e.date, JSON.stringify(e)])
+    );
+  }
+
+  /**
+   * Normalizar exceção da API para edição
+   * @param {Object} exception - Exceção retornada pela API
+   * @returns {Object} { date, is_closed, shifts, description }
+   */
+  toExceptionRow(exception = {}) {
+    return {
+      date: String(exception.date || "").slice(0, 10),
+      is_closed: exception.is_closed === true,
+      shifts: (exception.shifts || []).map((shift) => ({
+        opening_time: String(shift.opening_time || "").slice(0, 5),
+        closing_time: String(shift.closing_time || "").slice(0, 5),
+      })),
+      description: exception.description || "",
+    };
+  }
+
+  /**
+   * Formatar data da exceção para mensagens ("25/12")
+   * @param {string} dateKey - Data YYYY-MM-DD
+   * @returns {string} Data formatada
+   */
+  formatExceptionDate(dateKey) {
+    const date = fromDateKey(dateKey);
+    return date
+      ? date.toLocaleDateString("pt-BR", { day: "2-digit", month: "2-digit" })
+      : dateKey;
+  }
+
+  /**
+   * Navegar entre meses do calendário (não volta antes do mês atual)
+   * @param {number} delta - -1 para o mês anterior, 1 para o seguinte
+   */
+  changeExceptionsMonth(delta) {
+    if (!this.exceptionsMonth) return;
+    const today = new Date();
+    const currentMonth = new Date(today.getFullYear(), today.getMonth(), 1);
+    const next = new Date(
+      this.exceptionsMonth.getFullYear(),
+      this.exceptionsMonth.getMonth() + delta,
+      1
+    );
+    if (next < currentMonth) return;
+
+    this.exceptionsMonth = next;
+    this.renderExceptionsCalendar();
+  }
+
+  /**
+   * Renderizar calendário do mês com as datas especiais destacadas
+   */
+  renderExceptionsCalendar() {
+    if (!this.el.calendarioGrid || !this.exceptionsMonth) return;
+
+    const month = this.exceptionsMonth;
+    const todayKey = toDateKey(new Date());
+
+    if (this.el.calendarioTitulo) {
+      this.el.calendarioTitulo.textContent = month.toLocaleDateString("pt-BR", {
+        month: "long",
+        year: "numeric",
+      });
+    }
+    if (this.el.btnMesAnterior) {
+      const today = new Date();
+      this.el.btnMesAnterior.disabled =
+        month.getFullYear() === today.getFullYear() &&
+        month.getMonth() === today.getMonth();
+    }
+
+    const grid = this.el.calendarioGrid;
+    grid.innerHTML = "";
+
+    ["D", "S", "T", "Q", "Q", "S", "S"].forEach((label) => {
+      const header = document.createElement("span");
+      header.className = "calendario-semana";
+      header.textContent = label;
+      grid.appendChild(header);
+    });
+
+    // Espaços antes do dia 1 para alinhar com o dia da semana
+    for (let i = 0; i < month.getDay(); i++) {
+      grid.appendChild(document.createElement("span"));
+    }
+
+    const daysInMonth = new Date(
+      month.getFullYear(),
+      month.getMonth() + 1,
+      0
+    ).getDate();
+
+    for (let day = 1; day <= daysInMonth; day++) {
+      const dateKey = toDateKey(
+        new Date(month.getFullYear(), month.getMonth(), day)
+      );
+      const exception = this.storeHourExceptions.find((e) => e.date === dateKey);
+
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "calendario-dia";
+      button.textContent = String(day);
+      button.disabled = dateKey < todayKey;
+      if (exception) {
+        button.classList.add(exception.is_closed ? "fechado" : "especial");
+        button.title = exception.description || (exception.is_closed
+          ? "Fechado"
+          : formatShifts(exception.shifts));
+      }
+      if (dateKey === this.selectedExceptionDate) {
+        button.classList.add("selecionado");
+      }
+      button.addEventListener("click", () => {
+        this.selectedExceptionDate = dateKey;
+        this.renderExceptionsCalendar();
+        this.renderExceptionEditor();
+      });
+      grid.appendChild(button);
+    }
+  }
+
+  /**
+   * Renderizar editor da data selecionada no calendário
+   */
+  renderExceptionEditor() {
+    const editor = this.el.editorExcecao;
+    if (!editor) return;
+
+    editor.innerHTML = "";
+    const dateKey = this.selectedExceptionDate;
+    if (!dateKey) {
+      editor.style.display = "none";
+      return;
+    }
+    editor.style.display = "flex";
+
+    const date = fromDateKey(dateKey);
+    const title = document.createElement("p");
+    title.className = "excecao-titulo";
+    title.textContent = date.toLocaleDateString("pt-BR", {
+      weekday: "long",
+      day: "2-digit",
+      month: "long",
+    });
+    editor.appendChild(title);
+
+    const exception = this.storeHourExceptions.find((e) => e.date === dateKey);
+
+    if (!exception) {
+      const { shifts } = getShiftsForDate(this.storeHours, [], date);
+      const weekly = document.createElement("p");
+      weekly.className = "excecao-descricao";
+      weekly.textContent = shifts.length > 0
+        ? `Segue o horário semanal: ${formatShifts(shifts)}`
+        : "Segue o horário semanal: fechado";
+      editor.appendChild(weekly);
+
+      const btnCriar = document.createElement("button");
+      btnCriar.type = "button";
+      btnCriar.className = "btn-excecao";
+      btnCriar.innerHTML = '<i class="fa-solid fa-plus"></i> <span>Definir horário especial</span>';
+      btnCriar.addEventListener("click", () => {
+        // Parte do horário semanal do dia para facilitar ajustes (ex: estender o fechamento)
+        this.storeHourExceptions.push({
+          date: dateKey,
+          is_closed: shifts.length === 0,
+          shifts: shifts.length > 0
+            ? shifts.map((s) => ({ ...s }))
+            : [{ opening_time: "", closing_time: "" }],
+          description: "",
+        });
+        this.renderExceptionsCalendar();
+        this.renderExceptionEditor();
+      });
+      editor.appendChild(btnCriar);
+      return;
+    }
+
+    // Fechado o dia todo
+    const labelFechado = document.createElement("label");
+    labelFechado.className = "excecao-fechado";
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = exception.is_closed;
+    checkbox.addEventListener("change", (e) => {
+      exception.is_closed = e.target.checked;
+      if (!exception.is_closed && exception.shifts.length === 0) {
+        exception.shifts.push({ opening_time: "", closing_time: "" });
+      }
+      this.renderExceptionsCalendar();
+      this.renderExceptionEditor();
+    });
+    labelFechado.appendChild(checkbox);
+    labelFechado.appendChild(document.createTextNode(" Fechado o dia todo"));
+    editor.appendChild(labelFechado);
+
+    // Motivo exibido ao cliente
+    const descricao = document.createElement("input");
+    descricao.type = "text";
+    descricao.maxLength = 80;
+    descricao.placeholder = "Motivo exibido ao cliente (ex: Natal)";
+    descricao.value = exception.description;
+    descricao.addEventListener("input", (e) => {
+      exception.description = e.target.value;
+    });
+    editor.appendChild(descricao);
+
+    // Turnos (vários por dia permitem almoço e jantar)
+    if (!exception.is_closed) {
+      exception.shifts.forEach((shift, index) => {
+        const row = document.createElement("div");
+        row.className = "excecao-turno";
+
+        ["opening_time", "closing_time"].forEach((field) => {
+          const input = document.createElement("input");
+          input.type = "time";
+          input.value = shift[field] || "";
+          input.addEventListener("change", (e) => {
+            shift[field] = e.target.value;
+          });
+          row.appendChild(input);
+        });
+
+        if (exception.shifts.length > 1) {
+          const btnRemover = document.createElement("button");
+          btnRemover.type = "button";
+          btnRemover.className = "btn-remover-turno";
+          btnRemover.title = "Remover turno";
+          btnRemover.innerHTML = '<i class="fa-solid fa-trash"></i>';
+          btnRemover.addEventListener("click", () => {
+            exception.shifts.splice(index, 1);
+            this.renderExceptionEditor();
+          });
+          row.appendChild(btnRemover);
+        }
+
+        editor.appendChild(row);
+      });
+
+      const btnTurno = document.createElement("button");
+      btnTurno.type = "button";
+      btnTurno.className = "btn-excecao";
+      btnTurno.innerHTML = '<i class="fa-solid fa-plus"></i> <span>Adicionar turno</span>';
+      btnTurno.addEventListener("click", () => {
+        exception.shifts.push({ opening_time: "", closing_time: "" });
+        this.renderExceptionEditor();
+      });
+      editor.appendChild(btnTurno);
+    }
+
+    const btnRemoverExcecao = document.createElement("button");
+    btnRemoverExcecao.type = "button";
+    btnRemoverExcecao.className = "btn-excecao btn-remover-excecao";
+    btnRemoverExcecao.innerHTML = '<i class="fa-solid fa-rotate-left"></i> <span>Usar horário semanal</span>';
+    btnRemoverExcecao.addEventListener("click", () => {
+      this.storeHourExceptions = this.storeHourExceptions.filter(
+        (e) => e.date !== dateKey
+      );
+      this.renderExceptionsCalendar();
+      this.renderExceptionEditor();
+    });
+    editor.appendChild(btnRemoverExcecao);
+  }
+
+  /**
+   * Validar datas especiais
+   * Turnos completos e válidos, em ordem e sem sobreposição; apenas o último pode atravessar a meia-noite
+   * @returns {Array<string>} Mensagens de erro
+   */
+  validateStoreHourExceptions() {
+    const errors = [];
+
+    this.storeHourExceptions.forEach((exception) => {
+      if (exception.is_closed) return;
+
+      const label = this.formatExceptionDate(exception.date);
+      const shifts = exception.shifts || [];
+
+      if (shifts.length === 0) {
+        errors.push(`${label}: Informe ao menos um turno ou marque como fechado.`);
+        return;
+      }
+      if (shifts.some((s) => !s.opening_time || !s.closing_time)) {
+        errors.push(`${label}: Horários obrigatórios.`);
+        return;
+      }
+
+      const ranges = shifts
+        .map((s) => ({
+          opening: this.timeToMinutes(s.opening_time),
+          closing: this.timeToMinutes(s.closing_time),
+        }))
+        .sort((a, b) => a.opening - b.opening);
+
+      if (ranges.some((r) => !this.isValidShiftTime(r.opening, r.closing))) {
+        errors.push(`${label}: Horário inválido. Verifique os turnos.`);
+        return;
+      }
+
+      const overlaps = ranges.some((range, index) => {
+        const next = ranges[index + 1];
+        if (!next) return false;
+        const end = range.closing < range.opening ? range.closing + 1440 : range.closing;
+        return end > next.opening;
+      });
+      if (overlaps) {
+        errors.push(`${label}: Turnos sobrepostos.`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Salvar datas especiais alteradas e remover as excluídas
+   * @returns {Promise<Array<string>>} Datas (DD/MM) que não puderam ser salvas
+   */
+  async saveStoreHourExceptions() {
+    const currentDates = new Set(this.storeHourExceptions.map((e) => e.date));
+    const removed = Array.from(this.storeHourExceptionsOriginal.keys()).filter(
+      (date) => !currentDates.has(date)
+    );
+    const changed = this.storeHourExceptions.filter(
+      (e) => this.storeHourExceptionsOriginal.get(e.date) !== JSON.stringify(e)
+    );
+
+    const failedDates = [];
+    const results = await Promise.all([
+      ...removed.map(async (date) => ({
+        date,
+        removed: true,
+        result: await deleteStoreHourException(date),
+      })),
+      ...changed.map(async (exception) => ({
+        date: exception.date,
+        exception,
+        result: await saveStoreHourException(exception),
+      })),
+    ]);
+
+    results.forEach(({ date, removed: wasRemoved, exception, result }) => {
+      if (!result.success) {
+        failedDates.push(this.formatExceptionDate(date));
+      } else if (wasRemoved) {
+        this.storeHourExceptionsOriginal.delete(date);
+      } else {
+        this.storeHourExceptionsOriginal.set(date, JSON.stringify(exception));
+      }
+    });
+
+    return failedDates;
+  }
+
   /**
    * Salvar horários de funcionamento
    */
@@ -2435,6 +3031,15 @@ class ConfiguracoesManager {
       const result = await bulkUpdateStoreHours(hoursData);
 
       if (result.success) {
+        const failedDates = await this.saveStoreHourExceptions();
+        if (failedDates.length > 0) {
+          // Mantém a modal aberta com as datas que falharam para nova tentativa
+          showError(
+            `Horários semanais salvos, mas não foi possível salvar as datas especiais: ${failedDates.join(", ")}`
+          );
+          return;
+        }
+
         showSuccess("Horários de funcionamento salvos com sucesso!");
 
         // Recarregar horários
@@ -2471,62 +3076,10 @@ class ConfiguracoesManager {
         if (!day.opening_time || !day.closing_time) {
           missingTimes.push(day.day_name);
         } else {
-          const opening = this.timeToMinutes(day.opening_time);
-          const closing = this.timeToMinutes(day.closing_time);
-
-          // Validação permite horários que atravessam a meia-noite
-          // Exemplos válidos:
-          // - Horário normal: 10h abre, 22h fecha (opening < closing)
-          // - Atravessa meia-noite: 05h abre, 01h fecha (closing < opening, fecha até 12h do dia seguinte)
-          // - Atravessa meia-noite: 18h abre, 02h fecha (closing < opening, fecha até 12h do dia seguinte)
-
-          // Casos inválidos:
-          // - opening < closing mas closing < opening (impossível matematicamente, mas serve como checagem)
-          // - closing < opening mas closing > 720 (fecha muito tarde >12h após meia-noite) - provável erro
-          // - opening < closing mas closing < 360 (fecha antes das 6h no mesmo dia) - provável erro
-
-          // Validação principal
-          let isValid = false;
-
-          if (opening < closing) {
-            // Horário normal: abre e fecha no mesmo dia
-            // Fechamento deve ser após 6h (360min) para evitar casos como "10h abre, 8h fecha"
-            if (closing >= 360) {
-              isValid = true;
-            }
-          } else if (closing < opening) {
-            // Atravessa meia-noite: fecha no dia seguinte
-            // Exemplos válidos:
-            // - 05h abre, 01h fecha (abre 5h, fecha 1h do dia seguinte)
-            // - 18h abre, 02h fecha (abre 18h, fecha 2h do dia seguinte)
-            //
-            // Para ser válido:
-            // - Fechamento deve ser até 12h (720min) do dia seguinte
-            // - E (abertura >= 12h OU (abertura < 12h mas closing <= opening em valor absoluto))
-            //
-            // Isso permite casos como:
-            // - 05h-01h (válido: fecha cedo no dia seguinte)
-            // - 18h-02h (válido: fecha cedo no dia seguinte)
-            // Mas rejeita casos como:
-            // - 10h-08h (erro: 8h vem antes de 10h no mesmo dia)
-
-            if (closing <= 720) {
-              // Se abertura é após 12h, sempre válido (ex: 18h-02h)
-              if (opening >= 720) {
-                isValid = true;
-              }
-              // Se abertura é antes de 12h, verificar se fechamento é realmente do dia seguinte
-              // (closing < opening já garante isso, mas adicionar verificação extra para evitar erros)
-              else if (opening < 720 && closing < opening) {
-                // Permitir se fechamento é muito cedo (até 6h), indicando que fecha de madrugada
-                // E abertura é antes de fechamento em minutos, mas fechamento vem depois em horas do dia
-                if (closing <= 360) {
-                  // Fecha até 6h da manhã
-                  isValid = true;
-                }
-              }
-            }
-          }
+          const isValid = this.isValidShiftTime(
+            this.timeToMinutes(day.opening_time),
+            this.timeToMinutes(day.closing_time)
+          );
 
           if (!isValid) {
             invalidTimes.push(day.day_name);
@@ -2566,9 +3119,77 @@ class ConfiguracoesManager {
       }
     }
 
+    // Datas especiais (feriados, horários estendidos, turnos divididos)
+    errors.push(...this.validateStoreHourExceptions());
+
     return errors;
   }
 
+  /**
+   * Validar um turno (abertura e fechamento em minutos)
+   * Usado pela grade semanal e pelos turnos das datas especiais
+   * @param {number} opening - Abertura em minutos desde a meia-noite
+   * @param {number} closing - Fechamento em minutos desde a meia-noite
+   * @returns {boolean} True se o turno é válido
+   */
+  isValidShiftTime(opening, closing) {
+    // Validação permite horários que atravessam a meia-noite
+    // Exemplos válidos:
+    // - Horário normal: 10h abre, 22h fecha (opening < closing)
+    // - Atravessa meia-noite: 05h abre, 01h fecha (closing < opening, fecha até 12h do dia seguinte)
+    // - Atravessa meia-noite: 18h abre, 02h fecha (closing < opening, fecha até 12h do dia seguinte)
+
+    // Casos inválidos:
+    // - opening < closing mas closing < opening (impossível matematicamente, mas serve como checagem)
+    // - closing < opening mas closing > 720 (fecha muito tarde >12h após meia-noite) - provável erro
+    // - opening < closing mas closing < 360 (fecha antes das 6h no mesmo dia) - provável erro
+
+    // Validação principal
+    let isValid = false;
+
+    if (opening < closing) {
+      // Horário normal: abre e fecha no mesmo dia
+      // Fechamento deve ser após 6h (360min) para evitar casos como "10h abre, 8h fecha"
+      if (closing >= 360) {
+        isValid = true;
+      }
+    } else if (closing < opening) {
+      // Atravessa meia-noite: fecha no dia seguinte
+      // Exemplos válidos:
+      // - 05h abre, 01h fecha (abre 5h, fecha 1h do dia seguinte)
+      // - 18h abre, 02h fecha (abre 18h, fecha 2h do dia seguinte)
+      //
+      // Para ser válido:
+      // - Fechamento deve ser até 12h (720min) do dia seguinte
+      // - E (abertura >= 12h OU (abertura < 12h mas closing <= opening em valor absoluto))
+      //
+      // Isso permite casos como:
+      // - 05h-01h (válido: fecha cedo no dia seguinte)
+      // - 18h-02h (válido: fecha cedo no dia seguinte)
+      // Mas rejeita casos como:
+      // - 10h-08h (erro: 8h vem antes de 10h no mesmo dia)
+
+      if (closing <= 720) {
+        // Se abertura é após 12h, sempre válido (ex: 18h-02h)
+        if (opening >= 720) {
+          isValid = true;
+        }
+        // Se abertura é antes de 12h, verificar se fechamento é realmente do dia seguinte
+        // (closing < opening já garante isso, mas adicionar verificação extra para evitar erros)
+        else if (opening < 720 && closing < opening) {
+          // Permitir se fechamento é muito cedo (até 6h), indicando que fecha de madrugada
+          // E abertura é antes de fechamento em minutos, mas fechamento vem depois em horas do dia
+          if (closing <= 360) {
+            // Fecha até 6h da manhã
+            isValid = true;
+          }
+        }
+      }
+    }
+
+    return isValid;
+  }
+
   /**
    * Converter horário HH:MM para minutos
    */
@@ -2584,6 +3205,359 @@ class ConfiguracoesManager {
   closeStoreHoursModal() {
     fecharModal("modal-horarios-funcionamento");
   }
+
+  /**
+   * Carregar zonas de entrega da API (inclui inativas)
+   */
+  async loadDeliveryZones() {
+    const result = await getDeliveryZones({ includeInactive: true });
+    if (result.success) {
+      this.deliveryZones = result.data
+        .slice()
+        .sort((a, b) => (a.priority ?? 0) - (b.priority ?? 0))
+        .map((zone, index) => this.toZoneRow(zone, index));
+    } else {
+      // Log apenas em desenvolvimento
+      const isDev =
+        typeof process !== "undefined" &&
+        process.env?.NODE_ENV === "development";
+      if (isDev) {
+        console.warn("Erro ao carregar zonas de entrega:", result.error);
+      }
+      this.deliveryZones = [];
+    }
+    this.deliveryZonesRemoved = [];
+    this.updateDeliveryZonesUI();
+  }
+
+  /**
+   * Converter zona da API para a linha editável da tabela
+   * Guarda o payload original para enviar apenas zonas alteradas.
+   * @param {Object} zone - Zona da API (vazio para nova zona)
+   * @param {number} position - Posição na lista carregada
+   */
+  toZoneRow(zone = {}, position = 0) {
+    const row = {
+      id: zone.id || null,
+      name: zone.name || "",
+      type: zone.type || ZONE_TYPES.NEIGHBORHOOD,
+      cep_start: zone.cep_start || "",
+      cep_end: zone.cep_end || "",
+      neighborhoods: Array.isArray(zone.neighborhoods) ? zone.neighborhoods : [],
+      radius_km: zone.radius_km ?? "",
+      fee: zone.fee ?? "",
+      min_order_value: zone.min_order_value ?? "",
+      eta_minutes: zone.eta_minutes ?? "",
+      is_active: zone.is_active !== false,
+    };
+    row.original = zone.id
+      ? JSON.stringify(this.getZonePayload(row, position))
+      : null;
+    return row;
+  }
+
+  /**
+   * Montar payload da API a partir da linha da tabela
+   * @param {Object} row - Linha editável
+   * @param {number} priority - Posição da linha (zonas são avaliadas na ordem da lista)
+   */
+  getZonePayload(row, priority) {
+    const toNumberOrNull = (value) =>
+      value === "" || value === null || value === undefined
+        ? null
+        : Number(String(value).replace(",", "."));
+
+    return {
+      name: row.name.trim(),
+      type: row.type,
+      cep_start: row.cep_start,
+      cep_end: row.cep_end,
+      neighborhoods: row.neighborhoods,
+      radius_km: toNumberOrNull(row.radius_km),
+      fee: toNumberOrNull(row.fee) ?? 0,
+      min_order_value: toNumberOrNull(row.min_order_value),
+      eta_minutes: toNumberOrNull(row.eta_minutes),
+      is_active: row.is_active,
+      priority,
+    };
+  }
+
+  /**
+   * Atualizar resumo das zonas na seção de configurações
+   */
+  updateDeliveryZonesUI() {
+    const activeZones = (this.deliveryZones || []).filter((z) => z.id && z.is_active);
+    let summary = null;
+
+    if (activeZones.length > 0) {
+      const fees = activeZones.map((z) => Number(z.fee) || 0);
+      const format = (value) =>
+        value.toLocaleString("pt-BR", { style: "currency", currency: "BRL" });
+      const min = Math.min(...fees);
+      const max = Math.max(...fees);
+      const range = min === max ? format(min) : `${format(min)} a ${format(max)}`;
+      summary = `${activeZones.length} ${
+        activeZones.length === 1 ? "zona ativa" : "zonas ativas"
+      } | ${range}`;
+    }
+
+    this.renderInfoSummary("Zonas de entrega", summary, () =>
+      this.openDeliveryZonesModal()
+    );
+  }
+
+  /**
+   * Abrir modal de zonas de entrega
+   */
+  async openDeliveryZonesModal() {
+    if (!this.el.modalZonas || !this.el.tableBodyZonas) {
+      console.error("Elementos da modal de zonas de entrega não encontrados");
+      return;
+    }
+
+    // Recarregar zonas antes de abrir (descarta edições não salvas)
+    await this.loadDeliveryZones();
+    this.renderDeliveryZonesTable();
+
+    abrirModal("modal-zonas-entrega");
+
+    const inputs = this.el.modalZonas.querySelectorAll("input, select, textarea");
+    if (inputs.length > 0) {
+      gerenciarInputsEspecificos(inputs);
+    }
+  }
+
+  /**
+   * Criar input vinculado a um campo da linha
+   */
+  createZoneInput(row, field, { type = "text", placeholder = "", parse } = {}) {
+    const input = document.createElement("input");
+    input.type = type;
+    input.placeholder = placeholder;
+    input.value = Array.isArray(row[field]) ? row[field].join(", ") : row[field];
+    if (type === "number") {
+      input.min = "0";
+      input.step = "any";
+    }
+    input.addEventListener("input", (e) => {
+      row[field] = parse ? parse(e.target.value) : e.target.value;
+    });
+    return input;
+  }
+
+  /**
+   * Renderizar tabela de zonas de entrega
+   */
+  renderDeliveryZonesTable() {
+    if (!this.el.tableBodyZonas) return;
+
+    this.el.tableBodyZonas.innerHTML = "";
+
+    if (this.deliveryZones.length === 0) {
+      const row = document.createElement("tr");
+      const td = document.createElement("td");
+      td.colSpan = 8;
+      td.className = "zonas-vazio";
+      td.textContent =
+        "Nenhuma zona cadastrada. Sem zonas, a taxa de entrega única vale para qualquer endereço.";
+      row.appendChild(td);
+      this.el.tableBodyZonas.appendChild(row);
+      return;
+    }
+
+    const typeLabels = {
+      [ZONE_TYPES.NEIGHBORHOOD]: "Bairros",
+      [ZONE_TYPES.CEP_RANGE]: "Faixa de CEP",
+      [ZONE_TYPES.RADIUS]: "Raio (km)",
+    };
+
+    this.deliveryZones.forEach((zone, index) => {
+      const tr = document.createElement("tr");
+
+      // Nome
+      const tdNome = document.createElement("td");
+      tdNome.appendChild(
+        this.createZoneInput(zone, "name", { placeholder: "Ex: Centro" })
+      );
+      tr.appendChild(tdNome);
+
+      // Tipo
+      const tdTipo = document.createElement("td");
+      const select = document.createElement("select");
+      Object.entries(typeLabels).forEach(([value, label]) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = label;
+        option.selected = zone.type === value;
+        select.appendChild(option);
+      });
+      select.addEventListener("change", (e) => {
+        zone.type = e.target.value;
+        this.renderDeliveryZonesTable();
+      });
+      tdTipo.appendChild(select);
+      tr.appendChild(tdTipo);
+
+      // Área (depende do tipo)
+      const tdArea = document.createElement("td");
+      tdArea.className = "zona-area";
+      if (zone.type === ZONE_TYPES.CEP_RANGE) {
+        tdArea.appendChild(
+          this.createZoneInput(zone, "cep_start", { placeholder: "CEP inicial" })
+        );
+        tdArea.appendChild(
+          this.createZoneInput(zone, "cep_end", { placeholder: "CEP final" })
+        );
+      } else if (zone.type === ZONE_TYPES.RADIUS) {
+        tdArea.appendChild(
+          this.createZoneInput(zone, "radius_km", {
+            type: "number",
+            placeholder: "Até quantos km da loja",
+          })
+        );
+      } else {
+        tdArea.appendChild(
+          this.createZoneInput(zone, "neighborhoods", {
+            placeholder: "Bairros separados por vírgula",
+            parse: (value) => value.split(","),
+          })
+        );
+      }
+      tr.appendChild(tdArea);
+
+      // Taxa, pedido mínimo e prazo
+      [
+        ["fee", "0,00"],
+        ["min_order_value", "Sem mínimo"],
+        ["eta_minutes", "Padrão"],
+      ].forEach(([field, placeholder]) => {
+        const td = document.createElement("td");
+        td.appendChild(
+          this.createZoneInput(zone, field, { type: "number", placeholder })
+        );
+        tr.appendChild(td);
+      });
+
+      // Ativa
+      const tdAtiva = document.createElement("td");
+      tdAtiva.className = "checkbox-cell";
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = zone.is_active;
+      checkbox.addEventListener("change", (e) => {
+        zone.is_active = e.target.checked;
+      });
+      tdAtiva.appendChild(checkbox);
+      tr.appendChild(tdAtiva);
+
+      // Remover
+      const tdAcoes = document.createElement("td");
+      tdAcoes.className = "acoes-cell";
+      const btnRemover = document.createElement("button");
+      btnRemover.type = "button";
+      btnRemover.className = "btn-remover-zona";
+      btnRemover.title = "Remover zona";
+      btnRemover.innerHTML = '<i class="fa-solid fa-trash"></i>';
+      btnRemover.addEventListener("click", () => this.removeDeliveryZone(index));
+      tdAcoes.appendChild(btnRemover);
+      tr.appendChild(tdAcoes);
+
+      this.el.tableBodyZonas.appendChild(tr);
+    });
+  }
+
+  /**
+   * Adicionar nova linha de zona na tabela
+   */
+  addDeliveryZone() {
+    this.deliveryZones.push(this.toZoneRow());
+    this.renderDeliveryZonesTable();
+  }
+
+  /**
+   * Remover zona da tabela (a exclusão na API acontece ao salvar)
+   */
+  removeDeliveryZone(index) {
+    const [removed] = this.deliveryZones.splice(index, 1);
+    if (removed?.id) {
+      this.deliveryZonesRemoved.push(removed.id);
+    }
+    this.renderDeliveryZonesTable();
+  }
+
+  /**
+   * Salvar zonas de entrega (remove, atualiza alteradas e cria novas)
+   */
+  async handleSaveDeliveryZones() {
+    if (!this.el.btnSalvarZonas) return;
+
+    const payloads = this.deliveryZones.map((zone, index) =>
+      this.getZonePayload(zone, index)
+    );
+
+    // Validar todas as zonas antes de enviar qualquer alteração
+    const validationErrors = payloads
+      .map((payload, index) => {
+        const error = validateDeliveryZone(payload);
+        return error ? `${payload.name || `Zona ${index + 1}`}: ${error}` : null;
+      })
+      .filter(Boolean);
+    if (validationErrors.length > 0) {
+      showError(validationErrors.join("\n"));
+      return;
+    }
+
+    this.el.btnSalvarZonas.disabled = true;
+    const originalText = this.el.btnSalvarZonas.innerHTML;
+    this.el.btnSalvarZonas.innerHTML =
+      '<i class="fa-solid fa-spinner fa-spin"></i> <span>Salvando...</span>';
+
+    const failures = [];
+    try {
+      for (const zoneId of this.deliveryZonesRemoved) {
+        try {
+          await deleteDeliveryZone(zoneId);
+        } catch (error) {
+          failures.push(`Remoção da zona #${zoneId}: ${error.message}`);
+        }
+      }
+
+      for (let i = 0; i < this.deliveryZones.length; i++) {
+        const zone = this.deliveryZones[i];
+        const payload = payloads[i];
+        try {
+          if (!zone.id) {
+            await createDeliveryZone(payload);
+          } else if (JSON.stringify(payload) !== zone.original) {
+            await updateDeliveryZone(zone.id, payload);
+          }
+        } catch (error) {
+          failures.push(`${payload.name}: ${error.message}`);
+        }
+      }
+
+      if (failures.length === 0) {
+        showSuccess("Zonas de entrega salvas com sucesso!");
+        await this.loadDeliveryZones();
+        this.closeDeliveryZonesModal();
+      } else {
+        showError(failures.join("\n"));
+        // Recarregar para refletir o que foi salvo antes da falha
+        await this.loadDeliveryZones();
+        this.renderDeliveryZonesTable();
+      }
+    } finally {
+      this.el.btnSalvarZonas.disabled = false;
+      this.el.btnSalvarZonas.innerHTML = originalText;
+    }
+  }
+
+  /**
+   * Fechar modal de zonas de entrega
+   */
+  closeDeliveryZonesModal() {
+    fecharModal("modal-zonas-entrega");
+  }
 }
 
 // Inicializar quando DOM estiver pronto
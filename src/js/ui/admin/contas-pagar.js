@@ -11,7 +11,7 @@ import { formatDateForAPI } from '../../utils/date-formatter.js';
 // ALTERAÇÃO: Importar utilities compartilhadas para reduzir duplicação
 import { openRelatedEntityModal, refreshPurchasesIfNeeded } from '../../utils/financial-entity-utils.js';
 // ALTERAÇÃO: Importar cliente de eventos em tempo real
-import { getRealtimeClient } from '../../utils/realtime-events.js';
+import { realtimeHub, REALTIME_EVENTS } from '../../utils/realtime-hub.js';
 
 export class ContasPagarManager {
     constructor(containerId) {
@@ -481,14 +481,12 @@ export class ContasPagarManager {
      * ALTERAÇÃO: Implementado para atualizar contas a pagar quando há mudanças
      */
     setupRealtimeEvents() {
-        const client = getRealtimeClient();
-        
         // ALTERAÇÃO: Escutar eventos de compras criadas/atualizadas
-        client.on('purchase.created', async (data) => {
+        realtimeHub.subscribe(REALTIME_EVENTS.PURCHASE_CREATED, async (data) => {
             await this.loadPendingPayments();
         });
 
-        client.on('purchase.updated', async (data) => {
+        realtimeHub.subscribe(REALTIME_EVENTS.PURCHASE_UPDATED, async (data) => {
             // Se status de pagamento mudou, recarregar
             if (data.payment_status) {
                 await this.loadPendingPayments();
@@ -496,14 +494,14 @@ export class ContasPagarManager {
         });
 
         // ALTERAÇÃO: Escutar eventos de movimentações financeiras
-        client.on('financial_movement.created', async (data) => {
+        realtimeHub.subscribe(REALTIME_EVENTS.FINANCIAL_MOVEMENT_CREATED, async (data) => {
             // Se for despesa pendente, recarregar
             if (data.payment_status === 'Pending' && (data.type === 'EXPENSE' || data.type === 'TAX')) {
                 await this.loadPendingPayments();
             }
         });
 
-        client.on('financial_movement.payment_status_updated', async (data) => {
+        realtimeHub.subscribe(REALTIME_EVENTS.FINANCIAL_MOVEMENT_PAYMENT_STATUS_UPDATED, async (data) => {
             // Sempre recarregar quando status de pagamento muda
             await this.loadPendingPayments();
         });
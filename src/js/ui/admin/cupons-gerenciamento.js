@@ -0,0 +1,588 @@
+/**
+ * Módulo de Gerenciamento de Cupons
+ * Responsável pelo cadastro dos cupons de desconto usados no checkout
+ */
+
+import {
+    getCoupons,
+    getCouponById,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon,
+    COUPON_TYPES
+} from '../../api/coupons.js';
+
+import { showToast, showConfirm, toastFromApiError, toastFromApiSuccess } from '../alerts.js';
+import { abrirModal, fecharModal } from '../modais.js';
+import { escapeHTML } from '../../utils/html-sanitizer.js';
+import { debounce } from '../../utils/performance-utils.js';
+import { normalizePaginationResponse, getItemsFromResponse, getPaginationFromResponse } from '../../utils/pagination-utils.js';
+import { showLoadingOverlay, hideLoadingOverlay } from '../../utils/loading-indicator.js';
+
+const TIPO_LABELS = {
+    [COUPON_TYPES.PERCENTAGE]: 'Percentual',
+    [COUPON_TYPES.FIXED]: 'Valor fixo',
+    [COUPON_TYPES.FREE_DELIVERY]: 'Frete grátis'
+};
+
+/**
+ * Converte valor digitado em reais ("12,50") para número
+ */
+function parseReais(value) {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const numero = parseFloat(String(value).replace(/[^\d,.-]/g, '').replace(/\./g, '').replace(',', '.'));
+    return Number.isFinite(numero) ? numero : NaN;
+}
+
+/**
+ * Converte inteiro opcional (limites de uso); vazio significa ilimitado
+ */
+function parseLimite(value) {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const numero = parseInt(value, 10);
+    return Number.isFinite(numero) ? numero : NaN;
+}
+
+function formatReais(value) {
+    return `R$ ${(parseFloat(value) || 0).toFixed(2).replace('.', ',')}`;
+}
+
+/**
+ * Formata data vinda do backend para o input datetime-local (mesma convenção das promoções)
+ */
+function toDateTimeLocal(value) {
+    if (!value) return '';
+    if (typeof value === 'string') {
+        return value.split('.')[0].split('+')[0].split('Z')[0].slice(0, 16);
+    }
+    const date = new Date(value);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function formatDataHora(value) {
+    return new Date(value).toLocaleString('pt-BR', {
+        day: '2-digit',
+        month: '2-digit',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+/**
+ * Gerenciador de interface de cupons
+ */
+class CupomManager {
+    constructor() {
+        this.currentCupomId = null;
+        this.cupons = [];
+        this.eventListeners = [];
+        this.filtroStatus = '';
+        this.termoBusca = '';
+        this.currentPage = 1;
+        this.pageSize = 20;
+        this.totalPages = 1;
+        this.totalItems = 0;
+        this.isLoading = false;
+    }
+
+    /**
+     * Inicializa o módulo
+     */
+    async init() {
+        try {
+            this.setupEventListeners();
+            await this.loadCupons();
+        } catch (error) {
+            if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+                console.error('Erro ao inicializar módulo de cupons:', error);
+            }
+            showToast('Erro ao carregar cupons', { type: 'error' });
+        }
+    }
+
+    /**
+     * Carrega cupons com paginação e filtros da API
+     */
+    async loadCupons() {
+        if (this.isLoading) return;
+
+        try {
+            this.isLoading = true;
+            showLoadingOverlay('#secao-cupons .promocoes-container', 'cupons-loading', 'Carregando cupons...');
+
+            const options = {
+                page: this.currentPage,
+                page_size: this.pageSize
+            };
+            if (this.termoBusca) options.search = this.termoBusca;
+            if (this.filtroStatus) options.status = this.filtroStatus;
+
+            const result = await getCoupons(options);
+            if (!result.success) {
+                throw new Error(result.error || 'Erro ao buscar cupons');
+            }
+
+            const normalizedResponse = normalizePaginationResponse(result.data, 'items');
+            this.cupons = getItemsFromResponse(normalizedResponse);
+            const paginationInfo = getPaginationFromResponse(normalizedResponse);
+            this.totalPages = paginationInfo.total_pages || 1;
+            this.totalItems = paginationInfo.total || 0;
+
+            this.renderCupons();
+            this.renderPagination();
+        } catch (error) {
+            if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+                console.error('Erro ao carregar cupons:', error);
+            }
+            this.cupons = [];
+            this.renderCupons();
+        } finally {
+            this.isLoading = false;
+            hideLoadingOverlay('cupons-loading');
+        }
+    }
+
+    /**
+     * Configura event listeners
+     */
+    setupEventListeners() {
+        this.removeEventListeners();
+
+        const addListener = (element, event, handler) => {
+            if (!element) return;
+            element.addEventListener(event, handler);
+            this.eventListeners.push({ element, event, handler });
+        };
+
+        addListener(document.getElementById('btn-novo-cupom'), 'click', () => this.openModal());
+
+        addListener(document.getElementById('busca-cupom'), 'input', debounce(async (e) => {
+            this.termoBusca = e.target.value.trim();
+            this.currentPage = 1;
+            await this.loadCupons();
+        }, 300));
+
+        addListener(document.getElementById('filtro-status-cupom'), 'change', async (e) => {
+            this.filtroStatus = e.target.value;
+            this.currentPage = 1;
+            await this.loadCupons();
+        });
+
+        // Modal
+        addListener(document.getElementById('cancelar-cupom'), 'click', () => this.closeModal());
+        addListener(document.getElementById('salvar-cupom'), 'click', () => this.saveCupom());
+        document.querySelectorAll('input[name="tipo-cupom"]').forEach(radio => {
+            addListener(radio, 'change', (e) => this.handleTipoChange(e.target.value));
+        });
+
+        // Event delegation para botões dos cards
+        addListener(document.getElementById('cupons-list'), 'click', (e) => {
+            const card = e.target.closest('.promocao-card');
+            if (!card) return;
+            const cupomId = parseInt(card.dataset.cupomId, 10);
+            if (e.target.closest('.btn-editar-promocao')) {
+                this.handleEditarCupom(cupomId);
+            } else if (e.target.closest('.btn-excluir-promocao')) {
+                this.handleExcluirCupom(cupomId);
+            }
+        });
+    }
+
+    /**
+     * Remove event listeners existentes
+     */
+    removeEventListeners() {
+        if (this.eventListeners) {
+            this.eventListeners.forEach(({ element, event, handler }) => {
+                element.removeEventListener(event, handler);
+            });
+            this.eventListeners = [];
+        }
+    }
+
+    /**
+     * Cleanup ao sair da seção
+     */
+    cleanup() {
+        this.removeEventListeners();
+    }
+
+    /**
+     * Status exibido no card (inativo > expirado > esgotado > agendado > ativo)
+     */
+    getStatus(cupom) {
+        const now = new Date();
+        if (cupom.is_active === false) return { classe: 'expirada', texto: 'Inativo' };
+        if (cupom.expires_at && new Date(cupom.expires_at) <= now) return { classe: 'expirada', texto: 'Expirado' };
+        if (cupom.usage_limit && (cupom.times_used || 0) >= cupom.usage_limit) return { classe: 'expirada', texto: 'Esgotado' };
+        if (cupom.starts_at && new Date(cupom.starts_at) > now) return { classe: 'agendada', texto: 'Agendado' };
+        return { classe: 'ativa', texto: 'Ativo' };
+    }
+
+    getDescontoTexto(cupom) {
+        if (cupom.discount_type === COUPON_TYPES.PERCENTAGE) {
+            const teto = parseFloat(cupom.max_discount) > 0 ? ` (até ${formatReais(cupom.max_discount)})` : '';
+            return `${parseFloat(cupom.discount_value)}% OFF${teto}`;
+        }
+        if (cupom.discount_type === COUPON_TYPES.FIXED) {
+            return `${formatReais(cupom.discount_value)} OFF`;
+        }
+        return 'Frete grátis';
+    }
+
+    /**
+     * Renderiza lista de cupons
+     */
+    renderCupons() {
+        const container = document.getElementById('cupons-list');
+        if (!container) return;
+
+        if (this.cupons.length === 0) {
+            container.innerHTML = `
+                <div style="text-align: center; padding: 40px; color: #666;">
+                    <i class="fa-solid fa-ticket" style="font-size: 48px; margin-bottom: 16px; opacity: 0.3;"></i>
+                    <p style="font-size: 16px;">Nenhum cupom encontrado</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = this.cupons.map(cupom => this.createCupomCard(cupom)).join('');
+    }
+
+    /**
+     * Cria card de cupom (reaproveita o layout dos cards de promoção)
+     */
+    createCupomCard(cupom) {
+        const status = this.getStatus(cupom);
+        const usos = cupom.usage_limit
+            ? `${cupom.times_used || 0} de ${cupom.usage_limit}`
+            : `${cupom.times_used || 0} (ilimitado)`;
+        const porCliente = cupom.usage_limit_per_user
+            ? `${cupom.usage_limit_per_user} por cliente`
+            : 'Sem limite por cliente';
+        const minimo = parseFloat(cupom.min_order_value) > 0
+            ? `Pedido mínimo ${formatReais(cupom.min_order_value)}`
+            : 'Sem pedido mínimo';
+        const validade = [
+            cupom.starts_at ? `De ${formatDataHora(cupom.starts_at)}` : null,
+            cupom.expires_at ? `até ${formatDataHora(cupom.expires_at)}` : 'sem expiração'
+        ].filter(Boolean).join(' ');
+
+        return `
+            <div class="promocao-card cupom-card" data-cupom-id="${cupom.id}">
+                <div class="promocao-header">
+                    <div class="promocao-info">
+                        <h3>${escapeHTML(cupom.code)}</h3>
+                        <span class="status-badge ${status.classe}">${status.texto}</span>
+                    </div>
+                    <div class="promocao-actions">
+                        <button class="btn-editar-promocao" title="Editar cupom">
+                            <i class="fa-solid fa-edit"></i>
+                        </button>
+                        <button class="btn-excluir-promocao" title="Excluir cupom">
+                            <i class="fa-solid fa-trash"></i>
+                        </button>
+                    </div>
+                </div>
+                <div class="promocao-body">
+                    <div class="desconto-badge">
+                        <i class="fa-solid fa-ticket"></i>
+                        ${escapeHTML(this.getDescontoTexto(cupom))}
+                    </div>
+                    <div class="promocao-detalhes">
+                        <div class="detalhe-item">
+                            <i class="fa-solid fa-cart-shopping"></i>
+                            <span>${minimo}</span>
+                        </div>
+                        <div class="detalhe-item">
+                            <i class="fa-solid fa-users"></i>
+                            <span>Usos: ${usos} · ${porCliente}</span>
+                        </div>
+                        <div class="detalhe-item">
+                            <i class="fa-solid fa-calendar"></i>
+                            <span>${validade}</span>
+                        </div>
+                        <div class="detalhe-item">
+                            <i class="fa-solid fa-crown"></i>
+                            <span>${cupom.stackable_with_points === false ? 'Não acumula com Pontos Royal' : 'Acumula com Pontos Royal'}</span>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Renderiza controles de paginação
+     */
+    renderPagination() {
+        const container = document.getElementById('cupons-list');
+        if (!container) return;
+
+        const existingPagination = container.parentElement.querySelector('.pagination');
+        if (existingPagination) {
+            existingPagination.remove();
+        }
+
+        if (this.totalItems === 0) {
+            return;
+        }
+
+        const startItem = (this.currentPage - 1) * this.pageSize + 1;
+        const endItem = Math.min(this.currentPage * this.pageSize, this.totalItems);
+
+        const pagination = document.createElement('div');
+        pagination.className = 'pagination';
+        pagination.innerHTML = `
+      <div class="pagination-wrapper">
+        <div class="pagination-info">
+          <span class="pagination-text">
+            Mostrando <strong>${startItem}-${endItem}</strong> de <strong>${this.totalItems}</strong> cupons
+          </span>
+          ${this.totalPages > 1 ? `<span class="pagination-page-info">Página ${this.currentPage} de ${this.totalPages}</span>` : ''}
+        </div>
+        ${this.totalPages > 1 ? `
+        <div class="pagination-controls">
+          <button class="pagination-btn pagination-btn-nav" ${this.currentPage === 1 ? 'disabled' : ''} data-page="prev" title="Página anterior">
+            <i class="fa-solid fa-chevron-left"></i>
+            <span>Anterior</span>
+          </button>
+          <button class="pagination-btn pagination-btn-nav" ${this.currentPage === this.totalPages ? 'disabled' : ''} data-page="next" title="Próxima página">
+            <span>Próxima</span>
+            <i class="fa-solid fa-chevron-right"></i>
+          </button>
+        </div>
+        ` : ''}
+      </div>
+    `;
+
+        pagination.addEventListener('click', async (e) => {
+            const target = e.target.closest('.pagination-btn');
+            if (!target || target.disabled || this.isLoading) return;
+
+            if (target.dataset.page === 'prev' && this.currentPage > 1) {
+                this.currentPage -= 1;
+            } else if (target.dataset.page === 'next' && this.currentPage < this.totalPages) {
+                this.currentPage += 1;
+            } else {
+                return;
+            }
+
+            await this.loadCupons();
+            document.getElementById('secao-cupons')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        });
+
+        container.parentElement.appendChild(pagination);
+    }
+
+    /**
+     * Abre modal para editar cupom
+     */
+    async handleEditarCupom(cupomId) {
+        try {
+            const cupom = await getCouponById(cupomId);
+            await this.openModal(cupom);
+        } catch (error) {
+            if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+                console.error('Erro ao carregar cupom:', error);
+            }
+            toastFromApiError(error, 'Erro ao carregar dados do cupom');
+        }
+    }
+
+    /**
+     * Exclui cupom
+     */
+    async handleExcluirCupom(cupomId) {
+        const cupom = this.cupons.find(c => c.id === cupomId);
+        if (!cupom) return;
+
+        const confirmed = await showConfirm({
+            title: 'Excluir Cupom',
+            message: `Tem certeza que deseja excluir o cupom "${cupom.code}"?`,
+            confirmText: 'Excluir',
+            cancelText: 'Cancelar'
+        });
+
+        if (!confirmed) return;
+
+        try {
+            const response = await deleteCoupon(cupomId);
+            toastFromApiSuccess(response, 'Cupom excluído com sucesso');
+            await this.loadCupons();
+        } catch (error) {
+            if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+                console.error('Erro ao excluir cupom:', error);
+            }
+            toastFromApiError(error, 'Erro ao excluir cupom');
+        }
+    }
+
+    /**
+     * Abre modal (novo cupom quando cupom = null)
+     */
+    async openModal(cupom = null) {
+        const modal = document.getElementById('modal-cupom');
+        if (!modal) return;
+
+        this.currentCupomId = cupom ? cupom.id : null;
+
+        const field = (id) => document.getElementById(id);
+        const titulo = field('titulo-modal-cupom');
+        const textoBotao = field('texto-botao-cupom');
+
+        if (titulo) titulo.textContent = cupom ? 'Editar Cupom' : 'Adicionar Cupom';
+        if (textoBotao) textoBotao.textContent = cupom ? 'Salvar' : 'Adicionar';
+
+        const tipo = cupom?.discount_type || COUPON_TYPES.PERCENTAGE;
+        const radio = document.querySelector(`input[name="tipo-cupom"][value="${tipo}"]`);
+        if (radio) radio.checked = true;
+        this.handleTipoChange(tipo);
+
+        const valor = cupom && tipo !== COUPON_TYPES.FREE_DELIVERY ? parseFloat(cupom.discount_value) : null;
+        const reais = (v) => (parseFloat(v) > 0 ? parseFloat(v).toFixed(2).replace('.', ',') : '');
+
+        if (field('codigo-cupom')) field('codigo-cupom').value = cupom?.code || '';
+        if (field('valor-cupom')) {
+            field('valor-cupom').value = valor === null ? ''
+                : tipo === COUPON_TYPES.PERCENTAGE ? String(valor).replace('.', ',') : reais(valor);
+        }
+        if (field('teto-cupom')) field('teto-cupom').value = reais(cupom?.max_discount);
+        if (field('minimo-cupom')) field('minimo-cupom').value = reais(cupom?.min_order_value);
+        if (field('limite-total-cupom')) field('limite-total-cupom').value = cupom?.usage_limit || '';
+        if (field('limite-cliente-cupom')) field('limite-cliente-cupom').value = cupom?.usage_limit_per_user || '';
+        if (field('inicio-cupom')) field('inicio-cupom').value = toDateTimeLocal(cupom?.starts_at);
+        if (field('expiracao-cupom')) field('expiracao-cupom').value = toDateTimeLocal(cupom?.expires_at);
+        if (field('acumula-pontos-cupom')) field('acumula-pontos-cupom').checked = cupom ? cupom.stackable_with_points !== false : true;
+        if (field('ativo-cupom')) field('ativo-cupom').checked = cupom ? cupom.is_active !== false : true;
+
+        abrirModal('modal-cupom');
+    }
+
+    /**
+     * Fecha modal
+     */
+    closeModal() {
+        fecharModal('modal-cupom');
+        this.currentCupomId = null;
+    }
+
+    /**
+     * Ajusta campos conforme o tipo de desconto
+     */
+    handleTipoChange(tipo) {
+        const divValor = document.getElementById('div-valor-cupom');
+        const divTeto = document.getElementById('div-teto-cupom');
+        const labelValor = document.querySelector('label[for="valor-cupom"]');
+
+        if (divValor) divValor.style.display = tipo === COUPON_TYPES.FREE_DELIVERY ? 'none' : 'flex';
+        if (divTeto) divTeto.style.display = tipo === COUPON_TYPES.PERCENTAGE ? 'flex' : 'none';
+        if (labelValor) {
+            labelValor.textContent = tipo === COUPON_TYPES.PERCENTAGE ? 'Desconto (%) *' : 'Desconto (R$) *';
+        }
+    }
+
+    /**
+     * Lê e valida o formulário; retorna null se houver erro (já exibido ao usuário)
+     */
+    collectFormData() {
+        const field = (id) => document.getElementById(id);
+        const tipo = document.querySelector('input[name="tipo-cupom"]:checked')?.value;
+
+        const cupomData = {
+            code: field('codigo-cupom')?.value || '',
+            discount_type: tipo,
+            discount_value: null,
+            max_discount: null,
+            min_order_value: parseReais(field('minimo-cupom')?.value),
+            usage_limit: parseLimite(field('limite-total-cupom')?.value),
+            usage_limit_per_user: parseLimite(field('limite-cliente-cupom')?.value),
+            starts_at: field('inicio-cupom')?.value ? `${field('inicio-cupom').value}:00Z` : null,
+            expires_at: field('expiracao-cupom')?.value ? `${field('expiracao-cupom').value}:00Z` : null,
+            stackable_with_points: !!field('acumula-pontos-cupom')?.checked,
+            is_active: !!field('ativo-cupom')?.checked
+        };
+
+        if (tipo !== COUPON_TYPES.FREE_DELIVERY) {
+            cupomData.discount_value = parseReais(field('valor-cupom')?.value);
+            if (cupomData.discount_value === null || Number.isNaN(cupomData.discount_value)) {
+                showToast('Informe o valor do desconto', { type: 'error' });
+                field('valor-cupom')?.focus();
+                return null;
+            }
+        }
+
+        if (tipo === COUPON_TYPES.PERCENTAGE) {
+            cupomData.max_discount = parseReais(field('teto-cupom')?.value);
+        }
+
+        const numericos = [
+            ['max_discount', 'Teto de desconto inválido'],
+            ['min_order_value', 'Pedido mínimo inválido'],
+            ['usage_limit', 'Limite total de usos inválido'],
+            ['usage_limit_per_user', 'Limite de usos por cliente inválido']
+        ];
+        for (const [campo, mensagem] of numericos) {
+            const valor = cupomData[campo];
+            if (valor !== null && (Number.isNaN(valor) || valor < 0)) {
+                showToast(mensagem, { type: 'error' });
+                return null;
+            }
+        }
+
+        return cupomData;
+    }
+
+    /**
+     * Salva cupom (criação ou edição)
+     */
+    async saveCupom() {
+        const cupomData = this.collectFormData();
+        if (!cupomData) return;
+
+        try {
+            let response;
+            if (this.currentCupomId) {
+                response = await updateCoupon(this.currentCupomId, cupomData);
+                toastFromApiSuccess(response, 'Cupom atualizado com sucesso');
+            } else {
+                response = await createCoupon(cupomData);
+                toastFromApiSuccess(response, 'Cupom criado com sucesso');
+            }
+
+            this.closeModal();
+            await this.loadCupons();
+        } catch (error) {
+            if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+                console.error('Erro ao salvar cupom:', error);
+            }
+            // Código duplicado (409) ou validações locais de coupons.js
+            toastFromApiError(error, 'Erro ao salvar cupom');
+        }
+    }
+}
+
+// Instância global do gerenciador
+let cupomManager = null;
+
+/**
+ * Inicializa o módulo quando a seção de cupons é exibida
+ */
+export async function initCuponsManager() {
+    if (!cupomManager) {
+        cupomManager = new CupomManager();
+    }
+    await cupomManager.init();
+}
+
+/**
+ * Libera listeners ao sair da seção
+ */
+export function cleanupCuponsManager() {
+    if (cupomManager) {
+        cupomManager.cleanup();
+    }
+}
@@ -8,11 +8,10 @@ import { showToast } from '../alerts.js';
 import { renderFinancialMovementCards } from '../components/financial-card.js';
 import { cacheManager } from '../../utils/cache-manager.js';
 import { formatDateForAPI } from '../../utils/date-formatter.js';
-import { socketService } from '../../api/socket-client.js';
 // ALTERAÇÃO: Import adicionado para corrigir erro de função não definida
 import { openRelatedEntityModal } from '../../utils/financial-entity-utils.js';
 // ALTERAÇÃO: Import adicionado para eventos em tempo real
-import { getRealtimeClient } from '../../utils/realtime-events.js';
+import { realtimeHub, REALTIME_EVENTS } from '../../utils/realtime-hub.js';
 
 export class FinancialDashboard {
     constructor(containerId) {
@@ -619,7 +618,7 @@ export class FinancialDashboard {
      */
     setupSocketListeners() {
         // Ouve novo pedido para atualizar métricas
-        socketService.on('order.created', (data) => {
+        realtimeHub.subscribe(REALTIME_EVENTS.ORDER_CREATED, (data) => {
             // ALTERAÇÃO: Removido console.log - log desnecessário em produção
             
             // Atualiza contador de pedidos (IDs do HTML: dashboard-pedidos-hoje)
@@ -670,7 +669,7 @@ export class FinancialDashboard {
         });
 
         // Ouve mudança de status de pedido (pode afetar métricas)
-        socketService.on('order.status_changed', (data) => {
+        realtimeHub.subscribe(REALTIME_EVENTS.ORDER_STATUS_CHANGED, (data) => {
             // Se o pedido foi concluído, pode atualizar receita
             if (data.new_status === 'delivered' || data.new_status === 'completed') {
                 // Recarrega dados após um pequeno delay
@@ -748,24 +747,22 @@ export class FinancialDashboard {
      * ALTERAÇÃO: Implementado para atualizar dashboard quando há mudanças
      */
     setupRealtimeEvents() {
-        const client = getRealtimeClient();
-        
         // ALTERAÇÃO: Escutar eventos de compras criadas/atualizadas/excluídas
-        client.on('purchase.created', async (data) => {
+        realtimeHub.subscribe(REALTIME_EVENTS.PURCHASE_CREATED, async (data) => {
             // Invalidar cache e recarregar dados
             cacheManager.delete(`dashboard_summary_${this.currentPeriod}_${this.includePending}`);
             await this.loadData();
             await this.loadRecentMovements();
         });
 
-        client.on('purchase.updated', async (data) => {
+        realtimeHub.subscribe(REALTIME_EVENTS.PURCHASE_UPDATED, async (data) => {
             // Invalidar cache e recarregar dados
             cacheManager.delete(`dashboard_summary_${this.currentPeriod}_${this.includePending}`);
             await this.loadData();
             await this.loadRecentMovements();
         });
 
-        client.on('purchase.deleted', async (data) => {
+        realtimeHub.subscribe(REALTIME_EVENTS.PURCHASE_DELETED, async (data) => {
             // Invalidar cache e recarregar dados
             cacheManager.delete(`dashboard_summary_${this.currentPeriod}_${this.includePending}`);
             await this.loadData();
@@ -773,28 +770,28 @@ export class FinancialDashboard {
         });
 
         // ALTERAÇÃO: Escutar eventos de movimentações financeiras (criadas/atualizadas/excluídas)
-        client.on('financial_movement.created', async (data) => {
+        realtimeHub.subscribe(REALTIME_EVENTS.FINANCIAL_MOVEMENT_CREATED, async (data) => {
             // Invalidar cache e recarregar dados
             cacheManager.delete(`dashboard_summary_${this.currentPeriod}_${this.includePending}`);
             await this.loadData();
             await this.loadRecentMovements();
         });
 
-        client.on('financial_movement.updated', async (data) => {
+        realtimeHub.subscribe(REALTIME_EVENTS.FINANCIAL_MOVEMENT_UPDATED, async (data) => {
             // Invalidar cache e recarregar dados
             cacheManager.delete(`dashboard_summary_${this.currentPeriod}_${this.includePending}`);
             await this.loadData();
             await this.loadRecentMovements();
         });
 
-        client.on('financial_movement.deleted', async (data) => {
+        realtimeHub.subscribe(REALTIME_EVENTS.FINANCIAL_MOVEMENT_DELETED, async (data) => {
             // Invalidar cache e recarregar dados
             cacheManager.delete(`dashboard_summary_${this.currentPeriod}_${this.includePending}`);
             await this.loadData();
             await this.loadRecentMovements();
         });
 
-        client.on('financial_movement.payment_status_updated', async (data) => {
+        realtimeHub.subscribe(REALTIME_EVENTS.FINANCIAL_MOVEMENT_PAYMENT_STATUS_UPDATED, async (data) => {
             // Invalidar cache e recarregar dados
             cacheManager.delete(`dashboard_summary_${this.currentPeriod}_${this.includePending}`);
             await this.loadData();
@@ -802,7 +799,7 @@ export class FinancialDashboard {
         });
 
         // ALTERAÇÃO: Escutar eventos de recorrências (geração de movimentações)
-        client.on('recurrence.movements_generated', async (data) => {
+        realtimeHub.subscribe(REALTIME_EVENTS.RECURRENCE_MOVEMENTS_GENERATED, async (data) => {
             // Invalidar cache e recarregar dados quando movimentações são geradas
             cacheManager.delete(`dashboard_summary_${this.currentPeriod}_${this.includePending}`);
             await this.loadData();
@@ -29,6 +29,7 @@ import { formatDateForISO } from "../../utils/date-formatter.js";
 import { showToast } from "../alerts.js";
 import { escapeHTML } from "../../utils/html-sanitizer.js";
 import { debounce } from "../../utils/performance-utils.js";
+import { ORDER_EVENT_SOURCES } from "../../utils/order-timeline-utils.js";
 
 // ALTERAÇÃO: Constantes para padronização com order-management.js
 const FINAL_STATUSES = ["completed", "delivered", "paid", "cancelled"]; // Status finais que não permitem atualização
@@ -173,11 +174,11 @@ export default class DashboardManager {
    * @private
    */
   setupSocketListeners() {
-    // Importar socketService dinamicamente para evitar dependência circular
-    import("../../api/socket-client.js")
-      .then(({ socketService }) => {
+    // Importar realtimeHub dinamicamente para evitar dependência circular
+    import("../../utils/realtime-hub.js")
+      .then(({ realtimeHub, REALTIME_EVENTS }) => {
         // Listener para novo pedido criado
-        socketService.on("order.created", async (orderData) => {
+        realtimeHub.subscribe(REALTIME_EVENTS.ORDER_CREATED, async (orderData) => {
           // ALTERAÇÃO: Log removido para produção - apenas em modo debug se necessário
 
           // Verifica se a seção do dashboard está visível
@@ -257,7 +258,7 @@ export default class DashboardManager {
         });
 
         // Listener para mudança de status de pedido
-        socketService.on("order.status_changed", async (data) => {
+        realtimeHub.subscribe(REALTIME_EVENTS.ORDER_STATUS_CHANGED, async (data) => {
           // ALTERAÇÃO: Log removido para produção - apenas em modo debug se necessário
 
           // Verifica se a seção do dashboard está visível
@@ -364,7 +365,7 @@ export default class DashboardManager {
         // ALTERAÇÃO: Log condicional apenas em modo debug
         if (typeof window !== "undefined" && window.DEBUG_MODE) {
           console.warn(
-            "[Dashboard] Não foi possível carregar socketService:",
+            "[Dashboard] Não foi possível carregar realtimeHub:",
             error
           );
         }
@@ -1879,7 +1880,8 @@ export default class DashboardManager {
         try {
           const response = await updateOrderStatus(
             parseInt(orderId, 10),
-            nextStatus
+            nextStatus,
+            { source: ORDER_EVENT_SOURCES.DASHBOARD }
           );
 
           if (response.success) {
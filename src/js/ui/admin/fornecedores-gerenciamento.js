@@ -0,0 +1,676 @@
+/**
+ * Módulo de Gerenciamento de Fornecedores
+ * Cadastro de fornecedores e dos insumos que cada um fornece (código e preço do fornecedor),
+ * usados na seleção de fornecedor/insumos das notas fiscais de compra
+ */
+
+import {
+    getSuppliers,
+    getSupplierById,
+    createSupplier,
+    updateSupplier,
+    deleteSupplier,
+    getSupplierIngredients,
+    saveSupplierIngredient,
+    removeSupplierIngredient,
+    formatCNPJ,
+    DELIVERY_DAYS
+} from '../../api/suppliers.js';
+import { getIngredients } from '../../api/ingredients.js';
+
+import { showToast, showConfirm, toastFromApiError, toastFromApiSuccess } from '../alerts.js';
+import { abrirModal, fecharModal } from '../modais.js';
+import { escapeHTML } from '../../utils/html-sanitizer.js';
+import { debounce } from '../../utils/performance-utils.js';
+import { normalizePaginationResponse, getItemsFromResponse, getPaginationFromResponse } from '../../utils/pagination-utils.js';
+import { showLoadingOverlay, hideLoadingOverlay } from '../../utils/loading-indicator.js';
+
+/**
+ * Converte valor digitado em reais ("12,50") para número
+ */
+function parseReais(value) {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const numero = parseFloat(String(value).replace(/[^\d,.-]/g, '').replace(/\./g, '').replace(',', '.'));
+    return Number.isFinite(numero) ? numero : NaN;
+}
+
+function formatReais(value) {
+    return `R$ ${(parseFloat(value) || 0).toFixed(2).replace('.', ',')}`;
+}
+
+/**
+ * Texto dos dias de entrega na ordem da semana ("Segunda, Quinta")
+ */
+function formatDeliveryDays(days) {
+    const selecionados = Object.keys(DELIVERY_DAYS).filter(day => (days || []).includes(day));
+    return selecionados.map(day => DELIVERY_DAYS[day]).join(', ');
+}
+
+/**
+ * Gerenciador de interface de fornecedores
+ */
+class FornecedorManager {
+    constructor() {
+        this.currentFornecedorId = null;
+        this.fornecedores = [];
+        this.eventListeners = [];
+        this.filtroStatus = '';
+        this.termoBusca = '';
+        this.currentPage = 1;
+        this.pageSize = 20;
+        this.totalPages = 1;
+        this.totalItems = 0;
+        this.isLoading = false;
+        this.isSaving = false;
+        // Insumos para o select de vínculos e vínculos em edição no modal
+        this.ingredients = [];
+        this.vinculos = [];
+        this.vinculosOriginais = [];
+    }
+
+    /**
+     * Inicializa o módulo
+     */
+    async init() {
+        try {
+            this.setupEventListeners();
+            await this.loadFornecedores();
+        } catch (error) {
+            if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+                console.error('Erro ao inicializar módulo de fornecedores:', error);
+            }
+            showToast('Erro ao carregar fornecedores', { type: 'error' });
+        }
+    }
+
+    /**
+     * Carrega fornecedores com paginação e filtros da API
+     */
+    async loadFornecedores() {
+        if (this.isLoading) return;
+
+        try {
+            this.isLoading = true;
+            showLoadingOverlay('#secao-fornecedores .promocoes-container', 'fornecedores-loading', 'Carregando fornecedores...');
+
+            const options = {
+                page: this.currentPage,
+                page_size: this.pageSize
+            };
+            if (this.termoBusca) options.search = this.termoBusca;
+            if (this.filtroStatus) options.status = this.filtroStatus;
+
+            const result = await getSuppliers(options);
+            if (!result.success) {
+                throw new Error(result.error || 'Erro ao buscar fornecedores');
+            }
+
+            const normalizedResponse = normalizePaginationResponse(result.data, 'items');
+            this.fornecedores = getItemsFromResponse(normalizedResponse);
+            const paginationInfo = getPaginationFromResponse(normalizedResponse);
+            this.totalPages = paginationInfo.total_pages || 1;
+            this.totalItems = paginationInfo.total || 0;
+
+            this.renderFornecedores();
+            this.renderPagination();
+        } catch (error) {
+            if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+                console.error('Erro ao carregar fornecedores:', error);
+            }
+            this.fornecedores = [];
+            this.renderFornecedores();
+        } finally {
+            this.isLoading = false;
+            hideLoadingOverlay('fornecedores-loading');
+        }
+    }
+
+    /**
+     * Carrega a lista de insumos do select de vínculos (uma vez por sessão da seção)
+     */
+    async loadIngredients() {
+        if (this.ingredients.length > 0) return;
+
+        const response = await getIngredients({ page_size: 1000 });
+        if (!response.success) {
+            throw new Error(response.error || 'Erro ao buscar insumos');
+        }
+        this.ingredients = (response.data?.items || [])
+            .slice()
+            .sort((a, b) => String(a.name || '').localeCompare(String(b.name || ''), 'pt-BR', { sensitivity: 'base' }));
+    }
+
+    /**
+     * Configura event listeners
+     */
+    setupEventListeners() {
+        this.removeEventListeners();
+
+        const addListener = (element, event, handler) => {
+            if (!element) return;
+            element.addEventListener(event, handler);
+            this.eventListeners.push({ element, event, handler });
+        };
+
+        addListener(document.getElementById('btn-novo-fornecedor'), 'click', () => this.openModal());
+
+        addListener(document.getElementById('busca-fornecedor'), 'input', debounce(async (e) => {
+            this.termoBusca = e.target.value.trim();
+            this.currentPage = 1;
+            await this.loadFornecedores();
+        }, 300));
+
+        addListener(document.getElementById('filtro-status-fornecedor'), 'change', async (e) => {
+            this.filtroStatus = e.target.value;
+            this.currentPage = 1;
+            await this.loadFornecedores();
+        });
+
+        // Modal
+        addListener(document.getElementById('cancelar-fornecedor'), 'click', () => this.closeModal());
+        addListener(document.getElementById('salvar-fornecedor'), 'click', () => this.saveFornecedor());
+        addListener(document.getElementById('cnpj-fornecedor'), 'blur', (e) => {
+            e.target.value = formatCNPJ(e.target.value);
+        });
+        addListener(document.getElementById('btn-adicionar-vinculo-fornecedor'), 'click', () => this.addVinculo());
+        addListener(document.getElementById('vinculos-fornecedor'), 'click', (e) => {
+            const btn = e.target.closest('.btn-remover-vinculo');
+            if (btn) this.removeVinculo(parseInt(btn.dataset.ingredientId, 10));
+        });
+
+        // Event delegation para botões dos cards
+        addListener(document.getElementById('fornecedores-list'), 'click', (e) => {
+            const card = e.target.closest('.promocao-card');
+            if (!card) return;
+            const fornecedorId = parseInt(card.dataset.fornecedorId, 10);
+            if (e.target.closest('.btn-editar-promocao')) {
+                this.handleEditarFornecedor(fornecedorId);
+            } else if (e.target.closest('.btn-excluir-promocao')) {
+                this.handleExcluirFornecedor(fornecedorId);
+            }
+        });
+    }
+
+    /**
+     * Remove event listeners existentes
+     */
+    removeEventListeners() {
+        if (this.eventListeners) {
+            this.eventListeners.forEach(({ element, event, handler }) => {
+                element.removeEventListener(event, handler);
+            });
+            this.eventListeners = [];
+        }
+    }
+
+    /**
+     * Cleanup ao sair da seção
+     */
+    cleanup() {
+        this.removeEventListeners();
+    }
+
+    /**
+     * Renderiza lista de fornecedores
+     */
+    renderFornecedores() {
+        const container = document.getElementById('fornecedores-list');
+        if (!container) return;
+
+        if (this.fornecedores.length === 0) {
+            container.innerHTML = `
+                <div style="text-align: center; padding: 40px; color: #666;">
+                    <i class="fa-solid fa-truck-field" style="font-size: 48px; margin-bottom: 16px; opacity: 0.3;"></i>
+                    <p style="font-size: 16px;">Nenhum fornecedor encontrado</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = this.fornecedores.map(fornecedor => this.createFornecedorCard(fornecedor)).join('');
+    }
+
+    /**
+     * Cria card de fornecedor (reaproveita o layout dos cards de promoção)
+     */
+    createFornecedorCard(fornecedor) {
+        const ativo = fornecedor.is_active !== false;
+        const contato = [fornecedor.contact_name, fornecedor.phone, fornecedor.email]
+            .filter(Boolean)
+            .map(valor => escapeHTML(valor))
+            .join(' · ') || 'Contato não informado';
+        const prazo = Number.isInteger(fornecedor.lead_time_days)
+            ? `Entrega em ${fornecedor.lead_time_days} ${fornecedor.lead_time_days === 1 ? 'dia' : 'dias'}`
+            : 'Prazo de entrega não informado';
+        const dias = formatDeliveryDays(fornecedor.delivery_days);
+        const totalInsumos = parseInt(fornecedor.ingredient_count, 10) || 0;
+
+        return `
+            <div class="promocao-card fornecedor-card" data-fornecedor-id="${fornecedor.id}">
+                <div class="promocao-header">
+                    <div class="promocao-info">
+                        <h3>${escapeHTML(fornecedor.trade_name || fornecedor.name)}</h3>
+                        <span class="status-badge ${ativo ? 'ativa' : 'expirada'}">${ativo ? 'Ativo' : 'Inativo'}</span>
+                    </div>
+                    <div class="promocao-actions">
+                        <button class="btn-editar-promocao" title="Editar fornecedor">
+                            <i class="fa-solid fa-edit"></i>
+                        </button>
+                        <button class="btn-excluir-promocao" title="Excluir fornecedor">
+                            <i class="fa-solid fa-trash"></i>
+                        </button>
+                    </div>
+                </div>
+                <div class="promocao-body">
+                    <div class="desconto-badge">
+                        <i class="fa-solid fa-id-card"></i>
+                        ${fornecedor.cnpj ? `CNPJ ${escapeHTML(formatCNPJ(fornecedor.cnpj))}` : 'CNPJ não informado'}
+                    </div>
+                    <div class="promocao-detalhes">
+                        ${fornecedor.trade_name ? `
+                        <div class="detalhe-item">
+                            <i class="fa-solid fa-building"></i>
+                            <span>${escapeHTML(fornecedor.name)}</span>
+                        </div>` : ''}
+                        <div class="detalhe-item">
+                            <i class="fa-solid fa-address-book"></i>
+                            <span>${contato}</span>
+                        </div>
+                        <div class="detalhe-item">
+                            <i class="fa-solid fa-file-invoice-dollar"></i>
+                            <span>${escapeHTML(fornecedor.payment_terms || 'Condição de pagamento não informada')}</span>
+                        </div>
+                        <div class="detalhe-item">
+                            <i class="fa-solid fa-truck"></i>
+                            <span>${prazo}${dias ? ` · ${escapeHTML(dias)}` : ''}</span>
+                        </div>
+                        <div class="detalhe-item">
+                            <i class="fa-solid fa-box"></i>
+                            <span>${totalInsumos} ${totalInsumos === 1 ? 'insumo vinculado' : 'insumos vinculados'}</span>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Renderiza controles de paginação
+     */
+    renderPagination() {
+        const container = document.getElementById('fornecedores-list');
+        if (!container) return;
+
+        const existingPagination = container.parentElement.querySelector('.pagination');
+        if (existingPagination) {
+            existingPagination.remove();
+        }
+
+        if (this.totalItems === 0) {
+            return;
+        }
+
+        const startItem = (this.currentPage - 1) * this.pageSize + 1;
+        const endItem = Math.min(this.currentPage * this.pageSize, this.totalItems);
+
+        const pagination = document.createElement('div');
+        pagination.className = 'pagination';
+        pagination.innerHTML = `
+      <div class="pagination-wrapper">
+        <div class="pagination-info">
+          <span class="pagination-text">
+            Mostrando <strong>${startItem}-${endItem}</strong> de <strong>${this.totalItems}</strong> fornecedores
+          </span>
+          ${this.totalPages > 1 ? `<span class="pagination-page-info">Página ${this.currentPage} de ${this.totalPages}</span>` : ''}
+        </div>
+        ${this.totalPages > 1 ? `
+        <div class="pagination-controls">
+          <button class="pagination-btn pagination-btn-nav" ${this.currentPage === 1 ? 'disabled' : ''} data-page="prev" title="Página anterior">
+            <i class="fa-solid fa-chevron-left"></i>
+            <span>Anterior</span>
+          </button>
+          <button class="pagination-btn pagination-btn-nav" ${this.currentPage === this.totalPages ? 'disabled' : ''} data-page="next" title="Próxima página">
+            <span>Próxima</span>
+            <i class="fa-solid fa-chevron-right"></i>
+          </button>
+        </div>
+        ` : ''}
+      </div>
+    `;
+
+        pagination.addEventListener('click', async (e) => {
+            const target = e.target.closest('.pagination-btn');
+            if (!target || target.disabled || this.isLoading) return;
+
+            if (target.dataset.page === 'prev' && this.currentPage > 1) {
+                this.currentPage -= 1;
+            } else if (target.dataset.page === 'next' && this.currentPage < this.totalPages) {
+                this.currentPage += 1;
+            } else {
+                return;
+            }
+
+            await this.loadFornecedores();
+            document.getElementById('secao-fornecedores')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        });
+
+        container.parentElement.appendChild(pagination);
+    }
+
+    /**
+     * Abre modal para editar fornecedor
+     */
+    async handleEditarFornecedor(fornecedorId) {
+        try {
+            const [fornecedor, vinculos] = await Promise.all([
+                getSupplierById(fornecedorId),
+                getSupplierIngredients(fornecedorId)
+            ]);
+            if (!vinculos.success) {
+                throw new Error(vinculos.error);
+            }
+            await this.openModal(fornecedor, vinculos.data);
+        } catch (error) {
+            if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+                console.error('Erro ao carregar fornecedor:', error);
+            }
+            toastFromApiError(error, 'Erro ao carregar dados do fornecedor');
+        }
+    }
+
+    /**
+     * Exclui fornecedor
+     */
+    async handleExcluirFornecedor(fornecedorId) {
+        const fornecedor = this.fornecedores.find(f => f.id === fornecedorId);
+        if (!fornecedor) return;
+
+        const confirmed = await showConfirm({
+            title: 'Excluir Fornecedor',
+            message: `Tem certeza que deseja excluir o fornecedor "${fornecedor.trade_name || fornecedor.name}"? Os vínculos com insumos também serão removidos.`,
+            confirmText: 'Excluir',
+            cancelText: 'Cancelar'
+        });
+
+        if (!confirmed) return;
+
+        try {
+            const response = await deleteSupplier(fornecedorId);
+            toastFromApiSuccess(response, 'Fornecedor excluído com sucesso');
+            await this.loadFornecedores();
+        } catch (error) {
+            if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+                console.error('Erro ao excluir fornecedor:', error);
+            }
+            if (error?.status === 409) {
+                showToast('Este fornecedor possui notas fiscais de compra. Inative-o em vez de excluir.', {
+                    type: 'warning',
+                    title: 'Não foi possível excluir'
+                });
+                return;
+            }
+            toastFromApiError(error, 'Erro ao excluir fornecedor');
+        }
+    }
+
+    /**
+     * Abre modal (novo fornecedor quando fornecedor = null)
+     */
+    async openModal(fornecedor = null, vinculos = []) {
+        const modal = document.getElementById('modal-fornecedor');
+        if (!modal) return;
+
+        try {
+            await this.loadIngredients();
+        } catch (error) {
+            toastFromApiError(error, 'Erro ao carregar insumos');
+            return;
+        }
+
+        this.currentFornecedorId = fornecedor ? fornecedor.id : null;
+        this.vinculos = vinculos.map(vinculo => ({
+            ingredient_id: vinculo.ingredient_id,
+            ingredient_name: vinculo.ingredient_name,
+            stock_unit: vinculo.stock_unit,
+            sku: vinculo.sku || '',
+            price: vinculo.price ?? null
+        }));
+        this.vinculosOriginais = this.vinculos.map(vinculo => ({ ...vinculo }));
+
+        const field = (id) => document.getElementById(id);
+        const titulo = field('titulo-modal-fornecedor');
+        const textoBotao = field('texto-botao-fornecedor');
+
+        if (titulo) titulo.textContent = fornecedor ? 'Editar Fornecedor' : 'Adicionar Fornecedor';
+        if (textoBotao) textoBotao.textContent = fornecedor ? 'Salvar' : 'Adicionar';
+
+        if (field('nome-fornecedor')) field('nome-fornecedor').value = fornecedor?.name || '';
+        if (field('fantasia-fornecedor')) field('fantasia-fornecedor').value = fornecedor?.trade_name || '';
+        if (field('cnpj-fornecedor')) field('cnpj-fornecedor').value = formatCNPJ(fornecedor?.cnpj || '');
+        if (field('contato-fornecedor')) field('contato-fornecedor').value = fornecedor?.contact_name || '';
+        if (field('telefone-fornecedor')) field('telefone-fornecedor').value = fornecedor?.phone || '';
+        if (field('email-fornecedor')) field('email-fornecedor').value = fornecedor?.email || '';
+        if (field('pagamento-fornecedor')) field('pagamento-fornecedor').value = fornecedor?.payment_terms || '';
+        if (field('prazo-fornecedor')) field('prazo-fornecedor').value = fornecedor?.lead_time_days ?? '';
+        if (field('observacoes-fornecedor')) field('observacoes-fornecedor').value = fornecedor?.notes || '';
+        if (field('ativo-fornecedor')) field('ativo-fornecedor').checked = fornecedor ? fornecedor.is_active !== false : true;
+        document.querySelectorAll('input[name="dias-entrega-fornecedor"]').forEach(checkbox => {
+            checkbox.checked = (fornecedor?.delivery_days || []).includes(checkbox.value);
+        });
+
+        this.resetVinculoForm();
+        this.renderVinculos();
+
+        abrirModal('modal-fornecedor');
+    }
+
+    /**
+     * Fecha modal
+     */
+    closeModal() {
+        fecharModal('modal-fornecedor');
+        this.currentFornecedorId = null;
+        this.vinculos = [];
+        this.vinculosOriginais = [];
+    }
+
+    /**
+     * Preenche o select de insumos (sem os já vinculados) e limpa código/preço
+     */
+    resetVinculoForm() {
+        const select = document.getElementById('insumo-vinculo-fornecedor');
+        if (select) {
+            const vinculados = new Set(this.vinculos.map(vinculo => vinculo.ingredient_id));
+            select.innerHTML = `
+                <option value="">Selecione o insumo...</option>
+                ${this.ingredients
+                    .filter(ingredient => !vinculados.has(ingredient.id))
+                    .map(ingredient => `<option value="${ingredient.id}">${escapeHTML(ingredient.name || 'Insumo')}</option>`)
+                    .join('')}
+            `;
+        }
+        const sku = document.getElementById('sku-vinculo-fornecedor');
+        const preco = document.getElementById('preco-vinculo-fornecedor');
+        if (sku) sku.value = '';
+        if (preco) preco.value = '';
+    }
+
+    /**
+     * Lista os insumos vinculados no modal
+     */
+    renderVinculos() {
+        const container = document.getElementById('vinculos-fornecedor');
+        if (!container) return;
+
+        if (this.vinculos.length === 0) {
+            container.innerHTML = '<p class="fornecedor-vinculos-vazio">Nenhum insumo vinculado. Os insumos vinculados aparecem primeiro ao lançar compras deste fornecedor.</p>';
+            return;
+        }
+
+        container.innerHTML = this.vinculos.map(vinculo => `
+            <div class="fornecedor-vinculo">
+                <div class="fornecedor-vinculo-info">
+                    <span class="fornecedor-vinculo-nome">${escapeHTML(vinculo.ingredient_name || 'Insumo')}</span>
+                    <span class="fornecedor-vinculo-detalhes">
+                        ${vinculo.sku ? `Cód. ${escapeHTML(vinculo.sku)}` : 'Sem código'}
+                        · ${vinculo.price !== null ? `${formatReais(vinculo.price)}/${escapeHTML(vinculo.stock_unit || 'un')}` : 'Sem preço'}
+                    </span>
+                </div>
+                <button type="button" class="btn-remover-vinculo" data-ingredient-id="${vinculo.ingredient_id}" title="Remover vínculo" aria-label="Remover vínculo com ${escapeHTML(vinculo.ingredient_name || 'insumo')}">
+                    <i class="fa-solid fa-trash"></i>
+                </button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Adiciona vínculo com o insumo selecionado (salvo junto com o fornecedor)
+     */
+    addVinculo() {
+        const select = document.getElementById('insumo-vinculo-fornecedor');
+        const ingredientId = parseInt(select?.value, 10);
+        if (!ingredientId) {
+            showToast('Selecione o insumo', { type: 'error' });
+            select?.focus();
+            return;
+        }
+
+        const price = parseReais(document.getElementById('preco-vinculo-fornecedor')?.value);
+        if (Number.isNaN(price) || (price !== null && price < 0)) {
+            showToast('Preço do fornecedor inválido', { type: 'error' });
+            return;
+        }
+
+        const ingredient = this.ingredients.find(ing => ing.id === ingredientId);
+        this.vinculos.push({
+            ingredient_id: ingredientId,
+            ingredient_name: ingredient?.name || 'Insumo',
+            stock_unit: ingredient?.stock_unit || 'un',
+            sku: document.getElementById('sku-vinculo-fornecedor')?.value.trim() || '',
+            price
+        });
+
+        this.resetVinculoForm();
+        this.renderVinculos();
+    }
+
+    removeVinculo(ingredientId) {
+        this.vinculos = this.vinculos.filter(vinculo => vinculo.ingredient_id !== ingredientId);
+        this.resetVinculoForm();
+        this.renderVinculos();
+    }
+
+    /**
+     * Lê e valida o formulário; retorna null se houver erro (já exibido ao usuário)
+     */
+    collectFormData() {
+        const field = (id) => document.getElementById(id);
+        const prazo = field('prazo-fornecedor')?.value.trim();
+
+        const fornecedorData = {
+            name: field('nome-fornecedor')?.value || '',
+            trade_name: field('fantasia-fornecedor')?.value || '',
+            cnpj: field('cnpj-fornecedor')?.value || '',
+            contact_name: field('contato-fornecedor')?.value || '',
+            phone: field('telefone-fornecedor')?.value || '',
+            email: field('email-fornecedor')?.value.trim() || '',
+            payment_terms: field('pagamento-fornecedor')?.value || '',
+            lead_time_days: prazo ? parseInt(prazo, 10) : null,
+            delivery_days: Array.from(document.querySelectorAll('input[name="dias-entrega-fornecedor"]:checked'))
+                .map(checkbox => checkbox.value),
+            notes: field('observacoes-fornecedor')?.value || '',
+            is_active: !!field('ativo-fornecedor')?.checked
+        };
+
+        if (!fornecedorData.name.trim()) {
+            showToast('Informe o nome do fornecedor', { type: 'error' });
+            field('nome-fornecedor')?.focus();
+            return null;
+        }
+
+        return fornecedorData;
+    }
+
+    /**
+     * Salva os vínculos alterados no modal (novos/alterados e removidos)
+     */
+    async syncVinculos(fornecedorId) {
+        const originais = new Map(this.vinculosOriginais.map(vinculo => [vinculo.ingredient_id, vinculo]));
+        const atuais = new Set(this.vinculos.map(vinculo => vinculo.ingredient_id));
+
+        for (const vinculo of this.vinculos) {
+            const original = originais.get(vinculo.ingredient_id);
+            if (original && original.sku === vinculo.sku && original.price === vinculo.price) continue;
+            await saveSupplierIngredient(fornecedorId, vinculo);
+        }
+
+        for (const original of this.vinculosOriginais) {
+            if (!atuais.has(original.ingredient_id)) {
+                await removeSupplierIngredient(fornecedorId, original.ingredient_id);
+            }
+        }
+    }
+
+    /**
+     * Salva fornecedor (criação ou edição) e os vínculos com insumos
+     */
+    async saveFornecedor() {
+        if (this.isSaving) return;
+
+        const fornecedorData = this.collectFormData();
+        if (!fornecedorData) return;
+
+        const isNovo = !this.currentFornecedorId;
+
+        try {
+            this.isSaving = true;
+            let response;
+            if (!isNovo) {
+                response = await updateSupplier(this.currentFornecedorId, fornecedorData);
+            } else {
+                response = await createSupplier(fornecedorData);
+                // Se os vínculos falharem, nova tentativa atualiza o fornecedor já criado
+                this.currentFornecedorId = response?.id || null;
+            }
+
+            if (this.currentFornecedorId) {
+                await this.syncVinculos(this.currentFornecedorId);
+            }
+
+            toastFromApiSuccess(response, isNovo ? 'Fornecedor criado com sucesso' : 'Fornecedor atualizado com sucesso');
+
+            this.closeModal();
+            await this.loadFornecedores();
+        } catch (error) {
+            if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+                console.error('Erro ao salvar fornecedor:', error);
+            }
+            // CNPJ duplicado (409) ou validações locais de suppliers.js
+            toastFromApiError(error, 'Erro ao salvar fornecedor');
+        } finally {
+            this.isSaving = false;
+        }
+    }
+}
+
+// Instância global do gerenciador
+let fornecedorManager = null;
+
+/**
+ * Inicializa o módulo quando a seção de fornecedores é exibida
+ */
+export async function initFornecedoresManager() {
+    if (!fornecedorManager) {
+        fornecedorManager = new FornecedorManager();
+    }
+    await fornecedorManager.init();
+}
+
+/**
+ * Libera listeners ao sair da seção
+ */
+export function cleanupFornecedoresManager() {
+    if (fornecedorManager) {
+        fornecedorManager.cleanup();
+    }
+}
@@ -23,6 +23,15 @@ import { normalizePaginationResponse, getItemsFromResponse, getPaginationFromRes
 // ALTERAÇÃO: Importar funções de modal e gerenciamento de inputs
 import { abrirModal, fecharModal } from "../modais.js";
 import { reaplicarGerenciamentoInputs } from "../../utils.js";
+import {
+  normalizeUnit,
+  convertUnit,
+  canConvert,
+  getCompatibleUnits,
+  getUnitLabel,
+  normalizePackagingUnits,
+  isUnitConversionError,
+} from "../../utils/unit-conversion.js";
 
 /**
  * Gerenciador de dados de insumos
@@ -112,6 +121,7 @@ class InsumoDataManager {
         id: insumo.id,
         nome: insumo.name,
         categoria: insumo.category || "outros",
+        area: insumo.storage_area || "",
         custo: parseFloat(insumo.price) || 0,
         preco_adicional: parseFloat(insumo.additional_price) || 0,
         unidade: insumo.stock_unit || "un",
@@ -123,6 +133,8 @@ class InsumoDataManager {
         fornecedor: insumo.supplier || "Não informado",
         quantidade_porcao: parseFloat(insumo.base_portion_quantity) || 1,
         unidade_porcao: insumo.base_portion_unit || "un",
+        densidade: parseFloat(insumo.density) || null,
+        embalagens: normalizePackagingUnits(insumo.packaging_units),
         ultimaAtualizacao: null,
       };
     } catch (error) {
@@ -149,8 +161,11 @@ class InsumoDataManager {
         max_stock: parseFloat(insumoData.max) || 100,
         supplier: insumoData.fornecedor || "",
         category: insumoData.categoria || "outros",
+        storage_area: insumoData.area || null,
         base_portion_quantity: parseFloat(insumoData.quantidade_porcao) || 1,
         base_portion_unit: insumoData.unidade_porcao || "un",
+        density: insumoData.densidade || null,
+        packaging_units: insumoData.embalagens || [],
       };
 
       const result = await createIngredient(apiData);
@@ -191,8 +206,11 @@ class InsumoDataManager {
         max_stock: parseFloat(insumoData.max) || 100,
         supplier: insumoData.fornecedor || "",
         category: insumoData.categoria || "outros",
+        storage_area: insumoData.area || null,
         base_portion_quantity: parseFloat(insumoData.quantidade_porcao) || 1,
         base_portion_unit: insumoData.unidade_porcao || "un",
+        density: insumoData.densidade || null,
+        packaging_units: insumoData.embalagens || [],
       };
 
       await updateIngredient(id, apiData);
@@ -294,6 +312,7 @@ class InsumoManager {
     this.currentCategoryFilter = ""; // Filtro de categoria atual
     this.currentStatusFilter = ""; // Filtro de status atual
     this.isLoading = false; // Estado de carregamento
+    this.embalagensForm = []; // Embalagens em edição no modal de insumo
   }
 
   /**
@@ -354,10 +373,10 @@ class InsumoManager {
    * Configura listeners de eventos WebSocket para atualização em tempo real
    */
   setupSocketListeners() {
-    // Importar socketService dinamicamente para evitar dependência circular
-    import('../../api/socket-client.js').then(({ socketService }) => {
+    // Importar realtimeHub dinamicamente para evitar dependência circular
+    import('../../utils/realtime-hub.js').then(({ realtimeHub, REALTIME_EVENTS }) => {
       // Listener para alertas de estoque baixo
-      socketService.on('stock.alert', (data) => {
+      realtimeHub.subscribe(REALTIME_EVENTS.STOCK_ALERT, (data) => {
         console.log('⚠️ Alerta de estoque recebido via WebSocket:', data);
         
         // data = { ingredient_id: 10, name: 'Carne', status: 'low', current_stock: 2.5, min_threshold: 5.0 }
@@ -422,7 +441,7 @@ class InsumoManager {
         }
       });
     }).catch((error) => {
-      console.warn('Não foi possível carregar socketService para atualizações de estoque:', error);
+      console.warn('Não foi possível carregar realtimeHub para atualizações de estoque:', error);
     });
   }
 
@@ -1057,12 +1076,24 @@ class InsumoManager {
     if (nomeInput) nomeInput.value = insumo.nome || "";
     if (valorInput) valorInput.value = this.formatStockValue(insumo.atual || 0);
     if (unidadeDisplay) {
-      const unidade = insumo.unidade || "un";
-      unidadeDisplay.textContent = unidade;
-    }
-
-    // Armazenar ID do insumo na modal
+      // Contagem pode ser informada em embalagens ou unidades conversíveis
+      const perfil = { packagings: insumo.embalagens, density: insumo.densidade };
+      unidadeDisplay.innerHTML = getCompatibleUnits(insumo.unidade || "un", perfil)
+        .map(
+          (opcao) =>
+            `<option value="${escapeHTML(opcao.value)}">${escapeHTML(opcao.label)}</option>`
+        )
+        .join("");
+    }
+    this.updateConversaoEstoqueInfo();
+
+    // Armazenar ID do insumo e perfil de conversão na modal
     modal.dataset.ingredientId = insumo.id;
+    modal.dataset.stockUnit = insumo.unidade || "un";
+    modal.dataset.conversionProfile = JSON.stringify({
+      packagings: insumo.embalagens || [],
+      density: insumo.densidade || null,
+    });
 
     // Configurar event listeners da modal
     this.setupEditarEstoqueModalListeners();
@@ -1092,6 +1123,12 @@ class InsumoManager {
     const cancelarHandler = () => this.closeEditarEstoqueModal();
     const salvarHandler = () => this.saveEditarEstoque();
 
+    // Equivalência na unidade de estoque ao digitar ou trocar a unidade
+    const valorInput = document.getElementById("valor-estoque");
+    const unidadeSelect = document.getElementById("unidade-estoque-display");
+    if (valorInput) valorInput.oninput = () => this.updateConversaoEstoqueInfo();
+    if (unidadeSelect) unidadeSelect.onchange = () => this.updateConversaoEstoqueInfo();
+
     // Remover listeners antigos se existirem
     if (cancelarBtn) {
       cancelarBtn.replaceWith(cancelarBtn.cloneNode(true));
@@ -1127,8 +1164,54 @@ class InsumoManager {
 
     if (nomeInput) nomeInput.value = "";
     if (valorInput) valorInput.value = "";
-    if (unidadeDisplay) unidadeDisplay.textContent = "";
+    if (unidadeDisplay) unidadeDisplay.innerHTML = "";
+    this.updateConversaoEstoqueInfo();
     if (modal.dataset.ingredientId) delete modal.dataset.ingredientId;
+    delete modal.dataset.stockUnit;
+    delete modal.dataset.conversionProfile;
+  }
+
+  /**
+   * Converte o valor digitado no modal de estoque para a unidade de estoque do insumo
+   * @returns {number} Quantidade na unidade de estoque (NaN se o valor for inválido)
+   * @throws {Error} UnitConversionError quando a unidade não é conversível
+   */
+  getValorEstoqueConvertido() {
+    const modal = document.getElementById("modal-editar-estoque");
+    const valor = parseFloat(document.getElementById("valor-estoque")?.value);
+    const unidade = document.getElementById("unidade-estoque-display")?.value;
+    const stockUnit = modal?.dataset.stockUnit || "un";
+
+    if (isNaN(valor) || !unidade) return valor;
+
+    const perfil = JSON.parse(modal.dataset.conversionProfile || "{}");
+    return convertUnit(valor, unidade, stockUnit, perfil);
+  }
+
+  /**
+   * Mostra a equivalência do valor digitado na unidade de estoque
+   */
+  updateConversaoEstoqueInfo() {
+    const info = document.getElementById("conversao-estoque-info");
+    if (!info) return;
+
+    const modal = document.getElementById("modal-editar-estoque");
+    const unidade = document.getElementById("unidade-estoque-display")?.value;
+    const stockUnit = modal?.dataset.stockUnit;
+    if (!stockUnit || !unidade || normalizeUnit(unidade) === normalizeUnit(stockUnit)) {
+      info.textContent = "";
+      return;
+    }
+
+    try {
+      const convertido = this.getValorEstoqueConvertido();
+      info.textContent = isNaN(convertido)
+        ? ""
+        : `= ${this.formatStockValue(convertido)} ${getUnitLabel(stockUnit)} em estoque`;
+    } catch (error) {
+      if (!isUnitConversionError(error)) throw error;
+      info.textContent = error.message;
+    }
   }
 
   /**
@@ -1146,7 +1229,14 @@ class InsumoManager {
       return;
     }
 
-    const novoValor = parseFloat(valorInput.value);
+    let novoValor;
+    try {
+      novoValor = this.getValorEstoqueConvertido();
+    } catch (error) {
+      if (!isUnitConversionError(error)) throw error;
+      this.showErrorMessage(error.message);
+      return;
+    }
 
     // Validação
     if (isNaN(novoValor) || novoValor < 0) {
@@ -2208,6 +2298,7 @@ class InsumoManager {
       insumoData.fornecedor || "";
     document.getElementById("categoria-ingrediente").value =
       insumoData.categoria || "";
+    document.getElementById("area-ingrediente").value = insumoData.area || "";
     document.getElementById("custo-ingrediente").value = insumoData.custo
       ? `R$ ${insumoData.custo.toFixed(2).replace(".", ",")}`
       : "";
@@ -2225,6 +2316,10 @@ class InsumoManager {
       insumoData.min || "";
     document.getElementById("estoque-maximo-ingrediente").value =
       insumoData.max || "";
+    document.getElementById("densidade-ingrediente").value =
+      insumoData.densidade || "";
+    this.embalagensForm = [...(insumoData.embalagens || [])];
+    this.renderEmbalagensForm();
   }
 
   /**
@@ -2234,6 +2329,7 @@ class InsumoManager {
     document.getElementById("nome-ingrediente").value = "";
     document.getElementById("fornecedor-ingrediente").value = "";
     document.getElementById("categoria-ingrediente").value = "";
+    document.getElementById("area-ingrediente").value = "";
     document.getElementById("custo-ingrediente").value = "";
     document.getElementById("preco-adicional-ingrediente").value = "";
     document.getElementById("unidade-ingrediente").value = "";
@@ -2241,6 +2337,78 @@ class InsumoManager {
     document.getElementById("unidade-porcao-ingrediente").value = "";
     document.getElementById("estoque-minimo-ingrediente").value = "";
     document.getElementById("estoque-maximo-ingrediente").value = "";
+    document.getElementById("densidade-ingrediente").value = "";
+    this.embalagensForm = [];
+    this.renderEmbalagensForm();
+  }
+
+  /**
+   * Renderiza a lista de embalagens do modal de insumo
+   */
+  renderEmbalagensForm() {
+    const lista = document.getElementById("lista-embalagens-insumo");
+    if (!lista) return;
+
+    if (this.embalagensForm.length === 0) {
+      lista.innerHTML =
+        '<li class="insumo-embalagens-vazio">Nenhuma embalagem cadastrada</li>';
+      return;
+    }
+
+    lista.innerHTML = this.embalagensForm
+      .map(
+        (embalagem, index) => `
+          <li class="insumo-embalagem">
+            <span>1 ${escapeHTML(embalagem.name)} = ${this.formatStockValue(
+          embalagem.quantity
+        )} ${escapeHTML(getUnitLabel(embalagem.unit))}</span>
+            <button type="button" class="btn-remover-embalagem" data-index="${index}" aria-label="Remover embalagem">
+              <i class="fa-solid fa-trash"></i>
+            </button>
+          </li>
+        `
+      )
+      .join("");
+  }
+
+  /**
+   * Adiciona embalagem a partir dos campos do modal de insumo
+   */
+  handleAddEmbalagem() {
+    const nomeInput = document.getElementById("embalagem-nome");
+    const quantidadeInput = document.getElementById("embalagem-quantidade");
+    const unidadeSelect = document.getElementById("embalagem-unidade");
+    if (!nomeInput || !quantidadeInput || !unidadeSelect) return;
+
+    const nome = nomeInput.value.trim();
+    const [embalagem] = normalizePackagingUnits([
+      { name: nome, quantity: quantidadeInput.value, unit: unidadeSelect.value },
+    ]);
+
+    if (!nome) {
+      this.showErrorMessage("Informe o nome da embalagem");
+      nomeInput.focus();
+      return;
+    }
+    if (!embalagem) {
+      this.showErrorMessage(
+        parseFloat(quantidadeInput.value) > 0
+          ? `"${nome}" já é uma unidade padrão; use outro nome`
+          : "Informe quanto a embalagem contém"
+      );
+      return;
+    }
+    if (this.embalagensForm.some((item) => item.name === embalagem.name)) {
+      this.showErrorMessage(`A embalagem "${embalagem.name}" já foi adicionada`);
+      return;
+    }
+
+    this.embalagensForm.push(embalagem);
+    this.renderEmbalagensForm();
+
+    nomeInput.value = "";
+    quantidadeInput.value = "";
+    nomeInput.focus();
   }
 
   /**
@@ -2279,6 +2447,24 @@ class InsumoManager {
       overlay.addEventListener("click", () => this.closeInsumoModal());
     }
 
+    // Embalagens (handlers diretos para não acumular entre aberturas do modal)
+    const btnAdicionarEmbalagem = document.getElementById(
+      "btn-adicionar-embalagem"
+    );
+    if (btnAdicionarEmbalagem) {
+      btnAdicionarEmbalagem.onclick = () => this.handleAddEmbalagem();
+    }
+
+    const listaEmbalagens = document.getElementById("lista-embalagens-insumo");
+    if (listaEmbalagens) {
+      listaEmbalagens.onclick = (e) => {
+        const btn = e.target.closest(".btn-remover-embalagem");
+        if (!btn) return;
+        this.embalagensForm.splice(parseInt(btn.dataset.index), 1);
+        this.renderEmbalagensForm();
+      };
+    }
+
     // Formatação de campos
     this.setupFieldFormatting();
   }
@@ -2549,6 +2735,7 @@ class InsumoManager {
     ).value;
     const min = document.getElementById("estoque-minimo-ingrediente").value;
     const max = document.getElementById("estoque-maximo-ingrediente").value;
+    const densidade = document.getElementById("densidade-ingrediente").value;
 
     if (!nome) {
       this.showErrorMessage("Nome é obrigatório");
@@ -2582,6 +2769,34 @@ class InsumoManager {
       return false;
     }
 
+    if (densidade && !(parseFloat(densidade) > 0)) {
+      this.showErrorMessage("Densidade deve ser maior que zero");
+      return false;
+    }
+
+    // Receitas consomem a porção base da unidade de estoque: a conversão precisa existir
+    const perfil = {
+      packagings: this.embalagensForm,
+      density: parseFloat(densidade) || null,
+    };
+    if (!canConvert(unidadePorcao, unidade, perfil)) {
+      this.showErrorMessage(
+        `A porção base em ${getUnitLabel(unidadePorcao)} não pode ser convertida para ${getUnitLabel(unidade)}. ` +
+          "Use unidades do mesmo tipo ou informe a densidade do insumo."
+      );
+      return false;
+    }
+
+    const embalagemInvalida = this.embalagensForm.find(
+      (embalagem) => !canConvert(embalagem.name, unidade, perfil)
+    );
+    if (embalagemInvalida) {
+      this.showErrorMessage(
+        `A embalagem "${embalagemInvalida.name}" não pode ser convertida para ${getUnitLabel(unidade)}`
+      );
+      return false;
+    }
+
     if (!min || parseInt(min) < 0) {
       this.showErrorMessage("Estoque mínimo deve ser maior ou igual a zero");
       return false;
@@ -2685,6 +2900,7 @@ class InsumoManager {
         .getElementById("fornecedor-ingrediente")
         .value.trim(),
       categoria: document.getElementById("categoria-ingrediente").value,
+      area: document.getElementById("area-ingrediente").value,
       custo: parseFloat(custo) || 0,
       preco_adicional: parseFloat(precoAdicional) || 0,
       unidade: document.getElementById("unidade-ingrediente").value.trim(),
@@ -2701,6 +2917,10 @@ class InsumoManager {
       max:
         parseInt(document.getElementById("estoque-maximo-ingrediente").value) ||
         0,
+      densidade:
+        parseFloat(document.getElementById("densidade-ingrediente").value) ||
+        null,
+      embalagens: this.embalagensForm,
       atual: this.currentEditingId ? this.preserveCurrentStock() : 0, // Preservar estoque atual na edição
       ativo: true,
     };
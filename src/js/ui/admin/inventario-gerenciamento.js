@@ -0,0 +1,864 @@
+/**
+ * Módulo de Inventário (contagem física de estoque)
+ * Abre sessões com o estoque do sistema congelado, registra a contagem por área de
+ * armazenamento (pensado também para uso no celular), mostra a diferença em quantidade e
+ * valor, exige motivo para diferenças grandes e finaliza lançando todos os ajustes de uma vez
+ */
+
+import {
+    getInventoryCounts,
+    getInventoryCountById,
+    createInventoryCount,
+    saveInventoryCountItems,
+    finalizeInventoryCount,
+    cancelInventoryCount,
+    calculateCountVariance,
+    requiresVarianceReason,
+    summarizeInventoryCount,
+    getStorageAreaLabel,
+    STORAGE_AREAS,
+    VARIANCE_REASONS,
+    INVENTORY_COUNT_STATUS
+} from '../../api/inventory-counts.js';
+import {
+    convertUnit,
+    formatQuantity,
+    getCompatibleUnits,
+    getConversionProfile,
+    normalizeUnit,
+    isUnitConversionError
+} from '../../utils/unit-conversion.js';
+
+import { showToast, showConfirm, toastFromApiError, toastFromApiSuccess } from '../alerts.js';
+import { abrirModal, fecharModal } from '../modais.js';
+import { escapeHTML } from '../../utils/html-sanitizer.js';
+import { debounce } from '../../utils/performance-utils.js';
+import { normalizePaginationResponse, getItemsFromResponse, getPaginationFromResponse } from '../../utils/pagination-utils.js';
+import { showLoadingOverlay, hideLoadingOverlay } from '../../utils/loading-indicator.js';
+
+const AUTO_SAVE_DELAY = 1200; // ms após a última digitação
+const SEM_AREA = 'sem-area'; // Chave da aba dos insumos sem área definida
+
+/**
+ * Converte quantidade digitada ("1,5") para número; '' → null, inválido → NaN
+ */
+function parseQuantidade(value) {
+    const texto = String(value ?? '').trim();
+    if (texto === '') return null;
+    const numero = parseFloat(texto.replace(/\s/g, '').replace(',', '.'));
+    return Number.isFinite(numero) ? numero : NaN;
+}
+
+function formatReais(value) {
+    const numero = parseFloat(value) || 0;
+    const sinal = numero < 0 ? '-' : '';
+    return `${sinal}R$ ${Math.abs(numero).toFixed(2).replace('.', ',')}`;
+}
+
+function formatDataHora(value) {
+    if (!value) return '-';
+    const data = new Date(value);
+    if (Number.isNaN(data.getTime())) return '-';
+    return data.toLocaleString('pt-BR', { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Diferença com sinal e unidade ("+0.5 KG", "-2 UN")
+ */
+function formatDiferenca(quantity, unit) {
+    if (quantity === 0) return `0 ${normalizeUnit(unit).toUpperCase()}`;
+    const sinal = quantity > 0 ? '+' : '-';
+    return `${sinal}${formatQuantity(Math.abs(quantity), unit)}`;
+}
+
+function getAreaKey(item) {
+    return item.storage_area && STORAGE_AREAS[item.storage_area] ? item.storage_area : SEM_AREA;
+}
+
+/**
+ * Gerenciador de interface do inventário
+ */
+class InventarioManager {
+    constructor() {
+        this.contagens = [];
+        this.eventListeners = [];
+        this.filtroStatus = '';
+        this.currentPage = 1;
+        this.pageSize = 20;
+        this.totalPages = 1;
+        this.totalItems = 0;
+        this.isLoading = false;
+        this.isSaving = false;
+        // Sessão aberta no modal e contagens ainda não enviadas (ingredient_id → item)
+        this.sessao = null;
+        this.areaAtiva = '';
+        this.termoBusca = '';
+        this.filtroItens = '';
+        this.pendentes = new Map();
+        this.salvarPendentesDebounced = debounce(() => this.salvarPendentes(), AUTO_SAVE_DELAY);
+    }
+
+    /**
+     * Inicializa o módulo
+     */
+    async init() {
+        try {
+            this.setupEventListeners();
+            await this.loadContagens();
+        } catch (error) {
+            if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+                console.error('Erro ao inicializar módulo de inventário:', error);
+            }
+            showToast('Erro ao carregar contagens de estoque', { type: 'error' });
+        }
+    }
+
+    /**
+     * Carrega sessões de contagem com paginação e filtro da API
+     */
+    async loadContagens() {
+        if (this.isLoading) return;
+
+        try {
+            this.isLoading = true;
+            showLoadingOverlay('#secao-inventario .promocoes-container', 'contagens-loading', 'Carregando contagens...');
+
+            const options = {
+                page: this.currentPage,
+                page_size: this.pageSize
+            };
+            if (this.filtroStatus) options.status = this.filtroStatus;
+
+            const result = await getInventoryCounts(options);
+            if (!result.success) {
+                throw new Error(result.error || 'Erro ao buscar contagens');
+            }
+
+            const normalizedResponse = normalizePaginationResponse(result.data, 'items');
+            this.contagens = getItemsFromResponse(normalizedResponse);
+            const paginationInfo = getPaginationFromResponse(normalizedResponse);
+            this.totalPages = paginationInfo.total_pages || 1;
+            this.totalItems = paginationInfo.total || 0;
+
+            this.renderContagens();
+            this.renderPagination();
+        } catch (error) {
+            if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+                console.error('Erro ao carregar contagens:', error);
+            }
+            this.contagens = [];
+            this.renderContagens();
+        } finally {
+            this.isLoading = false;
+            hideLoadingOverlay('contagens-loading');
+        }
+    }
+
+    /**
+     * Configura event listeners
+     */
+    setupEventListeners() {
+        this.removeEventListeners();
+
+        const addListener = (element, event, handler) => {
+            if (!element) return;
+            element.addEventListener(event, handler);
+            this.eventListeners.push({ element, event, handler });
+        };
+
+        addListener(document.getElementById('btn-nova-contagem'), 'click', () => this.openNovaContagemModal());
+        addListener(document.getElementById('iniciar-contagem'), 'click', () => this.iniciarContagem());
+
+        addListener(document.getElementById('filtro-status-contagem'), 'change', async (e) => {
+            this.filtroStatus = e.target.value;
+            this.currentPage = 1;
+            await this.loadContagens();
+        });
+
+        // Event delegation para os cards das sessões
+        addListener(document.getElementById('contagens-list'), 'click', (e) => {
+            const btn = e.target.closest('.btn-abrir-contagem');
+            if (btn) this.openContagem(parseInt(btn.dataset.contagemId, 10));
+        });
+
+        // Modal da contagem
+        addListener(document.getElementById('fechar-modal-contagem'), 'click', () => this.closeContagemModal());
+        addListener(document.getElementById('fechar-contagem'), 'click', () => this.closeContagemModal());
+        addListener(document.getElementById('finalizar-contagem'), 'click', () => this.finalizarContagem());
+        addListener(document.getElementById('cancelar-sessao-contagem'), 'click', () => this.cancelarContagem());
+
+        addListener(document.getElementById('contagem-areas'), 'click', (e) => {
+            const aba = e.target.closest('.contagem-area');
+            if (!aba) return;
+            this.areaAtiva = aba.dataset.area;
+            this.renderAreas();
+            this.renderItens();
+        });
+
+        addListener(document.getElementById('busca-item-contagem'), 'input', debounce((e) => {
+            this.termoBusca = e.target.value.trim().toLowerCase();
+            this.renderItens();
+        }, 200));
+
+        addListener(document.getElementById('filtro-itens-contagem'), 'change', (e) => {
+            this.filtroItens = e.target.value;
+            this.renderItens();
+        });
+
+        const itens = document.getElementById('contagem-itens');
+        addListener(itens, 'input', (e) => {
+            if (e.target.matches('.contagem-quantidade, .contagem-observacao')) this.handleItemChange(e.target);
+        });
+        addListener(itens, 'change', (e) => {
+            if (e.target.matches('.contagem-unidade, .contagem-motivo-select')) this.handleItemChange(e.target);
+        });
+        // Enter no campo de quantidade vai para o próximo insumo (contagem rápida no celular)
+        addListener(itens, 'keydown', (e) => {
+            if (e.key !== 'Enter' || !e.target.matches('.contagem-quantidade')) return;
+            e.preventDefault();
+            const campos = Array.from(itens.querySelectorAll('.contagem-quantidade'));
+            const proximo = campos[campos.indexOf(e.target) + 1];
+            if (proximo) {
+                proximo.focus();
+                proximo.select();
+            } else {
+                e.target.blur();
+            }
+        });
+    }
+
+    /**
+     * Remove event listeners existentes
+     */
+    removeEventListeners() {
+        if (this.eventListeners) {
+            this.eventListeners.forEach(({ element, event, handler }) => {
+                element.removeEventListener(event, handler);
+            });
+            this.eventListeners = [];
+        }
+    }
+
+    /**
+     * Cleanup ao sair da seção (envia contagens pendentes)
+     */
+    cleanup() {
+        this.salvarPendentes();
+        this.removeEventListeners();
+    }
+
+    /**
+     * Renderiza lista de sessões de contagem
+     */
+    renderContagens() {
+        const container = document.getElementById('contagens-list');
+        if (!container) return;
+
+        if (this.contagens.length === 0) {
+            container.innerHTML = `
+                <div style="text-align: center; padding: 40px; color: #666;">
+                    <i class="fa-solid fa-clipboard-check" style="font-size: 48px; margin-bottom: 16px; opacity: 0.3;"></i>
+                    <p style="font-size: 16px;">Nenhuma contagem encontrada</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = this.contagens.map(contagem => this.createContagemCard(contagem)).join('');
+    }
+
+    /**
+     * Cria card da sessão (reaproveita o layout dos cards de promoção)
+     * A listagem traz os totais calculados pelo backend (items_total, items_counted, shortage_value...)
+     */
+    createContagemCard(contagem) {
+        const statusClass = { open: 'agendada', finalized: 'ativa', cancelled: 'expirada' }[contagem.status] || 'agendada';
+        const aberta = contagem.status === 'open';
+        const areas = (contagem.storage_areas || []).length > 0
+            ? contagem.storage_areas.map(area => getStorageAreaLabel(area)).join(', ')
+            : 'Todas as áreas';
+        const total = parseInt(contagem.items_total, 10) || 0;
+        const contados = parseInt(contagem.items_counted, 10) || 0;
+
+        return `
+            <div class="promocao-card contagem-card" data-contagem-id="${contagem.id}">
+                <div class="promocao-header">
+                    <div class="promocao-info">
+                        <h3>Contagem #${contagem.id}</h3>
+                        <span class="status-badge ${statusClass}">${INVENTORY_COUNT_STATUS[contagem.status] || contagem.status}</span>
+                    </div>
+                    <div class="promocao-actions">
+                        <button class="btn-editar-promocao btn-abrir-contagem" data-contagem-id="${contagem.id}" title="${aberta ? 'Continuar contagem' : 'Ver relatório'}">
+                            <i class="fa-solid ${aberta ? 'fa-pen-to-square' : 'fa-file-lines'}"></i>
+                        </button>
+                    </div>
+                </div>
+                <div class="promocao-body">
+                    <div class="desconto-badge">
+                        <i class="fa-solid fa-list-check"></i>
+                        ${contados} de ${total} insumos contados
+                    </div>
+                    <div class="promocao-detalhes">
+                        <div class="detalhe-item">
+                            <i class="fa-solid fa-warehouse"></i>
+                            <span>${escapeHTML(areas)}</span>
+                        </div>
+                        <div class="detalhe-item">
+                            <i class="fa-solid fa-calendar"></i>
+                            <span>Iniciada em ${formatDataHora(contagem.created_at)}${contagem.created_by_name ? ` por ${escapeHTML(contagem.created_by_name)}` : ''}</span>
+                        </div>
+                        ${contagem.status === 'finalized' ? `
+                        <div class="detalhe-item">
+                            <i class="fa-solid fa-scale-unbalanced"></i>
+                            <span>Saldo das diferenças: ${formatReais(contagem.net_value)}</span>
+                        </div>` : ''}
+                        ${contagem.notes ? `
+                        <div class="detalhe-item">
+                            <i class="fa-solid fa-note-sticky"></i>
+                            <span>${escapeHTML(contagem.notes)}</span>
+                        </div>` : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Renderiza controles de paginação
+     */
+    renderPagination() {
+        const container = document.getElementById('contagens-list');
+        if (!container) return;
+
+        const existingPagination = container.parentElement.querySelector('.pagination');
+        if (existingPagination) {
+            existingPagination.remove();
+        }
+
+        if (this.totalItems === 0) {
+            return;
+        }
+
+        const startItem = (this.currentPage - 1) * this.pageSize + 1;
+        const endItem = Math.min(this.currentPage * this.pageSize, this.totalItems);
+
+        const pagination = document.createElement('div');
+        pagination.className = 'pagination';
+        pagination.innerHTML = `
+      <div class="pagination-wrapper">
+        <div class="pagination-info">
+          <span class="pagination-text">
+            Mostrando <strong>${startItem}-${endItem}</strong> de <strong>${this.totalItems}</strong> contagens
+          </span>
+          ${this.totalPages > 1 ? `<span class="pagination-page-info">Página ${this.currentPage} de ${this.totalPages}</span>` : ''}
+        </div>
+        ${this.totalPages > 1 ? `
+        <div class="pagination-controls">
+          <button class="pagination-btn pagination-btn-nav" ${this.currentPage === 1 ? 'disabled' : ''} data-page="prev" title="Página anterior">
+            <i class="fa-solid fa-chevron-left"></i>
+            <span>Anterior</span>
+          </button>
+          <button class="pagination-btn pagination-btn-nav" ${this.currentPage === this.totalPages ? 'disabled' : ''} data-page="next" title="Próxima página">
+            <span>Próxima</span>
+            <i class="fa-solid fa-chevron-right"></i>
+          </button>
+        </div>
+        ` : ''}
+      </div>
+    `;
+
+        pagination.addEventListener('click', async (e) => {
+            const target = e.target.closest('.pagination-btn');
+            if (!target || target.disabled || this.isLoading) return;
+
+            if (target.dataset.page === 'prev' && this.currentPage > 1) {
+                this.currentPage -= 1;
+            } else if (target.dataset.page === 'next' && this.currentPage < this.totalPages) {
+                this.currentPage += 1;
+            } else {
+                return;
+            }
+
+            await this.loadContagens();
+            document.getElementById('secao-inventario')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        });
+
+        container.parentElement.appendChild(pagination);
+    }
+
+    /**
+     * Abre o modal de nova contagem (retoma a sessão aberta, se houver)
+     */
+    async openNovaContagemModal() {
+        const result = await getInventoryCounts({ status: 'open', page_size: 1 });
+        const aberta = result.success ? getItemsFromResponse(normalizePaginationResponse(result.data, 'items'))[0] : null;
+        if (aberta) {
+            showToast(`A contagem #${aberta.id} ainda está em andamento. Finalize ou cancele antes de iniciar outra.`, {
+                type: 'warning',
+                title: 'Contagem em andamento'
+            });
+            await this.openContagem(aberta.id);
+            return;
+        }
+
+        abrirModal('modal-nova-contagem');
+    }
+
+    /**
+     * Abre a sessão congelando o estoque das áreas escolhidas
+     */
+    async iniciarContagem() {
+        if (this.isSaving) return;
+
+        const areas = Array.from(document.querySelectorAll('input[name="areas-nova-contagem"]:checked'))
+            .map(checkbox => checkbox.value);
+        const notes = document.getElementById('observacoes-nova-contagem')?.value || '';
+
+        try {
+            this.isSaving = true;
+            const sessao = await createInventoryCount({ storage_areas: areas, notes });
+            fecharModal('modal-nova-contagem');
+            toastFromApiSuccess(sessao, 'Contagem iniciada. O estoque do sistema foi congelado.');
+
+            await this.loadContagens();
+            if (sessao?.id) {
+                await this.openContagem(sessao.id);
+            }
+        } catch (error) {
+            if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+                console.error('Erro ao iniciar contagem:', error);
+            }
+            // 409: já existe uma sessão aberta
+            toastFromApiError(error, 'Erro ao iniciar contagem');
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    /**
+     * Abre a sessão no modal (contagem em andamento ou relatório)
+     */
+    async openContagem(contagemId) {
+        try {
+            const sessao = await getInventoryCountById(contagemId);
+            this.sessao = {
+                ...sessao,
+                items: (sessao.items || []).map(item => ({ ...item, conversion: getConversionProfile(item) }))
+            };
+        } catch (error) {
+            if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+                console.error('Erro ao carregar contagem:', error);
+            }
+            toastFromApiError(error, 'Erro ao carregar a contagem');
+            return;
+        }
+
+        this.pendentes = new Map();
+        this.areaAtiva = '';
+        this.termoBusca = '';
+        this.filtroItens = '';
+        const busca = document.getElementById('busca-item-contagem');
+        const filtro = document.getElementById('filtro-itens-contagem');
+        if (busca) busca.value = '';
+        if (filtro) filtro.value = '';
+
+        const aberta = this.isSessaoAberta();
+        const titulo = document.getElementById('titulo-modal-contagem');
+        if (titulo) {
+            titulo.textContent = aberta ? `Contagem #${this.sessao.id}` : `Relatório da contagem #${this.sessao.id}`;
+        }
+        ['finalizar-contagem', 'cancelar-sessao-contagem'].forEach(id => {
+            const btn = document.getElementById(id);
+            if (btn) btn.style.display = aberta ? '' : 'none';
+        });
+        this.setStatusSalvamento('');
+
+        this.renderResumo();
+        this.renderAreas();
+        this.renderItens();
+        abrirModal('modal-contagem');
+    }
+
+    isSessaoAberta() {
+        return this.sessao?.status === 'open';
+    }
+
+    async closeContagemModal() {
+        await this.salvarPendentes();
+        fecharModal('modal-contagem');
+        this.sessao = null;
+        await this.loadContagens();
+    }
+
+    /**
+     * Resumo da sessão: progresso e diferenças em valor
+     */
+    renderResumo() {
+        const container = document.getElementById('contagem-resumo');
+        if (!container || !this.sessao) return;
+
+        const resumo = summarizeInventoryCount(this.sessao.items);
+        const status = INVENTORY_COUNT_STATUS[this.sessao.status] || this.sessao.status;
+        const encerramento = this.sessao.status === 'finalized'
+            ? ` · Finalizada em ${formatDataHora(this.sessao.finalized_at)}${this.sessao.finalized_by_name ? ` por ${escapeHTML(this.sessao.finalized_by_name)}` : ''}`
+            : '';
+
+        container.innerHTML = `
+            <p class="contagem-resumo-info">
+                ${escapeHTML(status)} · Estoque congelado em ${formatDataHora(this.sessao.created_at)}${this.sessao.created_by_name ? ` por ${escapeHTML(this.sessao.created_by_name)}` : ''}${encerramento}
+            </p>
+            <div class="contagem-resumo-valores">
+                <div><span>Contados</span><strong>${resumo.counted}/${resumo.total}</strong></div>
+                <div><span>Com diferença</span><strong>${resumo.withVariance}</strong></div>
+                <div class="negativo"><span>Faltas</span><strong>${formatReais(resumo.shortageValue)}</strong></div>
+                <div class="positivo"><span>Sobras</span><strong>${formatReais(resumo.surplusValue)}</strong></div>
+                <div><span>Saldo</span><strong>${formatReais(resumo.netValue)}</strong></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Abas das áreas com progresso da contagem ("Freezer 3/8")
+     */
+    renderAreas() {
+        const container = document.getElementById('contagem-areas');
+        if (!container || !this.sessao) return;
+
+        const progresso = new Map();
+        this.sessao.items.forEach(item => {
+            const area = getAreaKey(item);
+            const atual = progresso.get(area) || { total: 0, contados: 0 };
+            atual.total += 1;
+            if (calculateCountVariance(item)) atual.contados += 1;
+            progresso.set(area, atual);
+        });
+
+        const ordem = [...Object.keys(STORAGE_AREAS), SEM_AREA].filter(area => progresso.has(area));
+        const resumo = summarizeInventoryCount(this.sessao.items);
+        const aba = (area, label, contados, total) => `
+            <button type="button" class="contagem-area ${this.areaAtiva === area ? 'ativa' : ''} ${contados === total ? 'completa' : ''}"
+                data-area="${area}" role="tab" aria-selected="${this.areaAtiva === area}">
+                ${escapeHTML(label)} <span>${contados}/${total}</span>
+            </button>
+        `;
+
+        container.innerHTML = aba('', 'Todas', resumo.counted, resumo.total) + ordem
+            .map(area => aba(area, area === SEM_AREA ? getStorageAreaLabel(null) : getStorageAreaLabel(area), progresso.get(area).contados, progresso.get(area).total))
+            .join('');
+    }
+
+    /**
+     * Itens visíveis conforme área, busca e filtro
+     */
+    getItensVisiveis() {
+        return this.sessao.items.filter(item => {
+            if (this.areaAtiva && getAreaKey(item) !== this.areaAtiva) return false;
+            if (this.termoBusca && !String(item.ingredient_name || '').toLowerCase().includes(this.termoBusca)) return false;
+
+            const variance = calculateCountVariance(item);
+            if (this.filtroItens === 'pendentes') return !variance;
+            if (this.filtroItens === 'divergencias') return variance && variance.quantity !== 0;
+            return true;
+        });
+    }
+
+    renderItens() {
+        const container = document.getElementById('contagem-itens');
+        if (!container || !this.sessao) return;
+
+        const itens = this.getItensVisiveis();
+        if (itens.length === 0) {
+            container.innerHTML = '<p class="contagem-vazio">Nenhum insumo encontrado</p>';
+            return;
+        }
+
+        container.innerHTML = itens.map(item => this.isSessaoAberta() ? this.renderItemContagem(item) : this.renderItemRelatorio(item)).join('');
+    }
+
+    /**
+     * Linha de contagem: quantidade na unidade escolhida (estoque, embalagem ou unidade padrão)
+     */
+    renderItemContagem(item) {
+        const stockUnit = item.stock_unit || 'un';
+        const countUnit = item.count_unit || normalizeUnit(stockUnit);
+        const valorDigitado = item.count_input_quantity ?? item.counted_quantity;
+        const unidades = getCompatibleUnits(stockUnit, item.conversion)
+            .map(option => `<option value="${escapeHTML(option.value)}" ${option.value === countUnit ? 'selected' : ''}>${escapeHTML(option.label)}</option>`)
+            .join('');
+
+        return `
+            <div class="contagem-item" data-ingredient-id="${item.ingredient_id}">
+                <div class="contagem-item-info">
+                    <span class="contagem-item-nome">${escapeHTML(item.ingredient_name || 'Insumo')}</span>
+                    <span class="contagem-item-detalhes">
+                        Sistema: ${formatQuantity(parseFloat(item.expected_quantity) || 0, stockUnit)}
+                        ${this.areaAtiva ? '' : ` · ${escapeHTML(getStorageAreaLabel(item.storage_area))}`}
+                        ${item.counted_by_name ? ` · contado por ${escapeHTML(item.counted_by_name)}` : ''}
+                    </span>
+                </div>
+                <div class="contagem-item-entrada">
+                    <input type="text" class="contagem-quantidade" inputmode="decimal" enterkeyhint="next" autocomplete="off"
+                        value="${valorDigitado !== null && valorDigitado !== undefined ? String(valorDigitado).replace('.', ',') : ''}"
+                        placeholder="Contado" aria-label="Quantidade contada de ${escapeHTML(item.ingredient_name || 'insumo')}">
+                    <select class="contagem-unidade" aria-label="Unidade da contagem">${unidades}</select>
+                </div>
+                <span class="contagem-diferenca">${this.renderDiferenca(item)}</span>
+                <div class="contagem-motivo" ${this.precisaMotivoVisivel(item) ? '' : 'hidden'}>
+                    <select class="contagem-motivo-select" aria-label="Motivo da diferença">
+                        <option value="">Motivo da diferença *</option>
+                        ${Object.entries(VARIANCE_REASONS).map(([value, label]) => `<option value="${value}" ${item.variance_reason === value ? 'selected' : ''}>${escapeHTML(label)}</option>`).join('')}
+                    </select>
+                    <input type="text" class="contagem-observacao" maxlength="255" autocomplete="off"
+                        value="${escapeHTML(item.variance_note || '')}" placeholder="Observação (opcional)" aria-label="Observação da diferença">
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Linha do relatório (sessão finalizada ou cancelada)
+     */
+    renderItemRelatorio(item) {
+        const stockUnit = item.stock_unit || 'un';
+        const variance = calculateCountVariance(item);
+        const contado = variance ? formatQuantity(parseFloat(item.counted_quantity) || 0, stockUnit) : 'Não contado';
+
+        return `
+            <div class="contagem-item contagem-item-relatorio" data-ingredient-id="${item.ingredient_id}">
+                <div class="contagem-item-info">
+                    <span class="contagem-item-nome">${escapeHTML(item.ingredient_name || 'Insumo')}</span>
+                    <span class="contagem-item-detalhes">
+                        Sistema: ${formatQuantity(parseFloat(item.expected_quantity) || 0, stockUnit)} · Contado: ${contado}
+                        ${item.counted_by_name ? ` · ${escapeHTML(item.counted_by_name)}` : ''}
+                    </span>
+                    ${item.variance_reason ? `
+                    <span class="contagem-item-detalhes">
+                        Motivo: ${escapeHTML(VARIANCE_REASONS[item.variance_reason] || item.variance_reason)}${item.variance_note ? ` · ${escapeHTML(item.variance_note)}` : ''}
+                    </span>` : ''}
+                </div>
+                <span class="contagem-diferenca">${this.renderDiferenca(item)}</span>
+            </div>
+        `;
+    }
+
+    renderDiferenca(item) {
+        const variance = calculateCountVariance(item);
+        if (!variance) return '<span class="pendente">Pendente</span>';
+
+        const classe = variance.quantity > 0 ? 'positivo' : (variance.quantity < 0 ? 'negativo' : 'neutro');
+        return `
+            <span class="${classe}">${formatDiferenca(variance.quantity, item.stock_unit || 'un')}</span>
+            <small class="${classe}">${formatReais(variance.value)}</small>
+        `;
+    }
+
+    precisaMotivoVisivel(item) {
+        return requiresVarianceReason(item) || !!item.variance_reason;
+    }
+
+    /**
+     * Atualiza o item a partir da linha editada e agenda o envio
+     */
+    handleItemChange(campo) {
+        if (!this.isSessaoAberta()) return;
+
+        const linha = campo.closest('.contagem-item');
+        const ingredientId = parseInt(linha?.dataset.ingredientId, 10);
+        const item = this.sessao.items.find(i => Number(i.ingredient_id) === ingredientId);
+        if (!item) return;
+
+        const inputQuantidade = linha.querySelector('.contagem-quantidade');
+        const quantidade = parseQuantidade(inputQuantidade.value);
+        const unidade = linha.querySelector('.contagem-unidade')?.value || normalizeUnit(item.stock_unit);
+
+        if (Number.isNaN(quantidade) || (quantidade !== null && quantidade < 0)) {
+            inputQuantidade.classList.add('invalido');
+            return;
+        }
+        inputQuantidade.classList.remove('invalido');
+
+        if (quantidade === null) {
+            item.counted_quantity = null;
+            item.count_input_quantity = null;
+        } else {
+            try {
+                item.counted_quantity = convertUnit(quantidade, unidade, item.stock_unit || 'un', item.conversion);
+            } catch (error) {
+                if (!isUnitConversionError(error)) throw error;
+                inputQuantidade.classList.add('invalido');
+                showToast(error.message, { type: 'error', title: 'Unidade inválida' });
+                return;
+            }
+            item.count_input_quantity = quantidade;
+        }
+        item.count_unit = unidade;
+        item.variance_reason = linha.querySelector('.contagem-motivo-select')?.value || null;
+        item.variance_note = linha.querySelector('.contagem-observacao')?.value || '';
+
+        // Atualiza só a linha para não perder o foco do campo em edição
+        linha.querySelector('.contagem-diferenca').innerHTML = this.renderDiferenca(item);
+        const motivo = linha.querySelector('.contagem-motivo');
+        if (motivo) motivo.hidden = !this.precisaMotivoVisivel(item);
+
+        this.pendentes.set(item.ingredient_id, item);
+        this.setStatusSalvamento('Alterações não salvas');
+        this.renderResumo();
+        this.renderAreas();
+        this.salvarPendentesDebounced();
+    }
+
+    setStatusSalvamento(texto) {
+        const status = document.getElementById('contagem-status-salvamento');
+        if (status) status.textContent = texto;
+    }
+
+    /**
+     * Envia as contagens alteradas desde o último envio
+     * @returns {Promise<boolean>} false se o envio falhou (as contagens continuam pendentes)
+     */
+    async salvarPendentes() {
+        if (!this.sessao || this.pendentes.size === 0) return true;
+
+        const sessaoId = this.sessao.id;
+        const lote = Array.from(this.pendentes.values());
+        this.pendentes = new Map();
+        this.setStatusSalvamento('Salvando...');
+
+        try {
+            await saveInventoryCountItems(sessaoId, lote);
+            if (this.sessao?.id === sessaoId && this.pendentes.size === 0) {
+                this.setStatusSalvamento('Contagem salva');
+            }
+            return true;
+        } catch (error) {
+            if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+                console.error('Erro ao salvar contagem:', error);
+            }
+            // Mantém o lote para nova tentativa, sem sobrescrever edições mais recentes
+            if (this.sessao?.id === sessaoId) {
+                lote.forEach(item => {
+                    if (!this.pendentes.has(item.ingredient_id)) this.pendentes.set(item.ingredient_id, item);
+                });
+                this.setStatusSalvamento('Não foi possível salvar');
+            }
+            toastFromApiError(error, 'Erro ao salvar a contagem');
+            return false;
+        }
+    }
+
+    /**
+     * Finaliza a sessão: valida motivos, confirma e lança todos os ajustes em um único lote
+     */
+    async finalizarContagem() {
+        if (!this.isSessaoAberta() || this.isSaving) return;
+
+        const semMotivo = this.sessao.items.filter(item => requiresVarianceReason(item) && !item.variance_reason);
+        if (semMotivo.length > 0) {
+            this.filtroItens = 'divergencias';
+            const filtro = document.getElementById('filtro-itens-contagem');
+            if (filtro) filtro.value = 'divergencias';
+            this.areaAtiva = '';
+            this.renderAreas();
+            this.renderItens();
+            showToast(`Informe o motivo da diferença de ${semMotivo.length} ${semMotivo.length === 1 ? 'insumo' : 'insumos'} (ex: ${semMotivo[0].ingredient_name})`, {
+                type: 'error',
+                title: 'Motivo obrigatório'
+            });
+            return;
+        }
+
+        if (!(await this.salvarPendentes())) return;
+
+        const resumo = summarizeInventoryCount(this.sessao.items);
+        if (resumo.counted === 0) {
+            showToast('Nenhum insumo foi contado', { type: 'error' });
+            return;
+        }
+
+        const naoContados = resumo.total - resumo.counted;
+        const confirmed = await showConfirm({
+            title: 'Finalizar contagem',
+            message: `${resumo.withVariance} ${resumo.withVariance === 1 ? 'ajuste será lançado' : 'ajustes serão lançados'} no estoque ` +
+                `(saldo ${formatReais(resumo.netValue)}).` +
+                (naoContados > 0 ? ` ${naoContados} ${naoContados === 1 ? 'insumo não contado mantém' : 'insumos não contados mantêm'} o estoque atual.` : '') +
+                ' A contagem não poderá mais ser alterada.',
+            confirmText: 'Finalizar',
+            cancelText: 'Voltar'
+        });
+        if (!confirmed) return;
+
+        const btn = document.getElementById('finalizar-contagem');
+        try {
+            this.isSaving = true;
+            if (btn) btn.disabled = true;
+            const response = await finalizeInventoryCount(this.sessao.id);
+            toastFromApiSuccess(response, 'Contagem finalizada e estoque ajustado');
+            // Reabre como relatório
+            await this.openContagem(this.sessao.id);
+            await this.loadContagens();
+        } catch (error) {
+            if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+                console.error('Erro ao finalizar contagem:', error);
+            }
+            // 422: diferenças sem motivo registradas por outro aparelho
+            toastFromApiError(error, 'Erro ao finalizar a contagem');
+        } finally {
+            this.isSaving = false;
+            if (btn) btn.disabled = false;
+        }
+    }
+
+    /**
+     * Cancela a sessão sem alterar o estoque
+     */
+    async cancelarContagem() {
+        if (!this.isSessaoAberta() || this.isSaving) return;
+
+        const confirmed = await showConfirm({
+            title: 'Cancelar contagem',
+            message: `Cancelar a contagem #${this.sessao.id}? As quantidades contadas serão descartadas e o estoque não será alterado.`,
+            confirmText: 'Cancelar contagem',
+            cancelText: 'Voltar'
+        });
+        if (!confirmed) return;
+
+        try {
+            this.isSaving = true;
+            this.pendentes = new Map();
+            const response = await cancelInventoryCount(this.sessao.id);
+            toastFromApiSuccess(response, 'Contagem cancelada');
+            fecharModal('modal-contagem');
+            this.sessao = null;
+            await this.loadContagens();
+        } catch (error) {
+            if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+                console.error('Erro ao cancelar contagem:', error);
+            }
+            toastFromApiError(error, 'Erro ao cancelar a contagem');
+        } finally {
+            this.isSaving = false;
+        }
+    }
+}
+
+// Instância global do gerenciador
+let inventarioManager = null;
+
+/**
+ * Inicializa o módulo quando a seção de inventário é exibida
+ */
+export async function initInventarioManager() {
+    if (!inventarioManager) {
+        inventarioManager = new InventarioManager();
+    }
+    await inventarioManager.init();
+}
+
+/**
+ * Libera listeners ao sair da seção
+ */
+export function cleanupInventarioManager() {
+    if (inventarioManager) {
+        inventarioManager.cleanup();
+    }
+}
@@ -7,8 +7,13 @@
 import {
   getAllOrders,
   getOrderDetails,
+  getOrderTimeline,
   updateOrderStatus,
+  cancelOrder,
+  refundOrder,
   formatOrderStatus,
+  CANCELLATION_REASONS,
+  getCancellationReasonLabel,
 } from "../../api/orders.js";
 import {
   getDashboardMetrics,
@@ -21,7 +26,47 @@ import { showSuccess, showError, showConfirm } from "../alerts.js";
 import { debounce } from "../../utils/performance-utils.js";
 import { escapeHTML as escapeHTMLCentralized } from "../../utils/html-sanitizer.js";
 import { showLoadingOverlay, hideLoadingOverlay } from "../../utils/loading-indicator.js";
-import { socketService } from "../../api/socket-client.js";
+import { realtimeHub, REALTIME_EVENTS } from "../../utils/realtime-hub.js";
+import {
+  calculatePreparationTime,
+  getNextStatus,
+  isPickupOrder,
+} from "../../utils/order-flow-utils.js";
+import {
+  PAPER_WIDTHS,
+  renderOrderTicket,
+  renderOrderTicketText,
+} from "../../utils/escpos-ticket.js";
+import { abrirModal, fecharModal } from "../modais.js";
+import {
+  SCHEDULED_STATUS,
+  formatScheduledFor,
+  getScheduledReleaseTime,
+  isDueForRelease,
+  isScheduledOrder,
+} from "../../utils/schedule-utils.js";
+import { getSchedulingSettings } from "../../utils/settings-helper.js";
+import {
+  SCHEDULE_CHECK_INTERVAL,
+  fetchScheduledOrders,
+  releaseScheduledOrder as releaseOrderToQueue,
+} from "../../utils/scheduled-release.js";
+import {
+  ORDER_EVENT_SOURCES,
+  computeStageDurations,
+  describeTimelineEvent,
+  formatStageDuration,
+  getEventTime,
+  normalizeTimeline,
+} from "../../utils/order-timeline-utils.js";
+import {
+  buildRefundableLines,
+  buildRefundMovements,
+  calculatePointsReversal,
+  calculateRefundAmount,
+  getOrderTotal,
+  getRefundableBalance,
+} from "../../utils/refund-utils.js";
 
 // Constantes
 const MAX_CONCURRENT_REQUESTS = 10;
@@ -31,6 +76,8 @@ const SEARCH_DEBOUNCE_MS = 300;
 const VISIBILITY_CHECK_INTERVAL = 100;
 const MAX_VISIBILITY_CHECK_ATTEMPTS = 100;
 const FINAL_STATUSES = ["completed", "delivered", "paid", "cancelled"]; // Status finais que não permitem atualização
+const TICKET_WIDTH_KEY = "rb.ticket_width"; // Última largura de bobina escolhida
+const PRINTER_BAUD_RATE = 9600;
 
 // Verificar se está em modo de desenvolvimento (browser-safe)
 const isDevelopment = () => {
@@ -88,6 +135,14 @@ const isDevelopment = () => {
     visibilityCheckInterval: null,
     visibilityObserver: null, // ALTERAÇÃO: MutationObserver para verificação de visibilidade
     userPhoneCache: {}, // Cache para telefones dos usuários (evita múltiplas requisições)
+    ticketOrder: null, // Pedido exibido na modal de comanda
+    printerPort: null, // Porta serial da impressora térmica (reutilizada entre impressões)
+    scheduledOrders: [], // Pedidos aguardando o horário agendado (raia separada da fila)
+    scheduleSettings: null, // { lead_minutes, slot_minutes, max_days_ahead }
+    scheduleInterval: null,
+    timelineOrderId: null, // Pedido exibido na modal de histórico
+    refundingOrder: null, // Pedido exibido na modal de cancelamento/estorno
+    refundLines: [], // Itens ainda estornáveis do pedido
   };
 
   // Refs DOM
@@ -114,6 +169,41 @@ const isDevelopment = () => {
 
       // Lista de pedidos
       ordersList: document.getElementById("orders-list"),
+
+      // Raia de pedidos agendados
+      scheduledLane: document.getElementById("scheduled-orders-lane"),
+      scheduledList: document.getElementById("scheduled-orders-list"),
+      scheduledCount: document.getElementById("scheduled-orders-count"),
+
+      // Tela da cozinha (KDS)
+      btnAbrirKds: document.getElementById("btn-abrir-kds"),
+
+      // Comanda (impressora térmica)
+      ticketCode: document.getElementById("ticket-pedido-codigo"),
+      ticketWidth: document.getElementById("ticket-largura"),
+      ticketPreview: document.getElementById("ticket-preview"),
+      btnBaixarTicket: document.getElementById("btn-baixar-ticket"),
+      btnImprimirTicket: document.getElementById("btn-imprimir-ticket"),
+
+      // Histórico do pedido (linha do tempo)
+      timelineModal: document.getElementById("modal-historico-pedido"),
+      timelineCode: document.getElementById("historico-pedido-codigo"),
+      timelineDurations: document.getElementById("historico-pedido-tempos"),
+      timelineList: document.getElementById("historico-pedido-eventos"),
+
+      // Cancelamento/estorno
+      refundCode: document.getElementById("estorno-pedido-codigo"),
+      refundModeCancel: document.getElementById("estorno-modo-cancelar"),
+      refundModePartial: document.getElementById("estorno-modo-parcial"),
+      refundReason: document.getElementById("estorno-motivo"),
+      refundNote: document.getElementById("estorno-observacao"),
+      refundPartial: document.getElementById("estorno-parcial"),
+      refundItems: document.getElementById("estorno-itens"),
+      refundFeeWrapper: document.getElementById("estorno-taxa-wrapper"),
+      refundFee: document.getElementById("estorno-taxa-entrega"),
+      refundFeeValue: document.getElementById("estorno-taxa-valor"),
+      refundSummary: document.getElementById("estorno-resumo"),
+      btnConfirmRefund: document.getElementById("btn-confirmar-estorno"),
     };
     
     // ALTERAÇÃO: Verificar se elementos críticos foram encontrados
@@ -229,70 +319,6 @@ const isDevelopment = () => {
     }
   }
 
-  /**
-   * Extrair tempo de preparo de um item (função auxiliar para evitar duplicação)
-   * @param {Object} item - Item do pedido
-   * @returns {number} Tempo de preparo em minutos ou 0 se inválido
-   */
-  function extractPreparationTimeFromItem(item) {
-    if (!item || typeof item !== "object") return 0;
-
-    const product = item.product || {};
-    let prepTime = 0;
-
-    // Priorizar tempo do produto/item
-    if (
-      product.preparation_time_minutes !== undefined &&
-      product.preparation_time_minutes !== null
-    ) {
-      prepTime = parseInt(product.preparation_time_minutes, 10);
-    } else if (
-      item.preparation_time_minutes !== undefined &&
-      item.preparation_time_minutes !== null
-    ) {
-      prepTime = parseInt(item.preparation_time_minutes, 10);
-    } else if (
-      product.preparation_time !== undefined &&
-      product.preparation_time !== null
-    ) {
-      prepTime = parseInt(product.preparation_time, 10);
-    }
-
-    return !isNaN(prepTime) && prepTime > 0 ? Math.max(0, prepTime) : 0;
-  }
-
-  /**
-   * Calcular tempo de preparo baseado nos produtos do pedido
-   * Usa o tempo de preparo de cada produto em vez de configurações fixas
-   * @param {Object} order - Objeto do pedido
-   * @returns {number} Tempo estimado de preparo em minutos
-   */
-  function calculatePreparationTime(order) {
-    if (
-      !order.items ||
-      !Array.isArray(order.items) ||
-      order.items.length === 0
-    ) {
-      return 15; // Fallback padrão
-    }
-
-    // Pegar o maior tempo de preparo entre os itens (preparo paralelo)
-    const maxPrepTime = order.items.reduce((max, item) => {
-      const prepTime = extractPreparationTimeFromItem(item);
-      return Math.max(max, prepTime);
-    }, 0);
-
-    // Se encontrou tempo válido, usar o maior tempo + buffer
-    if (maxPrepTime > 0) {
-      // Adicionar um pequeno buffer para múltiplos itens
-      const buffer =
-        order.items.length > 1 ? Math.ceil(order.items.length * 0.5) : 0;
-      return maxPrepTime + buffer;
-    }
-
-    return 15; // Fallback padrão
-  }
-
   /**
    * Calcular tempo estimado da etapa atual e retornar status visual
    * Cada etapa tem seu próprio tempo, não soma o ciclo completo
@@ -429,6 +455,7 @@ const isDevelopment = () => {
     if (isPickup) {
       // Fluxo para pickup: preparing -> ready -> completed
       const pickupActionMap = {
+        scheduled: "Liberar para a Fila",
         pending: "Iniciar Preparo",
         preparing: "Marcar como Pronto",
         ready: "Marcar como Concluído",
@@ -443,6 +470,7 @@ const isDevelopment = () => {
     } else {
       // Fluxo para delivery: preparing -> on_the_way -> completed
       const deliveryActionMap = {
+        scheduled: "Liberar para a Fila",
         pending: "Iniciar Preparo",
         preparing: "Enviar para Entrega",
         on_the_way: "Marcar como Concluído",
@@ -456,43 +484,6 @@ const isDevelopment = () => {
     }
   }
 
-  /**
-   * Obter próximo status baseado no status atual e tipo de pedido (conforme fluxo da API)
-   * @param {string} currentStatus - Status atual
-   * @param {boolean} isPickup - Se o pedido é para retirada no balcão
-   * @returns {string} Próximo status
-   */
-  function getNextStatus(currentStatus, isPickup = false) {
-    // Normalizar in_progress para ready quando for pickup
-    const normalizedStatus =
-      currentStatus === "in_progress" && isPickup ? "ready" : currentStatus;
-
-    if (isPickup) {
-      // Fluxo para pickup: preparing -> ready (pronto para retirada) -> completed
-      const pickupStatusFlow = {
-        pending: "preparing",
-        preparing: "ready", // Para pickup: vai para "ready" em vez de "on_the_way"
-        ready: "completed",
-        in_progress: "completed", // Fallback - trata como ready, então próximo é completed
-        on_the_way: "completed", // Compatibilidade (backend pode converter on_the_way -> ready)
-        delivered: "completed",
-        paid: "completed",
-      };
-      return pickupStatusFlow[normalizedStatus] || currentStatus;
-    } else {
-      // Fluxo para delivery: preparing -> on_the_way -> completed
-      const deliveryStatusFlow = {
-        pending: "preparing",
-        preparing: "on_the_way",
-        on_the_way: "completed",
-        in_progress: "on_the_way", // Para delivery, in_progress -> on_the_way
-        delivered: "completed",
-        paid: "completed",
-      };
-      return deliveryStatusFlow[currentStatus] || currentStatus;
-    }
-  }
-
   /**
    * Obter classe CSS do status
    * @param {string} status - Status do pedido
@@ -500,6 +491,7 @@ const isDevelopment = () => {
    */
   function getStatusClass(status) {
     const classMap = {
+      scheduled: "status-agendado",
       pending: "status-novo",
       preparing: "status-preparo",
       ready: "status-pronto",
@@ -679,7 +671,11 @@ const isDevelopment = () => {
         // ALTERAÇÃO: Usar normalizador de paginação para garantir compatibilidade
         const { normalizePaginationResponse, getItemsFromResponse, getPaginationFromResponse } = await import('../../utils/pagination-utils.js');
         const normalizedResponse = normalizePaginationResponse(result.data || result, 'items');
-        const ordersList = getItemsFromResponse(normalizedResponse);
+        // Agendados ficam na raia própria, exceto quando o filtro pede por eles
+        const ordersList = getItemsFromResponse(normalizedResponse).filter(
+          (order) =>
+            state.filters.status === SCHEDULED_STATUS || !isScheduledOrder(order)
+        );
         const paginationInfo = getPaginationFromResponse(normalizedResponse);
 
         // ALTERAÇÃO: Atualizar informações de paginação usando dados normalizados
@@ -810,6 +806,8 @@ const isDevelopment = () => {
       // ALTERAÇÃO: Esconder indicador de carregamento
       hideLoadingOverlay('pedidos-loading');
     }
+
+    await loadScheduledOrders();
   }
 
   /**
@@ -914,19 +912,6 @@ const isDevelopment = () => {
     }
   }
 
-  /**
-   * Verificar se o pedido é retirada no balcão (pickup)
-   * @param {Object} order - Objeto do pedido
-   * @returns {boolean} True se for pickup
-   */
-  function isPickupOrder(order) {
-    if (!order || typeof order !== "object") return false;
-    const orderType = String(
-      order.order_type || order.delivery_type || order.deliveryType || ""
-    ).toLowerCase();
-    return orderType === "pickup";
-  }
-
   /**
    * Formatar endereço do pedido
    * @param {Object} order - Objeto do pedido
@@ -1453,6 +1438,8 @@ const isDevelopment = () => {
         const actionButtonText = getActionButtonText(order.status, isPickup);
         // Status finais que não permitem atualização
         const canUpdate = !FINAL_STATUSES.includes(order.status);
+        const canRefund =
+          order.status !== "cancelled" && getRefundableBalance(order) > 0;
 
         return `
                 <div class="order-card" data-order-id="${escapeHTML(
@@ -1535,6 +1522,26 @@ const isDevelopment = () => {
                               )
                             )}</span>
                         </div>
+                        <div class="order-footer-actions">
+                            <button class="order-timeline-btn" type="button" data-order-id="${escapeHTML(
+                              String(orderId)
+                            )}" title="Histórico do pedido" aria-label="Histórico do pedido">
+                                <i class="fa-solid fa-clock-rotate-left"></i>
+                            </button>
+                            <button class="order-print-btn" type="button" data-order-id="${escapeHTML(
+                              String(orderId)
+                            )}" title="Imprimir comanda" aria-label="Imprimir comanda">
+                                <i class="fa-solid fa-print"></i>
+                            </button>
+                            ${
+                              canRefund
+                                ? `<button class="order-refund-btn" type="button" data-order-id="${escapeHTML(
+                                    String(orderId)
+                                  )}" title="Cancelar ou estornar" aria-label="Cancelar ou estornar">
+                                <i class="fa-solid fa-rotate-left"></i>
+                            </button>`
+                                : ""
+                            }
                         ${
                           canUpdate
                             ? `
@@ -1546,6 +1553,7 @@ const isDevelopment = () => {
                         `
                             : ""
                         }
+                        </div>
                     </div>
                 </div>
             `;
@@ -1658,6 +1666,120 @@ const isDevelopment = () => {
     }
   }
 
+  // ============================================================================
+  // Comanda para impressora térmica (ESC/POS)
+  // ============================================================================
+
+  function getTicketOptions() {
+    const saved = el.ticketWidth?.value || localStorage.getItem(TICKET_WIDTH_KEY);
+    return { paperWidth: PAPER_WIDTHS[saved] ? saved : "80mm" };
+  }
+
+  /**
+   * Abre a modal com a prévia da comanda do pedido
+   * Usa getOrderDetails para ter extras, modificações e dados de pagamento completos.
+   * @param {number|string} orderId - ID do pedido
+   */
+  async function openTicketModal(orderId) {
+    if (!orderId) return;
+
+    showLoadingOverlay("#secao-pedidos", "ticket-loading", "Gerando comanda...");
+    try {
+      const result = await getOrderDetails(orderId);
+      if (!result.success || !result.data) {
+        showError(result.error || "Não foi possível carregar o pedido para impressão.");
+        return;
+      }
+
+      state.ticketOrder = result.data;
+
+      const savedWidth = localStorage.getItem(TICKET_WIDTH_KEY);
+      if (el.ticketWidth && PAPER_WIDTHS[savedWidth]) {
+        el.ticketWidth.value = savedWidth;
+      }
+      if (el.ticketCode) {
+        el.ticketCode.textContent = result.data.confirmation_code || `#${orderId}`;
+      }
+      if (el.btnImprimirTicket) {
+        // Impressão direta depende da Web Serial API (Chrome/Edge)
+        el.btnImprimirTicket.style.display = "serial" in navigator ? "" : "none";
+      }
+
+      renderTicketPreview();
+      abrirModal("modal-ticket-pedido");
+    } finally {
+      hideLoadingOverlay("ticket-loading");
+    }
+  }
+
+  function renderTicketPreview() {
+    if (!el.ticketPreview || !state.ticketOrder) return;
+    el.ticketPreview.textContent = renderOrderTicketText(
+      state.ticketOrder,
+      getTicketOptions()
+    );
+  }
+
+  function getTicketFileName() {
+    const order = state.ticketOrder || {};
+    const code = order.confirmation_code || order.order_id || order.id || "pedido";
+    return `comanda-${String(code).replace(/[^\w-]/g, "")}.bin`;
+  }
+
+  /**
+   * Baixa o fluxo ESC/POS (pode ser enviado à impressora com `copy /b` ou `lp -o raw`)
+   */
+  function downloadTicket() {
+    if (!state.ticketOrder) return;
+
+    const bytes = renderOrderTicket(state.ticketOrder, getTicketOptions());
+    const url = URL.createObjectURL(
+      new Blob([bytes], { type: "application/octet-stream" })
+    );
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = getTicketFileName();
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Envia a comanda para uma impressora térmica USB/serial via Web Serial API
+   */
+  async function printTicket() {
+    if (!state.ticketOrder || !("serial" in navigator)) return;
+
+    const bytes = renderOrderTicket(state.ticketOrder, getTicketOptions());
+    el.btnImprimirTicket.disabled = true;
+
+    try {
+      if (!state.printerPort) {
+        state.printerPort = await navigator.serial.requestPort();
+      }
+      const port = state.printerPort;
+      if (!port.writable) {
+        await port.open({ baudRate: PRINTER_BAUD_RATE });
+      }
+
+      const writer = port.writable.getWriter();
+      try {
+        await writer.write(bytes);
+      } finally {
+        writer.releaseLock();
+      }
+      showSuccess("Comanda enviada para a impressora.");
+    } catch (error) {
+      // Usuário fechou o seletor de porta: não é erro
+      if (error?.name === "NotFoundError") return;
+      state.printerPort = null;
+      showError("Não foi possível imprimir. Verifique a conexão da impressora.");
+    } finally {
+      el.btnImprimirTicket.disabled = false;
+    }
+  }
+
   /**
    * Formata valor monetário
    * @param {number} value - Valor a formatar
@@ -1690,7 +1812,9 @@ const isDevelopment = () => {
     }
 
     try {
-      const result = await updateOrderStatus(parsedOrderId, newStatus);
+      const result = await updateOrderStatus(parsedOrderId, newStatus, {
+        source: ORDER_EVENT_SOURCES.ADMIN_PANEL,
+      });
       if (result.success) {
         showSuccess("Status atualizado com sucesso!");
         await loadOrders(); // Recarregar lista e métricas
@@ -1704,6 +1828,557 @@ const isDevelopment = () => {
     }
   }
 
+  // ============================================================================
+  // Histórico do pedido
+  // Linha do tempo completa (quem alterou, quando, de qual tela e dispositivo)
+  // e tempos reais de fila, preparo e expedição
+  // ============================================================================
+
+  function isTimelineOpen() {
+    return !!el.timelineModal && el.timelineModal.style.display === "flex";
+  }
+
+  /**
+   * Abre a modal com o histórico do pedido
+   * @param {number|string} orderId - ID do pedido
+   */
+  async function openTimelineModal(orderId) {
+    if (!orderId) return;
+
+    const order = state.orders.find(
+      (o) => String(o.order_id || o.id) === String(orderId)
+    );
+    state.timelineOrderId = orderId;
+    if (el.timelineCode) {
+      el.timelineCode.textContent = order?.confirmation_code || `#${orderId}`;
+    }
+
+    showLoadingOverlay("#secao-pedidos", "timeline-loading", "Carregando histórico...");
+    try {
+      if (await refreshTimeline()) {
+        abrirModal("modal-historico-pedido");
+      }
+    } finally {
+      hideLoadingOverlay("timeline-loading");
+    }
+  }
+
+  /**
+   * Recarrega os eventos do pedido exibido na modal
+   * @returns {Promise<boolean>} True se o histórico foi carregado
+   */
+  async function refreshTimeline() {
+    const orderId = state.timelineOrderId;
+    const result = await getOrderTimeline(orderId);
+    if (!result.success) {
+      showError(result.error || "Não foi possível carregar o histórico do pedido.");
+      return false;
+    }
+    // Ignora respostas de um pedido que já não está mais aberto
+    if (String(state.timelineOrderId) === String(orderId)) {
+      renderTimeline(result.data);
+    }
+    return true;
+  }
+
+  function renderTimeline(events) {
+    const timeline = normalizeTimeline(events);
+
+    if (el.timelineDurations) {
+      const durations = computeStageDurations(timeline);
+      const stages = [
+        ["Fila", durations.queue],
+        ["Preparo", durations.preparation],
+        ["Expedição", durations.dispatch],
+        ["Total", durations.total],
+      ];
+      el.timelineDurations.innerHTML = stages
+        .map(
+          ([label, minutes]) => `
+            <div class="historico-tempo">
+                <span class="historico-tempo-label">${label}</span>
+                <span class="historico-tempo-valor">${escapeHTML(formatStageDuration(minutes))}</span>
+            </div>
+        `
+        )
+        .join("");
+    }
+
+    if (!el.timelineList) return;
+
+    if (timeline.length === 0) {
+      el.timelineList.innerHTML =
+        '<li class="historico-vazio">Nenhum evento registrado para este pedido.</li>';
+      return;
+    }
+
+    // Mais recente primeiro
+    el.timelineList.innerHTML = timeline
+      .slice()
+      .reverse()
+      .map((event) => {
+        const { title, detail, icon } = describeTimelineEvent(event);
+        const time = getEventTime(event).toLocaleString("pt-BR", {
+          day: "2-digit",
+          month: "2-digit",
+          hour: "2-digit",
+          minute: "2-digit",
+          second: "2-digit",
+        });
+        return `
+            <li class="historico-evento historico-${escapeHTML(String(event.type || ""))}">
+                <i class="fa-solid ${icon}" aria-hidden="true"></i>
+                <div class="historico-evento-info">
+                    <span class="historico-evento-titulo">${escapeHTML(title)}</span>
+                    ${detail ? `<span class="historico-evento-detalhe">${escapeHTML(detail)}</span>` : ""}
+                </div>
+                <time class="historico-evento-hora">${escapeHTML(time)}</time>
+            </li>
+        `;
+      })
+      .join("");
+  }
+
+  // ============================================================================
+  // Cancelamento e estorno
+  // Motivo obrigatório, estorno parcial por item, reversão de pontos de
+  // fidelidade e lançamentos financeiros negativos
+  // ============================================================================
+
+  /**
+   * Abre a modal de cancelamento/estorno
+   * Usa getOrderDetails para ter os itens com IDs e quantidades já estornadas.
+   * @param {number|string} orderId - ID do pedido
+   */
+  async function openRefundModal(orderId) {
+    if (!orderId) return;
+
+    showLoadingOverlay("#secao-pedidos", "refund-loading", "Carregando pedido...");
+    try {
+      const result = await getOrderDetails(orderId);
+      if (!result.success || !result.data) {
+        showError(result.error || "Não foi possível carregar o pedido.");
+        return;
+      }
+
+      const order = result.data;
+      state.refundingOrder = order;
+      state.refundLines = buildRefundableLines(order.items, calculateItemTotal);
+
+      if (el.refundCode) {
+        el.refundCode.textContent = order.confirmation_code || `#${orderId}`;
+      }
+      if (el.refundReason) {
+        el.refundReason.innerHTML =
+          '<option value="">Selecione o motivo</option>' +
+          CANCELLATION_REASONS.map(
+            (reason) =>
+              `<option value="${escapeHTML(reason.code)}">${escapeHTML(reason.label)}</option>`
+          ).join("");
+      }
+      if (el.refundNote) el.refundNote.value = "";
+      if (el.refundFee) el.refundFee.checked = false;
+
+      // Pedido finalizado só aceita estorno parcial
+      const canCancel = !FINAL_STATUSES.includes(order.status);
+      if (el.refundModeCancel) {
+        el.refundModeCancel.disabled = !canCancel;
+        el.refundModeCancel.checked = canCancel;
+      }
+      if (el.refundModePartial) el.refundModePartial.checked = !canCancel;
+
+      renderRefundItems();
+      updateRefundMode();
+      abrirModal("modal-estorno-pedido");
+    } finally {
+      hideLoadingOverlay("refund-loading");
+    }
+  }
+
+  function isFullCancel() {
+    return !!el.refundModeCancel?.checked;
+  }
+
+  function updateRefundMode() {
+    if (el.refundPartial) {
+      el.refundPartial.style.display = isFullCancel() ? "none" : "";
+    }
+    if (el.btnConfirmRefund) {
+      el.btnConfirmRefund.textContent = isFullCancel()
+        ? "Cancelar pedido"
+        : "Estornar";
+    }
+    renderRefundSummary();
+  }
+
+  function renderRefundItems() {
+    const order = state.refundingOrder;
+    if (!el.refundItems || !order) return;
+
+    el.refundItems.innerHTML =
+      state.refundLines.length > 0
+        ? state.refundLines
+            .map(
+              (line, index) => `
+            <div class="estorno-item">
+                <label>
+                    <input type="checkbox" data-line-check="${index}">
+                    ${escapeHTML(line.name)}
+                </label>
+                <input type="number" data-line-qty="${index}" min="1" max="${line.quantity}" value="${line.quantity}" disabled aria-label="Quantidade a estornar">
+                <span class="estorno-item-valor">R$ ${formatCurrencyValue(line.unit_amount)} cada</span>
+            </div>
+        `
+            )
+            .join("")
+        : '<p class="estorno-subtitulo">Todos os itens já foram estornados.</p>';
+
+    const deliveryFee = parseFloat(order.delivery_fee || 0) || 0;
+    if (el.refundFeeWrapper) {
+      el.refundFeeWrapper.style.display = deliveryFee > 0 ? "" : "none";
+    }
+    if (el.refundFeeValue) {
+      el.refundFeeValue.textContent = `R$ ${formatCurrencyValue(deliveryFee)}`;
+    }
+  }
+
+  /**
+   * Itens marcados e quantidades (limitadas ao que ainda pode ser estornado)
+   * @returns {Array} Linhas selecionadas com a quantidade escolhida
+   */
+  function getRefundSelection() {
+    if (!el.refundItems) return [];
+    return state.refundLines
+      .map((line, index) => {
+        const checkbox = el.refundItems.querySelector(`[data-line-check="${index}"]`);
+        if (!checkbox?.checked) return null;
+        const qtyInput = el.refundItems.querySelector(`[data-line-qty="${index}"]`);
+        const quantity = Math.min(
+          line.quantity,
+          Math.max(0, parseInt(qtyInput?.value, 10) || 0)
+        );
+        return quantity > 0 ? { ...line, quantity } : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Valor, fração do pedido e pontos do estorno conforme o modo selecionado
+   * @returns {{amount: number, ratio: number, selection: Array, points: Object}}
+   */
+  function getRefundPreview() {
+    const order = state.refundingOrder;
+    const selection = isFullCancel() ? [] : getRefundSelection();
+    const amount = isFullCancel()
+      ? getRefundableBalance(order)
+      : calculateRefundAmount(order, selection, {
+          includeDeliveryFee: !!el.refundFee?.checked,
+        }).amount;
+    const total = getOrderTotal(order);
+    const ratio = isFullCancel() ? 1 : total > 0 ? amount / total : 0;
+
+    return {
+      amount,
+      ratio,
+      selection,
+      points: calculatePointsReversal(order, ratio),
+    };
+  }
+
+  function renderRefundSummary() {
+    if (!el.refundSummary || !state.refundingOrder) return;
+
+    const { amount, points } = getRefundPreview();
+    const lines = [
+      ["Valor a estornar", `R$ ${formatCurrencyValue(amount)}`, true],
+    ];
+    if (points.earnedToRemove > 0) {
+      lines.push(["Pontos ganhos a remover", String(points.earnedToRemove)]);
+    }
+    if (points.redeemedToReturn > 0) {
+      lines.push(["Pontos resgatados a devolver", String(points.redeemedToReturn)]);
+    }
+
+    el.refundSummary.innerHTML = lines
+      .map(
+        ([label, value, isTotal]) => `
+            <div class="estorno-resumo-linha ${isTotal ? "estorno-resumo-total" : ""}">
+                <span>${label}</span>
+                <span>${escapeHTML(value)}</span>
+            </div>
+        `
+      )
+      .join("");
+  }
+
+  /**
+   * Pontos e lançamentos que revertem o pedido, enviados no mesmo pedido de cancelamento/estorno
+   * @param {Object} order - Pedido antes do cancelamento/estorno
+   * @param {Object} preview - Resultado de getRefundPreview
+   * @param {boolean} fullCancel - Se é cancelamento total (modo escolhido na modal)
+   * @param {string} description - Descrição usada nos lançamentos
+   * @returns {Promise<Object>} { points, movements } para cancelOrder/refundOrder
+   * @throws {Error} Quando as movimentações do pedido não puderam ser consultadas
+   */
+  async function buildRefundReversal(order, preview, fullCancel, description) {
+    const orderId = order.order_id || order.id;
+    const hasCustomer = !!(order.user_id || order.customer_id);
+
+    const response = await getFinancialMovements({
+      related_entity_type: "order",
+      related_entity_id: orderId,
+    });
+    const movements = Array.isArray(response) ? response : response?.items || [];
+
+    return {
+      points: hasCustomer ? preview.points : { earnedToRemove: 0, redeemedToReturn: 0 },
+      movements: buildRefundMovements({
+        order,
+        movements,
+        amount: preview.amount,
+        fullCancel,
+        description,
+      }),
+    };
+  }
+
+  async function handleConfirmRefund() {
+    const order = state.refundingOrder;
+    if (!order) return;
+
+    const orderId = order.order_id || order.id;
+    const reasonCode = el.refundReason?.value || "";
+    const reasonNote = el.refundNote?.value.trim() || "";
+    const reason = CANCELLATION_REASONS.find((r) => r.code === reasonCode);
+
+    if (!reason) {
+      showError("Selecione o motivo.");
+      el.refundReason?.focus();
+      return;
+    }
+    if (reason.requiresNote && !reasonNote) {
+      showError("Descreva o motivo.");
+      el.refundNote?.focus();
+      return;
+    }
+
+    const fullCancel = isFullCancel();
+    const preview = getRefundPreview();
+    if (!fullCancel && preview.selection.length === 0 && !el.refundFee?.checked) {
+      showError("Selecione ao menos um item para estornar.");
+      return;
+    }
+
+    const code = order.confirmation_code || `#${orderId}`;
+    const confirmed = await showConfirm({
+      title: fullCancel ? "Cancelar Pedido" : "Estornar Itens",
+      message: `${fullCancel ? "Cancelar o pedido" : "Estornar parte do pedido"} ${code} no valor de R$ ${formatCurrencyValue(preview.amount)}?`,
+      confirmText: "Confirmar",
+      cancelText: "Voltar",
+      type: "warning",
+    });
+    if (!confirmed) return;
+
+    el.btnConfirmRefund.disabled = true;
+    try {
+      const description = `${fullCancel ? "Cancelamento" : "Estorno parcial"} do pedido ${code} - ${getCancellationReasonLabel(reasonCode)}`;
+      let reversal;
+      try {
+        reversal = await buildRefundReversal(order, preview, fullCancel, description);
+      } catch (error) {
+        showError("Não foi possível consultar os lançamentos do pedido. Tente novamente.");
+        return;
+      }
+
+      const result = fullCancel
+        ? await cancelOrder(orderId, {
+            reasonCode,
+            reasonNote,
+            source: ORDER_EVENT_SOURCES.ADMIN_PANEL,
+            reversal,
+          })
+        : await refundOrder(orderId, {
+            reasonCode,
+            reasonNote,
+            items: preview.selection,
+            includeDeliveryFee: !!el.refundFee?.checked,
+            amount: preview.amount,
+            reversal,
+          });
+
+      if (!result.success) {
+        showError(
+          (fullCancel ? "Erro ao cancelar pedido: " : "Erro ao estornar pedido: ") +
+            (result.error || "Erro desconhecido")
+        );
+        return;
+      }
+
+      fecharModal("modal-estorno-pedido");
+      state.refundingOrder = null;
+
+      showSuccess(fullCancel ? "Pedido cancelado com sucesso!" : "Estorno registrado com sucesso!");
+      await loadOrders();
+    } finally {
+      el.btnConfirmRefund.disabled = false;
+    }
+  }
+
+  // ============================================================================
+  // Pedidos agendados
+  // Ficam com status 'scheduled' fora da fila e entram como 'pending'
+  // alguns minutos antes do horário (antecedência configurável)
+  // ============================================================================
+
+  /**
+   * Carregar pedidos agendados para a raia separada
+   */
+  async function loadScheduledOrders() {
+    if (!el.scheduledList) return;
+
+    try {
+      if (!state.scheduleSettings) {
+        state.scheduleSettings = await getSchedulingSettings();
+      }
+
+      const orders = await fetchScheduledOrders();
+      if (orders) {
+        state.scheduledOrders = orders;
+      }
+    } catch (error) {
+      // ALTERAÇÃO: Log condicional apenas em modo debug
+      if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+        console.warn("Erro ao carregar pedidos agendados:", error.message);
+      }
+    }
+
+    renderScheduledLane();
+    await promoteDueScheduledOrders();
+  }
+
+  /**
+   * Renderizar raia de pedidos agendados (ordenados pelo horário)
+   */
+  function renderScheduledLane() {
+    if (!el.scheduledList) return;
+
+    const orders = [...state.scheduledOrders].sort(
+      (a, b) => new Date(a.scheduled_for) - new Date(b.scheduled_for)
+    );
+
+    if (el.scheduledCount) {
+      el.scheduledCount.textContent = String(orders.length);
+    }
+    if (el.scheduledLane) {
+      el.scheduledLane.style.display = orders.length > 0 ? "" : "none";
+    }
+
+    const leadMinutes = state.scheduleSettings?.lead_minutes;
+    const slotMinutes = state.scheduleSettings?.slot_minutes;
+
+    el.scheduledList.innerHTML = orders
+      .map((order) => {
+        const orderId = order.order_id || order.id;
+        const releaseAt = getScheduledReleaseTime(order, leadMinutes);
+        const customerName =
+          order.customer_name ||
+          order.customer?.full_name ||
+          order.customer?.name ||
+          "Cliente não informado";
+
+        return `
+                <div class="scheduled-order-card" data-order-id="${escapeHTML(String(orderId))}">
+                    <div class="scheduled-order-info">
+                        <p class="scheduled-order-code">${escapeHTML(order.confirmation_code || `#${orderId}`)}</p>
+                        <p class="scheduled-order-customer">${escapeHTML(customerName)}</p>
+                        <p class="scheduled-order-slot">
+                            <i class="fa-regular fa-calendar" aria-hidden="true"></i>
+                            ${escapeHTML(formatScheduledFor(order.scheduled_for, slotMinutes))}
+                        </p>
+                        ${
+                          releaseAt
+                            ? `<p class="scheduled-order-release">Entra na fila às ${escapeHTML(
+                                releaseAt.toLocaleTimeString("pt-BR", { hour: "2-digit", minute: "2-digit" })
+                              )}</p>`
+                            : ""
+                        }
+                    </div>
+                    <button class="scheduled-release-btn" type="button" data-order-id="${escapeHTML(String(orderId))}">
+                        Liberar agora
+                    </button>
+                </div>
+            `;
+      })
+      .join("");
+  }
+
+  /**
+   * Liberar um pedido agendado para a fila (status 'pending')
+   * Transição recusada pelo backend (ex.: outra tela já liberou) tira o pedido da raia.
+   * @param {number|string} orderId - ID do pedido
+   * @param {string} [source] - Origem registrada no histórico (manual pelo painel ou automática)
+   * @returns {Promise<boolean>} True se o status foi atualizado
+   * @throws {Error} Falha ao liberar
+   */
+  async function releaseScheduledOrder(orderId, source = ORDER_EVENT_SOURCES.ADMIN_PANEL) {
+    const key = String(orderId);
+    const result = await releaseOrderToQueue(key, source);
+    if (result.skipped) return false;
+
+    if (result.success || result.rejected) {
+      state.scheduledOrders = state.scheduledOrders.filter(
+        (o) => String(o.order_id || o.id) !== key
+      );
+    }
+    if (!result.success) {
+      throw new Error(result.error || "Erro desconhecido");
+    }
+    return true;
+  }
+
+  /**
+   * Liberar automaticamente os agendados cujo horário de liberação já chegou
+   * A tela da cozinha faz o mesmo (ver utils/scheduled-release.js); o backend recusa a
+   * segunda liberação, então telas abertas ao mesmo tempo não geram duplicidade.
+   */
+  async function promoteDueScheduledOrders() {
+    const leadMinutes = state.scheduleSettings?.lead_minutes;
+    const dueOrders = state.scheduledOrders.filter((order) =>
+      isDueForRelease(order, leadMinutes)
+    );
+    if (dueOrders.length === 0) return;
+
+    const laneSize = state.scheduledOrders.length;
+    const results = await Promise.allSettled(
+      dueOrders.map((order) =>
+        releaseScheduledOrder(order.order_id || order.id, ORDER_EVENT_SOURCES.SCHEDULE_RELEASE)
+      )
+    );
+
+    if (state.scheduledOrders.length !== laneSize) {
+      renderScheduledLane();
+    }
+    if (results.some((r) => r.status === "fulfilled" && r.value)) {
+      // Pedidos liberados entram na fila principal
+      if (!state.loading) {
+        await loadOrders();
+      }
+    }
+  }
+
+  /**
+   * Iniciar verificação periódica dos agendados
+   * Roda mesmo com a seção oculta para que os pedidos entrem na fila no horário.
+   */
+  function setupScheduleWatcher() {
+    if (state.scheduleInterval) {
+      clearInterval(state.scheduleInterval);
+    }
+    state.scheduleInterval = setInterval(() => {
+      promoteDueScheduledOrders();
+    }, SCHEDULE_CHECK_INTERVAL);
+  }
+
   /**
    * Configurar auto-refresh
    */
@@ -1977,9 +2652,103 @@ const isDevelopment = () => {
       });
     }
 
+    // Abre a tela da cozinha em uma janela dedicada (reutiliza se já estiver aberta)
+    if (el.btnAbrirKds) {
+      el.btnAbrirKds.addEventListener("click", () => {
+        window.open("kds.html", "royal-kds");
+      });
+    }
+
+    // Comanda: trocar largura da bobina, baixar e imprimir
+    if (el.ticketWidth) {
+      el.ticketWidth.addEventListener("change", (e) => {
+        localStorage.setItem(TICKET_WIDTH_KEY, e.target.value);
+        renderTicketPreview();
+      });
+    }
+
+    if (el.btnBaixarTicket) {
+      el.btnBaixarTicket.addEventListener("click", downloadTicket);
+    }
+
+    if (el.btnImprimirTicket) {
+      el.btnImprimirTicket.addEventListener("click", printTicket);
+    }
+
+    // Cancelamento/estorno: recalcular resumo a cada alteração
+    if (el.btnConfirmRefund && !el.btnConfirmRefund.dataset.listenerAttached) {
+      el.btnConfirmRefund.dataset.listenerAttached = "true";
+      el.btnConfirmRefund.addEventListener("click", handleConfirmRefund);
+
+      [el.refundModeCancel, el.refundModePartial].forEach((radio) => {
+        radio?.addEventListener("change", updateRefundMode);
+      });
+      el.refundFee?.addEventListener("change", renderRefundSummary);
+      el.refundItems?.addEventListener("change", (e) => {
+        const checkbox = e.target.closest("[data-line-check]");
+        if (checkbox) {
+          const qtyInput = el.refundItems.querySelector(
+            `[data-line-qty="${checkbox.dataset.lineCheck}"]`
+          );
+          if (qtyInput) qtyInput.disabled = !checkbox.checked;
+        }
+        renderRefundSummary();
+      });
+      el.refundItems?.addEventListener("input", renderRefundSummary);
+    }
+
+    // Raia de agendados: liberar manualmente antes do horário
+    if (el.scheduledList && !el.scheduledList.dataset.listenerAttached) {
+      el.scheduledList.dataset.listenerAttached = "true";
+      el.scheduledList.addEventListener("click", async (e) => {
+        const btn = e.target.closest(".scheduled-release-btn");
+        if (!btn || btn.disabled) return;
+
+        const orderId = btn.dataset.orderId;
+        const confirmed = await showConfirm({
+          title: "Liberar Pedido Agendado",
+          message: "Deseja enviar este pedido agendado para a fila agora?",
+          confirmText: "Liberar",
+          cancelText: "Cancelar",
+          type: "warning",
+        });
+        if (!confirmed) return;
+
+        btn.disabled = true;
+        try {
+          if (await releaseScheduledOrder(orderId)) {
+            showSuccess("Pedido liberado para a fila!");
+            renderScheduledLane();
+            await loadOrders();
+          }
+        } catch (error) {
+          btn.disabled = false;
+          showError("Erro ao liberar pedido: " + error.message);
+        }
+      });
+    }
+
     // Lista de pedidos (delegation para botões de ação)
     if (el.ordersList) {
       el.ordersList.addEventListener("click", async (e) => {
+        const printBtn = e.target.closest(".order-print-btn");
+        if (printBtn) {
+          await openTicketModal(printBtn.dataset.orderId);
+          return;
+        }
+
+        const timelineBtn = e.target.closest(".order-timeline-btn");
+        if (timelineBtn) {
+          await openTimelineModal(timelineBtn.dataset.orderId);
+          return;
+        }
+
+        const refundBtn = e.target.closest(".order-refund-btn");
+        if (refundBtn) {
+          await openRefundModal(refundBtn.dataset.orderId);
+          return;
+        }
+
         const btn = e.target.closest(".order-action-btn");
         if (!btn) return;
 
@@ -2206,6 +2975,7 @@ const isDevelopment = () => {
     }
     
     setupSocketListeners(); // Configurar listeners WebSocket
+    setupScheduleWatcher();
 
     if (isSectionVisible()) {
       setupAutoRefresh();
@@ -2224,10 +2994,10 @@ const isDevelopment = () => {
   function setupSocketListeners() {
     // Remove listeners antigos se existirem (evita duplicatas)
     if (socketCallbacks.orderCreated) {
-      socketService.off('order.created', socketCallbacks.orderCreated);
+      realtimeHub.unsubscribe(REALTIME_EVENTS.ORDER_CREATED, socketCallbacks.orderCreated);
     }
     if (socketCallbacks.orderStatusChanged) {
-      socketService.off('order.status_changed', socketCallbacks.orderStatusChanged);
+      realtimeHub.unsubscribe(REALTIME_EVENTS.ORDER_STATUS_CHANGED, socketCallbacks.orderStatusChanged);
     }
 
     // 1. Novo Pedido Chegando
@@ -2268,6 +3038,13 @@ const isDevelopment = () => {
               if (!fullOrder.order_id) {
                 fullOrder.order_id = orderId;
               }
+
+              // Agendado vai para a raia própria, não para a fila
+              if (isScheduledOrder(fullOrder) && state.filters.status !== SCHEDULED_STATUS) {
+                state.scheduledOrders.push(fullOrder);
+                renderScheduledLane();
+                return;
+              }
               
               // Adiciona ao início da lista
               state.orders.unshift(fullOrder);
@@ -2307,7 +3084,7 @@ const isDevelopment = () => {
     };
     
     // Registrar o listener
-    socketService.on('order.created', socketCallbacks.orderCreated);
+    realtimeHub.subscribe(REALTIME_EVENTS.ORDER_CREATED, socketCallbacks.orderCreated);
 
     // 2. Mudança de Status (Ex: Cozinha mudou para "Pronto")
     socketCallbacks.orderStatusChanged = (data) => {
@@ -2319,6 +3096,20 @@ const isDevelopment = () => {
       const orderId = data.order_id;
       const newStatus = data.new_status;
 
+      // Agendado liberado (ou cancelado) sai da raia e segue o fluxo normal
+      const scheduledCount = state.scheduledOrders.length;
+      state.scheduledOrders = state.scheduledOrders.filter(
+        (o) => String(o.order_id || o.id) !== String(orderId)
+      );
+      if (state.scheduledOrders.length !== scheduledCount) {
+        renderScheduledLane();
+      }
+
+      // Histórico aberto do mesmo pedido recebe o novo evento
+      if (isTimelineOpen() && String(state.timelineOrderId) === String(orderId)) {
+        refreshTimeline();
+      }
+
       // Encontrar o pedido no estado (verifica tanto id quanto order_id)
       const orderIndex = state.orders.findIndex((o) => 
         o.id === orderId || o.order_id === orderId
@@ -2422,7 +3213,7 @@ const isDevelopment = () => {
     };
     
     // Registrar o listener
-    socketService.on('order.status_changed', socketCallbacks.orderStatusChanged);
+    realtimeHub.subscribe(REALTIME_EVENTS.ORDER_STATUS_CHANGED, socketCallbacks.orderStatusChanged);
   }
 
   /**
@@ -2431,6 +3222,11 @@ const isDevelopment = () => {
   function cleanup() {
     stopAutoRefresh();
     clearVisibilityCheck();
+
+    if (state.scheduleInterval) {
+      clearInterval(state.scheduleInterval);
+      state.scheduleInterval = null;
+    }
     
     // NÃO remover listeners do socket aqui - eles devem permanecer ativos
     // mesmo quando a seção não está visível, para que quando voltar a ficar visível
@@ -10,6 +10,11 @@ import { InsumoManager } from './insumos-gerenciamento.js';
 import { CategoriaManager } from './categorias-gerenciamento.js';
 import { GruposInsumosManager } from './grupos-insumos-gerenciamento.js';
 import { initPromocoesManager } from './promocoes-gerenciamento.js';
+import { initCuponsManager, cleanupCuponsManager } from './cupons-gerenciamento.js';
+import { initAvaliacoesManager, cleanupAvaliacoesManager } from './avaliacoes-gerenciamento.js';
+import { initFornecedoresManager, cleanupFornecedoresManager } from './fornecedores-gerenciamento.js';
+import { initInventarioManager, cleanupInventarioManager } from './inventario-gerenciamento.js';
+import { initPerdasManager, cleanupPerdasManager } from './perdas-gerenciamento.js';
 import { FinancialDashboard } from './dashboard-financeiro.js';
 import { MovementsList } from './movimentacoes-list.js';
 import { ComprasManager } from './compras-manager.js';
@@ -24,8 +29,9 @@ import RelatoriosManager from './relatorios-manager.js';
 
 import { showToast } from '../alerts.js';
 import { fetchMe } from '../../api/auth.js';
+import { getStoredToken, logoutLocal, SESSION_EXPIRED_EVENT } from '../../api/api.js';
 import { reaplicarGerenciamentoInputs, gerenciarInputsEspecificos } from '../../utils.js';
-import { socketService } from '../../api/socket-client.js';
+import { realtimeHub, REALTIME_EVENTS } from '../../utils/realtime-hub.js';
 
 /**
  * Configurações do painel administrativo
@@ -36,7 +42,12 @@ const ADMIN_CONFIG = {
         pedidos: 'secao-pedidos',
         cardapio: 'secao-cardapio',
         promocoes: 'secao-promocoes',
+        cupons: 'secao-cupons',
+        avaliacoes: 'secao-avaliacoes',
         estoque: 'secao-estoque',
+        fornecedores: 'secao-fornecedores',
+        inventario: 'secao-inventario',
+        perdas: 'secao-perdas',
         relatorios: 'secao-relatorios',
         financeiro: 'secao-financeiro',
         funcionarios: 'secao-funcionarios',
@@ -47,7 +58,12 @@ const ADMIN_CONFIG = {
         pedidos: 'nav-pedidos',
         cardapio: 'nav-cardapio',
         promocoes: 'nav-promocoes',
+        cupons: 'nav-cupons',
+        avaliacoes: 'nav-avaliacoes',
         estoque: 'nav-estoque',
+        fornecedores: 'nav-fornecedores',
+        inventario: 'nav-inventario',
+        perdas: 'nav-perdas',
         relatorios: 'nav-relatorios',
         financeiro: 'nav-financeiro',
         funcionarios: 'nav-funcionarios',
@@ -108,6 +124,10 @@ class AdminPanelManager {
                 return;
             }
 
+            // apiRequest renova o token automaticamente; este evento só chega
+            // quando o refresh token também expirou ou foi revogado
+            window.addEventListener(SESSION_EXPIRED_EVENT, () => this.handleTokenExpired(), { once: true });
+
             // Conectar ao WebSocket para notificações em tempo real
             this.initializeSocket();
             
@@ -137,7 +157,7 @@ class AdminPanelManager {
     async verifyAdminPermissions() {
         try {
             // Verificar se existe token
-            const token = localStorage.getItem('rb.token') || localStorage.getItem('token');
+            const token = getStoredToken();
             if (!token) {
                 return false;
             }
@@ -215,18 +235,18 @@ class AdminPanelManager {
      */
     initializeSocket() {
         try {
-            // Conectar ao socket
-            socketService.connect();
+            // Conectar ao hub de tempo real (Socket.IO, com SSE como alternativa)
+            realtimeHub.connect();
 
             // Ouvinte Global de Alertas (Estoque, Erros, Avisos)
             // ALTERAÇÃO: Removido alerta de estoque baixo - apenas atualiza a interface sem mostrar toast
-            socketService.on('stock.alert', (data) => {
+            realtimeHub.subscribe(REALTIME_EVENTS.STOCK_ALERT, (data) => {
                 // Exemplo: { ingredient_id: 5, name: 'Bacon', status: 'low' }
                 // ALTERAÇÃO: Apenas atualiza a interface, não mostra toast na tela
                 // A atualização visual da interface é feita pelo insumos-gerenciamento.js
             });
 
-            socketService.on('order.created', (data) => {
+            realtimeHub.subscribe(REALTIME_EVENTS.ORDER_CREATED, (data) => {
                 // Notificação visual rápida
                 showToast(`🔔 Novo Pedido #${data.order_id} recebido!`, {
                     type: 'success',
@@ -248,7 +268,7 @@ class AdminPanelManager {
                 this.updateHeaderNotificationCount();
             });
 
-            socketService.on('order.status_changed', (data) => {
+            realtimeHub.subscribe(REALTIME_EVENTS.ORDER_STATUS_CHANGED, (data) => {
                 // Notificação quando status do pedido muda
                 const statusMessages = {
                     'preparing': 'Em preparo',
@@ -264,7 +284,7 @@ class AdminPanelManager {
                 });
             });
 
-            socketService.on('table.status_changed', (data) => {
+            realtimeHub.subscribe(REALTIME_EVENTS.TABLE_STATUS_CHANGED, (data) => {
                 // Notificação quando status da mesa muda
                 const statusMessages = {
                     'available': 'Disponível',
@@ -338,9 +358,8 @@ class AdminPanelManager {
     handleTokenExpired() {
         // ALTERAÇÃO: Removido console.warn - token expirado será tratado silenciosamente
         
-        // Limpar dados do usuário e token
-        localStorage.removeItem('rb.token');
-        localStorage.removeItem('rb.user');
+        // Limpar dados do usuário e tokens (access e refresh)
+        logoutLocal();
         localStorage.removeItem('token');
         localStorage.removeItem('userData');
         localStorage.removeItem('user');
@@ -389,7 +408,12 @@ class AdminPanelManager {
             'nav-pedidos': 'pedidos',
             'nav-cardapio': 'cardapio',
             'nav-promocoes': 'promocoes',
+            'nav-cupons': 'cupons',
+            'nav-avaliacoes': 'avaliacoes',
             'nav-estoque': 'estoque',
+            'nav-fornecedores': 'fornecedores',
+            'nav-inventario': 'inventario',
+            'nav-perdas': 'perdas',
             'nav-relatorios': 'relatorios',
             'nav-financeiro': 'financeiro',
             'nav-funcionarios': 'funcionarios',
@@ -424,6 +448,21 @@ class AdminPanelManager {
                         promocoesManager.cleanup();
                     }
                 }
+                if (this.currentSection === 'cupons') {
+                    cleanupCuponsManager();
+                }
+                if (this.currentSection === 'avaliacoes') {
+                    cleanupAvaliacoesManager();
+                }
+                if (this.currentSection === 'fornecedores') {
+                    cleanupFornecedoresManager();
+                }
+                if (this.currentSection === 'inventario') {
+                    cleanupInventarioManager();
+                }
+                if (this.currentSection === 'perdas') {
+                    cleanupPerdasManager();
+                }
                 // ALTERAÇÃO: Cleanup de usuários (para auto-refresh)
                 if (this.currentSection === 'funcionarios' && this.managers.usuarios) {
                     if (typeof this.managers.usuarios.cleanup === 'function') {
@@ -536,9 +575,24 @@ class AdminPanelManager {
                 case 'promocoes':
                     await this.initializePromocoesSection();
                     break;
+                case 'cupons':
+                    await this.initializeCuponsSection();
+                    break;
+                case 'avaliacoes':
+                    await this.initializeAvaliacoesSection();
+                    break;
                 case 'estoque':
                     await this.initializeEstoqueSection();
                     break;
+                case 'fornecedores':
+                    await this.initializeFornecedoresSection();
+                    break;
+                case 'inventario':
+                    await this.initializeInventarioSection();
+                    break;
+                case 'perdas':
+                    await this.initializePerdasSection();
+                    break;
                 case 'dashboard':
                     await this.initializeDashboardSection();
                     break;
@@ -591,6 +645,27 @@ class AdminPanelManager {
         await this.managers.insumos.init();
     }
 
+    /**
+     * Inicializa seção de fornecedores
+     */
+    async initializeFornecedoresSection() {
+        await initFornecedoresManager();
+    }
+
+    /**
+     * Inicializa seção de inventário (contagens de estoque)
+     */
+    async initializeInventarioSection() {
+        await initInventarioManager();
+    }
+
+    /**
+     * Inicializa seção de perdas e desperdício
+     */
+    async initializePerdasSection() {
+        await initPerdasManager();
+    }
+
     /**
      * Inicializa seção de promoções
      */
@@ -598,6 +673,20 @@ class AdminPanelManager {
         await initPromocoesManager();
     }
 
+    /**
+     * Inicializa seção de cupons
+     */
+    async initializeCuponsSection() {
+        await initCuponsManager();
+    }
+
+    /**
+     * Inicializa seção de avaliações
+     */
+    async initializeAvaliacoesSection() {
+        await initAvaliacoesManager();
+    }
+
     /**
      * Inicializa seção de pedidos
      * ALTERAÇÃO: Garante que os pedidos sejam carregados quando a seção for exibida
@@ -0,0 +1,575 @@
+/**
+ * Módulo de Perdas e Desperdício
+ * Registra perdas de insumos ou produtos prontos com motivo e foto opcional, mostra o custo
+ * estimado antes de salvar e lança o custo no financeiro. A baixa de estoque é feita pelo
+ * backend; o relatório por motivo e período fica em Relatórios > Estoque.
+ */
+
+import {
+    getWasteLogs,
+    createWasteLog,
+    calculateWasteCost,
+    buildWasteMovement,
+    validateWastePhoto,
+    WASTE_ITEM_TYPES,
+    WASTE_REASONS
+} from '../../api/waste-logs.js';
+import { createFinancialMovement } from '../../api/financial-movements.js';
+import { getIngredientsCatalog } from '../../api/ingredients.js';
+import { getProducts } from '../../api/products.js';
+import {
+    formatQuantity,
+    getCompatibleUnits,
+    getConversionProfile,
+    isUnitConversionError
+} from '../../utils/unit-conversion.js';
+
+import { showToast, showConfirm, toastFromApiError, toastFromApiSuccess } from '../alerts.js';
+import { abrirModal, fecharModal } from '../modais.js';
+import { escapeHTML } from '../../utils/html-sanitizer.js';
+import { normalizePaginationResponse, getItemsFromResponse, getPaginationFromResponse } from '../../utils/pagination-utils.js';
+import { showLoadingOverlay, hideLoadingOverlay } from '../../utils/loading-indicator.js';
+
+const MAX_PRODUCTS_PAGE_SIZE = 1000; // Seleção de produtos no modal (cardápio completo)
+
+/**
+ * Converte quantidade digitada ("1,5") para número; inválido → NaN
+ */
+function parseQuantidade(value) {
+    const texto = String(value ?? '').trim();
+    if (texto === '') return NaN;
+    const numero = parseFloat(texto.replace(/\s/g, '').replace(',', '.'));
+    return Number.isFinite(numero) ? numero : NaN;
+}
+
+function formatReais(value) {
+    return `R$ ${(parseFloat(value) || 0).toFixed(2).replace('.', ',')}`;
+}
+
+function formatDataHora(value) {
+    if (!value) return '-';
+    const data = new Date(value);
+    if (Number.isNaN(data.getTime())) return '-';
+    return data.toLocaleString('pt-BR', { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Gerenciador de interface das perdas
+ */
+class PerdasManager {
+    constructor() {
+        this.perdas = [];
+        this.eventListeners = [];
+        this.filtroMotivo = '';
+        this.filtroTipo = '';
+        this.currentPage = 1;
+        this.pageSize = 20;
+        this.totalPages = 1;
+        this.totalItems = 0;
+        this.isLoading = false;
+        this.isSaving = false;
+        // Catálogos do modal (carregados ao abrir)
+        this.insumos = [];
+        this.produtos = [];
+    }
+
+    /**
+     * Inicializa o módulo
+     */
+    async init() {
+        try {
+            this.setupEventListeners();
+            await this.loadPerdas();
+        } catch (error) {
+            if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+                console.error('Erro ao inicializar módulo de perdas:', error);
+            }
+            showToast('Erro ao carregar perdas', { type: 'error' });
+        }
+    }
+
+    /**
+     * Carrega perdas com paginação e filtros da API
+     */
+    async loadPerdas() {
+        if (this.isLoading) return;
+
+        try {
+            this.isLoading = true;
+            showLoadingOverlay('#secao-perdas .promocoes-container', 'perdas-loading', 'Carregando perdas...');
+
+            const options = {
+                page: this.currentPage,
+                page_size: this.pageSize
+            };
+            if (this.filtroMotivo) options.reason = this.filtroMotivo;
+            if (this.filtroTipo) options.item_type = this.filtroTipo;
+
+            const result = await getWasteLogs(options);
+            if (!result.success) {
+                throw new Error(result.error || 'Erro ao buscar perdas');
+            }
+
+            const normalizedResponse = normalizePaginationResponse(result.data, 'items');
+            this.perdas = getItemsFromResponse(normalizedResponse);
+            const paginationInfo = getPaginationFromResponse(normalizedResponse);
+            this.totalPages = paginationInfo.total_pages || 1;
+            this.totalItems = paginationInfo.total || 0;
+
+            this.renderPerdas();
+            this.renderPagination();
+        } catch (error) {
+            if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+                console.error('Erro ao carregar perdas:', error);
+            }
+            this.perdas = [];
+            this.renderPerdas();
+        } finally {
+            this.isLoading = false;
+            hideLoadingOverlay('perdas-loading');
+        }
+    }
+
+    /**
+     * Configura event listeners
+     */
+    setupEventListeners() {
+        this.removeEventListeners();
+
+        const addListener = (element, event, handler) => {
+            if (!element) return;
+            element.addEventListener(event, handler);
+            this.eventListeners.push({ element, event, handler });
+        };
+
+        addListener(document.getElementById('btn-registrar-perda'), 'click', () => this.openPerdaModal());
+        addListener(document.getElementById('salvar-perda'), 'click', () => this.salvarPerda());
+
+        addListener(document.getElementById('filtro-motivo-perda'), 'change', async (e) => {
+            this.filtroMotivo = e.target.value;
+            this.currentPage = 1;
+            await this.loadPerdas();
+        });
+
+        addListener(document.getElementById('filtro-tipo-perda'), 'change', async (e) => {
+            this.filtroTipo = e.target.value;
+            this.currentPage = 1;
+            await this.loadPerdas();
+        });
+
+        // Campos do modal
+        addListener(document.getElementById('tipo-item-perda'), 'change', () => {
+            this.popularItens();
+            this.atualizarUnidades();
+            this.atualizarCusto();
+        });
+        addListener(document.getElementById('item-perda'), 'change', () => {
+            this.atualizarUnidades();
+            this.atualizarCusto();
+        });
+        addListener(document.getElementById('quantidade-perda'), 'input', () => this.atualizarCusto());
+        addListener(document.getElementById('unidade-perda'), 'change', () => this.atualizarCusto());
+        addListener(document.getElementById('foto-perda'), 'change', (e) => {
+            const foto = e.target.files?.[0] || null;
+            try {
+                validateWastePhoto(foto);
+            } catch (error) {
+                e.target.value = '';
+                showToast(error.message, { type: 'error' });
+            }
+        });
+    }
+
+    /**
+     * Remove event listeners existentes
+     */
+    removeEventListeners() {
+        if (this.eventListeners) {
+            this.eventListeners.forEach(({ element, event, handler }) => {
+                element.removeEventListener(event, handler);
+            });
+            this.eventListeners = [];
+        }
+    }
+
+    /**
+     * Cleanup ao sair da seção
+     */
+    cleanup() {
+        this.removeEventListeners();
+    }
+
+    /**
+     * Renderiza lista de perdas
+     */
+    renderPerdas() {
+        const container = document.getElementById('perdas-list');
+        if (!container) return;
+
+        if (this.perdas.length === 0) {
+            container.innerHTML = `
+                <div style="text-align: center; padding: 40px; color: #666;">
+                    <i class="fa-solid fa-trash-can" style="font-size: 48px; margin-bottom: 16px; opacity: 0.3;"></i>
+                    <p style="font-size: 16px;">Nenhuma perda registrada</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = this.perdas.map(perda => this.createPerdaCard(perda)).join('');
+    }
+
+    /**
+     * Cria card da perda (reaproveita o layout dos cards de promoção)
+     */
+    createPerdaCard(perda) {
+        const quantidade = perda.item_type === 'product'
+            ? `${parseFloat(perda.quantity) || 0} un`
+            : formatQuantity(perda.quantity, perda.unit || 'un');
+
+        return `
+            <div class="promocao-card perda-card" data-perda-id="${perda.id}">
+                <div class="promocao-header">
+                    <div class="promocao-info">
+                        <h3>${escapeHTML(perda.item_name || 'Item removido')}</h3>
+                        <span class="status-badge expirada">${escapeHTML(WASTE_REASONS[perda.reason] || perda.reason || '-')}</span>
+                    </div>
+                    ${perda.photo_url ? `
+                    <div class="promocao-actions">
+                        <a class="btn-editar-promocao" href="${escapeHTML(perda.photo_url)}" target="_blank" rel="noopener" title="Ver foto">
+                            <i class="fa-solid fa-image"></i>
+                        </a>
+                    </div>` : ''}
+                </div>
+                <div class="promocao-body">
+                    <div class="desconto-badge">
+                        <i class="fa-solid fa-sack-xmark"></i>
+                        Custo: ${formatReais(perda.cost)}
+                    </div>
+                    <div class="promocao-detalhes">
+                        <div class="detalhe-item">
+                            <i class="fa-solid fa-box"></i>
+                            <span>${escapeHTML(WASTE_ITEM_TYPES[perda.item_type] || perda.item_type)}: ${escapeHTML(quantidade)}</span>
+                        </div>
+                        <div class="detalhe-item">
+                            <i class="fa-solid fa-calendar"></i>
+                            <span>${formatDataHora(perda.created_at)}${perda.created_by_name ? ` por ${escapeHTML(perda.created_by_name)}` : ''}</span>
+                        </div>
+                        ${perda.notes ? `
+                        <div class="detalhe-item">
+                            <i class="fa-solid fa-note-sticky"></i>
+                            <span>${escapeHTML(perda.notes)}</span>
+                        </div>` : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Renderiza controles de paginação
+     */
+    renderPagination() {
+        const container = document.getElementById('perdas-list');
+        if (!container) return;
+
+        const existingPagination = container.parentElement.querySelector('.pagination');
+        if (existingPagination) {
+            existingPagination.remove();
+        }
+
+        if (this.totalItems === 0) {
+            return;
+        }
+
+        const startItem = (this.currentPage - 1) * this.pageSize + 1;
+        const endItem = Math.min(this.currentPage * this.pageSize, this.totalItems);
+
+        const pagination = document.createElement('div');
+        pagination.className = 'pagination';
+        pagination.innerHTML = `
+      <div class="pagination-wrapper">
+        <div class="pagination-info">
+          <span class="pagination-text">
+            Mostrando <strong>${startItem}-${endItem}</strong> de <strong>${this.totalItems}</strong> perdas
+          </span>
+          ${this.totalPages > 1 ? `<span class="pagination-page-info">Página ${this.currentPage} de ${this.totalPages}</span>` : ''}
+        </div>
+        ${this.totalPages > 1 ? `
+        <div class="pagination-controls">
+          <button class="pagination-btn pagination-btn-nav" ${this.currentPage === 1 ? 'disabled' : ''} data-page="prev" title="Página anterior">
+            <i class="fa-solid fa-chevron-left"></i>
+            <span>Anterior</span>
+          </button>
+          <button class="pagination-btn pagination-btn-nav" ${this.currentPage === this.totalPages ? 'disabled' : ''} data-page="next" title="Próxima página">
+            <span>Próxima</span>
+            <i class="fa-solid fa-chevron-right"></i>
+          </button>
+        </div>
+        ` : ''}
+      </div>
+    `;
+
+        pagination.addEventListener('click', async (e) => {
+            const target = e.target.closest('.pagination-btn');
+            if (!target || target.disabled || this.isLoading) return;
+
+            if (target.dataset.page === 'prev' && this.currentPage > 1) {
+                this.currentPage -= 1;
+            } else if (target.dataset.page === 'next' && this.currentPage < this.totalPages) {
+                this.currentPage += 1;
+            } else {
+                return;
+            }
+
+            await this.loadPerdas();
+            document.getElementById('secao-perdas')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        });
+
+        container.parentElement.appendChild(pagination);
+    }
+
+    /**
+     * Carrega insumos e produtos para a seleção do modal
+     * O catálogo de insumos vem do cache compartilhado (invalidado por eventos de estoque)
+     */
+    async carregarCatalogos() {
+        const [insumos, produtosResult] = await Promise.all([
+            getIngredientsCatalog(),
+            getProducts({ page_size: MAX_PRODUCTS_PAGE_SIZE })
+        ]);
+
+        const porNome = (a, b) => String(a.name || '').localeCompare(String(b.name || ''), 'pt-BR');
+        this.insumos = [...insumos].sort(porNome);
+        this.produtos = produtosResult.success
+            ? [...getItemsFromResponse(normalizePaginationResponse(produtosResult.data, 'items'))].sort(porNome)
+            : [];
+    }
+
+    /**
+     * Abre o modal de registro de perda
+     */
+    async openPerdaModal() {
+        try {
+            await this.carregarCatalogos();
+        } catch (error) {
+            if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+                console.error('Erro ao carregar insumos e produtos:', error);
+            }
+            toastFromApiError(error, 'Erro ao carregar insumos e produtos');
+            return;
+        }
+
+        this.resetForm();
+        abrirModal('modal-perda');
+    }
+
+    /**
+     * Limpa o formulário do modal
+     */
+    resetForm() {
+        const tipo = document.getElementById('tipo-item-perda');
+        if (tipo) tipo.value = 'ingredient';
+        ['quantidade-perda', 'observacoes-perda', 'foto-perda'].forEach(id => {
+            const campo = document.getElementById(id);
+            if (campo) campo.value = '';
+        });
+        const motivo = document.getElementById('motivo-perda');
+        if (motivo) motivo.value = '';
+
+        this.popularItens();
+        this.atualizarUnidades();
+        this.atualizarCusto();
+    }
+
+    getTipoSelecionado() {
+        return document.getElementById('tipo-item-perda')?.value === 'product' ? 'product' : 'ingredient';
+    }
+
+    getItemSelecionado() {
+        const id = document.getElementById('item-perda')?.value;
+        if (!id) return null;
+        const lista = this.getTipoSelecionado() === 'product' ? this.produtos : this.insumos;
+        return lista.find(item => String(item.id) === String(id)) || null;
+    }
+
+    /**
+     * Preenche a seleção com insumos ou produtos conforme o tipo
+     */
+    popularItens() {
+        const select = document.getElementById('item-perda');
+        if (!select) return;
+
+        const produto = this.getTipoSelecionado() === 'product';
+        const lista = produto ? this.produtos : this.insumos;
+        const label = document.querySelector('label[for="item-perda"]');
+        if (label) label.textContent = produto ? 'Produto *' : 'Insumo *';
+
+        select.innerHTML = `<option value="">${produto ? 'Selecione o produto' : 'Selecione o insumo'}</option>` +
+            lista.map(item => `<option value="${item.id}">${escapeHTML(item.name || '')}</option>`).join('');
+    }
+
+    /**
+     * Unidades aceitas para o item (insumo: compatíveis com a de estoque; produto: unidade)
+     */
+    atualizarUnidades() {
+        const select = document.getElementById('unidade-perda');
+        if (!select) return;
+
+        const item = this.getItemSelecionado();
+        if (this.getTipoSelecionado() === 'product' || !item) {
+            select.innerHTML = '<option value="un">un</option>';
+            select.disabled = true;
+            return;
+        }
+
+        // A unidade de estoque é sempre a primeira opção (selecionada por padrão)
+        select.innerHTML = getCompatibleUnits(item.stock_unit || 'un', getConversionProfile(item))
+            .map(unit => `<option value="${escapeHTML(unit.value)}">${escapeHTML(unit.label)}</option>`)
+            .join('');
+        select.disabled = false;
+    }
+
+    /**
+     * Mostra o custo estimado e o estoque atual do item
+     */
+    atualizarCusto() {
+        const resumo = document.getElementById('perda-resumo');
+        if (!resumo) return;
+
+        const item = this.getItemSelecionado();
+        if (!item) {
+            resumo.innerHTML = '';
+            return;
+        }
+
+        const tipo = this.getTipoSelecionado();
+        const estoque = tipo === 'ingredient'
+            ? `<span>Estoque atual: <strong>${escapeHTML(formatQuantity(item.current_stock || 0, item.stock_unit || 'un'))}</strong></span>`
+            : '<span>A baixa é feita nos insumos da receita</span>';
+
+        const quantidade = parseQuantidade(document.getElementById('quantidade-perda')?.value);
+        let custo = '';
+        if (quantidade > 0) {
+            try {
+                const { cost } = calculateWasteCost({
+                    item_type: tipo,
+                    item,
+                    quantity: quantidade,
+                    unit: document.getElementById('unidade-perda')?.value
+                });
+                custo = `<span>Custo estimado: <strong>${formatReais(cost)}</strong></span>`;
+            } catch (error) {
+                if (!isUnitConversionError(error)) throw error;
+                custo = `<span class="perda-resumo-erro">${escapeHTML(error.message)}</span>`;
+            }
+        }
+
+        resumo.innerHTML = `${estoque}${custo}`;
+    }
+
+    /**
+     * Registra a perda, baixa o estoque (backend) e lança o custo no financeiro
+     */
+    async salvarPerda() {
+        if (this.isSaving) return;
+
+        const tipo = this.getTipoSelecionado();
+        const item = this.getItemSelecionado();
+        if (!item) {
+            showToast(tipo === 'product' ? 'Selecione o produto perdido' : 'Selecione o insumo perdido', { type: 'error' });
+            return;
+        }
+
+        const quantidade = parseQuantidade(document.getElementById('quantidade-perda')?.value);
+        if (!(quantidade > 0)) {
+            showToast('Informe a quantidade perdida', { type: 'error' });
+            return;
+        }
+
+        const unidade = tipo === 'product' ? 'un' : document.getElementById('unidade-perda')?.value;
+        let calculo;
+        try {
+            calculo = calculateWasteCost({ item_type: tipo, item, quantity: quantidade, unit: unidade });
+        } catch (error) {
+            if (!isUnitConversionError(error)) throw error;
+            showToast(error.message, { type: 'error' });
+            return;
+        }
+
+        if (tipo === 'ingredient' && calculo.stockQuantity > (parseFloat(item.current_stock) || 0)) {
+            const confirmado = await showConfirm({
+                title: 'Perda maior que o estoque',
+                message: `O sistema registra ${formatQuantity(item.current_stock || 0, item.stock_unit || 'un')} de ${item.name}. O estoque ficará zerado. Deseja registrar mesmo assim?`,
+                confirmText: 'Registrar',
+                cancelText: 'Voltar'
+            });
+            if (!confirmado) return;
+        }
+
+        try {
+            this.isSaving = true;
+            const response = await createWasteLog({
+                item_type: tipo,
+                item_id: item.id,
+                quantity: quantidade,
+                unit: unidade,
+                stock_quantity: tipo === 'ingredient' ? calculo.stockQuantity : null,
+                reason: document.getElementById('motivo-perda')?.value,
+                notes: document.getElementById('observacoes-perda')?.value,
+                photo: document.getElementById('foto-perda')?.files?.[0] || null
+            });
+
+            // Custo calculado pelo backend tem prioridade (preço vigente no registro)
+            const movimento = buildWasteMovement({ ...response, cost: response?.cost ?? calculo.cost }, item.name);
+            if (movimento) {
+                try {
+                    await createFinancialMovement(movimento);
+                } catch (error) {
+                    if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+                        console.error('Erro ao lançar custo da perda:', error);
+                    }
+                    showToast('A perda foi registrada, mas o custo não foi lançado no financeiro. Lance-o manualmente em Financeiro.', {
+                        type: 'warning',
+                        title: 'Lançamento financeiro pendente',
+                        autoClose: false
+                    });
+                }
+            }
+
+            fecharModal('modal-perda');
+            toastFromApiSuccess(response, 'Perda registrada');
+            this.currentPage = 1;
+            await this.loadPerdas();
+        } catch (error) {
+            if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+                console.error('Erro ao registrar perda:', error);
+            }
+            toastFromApiError(error, 'Erro ao registrar a perda');
+        } finally {
+            this.isSaving = false;
+        }
+    }
+}
+
+// Instância global do gerenciador
+let perdasManager = null;
+
+/**
+ * Inicializa o módulo quando a seção de perdas é exibida
+ */
+export async function initPerdasManager() {
+    if (!perdasManager) {
+        perdasManager = new PerdasManager();
+    }
+    await perdasManager.init();
+}
+
+/**
+ * Libera listeners ao sair da seção
+ */
+export function cleanupPerdasManager() {
+    if (perdasManager) {
+        perdasManager.cleanup();
+    }
+}
@@ -0,0 +1,416 @@
+/**
+ * Gerenciador de Etapas de Combo
+ * Edita as etapas (slots) de um produto combo: nome, obrigatoriedade,
+ * produtos elegíveis e acréscimo de preço de cada opção
+ */
+
+import { showConfirm } from '../alerts.js';
+import { getProducts, PRODUCT_TYPES } from '../../api/products.js';
+import { escapeHTML, escapeAttribute } from '../../utils/html-sanitizer.js';
+import { normalizePaginationResponse, getItemsFromResponse } from '../../utils/pagination-utils.js';
+
+// Constantes de configuração
+const CONFIG = {
+    MAX_PRODUCTS_PER_PAGE: 1000,
+    MAX_ETAPAS: 10
+};
+
+// Utilitário para parsing seguro de valores monetários ("R$ 2,50" -> 2.5)
+const safeParsePrice = (value) => {
+    const parsed = parseFloat(String(value ?? '').replace('R$', '').replace(',', '.').trim());
+    return isNaN(parsed) || parsed < 0 ? 0 : parsed;
+};
+
+export class ProdutoComboManager {
+    constructor() {
+        this.etapas = [];
+        this.produtosDisponiveis = [];
+        this.isLoading = false; // Prevenir race conditions
+
+        // Referências de listeners para cleanup
+        this.eventListeners = new Map();
+    }
+
+    /**
+     * Inicializa o gerenciador
+     */
+    async init() {
+        await this.carregarProdutos();
+        this.setupEventListeners();
+    }
+
+    /**
+     * Configura event listeners com cleanup apropriado
+     */
+    setupEventListeners() {
+        this.addListener('tipo-produto', 'change', (e) => {
+            this.setModoCombo(e.target.value === PRODUCT_TYPES.COMBO);
+        });
+
+        this.addListener('btn-adicionar-etapa-combo', 'click', () => {
+            this.adicionarEtapa();
+        });
+
+        // Event delegation na lista de etapas
+        this.addListener('lista-etapas-combo', 'click', (e) => this.handleListaClick(e));
+        this.addListener('lista-etapas-combo', 'input', (e) => this.handleListaInput(e));
+        this.addListener('lista-etapas-combo', 'change', (e) => this.handleListaChange(e));
+    }
+
+    /**
+     * Adiciona listener com tracking para cleanup
+     */
+    addListener(elementId, event, handler) {
+        const element = document.getElementById(elementId);
+        if (element) {
+            element.addEventListener(event, handler);
+            // Armazena para cleanup futuro
+            if (!this.eventListeners.has(elementId)) {
+                this.eventListeners.set(elementId, []);
+            }
+            this.eventListeners.get(elementId).push({ event, handler });
+        }
+    }
+
+    /**
+     * Remove todos os event listeners (cleanup)
+     */
+    cleanup() {
+        this.eventListeners.forEach((listeners, elementId) => {
+            const element = document.getElementById(elementId);
+            if (element) {
+                listeners.forEach(({ event, handler }) => {
+                    element.removeEventListener(event, handler);
+                });
+            }
+        });
+        this.eventListeners.clear();
+    }
+
+    /**
+     * Carrega produtos que podem ser escolhidos nas etapas (combos não entram em outros combos)
+     */
+    async carregarProdutos() {
+        if (this.isLoading) return;
+        this.isLoading = true;
+
+        try {
+            const result = await getProducts({
+                page_size: CONFIG.MAX_PRODUCTS_PER_PAGE,
+                filter_unavailable: false
+            });
+            const items = result.success
+                ? getItemsFromResponse(normalizePaginationResponse(result.data))
+                : [];
+
+            this.produtosDisponiveis = items
+                .filter(p => p.product_type !== PRODUCT_TYPES.COMBO)
+                .map(p => ({ id: p.id, name: p.name }))
+                .sort((a, b) => String(a.name).localeCompare(String(b.name), 'pt-BR'));
+        } catch (error) {
+            if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+                console.error('Erro ao carregar produtos para combo:', error);
+            }
+            this.produtosDisponiveis = [];
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    /**
+     * Alterna o formulário entre receita/extras (produto simples) e etapas (combo)
+     */
+    setModoCombo(isCombo) {
+        const select = document.getElementById('tipo-produto');
+        if (select) {
+            select.value = isCombo ? PRODUCT_TYPES.COMBO : PRODUCT_TYPES.SIMPLE;
+        }
+
+        const secaoReceita = document.querySelector('#modal-produto .secao-receita');
+        const secaoExtras = document.querySelector('#modal-produto .secao-extras');
+        const secaoCombo = document.getElementById('secao-combo');
+
+        if (secaoReceita) secaoReceita.style.display = isCombo ? 'none' : '';
+        if (secaoExtras) secaoExtras.style.display = isCombo ? 'none' : '';
+        if (secaoCombo) secaoCombo.style.display = isCombo ? '' : 'none';
+
+        if (isCombo && this.etapas.length === 0) {
+            this.adicionarEtapa();
+        } else {
+            this.renderizarEtapas();
+        }
+    }
+
+    /**
+     * Verifica se o formulário está no modo combo
+     */
+    isModoCombo() {
+        return document.getElementById('tipo-produto')?.value === PRODUCT_TYPES.COMBO;
+    }
+
+    adicionarEtapa() {
+        if (this.etapas.length >= CONFIG.MAX_ETAPAS) return;
+
+        this.etapas.push({
+            id: null,
+            name: '',
+            is_required: true,
+            options: []
+        });
+        this.renderizarEtapas();
+
+        // Foco no nome da nova etapa
+        const inputs = document.querySelectorAll('#lista-etapas-combo .etapa-nome');
+        inputs[inputs.length - 1]?.focus();
+    }
+
+    async removerEtapa(index) {
+        const etapa = this.etapas[index];
+        if (!etapa) return;
+
+        if (etapa.options.length > 0) {
+            const confirmado = await showConfirm({
+                title: 'Remover etapa',
+                message: `Remover a etapa "${etapa.name || `Etapa ${index + 1}`}" e suas opções?`,
+                confirmText: 'Remover',
+                cancelText: 'Cancelar'
+            });
+            if (!confirmado) return;
+        }
+
+        this.etapas.splice(index, 1);
+        this.renderizarEtapas();
+    }
+
+    moverEtapa(index, direcao) {
+        const destino = index + direcao;
+        if (destino < 0 || destino >= this.etapas.length) return;
+
+        [this.etapas[index], this.etapas[destino]] = [this.etapas[destino], this.etapas[index]];
+        this.renderizarEtapas();
+    }
+
+    adicionarOpcao(index, productId) {
+        const etapa = this.etapas[index];
+        const produto = this.produtosDisponiveis.find(p => p.id === productId);
+        if (!etapa || !produto) return;
+        if (etapa.options.some(opt => opt.product_id === productId)) return;
+
+        etapa.options.push({
+            product_id: produto.id,
+            product_name: produto.name,
+            upcharge: 0
+        });
+        this.renderizarEtapas();
+    }
+
+    removerOpcao(index, productId) {
+        const etapa = this.etapas[index];
+        if (!etapa) return;
+
+        etapa.options = etapa.options.filter(opt => opt.product_id !== productId);
+        this.renderizarEtapas();
+    }
+
+    handleListaClick(e) {
+        const etapaEl = e.target.closest('.etapa-combo');
+        if (!etapaEl) return;
+        const index = parseInt(etapaEl.dataset.index, 10);
+
+        if (e.target.closest('.btn-remover-etapa')) {
+            this.removerEtapa(index);
+        } else if (e.target.closest('.btn-subir-etapa')) {
+            this.moverEtapa(index, -1);
+        } else if (e.target.closest('.btn-descer-etapa')) {
+            this.moverEtapa(index, 1);
+        } else {
+            const btnRemoverOpcao = e.target.closest('.btn-remover-opcao');
+            if (btnRemoverOpcao) {
+                this.removerOpcao(index, parseInt(btnRemoverOpcao.dataset.productId, 10));
+            }
+        }
+    }
+
+    /**
+     * Atualiza o estado sem re-renderizar (mantém o foco do campo)
+     */
+    handleListaInput(e) {
+        const etapaEl = e.target.closest('.etapa-combo');
+        if (!etapaEl) return;
+        const etapa = this.etapas[parseInt(etapaEl.dataset.index, 10)];
+        if (!etapa) return;
+
+        if (e.target.classList.contains('etapa-nome')) {
+            etapa.name = e.target.value;
+        } else if (e.target.classList.contains('opcao-acrescimo')) {
+            const productId = parseInt(e.target.dataset.productId, 10);
+            const opcao = etapa.options.find(opt => opt.product_id === productId);
+            if (opcao) opcao.upcharge = safeParsePrice(e.target.value);
+        }
+    }
+
+    handleListaChange(e) {
+        const etapaEl = e.target.closest('.etapa-combo');
+        if (!etapaEl) return;
+        const index = parseInt(etapaEl.dataset.index, 10);
+        const etapa = this.etapas[index];
+        if (!etapa) return;
+
+        if (e.target.classList.contains('etapa-obrigatoria')) {
+            etapa.is_required = e.target.checked;
+        } else if (e.target.classList.contains('etapa-add-produto')) {
+            const productId = parseInt(e.target.value, 10);
+            if (productId) this.adicionarOpcao(index, productId);
+        }
+    }
+
+    renderizarEtapas() {
+        const lista = document.getElementById('lista-etapas-combo');
+        if (!lista) return;
+
+        const btnAdicionar = document.getElementById('btn-adicionar-etapa-combo');
+        if (btnAdicionar) {
+            btnAdicionar.disabled = this.etapas.length >= CONFIG.MAX_ETAPAS;
+        }
+
+        if (this.etapas.length === 0) {
+            lista.innerHTML = '<p class="empty-message">Nenhuma etapa adicionada</p>';
+            return;
+        }
+
+        lista.innerHTML = this.etapas.map((etapa, index) => {
+            const idsNaEtapa = new Set(etapa.options.map(opt => opt.product_id));
+            const produtosRestantes = this.produtosDisponiveis.filter(p => !idsNaEtapa.has(p.id));
+
+            const opcoesHtml = etapa.options.length === 0
+                ? '<p class="empty-message">Nenhum produto elegível</p>'
+                : etapa.options.map(opt => `
+                    <div class="opcao-combo" role="listitem">
+                        <span class="opcao-nome">${escapeHTML(opt.product_name || 'Produto')}</span>
+                        <label class="opcao-acrescimo-label">
+                            + R$
+                            <input type="text" class="opcao-acrescimo" inputmode="decimal"
+                                data-product-id="${opt.product_id}"
+                                value="${Number(opt.upcharge || 0).toFixed(2).replace('.', ',')}"
+                                aria-label="Acréscimo de ${escapeAttribute(opt.product_name || 'produto')}">
+                        </label>
+                        <button type="button" class="btn-acao btn-remover-opcao" data-product-id="${opt.product_id}" title="Remover produto">
+                            <i class="fa-solid fa-trash"></i>
+                        </button>
+                    </div>
+                `).join('');
+
+            return `
+                <div class="etapa-combo" data-index="${index}">
+                    <div class="etapa-header">
+                        <span class="etapa-numero">${index + 1}</span>
+                        <input type="text" class="etapa-nome" maxlength="60"
+                            placeholder="Ex.: Escolha o hambúrguer"
+                            value="${escapeAttribute(etapa.name)}" aria-label="Nome da etapa ${index + 1}">
+                        <label class="etapa-obrigatoria-label">
+                            <input type="checkbox" class="etapa-obrigatoria" ${etapa.is_required ? 'checked' : ''}>
+                            Obrigatória
+                        </label>
+                        <div class="etapa-acoes">
+                            <button type="button" class="btn-acao btn-subir-etapa" title="Mover para cima" ${index === 0 ? 'disabled' : ''}>
+                                <i class="fa-solid fa-arrow-up"></i>
+                            </button>
+                            <button type="button" class="btn-acao btn-descer-etapa" title="Mover para baixo" ${index === this.etapas.length - 1 ? 'disabled' : ''}>
+                                <i class="fa-solid fa-arrow-down"></i>
+                            </button>
+                            <button type="button" class="btn-acao btn-remover-etapa" title="Remover etapa">
+                                <i class="fa-solid fa-trash"></i>
+                            </button>
+                        </div>
+                    </div>
+                    <div class="etapa-opcoes" role="list">
+                        ${opcoesHtml}
+                    </div>
+                    <select class="etapa-add-produto" aria-label="Adicionar produto elegível à etapa ${index + 1}">
+                        <option value="">+ Adicionar produto elegível</option>
+                        ${produtosRestantes.map(p => `<option value="${p.id}">${escapeHTML(p.name)}</option>`).join('')}
+                    </select>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Carrega etapas vindas da API (getComboSlots)
+     */
+    setEtapas(slots) {
+        this.etapas = (Array.isArray(slots) ? slots : []).map(slot => ({
+            id: slot.id || null,
+            name: slot.name || '',
+            is_required: slot.is_required !== false,
+            options: (slot.options || []).map(opt => ({
+                product_id: parseInt(opt.product_id, 10),
+                product_name: opt.product_name || opt.name
+                    || this.produtosDisponiveis.find(p => p.id === parseInt(opt.product_id, 10))?.name
+                    || 'Produto',
+                upcharge: safeParsePrice(opt.upcharge)
+            }))
+        }));
+        this.renderizarEtapas();
+    }
+
+    /**
+     * Valida as etapas antes de salvar
+     * @returns {string|null} Mensagem de erro ou null se válido
+     */
+    validarEtapas() {
+        if (this.etapas.length === 0) {
+            return 'Adicione pelo menos uma etapa ao combo';
+        }
+
+        for (let i = 0; i < this.etapas.length; i++) {
+            const etapa = this.etapas[i];
+            if (!etapa.name.trim()) {
+                return `Informe o nome da etapa ${i + 1}`;
+            }
+            if (etapa.options.length === 0) {
+                return `Adicione pelo menos um produto à etapa "${etapa.name.trim()}"`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Retorna etapas no formato esperado por updateComboSlots (a ordem define a posição)
+     */
+    getEtapasFormatadasParaAPI() {
+        return this.etapas.map(etapa => {
+            const slot = {
+                name: etapa.name.trim(),
+                is_required: etapa.is_required,
+                options: etapa.options.map(opt => ({
+                    product_id: opt.product_id,
+                    upcharge: opt.upcharge
+                }))
+            };
+            if (etapa.id) slot.id = etapa.id;
+            return slot;
+        });
+    }
+
+    /**
+     * Limpa todas as etapas
+     */
+    limparEtapas() {
+        this.etapas = [];
+        this.renderizarEtapas();
+    }
+
+    /**
+     * Destroy method para cleanup completo (importante para SPA)
+     */
+    destroy() {
+        this.cleanup();
+        this.limparEtapas();
+        this.produtosDisponiveis = [];
+    }
+}
+
+// Exportar classe
+export default ProdutoComboManager;
@@ -18,6 +18,9 @@ import {
   updateProductWithImage,
   canDeleteProduct,
   permanentDeleteProduct,
+  getComboSlots,
+  updateComboSlots,
+  PRODUCT_TYPES,
 } from "../../api/products.js";
 
 import { getIngredients } from "../../api/ingredients.js";
@@ -25,6 +28,7 @@ import { getCategories } from "../../api/categories.js";
 import { showToast } from "../alerts.js";
 import { abrirModal, fecharModal } from "../modais.js";
 import { ProdutoExtrasManager } from "./produto-extras-manager.js";
+import { ProdutoComboManager } from "./produto-combo-manager.js";
 import { API_BASE_URL } from "../../api/api.js";
 import { debounce } from "../../utils/performance-utils.js";
 import { renderListInChunks } from "../../utils/virtual-scroll.js";
@@ -33,6 +37,7 @@ import { escapeHTML } from "../../utils/html-sanitizer.js";
 import { normalizePaginationResponse, getItemsFromResponse, getPaginationFromResponse } from "../../utils/pagination-utils.js";
 import { showLoadingOverlay, hideLoadingOverlay } from "../../utils/loading-indicator.js";
 import { reaplicarGerenciamentoInputs, gerenciarInputsEspecificos } from "../../utils.js";
+import { convertPrice, getConversionProfile, isUnitConversionError } from "../../utils/unit-conversion.js";
 
 /**
  * Gerenciador de dados de produtos
@@ -250,6 +255,7 @@ class ProdutoDataManager {
         preco: this.safeParseFloat(produto.price),
         tempoPreparo: this.safeParseInt(produto.preparation_time_minutes),
         categoriaId: produto.category_id || null,
+        tipo: produto.product_type || PRODUCT_TYPES.SIMPLE,
         imagem: produto.image_url || "",
         ativo: produto.is_active !== undefined ? produto.is_active : true,
         dataCriacao:
@@ -279,6 +285,7 @@ class ProdutoDataManager {
         preparation_time_minutes: this.safeParseInt(produtoData.tempoPreparo),
         category_id: produtoData.categoriaId || null,
         is_active: produtoData.ativo !== undefined ? produtoData.ativo : true,
+        product_type: produtoData.tipo || PRODUCT_TYPES.SIMPLE,
       };
 
       // Adicionar ingredientes se fornecidos (receita + extras unificados)
@@ -351,6 +358,7 @@ class ProdutoDataManager {
         preparation_time_minutes: this.safeParseInt(produtoData.tempoPreparo),
         category_id: produtoData.categoriaId || null,
         is_active: produtoData.ativo !== undefined ? produtoData.ativo : true,
+        product_type: produtoData.tipo || PRODUCT_TYPES.SIMPLE,
       };
 
       // Adicionar ingredientes se fornecidos (receita + extras unificados)
@@ -647,6 +655,7 @@ class ProdutoManager {
     this.modalClickHandler = null; // Handler para delegação de eventos no modal
     this.imageCache = new Map(); // Cache para imagens
     this.extrasManager = null; // Gerenciador de extras (inicializado quando necessário)
+    this.comboManager = null; // Gerenciador de etapas de combo (inicializado quando necessário)
     this.ingredientesCarregados = new Map(); // Cache dos ingredientes carregados do produto atual
     // ALTERAÇÃO: Estado de paginação adicionado
     this.currentPage = 1;
@@ -890,6 +899,7 @@ class ProdutoManager {
         produto.preparation_time_minutes
       ),
       categoriaId: produto.category_id || null,
+      tipo: produto.product_type || PRODUCT_TYPES.SIMPLE,
       imagem: produto.image_url || produto.image || "",
       ativo: produto.is_active !== undefined ? produto.is_active : true,
       dataCriacao: produto.created_at || new Date().toISOString().split("T")[0],
@@ -931,6 +941,8 @@ class ProdutoManager {
         base_portion_quantity: ingrediente.base_portion_quantity || 1,
         base_portion_unit: ingrediente.base_portion_unit || "un",
         stock_unit: ingrediente.stock_unit || "un",
+        density: ingrediente.density ?? null,
+        packaging_units: ingrediente.packaging_units || [],
         is_available:
           ingrediente.is_available !== undefined
             ? ingrediente.is_available
@@ -1975,6 +1987,7 @@ class ProdutoManager {
       this.extrasManager = new ProdutoExtrasManager();
       await this.extrasManager.init();
     }
+    await this.ensureComboManager();
     
     document.getElementById("nome-produto").value = produtoData.nome || "";
     document.getElementById("descricao-produto").value =
@@ -1996,6 +2009,21 @@ class ProdutoManager {
 
     // Carregar ingredientes existentes do produto
     await this.loadExistingIngredients(produtoData.id);
+
+    // Combos: carregar etapas
+    const isCombo = produtoData.tipo === PRODUCT_TYPES.COMBO;
+    this.comboManager.limparEtapas();
+    if (isCombo) {
+      try {
+        this.comboManager.setEtapas(await getComboSlots(produtoData.id));
+      } catch (error) {
+        if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+          console.error("Erro ao carregar etapas do combo:", error);
+        }
+        this.showErrorMessage("Não foi possível carregar as etapas do combo.");
+      }
+    }
+    this.comboManager.setModoCombo(isCombo);
   }
 
   /**
@@ -2024,6 +2052,15 @@ class ProdutoManager {
       this.extrasManager.limparExtras();
     }
 
+    // Voltar para produto simples e limpar etapas de combo
+    if (this.comboManager) {
+      this.comboManager.limparEtapas();
+      this.comboManager.setModoCombo(false);
+    } else {
+      const tipoSelect = document.getElementById("tipo-produto");
+      if (tipoSelect) tipoSelect.value = PRODUCT_TYPES.SIMPLE;
+    }
+
     // Limpar custo estimado
     const custoElement = document.getElementById("custo-estimado");
     if (custoElement) {
@@ -2043,6 +2080,7 @@ class ProdutoManager {
       this.extrasManager = new ProdutoExtrasManager();
       await this.extrasManager.init();
     }
+    await this.ensureComboManager();
 
     // ALTERAÇÃO: Removido listener manual do botão cancelar
     // O sistema modais.js já gerencia fechamento via data-close-modal
@@ -2113,6 +2151,17 @@ class ProdutoManager {
     this.setupModalIngredienteReceitaListeners();
   }
 
+  /**
+   * Inicializa o gerenciador de etapas de combo (uma única vez)
+   */
+  async ensureComboManager() {
+    if (!this.comboManager) {
+      this.comboManager = new ProdutoComboManager();
+      await this.comboManager.init();
+    }
+    return this.comboManager;
+  }
+
   /**
    * Remove listeners do modal para evitar duplicação
    */
@@ -2271,6 +2320,7 @@ class ProdutoManager {
             option.dataset.porcaoUnidade = ingrediente.base_portion_unit || "un";
             option.dataset.price = ingrediente.price || 0;
             option.dataset.stockUnit = ingrediente.stock_unit || "un";
+            option.dataset.conversao = JSON.stringify(getConversionProfile(ingrediente));
           } else {
             // Fallback: valores padrão
             option.dataset.porcaoQuantidade = "1";
@@ -2367,6 +2417,10 @@ class ProdutoManager {
 
     if (!selectIngrediente || !quantidadeInput) return;
 
+    // Limpa aviso de unidades incompatíveis de um cálculo anterior
+    if (custoPorPorcaoEl) custoPorPorcaoEl.title = "";
+    if (custoTotalEl) custoTotalEl.title = "";
+
     const ingredienteId = selectIngrediente.value;
     const quantidadePorcoes = this.dataManager.safeParseFloat(
       quantidadeInput.value
@@ -2401,12 +2455,21 @@ class ProdutoManager {
         );
         const unidadePorcaoBase = selectedOption.dataset.porcaoUnidade || "un";
         const stockUnit = selectedOption.dataset.stockUnit || "un";
+        const perfil = JSON.parse(selectedOption.dataset.conversao || "null");
 
-        const precoPorUnidadeBase = this.convertPriceToRecipeUnit(
-          precoUnitario,
-          stockUnit,
-          unidadePorcaoBase
-        );
+        let precoPorUnidadeBase;
+        try {
+          precoPorUnidadeBase = this.convertPriceToRecipeUnit(
+            precoUnitario,
+            stockUnit,
+            unidadePorcaoBase,
+            perfil
+          );
+        } catch (error) {
+          if (!isUnitConversionError(error)) throw error;
+          this.exibirCustoIndisponivelModal(error.message);
+          return;
+        }
         const custoPorPorcao = precoPorUnidadeBase * quantidadePorcaoBase;
         const custoTotal = custoPorPorcao * quantidadePorcoes;
 
@@ -2427,11 +2490,19 @@ class ProdutoManager {
     const unidadePorcaoBase = ingrediente.base_portion_unit || "un";
     const stockUnit = ingrediente.stock_unit || "un";
 
-    const precoPorUnidadeBase = this.convertPriceToRecipeUnit(
-      precoUnitario,
-      stockUnit,
-      unidadePorcaoBase
-    );
+    let precoPorUnidadeBase;
+    try {
+      precoPorUnidadeBase = this.convertPriceToRecipeUnit(
+        precoUnitario,
+        stockUnit,
+        unidadePorcaoBase,
+        getConversionProfile(ingrediente)
+      );
+    } catch (error) {
+      if (!isUnitConversionError(error)) throw error;
+      this.exibirCustoIndisponivelModal(error.message);
+      return;
+    }
     const custoPorPorcao = precoPorUnidadeBase * quantidadePorcaoBase;
     const custoTotal = custoPorPorcao * quantidadePorcoes;
 
@@ -2439,6 +2510,19 @@ class ProdutoManager {
     if (custoTotalEl) custoTotalEl.textContent = `R$ ${this.formatCurrency(custoTotal)}`;
   }
 
+  /**
+   * Sinaliza na modal que o custo não pode ser calculado (unidades incompatíveis)
+   * @param {string} motivo - Mensagem do erro de conversão
+   */
+  exibirCustoIndisponivelModal(motivo) {
+    ["custo-por-porcao-modal", "custo-total-modal"].forEach((id) => {
+      const el = document.getElementById(id);
+      if (!el) return;
+      el.textContent = "—";
+      el.title = motivo;
+    });
+  }
+
   /**
    * Salva ingrediente da receita (adicionar ou editar)
    */
@@ -2894,6 +2978,8 @@ class ProdutoManager {
             base_portion_quantity: ingrediente.base_portion_quantity || 1,
             base_portion_unit: ingrediente.base_portion_unit || "un",
             stock_unit: ingrediente.stock_unit || "un",
+            density: ingrediente.density ?? null,
+            packaging_units: ingrediente.packaging_units || [],
             is_available: ingrediente.is_available !== false,
           };
         }
@@ -3486,6 +3572,14 @@ class ProdutoManager {
       return false;
     }
 
+    if (this.comboManager && this.comboManager.isModoCombo()) {
+      const erroCombo = this.comboManager.validarEtapas();
+      if (erroCombo) {
+        this.showErrorMessage(erroCombo);
+        return false;
+      }
+    }
+
     return true;
   }
 
@@ -3511,6 +3605,9 @@ class ProdutoManager {
         document.getElementById("tempo-preparo-produto").value
       ),
       categoriaId: document.getElementById("categoria-produto").value,
+      tipo: document.getElementById("tipo-produto")?.value === PRODUCT_TYPES.COMBO
+        ? PRODUCT_TYPES.COMBO
+        : PRODUCT_TYPES.SIMPLE,
       ativo: true,
       imagem: fileInput.files.length > 0 ? fileInput.files[0] : null,
       custoTotal: custoTotal,
@@ -3608,9 +3705,15 @@ class ProdutoManager {
 
   /**
    * Converte o preço unitário do ingrediente para a unidade da receita
-   * Adicionada validação robusta e tratamento de casos extremos
+   * Aceita embalagens do insumo e conversão peso ↔ volume pela densidade
+   * @param {number} precoUnitario - Preço por unidade de estoque
+   * @param {string} ingredienteUnidade - Unidade de estoque do ingrediente
+   * @param {string} receitaUnidade - Unidade da porção base
+   * @param {Object} [perfil] - Perfil de conversão do ingrediente ({ packagings, density })
+   * @returns {number} Preço por unidade da receita
+   * @throws {Error} UnitConversionError quando as unidades não são conversíveis
    */
-  convertPriceToRecipeUnit(precoUnitario, ingredienteUnidade, receitaUnidade) {
+  convertPriceToRecipeUnit(precoUnitario, ingredienteUnidade, receitaUnidade, perfil = null) {
     // Validação de parâmetros de entrada
     if (!precoUnitario || precoUnitario <= 0 || isNaN(precoUnitario)) {
       return 0;
@@ -3620,45 +3723,7 @@ class ProdutoManager {
       return precoUnitario;
     }
 
-    // Se as unidades são iguais, não precisa converter
-    if (ingredienteUnidade.toLowerCase() === receitaUnidade.toLowerCase()) {
-      return precoUnitario;
-    }
-
-    // Conversões de kg para g
-    if (
-      ingredienteUnidade.toLowerCase() === "kg" &&
-      receitaUnidade.toLowerCase() === "g"
-    ) {
-      return precoUnitario / 1000; // R$ 10/kg = R$ 0,01/g
-    }
-
-    // Conversões de g para kg
-    if (
-      ingredienteUnidade.toLowerCase() === "g" &&
-      receitaUnidade.toLowerCase() === "kg"
-    ) {
-      return precoUnitario * 1000; // R$ 0,01/g = R$ 10/kg
-    }
-
-    // Conversões de L para ml
-    if (
-      ingredienteUnidade.toLowerCase() === "l" &&
-      receitaUnidade.toLowerCase() === "ml"
-    ) {
-      return precoUnitario / 1000; // R$ 8/L = R$ 0,008/ml
-    }
-
-    // Conversões de ml para L
-    if (
-      ingredienteUnidade.toLowerCase() === "ml" &&
-      receitaUnidade.toLowerCase() === "l"
-    ) {
-      return precoUnitario * 1000; // R$ 0,008/ml = R$ 8/L
-    }
-
-    // Se não conseguir converter, retorna o preço original
-    return precoUnitario;
+    return convertPrice(precoUnitario, ingredienteUnidade, receitaUnidade, perfil);
   }
 
   /**
@@ -3708,12 +3773,19 @@ class ProdutoManager {
     const unidadePorcaoBase = ingrediente.base_portion_unit || "un";
     const stockUnit = ingrediente.stock_unit || "un";
 
-    // Usar função de conversão centralizada
-    const precoPorUnidadeBase = this.convertPriceToRecipeUnit(
-      precoUnitario,
-      stockUnit,
-      unidadePorcaoBase
-    );
+    // Usar função de conversão centralizada; sem conversão o item entra na receita com custo zero
+    let precoPorUnidadeBase = 0;
+    try {
+      precoPorUnidadeBase = this.convertPriceToRecipeUnit(
+        precoUnitario,
+        stockUnit,
+        unidadePorcaoBase,
+        getConversionProfile(ingrediente)
+      );
+    } catch (error) {
+      if (!isUnitConversionError(error)) throw error;
+      this.showErrorMessage(`${ingrediente.name}: ${error.message}`);
+    }
 
     // Custo por porção = preço por unidade base * quantidade da porção base
     const custoPorPorcao = precoPorUnidadeBase * quantidadePorcaoBase;
@@ -3872,6 +3944,7 @@ class ProdutoManager {
         option.dataset.porcaoUnidade = ingrediente.base_portion_unit || "un";
         option.dataset.price = ingrediente.price || 0;
         option.dataset.stockUnit = ingrediente.stock_unit || "un";
+        option.dataset.conversao = JSON.stringify(getConversionProfile(ingrediente));
         selectModal.appendChild(option);
       });
     } else {
@@ -3997,7 +4070,9 @@ class ProdutoManager {
 
       // Adicionar ingredientes ao payload do produto
       // A API sincroniza corretamente (remove, adiciona, atualiza)
-      produtoData.ingredients = todosIngredientes;
+      // Combos não têm receita própria: o estoque é consumido pelos produtos escolhidos nas etapas
+      const isCombo = produtoData.tipo === PRODUCT_TYPES.COMBO;
+      produtoData.ingredients = isCombo ? [] : todosIngredientes;
 
       // Salvar o produto com todos os ingredientes
       let produtoId;
@@ -4014,6 +4089,14 @@ class ProdutoManager {
         produtoId = response.id;
       }
 
+      // 5. Salvar etapas do combo (após o produto existir)
+      if (isCombo && produtoId && this.comboManager) {
+        await updateComboSlots(
+          produtoId,
+          this.comboManager.getEtapasFormatadasParaAPI()
+        );
+      }
+
       return produtoId;
     } catch (error) {
       // ALTERAÇÃO: Log condicional apenas em modo debug
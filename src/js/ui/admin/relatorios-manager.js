@@ -4,6 +4,7 @@
  */
 
 import { getAvailableReports, generatePDFReport, getDetailedFinancialReport } from '../../api/reports.js';
+import { getWasteReport, WASTE_REASONS, WASTE_ITEM_TYPES } from '../../api/waste-logs.js';
 import { formatDateForAPI, formatDateForDisplay, formatDateForISO } from '../../utils/date-formatter.js';
 import { showToast } from '../alerts.js';
 import { abrirModal, fecharModal } from '../modais.js';
@@ -11,6 +12,9 @@ import { escapeHTML } from '../../utils/html-sanitizer.js';
 import { formatCurrency } from '../../api/dashboard.js';
 import { gerenciarInputsEspecificos } from '../../utils.js';
 
+// Relatórios apenas com visualização em tela (sem endpoint de PDF)
+const VIEW_ONLY_REPORTS = ['waste'];
+
 class RelatoriosManager {
     constructor() {
         this.container = document.getElementById('secao-relatorios');
@@ -98,6 +102,8 @@ class RelatoriosManager {
 
                 if (action === 'export') {
                     this.exportReport(reportType);
+                } else if (action === 'view') {
+                    this.viewReport(reportType);
                 }
             });
         }
@@ -292,6 +298,11 @@ class RelatoriosManager {
             const modalBody = document.getElementById('modal-relatorio-body');
             const modalTitulo = document.getElementById('modal-relatorio-titulo');
 
+            const btnExportarModal = document.getElementById('btn-exportar-relatorio-modal');
+            if (btnExportarModal) {
+                btnExportarModal.style.display = VIEW_ONLY_REPORTS.includes(reportType) ? 'none' : '';
+            }
+
             // Mostrar loading
             if (modalBody) {
                 modalBody.innerHTML = `
@@ -325,6 +336,11 @@ class RelatoriosManager {
                 if (response.success) {
                     reportData = response.data;
                 }
+            } else if (reportType === 'waste') {
+                const response = await getWasteReport(this.filters);
+                if (response.success) {
+                    reportData = response.data;
+                }
             } else {
                 // Para outros relatórios, informar que visualização está disponível apenas via PDF
                 if (modalBody) {
@@ -379,6 +395,8 @@ class RelatoriosManager {
         // Renderizar baseado no tipo
         if (reportType === 'financial_complete' || reportType === 'financial_detailed') {
             this.renderFinancialReport(data);
+        } else if (reportType === 'waste') {
+            this.renderWasteReport(data);
         } else {
             modalBody.innerHTML = '<p>Visualização não disponível para este tipo de relatório</p>';
         }
@@ -432,6 +450,90 @@ class RelatoriosManager {
         }
     }
 
+    /**
+     * Renderiza relatório de perdas (custo por motivo e itens mais perdidos)
+     * @param {Object} data - { total_cost, total_records, by_reason, top_items }
+     */
+    renderWasteReport(data) {
+        const modalBody = document.getElementById('modal-relatorio-body');
+        if (!modalBody) return;
+
+        const totalCost = parseFloat(data.total_cost) || 0;
+        const byReason = [...(data.by_reason || [])].sort((a, b) => (parseFloat(b.cost) || 0) - (parseFloat(a.cost) || 0));
+        const topItems = data.top_items || [];
+        const share = (cost) => totalCost > 0 ? `${(((parseFloat(cost) || 0) / totalCost) * 100).toFixed(1).replace('.', ',')}%` : '-';
+
+        const reasonRows = byReason.map(row => `
+            <tr>
+                <td>${escapeHTML(WASTE_REASONS[row.reason] || row.reason || '-')}</td>
+                <td>${parseInt(row.records, 10) || 0}</td>
+                <td>${escapeHTML(formatCurrency(row.cost || 0))}</td>
+                <td>${share(row.cost)}</td>
+            </tr>
+        `).join('');
+
+        const itemRows = topItems.map(item => `
+            <tr>
+                <td>${escapeHTML(item.item_name || '-')}</td>
+                <td>${escapeHTML(WASTE_ITEM_TYPES[item.item_type] || item.item_type || '-')}</td>
+                <td>${escapeHTML(`${parseFloat(item.quantity) || 0} ${item.unit || 'un'}`)}</td>
+                <td>${escapeHTML(formatCurrency(item.cost || 0))}</td>
+            </tr>
+        `).join('');
+
+        modalBody.innerHTML = `
+            <div class="report-view">
+                <div class="report-header">
+                    <h3>Relatório de Perdas</h3>
+                    <p class="report-period">
+                        Período: ${escapeHTML(formatDateForDisplay(this.filters.start_date))} até ${escapeHTML(formatDateForDisplay(this.filters.end_date))}
+                    </p>
+                </div>
+
+                <div class="report-summary">
+                    <div class="summary-card">
+                        <h4>Custo Total das Perdas</h4>
+                        <p class="summary-value negative">${escapeHTML(formatCurrency(totalCost))}</p>
+                    </div>
+                    <div class="summary-card">
+                        <h4>Registros</h4>
+                        <p class="summary-value">${parseInt(data.total_records, 10) || 0}</p>
+                    </div>
+                    <div class="summary-card">
+                        <h4>Principal Motivo</h4>
+                        <p class="summary-value">${escapeHTML(byReason[0] ? (WASTE_REASONS[byReason[0].reason] || byReason[0].reason) : '-')}</p>
+                    </div>
+                </div>
+
+                ${byReason.length === 0 ? `
+                <div class="info-container">
+                    <i class="fa-solid fa-info-circle"></i>
+                    <p>Nenhuma perda registrada no período.</p>
+                </div>` : `
+                <div class="report-table-section">
+                    <h4>Perdas por motivo</h4>
+                    <table class="report-table">
+                        <thead>
+                            <tr><th>Motivo</th><th>Registros</th><th>Custo</th><th>% do total</th></tr>
+                        </thead>
+                        <tbody>${reasonRows}</tbody>
+                    </table>
+                </div>
+
+                ${topItems.length > 0 ? `
+                <div class="report-table-section">
+                    <h4>Itens com maior custo de perda</h4>
+                    <table class="report-table">
+                        <thead>
+                            <tr><th>Item</th><th>Tipo</th><th>Quantidade</th><th>Custo</th></tr>
+                        </thead>
+                        <tbody>${itemRows}</tbody>
+                    </table>
+                </div>` : ''}`}
+            </div>
+        `;
+    }
+
     /**
      * Renderiza HTML de gráficos
      * @param {Object} charts - Dados dos gráficos
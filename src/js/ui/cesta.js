@@ -8,6 +8,9 @@ import {
   removeCartItem,
   clearCart,
   claimGuestCart,
+  syncOfflineCart,
+  takeOfflineSyncFailures,
+  OFFLINE_SYNC_FAILED_EVENT,
 } from "../api/cart.js";
 import { getPromotionByProductId } from "../api/promotions.js";
 import { API_BASE_URL } from "../api/api.js";
@@ -21,6 +24,7 @@ import {
   STATE_EVENTS,
 } from "../utils/state-manager.js";
 import { calculatePriceWithPromotion, formatPrice, isPromotionActive } from "../utils/price-utils.js";
+import { isOffline } from "../utils/pwa.js";
 
 
 // Constantes para validação e limites
@@ -161,6 +165,10 @@ async function carregarCesta() {
       const itemsWithPromotions = await Promise.all(
         apiItems.map(async (item) => {
           let promotion = null;
+          // Sem conexão não há como consultar promoções; o backend aplica ao sincronizar
+          if (item.offline || isOffline()) {
+            return { item, promotion };
+          }
           try {
             const promo = await getPromotionByProductId(item.product.id, false);
             if (promo && isPromotionActive(promo)) {
@@ -214,8 +222,13 @@ async function carregarCesta() {
             return sum;
           }, 0);
           
+          const comboTotal = (item.combo_selections || []).reduce((sum, sel) => {
+            const upcharge = parseFloat(sel?.upcharge || 0) || 0;
+            return sum + (isFinite(upcharge) && upcharge > 0 ? upcharge : 0);
+          }, 0);
+          
           // Usar preço com promoção como base (já calculado acima)
-          const precoUnitario = precoBaseComPromocao + extrasTotal + baseModsTotal;
+          const precoUnitario = precoBaseComPromocao + extrasTotal + baseModsTotal + comboTotal;
           precoTotalCalculado = precoUnitario * itemQuantity;
         }
         // ALTERAÇÃO: Não aplicar desconto novamente - a API já retorna item_subtotal com desconto aplicado
@@ -248,6 +261,22 @@ async function carregarCesta() {
           })
           .filter((bm) => bm !== null); // Remove base_modifications inválidos
 
+        // Mapear escolhas do combo (uma por etapa)
+        const comboMapeado = (item.combo_selections || [])
+          .map((sel) => {
+            if (!sel || typeof sel !== 'object') return null;
+            const nome = String(sel.product_name || sel.name || "").trim();
+            if (!nome) return null;
+            const acrescimoRaw = parseFloat(sel.upcharge || 0);
+            const acrescimo = isNaN(acrescimoRaw) || !isFinite(acrescimoRaw) || acrescimoRaw < 0 ? 0 : acrescimoRaw;
+            return {
+              etapa: String(sel.slot_name || "").trim(),
+              nome,
+              acrescimo,
+            };
+          })
+          .filter((sel) => sel !== null);
+
         const precoUnitarioCalculado = precoTotalCalculado / itemQuantity;
         
         // CORREÇÃO: Mapear extras convertendo quantidade total para quantidade por unidade
@@ -276,10 +305,12 @@ async function carregarCesta() {
           quantidade: itemQuantity,
           extras: extrasMapeados,
           base_modifications: baseModsMapeados,
+          combo: comboMapeado,
           observacao: item.notes || "",
           precoUnitario: precoUnitarioCalculado,
           precoTotal: precoTotalCalculado,
           cartItemId: item.id, // ID do item no carrinho da API
+          pendente: Boolean(item.offline), // Adicionado sem conexão, aguardando sincronização
           timestamp: Date.now(),
         };
       });
@@ -426,8 +457,13 @@ function calcularTotais() {
       return modsSum + (modPrice * modDelta * quantidade);
     }, 0);
     
+    // Acréscimos das escolhas do combo
+    const comboTotal = (item.combo || []).reduce((comboSum, sel) => {
+      return comboSum + ((parseFloat(sel.acrescimo || 0) || 0) * quantidade);
+    }, 0);
+    
     // Preço total original (sem desconto)
-    const precoTotalOriginal = (precoBaseOriginal * quantidade) + extrasTotal + baseModsTotal;
+    const precoTotalOriginal = (precoBaseOriginal * quantidade) + extrasTotal + baseModsTotal + comboTotal;
     
     // Preço total com desconto (vem da API em precoTotal)
     const precoTotalComDesconto = parseFloat(item.precoTotal || 0);
@@ -472,6 +508,30 @@ function calcularPontos() {
 function renderItem(item, index) {
   const imageUrl = buildImageUrl(item.imagem, item.imageHash);
 
+  // Renderizar escolhas do combo
+  let comboHtml = "";
+  if (item.combo && item.combo.length > 0) {
+    const comboItems = item.combo
+      .map((sel) => {
+        const acrescimo = parseFloat(sel.acrescimo || 0) || 0;
+        const precoFormatado = acrescimo > 0
+          ? ` <span class="extra-price">+R$ ${acrescimo.toFixed(2).replace(".", ",")}</span>`
+          : "";
+        const etapa = sel.etapa ? `${escapeHTML(sel.etapa)}: ` : "";
+        return `<li><span class="extra-name">${etapa}${escapeHTML(sel.nome)}</span>${precoFormatado}</li>`;
+      })
+      .join("");
+    comboHtml = `
+            <div class="item-extras-separator"></div>
+            <div class="item-extras-list item-combo-list">
+                <strong>Combo:</strong>
+                <ul>
+                    ${comboItems}
+                </ul>
+            </div>
+        `;
+  }
+
   // Renderizar lista de extras (ingredientes adicionais fora da receita)
   // ALTERAÇÃO: Padronizar design com pagamento.js - adicionar label "Extras:" e exibir preço
   let extrasHtml = "";
@@ -556,6 +616,15 @@ function renderItem(item, index) {
     `
     : "";
 
+  // Item adicionado sem conexão: preço e adicionais são confirmados ao sincronizar
+  const pendenteHtml = item.pendente
+    ? `
+        <div class="item-pendente">
+            <i class="fa-solid fa-cloud-arrow-up"></i> Aguardando conexão para confirmar preço e adicionais
+        </div>
+    `
+    : "";
+
   return `
         <div class="item-cesta-modal" data-index="${index}" data-key="item-${
     item.cartItemId || item.id
@@ -570,13 +639,15 @@ function renderItem(item, index) {
                       item.descricao || ""
                     )}</p>
                 </div>
-                <button class="btn-editar-item" data-index="${index}" title="Editar">
+                ${item.pendente ? "" : `<button class="btn-editar-item" data-index="${index}" title="Editar">
                     <i class="fa-solid fa-pen"></i>
-                </button>
+                </button>`}
             </div>
+            ${comboHtml}
             ${extrasHtml}
             ${baseModsHtml}
             ${obsHtml}
+            ${pendenteHtml}
             <div class="item-extras-separator"></div>
             <div class="item-footer">
                 <div class="item-preco-container">
@@ -1009,12 +1080,24 @@ function attachGlobalHandlers() {
 
   // Botão continuar (ir para página de pagamento)
   if (el.btnContinuar) {
+    atualizarBotaoContinuar();
+
     el.btnContinuar.addEventListener("click", () => {
       if (state.itens.length === 0) {
         alert("Sua cesta está vazia!");
         return;
       }
 
+      // Sem conexão a cesta continua editável, mas o pedido só pode ser finalizado online
+      if (isOffline()) {
+        showToast("Você está sem conexão. Finalize o pedido assim que a internet voltar.", {
+          type: "warning",
+          title: "Sem Conexão",
+          autoClose: 4000,
+        });
+        return;
+      }
+
       // Verificar se o usuário está logado
       if (
         typeof window.isUserLoggedIn === "function" &&
@@ -1087,6 +1170,50 @@ function attachGlobalHandlers() {
   }
 }
 
+// Finalização do pedido só fica disponível com conexão
+function atualizarBotaoContinuar() {
+  if (!el.btnContinuar) return;
+  const offline = isOffline();
+  el.btnContinuar.disabled = offline;
+  el.btnContinuar.title = offline ? "Disponível quando a conexão voltar" : "";
+}
+
+// Itens adicionados offline que o servidor recusou (a sincronização pode ter rodado em
+// outra página ou a partir do getCart): exibir uma vez e limpar
+function avisarItensNaoSincronizados() {
+  const failed = takeOfflineSyncFailures();
+  if (failed.length === 0) return;
+
+  const nomes = failed.map((item) => item.name).join(", ");
+  showToast(`Não foi possível adicionar: ${nomes}. ${failed[0].error || ""}`.trim(), {
+    type: "warning",
+    title: "Itens Não Adicionados",
+    autoClose: 6000,
+  });
+}
+
+// Conexão voltou: enviar itens adicionados offline e recarregar a cesta com os preços do servidor
+async function sincronizarCestaOffline() {
+  atualizarBotaoContinuar();
+
+  // Recusas são avisadas pelo OFFLINE_SYNC_FAILED_EVENT
+  const result = await syncOfflineCart();
+  if (result.failed.length === 0 && result.synced > 0) {
+    showToast("Os itens adicionados sem conexão foram confirmados na sua cesta.", {
+      type: "success",
+      title: "Cesta Sincronizada",
+      autoClose: 3000,
+    });
+  }
+
+  await carregarCesta();
+  renderCesta();
+}
+
+window.addEventListener("online", sincronizarCestaOffline);
+window.addEventListener(OFFLINE_SYNC_FAILED_EVENT, avisarItensNaoSincronizados);
+window.addEventListener("offline", atualizarBotaoContinuar);
+
 // Função exposta globalmente para atualizar a cesta após adicionar item
 window.atualizarCesta = async function () {
   await carregarCesta();
@@ -1096,6 +1223,7 @@ window.atualizarCesta = async function () {
 async function bootstrapCesta() {
   initElements();
   await carregarCesta();
+  avisarItensNaoSincronizados();
 
   // Verificar se há backup da cesta para restaurar após login
   const backupRestaurado = await verificarBackupCesta();
@@ -0,0 +1,138 @@
+/**
+ * Componente de Pagamento Pix
+ * Renderiza o QR code e o código copia e cola de um pedido pago com Pix
+ *
+ * O payload é montado localmente (utils/pix-brcode.js) com a chave configurada no painel.
+ * O desenho do QR usa a biblioteca qrcode-generator (src/assets/vendor) carregada na página; sem ela,
+ * o cliente ainda paga pelo copia e cola.
+ */
+
+import { buildPixPayload, buildPixTxid } from '../../utils/pix-brcode.js';
+import { getPixSettings } from '../../utils/settings-helper.js';
+import { getOrderPayments } from '../../utils/split-payment-utils.js';
+import { escapeHTML } from '../../utils/html-sanitizer.js';
+import { showToast } from '../alerts.js';
+
+const QR_CELL_SIZE = 5;
+const QR_MARGIN = 2;
+
+/**
+ * Valor a pagar via Pix (pedido todo em Pix ou soma das partes Pix do pagamento dividido)
+ * @param {Object} order - Pedido
+ * @returns {number} Valor em reais (0 se o pedido não tem parte em Pix)
+ */
+export function getOrderPixAmount(order) {
+    return getOrderPayments(order)
+        .filter((part) => String(part.method || '').toLowerCase() === 'pix')
+        .reduce((sum, part) => sum + part.amount, 0);
+}
+
+/**
+ * Gerar o Pix copia e cola de um pedido
+ * @param {Object} params
+ * @param {number|string} params.orderId - ID do pedido (vira o txid)
+ * @param {number} params.amount - Valor a pagar
+ * @param {string} [params.confirmationCode] - Código exibido ao pagador na descrição
+ * @returns {Promise<string|null>} Payload ou null se a loja não configurou o Pix
+ */
+export async function getPixPayloadForOrder({ orderId, amount, confirmationCode }) {
+    const pix = await getPixSettings();
+    if (!pix || !(amount > 0)) return null;
+
+    try {
+        return buildPixPayload({
+            ...pix,
+            amount,
+            txid: buildPixTxid(orderId),
+            description: confirmationCode ? `Pedido ${confirmationCode}` : '',
+        });
+    } catch (error) {
+        // Chave ou recebedor inválidos na configuração: não exibir um código que o banco recusaria
+        if (typeof process !== 'undefined' && process.env?.NODE_ENV === 'development') {
+            console.warn('Pix não configurado corretamente:', error.message);
+        }
+        return null;
+    }
+}
+
+/**
+ * Gerar a imagem do QR code
+ * @param {string} payload - Pix copia e cola
+ * @returns {string|null} Data URL da imagem ou null se a biblioteca não carregou
+ */
+function createQrImage(payload) {
+    if (typeof window.qrcode !== 'function') return null;
+    try {
+        const qr = window.qrcode(0, 'M');
+        qr.addData(payload);
+        qr.make();
+        return qr.createDataURL(QR_CELL_SIZE, QR_MARGIN);
+    } catch (error) {
+        return null;
+    }
+}
+
+async function copyToClipboard(text, textarea) {
+    if (navigator.clipboard?.writeText) {
+        await navigator.clipboard.writeText(text);
+        return;
+    }
+    // Fallback para navegadores sem Clipboard API (ou página fora de HTTPS)
+    textarea.select();
+    document.execCommand('copy');
+}
+
+/**
+ * Renderizar QR code + copia e cola no container
+ * @param {HTMLElement} container - Elemento que recebe o bloco
+ * @param {Object} params
+ * @param {string} params.payload - Pix copia e cola
+ * @param {number} params.amount - Valor exibido
+ */
+export function renderPixPayment(container, { payload, amount }) {
+    if (!container) return;
+
+    const qrImage = createQrImage(payload);
+    const formattedAmount = new Intl.NumberFormat('pt-BR', {
+        style: 'currency',
+        currency: 'BRL'
+    }).format(amount || 0);
+
+    container.innerHTML = `
+        <div class="pix-pagamento-cabecalho">
+            <i class="fa-brands fa-pix" aria-hidden="true"></i>
+            <div>
+                <p class="pix-pagamento-titulo">Pague com Pix</p>
+                <p class="pix-pagamento-valor">${escapeHTML(formattedAmount)}</p>
+            </div>
+        </div>
+        ${qrImage ? `<img class="pix-pagamento-qr" src="${qrImage}" alt="QR code Pix do pedido">` : ''}
+        <p class="pix-pagamento-instrucao">
+            ${qrImage ? 'Escaneie o QR code no app do seu banco ou use o código abaixo.' : 'Copie o código abaixo e cole no app do seu banco.'}
+        </p>
+        <textarea class="pix-pagamento-codigo" readonly rows="3" aria-label="Pix copia e cola">${escapeHTML(payload)}</textarea>
+        <button type="button" class="pix-pagamento-copiar">
+            <i class="fa-regular fa-copy" aria-hidden="true"></i> Copiar código Pix
+        </button>
+    `;
+
+    const textarea = container.querySelector('.pix-pagamento-codigo');
+    const btnCopy = container.querySelector('.pix-pagamento-copiar');
+    btnCopy.addEventListener('click', async () => {
+        try {
+            await copyToClipboard(payload, textarea);
+            // Confirmação no próprio botão: um modal de sucesso atrapalharia a troca para o app do banco
+            btnCopy.classList.add('copiado');
+            btnCopy.innerHTML = '<i class="fa-solid fa-check" aria-hidden="true"></i> Código copiado';
+            setTimeout(() => {
+                btnCopy.classList.remove('copiado');
+                btnCopy.innerHTML = '<i class="fa-regular fa-copy" aria-hidden="true"></i> Copiar código Pix';
+            }, 2500);
+        } catch (error) {
+            textarea.select();
+            showToast('Não foi possível copiar. Selecione o código e copie manualmente.', { type: 'error' });
+        }
+    });
+
+    container.style.display = '';
+}
@@ -13,6 +13,8 @@ import { escapeHTML } from '../utils/html-sanitizer.js';
 
 // ALTERAÇÃO: Importar sistema de modais
 import { abrirModal, fecharModal } from './modais.js';
+import { tokenStorage } from '../utils/token-storage.js';
+import { orderQueue, ORDER_QUEUE_EVENTS } from '../utils/order-queue.js';
 
 // Chaves usadas na aplicação
 const RB_STORAGE_KEYS = {
@@ -34,8 +36,7 @@ const VALIDATION_LIMITS = {
 // Não confie apenas nesta validação para decisões de segurança críticas.
 function isUserLoggedIn() {
   try {
-    // Verifica tokens possíveis (compatibilidade): rb.token e authToken
-    const token = localStorage.getItem(RB_STORAGE_KEYS.token) || localStorage.getItem('authToken');
+    const token = tokenStorage.getAccessToken();
     
     // Validar formato básico do token (JWT tem 3 partes separadas por ponto)
     if (!token || typeof token !== 'string') return false;
@@ -193,7 +194,7 @@ window.debugProfile = function(profile) {
 };
 
 function getStoredToken() {
-  return localStorage.getItem(RB_STORAGE_KEYS.token) || localStorage.getItem('authToken') || '';
+  return tokenStorage.getAccessToken();
 }
 
 async function hydrateUserFromMe() {
@@ -337,6 +338,10 @@ window.addEventListener('storage', function (e) {
   }
 });
 
+// Tokens em memória/sessionStorage não disparam 'storage': ouvir o tokenStorage
+// (inclui login/logout feitos em outras abas via broadcast)
+tokenStorage.subscribe(() => updateHeaderState());
+
 // Exporta a função para ser usada por outros scripts
 window.updateHeaderState = updateHeaderState;
 
@@ -832,6 +837,36 @@ function initEndereco() {
   }
 }
 
+// ============================================================================
+// FILA DE PEDIDOS OFFLINE
+// ============================================================================
+
+/**
+ * Envia os pedidos que ficaram na fila assim que a conexão voltar, em qualquer página da loja
+ * O checkout (pagamento.js) inicializa a fila e exibe o resultado na própria página
+ */
+function initFilaPedidos() {
+  if (document.getElementById('btn-confirmar-pedido')) return;
+
+  window.addEventListener(ORDER_QUEUE_EVENTS.SUBMITTED, async (event) => {
+    const data = event.detail?.result?.data || {};
+    const codigo = data.confirmation_code ? ` Código: ${data.confirmation_code}.` : '';
+    showSuccess(`Seu pedido pendente foi enviado!${codigo} Acompanhe em Meus pedidos.`);
+
+    // A API limpa o carrinho ao criar o pedido
+    if (typeof window.atualizarCesta === 'function') {
+      await window.atualizarCesta();
+    }
+  });
+
+  window.addEventListener(ORDER_QUEUE_EVENTS.FAILED, (event) => {
+    const erro = event.detail?.result?.error;
+    showError(`Não foi possível enviar seu pedido pendente${erro ? `: ${erro}` : ''}. Revise a cesta e finalize novamente.`);
+  });
+
+  orderQueue.init();
+}
+
 // ============================================================================
 // INICIALIZAÇÃO E FUNÇÕES GLOBAIS
 // ============================================================================
@@ -842,6 +877,7 @@ function initEndereco() {
 function initHeaderSystems() {
   initPontos();
   initEndereco();
+  initFilaPedidos();
 }
 
 /**
@@ -7,8 +7,10 @@ import { cacheManager } from "../utils/cache-manager.js";
 import { getProducts, simulateProductCapacity } from "../api/products.js";
 import { getCategories } from "../api/categories.js";
 import { getPromotions, getPromotionByProductId } from "../api/promotions.js";
-import { apiRequest } from "../api/api.js";
+import { cachedApiRequest, getStoredToken, getStoredUser } from "../api/api.js";
 import { API_BASE_URL } from "../api/api.js";
+import { getFavorites, deleteFavorite } from "../api/favorites.js";
+import { showToast, showConfirm } from "./alerts.js";
 import { delegate } from "../utils/performance-utils.js";
 import { $q, $qa } from "../utils/dom-cache.js";
 import {
@@ -18,10 +20,23 @@ import {
 import { escapeHTML, escapeAttribute } from "../utils/html-sanitizer.js";
 import { getEstimatedDeliveryTimes } from "../utils/settings-helper.js";
 import { calculatePriceWithPromotion, formatPrice, isPromotionActive } from "../utils/price-utils.js";
+import { renderRatingBadge } from "../utils/rating-utils.js";
+import { reorderItems, summarizeReorder } from "../utils/reorder-utils.js";
+import { isStoreOpen, getStoreHours, getStoreHourExceptions } from "../api/store.js";
+import {
+  toDateKey,
+  fromDateKey,
+  getNextOpening,
+  formatShifts,
+} from "../utils/store-hours-utils.js";
+import { formatScheduleDay } from "../utils/schedule-utils.js";
 
 // NOVO: TTL reduzido para refletir mudanças de estoque mais rapidamente
 // Cache curto (60 segundos) para garantir que produtos indisponíveis sejam atualizados rapidamente
 const CACHE_TTL = 60 * 1000; // 60 segundos (reduzido de 5 minutos)
+// Cardápio fica também no IndexedDB (cacheManager): ao voltar para a home dentro do TTL
+// não há nova requisição, e após o TTL a revalidação usa ETag quando o backend envia.
+// Eventos de produto/estoque/promoção no socket invalidam as tags abaixo.
 
 // ALTERAÇÃO: Período em dias para considerar produtos como novidades (padrão: 30 dias)
 // Produtos criados nos últimos N dias serão exibidos na seção de novidades
@@ -39,6 +54,10 @@ const CACHE_KEYS = {
 // Cache para prazos de entrega
 let estimatedTimesCache = null;
 
+// Avisos de funcionamento: quantos dias à frente anunciar datas especiais
+const STORE_NOTICE_DAYS_AHEAD = 7;
+const MAX_STORE_NOTICES = 3;
+
 // Constantes para validação e limites
 const VALIDATION_LIMITS = {
   MAX_PRODUCTS: 1000,
@@ -66,45 +85,48 @@ function clearProductsCache() {
  */
 async function loadProducts() {
   try {
-    const cached = cacheManager.get(CACHE_KEYS.products);
-    if (cached) {
-      return cached;
-    }
-
-    const response = await getProducts({
-      page_size: VALIDATION_LIMITS.MAX_PRODUCTS,
-      include_inactive: false,
-      filter_unavailable: true,
-    });
-
-    // ALTERAÇÃO: A API retorna {success: true, data: {items: [...]}}
-    // Precisamos acessar response.data.items, não response.items
-    const allProducts = response?.data?.items || response?.items || [];
-    
-    // CORREÇÃO: Backend já filtra produtos indisponíveis com filter_unavailable=true
-    // Simplificar: apenas verificar se o produto está ativo
-    // A validação de estoque acontece no momento de adicionar/atualizar na cesta
-    const availableProducts = allProducts.filter((product) => {
-      // Verificar se o produto está ativo
-      const isActive =
-        product.is_active !== false &&
-        product.is_active !== 0 &&
-        product.is_active !== "false";
-      
-      return isActive;
+    return await cacheManager.getOrFetch(CACHE_KEYS.products, fetchAvailableProducts, {
+      ttl: CACHE_TTL,
+      tags: ["products"],
     });
-
-    cacheManager.set(CACHE_KEYS.products, availableProducts, CACHE_TTL);
-
-    return availableProducts;
   } catch (error) {
     // ALTERAÇÃO: Logging condicional apenas em modo debug
     if (typeof window !== 'undefined' && window.DEBUG_MODE) {
       console.error('[HOME] Erro ao carregar produtos:', error.message);
     }
-    const cached = cacheManager.get(CACHE_KEYS.products);
-    return cached || [];
+    // Sem rede e sem versão em cache (getOrFetch já devolve a última versão quando existe)
+    return [];
+  }
+}
+
+async function fetchAvailableProducts() {
+  const response = await getProducts({
+    page_size: VALIDATION_LIMITS.MAX_PRODUCTS,
+    include_inactive: false,
+    filter_unavailable: true,
+  });
+  if (!response?.success) {
+    throw new Error(response?.error || "Erro ao buscar produtos");
   }
+
+  // ALTERAÇÃO: A API retorna {success: true, data: {items: [...]}}
+  // Precisamos acessar response.data.items, não response.items
+  const allProducts = response?.data?.items || response?.items || [];
+  
+  // CORREÇÃO: Backend já filtra produtos indisponíveis com filter_unavailable=true
+  // Simplificar: apenas verificar se o produto está ativo
+  // A validação de estoque acontece no momento de adicionar/atualizar na cesta
+  const availableProducts = allProducts.filter((product) => {
+    // Verificar se o produto está ativo
+    const isActive =
+      product.is_active !== false &&
+      product.is_active !== 0 &&
+      product.is_active !== "false";
+    
+    return isActive;
+  });
+
+  return availableProducts;
 }
 
 /**
@@ -112,28 +134,24 @@ async function loadProducts() {
  */
 async function loadCategories() {
   try {
-    const cached = cacheManager.get(CACHE_KEYS.categories);
-    if (cached) {
-      return cached;
-    }
-
-    const response = await getCategories({
-      page_size: VALIDATION_LIMITS.MAX_CATEGORIES,
-    });
-    const categories = response?.items || [];
-
-    cacheManager.set(CACHE_KEYS.categories, categories, CACHE_TTL);
-
-    return categories;
+    return await cacheManager.getOrFetch(
+      CACHE_KEYS.categories,
+      async () => {
+        const response = await getCategories({
+          page_size: VALIDATION_LIMITS.MAX_CATEGORIES,
+        });
+        return response?.items || [];
+      },
+      { ttl: CACHE_TTL, tags: ["categories"] }
+    );
   } catch (error) {
     // ALTERAÇÃO: Logging condicional apenas em modo debug
     if (typeof window !== 'undefined' && window.DEBUG_MODE) {
       console.error("Erro ao carregar categorias:", error.message);
     }
 
-    // Retornar cache anterior se disponível, senão array vazio
-    const cached = cacheManager.get(CACHE_KEYS.categories);
-    return cached || [];
+    // getOrFetch já devolve a versão anterior quando existe
+    return [];
   }
 }
 
@@ -335,6 +353,9 @@ function createProductHTML(product, promotion = null, isHorizontal = false) {
     stockBadgeInInfo = stockBadge;
   }
 
+  // Média das avaliações (vazio quando o produto ainda não foi avaliado)
+  const ratingBadge = renderRatingBadge(product);
+
   // ALTERAÇÃO: Adicionar aria-label para acessibilidade
   const ariaLabel = `Ver detalhes do produto ${safeName}`;
   
@@ -350,7 +371,7 @@ function createProductHTML(product, promotion = null, isHorizontal = false) {
                     </div>
                     <div>
                         <p id="preco">${originalPriceDisplay}${priceDisplay}</p>
-                        <p id="tempo">${prepTime} • ${deliveryFee}</p>
+                        <p id="tempo">${ratingBadge ? `${ratingBadge} • ` : ""}${prepTime} • ${deliveryFee}</p>
                     </div>
                 </div>
             </div>
@@ -480,26 +501,19 @@ async function filterProductsWithStock(products) {
  */
 async function loadMostOrderedProducts() {
   try {
-    const cached = cacheManager.get(CACHE_KEYS.mostOrdered);
-    if (cached) {
-      return cached;
-    }
-
-    const response = await apiRequest('/api/products/most-ordered?page_size=10', {
-      method: 'GET'
+    const response = await cachedApiRequest('/api/products/most-ordered?page_size=10', {
+      cacheKey: CACHE_KEYS.mostOrdered,
+      ttl: CACHE_TTL,
+      tags: ['products'],
     });
-
-    const products = response?.items || [];
-    cacheManager.set(CACHE_KEYS.mostOrdered, products, CACHE_TTL);
-    return products;
+    return response?.items || [];
   } catch (error) {
     // ALTERAÇÃO: Logging condicional apenas em modo debug
     if (typeof window !== 'undefined' && window.DEBUG_MODE) {
       console.error('[HOME] Erro ao carregar mais pedidos:', error);
     }
     // Retornar array vazio para não quebrar a UI
-    const cached = cacheManager.get(CACHE_KEYS.mostOrdered);
-    return cached || [];
+    return [];
   }
 }
 
@@ -513,33 +527,26 @@ async function loadRecentlyAddedProducts() {
     // ALTERAÇÃO: Cache específico por período para evitar produtos expirados do cache
     // Incluir days no cache key para invalidar quando período mudar
     const cacheKey = `${CACHE_KEYS.recentlyAdded}_${RECENTLY_ADDED_DAYS}`;
-    const cached = cacheManager.get(cacheKey);
-    if (cached) {
-      return cached;
-    }
 
     // ALTERAÇÃO: Passa parâmetro days para API filtrar produtos criados no período
     // API agora retorna apenas produtos criados nos últimos N dias (padrão: 30 dias)
-    const response = await apiRequest(
+    const response = await cachedApiRequest(
       `/api/products/recently-added?page_size=10&days=${RECENTLY_ADDED_DAYS}`,
       {
-        method: 'GET'
+        cacheKey,
+        ttl: CACHE_TTL,
+        tags: ['products'],
       }
     );
 
-    const products = response?.items || [];
-    // ALTERAÇÃO: Usar cache key específico por período
-    cacheManager.set(cacheKey, products, CACHE_TTL);
-    return products;
+    return response?.items || [];
   } catch (error) {
     // ALTERAÇÃO: Logging condicional apenas em modo debug
     if (typeof window !== 'undefined' && window.DEBUG_MODE) {
       console.error('[HOME] Erro ao carregar novidades:', error);
     }
     // Retornar array vazio para não quebrar a UI
-    const cacheKey = `${CACHE_KEYS.recentlyAdded}_${RECENTLY_ADDED_DAYS}`;
-    const cached = cacheManager.get(cacheKey);
-    return cached || [];
+    return [];
   }
 }
 
@@ -549,25 +556,25 @@ async function loadRecentlyAddedProducts() {
  */
 async function loadActivePromotions() {
   try {
-    const cached = cacheManager.get(CACHE_KEYS.promotions);
-    if (cached) {
-      return cached;
-    }
-
-    const response = await getPromotions({ include_expired: false });
-    // ALTERAÇÃO: getPromotions retorna { success, data }, onde data pode ter items ou ser o array direto
-    const promotions = response?.data?.items || response?.data || response?.items || [];
-    
-    cacheManager.set(CACHE_KEYS.promotions, promotions, CACHE_TTL);
-    return promotions;
+    return await cacheManager.getOrFetch(
+      CACHE_KEYS.promotions,
+      async () => {
+        const response = await getPromotions({ include_expired: false });
+        if (!response?.success) {
+          throw new Error(response?.error || 'Erro ao buscar promoções');
+        }
+        // ALTERAÇÃO: getPromotions retorna { success, data }, onde data pode ter items ou ser o array direto
+        return response?.data?.items || response?.data || response?.items || [];
+      },
+      { ttl: CACHE_TTL, tags: ['promotions'] }
+    );
   } catch (error) {
     // ALTERAÇÃO: Logging condicional apenas em modo debug
     if (typeof window !== 'undefined' && window.DEBUG_MODE) {
       console.error('[HOME] Erro ao carregar promoções:', error);
     }
     // Retornar array vazio para não quebrar a UI
-    const cached = cacheManager.get(CACHE_KEYS.promotions);
-    return cached || [];
+    return [];
   }
 }
 
@@ -925,7 +932,7 @@ function renderCategoryProducts(sectionDiv, categoryProducts) {
  * @param {Map<number, Object>} promotionsMap - Mapa de promoções por product_id (opcional)
  */
 async function updateMostOrderedSection(products, promotionsMap = null) {
-  const containers = $qa(".mostruario-horizontal .container");
+  const containers = $qa(".mostruario-horizontal .container:not(.favoritos)");
   const targetContainer = containers[0]; // Primeiro container é "Os mais pedidos"
   
   if (!targetContainer) return;
@@ -968,7 +975,7 @@ async function updateMostOrderedSection(products, promotionsMap = null) {
  * ALTERAÇÃO: Exibe produtos com promoção e calcula desconto, validando estoque disponível
  */
 async function updatePromotionsSection(promotions) {
-  const containers = $qa(".mostruario-horizontal .container");
+  const containers = $qa(".mostruario-horizontal .container:not(.favoritos)");
   const targetContainer = containers[1]; // Segundo container é "Promoções especiais"
   
   if (!targetContainer) return;
@@ -1085,7 +1092,7 @@ async function updatePromotionsSection(promotions) {
  * @param {Map<number, Object>} promotionsMap - Mapa de promoções por product_id (opcional)
  */
 async function updateRecentlyAddedSection(products, promotionsMap = null) {
-  const containers = $qa(".mostruario-horizontal .container");
+  const containers = $qa(".mostruario-horizontal .container:not(.favoritos)");
   const targetContainer = containers[2]; // Terceiro container é "Novidades"
   
   if (!targetContainer) return;
@@ -1123,6 +1130,155 @@ async function updateRecentlyAddedSection(products, promotionsMap = null) {
     .join("");
 }
 
+// Favoritos exibidos na home (por id), usados pelos botões dos cards
+const favoritesById = new Map();
+
+/**
+ * Resumo da montagem salva: extras, ingredientes retirados/dobrados e observação
+ * @param {Object} favorite - Favorito retornado pela API
+ * @returns {string} Texto já sanitizado
+ */
+function describeFavorite(favorite) {
+  const parts = [];
+  (favorite.extras || []).forEach((extra) => {
+    if (extra.name) parts.push(`+ ${extra.quantity > 1 ? `${extra.quantity}x ` : ""}${extra.name}`);
+  });
+  (favorite.base_modifications || []).forEach((bm) => {
+    if (!bm.name) return;
+    parts.push(bm.delta < 0 ? `sem ${bm.name}` : `+ ${bm.delta}x ${bm.name}`);
+  });
+  if (favorite.notes) parts.push(`"${favorite.notes}"`);
+  return escapeHTML(parts.join(" • ") || "Do jeito da casa");
+}
+
+function createFavoriteHTML(favorite) {
+  const safeId = String(favorite.id).replace(/[^0-9]/g, "");
+  const safeProductId = String(favorite.product_id).replace(/[^0-9]/g, "");
+  const name = favorite.name || favorite.product_name || "Favorito";
+  const imageUrl = buildImageUrl(
+    favorite.product_image_url || favorite.image_url,
+    favorite.product_image_hash || favorite.image_hash
+  );
+  const quantity = parseInt(favorite.quantity, 10) || 1;
+
+  return `
+        <div class="ficha-favorito" data-favorite-id="${safeId}">
+            <a href="src/pages/produto.html?id=${safeProductId}" aria-label="${escapeAttribute(`Ver produto ${name}`)}">
+                <img src="${imageUrl}" alt="${escapeAttribute(name)}" class="foto-favorito">
+            </a>
+            <div class="informa">
+                <p class="nome">${quantity > 1 ? `${quantity}x ` : ""}${escapeHTML(name)}</p>
+                <p class="detalhes">${describeFavorite(favorite)}</p>
+            </div>
+            <div class="acoes">
+                <button type="button" class="btn-favorito-adicionar">
+                    <i class="fa-solid fa-basket-shopping" aria-hidden="true"></i> Adicionar
+                </button>
+                <button type="button" class="btn-favorito-remover" aria-label="${escapeAttribute(`Remover ${name} dos favoritos`)}" title="Remover dos favoritos">
+                    <i class="fa-solid fa-trash" aria-hidden="true"></i>
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Atualiza a seção "Seus favoritos" (somente clientes logados com favoritos salvos)
+ */
+async function updateFavoritesSection() {
+  const targetContainer = $q(".mostruario-horizontal .container.favoritos");
+  if (!targetContainer) return;
+
+  const rolagem = targetContainer.querySelector(".rolagem");
+  if (!rolagem) return;
+
+  if (!getStoredUser() || !getStoredToken()) {
+    targetContainer.style.display = "none";
+    return;
+  }
+
+  const result = await getFavorites();
+  const favorites = result.success ? result.data : [];
+
+  favoritesById.clear();
+  favorites.forEach((favorite) => favoritesById.set(String(favorite.id), favorite));
+
+  if (favorites.length === 0) {
+    targetContainer.style.display = "none";
+    return;
+  }
+
+  targetContainer.style.display = "block";
+  rolagem.innerHTML = favorites.map(createFavoriteHTML).join("");
+}
+
+/**
+ * Adiciona o favorito à cesta conferindo estoque e preço atuais
+ */
+async function addFavoriteToCart(favorite, button) {
+  button.disabled = true;
+  try {
+    const result = await reorderItems([favorite]);
+    const summary = summarizeReorder(result);
+    showToast(summary.message, {
+      type: summary.type,
+      title: summary.title,
+      autoClose: result.skipped.length > 0 ? 6000 : 3000,
+    });
+
+    if (result.added.length > 0) {
+      if (typeof window.atualizarCesta === "function") {
+        await window.atualizarCesta();
+      }
+      if (typeof window.abrirModal === "function") {
+        window.abrirModal("modal-cesta");
+      }
+    }
+  } finally {
+    button.disabled = false;
+  }
+}
+
+async function removeFavorite(favorite) {
+  const confirmed = await showConfirm({
+    title: "Remover favorito",
+    message: `Remover "${favorite.name || favorite.product_name || "Favorito"}" dos favoritos?`,
+    confirmText: "Remover",
+    cancelText: "Cancelar",
+  });
+  if (!confirmed) return;
+
+  try {
+    await deleteFavorite(favorite.id);
+    await updateFavoritesSection();
+  } catch (error) {
+    showToast(error.message || "Não foi possível remover o favorito.", {
+      type: "error",
+      title: "Erro",
+    });
+  }
+}
+
+/**
+ * Delegação dos botões dos cards de favoritos (adicionar/remover)
+ */
+function addFavoritesListeners() {
+  const rolagem = $q(".mostruario-horizontal .container.favoritos .rolagem");
+  if (!rolagem) return;
+
+  delegate(rolagem, "click", "button", (e, button) => {
+    const card = button.closest(".ficha-favorito");
+    const favorite = card ? favoritesById.get(card.dataset.favoriteId) : null;
+    if (!favorite) return;
+
+    if (button.classList.contains("btn-favorito-adicionar")) {
+      addFavoriteToCart(favorite, button);
+    } else if (button.classList.contains("btn-favorito-remover")) {
+      removeFavorite(favorite);
+    }
+  });
+}
+
 // ALTERAÇÃO: Armazenar intervalos ativos para cleanup adequado (prevenir memory leak)
 const activeCountdownIntervals = new Map();
 
@@ -1287,6 +1443,80 @@ function addCategoryListeners() {
   );
 }
 
+/**
+ * Exibe avisos de funcionamento no topo da home
+ * Loja fechada agora (com a próxima abertura) e datas especiais dos próximos dias
+ * (feriado fechado, horário estendido ou turnos divididos)
+ */
+async function updateStoreHoursNotice() {
+  const notice = $q("#aviso-funcionamento");
+  if (!notice) return;
+
+  try {
+    const now = new Date();
+    const yesterday = new Date(now);
+    yesterday.setDate(yesterday.getDate() - 1);
+    const lastDay = new Date(now);
+    lastDay.setDate(lastDay.getDate() + STORE_NOTICE_DAYS_AHEAD);
+
+    const [status, hours, exceptions] = await Promise.all([
+      isStoreOpen(),
+      getStoreHours(),
+      getStoreHourExceptions({ from: toDateKey(yesterday), to: toDateKey(lastDay) }),
+    ]);
+    const storeHours = hours.success ? hours.data : [];
+    const exceptionList = exceptions.success ? exceptions.data : [];
+    const formatTime = (date) =>
+      date.toLocaleTimeString("pt-BR", { hour: "2-digit", minute: "2-digit" });
+    const messages = [];
+
+    const isClosed = status.success && !status.isOpen;
+    if (isClosed) {
+      const reason = status.exception?.description ? ` (${status.exception.description})` : "";
+      const nextOpening = getNextOpening(storeHours, exceptionList, now, STORE_NOTICE_DAYS_AHEAD);
+      messages.push(
+        nextOpening
+          ? `Estamos fechados agora${reason}. Abrimos ${formatScheduleDay(nextOpening, now).toLowerCase()} às ${formatTime(nextOpening)}.`
+          : `Estamos fechados agora${reason}.`
+      );
+    }
+
+    // Com a loja fechada, a data de hoje já está refletida no aviso acima
+    const todayKey = toDateKey(now);
+    exceptionList
+      .map((exception) => ({ ...exception, date: String(exception.date || "").slice(0, 10) }))
+      .filter((exception) => exception.date > todayKey || (!isClosed && exception.date === todayKey))
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .slice(0, MAX_STORE_NOTICES)
+      .forEach((exception) => {
+        const day = formatScheduleDay(fromDateKey(exception.date), now);
+        const reason = exception.description ? ` (${exception.description})` : "";
+        messages.push(
+          exception.is_closed
+            ? `${day}${reason}: fechado.`
+            : `${day}${reason}: horário especial, ${formatShifts(exception.shifts)}.`
+        );
+      });
+
+    if (messages.length === 0) {
+      notice.style.display = "none";
+      return;
+    }
+
+    notice.innerHTML = `
+      <i class="fa-solid fa-clock" aria-hidden="true"></i>
+      <div>${messages.map((message) => `<p>${escapeHTML(message)}</p>`).join("")}</div>
+    `;
+    notice.classList.toggle("fechado", isClosed);
+    notice.style.display = "flex";
+  } catch (error) {
+    // ALTERAÇÃO: Logging condicional apenas em modo debug
+    if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+      console.error("Erro ao carregar avisos de funcionamento:", error.message);
+    }
+  }
+}
+
 /**
  * Força a atualização da home (limpa cache e recarrega)
  */
@@ -1315,6 +1545,11 @@ async function initHome() {
       await new Promise((resolve) => setTimeout(resolve, 1000));
     }
 
+    // Avisos de funcionamento e favoritos carregam em paralelo aos produtos
+    updateStoreHoursNotice();
+    addFavoritesListeners();
+    updateFavoritesSection();
+
     // Atualizar seções de produtos
     await updateProductSections();
 
@@ -0,0 +1,515 @@
+// src/js/ui/kds.js
+// Tela da cozinha (Kitchen Display System)
+//
+// Mostra os pedidos ativos em colunas por status (novos → em preparo → prontos),
+// atualizadas em tempo real pelos eventos order.created / order.status_changed do
+// realtimeHub (Socket.IO ou SSE, com recuperação dos eventos perdidos na reconexão).
+// Um toque no ticket avança o pedido para a próxima etapa. Também libera para a fila os
+// pedidos agendados cujo horário chegou (utils/scheduled-release.js), para que a cozinha
+// os receba mesmo sem o painel de pedidos aberto.
+
+import {
+  getAllOrders,
+  getOrderDetails,
+  updateOrderStatus,
+  formatOrderStatus,
+} from "../api/orders.js";
+import { getStoredUser, getStoredToken } from "../api/api.js";
+import { realtimeHub, REALTIME_EVENTS } from "../utils/realtime-hub.js";
+import { showError } from "./alerts.js";
+import { escapeHTML } from "../utils/html-sanitizer.js";
+import {
+  normalizePaginationResponse,
+  getItemsFromResponse,
+} from "../utils/pagination-utils.js";
+import {
+  renderItemExtrasHTML,
+  renderItemBaseModificationsHTML,
+} from "../utils/order-item-renderer.js";
+import {
+  calculatePreparationTime,
+  isPickupOrder,
+} from "../utils/order-flow-utils.js";
+import { ORDER_EVENT_SOURCES } from "../utils/order-timeline-utils.js";
+import {
+  SCHEDULE_CHECK_INTERVAL,
+  releaseDueScheduledOrders,
+} from "../utils/scheduled-release.js";
+
+// Colunas exibidas na cozinha, na ordem do fluxo
+const KDS_COLUMNS = [
+  { status: "pending", title: "Novos", icon: "fa-bell" },
+  { status: "preparing", title: "Em preparo", icon: "fa-fire-burner" },
+  { status: "ready", title: "Prontos", icon: "fa-check" },
+];
+
+// Cargos com acesso à tela da cozinha
+const ALLOWED_ROLES = [
+  "admin",
+  "administrador",
+  "gerente",
+  "manager",
+  "cozinheiro",
+  "chef",
+  "atendente",
+  "attendant",
+];
+
+const TIMER_REFRESH_MS = 15000; // Atualiza os cronômetros dos tickets
+const RESYNC_INTERVAL_MS = 120000; // Ressincroniza com a API caso algum evento se perca
+const MAX_CONCURRENT_DETAILS = 4;
+const WARNING_THRESHOLD = 0.7; // 70% do tempo de preparo: ticket amarelo
+
+(function initKds() {
+  if (!window.location.pathname.includes("kds.html")) return;
+
+  const state = {
+    orders: new Map(), // Map<orderId, order>
+    bumping: new Set(), // Pedidos com atualização de status em andamento
+    timerInterval: null,
+    resyncInterval: null,
+    scheduleInterval: null,
+  };
+
+  let el = {};
+
+  function initElements() {
+    el = {
+      board: document.getElementById("kds-board"),
+      clock: document.getElementById("kds-clock"),
+      connection: document.getElementById("kds-connection"),
+      btnFullscreen: document.getElementById("kds-fullscreen"),
+    };
+  }
+
+  // ====== ACESSO ======
+
+  function hasKitchenAccess() {
+    const token = getStoredToken();
+    const user = getStoredUser();
+    if (!token || !user) return false;
+
+    const role = String(
+      user.role || user.profile || user.type || user.user_type || ""
+    ).toLowerCase();
+    return ALLOWED_ROLES.includes(role);
+  }
+
+  // ====== STATUS E TEMPO ======
+
+  /**
+   * Coluna do KDS correspondente ao status do pedido
+   * @param {string} status - Status do pedido
+   * @returns {string|null} Status da coluna ou null se o pedido não fica na cozinha
+   */
+  function getColumnStatus(status) {
+    if (status === "in_progress") return "ready"; // Fallback do backend para 'ready'
+    return KDS_COLUMNS.some((col) => col.status === status) ? status : null;
+  }
+
+  /**
+   * Próximo status ao tocar no ticket
+   * Na cozinha todo pedido passa por "pronto"; depois sai para entrega ou é concluído no balcão.
+   * @param {Object} order - Pedido
+   * @returns {string} Próximo status
+   */
+  function getKdsNextStatus(order) {
+    const column = getColumnStatus(order.status);
+    if (column === "pending") return "preparing";
+    if (column === "preparing") return "ready";
+    return isPickupOrder(order) ? "completed" : "on_the_way";
+  }
+
+  function getBumpLabel(order) {
+    const next = getKdsNextStatus(order);
+    const labels = {
+      preparing: "Iniciar preparo",
+      ready: "Marcar como pronto",
+      completed: "Entregar no balcão",
+      on_the_way: "Saiu para entrega",
+    };
+    return labels[next] || formatOrderStatus(next);
+  }
+
+  /**
+   * Tempo decorrido desde a criação comparado ao tempo de preparo esperado
+   * @param {Object} order - Pedido
+   * @returns {{elapsed: number, limit: number, level: string}}
+   */
+  function getTicketTiming(order) {
+    const limit = calculatePreparationTime(order);
+    const createdAt = new Date(order.created_at);
+    const diffMs = Date.now() - createdAt.getTime();
+    const elapsed =
+      Number.isFinite(diffMs) && diffMs > 0 ? Math.floor(diffMs / 60000) : 0;
+
+    // Tickets prontos não atrasam mais a cozinha
+    if (getColumnStatus(order.status) === "ready") {
+      return { elapsed, limit, level: "done" };
+    }
+
+    let level = "ok";
+    if (elapsed > limit) {
+      level = "late";
+    } else if (elapsed > Math.floor(limit * WARNING_THRESHOLD)) {
+      level = "warning";
+    }
+    return { elapsed, limit, level };
+  }
+
+  // ====== RENDERIZAÇÃO ======
+
+  function renderItem(item) {
+    const quantity = parseInt(item.quantity, 10) || 1;
+    const name = item.product_name || item.product?.name || "Produto";
+    const extras = item.extras || item.additional_items || [];
+    const baseMods = item.base_modifications || [];
+    const notes = item.notes || item.observacao || item.observation || "";
+
+    return `
+      <li class="kds-item">
+        <p class="kds-item-title">
+          <span class="kds-item-qty">${quantity}x</span>
+          <span>${escapeHTML(name)}</span>
+        </p>
+        ${renderItemExtrasHTML(extras)}
+        ${renderItemBaseModificationsHTML(baseMods)}
+        ${notes ? `<p class="kds-item-notes"><i class="fa-solid fa-comment"></i> ${escapeHTML(notes)}</p>` : ""}
+      </li>
+    `;
+  }
+
+  function renderTicket(order) {
+    const orderId = order.id || order.order_id;
+    const timing = getTicketTiming(order);
+    const isPickup = isPickupOrder(order);
+    const items = Array.isArray(order.items) ? order.items : [];
+    const bumping = state.bumping.has(orderId);
+    const bumpLabel = getBumpLabel(order);
+    const code = order.confirmation_code ? ` · ${escapeHTML(order.confirmation_code)}` : "";
+
+    return `
+      <article class="kds-ticket kds-${timing.level}${bumping ? " is-bumping" : ""}"
+               data-order-id="${escapeHTML(orderId)}"
+               role="button" tabindex="0"
+               aria-label="Pedido ${escapeHTML(orderId)}: ${escapeHTML(bumpLabel)}">
+        <header class="kds-ticket-header">
+          <span class="kds-ticket-id">#${escapeHTML(orderId)}${code}</span>
+          <span class="kds-ticket-channel">
+            <i class="fa-solid ${isPickup ? "fa-store" : "fa-motorcycle"}"></i>
+            ${isPickup ? "Retirada" : "Entrega"}
+          </span>
+          <span class="kds-ticket-timer">${timing.elapsed}min / ${timing.limit}min</span>
+        </header>
+        <ul class="kds-ticket-items">
+          ${items.length > 0 ? items.map(renderItem).join("") : '<li class="kds-item kds-item-loading">Carregando itens...</li>'}
+        </ul>
+        ${order.notes ? `<p class="kds-ticket-notes"><i class="fa-solid fa-triangle-exclamation"></i> ${escapeHTML(order.notes)}</p>` : ""}
+        <footer class="kds-ticket-footer">
+          ${bumping ? '<i class="fa-solid fa-spinner fa-spin"></i> Atualizando...' : `<i class="fa-solid fa-hand-pointer"></i> ${escapeHTML(bumpLabel)}`}
+        </footer>
+      </article>
+    `;
+  }
+
+  function renderBoard() {
+    if (!el.board) return;
+
+    const byColumn = new Map(KDS_COLUMNS.map((col) => [col.status, []]));
+    state.orders.forEach((order) => {
+      const column = getColumnStatus(order.status);
+      if (column) byColumn.get(column).push(order);
+    });
+
+    // Mais antigos primeiro: a cozinha trabalha em ordem de chegada
+    byColumn.forEach((orders) => {
+      orders.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    });
+
+    el.board.innerHTML = KDS_COLUMNS.map((col) => {
+      const orders = byColumn.get(col.status);
+      return `
+        <section class="kds-column kds-column-${col.status}">
+          <header class="kds-column-header">
+            <i class="fa-solid ${col.icon}"></i>
+            <h2>${col.title}</h2>
+            <span class="kds-column-count">${orders.length}</span>
+          </header>
+          <div class="kds-column-body">
+            ${orders.length > 0 ? orders.map(renderTicket).join("") : '<p class="kds-empty">Nenhum pedido</p>'}
+          </div>
+        </section>
+      `;
+    }).join("");
+  }
+
+  function renderClock() {
+    if (!el.clock) return;
+    el.clock.textContent = new Date().toLocaleTimeString("pt-BR", {
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+  }
+
+  function renderConnection(connected) {
+    if (!el.connection) return;
+    el.connection.classList.toggle("online", connected);
+    el.connection.classList.toggle("offline", !connected);
+    el.connection.textContent = connected ? "Ao vivo" : "Reconectando...";
+  }
+
+  // ====== DADOS ======
+
+  /**
+   * Carrega detalhes (itens, extras e modificações) de vários pedidos com concorrência limitada
+   * @param {Array<number>} orderIds - IDs dos pedidos
+   */
+  async function loadDetails(orderIds) {
+    const queue = [...orderIds];
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const orderId = queue.shift();
+        const result = await getOrderDetails(orderId);
+        if (result.success && result.data) {
+          const current = state.orders.get(orderId);
+          // Preserva o status local se já mudou via socket enquanto carregava
+          state.orders.set(orderId, {
+            ...result.data,
+            status: current ? current.status : result.data.status,
+          });
+        }
+      }
+    };
+
+    await Promise.all(
+      Array.from({ length: Math.min(MAX_CONCURRENT_DETAILS, queue.length) }, worker)
+    );
+    renderBoard();
+  }
+
+  async function loadOrders() {
+    const result = await getAllOrders({
+      status: ["pending", "preparing", "ready", "in_progress"],
+      page_size: 100,
+    });
+
+    if (!result.success) {
+      showError(result.error || "Erro ao carregar pedidos da cozinha.");
+      return;
+    }
+
+    const list = getItemsFromResponse(
+      normalizePaginationResponse(result.data || result, "items")
+    );
+    const activeIds = new Set();
+    const needDetails = [];
+
+    list.forEach((order) => {
+      const orderId = order.id || order.order_id;
+      if (!orderId || !getColumnStatus(order.status)) return;
+      activeIds.add(orderId);
+
+      const current = state.orders.get(orderId);
+      const hasItems = current && Array.isArray(current.items) && current.items.length > 0;
+      state.orders.set(orderId, hasItems ? { ...current, status: order.status } : order);
+      if (!hasItems) needDetails.push(orderId);
+    });
+
+    // Remove pedidos que saíram da cozinha enquanto estávamos desconectados
+    Array.from(state.orders.keys()).forEach((orderId) => {
+      if (!activeIds.has(orderId)) state.orders.delete(orderId);
+    });
+
+    renderBoard();
+
+    if (needDetails.length > 0) {
+      await loadDetails(needDetails);
+    }
+  }
+
+  // ====== AÇÕES ======
+
+  async function bumpTicket(orderId) {
+    const order = state.orders.get(orderId);
+    if (!order || state.bumping.has(orderId)) return;
+
+    const previousStatus = order.status;
+    const nextStatus = getKdsNextStatus(order);
+
+    state.bumping.add(orderId);
+    renderBoard();
+
+    const result = await updateOrderStatus(orderId, nextStatus, {
+      source: ORDER_EVENT_SOURCES.KDS,
+    });
+    state.bumping.delete(orderId);
+
+    if (!result.success) {
+      order.status = previousStatus;
+      renderBoard();
+      showError(result.error || "Não foi possível atualizar o pedido.");
+      return;
+    }
+
+    applyStatus(orderId, nextStatus);
+  }
+
+  function applyStatus(orderId, newStatus) {
+    const order = state.orders.get(orderId);
+    if (!order) return;
+
+    if (!getColumnStatus(newStatus)) {
+      state.orders.delete(orderId);
+    } else {
+      order.status = newStatus;
+      order.updated_at = new Date().toISOString();
+    }
+    renderBoard();
+  }
+
+  /**
+   * Aviso sonoro curto para novos pedidos (ignorado se o navegador bloquear áudio)
+   */
+  function playNewOrderSound() {
+    try {
+      const AudioCtx = window.AudioContext || window.webkitAudioContext;
+      if (!AudioCtx) return;
+      const ctx = new AudioCtx();
+      const oscillator = ctx.createOscillator();
+      const gain = ctx.createGain();
+      oscillator.frequency.value = 880;
+      gain.gain.value = 0.1;
+      oscillator.connect(gain);
+      gain.connect(ctx.destination);
+      oscillator.start();
+      oscillator.stop(ctx.currentTime + 0.25);
+      oscillator.onended = () => ctx.close();
+    } catch (_e) {
+      // Sem áudio disponível
+    }
+  }
+
+  // ====== AGENDADOS ======
+
+  // Liberados entram como "pending" e chegam pelo order.status_changed; recarregar cobre
+  // servidores que não emitem o evento para essa transição
+  async function releaseScheduledOrders() {
+    try {
+      if ((await releaseDueScheduledOrders()) > 0) {
+        await loadOrders();
+      }
+    } catch (_e) {
+      // Nova tentativa no próximo ciclo
+    }
+  }
+
+  // ====== TEMPO REAL ======
+
+  function setupRealtimeListeners() {
+    realtimeHub.subscribe(REALTIME_EVENTS.ORDER_CREATED, async (data) => {
+      const orderId = data?.order_id || data?.id;
+      // Replay após reconexão pode repetir um pedido já exibido
+      if (!orderId || state.orders.has(orderId)) return;
+
+      state.orders.set(orderId, {
+        id: orderId,
+        status: data.status || "pending",
+        order_type: data.order_type,
+        created_at: data.created_at || new Date().toISOString(),
+        items: [],
+      });
+      renderBoard();
+      playNewOrderSound();
+      await loadDetails([orderId]);
+    });
+
+    realtimeHub.subscribe(REALTIME_EVENTS.ORDER_STATUS_CHANGED, async (data) => {
+      const orderId = data?.order_id;
+      const newStatus = data?.new_status;
+      if (!orderId || !newStatus) return;
+
+      if (state.orders.has(orderId)) {
+        applyStatus(orderId, newStatus);
+      } else if (getColumnStatus(newStatus)) {
+        // Pedido voltou para a cozinha (ou chegou antes do order.created)
+        state.orders.set(orderId, {
+          id: orderId,
+          status: newStatus,
+          created_at: new Date().toISOString(),
+          items: [],
+        });
+        renderBoard();
+        await loadDetails([orderId]);
+      }
+    });
+
+    window.addEventListener("realtime:connected", (event) => {
+      renderConnection(true);
+      // O hub reenvia os eventos perdidos; recarregar cobre servidores sem replay
+      if (event.detail?.reconnected) loadOrders();
+    });
+    window.addEventListener("realtime:disconnected", () => renderConnection(false));
+  }
+
+  function attachEvents() {
+    if (el.board) {
+      el.board.addEventListener("click", (e) => {
+        const ticket = e.target.closest(".kds-ticket");
+        if (!ticket) return;
+        bumpTicket(Number(ticket.dataset.orderId));
+      });
+
+      el.board.addEventListener("keydown", (e) => {
+        if (e.key !== "Enter" && e.key !== " ") return;
+        const ticket = e.target.closest(".kds-ticket");
+        if (!ticket) return;
+        e.preventDefault();
+        bumpTicket(Number(ticket.dataset.orderId));
+      });
+    }
+
+    if (el.btnFullscreen) {
+      el.btnFullscreen.addEventListener("click", () => {
+        if (document.fullscreenElement) {
+          document.exitFullscreen();
+        } else if (document.documentElement.requestFullscreen) {
+          document.documentElement.requestFullscreen().catch(() => {});
+        }
+      });
+    }
+
+    window.addEventListener("beforeunload", () => {
+      clearInterval(state.timerInterval);
+      clearInterval(state.resyncInterval);
+    });
+  }
+
+  async function init() {
+    initElements();
+
+    if (!hasKitchenAccess()) {
+      showError("Acesso restrito à equipe da loja.");
+      setTimeout(() => {
+        window.location.href = "login.html";
+      }, 1500);
+      return;
+    }
+
+    renderClock();
+    renderConnection(realtimeHub.isConnected());
+    attachEvents();
+    await loadOrders();
+    setupRealtimeListeners();
+
+    state.timerInterval = setInterval(() => {
+      renderClock();
+      renderBoard();
+    }, TIMER_REFRESH_MS);
+    state.resyncInterval = setInterval(loadOrders, RESYNC_INTERVAL_MS);
+    releaseScheduledOrders();
+    state.scheduleInterval = setInterval(releaseScheduledOrders, SCHEDULE_CHECK_INTERVAL);
+  }
+
+  document.addEventListener("DOMContentLoaded", init);
+})();
@@ -3,10 +3,10 @@
  * Interface para visualizar detalhes completos de um pedido específico
  */
 
-import { getOrderDetails, cancelOrder, formatOrderStatus, getStatusColor } from '../api/orders.js';
+import { getOrderDetails, getOrderTimeline, cancelOrder, formatOrderStatus, getStatusColor } from '../api/orders.js';
 import { getProductById, searchProducts } from '../api/products.js';
 import { getAddresses, getDefaultAddress } from '../api/address.js';
-import { getIngredients } from '../api/ingredients.js';
+import { getIngredientsCatalog } from '../api/ingredients.js';
 import { API_BASE_URL } from '../api/api.js';
 
 // Importar helper de configurações
@@ -14,8 +14,22 @@ import { API_BASE_URL } from '../api/api.js';
 import * as settingsHelper from '../utils/settings-helper.js';
 
 // Importar sistema de alertas customizado
-import { showError, showSuccess } from './alerts.js';
+import { showError, showSuccess, showToast } from './alerts.js';
 import { socketService } from '../api/socket-client.js';
+import { renderItemExtrasHTML, renderItemBaseModificationsHTML } from '../utils/order-item-renderer.js';
+import { filterCustomerTimeline, getStatusTimestamps, getEventTime, describeTimelineEvent } from '../utils/order-timeline-utils.js';
+import { isSplitPayment, getOrderPayments, formatTenderLine } from '../utils/split-payment-utils.js';
+import { getOrderPixAmount, getPixPayloadForOrder, renderPixPayment } from './components/pix-payment.js';
+import { getOrderReview, submitOrderReview, REVIEWABLE_ORDER_STATUSES } from '../api/reviews.js';
+import { renderStars, renderStarInput, readStarInput } from '../utils/rating-utils.js';
+import { reorderItems, summarizeReorder, REORDERABLE_ORDER_STATUSES } from '../utils/reorder-utils.js';
+import {
+    calculateEstimatedDeliveryTime,
+    isTrackingFinished,
+    getPromisedTime,
+    getCountdown,
+    formatRemainingTime
+} from '../utils/delivery-estimate-utils.js';
 
 // Constantes
 const VISIBILITY_DELAY_MS = 500; // Delay para exibição de alerta antes de redirecionamento
@@ -41,9 +55,21 @@ const isDevelopment = () => {
         orderId: null,
         loading: false,
         error: null,
-        ingredientsCache: null // Cache para preços dos ingredientes
+        ingredientsCache: null, // Cache para preços dos ingredientes
+        timeline: [], // Eventos do pedido visíveis ao cliente
+        estimatedTimes: null, // Prazos das configurações públicas (null = padrão)
+        slotMinutes: 30, // Duração da janela de pedidos agendados
+        countdownTimer: null,
+        pollTimer: null, // Ativo apenas quando o WebSocket não está disponível
+        review: undefined, // Avaliação do pedido (undefined = não carregada, null = ainda não avaliado)
+        submittingReview: false
     };
 
+    // Acompanhamento ao vivo
+    const COUNTDOWN_TICK_MS = 1000;
+    const POLL_INTERVAL_MS = 30000;
+    const STEP_ANIMATION_MS = 700;
+
     // Refs DOM
     let el = {};
 
@@ -58,6 +84,10 @@ const isDevelopment = () => {
             stepPending: document.getElementById('step-pending'),
             stepPreparing: document.getElementById('step-preparing'),
             stepDelivered: document.getElementById('step-delivered'),
+            orderTimeline: document.getElementById('order-timeline'),
+            orderCountdown: document.getElementById('order-countdown'),
+            orderLateNotice: document.getElementById('order-late-notice'),
+            orderLiveStatus: document.getElementById('order-live-status'),
 
             // Informações do pedido
             orderAddress: document.getElementById('order-address'),
@@ -66,6 +96,9 @@ const isDevelopment = () => {
             paymentPixIcon: document.getElementById('payment-pix-icon'),
             paymentCardIcon: document.getElementById('payment-card-icon'),
             paymentMoneyIcon: document.getElementById('payment-money-icon'),
+            paymentSplitIcon: document.getElementById('payment-split-icon'),
+            orderPixPayment: document.getElementById('order-pix-payment'),
+            orderReview: document.getElementById('order-review'),
             changeAmount: document.getElementById('change-amount'),
 
             // Itens e resumo
@@ -117,12 +150,13 @@ const isDevelopment = () => {
         }
 
         try {
-            const response = await getIngredients({ page_size: 1000 });
+            // Catálogo compartilhado com o checkout (cacheManager: memória → IndexedDB)
+            const ingredients = await getIngredientsCatalog({ forceReload });
             // Validar resposta antes de processar
-            if (response && Array.isArray(response.items) && response.items.length > 0) {
+            if (ingredients.length > 0) {
                 // Criar mapa de ID -> preço adicional (normalizar IDs como string)
                 state.ingredientsCache = {};
-                response.items.forEach(ingredient => {
+                ingredients.forEach(ingredient => {
                     if (ingredient && ingredient.id != null) {
                         // Normalizar ID para string para garantir busca consistente
                         const id = String(ingredient.id);
@@ -289,6 +323,8 @@ const isDevelopment = () => {
         state.error = null;
 
         try {
+            // Linha do tempo em paralelo; falha nela não impede exibir o pedido
+            const timelinePromise = loadOrderTimeline(orderId);
             const result = await getOrderDetails(orderId);
             
             if (result.success) {
@@ -343,6 +379,7 @@ const isDevelopment = () => {
                 } catch (e) {
                     // silencioso
                 }
+                await timelinePromise;
                 renderOrderDetails();
             } else {
                 state.error = result.error;
@@ -356,6 +393,45 @@ const isDevelopment = () => {
         }
     }
 
+    // Carregar linha do tempo do pedido (apenas eventos visíveis ao cliente)
+    async function loadOrderTimeline(orderId) {
+        const result = await getOrderTimeline(orderId);
+        if (result.success) {
+            state.timeline = filterCustomerTimeline(result.data);
+        }
+    }
+
+    // Renderizar linha do tempo abaixo das etapas
+    function renderOrderTimeline() {
+        if (!el.orderTimeline) {
+            el.orderTimeline = document.getElementById('order-timeline');
+            if (!el.orderTimeline) return;
+        }
+
+        if (state.timeline.length === 0) {
+            el.orderTimeline.innerHTML = '';
+            el.orderTimeline.style.display = 'none';
+            return;
+        }
+
+        el.orderTimeline.innerHTML = state.timeline.map(event => {
+            const { title, detail } = describeTimelineEvent(event, { audience: 'customer' });
+            return `
+                <li class="linha-tempo-evento">
+                    <span class="linha-tempo-hora">${escapeHTML(formatEventTime(event))}</span>
+                    <span class="linha-tempo-titulo">${escapeHTML(title)}</span>
+                    ${detail ? `<span class="linha-tempo-detalhe">${escapeHTML(detail)}</span>` : ''}
+                </li>
+            `;
+        }).join('');
+        el.orderTimeline.style.display = '';
+    }
+
+    function formatEventTime(event) {
+        const date = getEventTime(event);
+        return date ? date.toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' }) : '';
+    }
+
     // Enriquecer itens com imagem do produto quando faltarem caminhos de imagem no item
     async function enrichItemsWithProductData(items) {
         const enriched = await Promise.allSettled(items.map(async (item) => {
@@ -452,8 +528,7 @@ const isDevelopment = () => {
 
     // Tentar resolver endereço do pedido quando API não retornar linhas de endereço
     async function enrichOrderAddressIfMissing(order) {
-        const isPickupOrder = order?.order_type === 'pickup' || order?.delivery_type === 'pickup';
-        if (isPickupOrder) return order;
+        if (isPickupOrder(order)) return order;
 
         const hasAnyAddress = Boolean(order?.address || order?.delivery_address || order?.address_data);
         if (hasAnyAddress) return order;
@@ -513,9 +588,12 @@ const isDevelopment = () => {
         
         // Atualizar status e progresso
         updateOrderStatus(order.status);
+        renderOrderTimeline();
         
         // Atualizar informações do pedido
         updateOrderInfo(order);
+        renderOrderPixPayment(order);
+        startCountdown();
         
         // Renderizar itens
         renderOrderItems(order.items || []);
@@ -528,6 +606,9 @@ const isDevelopment = () => {
         
         // Mostrar/esconder ações
         updateOrderActions(order.status);
+
+        // Avaliação (apenas pedidos entregues/concluídos)
+        renderOrderReview();
         
         // Se o pedido foi concluído, recarregar pontos do header para atualizar saldo
         // Os pontos foram creditados quando o status mudou para 'completed'
@@ -541,10 +622,188 @@ const isDevelopment = () => {
         }
     }
 
+    // Exibir QR code e copia e cola enquanto o Pix do pedido estiver em aberto
+    async function renderOrderPixPayment(order) {
+        if (!el.orderPixPayment) return;
+
+        const closedStatuses = ['cancelled', 'completed', 'delivered', 'paid'];
+        const paymentConfirmed = Boolean(getStatusTimestamps(state.timeline).payment_confirmed);
+        const amount = getOrderPixAmount(order);
+        if (closedStatuses.includes(order.status) || paymentConfirmed || !(amount > 0)) {
+            el.orderPixPayment.style.display = 'none';
+            el.orderPixPayment.innerHTML = '';
+            delete el.orderPixPayment.dataset.payload;
+            return;
+        }
+
+        const payload = await getPixPayloadForOrder({
+            orderId: order.id || order.order_id,
+            amount,
+            confirmationCode: order.confirmation_code
+        });
+        if (!payload) {
+            el.orderPixPayment.style.display = 'none';
+            return;
+        }
+
+        // Evitar redesenhar (e perder a seleção do código) a cada atualização do socket
+        if (el.orderPixPayment.dataset.payload !== payload) {
+            renderPixPayment(el.orderPixPayment, { payload, amount });
+            el.orderPixPayment.dataset.payload = payload;
+        }
+        el.orderPixPayment.style.display = '';
+    }
+
+    function isPickupOrder(order) {
+        return order?.order_type === 'pickup' || order?.delivery_type === 'pickup';
+    }
+
+    // Produtos do pedido para nota individual (um campo por produto, mesmo em itens repetidos)
+    function getReviewableProducts(order) {
+        const products = new Map();
+        (order.items || []).forEach(item => {
+            const productId = parseInt(item?.product_id, 10);
+            if (productId > 0 && !products.has(productId)) {
+                products.set(productId, item.product_name || item.product?.name || 'Produto');
+            }
+        });
+        return [...products].map(([id, name]) => ({ id, name }));
+    }
+
+    // Avaliação do pedido: formulário após a entrega, resumo (e resposta da loja) depois de enviada
+    async function renderOrderReview() {
+        if (!el.orderReview || !state.order) return;
+
+        const orderId = state.order.id || state.order.order_id;
+        if (!REVIEWABLE_ORDER_STATUSES.includes(state.order.status)) {
+            el.orderReview.style.display = 'none';
+            return;
+        }
+
+        if (state.review === undefined) {
+            const result = await getOrderReview(orderId);
+            // Falha ao consultar: não oferecer o formulário para evitar avaliação duplicada
+            if (!result.success) return;
+            state.review = result.data;
+        }
+
+        if (state.review) {
+            renderSubmittedReview(state.review);
+        } else if (!el.orderReview.querySelector('.avaliacao-form')) {
+            renderReviewForm();
+        }
+        el.orderReview.style.display = '';
+
+        // Link "Avaliar" do histórico de pedidos
+        if (window.location.hash === '#order-review' && !el.orderReview.dataset.scrolled) {
+            el.orderReview.dataset.scrolled = 'true';
+            el.orderReview.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    }
+
+    function renderReviewForm() {
+        const order = state.order;
+        const products = getReviewableProducts(order);
+        const productsHtml = products.length > 1
+            ? `
+                <div class="avaliacao-produtos">
+                    <p class="avaliacao-secao">Produtos <span>(opcional)</span></p>
+                    ${products.map(product => renderStarInput(`nota-produto-${product.id}`, { label: product.name })).join('')}
+                </div>`
+            : '';
+
+        el.orderReview.innerHTML = `
+            <p class="avaliacao-titulo">Como foi seu pedido?</p>
+            <p class="avaliacao-subtitulo">Sua avaliação ajuda a Royal Burger a melhorar.</p>
+            <form class="avaliacao-form" novalidate>
+                ${renderStarInput('nota-geral', { label: 'Pedido' })}
+                ${renderStarInput('nota-comida', { label: 'Comida' })}
+                ${isPickupOrder(order) ? '' : renderStarInput('nota-entrega', { label: 'Entrega' })}
+                ${productsHtml}
+                <textarea class="avaliacao-comentario" name="comentario" maxlength="1000" rows="3"
+                    placeholder="Conte como foi (opcional)" aria-label="Comentário da avaliação"></textarea>
+                <button type="submit" class="avaliacao-enviar">Enviar avaliação</button>
+            </form>
+        `;
+
+        el.orderReview.querySelector('.avaliacao-form').addEventListener('submit', (event) => {
+            event.preventDefault();
+            submitReviewAction(event.currentTarget, products);
+        });
+    }
+
+    async function submitReviewAction(form, products) {
+        if (state.submittingReview) return;
+
+        const orderId = state.order.id || state.order.order_id;
+        // Com um único produto a nota da comida vale para ele
+        const items = products.length === 1
+            ? [{ product_id: products[0].id, rating: readStarInput(form, 'nota-comida') }]
+            : products
+                .map(product => ({ product_id: product.id, rating: readStarInput(form, `nota-produto-${product.id}`) }))
+                .filter(item => item.rating);
+
+        const reviewData = {
+            overall_rating: readStarInput(form, 'nota-geral'),
+            food_rating: readStarInput(form, 'nota-comida'),
+            delivery_rating: readStarInput(form, 'nota-entrega'),
+            comment: form.elements.comentario.value,
+            items: items.filter(item => item.rating)
+        };
+
+        const button = form.querySelector('.avaliacao-enviar');
+        state.submittingReview = true;
+        button.disabled = true;
+        try {
+            const result = await submitOrderReview(orderId, reviewData, { isPickup: isPickupOrder(state.order) });
+            if (!result.success) {
+                showError(result.error);
+                return;
+            }
+            state.review = result.data || { ...reviewData, created_at: new Date().toISOString() };
+            showSuccess('Obrigado pela avaliação!');
+            renderSubmittedReview(state.review);
+        } finally {
+            state.submittingReview = false;
+            button.disabled = false;
+        }
+    }
+
+    function renderSubmittedReview(review) {
+        const rows = [
+            ['Pedido', review.overall_rating],
+            ['Comida', review.food_rating],
+            ['Entrega', review.delivery_rating]
+        ].filter(([, value]) => value);
+
+        const reply = review.reply
+            ? `
+                <div class="avaliacao-resposta">
+                    <p class="avaliacao-secao">Resposta da Royal Burger</p>
+                    <p>${escapeHTML(review.reply)}</p>
+                </div>`
+            : '';
+
+        el.orderReview.innerHTML = `
+            <p class="avaliacao-titulo">Sua avaliação</p>
+            <div class="avaliacao-notas">
+                ${rows.map(([label, value]) => `
+                    <div class="avaliacao-nota">
+                        <span>${label}</span>
+                        ${renderStars(value)}
+                    </div>`).join('')}
+            </div>
+            ${review.comment ? `<p class="avaliacao-comentario-enviado">“${escapeHTML(review.comment)}”</p>` : ''}
+            ${reply}
+        `;
+    }
+
     // Atualizar status e progresso
-    function updateOrderStatus(status) {
+    // animate: destacar as etapas que acabaram de ser concluídas (mudança ao vivo)
+    function updateOrderStatus(status, { animate = false } = {}) {
         // ALTERAÇÃO: Adicionado 'in_progress' como fallback para 'ready' (quando constraint não permite 'ready')
         const statusMessages = {
+            'scheduled': 'Seu pedido está agendado!',
             'pending': 'Seu pedido está sendo processado!',
             'preparing': 'Seu pedido está sendo preparado!',
             'ready': 'Seu pedido está pronto!',
@@ -569,11 +828,13 @@ const isDevelopment = () => {
         }
 
         // Atualizar etapas do progresso
-        updateProgressSteps(status);
+        updateProgressSteps(status, { animate });
     }
 
     // Atualizar etapas do progresso
-    function updateProgressSteps(status) {
+    // O status atual define o mínimo; a linha do tempo completa etapas já alcançadas
+    // e informa o horário de cada uma
+    function updateProgressSteps(status, { animate = false } = {}) {
         // ALTERAÇÃO: Adicionado 'in_progress' como fallback para 'ready'
         const steps = {
             'pending': { pending: true, preparing: false, delivered: false },
@@ -587,7 +848,18 @@ const isDevelopment = () => {
             'cancelled': { pending: false, preparing: false, delivered: false }
         };
 
-        const stepConfig = steps[status] || steps['pending'];
+        const stepConfig = { ...(steps[status] || steps['pending']) };
+        const reached = getStatusTimestamps(state.timeline);
+        const preparingAt = reached.preparing || reached.ready || reached.on_the_way;
+        const deliveredAt = reached.delivered || reached.completed || reached.paid;
+
+        if (status !== 'cancelled') {
+            stepConfig.preparing = stepConfig.preparing || !!preparingAt;
+            stepConfig.delivered = stepConfig.delivered || !!deliveredAt;
+        }
+
+        const formatStepTime = (label, date) =>
+            date ? `${label} às ${date.toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })}` : '';
 
         // ALTERAÇÃO: Re-buscar elementos se não estiverem disponíveis
         if (!el.stepPending) {
@@ -601,15 +873,150 @@ const isDevelopment = () => {
         }
 
         if (el.stepPending) {
-            el.stepPending.classList.toggle('completo', stepConfig.pending);
+            setStepComplete(el.stepPending, stepConfig.pending, animate);
+            el.stepPending.title = formatStepTime('Recebido', reached.pending || reached.created);
         }
         
         if (el.stepPreparing) {
-            el.stepPreparing.classList.toggle('completo', stepConfig.preparing);
+            setStepComplete(el.stepPreparing, stepConfig.preparing, animate);
+            el.stepPreparing.title = formatStepTime('Em preparo', preparingAt);
         }
         
         if (el.stepDelivered) {
-            el.stepDelivered.classList.toggle('completo', stepConfig.delivered);
+            setStepComplete(el.stepDelivered, stepConfig.delivered, animate);
+            el.stepDelivered.title = formatStepTime('Entregue', deliveredAt);
+        }
+    }
+
+    // Marcar etapa como concluída, animando o preenchimento quando acabou de avançar
+    function setStepComplete(stepEl, complete, animate) {
+        const wasComplete = stepEl.classList.contains('completo');
+        stepEl.classList.toggle('completo', complete);
+
+        if (animate && complete && !wasComplete) {
+            stepEl.classList.add('etapa-avancou');
+            setTimeout(() => stepEl.classList.remove('etapa-avancou'), STEP_ANIMATION_MS);
+        }
+    }
+
+    // ====== Acompanhamento ao vivo (contagem regressiva, atraso e polling) ======
+
+    // Carregar prazos e janela de agendamento usados na previsão
+    async function loadTrackingSettings() {
+        try {
+            const [times, scheduling] = await Promise.all([
+                settingsHelper.getEstimatedDeliveryTimes(),
+                settingsHelper.getSchedulingSettings()
+            ]);
+            state.estimatedTimes = times || null;
+            state.slotMinutes = scheduling?.slot_minutes || state.slotMinutes;
+        } catch (error) {
+            // Sem configurações: a previsão usa os prazos padrão
+        }
+    }
+
+    // Previsão até o horário prometido ou aviso de atraso com pedido de desculpas
+    function renderDeliveryCountdown() {
+        if (!el.orderCountdown) return;
+        const order = state.order;
+
+        const hide = () => {
+            el.orderCountdown.style.display = 'none';
+            if (el.orderLateNotice) el.orderLateNotice.style.display = 'none';
+        };
+
+        if (!order || isTrackingFinished(order)) {
+            hide();
+            stopCountdown();
+            return;
+        }
+
+        const estimate = calculateEstimatedDeliveryTime(state.estimatedTimes, order.order_type, order.items || []);
+        const promisedTime = getPromisedTime(order, estimate, { slotMinutes: state.slotMinutes });
+        const countdown = getCountdown(promisedTime);
+        if (!countdown) {
+            hide();
+            return;
+        }
+
+        const hora = promisedTime.toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' });
+        const label = order.order_type === 'pickup' ? 'Pronto para retirada' : 'Previsão de entrega';
+
+        if (countdown.late) {
+            el.orderCountdown.textContent = `${label} era até ${hora}`;
+            if (el.orderLateNotice) {
+                el.orderLateNotice.textContent =
+                    `Seu pedido está ${countdown.lateMinutes} min atrasado. Pedimos desculpas pela demora — ` +
+                    'ele já está na nossa prioridade.';
+                el.orderLateNotice.style.display = '';
+            }
+        } else {
+            el.orderCountdown.textContent = `${label} até ${hora} · faltam ${formatRemainingTime(countdown.remainingMs)}`;
+            if (el.orderLateNotice) el.orderLateNotice.style.display = 'none';
+        }
+
+        el.orderCountdown.classList.toggle('atrasado', countdown.late);
+        el.orderCountdown.style.display = '';
+    }
+
+    function startCountdown() {
+        renderDeliveryCountdown();
+        if (state.countdownTimer || isTrackingFinished(state.order)) return;
+        state.countdownTimer = setInterval(renderDeliveryCountdown, COUNTDOWN_TICK_MS);
+    }
+
+    function stopCountdown() {
+        if (state.countdownTimer) {
+            clearInterval(state.countdownTimer);
+            state.countdownTimer = null;
+        }
+    }
+
+    // Indicar se as atualizações chegam ao vivo ou por consulta periódica
+    function updateLiveStatus() {
+        if (!el.orderLiveStatus) return;
+
+        if (state.order && isTrackingFinished(state.order)) {
+            el.orderLiveStatus.style.display = 'none';
+            return;
+        }
+
+        const polling = Boolean(state.pollTimer);
+        el.orderLiveStatus.textContent = polling
+            ? `Sem conexão em tempo real · atualizando a cada ${POLL_INTERVAL_MS / 1000} s`
+            : 'Acompanhamento ao vivo';
+        el.orderLiveStatus.classList.toggle('ao-vivo', !polling);
+        el.orderLiveStatus.style.display = '';
+    }
+
+    // Fallback quando o WebSocket não conecta: consultar o pedido periodicamente
+    function startPolling() {
+        if (state.pollTimer || (state.order && isTrackingFinished(state.order))) return;
+        state.pollTimer = setInterval(pollOrderStatus, POLL_INTERVAL_MS);
+        updateLiveStatus();
+    }
+
+    function stopPolling() {
+        if (state.pollTimer) {
+            clearInterval(state.pollTimer);
+            state.pollTimer = null;
+        }
+        updateLiveStatus();
+    }
+
+    async function pollOrderStatus() {
+        // Aba em segundo plano: a próxima consulta (ou a volta da conexão) atualiza
+        if (document.hidden || !state.orderId) return;
+
+        const result = await getOrderDetails(state.orderId);
+        if (!result.success || !result.data) return;
+
+        const newStatus = result.data.status;
+        if (newStatus && newStatus !== state.order?.status) {
+            applyStatusChange(newStatus);
+        }
+        if (isTrackingFinished(state.order)) {
+            stopPolling();
         }
     }
 
@@ -671,6 +1078,22 @@ const isDevelopment = () => {
             }
         }
 
+        if (el.paymentSplitIcon) el.paymentSplitIcon.style.display = 'none';
+
+        // Pagamento dividido: uma linha por parte, com o troco de cada parte em dinheiro
+        if (isSplitPayment(order)) {
+            if (el.paymentMethod) {
+                el.paymentMethod.textContent = getOrderPayments(order).map(formatTenderLine).join(' + ');
+            }
+            if (el.paymentPixIcon) el.paymentPixIcon.style.display = 'none';
+            if (el.paymentCardIcon) el.paymentCardIcon.style.display = 'none';
+            if (el.paymentMoneyIcon) el.paymentMoneyIcon.style.display = 'none';
+            if (el.paymentSplitIcon) el.paymentSplitIcon.style.display = 'flex';
+            if (el.changeAmount) el.changeAmount.style.display = 'none';
+            debugLog('Pagamento', { raw: order.payment_method, payments: order.payments });
+            return;
+        }
+
         // Método de pagamento (normalizado + ícone)
         // ALTERAÇÃO: Normalizar método de pagamento para diferenciar crédito e débito
         const normalizePaymentMethod = (raw) => {
@@ -776,29 +1199,7 @@ const isDevelopment = () => {
             });
         });
 
-        const extrasItems = extras.map(extra => {
-            const nome = extra.ingredient_name || extra.name || extra.title || extra.nome || 'Ingrediente';
-            const quantidade = parseInt(extra.quantity ?? extra.qty ?? extra.quantidade ?? 0, 10) || 0;
-            const ingredientId = extra.ingredient_id || extra.id;
-            
-            // Buscar preço usando função centralizada
-            const preco = findIngredientPrice(extra, ingredientId);
-            
-            // Formatar preço se houver
-            const precoFormatado = preco > 0 ? ` <span class="extra-price">+R$ ${preco.toFixed(2).replace('.', ',')}</span>` : '';
-            
-            return `<li><span class="extra-quantity-badge">${quantidade}</span> <span class="extra-name">${escapeHTML(nome)}</span>${precoFormatado}</li>`;
-        }).join('');
-
-        return `
-            <div class="item-extras-separator"></div>
-            <div class="item-extras-list">
-                <strong>Extras:</strong>
-                <ul>
-                    ${extrasItems}
-                </ul>
-            </div>
-        `;
+        return renderItemExtrasHTML(extras, { getPrice: findIngredientPrice });
     }
 
     /**
@@ -827,44 +1228,7 @@ const isDevelopment = () => {
             });
         });
 
-        const baseModsItems = baseMods.map(bm => {
-            const nome = bm.ingredient_name || bm.name || bm.nome || 'Ingrediente';
-            const delta = parseInt(bm.delta ?? 0, 10) || 0;
-            const ingredientId = bm.ingredient_id || bm.id;
-            
-            // Buscar preço usando função centralizada
-            const precoUnitario = findIngredientPrice(bm, ingredientId);
-            
-            const isPositive = delta > 0;
-            const icon = isPositive ? 'plus' : 'minus';
-            const colorClass = isPositive ? 'mod-add' : 'mod-remove';
-            const deltaValue = Math.abs(delta);
-            
-            // ALTERAÇÃO: Multiplicar preço unitário pela quantidade (delta) para exibir o preço total correto
-            // Formatar preço se houver (apenas para adições, remoções não têm custo)
-            const precoTotal = precoUnitario * deltaValue;
-            const precoFormatado = (precoTotal > 0 && isPositive) ? ` <span class="base-mod-price">+R$ ${precoTotal.toFixed(2).replace('.', ',')}</span>` : '';
-            
-            return `
-                <li>
-                    <span class="base-mod-icon ${colorClass}">
-                        <i class="fa-solid fa-circle-${icon}"></i>
-                    </span>
-                    <span class="base-mod-quantity">${deltaValue}</span>
-                    <span class="base-mod-name">${escapeHTML(nome)}</span>${precoFormatado}
-                </li>
-            `;
-        }).join('');
-
-        return `
-            <div class="item-extras-separator"></div>
-            <div class="item-base-mods-list">
-                <strong>Modificações:</strong>
-                <ul>
-                    ${baseModsItems}
-                </ul>
-            </div>
-        `;
+        return renderItemBaseModificationsHTML(baseMods, { getPrice: findIngredientPrice });
     }
 
     // Renderizar itens do pedido
@@ -1195,7 +1559,7 @@ const isDevelopment = () => {
         if (!el.orderActions) return;
 
         const canCancel = status === 'pending';
-        const canReorder = ['completed', 'delivered', 'paid'].includes(status);
+        const canReorder = REORDERABLE_ORDER_STATUSES.includes(status);
 
         if (canCancel || canReorder) {
             el.orderActions.style.display = 'block';
@@ -1230,21 +1594,33 @@ const isDevelopment = () => {
         }
     }
 
-    // Fazer pedido similar
-    function reorderAction() {
-        if (!state.order?.items) return;
+    // Fazer pedido similar: readiciona os itens à cesta conferindo estoque e preço atuais
+    async function reorderAction() {
+        if (!state.order?.items?.length || el.btnReorder?.disabled) return;
 
-        // Salvar itens do pedido atual no localStorage para reordenação
-        const reorderItems = state.order.items.map(item => ({
-            product_id: item.product_id,
-            quantity: item.quantity,
-            extras: item.extras || []
-        }));
+        if (el.btnReorder) el.btnReorder.disabled = true;
+        try {
+            const result = await reorderItems(state.order.items);
+            const summary = summarizeReorder(result);
 
-        localStorage.setItem('royal_reorder_items', JSON.stringify(reorderItems));
-        
-        // Redirecionar para página de produtos ou carrinho
-        window.location.href = 'index.html';
+            showToast(summary.message, {
+                type: summary.type,
+                title: summary.title,
+                autoClose: result.skipped.length > 0 ? 8000 : 3000
+            });
+
+            if (result.added.length > 0) {
+                // Mesma convenção de produto.js: a home abre a cesta ao carregar
+                localStorage.setItem('royal_abrir_modal_cesta', 'true');
+                setTimeout(() => {
+                    window.location.href = '../../index.html';
+                }, result.skipped.length > 0 ? 4000 : 1000);
+            }
+        } catch (error) {
+            showError('Erro ao repetir pedido: ' + error.message);
+        } finally {
+            if (el.btnReorder) el.btnReorder.disabled = false;
+        }
     }
 
     // Anexar eventos
@@ -1305,6 +1681,62 @@ const isDevelopment = () => {
         return true;
     }
 
+    /**
+     * Aplica uma mudança de status recebida ao vivo (WebSocket) ou pelo polling
+     * ALTERAÇÃO: Atualiza status diretamente no DOM sem recarregar tudo
+     * @param {string} newStatus - Novo status do pedido
+     */
+    function applyStatusChange(newStatus) {
+        const currentOrderId = state.orderId || state.order?.id || state.order?.order_id;
+
+        // ALTERAÇÃO: Re-buscar elementos se não estiverem disponíveis
+        if (!el.orderStatusMessage || !el.stepPending || !el.stepPreparing || !el.stepDelivered) {
+            initElements();
+        }
+        
+        // Atualizar status no estado
+        if (state.order) {
+            state.order.status = newStatus;
+        }
+        
+        // Atualizar status e progresso diretamente no DOM (sem recarregar tudo)
+        updateOrderStatus(newStatus, { animate: true });
+        
+        // Atualizar ações do pedido (pode mudar com o status)
+        updateOrderActions(newStatus);
+
+        // Buscar o novo evento para a linha do tempo e os horários das etapas
+        loadOrderTimeline(currentOrderId).then(() => {
+            renderOrderTimeline();
+            updateProgressSteps(newStatus);
+        });
+        
+        // Adiciona animação visual de atualização
+        if (el.orderStatusMessage) {
+            el.orderStatusMessage.classList.add('order-status-changed');
+            el.orderStatusMessage.style.animation = 'pulse 0.5s ease-in-out';
+            setTimeout(() => {
+                el.orderStatusMessage.classList.remove('order-status-changed');
+                el.orderStatusMessage.style.animation = '';
+            }, 2000);
+        }
+        
+        // Se o pedido foi concluído, atualizar pontos no header
+        if (newStatus === 'completed' || newStatus === 'delivered') {
+            if (typeof window.updateHeaderState === 'function') {
+                window.updateHeaderState();
+            }
+        }
+
+        // Pedido finalizado: encerrar contagem e consultas; Pix em aberto some após a conclusão
+        renderDeliveryCountdown();
+        if (state.order) renderOrderPixPayment(state.order);
+        renderOrderReview();
+        if (state.order && isTrackingFinished(state.order)) {
+            stopPolling();
+        }
+    }
+
     /**
      * Configura listeners de eventos WebSocket para atualização em tempo real
      * ALTERAÇÃO: Atualiza status diretamente no DOM sem recarregar tudo
@@ -1332,40 +1764,7 @@ const isDevelopment = () => {
                            (!isNaN(currentIdNum) && !isNaN(receivedIdNum) && currentIdNum === receivedIdNum);
             
             if (idsMatch && normalizedCurrentId && normalizedReceivedId) {
-                const newStatus = data.new_status;
-                
-                // ALTERAÇÃO: Re-buscar elementos se não estiverem disponíveis
-                if (!el.orderStatusMessage || !el.stepPending || !el.stepPreparing || !el.stepDelivered) {
-                    initElements();
-                }
-                
-                // Atualizar status no estado
-                if (state.order) {
-                    state.order.status = newStatus;
-                }
-                
-                // Atualizar status e progresso diretamente no DOM (sem recarregar tudo)
-                updateOrderStatus(newStatus);
-                
-                // Atualizar ações do pedido (pode mudar com o status)
-                updateOrderActions(newStatus);
-                
-                // Adiciona animação visual de atualização
-                if (el.orderStatusMessage) {
-                    el.orderStatusMessage.classList.add('order-status-changed');
-                    el.orderStatusMessage.style.animation = 'pulse 0.5s ease-in-out';
-                    setTimeout(() => {
-                        el.orderStatusMessage.classList.remove('order-status-changed');
-                        el.orderStatusMessage.style.animation = '';
-                    }, 2000);
-                }
-                
-                // Se o pedido foi concluído, atualizar pontos no header
-                if (newStatus === 'completed' || newStatus === 'delivered') {
-                    if (typeof window.updateHeaderState === 'function') {
-                        window.updateHeaderState();
-                    }
-                }
+                applyStatusChange(data.new_status);
             }
         };
         
@@ -1413,18 +1812,31 @@ const isDevelopment = () => {
                 clearInterval(checkConnection);
                 // Tentar configurar mesmo assim (o socket pode estar configurando)
                 setupSocketListeners();
+                // Sem conexão até aqui: acompanhar por consulta periódica até o socket voltar
+                if (!socketService.getConnected()) {
+                    startPolling();
+                }
             }, 5000);
-            
-            // Também escutar evento de conexão
-            window.addEventListener('socket:connected', () => {
-                setupSocketListeners();
-            }, { once: true });
         }
+
+        // Conexão (re)estabelecida: voltar ao tempo real e buscar o que mudou enquanto esteve fora
+        const onSocketUp = () => {
+            setupSocketListeners();
+            if (state.pollTimer) {
+                stopPolling();
+                pollOrderStatus();
+            }
+        };
+        window.addEventListener('socket:connected', onSocketUp);
+        window.addEventListener('socket:reconnected', onSocketUp);
+        window.addEventListener('socket:disconnected', startPolling);
+        window.addEventListener('socket:error', startPolling);
         
-        // Carregar cache de ingredientes antes de carregar o pedido
-        await loadIngredientsCache();
+        // Carregar cache de ingredientes e prazos de entrega antes de carregar o pedido
+        await Promise.all([loadIngredientsCache(), loadTrackingSettings()]);
         
         await loadOrderDetails(orderId);
+        updateLiveStatus();
     }
 
     // ALTERAÇÃO: Expor função para limpar cache no escopo global (útil para debug/reset)
@@ -9,13 +9,21 @@ import {
   formatOrderStatus,
 } from "../api/orders.js";
 import { getPromotionByProductId } from "../api/promotions.js";
-import { showError } from "./alerts.js";
+import { showError, showToast } from "./alerts.js";
 
 // Importar helper de configurações
 import * as settingsHelper from "../utils/settings-helper.js";
 import { escapeHTML } from "../utils/html-sanitizer.js";
 import { calculatePriceWithPromotion, formatPrice, isPromotionActive } from "../utils/price-utils.js";
 import { socketService } from "../api/socket-client.js";
+import { formatScheduledFor, isScheduledOrder } from "../utils/schedule-utils.js";
+import { REVIEWABLE_ORDER_STATUSES } from "../api/reviews.js";
+import { renderStars } from "../utils/rating-utils.js";
+import { reorderItems, summarizeReorder, REORDERABLE_ORDER_STATUSES } from "../utils/reorder-utils.js";
+import {
+  calculateEstimatedDeliveryTime,
+  DEFAULT_ESTIMATED_TIMES,
+} from "../utils/delivery-estimate-utils.js";
 
 (function initOrderHistory() {
   // Verificar se estamos na página de histórico de pedidos
@@ -148,17 +156,6 @@ import { socketService } from "../api/socket-client.js";
   // Funções de carregamento e exibição de pedidos
   // ============================================================================
 
-  /**
-   * Valores padrão para prazos de entrega (fallback)
-   * @constant
-   */
-  const DEFAULT_ESTIMATED_TIMES = {
-    initiation_minutes: 5,
-    preparation_minutes: 20,
-    dispatch_minutes: 5,
-    delivery_minutes: 15,
-  };
-
   /**
    * Carrega prazos de entrega estimados das configurações públicas
    * @returns {Promise<void>}
@@ -183,81 +180,6 @@ import { socketService } from "../api/socket-client.js";
     }
   }
 
-  /**
-   * Calcula tempo estimado de entrega baseado nos prazos do sistema + soma dos tempos de preparo dos produtos
-   * Fórmula: Iniciação + (Soma dos Tempos de Preparo dos Produtos × Quantidade) + Envio + Entrega
-   * @param {string} orderType - Tipo do pedido ('delivery' ou 'pickup'). Padrão: 'delivery'
-   * @param {Array} orderItems - Array de itens do pedido com informações do produto
-   * @returns {Object} Objeto com minTime e maxTime em minutos
-   */
-  function calculateEstimatedDeliveryTime(orderType = "delivery", orderItems = []) {
-    // Validar orderType
-    const validOrderType =
-      orderType === "pickup" || orderType === "delivery"
-        ? orderType
-        : "delivery";
-
-    // ALTERAÇÃO: Validação mais robusta para prevenir cálculos incorretos
-    // Calcular tempo total de preparo somando todos os produtos (considerando quantidade)
-    let totalProductPrepTime = 0;
-    if (Array.isArray(orderItems) && orderItems.length > 0) {
-      orderItems.forEach((item) => {
-        // Validar e converter valores numéricos de forma segura
-        const prepTime = Math.max(0, parseFloat(item.product?.preparation_time_minutes || 
-                        item.preparation_time_minutes || 0) || 0);
-        const quantity = Math.max(1, parseInt(item.quantity || 1, 10) || 1);
-        // Validar que não há overflow antes de somar
-        const itemPrepTime = prepTime * quantity;
-        if (isFinite(itemPrepTime) && itemPrepTime >= 0) {
-          totalProductPrepTime += itemPrepTime;
-        }
-      });
-    }
-    // Garantir que o tempo total é um número válido
-    totalProductPrepTime = Math.max(0, isFinite(totalProductPrepTime) ? totalProductPrepTime : 0);
-
-    if (!estimatedTimesCache) {
-      // Fallback se não carregou os tempos
-      const systemPrep = 20; // Fallback padrão (usado apenas se não houver produtos)
-      const preparation = totalProductPrepTime > 0 ? totalProductPrepTime : systemPrep;
-      const delivery = validOrderType === "delivery" ? 15 : 0;
-      const total = 5 + preparation + 5 + delivery;
-      return {
-        minTime: total,
-        maxTime: total + 15,
-      };
-    }
-
-    // Extrair prazos do cache (com fallbacks seguros)
-    const initiation = Number(estimatedTimesCache.initiation_minutes) || 5;
-    const systemPreparation = Number(estimatedTimesCache.preparation_minutes) || 20;
-    const dispatch = Number(estimatedTimesCache.dispatch_minutes) || 5;
-    const delivery =
-      validOrderType === "delivery"
-        ? Number(estimatedTimesCache.delivery_minutes) || 15
-        : 0;
-
-    // Validar que os valores são números positivos
-    const safeInitiation = Math.max(0, initiation);
-    const safeDispatch = Math.max(0, dispatch);
-    const safeDelivery = Math.max(0, delivery);
-
-    // Usar a soma dos tempos de preparo dos produtos, ou o padrão do sistema se não houver produtos
-    const preparation = totalProductPrepTime > 0 ? totalProductPrepTime : systemPreparation;
-
-    // Calcular tempo total: Iniciação + (Soma dos Tempos de Preparo) + Envio + Entrega
-    const totalMinutes =
-      safeInitiation + preparation + safeDispatch + safeDelivery;
-
-    // Tempo mínimo = soma dos prazos
-    const minTime = Math.max(0, totalMinutes);
-
-    // Tempo máximo = soma dos prazos + 15 minutos (margem de segurança)
-    const maxTime = Math.max(minTime, totalMinutes + 15);
-
-    return { minTime, maxTime };
-  }
-
   /**
    * Máximo de requisições simultâneas para evitar sobrecarga da API
    * @constant
@@ -432,6 +354,7 @@ import { socketService } from "../api/socket-client.js";
    */
   function getStatusCssClass(status) {
     const statusMap = {
+      scheduled: "agendado",
       pending: "novo",
       preparing: "preparo",
       ready: "pronto",
@@ -586,8 +509,11 @@ import { socketService } from "../api/socket-client.js";
             ? order.order_type
             : "delivery";
         // Passar itens do pedido para calcular usando maior tempo de preparo dos produtos
-        const timeEstimate = calculateEstimatedDeliveryTime(orderType, items);
-        const tempoTexto = `${timeEstimate.minTime} - ${timeEstimate.maxTime} min`;
+        const timeEstimate = calculateEstimatedDeliveryTime(estimatedTimesCache, orderType, items);
+        // Agendado exibe a janela escolhida em vez da estimativa
+        const tempoTexto = isScheduledOrder(order)
+          ? `Agendado: ${formatScheduledFor(order.scheduled_for)}`
+          : `${timeEstimate.minTime} - ${timeEstimate.maxTime} min`;
 
         // ALTERAÇÃO: Buscar promoções para todos os itens em paralelo
         const itemsWithPromotions = await Promise.all(
@@ -877,6 +803,10 @@ import { socketService } from "../api/socket-client.js";
                                 <span class="total-value">R$ ${totalFormatted}</span>
                             </div>
                         </div>
+                        ${renderReviewButton(order, safeOrderId)}
+                        ${REORDERABLE_ORDER_STATUSES.includes(order.status) ? `<button class="order-action-btn order-action-btn--secundario btn-reorder" data-order-id="${safeOrderId}">
+                          <i class="fa-solid fa-rotate-right" aria-hidden="true"></i> Pedir novamente
+                        </button>` : ""}
                         <button class="order-action-btn btn-view-details" data-order-id="${safeOrderId}">Ver mais</button>
                     </div>
                 </div>`;
@@ -886,12 +816,75 @@ import { socketService } from "../api/socket-client.js";
     el.ordersContainer.innerHTML = ordersHtml;
   }
 
+  /**
+   * Botão de avaliação para pedidos entregues/concluídos
+   * Pedidos já avaliados (review_rating na listagem) mostram a nota dada.
+   * @param {Object} order - Pedido
+   * @param {string} safeOrderId - ID já escapado
+   * @returns {string} HTML do botão (vazio se o pedido não pode ser avaliado)
+   */
+  function renderReviewButton(order, safeOrderId) {
+    if (!REVIEWABLE_ORDER_STATUSES.includes(order.status)) return "";
+
+    const rating = parseInt(order.review_rating, 10);
+    if (rating > 0) {
+      return `<button class="order-action-btn order-action-btn--secundario btn-review" data-order-id="${safeOrderId}">
+                ${renderStars(rating)} Ver avaliação
+              </button>`;
+    }
+    return `<button class="order-action-btn order-action-btn--secundario btn-review" data-order-id="${safeOrderId}">
+              <i class="fa-regular fa-star" aria-hidden="true"></i> Avaliar pedido
+            </button>`;
+  }
+
+  /**
+   * Readiciona os itens do pedido à cesta (conferindo estoque e preço atuais)
+   * e leva o cliente para a home com a cesta aberta
+   * @param {number} orderId - ID do pedido
+   * @param {HTMLButtonElement} btn - Botão clicado (desabilitado durante a operação)
+   */
+  async function reorder(orderId, btn) {
+    if (btn.disabled) return;
+    btn.disabled = true;
+
+    try {
+      let order = state.orders.find((o) => Number(o.id) === orderId);
+      // Listagem pode vir sem itens: buscar detalhes completos
+      if (!order?.items?.length) {
+        const details = await getOrderDetails(orderId);
+        if (!details.success) throw new Error(details.error || "pedido não encontrado");
+        order = details.data;
+      }
+
+      const result = await reorderItems(order?.items || []);
+      const summary = summarizeReorder(result);
+      showToast(summary.message, {
+        type: summary.type,
+        title: summary.title,
+        autoClose: result.skipped.length > 0 ? 8000 : 3000,
+      });
+
+      if (result.added.length > 0) {
+        localStorage.setItem("royal_abrir_modal_cesta", "true");
+        setTimeout(() => {
+          window.location.href = "../../index.html";
+        }, result.skipped.length > 0 ? 4000 : 1000);
+      }
+    } catch (error) {
+      showError("Erro ao repetir pedido: " + error.message);
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
   /**
    * Redirecionar para página de detalhes (apenas navegação)
    * @param {number} orderId - ID do pedido
+   * @param {Object} [options]
+   * @param {boolean} [options.review=false] - Abrir direto na avaliação
    * @returns {void}
    */
-  function loadOrderDetails(orderId) {
+  function loadOrderDetails(orderId, { review = false } = {}) {
     // Validar orderId antes de redirecionar
     const orderIdNum = parseInt(String(orderId), 10);
     if (isNaN(orderIdNum) || orderIdNum <= 0) {
@@ -901,7 +894,8 @@ import { socketService } from "../api/socket-client.js";
 
     // Escapar orderId na URL para prevenir XSS
     const safeOrderId = encodeURIComponent(String(orderIdNum));
-    window.location.href = `info-pedido.html?id=${safeOrderId}`;
+    // Avaliação: abrir os detalhes já no formulário
+    window.location.href = `info-pedido.html?id=${safeOrderId}${review ? "#order-review" : ""}`;
   }
 
   // ============================================================================
@@ -963,6 +957,10 @@ import { socketService } from "../api/socket-client.js";
 
         if (btn.classList.contains("btn-view-details")) {
           loadOrderDetails(orderIdNum);
+        } else if (btn.classList.contains("btn-review")) {
+          loadOrderDetails(orderIdNum, { review: true });
+        } else if (btn.classList.contains("btn-reorder")) {
+          reorder(orderIdNum, btn);
         }
       });
     }
@@ -19,12 +19,23 @@ import {
   createAddress,
   updateAddress,
 } from "../api/address.js";
-import { createOrder, calculateOrderTotal } from "../api/orders.js";
+import { calculateOrderTotal } from "../api/orders.js";
+import {
+  isStoreOpen,
+  getStoreHours,
+  getStoreHourExceptions,
+} from "../api/store.js";
 import { getCart, removeCartItem } from "../api/cart.js";
 import { getPromotionByProductId } from "../api/promotions.js";
+import {
+  validateCoupon,
+  checkCouponEligibility,
+  calculateCouponDiscount,
+  normalizeCouponCode,
+} from "../api/coupons.js";
 import { simulateProductCapacity } from "../api/products.js";
 import { showError, showSuccess, showToast, showConfirm } from "./alerts.js";
-import { getIngredients } from "../api/ingredients.js";
+import { getIngredientsCatalog } from "../api/ingredients.js";
 import { API_BASE_URL } from "../api/api.js";
 import { validateCPF } from "../utils/validators.js";
 import { calculatePriceWithPromotion, formatPrice, isPromotionActive } from "../utils/price-utils.js";
@@ -33,6 +44,27 @@ import { calculatePriceWithPromotion, formatPrice, isPromotionActive } from "../
 // Importação estática garante que o módulo esteja disponível quando necessário
 import * as settingsHelper from "../utils/settings-helper.js";
 import { escapeHTML } from "../utils/html-sanitizer.js";
+import { orderQueue, ORDER_QUEUE_EVENTS } from "../utils/order-queue.js";
+import {
+  buildScheduleSlots,
+  groupSlotsByDay,
+  formatScheduledFor,
+  SCHEDULE_DEFAULTS,
+} from "../utils/schedule-utils.js";
+import { toDateKey } from "../utils/store-hours-utils.js";
+import {
+  SPLIT_PAYMENT_METHOD,
+  MAX_SPLIT_PARTS,
+  formatTenderMethod,
+  formatTenderLine,
+  sumPayments,
+  validateSplitPayments,
+} from "../utils/split-payment-utils.js";
+import {
+  getOrderPixAmount,
+  getPixPayloadForOrder,
+  renderPixPayment,
+} from "./components/pix-payment.js";
 
 // Constantes para validação e limites
 const VALIDATION_LIMITS = {
@@ -62,8 +94,22 @@ const VALIDATION_LIMITS = {
     usarPontos: false,
     pontosDisponiveis: 0,
     pontosParaUsar: 0,
+    cupom: null, // Cupom validado pelo backend (null quando nenhum aplicado)
+    descontoCupom: 0,
+    cupomErro: null, // Motivo pelo qual o cupom aplicado deixou de valer para a cesta atual
     subtotal: 0,
     taxaEntrega: 5.0, // Fallback padrão (será carregado dinamicamente)
+    zonaEntrega: null, // Zona que atende o endereço selecionado (null = taxa única ou retirada)
+    entregaIndisponivel: null, // Motivo quando o endereço está fora da área de entrega
+    pedidoMinimoZona: 0,
+    prazoZona: null, // Tempo de deslocamento da zona em minutos (substitui delivery_minutes)
+    lojaAberta: true, // Com a loja fechada o pedido só pode ser agendado
+    modoAgendamento: "agora", // 'agora' ou 'agendar'
+    agendamento: null, // Início da janela escolhida (ISO 8601)
+    slotsAgendamento: [],
+    horariosLoja: [],
+    excecoesHorario: [], // Feriados e horários especiais no período de agendamento
+    configAgendamento: { ...SCHEDULE_DEFAULTS },
     descontos: 0,
     total: 0,
     loading: false,
@@ -72,7 +118,9 @@ const VALIDATION_LIMITS = {
     modoEdicao: false,
     enderecoEditando: null,
     valorTroco: null,
+    pagamentosDivididos: [], // Partes do pagamento dividido ({method, amount, amount_paid})
     pedidoConfirmado: false,
+    envioPendente: false, // Pedido salvo na fila offline aguardando conexão
     ingredientsCache: null, // Cache para preços dos ingredientes
   };
 
@@ -89,8 +137,15 @@ const VALIDATION_LIMITS = {
       enderecoDescricao: document.querySelector("#endereco-bairro"),
       enderecoSelecionado: document.querySelector("#endereco-selecionado"),
       btnSelecionarEndereco: document.querySelector("#btn-selecionar-endereco"),
+      zonaMensagem: document.querySelector("#zona-entrega-mensagem"),
       listaEnderecos: document.querySelector("#lista-enderecos"),
 
+      // Agendamento
+      btnPedirAgora: document.querySelector("#btn-pedir-agora"),
+      btnAgendar: document.querySelector("#btn-agendar"),
+      selectAgendamento: document.querySelector("#horario-agendamento"),
+      agendamentoMensagem: document.querySelector("#agendamento-mensagem"),
+
       // Modal pai - Lista de endereços
       modalEnderecos: document.querySelector("#modal-enderecos"),
       listaEnderecosModal: document.querySelector("#lista-enderecos-modal"),
@@ -119,6 +174,13 @@ const VALIDATION_LIMITS = {
       btnConfirmarPedido: document.querySelector("#btn-confirmar-pedido"),
       trocoInfo: document.querySelector("#troco-info"),
       cartaoTipoInfo: document.querySelector("#cartao-tipo-info"), // ALTERAÇÃO: Elemento para exibir tipo de cartão
+      divisaoInfo: document.querySelector("#divisao-info"),
+
+      // Pagamento dividido
+      modalDividirPagamento: document.querySelector("#modal-dividir-pagamento"),
+      partesPagamento: document.querySelector("#partes-pagamento"),
+      btnAdicionarParte: document.querySelector("#btn-adicionar-parte"),
+      divisaoRestante: document.querySelector("#divisao-restante"),
 
       // CPF
       cpfInput: document.querySelector('input[name="cpf"]'),
@@ -140,6 +202,16 @@ const VALIDATION_LIMITS = {
       ),
       descontoPontos: document.querySelector("#desconto-pontos-valor"),
 
+      // Cupom
+      cupomForm: document.querySelector("#cupom-form"),
+      cupomInput: document.querySelector("#cupom-codigo"),
+      btnAplicarCupom: document.querySelector("#btn-aplicar-cupom"),
+      cupomMensagem: document.querySelector("#cupom-mensagem"),
+      cupomAplicado: document.querySelector("#cupom-aplicado"),
+      cupomAplicadoCodigo: document.querySelector("#cupom-aplicado-codigo"),
+      descontoCupom: document.querySelector("#desconto-cupom-valor"),
+      btnRemoverCupom: document.querySelector("#btn-remover-cupom"),
+
       // Botão
       btnFazerPedido: document.querySelector(".pagamento button"),
     };
@@ -189,16 +261,13 @@ const VALIDATION_LIMITS = {
     }
 
     try {
-      const response = await getIngredients({ page_size: 1000 });
+      // Catálogo compartilhado com a página do pedido (cacheManager: memória → IndexedDB)
+      const ingredients = await getIngredientsCatalog({ forceReload });
       // Validar resposta antes de processar
-      if (
-        response &&
-        Array.isArray(response.items) &&
-        response.items.length > 0
-      ) {
+      if (ingredients.length > 0) {
         // Criar mapa de ID -> preço adicional (normalizar IDs como string)
         state.ingredientsCache = {};
-        response.items.forEach((ingredient) => {
+        ingredients.forEach((ingredient) => {
           if (ingredient && ingredient.id != null) {
             // Normalizar ID para string para garantir busca consistente
             const id = String(ingredient.id);
@@ -577,8 +646,8 @@ const VALIDATION_LIMITS = {
           state.enderecoSelecionado = state.enderecos[0];
           state.endereco = { ...state.enderecos[0], order_type: "delivery" }; // Adicionar order_type para delivery
         }
-        // Atualizar resumo após carregar endereço padrão
-        renderResumo();
+        // Resolver zona do endereço padrão e atualizar resumo
+        await atualizarZonaEntrega();
       }
     } catch (error) {
       // Log apenas em desenvolvimento
@@ -690,14 +759,40 @@ const VALIDATION_LIMITS = {
     const totalAntesDesconto =
       state.subtotal + (isPickupOrder() ? 0 : taxaEntregaValida);
 
+    // Desconto do cupom: aplicado antes dos pontos (pontos cobrem apenas o que sobrar)
+    // A elegibilidade é reavaliada a cada recálculo porque a cesta, o tipo de pedido
+    // e o uso de pontos podem mudar depois que o cupom foi validado
+    state.descontoCupom = 0;
+    state.cupomErro = null;
+    if (state.cupom) {
+      const elegibilidade = checkCouponEligibility(state.cupom, {
+        subtotal: state.subtotal,
+        isPickup: isPickupOrder(),
+        usingPoints: state.usarPontos && state.pontosParaUsar > 0,
+      });
+      if (elegibilidade.valid) {
+        state.descontoCupom = Math.min(
+          calculateCouponDiscount(
+            state.cupom,
+            state.subtotal,
+            isPickupOrder() ? 0 : taxaEntregaValida
+          ),
+          totalAntesDesconto
+        );
+      } else {
+        state.cupomErro = elegibilidade.error;
+      }
+    }
+    const totalAposCupom = totalAntesDesconto - state.descontoCupom;
+
     // Validar resgate de pontos se estiver usando
     // IMPORTANTE: O desconto pode ser aplicado sobre subtotal + entrega (se delivery)
-    // conforme o backend: total_with_delivery = subtotal + delivery_fee
+    // conforme o backend: total_with_delivery = subtotal + delivery_fee - cupom
     if (state.usarPontos && state.pontosParaUsar > 0) {
       const validacao = validatePointsRedemption(
         state.pontosDisponiveis,
         state.pontosParaUsar,
-        totalAntesDesconto // Usar total com entrega para validação
+        totalAposCupom // Usar total com entrega (já descontado o cupom) para validação
       );
 
       if (!validacao.valid) {
@@ -743,28 +838,33 @@ const VALIDATION_LIMITS = {
         ? descontoPontos
         : 0;
     
-    // ALTERAÇÃO: Total de descontos = descontos de promoções + descontos de pontos
-    // O desconto de pontos é limitado ao total antes do desconto
-    const descontoPontosLimitado = Math.min(descontoPontosValido, totalAntesDesconto);
-    state.descontos = descontosPromocoes + descontoPontosLimitado;
+    // ALTERAÇÃO: Total de descontos = promoções + cupom + pontos
+    // O desconto de pontos é limitado ao que resta após o cupom
+    const descontoPontosLimitado = Math.min(descontoPontosValido, totalAposCupom);
+    state.descontos =
+      descontosPromocoes + state.descontoCupom + descontoPontosLimitado;
 
     // CORREÇÃO: O subtotal já tem desconto de promoções aplicado
-    // Então o total = subtotal (com desconto de promoções) + taxa - desconto de pontos
-    // Ou seja: total = subtotal + taxa - descontoPontosLimitado
-    const totalCalculado = totalAntesDesconto - descontoPontosLimitado;
+    // Então o total = subtotal (com desconto de promoções) + taxa - cupom - desconto de pontos
+    const totalCalculado = totalAposCupom - descontoPontosLimitado;
     state.total =
       Number.isFinite(totalCalculado) && totalCalculado >= 0
         ? totalCalculado
         : 0;
 
     // Atualizar exibição do troco se dinheiro estiver selecionado
-    // Se o total ficou 0 devido aos pontos, limpar o troco
+    // Se o total ficou 0 devido aos pontos ou ao cupom, limpar o troco
     if (state.formaPagamento === "dinheiro") {
-      if (state.total <= 0 && state.usarPontos) {
+      if (isPedidoQuitadoPorDescontos()) {
         state.valorTroco = null;
       }
       atualizarExibicaoTroco();
     }
+
+    // Com o total alterado (cupom, pontos, entrega) a divisão pode não fechar mais
+    if (state.formaPagamento === "dividido") {
+      atualizarExibicaoDivisao();
+    }
   }
 
   // Renderizar itens da cesta
@@ -997,13 +1097,370 @@ const VALIDATION_LIMITS = {
     // IMPORTANTE: O desconto pode ser aplicado sobre subtotal + entrega (se delivery)
     if (el.descontoPontos) {
       const totalAntesDesconto =
-        state.subtotal + (isPickupOrder() ? 0 : state.taxaEntrega);
+        state.subtotal +
+        (isPickupOrder() ? 0 : state.taxaEntrega) -
+        state.descontoCupom;
       const descontoMaximo = Math.min(
         calculateDiscountFromPoints(state.pontosDisponiveis),
-        totalAntesDesconto
+        Math.max(0, totalAntesDesconto)
       );
       el.descontoPontos.textContent = `-${formatBRL(descontoMaximo)}`;
     }
+
+    renderCupom();
+    renderAvisoZona();
+  }
+
+  /**
+   * Indica se não há valor a pagar porque pontos e/ou cupom cobriram o pedido
+   * @returns {boolean}
+   */
+  function isPedidoQuitadoPorDescontos() {
+    if (state.total > 0) return false;
+    const usandoPontos = state.usarPontos && state.pontosParaUsar > 0;
+    const usandoCupom = !!state.cupom && state.descontoCupom > 0;
+    return usandoPontos || usandoCupom;
+  }
+
+  // ====== ZONAS DE ENTREGA ======
+
+  /**
+   * Resolve a zona que atende o endereço selecionado e aplica taxa, pedido mínimo e prazo dela.
+   * O cálculo local responde na hora; em seguida o backend confirma via calculateOrderTotal,
+   * que é quem decide (zonas por raio dependem das coordenadas que só o backend conhece).
+   */
+  async function atualizarZonaEntrega() {
+    state.zonaEntrega = null;
+    state.entregaIndisponivel = null;
+    state.pedidoMinimoZona = 0;
+    state.prazoZona = null;
+
+    const enderecoAtual = state.endereco;
+    if (!enderecoAtual || isPickupOrder()) {
+      renderResumo();
+      return;
+    }
+
+    try {
+      const quote = await settingsHelper.getDeliveryQuote(enderecoAtual);
+      // Cliente trocou de endereço durante a consulta: a chamada mais recente vence
+      if (state.endereco !== enderecoAtual) return;
+
+      if (!quote.available) {
+        state.entregaIndisponivel = quote.reason;
+      } else if (quote.zone) {
+        state.zonaEntrega = quote.zone;
+        state.taxaEntrega = quote.fee;
+        state.pedidoMinimoZona = quote.min_order_value;
+        state.prazoZona = quote.eta_minutes;
+      }
+
+      await confirmarZonaNoBackend(enderecoAtual);
+    } catch (error) {
+      // Log apenas em desenvolvimento
+      const isDev =
+        typeof process !== "undefined" &&
+        process.env?.NODE_ENV === "development";
+      if (isDev) {
+        console.error("Erro ao resolver zona de entrega:", error.message);
+      }
+    }
+
+    if (state.endereco !== enderecoAtual) return;
+    renderResumo();
+  }
+
+  /**
+   * Confirma taxa e disponibilidade da entrega com o backend
+   * Falhas de rede mantêm o resultado local; o pedido é revalidado na criação.
+   * @param {Object} enderecoAtual - Endereço para o qual a zona foi resolvida
+   */
+  async function confirmarZonaNoBackend(enderecoAtual) {
+    const addressId = validateId(enderecoAtual.id, "address_id");
+    const items = state.cesta
+      .map((item) => ({
+        product_id: validateId(item.id),
+        quantity: item.quantidade,
+      }))
+      .filter((item) => item.product_id);
+    if (!addressId || items.length === 0) return;
+
+    const result = await calculateOrderTotal(items, 0, "delivery", {
+      address_id: addressId,
+      delivery_zone_id: state.zonaEntrega?.id,
+    });
+    if (!result.success || state.endereco !== enderecoAtual) return;
+
+    const data = result.data || {};
+    if (data.delivery_available === false) {
+      state.zonaEntrega = null;
+      state.entregaIndisponivel =
+        data.delivery_unavailable_reason || "Ainda não entregamos neste endereço";
+      return;
+    }
+
+    // Backend aceitou o endereço: prevalece sobre a recusa do cálculo local
+    state.entregaIndisponivel = null;
+
+    const fee = parseFloat(data.delivery_fee);
+    if (Number.isFinite(fee) && fee >= 0) {
+      state.taxaEntrega = fee;
+    }
+    if (data.delivery_zone) {
+      state.zonaEntrega = data.delivery_zone;
+      const minOrder = parseFloat(data.delivery_zone.min_order_value);
+      state.pedidoMinimoZona = Number.isFinite(minOrder) && minOrder > 0 ? minOrder : 0;
+      const eta = parseInt(data.delivery_zone.eta_minutes, 10);
+      state.prazoZona = Number.isFinite(eta) && eta > 0 ? eta : null;
+    }
+  }
+
+  /**
+   * Motivo que impede entregar o pedido no endereço atual
+   * @returns {string|null} Mensagem para o cliente ou null se a entrega é permitida
+   */
+  function getBloqueioEntrega() {
+    if (isPickupOrder()) return null;
+
+    if (state.entregaIndisponivel) {
+      return `${state.entregaIndisponivel}. Escolha outro endereço ou retire no local.`;
+    }
+
+    if (state.pedidoMinimoZona > 0 && state.subtotal < state.pedidoMinimoZona) {
+      const zona = state.zonaEntrega?.name ? ` em ${state.zonaEntrega.name}` : "";
+      return `Pedido mínimo de ${formatBRL(state.pedidoMinimoZona)} para entrega${zona}.`;
+    }
+
+    return null;
+  }
+
+  function renderAvisoZona() {
+    if (!el.zonaMensagem) return;
+    const mensagem = getBloqueioEntrega();
+    el.zonaMensagem.textContent = mensagem || "";
+    el.zonaMensagem.style.display = mensagem ? "block" : "none";
+  }
+
+  // ====== AGENDAMENTO ======
+
+  /**
+   * Carrega status da loja e horários de funcionamento para montar as janelas de agendamento
+   * Falha ao consultar o status não bloqueia o checkout: o backend revalida na criação do pedido.
+   */
+  async function carregarAgendamento() {
+    try {
+      const config = await settingsHelper.getSchedulingSettings();
+      // Ontem entra na busca por causa de turnos que atravessam a meia-noite
+      const ontem = new Date();
+      ontem.setDate(ontem.getDate() - 1);
+      const ultimoDia = new Date();
+      ultimoDia.setDate(ultimoDia.getDate() + config.max_days_ahead);
+
+      const [statusLoja, horarios, excecoes] = await Promise.all([
+        isStoreOpen(),
+        getStoreHours(),
+        getStoreHourExceptions({ from: toDateKey(ontem), to: toDateKey(ultimoDia) }),
+      ]);
+
+      state.lojaAberta = statusLoja.success ? statusLoja.isOpen : true;
+      state.horariosLoja = horarios.success ? horarios.data : [];
+      state.excecoesHorario = excecoes.success ? excecoes.data : [];
+      state.configAgendamento = config;
+    } catch (error) {
+      // Log apenas em desenvolvimento
+      const isDev =
+        typeof process !== "undefined" &&
+        process.env?.NODE_ENV === "development";
+      if (isDev) {
+        console.error("Erro ao carregar agendamento:", error.message);
+      }
+    }
+
+    if (!state.lojaAberta) {
+      state.modoAgendamento = "agendar";
+    }
+    atualizarSlotsAgendamento();
+    renderAgendamento();
+  }
+
+  /**
+   * Recalcula as janelas disponíveis
+   * Só oferece horários que dão tempo de preparar e entregar a cesta atual;
+   * uma escolha que deixou de estar disponível é descartada.
+   */
+  function atualizarSlotsAgendamento() {
+    const orderType = isPickupOrder() ? "pickup" : "delivery";
+    state.slotsAgendamento = buildScheduleSlots(state.horariosLoja, {
+      exceptions: state.excecoesHorario,
+      slotMinutes: state.configAgendamento.slot_minutes,
+      daysAhead: state.configAgendamento.max_days_ahead,
+      minLeadMinutes: calculateEstimatedDeliveryTime(orderType).minTime,
+    });
+
+    if (
+      state.agendamento &&
+      !state.slotsAgendamento.some((slot) => slot.value === state.agendamento)
+    ) {
+      state.agendamento = null;
+    }
+  }
+
+  function renderAgendamento() {
+    const agendando = state.modoAgendamento === "agendar";
+
+    if (el.btnPedirAgora) {
+      el.btnPedirAgora.classList.toggle("selecionado", !agendando);
+      el.btnPedirAgora.disabled = !state.lojaAberta;
+    }
+    if (el.btnAgendar) {
+      el.btnAgendar.classList.toggle("selecionado", agendando);
+    }
+
+    if (el.selectAgendamento) {
+      const select = el.selectAgendamento;
+      select.innerHTML = "";
+
+      const placeholder = document.createElement("option");
+      placeholder.value = "";
+      placeholder.textContent = "Escolha um horário";
+      select.appendChild(placeholder);
+
+      groupSlotsByDay(state.slotsAgendamento).forEach((grupo) => {
+        const optgroup = document.createElement("optgroup");
+        optgroup.label = grupo.label;
+        grupo.slots.forEach((slot) => {
+          const option = document.createElement("option");
+          option.value = slot.value;
+          option.textContent = formatScheduledFor(
+            slot.value,
+            state.configAgendamento.slot_minutes
+          ).replace(`${grupo.label}, `, "");
+          optgroup.appendChild(option);
+        });
+        select.appendChild(optgroup);
+      });
+
+      select.value = state.agendamento || "";
+      select.style.display =
+        agendando && state.slotsAgendamento.length > 0 ? "block" : "none";
+    }
+
+    if (el.agendamentoMensagem) {
+      let mensagem = "";
+      if (agendando && state.slotsAgendamento.length === 0) {
+        mensagem = "Não há horários disponíveis para agendamento nos próximos dias.";
+      } else if (!state.lojaAberta) {
+        mensagem = "A loja está fechada agora. Agende seu pedido para um dos horários disponíveis.";
+      }
+      el.agendamentoMensagem.textContent = mensagem;
+      el.agendamentoMensagem.style.display = mensagem ? "block" : "none";
+    }
+
+    atualizarExibicaoTempo();
+  }
+
+  /**
+   * Motivo que impede finalizar o pedido no modo de agendamento atual
+   * @returns {string|null} Mensagem para o cliente ou null se pode seguir
+   */
+  function getBloqueioAgendamento() {
+    if (state.modoAgendamento !== "agendar") {
+      return state.lojaAberta
+        ? null
+        : "A loja está fechada agora. Escolha um horário para agendar seu pedido.";
+    }
+
+    if (!state.agendamento) {
+      return "Escolha um horário para o agendamento.";
+    }
+
+    // A janela pode ter expirado enquanto o cliente estava na página
+    atualizarSlotsAgendamento();
+    if (!state.agendamento) {
+      renderAgendamento();
+      return "O horário escolhido não está mais disponível. Escolha outro horário.";
+    }
+
+    return null;
+  }
+
+  // ====== CUPOM DE DESCONTO ======
+
+  function mostrarMensagemCupom(mensagem, tipo = "erro") {
+    if (!el.cupomMensagem) return;
+    el.cupomMensagem.textContent = mensagem || "";
+    el.cupomMensagem.className = `cupom-mensagem ${tipo}`;
+    el.cupomMensagem.style.display = mensagem ? "block" : "none";
+  }
+
+  // Renderizar estado do cupom (campo de código ou cupom aplicado)
+  function renderCupom() {
+    const temCupom = !!state.cupom;
+
+    if (el.cupomForm) el.cupomForm.style.display = temCupom ? "none" : "flex";
+    if (el.cupomAplicado)
+      el.cupomAplicado.style.display = temCupom ? "flex" : "none";
+
+    if (!temCupom) return;
+
+    if (el.cupomAplicadoCodigo)
+      el.cupomAplicadoCodigo.textContent = state.cupom.code;
+    if (el.descontoCupom)
+      el.descontoCupom.textContent = `-${formatBRL(state.descontoCupom)}`;
+
+    // Cupom continua aplicado, mas sem efeito até a cesta voltar a atender às regras
+    mostrarMensagemCupom(state.cupomErro, "erro");
+  }
+
+  async function aplicarCupom() {
+    const codigo = normalizeCouponCode(el.cupomInput?.value);
+    if (!codigo) {
+      mostrarMensagemCupom("Informe o código do cupom.");
+      return;
+    }
+
+    if (el.btnAplicarCupom) el.btnAplicarCupom.disabled = true;
+    mostrarMensagemCupom("");
+
+    try {
+      const usandoPontos = state.usarPontos && state.pontosParaUsar > 0;
+      const result = await validateCoupon(codigo, {
+        subtotal: state.subtotal,
+        order_type: isPickupOrder() ? "pickup" : "delivery",
+        points_to_redeem: usandoPontos ? state.pontosParaUsar : 0,
+      });
+
+      if (!result.success) {
+        mostrarMensagemCupom(result.error || "Cupom inválido.");
+        return;
+      }
+
+      const cupom = { ...result.data, code: result.data?.code || codigo };
+      const elegibilidade = checkCouponEligibility(cupom, {
+        subtotal: state.subtotal,
+        isPickup: isPickupOrder(),
+        usingPoints: usandoPontos,
+      });
+
+      if (!elegibilidade.valid) {
+        mostrarMensagemCupom(elegibilidade.error);
+        return;
+      }
+
+      state.cupom = cupom;
+      if (el.cupomInput) el.cupomInput.value = "";
+      calcularTotais();
+      renderResumo();
+    } finally {
+      if (el.btnAplicarCupom) el.btnAplicarCupom.disabled = false;
+    }
+  }
+
+  function removerCupom() {
+    state.cupom = null;
+    mostrarMensagemCupom("");
+    calcularTotais();
+    renderResumo();
   }
 
   /**
@@ -1052,7 +1509,7 @@ const VALIDATION_LIMITS = {
       // Fallback se não carregou os tempos
       const systemPrep = 20; // Fallback padrão (usado apenas se não houver produtos)
       const preparation = totalProductPrepTime > 0 ? totalProductPrepTime : systemPrep;
-      const delivery = orderType === "delivery" ? 15 : 0;
+      const delivery = orderType === "delivery" ? state.prazoZona || 15 : 0;
       const total = 5 + preparation + 5 + delivery;
       return {
         minTime: total,
@@ -1064,8 +1521,11 @@ const VALIDATION_LIMITS = {
     const initiation = estimatedTimesCache.initiation_minutes || 5;
     const systemPreparation = estimatedTimesCache.preparation_minutes || 20;
     const dispatch = estimatedTimesCache.dispatch_minutes || 5;
+    // Zona de entrega com prazo próprio substitui o tempo de entrega padrão
     const delivery =
-      orderType === "delivery" ? estimatedTimesCache.delivery_minutes || 15 : 0;
+      orderType === "delivery"
+        ? state.prazoZona || estimatedTimesCache.delivery_minutes || 15
+        : 0;
 
     // Usar a soma dos tempos de preparo dos produtos, ou o padrão do sistema se não houver produtos
     const preparation = totalProductPrepTime > 0 ? totalProductPrepTime : systemPreparation;
@@ -1122,7 +1582,13 @@ const VALIDATION_LIMITS = {
 
     const orderType = isPickup ? "pickup" : "delivery";
     const timeEstimate = calculateEstimatedDeliveryTime(orderType);
-    const tempoTexto = `${timeEstimate.minTime} - ${timeEstimate.maxTime} min`;
+    const agendado =
+      state.modoAgendamento === "agendar" && state.agendamento
+        ? formatScheduledFor(state.agendamento, state.configAgendamento.slot_minutes)
+        : "";
+    const tempoTexto = agendado
+      ? `Agendado: ${agendado}`
+      : `${timeEstimate.minTime} - ${timeEstimate.maxTime} min`;
 
     // Atualizar elemento de tempo na seção de endereço
     const tempoElement = document.querySelector(".endereco .informa .tempo");
@@ -1146,7 +1612,7 @@ const VALIDATION_LIMITS = {
           if (tempoParagraph) {
             // Manter o formato "Hoje, X - Y min" se já tiver "Hoje"
             const currentText = tempoParagraph.textContent.trim();
-            if (currentText.includes("Hoje")) {
+            if (currentText.includes("Hoje") && !agendado) {
               tempoParagraph.textContent = `Hoje, ${tempoTexto}`;
             } else {
               tempoParagraph.textContent = tempoTexto;
@@ -1417,7 +1883,7 @@ const VALIDATION_LIMITS = {
       state.endereco = { type: "pickup", order_type: "pickup" }; // Usar order_type para compatibilidade com backend
       renderEndereco();
       renderListaEnderecosModal(); // Re-renderizar para mostrar seleção
-      renderResumo(); // Atualizar resumo para zerar taxa de entrega
+      atualizarZonaEntrega(); // Limpar zona e zerar taxa de entrega
       fecharModalEnderecos();
     } else {
       // Selecionar endereço de entrega
@@ -1427,7 +1893,7 @@ const VALIDATION_LIMITS = {
         state.endereco = { ...endereco, order_type: "delivery" }; // Adicionar order_type para delivery
         renderEndereco();
         renderListaEnderecosModal(); // Re-renderizar para mostrar seleção
-        renderResumo(); // Atualizar resumo para aplicar taxa de entrega
+        atualizarZonaEntrega(); // Aplicar taxa, pedido mínimo e prazo da zona do endereço
         fecharModalEnderecos();
       }
     }
@@ -1461,7 +1927,7 @@ const VALIDATION_LIMITS = {
           state.enderecoSelecionado = novoEndereco;
           state.endereco = { ...novoEndereco, order_type: "delivery" }; // Adicionar order_type para delivery
           renderEndereco();
-          renderResumo(); // Atualizar resumo para aplicar taxa de entrega
+          atualizarZonaEntrega(); // Aplicar taxa, pedido mínimo e prazo da zona do endereço
         }
       }
 
@@ -1645,6 +2111,7 @@ const VALIDATION_LIMITS = {
         state.enderecoSelecionado = enderecoAtualizado;
         state.endereco = enderecoAtualizado;
         renderEndereco();
+        atualizarZonaEntrega(); // CEP ou bairro podem ter mudado de zona
       }
 
       renderListaEnderecos();
@@ -1674,7 +2141,7 @@ const VALIDATION_LIMITS = {
       state.endereco = { ...endereco, order_type: "delivery" }; // Adicionar order_type para delivery
       renderEndereco();
       renderListaEnderecos();
-      renderResumo(); // Atualizar resumo para aplicar taxa de entrega
+      atualizarZonaEntrega(); // Aplicar taxa, pedido mínimo e prazo da zona do endereço
       fecharListaEnderecos();
     }
   }
@@ -1886,6 +2353,20 @@ const VALIDATION_LIMITS = {
 
           // ALTERAÇÃO: Cartão abre modal para escolher tipo, mantém um só quadro
           const texto = forma.querySelector("p").textContent.toLowerCase();
+          if (texto.includes("dividir")) {
+            state.formaPagamento = "dividido";
+            state.tipoCartao = null;
+            state.valorTroco = null;
+            atualizarExibicaoTroco();
+            atualizarExibicaoTipoCartao();
+            abrirModalDividirPagamento();
+            return;
+          }
+
+          // Qualquer outra forma descarta a divisão
+          state.pagamentosDivididos = [];
+          atualizarExibicaoDivisao();
+
           if (texto.includes("pix")) {
             state.formaPagamento = "pix";
             state.tipoCartao = null; // Limpar tipo de cartão se mudar de pagamento
@@ -1926,6 +2407,46 @@ const VALIDATION_LIMITS = {
       });
     }
 
+    // Pagamento dividido: edição das partes (delegação no container)
+    if (el.partesPagamento) {
+      el.partesPagamento.addEventListener("input", (e) => {
+        const row = e.target.closest(".parte-pagamento");
+        if (!row) return;
+        const parte = state.pagamentosDivididos[Number(row.dataset.index)];
+        if (!parte) return;
+
+        if (e.target.classList.contains("parte-valor")) {
+          parte.amount = parseFloat(e.target.value) || 0;
+        } else if (e.target.classList.contains("parte-troco")) {
+          const valor = parseFloat(e.target.value);
+          parte.amount_paid = Number.isFinite(valor) ? valor : null;
+        }
+        atualizarRestanteDivisao();
+      });
+
+      el.partesPagamento.addEventListener("change", (e) => {
+        if (!e.target.classList.contains("parte-metodo")) return;
+        const row = e.target.closest(".parte-pagamento");
+        const parte = row && state.pagamentosDivididos[Number(row.dataset.index)];
+        if (!parte) return;
+        parte.method = e.target.value;
+        if (parte.method !== "money") parte.amount_paid = null;
+        renderPartesPagamento(); // Mostrar/esconder o campo de troco
+      });
+
+      el.partesPagamento.addEventListener("click", (e) => {
+        const btn = e.target.closest(".btn-remover-parte");
+        if (!btn) return;
+        const row = btn.closest(".parte-pagamento");
+        state.pagamentosDivididos.splice(Number(row.dataset.index), 1);
+        renderPartesPagamento();
+      });
+    }
+
+    if (el.btnAdicionarParte) {
+      el.btnAdicionarParte.addEventListener("click", adicionarParteDivisao);
+    }
+
     // ALTERAÇÃO: Event listeners para botões de tipo de cartão
     if (el.btnCartaoCredito) {
       el.btnCartaoCredito.addEventListener("click", () => {
@@ -1949,6 +2470,20 @@ const VALIDATION_LIMITS = {
     // Usar pontos Royal
     if (el.usarPontosCheckbox) {
       el.usarPontosCheckbox.addEventListener("change", (e) => {
+        // Cupom não cumulativo: impedir que os pontos sejam ativados junto
+        if (
+          e.target.checked &&
+          state.cupom &&
+          state.cupom.stackable_with_points === false
+        ) {
+          e.target.checked = false;
+          showToast(
+            "O cupom aplicado não pode ser combinado com Pontos Royal. Remova o cupom para usar seus pontos.",
+            { type: "info", autoClose: 4000, noButtons: true }
+          );
+          return;
+        }
+
         state.usarPontos = e.target.checked;
         if (state.usarPontos) {
           // Usar todos os pontos disponíveis por padrão
@@ -1961,6 +2496,49 @@ const VALIDATION_LIMITS = {
       });
     }
 
+    // Cupom de desconto
+    if (el.btnAplicarCupom) {
+      el.btnAplicarCupom.addEventListener("click", () => {
+        aplicarCupom();
+      });
+    }
+    if (el.cupomInput) {
+      el.cupomInput.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") {
+          e.preventDefault();
+          aplicarCupom();
+        }
+      });
+    }
+    if (el.btnRemoverCupom) {
+      el.btnRemoverCupom.addEventListener("click", () => {
+        removerCupom();
+      });
+    }
+
+    // Agendamento
+    if (el.btnPedirAgora) {
+      el.btnPedirAgora.addEventListener("click", () => {
+        if (!state.lojaAberta) return;
+        state.modoAgendamento = "agora";
+        state.agendamento = null;
+        renderAgendamento();
+      });
+    }
+    if (el.btnAgendar) {
+      el.btnAgendar.addEventListener("click", () => {
+        state.modoAgendamento = "agendar";
+        atualizarSlotsAgendamento();
+        renderAgendamento();
+      });
+    }
+    if (el.selectAgendamento) {
+      el.selectAgendamento.addEventListener("change", () => {
+        state.agendamento = el.selectAgendamento.value || null;
+        atualizarExibicaoTempo();
+      });
+    }
+
     // Botão fazer pedido
     // Removido - usando implementação que abre modal de revisão
 
@@ -2494,11 +3072,15 @@ const VALIDATION_LIMITS = {
     renderEndereco(); // Esta função também atualiza o tempo
     renderListaEnderecos();
 
+    // Janelas dependem do tempo de preparo da cesta carregada acima
+    await carregarAgendamento();
+
     // Configurar busca de CEP
     configurarBuscaCEP();
     await fetchUFs();
 
     attachEvents();
+    await configurarFilaPedidos();
 
     // Garantir que o valor de desconto seja exibido na inicialização
     // IMPORTANTE: O desconto pode ser aplicado sobre subtotal + entrega (se delivery)
@@ -2601,11 +3183,184 @@ const VALIDATION_LIMITS = {
     }
   }
 
+  // ====== PAGAMENTO DIVIDIDO ======
+
+  function formatarValorDivisao(valor) {
+    return `R$ ${(Number(valor) || 0).toFixed(2).replace(".", ",")}`;
+  }
+
+  function getRestanteDivisao() {
+    return Math.round((state.total - sumPayments(state.pagamentosDivididos)) * 100) / 100;
+  }
+
+  function abrirModalDividirPagamento() {
+    // Começar com duas partes iguais (Pix + dinheiro); a segunda absorve os centavos
+    if (state.pagamentosDivididos.length < 2) {
+      const metade = Math.floor((state.total / 2) * 100) / 100;
+      state.pagamentosDivididos = [
+        { method: "pix", amount: metade, amount_paid: null },
+        {
+          method: "money",
+          amount: Math.round((state.total - metade) * 100) / 100,
+          amount_paid: null,
+        },
+      ];
+    }
+    renderPartesPagamento();
+
+    if (typeof window.abrirModal === "function") {
+      window.abrirModal("modal-dividir-pagamento");
+    } else {
+      const modal = document.getElementById("modal-dividir-pagamento");
+      if (modal) {
+        modal.style.display = "flex";
+        modal.classList.add("show");
+      }
+    }
+  }
+
+  function fecharModalDividirPagamento() {
+    if (typeof window.fecharModal === "function") {
+      window.fecharModal("modal-dividir-pagamento");
+    } else {
+      const modal = document.getElementById("modal-dividir-pagamento");
+      if (modal) {
+        modal.style.display = "none";
+        modal.classList.remove("show");
+      }
+    }
+  }
+
+  function renderPartesPagamento() {
+    if (!el.partesPagamento) return;
+
+    // Retirada no balcão: troco é resolvido no caixa
+    const pedirTroco = !isPickupOrder();
+    const metodos = ["pix", "credit", "debit", "money"];
+
+    el.partesPagamento.innerHTML = state.pagamentosDivididos
+      .map((parte, index) => {
+        const opcoes = metodos
+          .map(
+            (metodo) =>
+              `<option value="${metodo}" ${parte.method === metodo ? "selected" : ""}>${escapeHTML(
+                formatTenderMethod(metodo)
+              )}</option>`
+          )
+          .join("");
+        const campoTroco =
+          pedirTroco && parte.method === "money"
+            ? `<input type="number" class="parte-troco" min="0" step="0.01" placeholder="Troco para" aria-label="Troco para quanto" value="${
+                parte.amount_paid ?? ""
+              }">`
+            : "";
+        const btnRemover =
+          state.pagamentosDivididos.length > 2
+            ? `<button type="button" class="btn-remover-parte" aria-label="Remover parte"><i class="fa-solid fa-trash"></i></button>`
+            : "";
+
+        return `
+          <div class="parte-pagamento" data-index="${index}">
+            <select class="parte-metodo" aria-label="Forma de pagamento">${opcoes}</select>
+            <input type="number" class="parte-valor" min="0" step="0.01" aria-label="Valor da parte" value="${
+              parte.amount || ""
+            }">
+            ${campoTroco}
+            ${btnRemover}
+          </div>
+        `;
+      })
+      .join("");
+
+    if (el.btnAdicionarParte) {
+      el.btnAdicionarParte.style.display =
+        state.pagamentosDivididos.length < MAX_SPLIT_PARTS ? "" : "none";
+    }
+    atualizarRestanteDivisao();
+  }
+
+  function adicionarParteDivisao() {
+    if (state.pagamentosDivididos.length >= MAX_SPLIT_PARTS) return;
+    // Nova parte já vem com o que falta para fechar o total
+    state.pagamentosDivididos.push({
+      method: "pix",
+      amount: Math.max(0, getRestanteDivisao()),
+      amount_paid: null,
+    });
+    renderPartesPagamento();
+  }
+
+  function atualizarRestanteDivisao() {
+    if (!el.divisaoRestante) return;
+    const restante = getRestanteDivisao();
+
+    if (restante > 0) {
+      el.divisaoRestante.textContent = `Restante: ${formatarValorDivisao(restante)}`;
+    } else if (restante < 0) {
+      el.divisaoRestante.textContent = `Excedente: ${formatarValorDivisao(-restante)}`;
+    } else {
+      el.divisaoRestante.textContent = `Total de ${formatarValorDivisao(state.total)} coberto`;
+    }
+    el.divisaoRestante.classList.toggle("divisao-pendente", restante !== 0);
+  }
+
+  function validarDivisaoPagamento() {
+    return validateSplitPayments(state.pagamentosDivididos, state.total, {
+      requireCashPaid: !isPickupOrder(),
+    });
+  }
+
+  function confirmarDivisaoPagamento() {
+    const erro = validarDivisaoPagamento();
+    if (erro) {
+      showError(erro);
+      return;
+    }
+
+    state.formaPagamento = "dividido";
+    fecharModalDividirPagamento();
+    atualizarExibicaoDivisao();
+    atualizarExibicaoPagamento();
+
+    // Mesmo fluxo do troco e do cartão: seguir para a revisão
+    setTimeout(() => {
+      abrirModalRevisao();
+    }, 300);
+  }
+
+  function atualizarExibicaoDivisao() {
+    if (!el.divisaoInfo) return;
+
+    if (state.formaPagamento !== "dividido" || state.pagamentosDivididos.length === 0) {
+      el.divisaoInfo.style.display = "none";
+      el.divisaoInfo.textContent = "";
+      return;
+    }
+
+    el.divisaoInfo.textContent = validarDivisaoPagamento()
+      ? "Revise a divisão"
+      : `${state.pagamentosDivididos.length} partes`;
+    el.divisaoInfo.style.display = "block";
+  }
+
   // ALTERAÇÃO: Função para validar dados de pagamento antes de abrir modal de revisão
   function validarDadosPagamentoAntesDeRevisar() {
+    // Endereço fora da área ou abaixo do pedido mínimo da zona
+    const bloqueioEntrega = getBloqueioEntrega();
+    if (bloqueioEntrega) {
+      showError(bloqueioEntrega);
+      return;
+    }
+
+    // Loja fechada sem horário escolhido ou janela expirada
+    const bloqueioAgendamento = getBloqueioAgendamento();
+    if (bloqueioAgendamento) {
+      showError(bloqueioAgendamento);
+      return;
+    }
+
     // Verificar se o pedido está completamente pago com pontos
-    const isFullyPaidWithPoints =
-      state.total <= 0 && state.usarPontos && state.pontosParaUsar > 0;
+    const isFullyPaidWithPoints = isPedidoQuitadoPorDescontos();
 
     // Se não há valor a pagar (pago com pontos), pular validações de pagamento
     if (isFullyPaidWithPoints) {
@@ -2626,6 +3381,12 @@ const VALIDATION_LIMITS = {
       return;
     }
 
+    // Divisão que não fecha o total atual (ex: cupom aplicado depois) volta para edição
+    if (state.formaPagamento === "dividido" && validarDivisaoPagamento()) {
+      abrirModalDividirPagamento();
+      return;
+    }
+
     // ALTERAÇÃO: Se selecionou dinheiro mas não informou valor do troco (e há valor a pagar), abrir modal
     // Mas apenas se NÃO for pedido de balcão (pickup)
     if (state.formaPagamento === "dinheiro") {
@@ -2695,10 +3456,7 @@ const VALIDATION_LIMITS = {
     const valorPago = parseFloat(valor);
     const valorTotal = state.total;
     const isFullyPaidWithPoints =
-      Number.isFinite(valorTotal) &&
-      valorTotal <= 0 &&
-      state.usarPontos &&
-      state.pontosParaUsar > 0;
+      Number.isFinite(valorTotal) && isPedidoQuitadoPorDescontos();
 
     // Se o pedido está completamente pago com pontos, não precisa de troco
     if (isFullyPaidWithPoints) {
@@ -2745,8 +3503,7 @@ const VALIDATION_LIMITS = {
     if (!el.trocoInfo) return;
 
     const isPickup = isPickupOrder();
-    const isFullyPaidWithPoints =
-      state.total <= 0 && state.usarPontos && state.pontosParaUsar > 0;
+    const isFullyPaidWithPoints = isPedidoQuitadoPorDescontos();
 
     // ALTERAÇÃO: Não mostrar troco para pedidos de balcão (pickup)
     if (isPickup) {
@@ -2786,6 +3543,94 @@ const VALIDATION_LIMITS = {
     }
   }
 
+  // ====== FILA DE PEDIDOS OFFLINE ======
+
+  /**
+   * Registra os listeners da fila de pedidos e restaura o estado pendente
+   * de pedidos que ficaram salvos em sessões anteriores
+   */
+  async function configurarFilaPedidos() {
+    window.addEventListener(ORDER_QUEUE_EVENTS.SUBMITTED, async (event) => {
+      const { result, payload } = event.detail || {};
+      state.envioPendente = false;
+      renderAvisoEnvioPendente(false);
+
+      if (result && result.data) {
+        await concluirPedidoCriado(result.data, payload || {});
+      }
+    });
+
+    window.addEventListener(ORDER_QUEUE_EVENTS.FAILED, (event) => {
+      const { result } = event.detail || {};
+      state.envioPendente = false;
+      renderAvisoEnvioPendente(false);
+      showError(mapearErroPedido(result && result.error));
+      reabilitarBotaoConfirmar();
+    });
+
+    try {
+      const pendentes = await orderQueue.getPending();
+      if (pendentes.length > 0) {
+        mostrarEnvioPendente();
+      }
+    } catch (_e) {
+      // Sem acesso à fila: segue o fluxo normal de checkout
+    }
+
+    orderQueue.init();
+  }
+
+  /**
+   * Exibe o estado "envio pendente" no lugar de um erro quando o pedido
+   * não pôde ser enviado por falta de conexão
+   */
+  function mostrarEnvioPendente() {
+    state.envioPendente = true;
+    fecharModalRevisao();
+
+    if (el.btnConfirmarPedido) {
+      el.btnConfirmarPedido.disabled = true;
+      el.btnConfirmarPedido.textContent = "Envio pendente";
+    }
+
+    renderAvisoEnvioPendente(true);
+  }
+
+  /**
+   * Mostra ou remove o aviso de pedido aguardando envio
+   * @param {boolean} visivel - Se o aviso deve estar visível
+   */
+  function renderAvisoEnvioPendente(visivel) {
+    let aviso = document.getElementById("aviso-envio-pendente");
+
+    if (!visivel) {
+      if (aviso) aviso.remove();
+      return;
+    }
+
+    if (aviso) return;
+
+    aviso = document.createElement("div");
+    aviso.id = "aviso-envio-pendente";
+    aviso.className = "aviso-envio-pendente";
+    aviso.setAttribute("role", "status");
+    aviso.setAttribute("aria-live", "polite");
+    aviso.innerHTML = `
+      <i class="fa-solid fa-cloud-arrow-up" aria-hidden="true"></i>
+      <div>
+        <p class="titulo">Pedido aguardando envio</p>
+        <p class="descricao">Você está sem conexão. Seu pedido foi salvo e será enviado automaticamente assim que a internet voltar. Não é necessário refazê-lo.</p>
+      </div>
+    `;
+
+    const container = document.querySelector(".pagamento-container");
+    if (container && container.parentNode) {
+      container.parentNode.insertBefore(aviso, container);
+    } else {
+      document.body.prepend(aviso);
+    }
+  }
+
   /**
    * Revalida estoque antes de finalizar pedido
    * ALTERAÇÃO: Validação preventiva de estoque no frontend antes do checkout
@@ -2884,6 +3729,18 @@ const VALIDATION_LIMITS = {
         return;
       }
 
+      const bloqueioEntrega = getBloqueioEntrega();
+      if (bloqueioEntrega) {
+        showError(bloqueioEntrega);
+        return;
+      }
+
+      const bloqueioAgendamento = getBloqueioAgendamento();
+      if (bloqueioAgendamento) {
+        showError(bloqueioAgendamento);
+        return;
+      }
+
       // Validar cesta (pode estar vazia se já foi processada, mas verificamos se o carrinho tem itens)
       if (!state.cesta || state.cesta.length === 0) {
         showError("Sua cesta está vazia!");
@@ -3007,8 +3864,7 @@ const VALIDATION_LIMITS = {
       reabilitarBotaoConfirmar();
 
       // Verificar se o pedido está completamente pago com pontos
-      const isFullyPaidWithPoints =
-        state.total <= 0 && state.usarPontos && state.pontosParaUsar > 0;
+      const isFullyPaidWithPoints = isPedidoQuitadoPorDescontos();
 
       // ALTERAÇÃO: Validação de pagamento movida para antes de abrir modal de revisão
       // A validação agora acontece ao clicar em "Fazer pedido" na página principal
@@ -3034,9 +3890,11 @@ const VALIDATION_LIMITS = {
         state.pontosDisponiveis > 0 &&
         state.pontosParaUsar > 0
       ) {
-        // Calcular total antes do desconto (subtotal + taxa de entrega, se delivery)
+        // Calcular total antes do desconto (subtotal + taxa de entrega, se delivery, menos cupom)
         const totalAntesDesconto =
-          state.subtotal + (isPickupOrderCheck ? 0 : state.taxaEntrega);
+          state.subtotal +
+          (isPickupOrderCheck ? 0 : state.taxaEntrega) -
+          state.descontoCupom;
 
         // Validar novamente antes de enviar usando total com entrega
         const validacao = validatePointsRedemption(
@@ -3074,6 +3932,14 @@ const VALIDATION_LIMITS = {
             reabilitarBotaoConfirmar();
             return;
           }
+        } else if (state.formaPagamento === "dividido") {
+          const erroDivisao = validarDivisaoPagamento();
+          if (erroDivisao) {
+            showError(erroDivisao);
+            reabilitarBotaoConfirmar();
+            return;
+          }
+          backendPaymentMethod = SPLIT_PAYMENT_METHOD;
         } else {
           const paymentMethodMap = {
             pix: "pix",
@@ -3135,8 +4001,16 @@ const VALIDATION_LIMITS = {
         cpf_on_invoice:
           state.cpf && state.cpf.trim() !== "" ? state.cpf.trim() : null,
         points_to_redeem: pontosParaResgate,
+        // Cupom só é enviado se ainda vale para a cesta atual (o backend revalida e contabiliza o uso)
+        coupon_code:
+          state.cupom && !state.cupomErro ? state.cupom.code : undefined,
         use_cart: true, // CRÍTICO: Indica ao backend para usar o carrinho atual (busca do banco de dados)
         order_type: isPickupOrderCheck ? "pickup" : "delivery", // Especificar tipo de pedido (pickup ou delivery)
+        delivery_zone_id:
+          !isPickupOrderCheck && state.zonaEntrega ? state.zonaEntrega.id : undefined,
+        // Pedido agendado entra como 'scheduled' e é liberado para a cozinha antes do horário
+        scheduled_for:
+          state.modoAgendamento === "agendar" ? state.agendamento : undefined,
         // ALTERAÇÃO: Enviar informações de promoções para o backend aplicar descontos
         // O backend deve usar essas informações para calcular item_subtotal com desconto aplicado
         promotions: promotionsData.length > 0 ? promotionsData : undefined
@@ -3211,6 +4085,18 @@ const VALIDATION_LIMITS = {
         }
       }
 
+      // Pagamento dividido: cada parte com seu valor; "troco para" só nas partes em dinheiro de entregas
+      if (backendPaymentMethod === SPLIT_PAYMENT_METHOD) {
+        const isPickup = isPickupOrder();
+        orderData.payments = state.pagamentosDivididos.map((parte) => {
+          const payment = { method: parte.method, amount: parte.amount };
+          if (!isPickup && parte.method === "money" && parte.amount_paid !== null) {
+            payment.amount_paid = parte.amount_paid;
+          }
+          return payment;
+        });
+      }
+
       // Desabilitar botão para evitar duplicação
       if (el.btnConfirmarPedido) {
         el.btnConfirmarPedido.disabled = true;
@@ -3234,165 +4120,25 @@ const VALIDATION_LIMITS = {
     }
   }
 
+  /**
+   * Envia o pedido pela fila persistente (order-queue.js)
+   * Sem conexão, o pedido fica salvo no navegador e é reenviado automaticamente
+   * com a mesma chave de idempotência, sem risco de duplicidade.
+   * @param {Object} orderData - Payload do pedido
+   */
   async function criarPedidoAPI(orderData) {
     try {
-      const result = await createOrder(orderData);
-
-      if (result.success && result.data) {
-        state.pedidoConfirmado = true;
-        fecharModalRevisao();
-
-        // Mostrar sucesso com informações do pedido
-        const orderId = result.data.id || result.data.order_id;
-        const confirmationCode = result.data.confirmation_code;
-
-        // NOTA: Os pontos serão creditados automaticamente quando o pedido for concluído (status='completed')
-        // O backend credita pontos em update_order_status quando o status muda para 'completed'
-
-        // Calcular e informar pontos que serão ganhos (baseado no subtotal)
-        // Importante: pontos são calculados sobre subtotal (sem taxa de entrega)
-        let pontosPrevistos = 0;
-        const baseParaPontos = state.subtotal; // Subtotal já considera desconto proporcional se houver
-
-        try {
-          // Usar settingsHelper importado estaticamente
-          if (
-            settingsHelper &&
-            typeof settingsHelper.calculatePointsEarned === "function"
-          ) {
-            pontosPrevistos = await settingsHelper.calculatePointsEarned(
-              baseParaPontos
-            );
-          } else {
-            // Fallback: 10 pontos por real (R$ 0,10 = 1 ponto)
-            pontosPrevistos = Math.floor(baseParaPontos * 10);
-          }
-        } catch (error) {
-          // Fallback em caso de erro
-          pontosPrevistos = Math.floor(baseParaPontos * 10);
-        }
-
-        // Log para debug (apenas em desenvolvimento)
-        // Não incluir dados sensíveis como CPF, valores de pagamento completos
-        const isDev =
-          typeof process !== "undefined" &&
-          process.env?.NODE_ENV === "development";
-        if (isDev) {
-          console.log("Pedido criado com sucesso:", {
-            orderId,
-            confirmationCode,
-            pontosPrevistos,
-            // Não logar valores financeiros completos em produção
-            subtotal: state.subtotal,
-            total: state.total,
-            orderType: orderData.order_type,
-            // CPF e dados de pagamento não são logados por segurança
-          });
-        }
-
-        let mensagem = "Pedido confirmado com sucesso!";
-
-        if (confirmationCode) {
-          mensagem += ` Código: ${confirmationCode}`;
-        }
-
-        // Informar pontos que serão creditados quando o pedido for concluído
-        if (pontosPrevistos > 0) {
-          mensagem += ` Você ganhará ${pontosPrevistos} pontos Royal quando o pedido for concluído!`;
-        }
-
-        showSuccess(mensagem);
+      const result = await orderQueue.submit(orderData);
 
-        // Recarregar pontos do usuário (pode ter pontos de outros pedidos)
-        // Os pontos deste pedido serão creditados quando o status mudar para 'completed'
-        try {
-          await carregarPontos();
-        } catch (error) {
-          // Log apenas em desenvolvimento
-          if (isDev) {
-            console.warn(
-              "Erro ao recarregar pontos após pedido:",
-              error.message
-            );
-          }
-        }
-
-        // Limpar cesta local se houver (a API já limpa o carrinho)
-        if (typeof window.atualizarCesta === "function") {
-          await window.atualizarCesta();
-        }
+      if (result.queued) {
+        mostrarEnvioPendente();
+        return;
+      }
 
-        // Redirecionar para página de histórico após breve delay
-        setTimeout(() => {
-          window.location.href = "hist-pedidos.html";
-        }, 2000);
+      if (result.success && result.data) {
+        await concluirPedidoCriado(result.data, orderData);
       } else {
-        // Tratar erros específicos da API
-        let errorMessage = result.error || "Erro ao criar pedido";
-
-        // Verificar se é erro de migração do banco de dados
-        const errorLower = errorMessage.toLowerCase();
-        const isMigrationError =
-          errorLower.includes("change_for_amount") ||
-          errorLower.includes("migração") ||
-          errorLower.includes("alter table") ||
-          errorLower.includes("coluna") ||
-          errorLower.includes("column") ||
-          errorLower.includes("database_error");
-
-        if (isMigrationError) {
-          errorMessage =
-            "⚠️ Erro no banco de dados: A coluna CHANGE_FOR_AMOUNT não existe.\n\nExecute a seguinte migração SQL no banco:\n\nALTER TABLE ORDERS ADD CHANGE_FOR_AMOUNT DECIMAL(10,2);";
-        }
-        // Mapear outros erros conhecidos para mensagens amigáveis
-        else if (errorMessage.includes("STORE_CLOSED")) {
-          errorMessage =
-            "A loja está fechada no momento. Tente novamente durante o horário de funcionamento.";
-        } else if (errorMessage.includes("EMPTY_CART")) {
-          errorMessage =
-            "Seu carrinho está vazio. Adicione itens antes de finalizar o pedido.";
-        } else if (errorMessage.includes("INVALID_ADDRESS")) {
-          errorMessage = "Endereço inválido. Selecione um endereço válido.";
-        } else if (errorMessage.includes("INVALID_CPF")) {
-          errorMessage = "CPF inválido. Verifique o CPF informado.";
-        } else if (errorMessage.includes("INVALID_DISCOUNT")) {
-          errorMessage =
-            "Valor do desconto inválido. Verifique os pontos selecionados.";
-        } else if (
-          errorMessage.includes("INSUFFICIENT_STOCK") ||
-          errorMessage.toLowerCase().includes("estoque insuficiente")
-        ) {
-          // Erro de estoque insuficiente - a mensagem do backend já vem formatada com unidades e valores
-          // Exemplo: "Estoque insuficiente para Pão. Disponível: 17.000 kg, Necessário: 56.000 kg"
-          // Manter a mensagem original do backend e adicionar instrução ao usuário
-          errorMessage = `⚠️ ${errorMessage}\n\nPor favor, verifique sua cesta e remova itens que não estão mais disponíveis. Você pode atualizar a cesta e tentar novamente.`;
-        } else if (
-          errorMessage.includes("STOCK_VALIDATION_ERROR") ||
-          errorMessage.toLowerCase().includes("erro na conversão de unidades")
-        ) {
-          // Erro de validação de estoque ou conversão de unidades
-          // A mensagem do backend pode incluir detalhes sobre o problema de conversão
-          if (errorMessage.toLowerCase().includes("conversão")) {
-            // Manter mensagem original que inclui detalhes da conversão
-            errorMessage = `⚠️ ${errorMessage}\n\nPor favor, entre em contato com o suporte se o problema persistir.`;
-          } else if (
-            errorMessage.toLowerCase().includes("product id") ||
-            errorMessage.toLowerCase().includes("id de produto")
-          ) {
-            // Erro específico de ID inválido - recarregar cesta pode ajudar
-            errorMessage = `⚠️ ${errorMessage}\n\nPor favor, recarregue sua cesta e tente novamente.`;
-          } else {
-            errorMessage =
-              "Erro ao verificar estoque disponível. Tente novamente em alguns instantes.";
-          }
-        } else if (errorMessage.includes("VALIDATION_ERROR")) {
-          // Manter mensagem original de validação do backend (remover prefixo se existir)
-          errorMessage = errorMessage
-            .replace(/^VALIDATION_ERROR:\s*/i, "")
-            .replace(/^VALIDATION_ERROR$/i, errorMessage);
-        }
-
-        showError(errorMessage);
+        showError(mapearErroPedido(result.error));
 
         // Reabilitar botão
         reabilitarBotaoConfirmar();
@@ -3417,6 +4163,249 @@ const VALIDATION_LIMITS = {
     }
   }
 
+  /**
+   * Finaliza o checkout após o backend confirmar o pedido
+   * @param {Object} data - Resposta de createOrder
+   * @param {Object} orderData - Payload enviado
+   */
+  async function concluirPedidoCriado(data, orderData) {
+    state.pedidoConfirmado = true;
+    fecharModalRevisao();
+
+    // Mostrar sucesso com informações do pedido
+    const orderId = data.id || data.order_id;
+    const confirmationCode = data.confirmation_code;
+
+    // NOTA: Os pontos serão creditados automaticamente quando o pedido for concluído (status='completed')
+    // O backend credita pontos em update_order_status quando o status muda para 'completed'
+
+    // Calcular e informar pontos que serão ganhos (baseado no subtotal)
+    // Importante: pontos são calculados sobre subtotal (sem taxa de entrega)
+    let pontosPrevistos = 0;
+    const baseParaPontos = state.subtotal; // Subtotal já considera desconto proporcional se houver
+
+    try {
+      // Usar settingsHelper importado estaticamente
+      if (
+        settingsHelper &&
+        typeof settingsHelper.calculatePointsEarned === "function"
+      ) {
+        pontosPrevistos = await settingsHelper.calculatePointsEarned(
+          baseParaPontos
+        );
+      } else {
+        // Fallback: 10 pontos por real (R$ 0,10 = 1 ponto)
+        pontosPrevistos = Math.floor(baseParaPontos * 10);
+      }
+    } catch (error) {
+      // Fallback em caso de erro
+      pontosPrevistos = Math.floor(baseParaPontos * 10);
+    }
+
+    // Log para debug (apenas em desenvolvimento)
+    // Não incluir dados sensíveis como CPF, valores de pagamento completos
+    const isDev =
+      typeof process !== "undefined" &&
+      process.env?.NODE_ENV === "development";
+    if (isDev) {
+      console.log("Pedido criado com sucesso:", {
+        orderId,
+        confirmationCode,
+        pontosPrevistos,
+        // Não logar valores financeiros completos em produção
+        subtotal: state.subtotal,
+        total: state.total,
+        orderType: orderData.order_type,
+        // CPF e dados de pagamento não são logados por segurança
+      });
+    }
+
+    let mensagem = orderData.scheduled_for
+      ? `Pedido agendado para ${formatScheduledFor(
+          orderData.scheduled_for,
+          state.configAgendamento.slot_minutes
+        )}!`
+      : "Pedido confirmado com sucesso!";
+
+    if (confirmationCode) {
+      mensagem += ` Código: ${confirmationCode}`;
+    }
+
+    // Informar pontos que serão creditados quando o pedido for concluído
+    if (pontosPrevistos > 0) {
+      mensagem += ` Você ganhará ${pontosPrevistos} pontos Royal quando o pedido for concluído!`;
+    }
+
+    // Pedido com parte em Pix: mostrar QR code e copia e cola em vez do aviso que redireciona
+    const pixExibido = await exibirPixDoPedido(data, orderData, mensagem);
+    if (!pixExibido) {
+      showSuccess(mensagem);
+    }
+
+    // Recarregar pontos do usuário (pode ter pontos de outros pedidos)
+    // Os pontos deste pedido serão creditados quando o status mudar para 'completed'
+    try {
+      await carregarPontos();
+    } catch (error) {
+      // Log apenas em desenvolvimento
+      if (isDev) {
+        console.warn(
+          "Erro ao recarregar pontos após pedido:",
+          error.message
+        );
+      }
+    }
+
+    // Limpar cesta local se houver (a API já limpa o carrinho)
+    if (typeof window.atualizarCesta === "function") {
+      await window.atualizarCesta();
+    }
+
+    // Redirecionar para página de histórico após breve delay
+    // (com Pix, o cliente sai pelo botão da modal depois de copiar o código)
+    if (!pixExibido) {
+      setTimeout(() => {
+        window.location.href = "hist-pedidos.html";
+      }, 2000);
+    }
+  }
+
+  /**
+   * Exibe o Pix (QR code + copia e cola) do pedido recém-criado
+   * @param {Object} data - Resposta de createOrder
+   * @param {Object} orderData - Payload enviado
+   * @param {string} mensagem - Mensagem de confirmação
+   * @returns {Promise<boolean>} True se a modal foi exibida
+   */
+  async function exibirPixDoPedido(data, orderData, mensagem) {
+    const modal = document.getElementById("modal-pix-pedido");
+    const container = document.getElementById("pix-pedido-pagamento");
+    if (!modal || !container) return false;
+
+    const orderId = data.id || data.order_id;
+    const amount = getOrderPixAmount({
+      payment_method: data.payment_method || orderData.payment_method,
+      payments: data.payments || orderData.payments,
+      total_amount: data.total_amount ?? state.total,
+    });
+    if (!(amount > 0) || isPedidoQuitadoPorDescontos()) return false;
+
+    const payload = await getPixPayloadForOrder({
+      orderId,
+      amount,
+      confirmationCode: data.confirmation_code,
+    });
+    if (!payload) return false;
+
+    renderPixPayment(container, { payload, amount });
+    const mensagemEl = document.getElementById("pix-pedido-mensagem");
+    if (mensagemEl) mensagemEl.textContent = mensagem;
+
+    const btnAcompanhar = document.getElementById("btn-acompanhar-pedido");
+    if (btnAcompanhar) {
+      btnAcompanhar.onclick = () => {
+        window.location.href = orderId
+          ? `info-pedido.html?id=${encodeURIComponent(orderId)}`
+          : "hist-pedidos.html";
+      };
+    }
+
+    if (typeof window.abrirModal === "function") {
+      window.abrirModal("modal-pix-pedido");
+    } else {
+      modal.style.display = "flex";
+      modal.classList.add("show");
+    }
+    return true;
+  }
+
+  /**
+   * Converte o erro retornado pela API em mensagem amigável
+   * @param {string} rawError - Mensagem de erro da API
+   * @returns {string} Mensagem para exibição
+   */
+  function mapearErroPedido(rawError) {
+    let errorMessage = rawError || "Erro ao criar pedido";
+
+    // Verificar se é erro de migração do banco de dados
+    const errorLower = errorMessage.toLowerCase();
+    const isMigrationError =
+      errorLower.includes("change_for_amount") ||
+      errorLower.includes("migração") ||
+      errorLower.includes("alter table") ||
+      errorLower.includes("coluna") ||
+      errorLower.includes("column") ||
+      errorLower.includes("database_error");
+
+    if (isMigrationError) {
+      errorMessage =
+        "⚠️ Erro no banco de dados: A coluna CHANGE_FOR_AMOUNT não existe.\n\nExecute a seguinte migração SQL no banco:\n\nALTER TABLE ORDERS ADD CHANGE_FOR_AMOUNT DECIMAL(10,2);";
+    }
+    // Mapear outros erros conhecidos para mensagens amigáveis
+    else if (errorMessage.includes("STORE_CLOSED")) {
+      errorMessage =
+        "A loja está fechada no momento. Agende seu pedido para um horário de funcionamento.";
+    } else if (
+      errorMessage.includes("INVALID_SCHEDULE") ||
+      errorMessage.includes("SCHEDULE_UNAVAILABLE")
+    ) {
+      errorMessage =
+        "O horário agendado não está mais disponível. Escolha outro horário e tente novamente.";
+    } else if (errorMessage.includes("EMPTY_CART")) {
+      errorMessage =
+        "Seu carrinho está vazio. Adicione itens antes de finalizar o pedido.";
+    } else if (errorMessage.includes("INVALID_ADDRESS")) {
+      errorMessage = "Endereço inválido. Selecione um endereço válido.";
+    } else if (errorMessage.includes("INVALID_CPF")) {
+      errorMessage = "CPF inválido. Verifique o CPF informado.";
+    } else if (
+      errorMessage.includes("INVALID_COUPON") ||
+      errorMessage.includes("COUPON_EXPIRED") ||
+      errorMessage.includes("COUPON_USAGE_LIMIT") ||
+      errorMessage.includes("COUPON_NOT_STACKABLE")
+    ) {
+      errorMessage =
+        "O cupom informado não pode mais ser usado neste pedido. Remova o cupom e tente novamente.";
+    } else if (errorMessage.includes("INVALID_DISCOUNT")) {
+      errorMessage =
+        "Valor do desconto inválido. Verifique os pontos selecionados.";
+    } else if (
+      errorMessage.includes("INSUFFICIENT_STOCK") ||
+      errorMessage.toLowerCase().includes("estoque insuficiente")
+    ) {
+      // Erro de estoque insuficiente - a mensagem do backend já vem formatada com unidades e valores
+      // Exemplo: "Estoque insuficiente para Pão. Disponível: 17.000 kg, Necessário: 56.000 kg"
+      // Manter a mensagem original do backend e adicionar instrução ao usuário
+      errorMessage = `⚠️ ${errorMessage}\n\nPor favor, verifique sua cesta e remova itens que não estão mais disponíveis. Você pode atualizar a cesta e tentar novamente.`;
+    } else if (
+      errorMessage.includes("STOCK_VALIDATION_ERROR") ||
+      errorMessage.toLowerCase().includes("erro na conversão de unidades")
+    ) {
+      // Erro de validação de estoque ou conversão de unidades
+      // A mensagem do backend pode incluir detalhes sobre o problema de conversão
+      if (errorMessage.toLowerCase().includes("conversão")) {
+        // Manter mensagem original que inclui detalhes da conversão
+        errorMessage = `⚠️ ${errorMessage}\n\nPor favor, entre em contato com o suporte se o problema persistir.`;
+      } else if (
+        errorMessage.toLowerCase().includes("product id") ||
+        errorMessage.toLowerCase().includes("id de produto")
+      ) {
+        // Erro específico de ID inválido - recarregar cesta pode ajudar
+        errorMessage = `⚠️ ${errorMessage}\n\nPor favor, recarregue sua cesta e tente novamente.`;
+      } else {
+        errorMessage =
+          "Erro ao verificar estoque disponível. Tente novamente em alguns instantes.";
+      }
+    } else if (errorMessage.includes("VALIDATION_ERROR")) {
+      // Manter mensagem original de validação do backend (remover prefixo se existir)
+      errorMessage = errorMessage
+        .replace(/^VALIDATION_ERROR:\s*/i, "")
+        .replace(/^VALIDATION_ERROR$/i, errorMessage);
+    }
+
+    return errorMessage;
+  }
+
   function atualizarExibicaoPagamento() {
     // Atualizar endereço na modal de revisão
     const isPickup = isPickupOrder();
@@ -3472,6 +4461,9 @@ const VALIDATION_LIMITS = {
     const dinheiroIcon = document.querySelector(
       "#modal-revisao .fa-money-bill"
     );
+    const divididoIcon = document.querySelector(
+      "#modal-revisao .fa-people-group"
+    );
 
     // Encontrar os textos de pagamento
     const pagamentoDiv = document.querySelector(
@@ -3482,7 +4474,7 @@ const VALIDATION_LIMITS = {
       : [];
 
     // Esconder todos os ícones
-    [pixIcon, cartaoIcon, dinheiroIcon].forEach((icon) => {
+    [pixIcon, cartaoIcon, dinheiroIcon, divididoIcon].forEach((icon) => {
       if (icon) icon.style.display = "none";
     });
 
@@ -3530,8 +4522,7 @@ const VALIDATION_LIMITS = {
     } else if (state.formaPagamento === "dinheiro") {
       const isPickup = isPickupOrder();
       // Verificar se o pedido está completamente pago com pontos
-      const isFullyPaidWithPoints =
-        state.total <= 0 && state.usarPontos && state.pontosParaUsar > 0;
+      const isFullyPaidWithPoints = isPedidoQuitadoPorDescontos();
 
       // ALTERAÇÃO: Para pedidos de balcão, não mostrar informação de troco
       if (isPickup) {
@@ -3565,7 +4556,9 @@ const VALIDATION_LIMITS = {
       } else if (isFullyPaidWithPoints) {
         // Se está pago com pontos, mostrar apenas "Pago com pontos" ou "Dinheiro" sem troco
         if (modalDinheiroText) {
-          modalDinheiroText.textContent = "Dinheiro - Pago com pontos";
+          modalDinheiroText.textContent = state.usarPontos
+            ? "Dinheiro - Pago com pontos"
+            : "Dinheiro - Pago com cupom";
           modalDinheiroText.style.display = "block";
         }
       } else if (state.valorTroco) {
@@ -3587,6 +4580,21 @@ const VALIDATION_LIMITS = {
           modalDinheiroText.style.display = "block";
         }
       }
+    } else if (state.formaPagamento === "dividido") {
+      if (divididoIcon) divididoIcon.style.display = "flex";
+      if (pagamentoTexts[0]) pagamentoTexts[0].style.display = "block"; // "Pagamento na entrega"
+
+      const modalDivididoText = document.getElementById("modal-pagamento-dividido");
+      if (modalDivididoText) {
+        // Troco por parte só faz sentido em entregas
+        const isPickup = isPickupOrder();
+        modalDivididoText.textContent = state.pagamentosDivididos
+          .map((parte) =>
+            formatTenderLine(isPickup ? { ...parte, amount_paid: null } : parte)
+          )
+          .join(" + ");
+        modalDivididoText.style.display = "block";
+      }
     }
   }
 
@@ -3599,6 +4607,7 @@ const VALIDATION_LIMITS = {
   window.abrirModalRevisao = abrirModalRevisao;
   window.fecharModalRevisao = fecharModalRevisao;
   window.confirmarTroco = confirmarTroco;
+  window.confirmarDivisaoPagamento = confirmarDivisaoPagamento;
   window.confirmarPedido = confirmarPedido;
 
   // ALTERAÇÃO: Expor funções para limpar cache no escopo global (útil para debug/reset)
@@ -5,12 +5,16 @@ import {
   getProductIngredients,
   getProductImageUrl,
   simulateProductCapacity,
+  getComboSlots,
+  isComboProduct,
 } from "../api/products.js";
 import { getIngredients } from "../api/ingredients.js";
 import { addToCart, updateCartItem, getCart } from "../api/cart.js";
 import { getPromotionByProductId } from "../api/promotions.js";
+import { getProductReviews } from "../api/reviews.js";
+import { createFavorite } from "../api/favorites.js";
 import { showToast } from "./alerts.js";
-import { API_BASE_URL, getStoredUser } from "../api/api.js";
+import { API_BASE_URL, getStoredUser, getStoredToken } from "../api/api.js";
 import { cacheManager } from "../utils/cache-manager.js";
 import { delegate, debounce } from "../utils/performance-utils.js";
 import { $id, $q } from "../utils/dom-cache.js";
@@ -20,6 +24,7 @@ import {
   sanitizeURL,
 } from "../utils/html-sanitizer.js";
 import { calculatePriceWithPromotion, formatPrice, isPromotionActive } from "../utils/price-utils.js";
+import { formatRating, hasRatings, renderStars } from "../utils/rating-utils.js";
 
 // Constantes de cache
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutos
@@ -57,6 +62,10 @@ const VALIDATION_LIMITS = {
     cartItemId: null,
     productMaxQuantity: 99, // Capacidade máxima do produto (atualizada por updateProductCapacity)
     isUpdatingCapacity: false, // Flag para indicar se está validando capacidade (loading state)
+    isCombo: false,
+    comboSlots: [], // Etapas do combo [{id, name, is_required, options: [{product_id, product_name, upcharge}]}]
+    comboSelections: new Map(), // slot_id -> product_id
+    comboStep: 0,
   };
 
   const cleanupDelegates = new Map();
@@ -81,6 +90,17 @@ const VALIDATION_LIMITS = {
     overlayExtras: $id("overlay-extras"),
     fecharModalExtras: $id("fechar-modal-extras"),
     listaExtrasModal: $id("lista-extras-modal"),
+    monte: $q(".direita .monte"),
+    combo: $id("combo-montagem"),
+    comboTitulo: $id("combo-titulo-etapa"),
+    comboPasso: $id("combo-passo"),
+    comboProgresso: $id("combo-progresso"),
+    comboOpcoes: $id("combo-opcoes"),
+    comboVoltar: $id("combo-voltar"),
+    comboAvancar: $id("combo-avancar"),
+    comboResumo: $id("combo-resumo"),
+    avaliacoes: $id("avaliacoes-produto"),
+    btnFavoritar: $id("btn-favoritar"),
   };
 
   // Utils
@@ -318,7 +338,7 @@ const VALIDATION_LIMITS = {
       0
     );
 
-    const unitTotal = state.basePrice + extrasTotal;
+    const unitTotal = state.basePrice + extrasTotal + getComboUpcharge();
     const total = unitTotal * state.quantity;
 
     if (el.precoQuadro) el.precoQuadro.textContent = formatBRL(total);
@@ -346,6 +366,196 @@ const VALIDATION_LIMITS = {
     }
   }
 
+  // =====================================================
+  // 🍔 Montagem de combo (etapas)
+  // =====================================================
+
+  function getComboOption(slot, productId) {
+    return (slot?.options || []).find(
+      (opt) => Number(opt.product_id) === Number(productId)
+    ) || null;
+  }
+
+  /**
+   * Soma dos acréscimos das opções escolhidas em cada etapa (por unidade)
+   */
+  function getComboUpcharge() {
+    if (!state.isCombo) return 0;
+    return state.comboSlots.reduce((sum, slot) => {
+      const option = getComboOption(slot, state.comboSelections.get(slot.id));
+      return sum + (option ? validatePrice(option.upcharge) : 0);
+    }, 0);
+  }
+
+  /**
+   * Escolhas no formato aceito pela API: [{slot_id, product_id}]
+   */
+  function getComboSelectionsPayload() {
+    if (!state.isCombo) return [];
+    return state.comboSlots
+      .filter((slot) => state.comboSelections.has(slot.id))
+      .map((slot) => ({
+        slot_id: slot.id,
+        product_id: state.comboSelections.get(slot.id),
+      }));
+  }
+
+  /**
+   * Retorna o índice da primeira etapa obrigatória sem escolha (ou -1)
+   */
+  function getFirstMissingComboStep() {
+    return state.comboSlots.findIndex(
+      (slot) => slot.is_required !== false && !state.comboSelections.has(slot.id)
+    );
+  }
+
+  function renderCombo() {
+    if (!el.combo) return;
+
+    if (!state.isCombo || state.comboSlots.length === 0) {
+      el.combo.style.display = "none";
+      return;
+    }
+
+    el.combo.style.display = "flex";
+    if (el.monte) el.monte.style.display = "none";
+
+    const total = state.comboSlots.length;
+    state.comboStep = Math.min(Math.max(state.comboStep, 0), total - 1);
+    const slot = state.comboSlots[state.comboStep];
+    const selectedId = state.comboSelections.get(slot.id);
+
+    if (el.comboTitulo) {
+      el.comboTitulo.textContent = slot.is_required === false
+        ? `${slot.name} (opcional)`
+        : slot.name;
+    }
+    if (el.comboPasso) {
+      el.comboPasso.textContent = `Passo ${state.comboStep + 1} de ${total}`;
+    }
+
+    if (el.comboProgresso) {
+      el.comboProgresso.innerHTML = state.comboSlots
+        .map((s, idx) => {
+          const classes = ["combo-etapa"];
+          if (idx === state.comboStep) classes.push("atual");
+          if (state.comboSelections.has(s.id)) classes.push("concluida");
+          return `<button type="button" class="${classes.join(" ")}" data-step="${idx}" title="${escapeAttribute(s.name)}" aria-label="${escapeAttribute(s.name)}"></button>`;
+        })
+        .join("");
+    }
+
+    if (el.comboOpcoes) {
+      const options = slot.options || [];
+      el.comboOpcoes.innerHTML = options.length === 0
+        ? '<p class="sem-ingredientes">Nenhuma opção disponível</p>'
+        : options
+            .map((opt) => {
+              const isSelected = Number(opt.product_id) === Number(selectedId);
+              const isAvailable = opt.is_available !== false;
+              const upcharge = validatePrice(opt.upcharge);
+              const priceLabel = upcharge > 0 ? `+ ${formatBRL(upcharge)}` : "Incluso";
+              return `
+                <button type="button" class="combo-opcao${isSelected ? " selecionada" : ""}" data-product-id="${escapeAttribute(String(opt.product_id))}" ${isAvailable ? "" : "disabled"}>
+                  <span class="nome-opcao">${escapeHTML(opt.product_name || opt.name || "Produto")}</span>
+                  <span class="preco-opcao">${isAvailable ? priceLabel : "Indisponível"}</span>
+                  <i class="fa-solid fa-circle-check"></i>
+                </button>`;
+            })
+            .join("");
+    }
+
+    if (el.comboVoltar) {
+      el.comboVoltar.disabled = state.comboStep === 0;
+    }
+    if (el.comboAvancar) {
+      const isLast = state.comboStep === total - 1;
+      el.comboAvancar.style.display = isLast ? "none" : "";
+      el.comboAvancar.textContent = slot.is_required === false && !selectedId
+        ? "Pular"
+        : "Próximo";
+      el.comboAvancar.disabled = slot.is_required !== false && !selectedId;
+    }
+
+    if (el.comboResumo) {
+      el.comboResumo.innerHTML = state.comboSlots
+        .filter((s) => state.comboSelections.has(s.id))
+        .map((s) => {
+          const option = getComboOption(s, state.comboSelections.get(s.id));
+          const upcharge = validatePrice(option?.upcharge);
+          return `<li><span>${escapeHTML(s.name)}:</span> ${escapeHTML(option?.product_name || "Produto")}${upcharge > 0 ? ` <small>+ ${formatBRL(upcharge)}</small>` : ""}</li>`;
+        })
+        .join("");
+    }
+  }
+
+  function selectComboOption(productId) {
+    const slot = state.comboSlots[state.comboStep];
+    if (!slot || !getComboOption(slot, productId)) return;
+
+    // Clicar na opção já escolhida de uma etapa opcional desmarca
+    if (slot.is_required === false && state.comboSelections.get(slot.id) === productId) {
+      state.comboSelections.delete(slot.id);
+    } else {
+      state.comboSelections.set(slot.id, productId);
+      if (state.comboStep < state.comboSlots.length - 1) {
+        state.comboStep += 1;
+      }
+    }
+
+    renderCombo();
+    updateTotals();
+    debouncedUpdateProductCapacity(false);
+  }
+
+  function attachComboHandlers() {
+    if (!el.combo) return;
+
+    delegate(el.comboOpcoes, "click", ".combo-opcao", (e, target) => {
+      if (target.disabled) return;
+      const productId = parseInt(target.dataset.productId, 10);
+      if (Number.isInteger(productId) && productId > 0) {
+        selectComboOption(productId);
+      }
+    });
+
+    delegate(el.comboProgresso, "click", ".combo-etapa", (e, target) => {
+      const step = parseInt(target.dataset.step, 10);
+      // Só permite pular para etapas até a primeira obrigatória pendente
+      const missing = getFirstMissingComboStep();
+      if (Number.isInteger(step) && (missing === -1 || step <= missing)) {
+        state.comboStep = step;
+        renderCombo();
+      }
+    });
+
+    el.comboVoltar?.addEventListener("click", () => {
+      if (state.comboStep > 0) {
+        state.comboStep -= 1;
+        renderCombo();
+      }
+    });
+
+    el.comboAvancar?.addEventListener("click", () => {
+      if (state.comboStep < state.comboSlots.length - 1) {
+        state.comboStep += 1;
+        renderCombo();
+      }
+    });
+  }
+
+  async function loadComboSlots(produto) {
+    try {
+      state.comboSlots = await getComboSlots(state.productId);
+    } catch (err) {
+      // Fallback para etapas embutidas na resposta do produto
+      state.comboSlots = Array.isArray(produto?.combo_slots) ? produto.combo_slots : [];
+      if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+        console.warn("Erro ao carregar etapas do combo:", err);
+      }
+    }
+  }
+
   // =====================================================
   // 🔄 Integração de Validação de Estoque (Etapa 2)
   // =====================================================
@@ -475,11 +685,13 @@ const VALIDATION_LIMITS = {
       // 
       // Exemplo: quantity = 2, extra com quantity_extra = 3 (3 porções extras):
       // - Backend: 3 porções × 30g × 2 unidades = 180g → 0.18kg total
+      // Combos: o backend soma a receita de cada produto escolhido nas etapas
       const capacityData = await simulateProductCapacity(
         state.productId,
         extras,
         state.quantity, // IMPORTANTE: Backend usa isso para multiplicar todo o consumo
-        baseModifications
+        baseModifications,
+        getComboSelectionsPayload()
       );
 
       const maxQuantity = capacityData?.max_quantity ?? 99;
@@ -1396,6 +1608,61 @@ const VALIDATION_LIMITS = {
     update();
   }
 
+  /**
+   * Montagem atual no formato da cesta (também usada para salvar favoritos)
+   * @param {number} quantity - Quantidade do produto
+   * @returns {{extras: Array, base_modifications: Array, notes: string, combo_selections: Array}}
+   */
+  function buildItemPayload(quantity) {
+    // EXTRAS: ingredientes fora da receita base (basePortions === 0) com quantity > 0
+    // CORREÇÃO: quantity nos extras deve ser TOTAL (não por unidade do produto)
+    // O frontend armazena quantity como "por unidade", mas o backend espera TOTAL
+    // Então multiplicamos pela quantidade do produto para obter o total
+    const extras = Array.from(state.extrasById.values())
+      .filter((extra) => (extra?.basePortions ?? 0) === 0)
+      .filter(
+        (extra) => Number.isFinite(extra.quantity) && extra.quantity > 0
+      )
+      .map((extra) => {
+        const id = parseInt(extra.id, 10);
+        const qtyPorUnidade = parseInt(extra.quantity, 10);
+        // CORREÇÃO: Multiplicar pela quantidade do produto para obter quantidade total
+        // Exemplo: 5 extras por unidade × 5 produtos = 25 extras totais
+        const qtyTotal = qtyPorUnidade * quantity;
+        return {
+          ingredient_id: Number.isInteger(id) && id > 0 ? id : null,
+          quantity:
+            Number.isInteger(qtyTotal) && qtyTotal > 0 ? Math.min(qtyTotal, 999) : null,
+        };
+      })
+      .filter((e) => e.ingredient_id !== null && e.quantity !== null)
+      .slice(0, 10); // respeitar limite máximo de extras
+
+    // BASE_MODIFICATIONS: ingredientes da receita base (basePortions > 0) com delta != 0
+    // IMPORTANTE: delta representa mudança em PORÇÕES por unidade do produto
+    // O backend multiplica: delta × BASE_PORTION_QUANTITY × quantity_produto
+    // Apenas deltas positivos consomem estoque (deltas negativos reduzem ingrediente)
+    const base_modifications = Array.from(state.extrasById.values())
+      .filter((extra) => (extra?.basePortions ?? 0) > 0)
+      .filter(
+        (extra) => Number.isFinite(extra.quantity) && extra.quantity !== 0
+      )
+      .map((extra) => {
+        const id = parseInt(extra.id, 10);
+        const delta = parseInt(extra.quantity, 10);
+        return {
+          ingredient_id: Number.isInteger(id) && id > 0 ? id : null,
+          delta: Number.isInteger(delta) && delta !== 0 ? delta : null,
+        };
+      })
+      .filter((bm) => bm.ingredient_id !== null && bm.delta !== null);
+
+    const notes = el.obsInput?.value || "";
+    const combo_selections = getComboSelectionsPayload();
+
+    return { extras, base_modifications, notes, combo_selections };
+  }
+
   function attachAddToCart() {
     if (!el.btnAdicionarCesta) return;
 
@@ -1408,7 +1675,7 @@ const VALIDATION_LIMITS = {
       try {
         // ALTERAÇÃO: Validar se o usuário pode adicionar itens ao carrinho antes de prosseguir
         const user = getStoredUser();
-        const token = localStorage.getItem('rb.token') || localStorage.getItem('authToken');
+        const token = getStoredToken();
         const isAuth = !!token;
         
         // Se estiver logado, verifica o role
@@ -1431,6 +1698,24 @@ const VALIDATION_LIMITS = {
           }
         }
         
+        // Combos: todas as etapas obrigatórias precisam de uma escolha
+        if (state.isCombo) {
+          const missingStep = getFirstMissingComboStep();
+          if (missingStep !== -1) {
+            state.comboStep = missingStep;
+            renderCombo();
+            showToast(
+              `Escolha uma opção em "${state.comboSlots[missingStep].name}" para continuar.`,
+              {
+                type: "error",
+                title: "Combo incompleto",
+                autoClose: 4000,
+              }
+            );
+            return;
+          }
+        }
+        
         // Desabilitar botão durante operação
         el.btnAdicionarCesta.disabled = true;
         el.btnAdicionarCesta.textContent = state.isEditing
@@ -1486,50 +1771,8 @@ const VALIDATION_LIMITS = {
         const productId = state.product.id;
         const quantity = Math.max(1, parseInt(state.quantity, 10) || 1);
 
-        // EXTRAS: ingredientes fora da receita base (basePortions === 0) com quantity > 0
-        // CORREÇÃO: quantity nos extras deve ser TOTAL (não por unidade do produto)
-        // O frontend armazena quantity como "por unidade", mas o backend espera TOTAL
-        // Então multiplicamos pela quantidade do produto para obter o total
-        const extras = Array.from(state.extrasById.values())
-          .filter((extra) => (extra?.basePortions ?? 0) === 0)
-          .filter(
-            (extra) => Number.isFinite(extra.quantity) && extra.quantity > 0
-          )
-          .map((extra) => {
-            const id = parseInt(extra.id, 10);
-            const qtyPorUnidade = parseInt(extra.quantity, 10);
-            // CORREÇÃO: Multiplicar pela quantidade do produto para obter quantidade total
-            // Exemplo: 5 extras por unidade × 5 produtos = 25 extras totais
-            const qtyTotal = qtyPorUnidade * quantity;
-            return {
-              ingredient_id: Number.isInteger(id) && id > 0 ? id : null,
-              quantity:
-                Number.isInteger(qtyTotal) && qtyTotal > 0 ? Math.min(qtyTotal, 999) : null,
-            };
-          })
-          .filter((e) => e.ingredient_id !== null && e.quantity !== null)
-          .slice(0, 10); // respeitar limite máximo de extras
-
-        // BASE_MODIFICATIONS: ingredientes da receita base (basePortions > 0) com delta != 0
-        // IMPORTANTE: delta representa mudança em PORÇÕES por unidade do produto
-        // O backend multiplica: delta × BASE_PORTION_QUANTITY × quantity_produto
-        // Apenas deltas positivos consomem estoque (deltas negativos reduzem ingrediente)
-        const base_modifications = Array.from(state.extrasById.values())
-          .filter((extra) => (extra?.basePortions ?? 0) > 0)
-          .filter(
-            (extra) => Number.isFinite(extra.quantity) && extra.quantity !== 0
-          )
-          .map((extra) => {
-            const id = parseInt(extra.id, 10);
-            const delta = parseInt(extra.quantity, 10);
-            return {
-              ingredient_id: Number.isInteger(id) && id > 0 ? id : null,
-              delta: Number.isInteger(delta) && delta !== 0 ? delta : null,
-            };
-          })
-          .filter((bm) => bm.ingredient_id !== null && bm.delta !== null);
-
-        const notes = el.obsInput?.value || "";
+        const { extras, base_modifications, notes, combo_selections } =
+          buildItemPayload(quantity);
 
         let result;
 
@@ -1540,6 +1783,7 @@ const VALIDATION_LIMITS = {
             extras,
             notes,
             base_modifications,
+            ...(state.isCombo ? { combo_selections } : {}),
           });
         } else {
           // Adicionar novo item à cesta
@@ -1548,7 +1792,8 @@ const VALIDATION_LIMITS = {
             quantity,
             extras,
             notes,
-            base_modifications
+            base_modifications,
+            combo_selections
           );
         }
 
@@ -1557,9 +1802,12 @@ const VALIDATION_LIMITS = {
         
         if (result.success) {
           // Mostrar mensagem de sucesso
+          // Sem conexão o item fica na fila da cesta até a sincronização (api/cart.js)
           showToast(
             state.isEditing
               ? "Item atualizado na cesta!"
+              : result.offline
+              ? "Item guardado na cesta! Confirmamos preço e adicionais quando a conexão voltar."
               : "Item adicionado à cesta!",
             {
               type: "success",
@@ -1626,6 +1874,58 @@ const VALIDATION_LIMITS = {
     });
   }
 
+  /**
+   * Salva a montagem atual (extras, modificações, observação e combo) nos favoritos
+   * Disponível apenas para clientes logados; os favoritos aparecem na home
+   */
+  function attachFavoriteButton() {
+    if (!el.btnFavoritar || !getStoredUser() || !getStoredToken()) return;
+
+    el.btnFavoritar.style.display = "flex";
+    el.btnFavoritar.addEventListener("click", async () => {
+      if (!state.product || el.btnFavoritar.disabled) return;
+
+      if (state.isCombo && getFirstMissingComboStep() !== -1) {
+        showToast("Complete as etapas do combo antes de salvar nos favoritos.", {
+          type: "error",
+          title: "Combo incompleto",
+          autoClose: 4000,
+        });
+        return;
+      }
+
+      const quantity = Math.max(1, parseInt(state.quantity, 10) || 1);
+      el.btnFavoritar.disabled = true;
+      try {
+        await createFavorite({
+          product_id: state.product.id,
+          quantity,
+          ...buildItemPayload(quantity),
+        });
+        el.btnFavoritar.innerHTML =
+          '<i class="fa-solid fa-heart" aria-hidden="true"></i> Salvo nos favoritos';
+        showToast("Você encontra essa montagem nos favoritos da página inicial.", {
+          type: "success",
+          title: "Favorito salvo",
+          autoClose: 3000,
+        });
+        // Libera o botão de novo: outra montagem do mesmo produto vira outro favorito
+        setTimeout(() => {
+          el.btnFavoritar.disabled = false;
+          el.btnFavoritar.innerHTML =
+            '<i class="fa-regular fa-heart" aria-hidden="true"></i> Salvar nos favoritos';
+        }, 3000);
+      } catch (err) {
+        el.btnFavoritar.disabled = false;
+        showToast(err?.message || "Não foi possível salvar o favorito.", {
+          type: "error",
+          title: "Erro",
+          autoClose: 4000,
+        });
+      }
+    });
+  }
+
   async function loadIngredientes(productId, ingredientsFromProduct = null, forceReload = false) {
     try {
       let productIngredients = [];
@@ -1740,6 +2040,64 @@ const VALIDATION_LIMITS = {
     }
   }
 
+  /**
+   * Carrega média e avaliações recentes do produto
+   * Falhas são silenciosas: a seção simplesmente não aparece
+   */
+  async function loadProductReviews() {
+    if (!el.avaliacoes || !state.productId) return;
+
+    const result = await getProductReviews(state.productId, { page_size: 5 });
+    if (!result.success || !hasRatings(result.data)) {
+      el.avaliacoes.style.display = "none";
+      return;
+    }
+
+    renderProductReviews(result.data);
+  }
+
+  function renderProductReviews(summary) {
+    const count = parseInt(summary.review_count, 10);
+    const reviews = Array.isArray(summary.items) ? summary.items : [];
+
+    const itemsHtml = reviews
+      .map((review) => {
+        const date = review.created_at
+          ? new Date(review.created_at).toLocaleDateString("pt-BR")
+          : "";
+        const comment = review.comment
+          ? `<p class="avaliacao-item__comentario">${escapeHTML(review.comment)}</p>`
+          : "";
+        const reply = review.reply
+          ? `<p class="avaliacao-item__resposta"><strong>Resposta da loja:</strong> ${escapeHTML(review.reply)}</p>`
+          : "";
+        return `
+          <li class="avaliacao-item">
+            <div class="avaliacao-item__topo">
+              <span class="avaliacao-item__autor">${escapeHTML(review.customer_name || "Cliente")}</span>
+              ${renderStars(review.rating)}
+              <span class="avaliacao-item__data">${escapeHTML(date)}</span>
+            </div>
+            ${comment}
+            ${reply}
+          </li>`;
+      })
+      .join("");
+
+    el.avaliacoes.innerHTML = `
+      <div class="avaliacoes-cabecalho">
+        <p>Avaliações</p>
+        <div class="avaliacoes-media">
+          <strong>${formatRating(summary.average_rating)}</strong>
+          ${renderStars(summary.average_rating)}
+          <span>${count} ${count === 1 ? "avaliação" : "avaliações"}</span>
+        </div>
+      </div>
+      ${itemsHtml ? `<ul class="avaliacoes-lista">${itemsHtml}</ul>` : ""}
+    `;
+    el.avaliacoes.style.display = "flex";
+  }
+
   async function loadProduto() {
     state.productId = getIdFromUrl();
     state.editIndex = getEditIndexFromUrl();
@@ -1777,10 +2135,15 @@ const VALIDATION_LIMITS = {
         }
       }
       
+      state.isCombo = isComboProduct(produto);
+
       // IMPORTANTE: Se produto já tem ingredientes (vindo de getProductById), usar eles
       // pois já têm max_quantity calculado corretamente para a quantidade atual do produto
       // REGRA: consumo_total = consumo_por_unidade × quantity (já calculado pelo backend)
-      if (produto && produto.ingredients && Array.isArray(produto.ingredients) && produto.ingredients.length > 0) {
+      // Combos não têm receita própria: o consumo vem dos produtos escolhidos nas etapas
+      if (state.isCombo) {
+        await loadComboSlots(produto);
+      } else if (produto && produto.ingredients && Array.isArray(produto.ingredients) && produto.ingredients.length > 0) {
         // Usar ingredientes que já vêm com max_quantity calculado para a quantidade correta
         await loadIngredientes(state.productId, produto.ingredients);
       } else {
@@ -1791,6 +2154,9 @@ const VALIDATION_LIMITS = {
       state.product = produto;
       updateTitle();
       renderProdutoInfo();
+      renderCombo();
+      // Avaliações não bloqueiam a montagem do produto
+      loadProductReviews();
 
       // CORREÇÃO: Se está editando, carregar dados do item da cesta DEPOIS de carregar ingredientes
       // Isso garante que todos os ingredientes estão disponíveis antes de carregar os extras do item
@@ -1914,6 +2280,19 @@ const VALIDATION_LIMITS = {
         el.obsInput.value = found.notes || "";
       }
 
+      // Escolhas do combo
+      if (state.isCombo && Array.isArray(found.combo_selections)) {
+        found.combo_selections.forEach((sel) => {
+          const slotId = parseInt(sel.slot_id, 10);
+          const productId = parseInt(sel.product_id, 10);
+          if (Number.isInteger(slotId) && Number.isInteger(productId)) {
+            state.comboSelections.set(slotId, productId);
+          }
+        });
+        state.comboStep = 0;
+        renderCombo();
+      }
+
       // CORREÇÃO: Buscar TODOS os ingredientes disponíveis para garantir informações completas
       let allIngredients = [];
       try {
@@ -2032,7 +2411,9 @@ const VALIDATION_LIMITS = {
       // IMPORTANTE: Passar quantity atual do produto para calcular max_quantity considerando consumo acumulado
       // REGRA: consumo_total = consumo_por_unidade × quantity
       // Isso garante que max_quantity está calculado corretamente para a quantidade atual do produto
-      await loadIngredientes(state.productId);
+      if (!state.isCombo) {
+        await loadIngredientes(state.productId);
+      }
 
       // CORREÇÃO: Atualizar a UI da quantidade do produto
       // Garantir que a quantidade carregada seja exibida corretamente
@@ -2077,6 +2458,8 @@ const VALIDATION_LIMITS = {
     attachExtrasButton();
     attachObsCounter();
     attachAddToCart();
+    attachFavoriteButton();
+    attachComboHandlers();
     await loadProduto();
   });
 })();
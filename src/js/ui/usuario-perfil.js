@@ -1,8 +1,9 @@
 import { logout, fetchMe, toggle2FA, confirm2FAEnable, get2FAStatus } from "../api/auth.js";
 import { deleteMyCustomer, updateMyCustomer, addAddress, listAddresses, updateAddress, deleteAddress, changePassword, changePasswordWithLogout, getNotificationPreferences, updateNotificationPreferences } from "../api/user.js";
-import { getStoredUser, logoutLocal } from "../api/api.js";
+import { getStoredUser, getStoredToken, logoutLocal } from "../api/api.js";
 import { showConfirm, toastFromApiError, toastFromApiSuccess, setFlashMessage, showToast } from "./alerts.js";
 import { getLoyaltyBalance } from "../api/loyalty.js";
+import { isPushSupported, getPushPermission, getPushSubscription, enablePushNotifications, disablePushNotifications } from "../utils/push-notifications.js";
 
 // ALTERAÇÃO: Função para sanitizar strings para uso seguro em innerHTML
 function escapeHTML(str) {
@@ -16,7 +17,7 @@ $(document).ready(function () {
     // ====== Guarda de rota: qualquer usuário logado pode acessar esta página ======
     try {
         const u = getStoredUser();
-        const token = localStorage.getItem('rb.token') || localStorage.getItem('authToken');
+        const token = getStoredToken();
         
         // Verifica se há usuário e token (usuário logado)
         if (!u || !token) {
@@ -1494,6 +1495,7 @@ $(document).ready(function () {
             const preferences = await getNotificationPreferences(userId);
             if (preferences) {
                 atualizarCheckboxesNotificacao(preferences);
+                await atualizarTogglePush(preferences);
             } else {
                 // Se não houver preferências, usar valores padrão (true)
                 atualizarCheckboxesNotificacao({
@@ -1631,6 +1633,87 @@ $(document).ready(function () {
         }
     }
 
+    // ====== Notificações push (neste navegador) ======
+    // Texto padrão da descrição, restaurado quando o aviso de indisponibilidade não se aplica
+    const DESCRICAO_PUSH_PADRAO = 'Receba um aviso quando o pedido for aceito, sair para entrega ou ficar pronto para retirada';
+    let isProcessingPush = false;
+
+    // Toggle ligado apenas se o cliente ativou E este navegador tem assinatura (a assinatura é por dispositivo)
+    async function atualizarTogglePush(preferences) {
+        const togglePush = document.getElementById('notify-push');
+        const descricao = document.getElementById('notify-push-descricao');
+        if (!togglePush) return;
+
+        const permission = getPushPermission();
+        if (permission === 'unsupported' || permission === 'denied') {
+            togglePush.checked = false;
+            togglePush.disabled = true;
+            if (descricao) {
+                descricao.textContent = permission === 'unsupported'
+                    ? 'Este navegador não suporta notificações push'
+                    : 'Notificações bloqueadas. Libere nas configurações do navegador para ativar';
+            }
+            atualizarVisualToggle(togglePush);
+            return;
+        }
+
+        togglePush.disabled = false;
+        if (descricao) descricao.textContent = DESCRICAO_PUSH_PADRAO;
+
+        let subscription = null;
+        try {
+            subscription = await getPushSubscription();
+        } catch (_e) {
+            subscription = null;
+        }
+        togglePush.checked = converterParaBoolean(preferences?.push_enabled ?? false) && Boolean(subscription);
+        atualizarVisualToggle(togglePush);
+    }
+
+    function configurarTogglePush() {
+        const togglePush = document.getElementById('notify-push');
+        if (!togglePush) return;
+
+        if (!isPushSupported()) {
+            atualizarTogglePush(null);
+            return;
+        }
+
+        togglePush.addEventListener('change', async function() {
+            if (isProcessingPush) return;
+            isProcessingPush = true;
+            const ativar = this.checked;
+            this.disabled = true;
+
+            try {
+                const userId = await resolveUserId();
+                if (!userId) {
+                    showToast('Não foi possível identificar o usuário.', { type: 'error', title: 'Erro' });
+                    this.checked = !ativar;
+                    return;
+                }
+
+                if (ativar) {
+                    await enablePushNotifications(userId);
+                } else {
+                    await disablePushNotifications(userId);
+                }
+            } catch (err) {
+                this.checked = !ativar;
+                if (err?.status) {
+                    toastFromApiError(err, 'Não foi possível atualizar as notificações push.');
+                } else {
+                    showToast(err?.message || 'Não foi possível atualizar as notificações push.', { type: 'error', title: 'Notificações' });
+                }
+            } finally {
+                this.disabled = false;
+                isProcessingPush = false;
+                // Permissão pode ter sido negada no prompt: refletir no toggle e na descrição
+                await atualizarTogglePush({ push_enabled: this.checked });
+            }
+        });
+    }
+
     // Carrega perfil e endereços na entrada
     carregarPerfil();
 
@@ -1642,6 +1725,7 @@ $(document).ready(function () {
     setTimeout(async () => {
         await carregarPreferenciasNotificacao();
         configurarCheckboxesNotificacao();
+        configurarTogglePush();
     }, 500);
     
     // Carregar status 2FA após um pequeno delay para garantir que o DOM esteja pronto
@@ -1,26 +1,125 @@
 /**
  * Gerenciador de Cache
- * Gerencia cache de dados com TTL (Time To Live)
+ * Gerencia cache de dados com TTL (Time To Live) em duas camadas:
+ * memória (síncrona, por página) → IndexedDB (persiste entre navegações).
+ *
+ * - get/set/has/delete continuam síncronos e só na memória (uso existente);
+ *   set(..., { persist: true }) grava também no IndexedDB.
+ * - getOrFetch() consulta memória → IndexedDB → rede, revalida entradas vencidas por
+ *   ETag (o fetcher recebe o ETag anterior e pode devolver NOT_MODIFIED) e, sem rede,
+ *   devolve a última versão conhecida.
+ * - Tamanho limitado nas duas camadas, com descarte LRU.
+ * - Entradas marcadas com tags ('products', 'ingredients'...) são invalidadas pelos
+ *   eventos do socketService (SOCKET_INVALIDATION_RULES) e em todas as abas abertas.
  */
 
+const DB_NAME = 'royal-burger-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+
+const MEMORY_MAX_ENTRIES = 200;
+const PERSISTENT_MAX_ENTRIES = 500;
+const PERSISTENT_MAX_BYTES = 5 * 1024 * 1024; // 5 MB (tamanho aproximado do JSON)
+// Entradas vencidas ficam guardadas para revalidação/uso offline até este limite
+const STALE_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const BROADCAST_CHANNEL = 'rb-cache';
+
+/**
+ * Retorno do fetcher de getOrFetch quando o servidor respondeu 304 (dados inalterados)
+ */
+export const NOT_MODIFIED = Symbol('cache:not-modified');
+
+/**
+ * Eventos do socketService que invalidam tags do cache
+ */
+export const SOCKET_INVALIDATION_RULES = {
+    'product.created': ['products'],
+    'product.updated': ['products'],
+    'product.deleted': ['products'],
+    'category.created': ['categories'],
+    'category.updated': ['categories'],
+    'category.deleted': ['categories'],
+    'ingredient.updated': ['ingredients', 'products'],
+    'stock.alert': ['ingredients', 'products'],
+    'promotion.created': ['promotions'],
+    'promotion.updated': ['promotions'],
+    'promotion.deleted': ['promotions'],
+    'settings.updated': ['settings'],
+};
+
+// Valor retornado pelo fetcher junto com o ETag da resposta (ver withEtag)
+class EtagValue {
+    constructor(value, etag) {
+        this.value = value;
+        this.etag = etag || null;
+    }
+}
+
+/**
+ * Anexa o ETag da resposta ao valor retornado pelo fetcher de getOrFetch
+ * @param {*} value - Dados
+ * @param {string|null} etag - ETag recebido do servidor
+ * @returns {EtagValue}
+ */
+export function withEtag(value, etag) {
+    return new EtagValue(value, etag);
+}
+
+function estimateSize(value) {
+    try {
+        return JSON.stringify(value)?.length || 0;
+    } catch (error) {
+        return 0;
+    }
+}
+
 class CacheManager {
     constructor() {
         this.cache = new Map();
         this.defaultTTL = 5 * 60 * 1000; // 5 minutos em milissegundos
+        this.maxEntries = MEMORY_MAX_ENTRIES;
+        this.dbPromise = null;
+        this.inflight = new Map(); // getOrFetch em andamento por chave
+        this.boundSockets = new WeakSet();
+        this.channel = null;
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(BROADCAST_CHANNEL);
+            this.channel.onmessage = (event) => this.handleBroadcast(event.data);
+        }
     }
 
+    // ====== Camada de memória ======
+
     /**
      * Armazena um valor no cache
      * @param {string} key - Chave do cache
      * @param {*} value - Valor a ser armazenado
      * @param {number} ttl - Tempo de vida em milissegundos (padrão: 5 minutos)
+     * @param {Object} [options]
+     * @param {boolean} [options.persist=false] - Gravar também no IndexedDB
+     * @param {string[]} [options.tags] - Tags para invalidação em grupo
+     * @param {string|null} [options.etag] - ETag da resposta (revalidação)
      */
-    set(key, value, ttl = null) {
+    set(key, value, ttl = null, { persist = false, tags = [], etag = null } = {}) {
         const expirationTime = Date.now() + (ttl || this.defaultTTL);
+        this.cache.delete(key);
         this.cache.set(key, {
             value,
-            expirationTime
+            expirationTime,
+            tags,
+            etag
         });
+
+        // LRU: a Map mantém ordem de inserção; a primeira chave é a menos usada
+        while (this.cache.size > this.maxEntries) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+
+        if (persist) {
+            this.writePersistent({ key, value, expirationTime, tags, etag });
+        }
     }
 
     /**
@@ -30,7 +129,7 @@ class CacheManager {
      */
     get(key) {
         const item = this.cache.get(key);
-        
+
         if (!item) {
             return null;
         }
@@ -41,6 +140,9 @@ class CacheManager {
             return null;
         }
 
+        // Marcar como usada recentemente
+        this.cache.delete(key);
+        this.cache.set(key, item);
         return item.value;
     }
 
@@ -51,7 +153,7 @@ class CacheManager {
      */
     has(key) {
         const item = this.cache.get(key);
-        
+
         if (!item) {
             return false;
         }
@@ -66,11 +168,31 @@ class CacheManager {
     }
 
     /**
-     * Remove uma chave do cache
+     * Remove uma chave do cache (memória e IndexedDB, em todas as abas)
      * @param {string} key - Chave a ser removida
      */
     delete(key) {
         this.cache.delete(key);
+        this.deletePersistent([key]);
+        this.broadcast({ type: 'delete', keys: [key] });
+    }
+
+    /**
+     * Alias de delete
+     * @param {string} key - Chave a ser invalidada
+     */
+    invalidate(key) {
+        this.delete(key);
+    }
+
+    /**
+     * Invalida todas as entradas marcadas com a tag (memória e IndexedDB, em todas as abas)
+     * @param {string} tag - Ex.: 'products', 'ingredients'
+     */
+    invalidateTag(tag) {
+        this.dropMemoryTag(tag);
+        this.deletePersistentByTag(tag);
+        this.broadcast({ type: 'tag', tag });
     }
 
     /**
@@ -78,6 +200,8 @@ class CacheManager {
      */
     clear() {
         this.cache.clear();
+        this.withStore('readwrite', (store) => store.clear());
+        this.broadcast({ type: 'clear' });
     }
 
     /**
@@ -103,6 +227,241 @@ class CacheManager {
             keys: Array.from(this.cache.keys())
         };
     }
+
+    dropMemoryTag(tag) {
+        for (const [key, item] of this.cache.entries()) {
+            if (item.tags?.includes(tag)) {
+                this.cache.delete(key);
+            }
+        }
+    }
+
+    // ====== Camada persistente (IndexedDB) ======
+
+    openDatabase() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                    store.createIndex('lastAccess', 'lastAccess');
+                    store.createIndex('tags', 'tags', { multiEntry: true });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            // Navegação privada / IndexedDB bloqueado: seguir só com a memória
+            request.onerror = () => resolve(null);
+            request.onblocked = () => resolve(null);
+        });
+        return this.dbPromise;
+    }
+
+    /**
+     * Executa uma operação no object store
+     * @returns {Promise<*>} Resultado da request retornada pela operação (null se indisponível)
+     */
+    async withStore(mode, operation) {
+        try {
+            const db = await this.openDatabase();
+            if (!db) return null;
+            return await new Promise((resolve, reject) => {
+                const tx = db.transaction(STORE_NAME, mode);
+                const request = operation(tx.objectStore(STORE_NAME));
+                tx.oncomplete = () => resolve(request ? request.result : null);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async readPersistent(key) {
+        const entry = await this.withStore('readonly', (store) => store.get(key));
+        if (!entry) return null;
+
+        // Atualizar último acesso (LRU) sem bloquear a leitura
+        this.withStore('readwrite', (store) => store.put({ ...entry, lastAccess: Date.now() }));
+        return entry;
+    }
+
+    async writePersistent({ key, value, expirationTime, tags = [], etag = null }) {
+        const size = estimateSize(value);
+        if (size > PERSISTENT_MAX_BYTES) return;
+
+        await this.withStore('readwrite', (store) => store.put({
+            key,
+            value,
+            expirationTime,
+            tags,
+            etag,
+            size,
+            lastAccess: Date.now()
+        }));
+        this.scheduleEviction();
+    }
+
+    deletePersistent(keys) {
+        if (!keys.length) return Promise.resolve(null);
+        return this.withStore('readwrite', (store) => {
+            keys.forEach((key) => store.delete(key));
+            return null;
+        });
+    }
+
+    async deletePersistentByTag(tag) {
+        const keys = await this.withStore('readonly', (store) => store.index('tags').getAllKeys(tag));
+        if (keys?.length) {
+            await this.deletePersistent(keys);
+        }
+    }
+
+    scheduleEviction() {
+        if (this.evictionTimer) return;
+        this.evictionTimer = setTimeout(() => {
+            this.evictionTimer = null;
+            this.evictPersistent();
+        }, 1000);
+    }
+
+    /**
+     * Descarte LRU: remove entradas vencidas há muito tempo e, se passar dos limites
+     * de quantidade ou tamanho, as menos acessadas
+     */
+    async evictPersistent() {
+        const entries = await this.withStore('readonly', (store) => store.getAll());
+        if (!entries?.length) return;
+
+        const now = Date.now();
+        const toDelete = [];
+        const alive = [];
+        entries.forEach((entry) => {
+            if (now - entry.expirationTime > STALE_RETENTION_MS) {
+                toDelete.push(entry.key);
+            } else {
+                alive.push(entry);
+            }
+        });
+
+        alive.sort((a, b) => a.lastAccess - b.lastAccess);
+        let count = alive.length;
+        let bytes = alive.reduce((sum, entry) => sum + (entry.size || 0), 0);
+        for (const entry of alive) {
+            if (count <= PERSISTENT_MAX_ENTRIES && bytes <= PERSISTENT_MAX_BYTES) break;
+            toDelete.push(entry.key);
+            count--;
+            bytes -= entry.size || 0;
+        }
+
+        await this.deletePersistent(toDelete);
+    }
+
+    // ====== Busca em camadas ======
+
+    /**
+     * Busca um valor em memória → IndexedDB → rede
+     * Entradas vencidas são revalidadas: o fetcher recebe o ETag anterior e pode devolver
+     * NOT_MODIFIED (mantém o valor e renova o TTL). Se a rede falhar, devolve a versão vencida.
+     * @param {string} key - Chave do cache
+     * @param {Function} fetcher - async ({ etag }) => valor | withEtag(valor, etag) | NOT_MODIFIED
+     * @param {Object} [options]
+     * @param {number} [options.ttl] - Tempo de vida em milissegundos
+     * @param {string[]} [options.tags] - Tags para invalidação (ex.: ['products'])
+     * @param {boolean} [options.persist=true] - Guardar no IndexedDB
+     * @returns {Promise<*>} Valor
+     */
+    getOrFetch(key, fetcher, { ttl = null, tags = [], persist = true } = {}) {
+        const cached = this.get(key);
+        if (cached !== null) return Promise.resolve(cached);
+
+        // Mesma chave pedida em paralelo (ex.: dois componentes da página): uma requisição só
+        if (this.inflight.has(key)) return this.inflight.get(key);
+
+        const promise = this.resolveEntry(key, fetcher, { ttl, tags, persist })
+            .finally(() => this.inflight.delete(key));
+        this.inflight.set(key, promise);
+        return promise;
+    }
+
+    async resolveEntry(key, fetcher, { ttl, tags, persist }) {
+        const stale = persist ? await this.readPersistent(key) : null;
+
+        if (stale && Date.now() <= stale.expirationTime) {
+            // Promover para a memória com o TTL restante
+            this.set(key, stale.value, stale.expirationTime - Date.now(), { tags: stale.tags, etag: stale.etag });
+            return stale.value;
+        }
+
+        let result;
+        try {
+            result = await fetcher({ etag: stale?.etag || null });
+        } catch (error) {
+            if (stale) return stale.value;
+            throw error;
+        }
+
+        if (result === NOT_MODIFIED && stale) {
+            this.set(key, stale.value, ttl, { persist, tags, etag: stale.etag });
+            return stale.value;
+        }
+
+        const value = result instanceof EtagValue ? result.value : result;
+        const etag = result instanceof EtagValue ? result.etag : null;
+        this.set(key, value, ttl, { persist, tags, etag });
+        return value;
+    }
+
+    // ====== Invalidação por eventos ======
+
+    /**
+     * Invalida tags do cache quando o socket recebe eventos de alteração
+     * Pode ser chamado antes da conexão: os listeners são registrados quando o socket conectar.
+     * @param {Object} socketService - Instância de SocketClient (api/socket-client.js)
+     * @param {Object} [rules] - Mapa evento → tags
+     */
+    bindSocketInvalidation(socketService, rules = SOCKET_INVALIDATION_RULES) {
+        if (typeof window === 'undefined') return;
+
+        const attach = () => {
+            const socket = socketService.socket;
+            if (!socket || this.boundSockets.has(socket)) return;
+            this.boundSockets.add(socket);
+            Object.entries(rules).forEach(([eventName, tags]) => {
+                socketService.on(eventName, () => tags.forEach((tag) => this.invalidateTag(tag)));
+            });
+        };
+
+        attach();
+        window.addEventListener('socket:connected', attach);
+        window.addEventListener('socket:reconnected', attach);
+    }
+
+    broadcast(message) {
+        try {
+            this.channel?.postMessage(message);
+        } catch (error) {
+            // Canal fechado: as outras abas expiram pelo TTL
+        }
+    }
+
+    // Outra aba invalidou: o IndexedDB já foi atualizado por ela, só a memória precisa cair
+    handleBroadcast(message) {
+        if (!message) return;
+        if (message.type === 'delete') {
+            message.keys.forEach((key) => this.cache.delete(key));
+        } else if (message.type === 'tag') {
+            this.dropMemoryTag(message.tag);
+        } else if (message.type === 'clear') {
+            this.cache.clear();
+        }
+    }
 }
 
 // Exportar instância singleton
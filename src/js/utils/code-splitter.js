@@ -5,6 +5,8 @@
  * evitando carregar código desnecessário.
  */
 
+import { tokenStorage } from "./token-storage.js";
+
 /**
  * Cache de módulos já carregados para evitar recarregamento
  */
@@ -190,7 +192,7 @@ export async function loadFeature(featureName, options = {}) {
   // Verificar se é feature pública
   if (!feature.public && checkAuth) {
     // Verificar autenticação
-    const token = localStorage.getItem("rb.token");
+    const token = tokenStorage.getAccessToken();
     if (!token) {
       console.warn(
         `Feature "${featureName}" requer autenticação. Usuário não autenticado.`
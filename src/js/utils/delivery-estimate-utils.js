@@ -0,0 +1,128 @@
+/**
+ * Previsão de entrega compartilhada
+ * Prazo estimado do pedido (histórico de pedidos) e contagem regressiva até o
+ * horário prometido, com detecção de atraso (acompanhamento em info-pedido.html).
+ */
+
+const MINUTE_MS = 60 * 1000;
+const SAFETY_MARGIN_MINUTES = 15; // Margem somada ao prazo mínimo para formar o máximo
+
+/**
+ * Valores padrão para prazos de entrega (fallback quando as configurações não carregam)
+ */
+export const DEFAULT_ESTIMATED_TIMES = {
+  initiation_minutes: 5,
+  preparation_minutes: 20,
+  dispatch_minutes: 5,
+  delivery_minutes: 15,
+};
+
+// Status em que não há mais o que contar (entregue, pago, concluído ou cancelado)
+const FINISHED_STATUSES = ["delivered", "paid", "completed", "cancelled"];
+// Retirada termina quando o pedido fica pronto no balcão
+const PICKUP_READY_STATUSES = ["ready", "in_progress"];
+
+/**
+ * Calcula tempo estimado de entrega baseado nos prazos do sistema + soma dos tempos de preparo dos produtos
+ * Fórmula: Iniciação + (Soma dos Tempos de Preparo dos Produtos × Quantidade) + Envio + Entrega
+ * @param {Object|null} estimatedTimes - Prazos das configurações públicas (null = padrão)
+ * @param {string} orderType - Tipo do pedido ('delivery' ou 'pickup'). Padrão: 'delivery'
+ * @param {Array} orderItems - Array de itens do pedido com informações do produto
+ * @returns {{minTime: number, maxTime: number}} Prazos em minutos
+ */
+export function calculateEstimatedDeliveryTime(estimatedTimes, orderType = "delivery", orderItems = []) {
+  const validOrderType = orderType === "pickup" ? "pickup" : "delivery";
+  const times = estimatedTimes || DEFAULT_ESTIMATED_TIMES;
+
+  // Soma dos tempos de preparo dos produtos (considerando quantidade)
+  let totalProductPrepTime = 0;
+  if (Array.isArray(orderItems)) {
+    orderItems.forEach((item) => {
+      const prepTime = Math.max(
+        0,
+        parseFloat(item.product?.preparation_time_minutes || item.preparation_time_minutes || 0) || 0
+      );
+      const quantity = Math.max(1, parseInt(item.quantity || 1, 10) || 1);
+      const itemPrepTime = prepTime * quantity;
+      if (isFinite(itemPrepTime)) {
+        totalProductPrepTime += itemPrepTime;
+      }
+    });
+  }
+
+  const initiation = Math.max(0, Number(times.initiation_minutes) || DEFAULT_ESTIMATED_TIMES.initiation_minutes);
+  const systemPreparation = Number(times.preparation_minutes) || DEFAULT_ESTIMATED_TIMES.preparation_minutes;
+  const dispatch = Math.max(0, Number(times.dispatch_minutes) || DEFAULT_ESTIMATED_TIMES.dispatch_minutes);
+  const delivery =
+    validOrderType === "delivery"
+      ? Math.max(0, Number(times.delivery_minutes) || DEFAULT_ESTIMATED_TIMES.delivery_minutes)
+      : 0;
+
+  // Sem produtos com tempo de preparo, usar o padrão do sistema
+  const preparation = totalProductPrepTime > 0 ? totalProductPrepTime : systemPreparation;
+
+  const minTime = Math.max(0, initiation + preparation + dispatch + delivery);
+  return { minTime, maxTime: minTime + SAFETY_MARGIN_MINUTES };
+}
+
+/**
+ * Verificar se o acompanhamento do pedido terminou
+ * @param {Object} order - Pedido (status, order_type)
+ * @returns {boolean} True se não há mais prazo a acompanhar
+ */
+export function isTrackingFinished(order) {
+  if (!order) return true;
+  if (FINISHED_STATUSES.includes(order.status)) return true;
+  return order.order_type === "pickup" && PICKUP_READY_STATUSES.includes(order.status);
+}
+
+/**
+ * Horário prometido ao cliente
+ * Agendados: fim da janela escolhida. Demais: criação + prazo máximo estimado.
+ * @param {Object} order - Pedido (created_at, scheduled_for)
+ * @param {{maxTime: number}} estimate - Resultado de calculateEstimatedDeliveryTime
+ * @param {Object} [options]
+ * @param {number} [options.slotMinutes=30] - Duração da janela de agendamento
+ * @returns {Date|null} Prazo ou null sem data de criação válida
+ */
+export function getPromisedTime(order, estimate, { slotMinutes = 30 } = {}) {
+  if (order?.scheduled_for) {
+    const windowStart = new Date(order.scheduled_for);
+    if (!isNaN(windowStart.getTime())) {
+      return new Date(windowStart.getTime() + slotMinutes * MINUTE_MS);
+    }
+  }
+
+  const createdAt = new Date(order?.created_at || order?.date);
+  if (isNaN(createdAt.getTime())) return null;
+  return new Date(createdAt.getTime() + (estimate?.maxTime || 0) * MINUTE_MS);
+}
+
+/**
+ * Situação da contagem regressiva
+ * @param {Date|null} promisedTime - Horário prometido
+ * @param {Date} [now] - Momento de referência
+ * @returns {{remainingMs: number, late: boolean, lateMinutes: number}|null} Null sem prazo
+ */
+export function getCountdown(promisedTime, now = new Date()) {
+  if (!promisedTime) return null;
+  const remainingMs = promisedTime.getTime() - now.getTime();
+  return {
+    remainingMs: Math.max(0, remainingMs),
+    late: remainingMs < 0,
+    lateMinutes: remainingMs < 0 ? Math.ceil(-remainingMs / MINUTE_MS) : 0,
+  };
+}
+
+/**
+ * Formatar tempo restante ("12:05", "1h 05min")
+ * @param {number} ms - Milissegundos restantes
+ * @returns {string} Texto formatado
+ */
+export function formatRemainingTime(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, "0")}min`;
+  return `${String(minutes).padStart(2, "0")}:${String(totalSeconds % 60).padStart(2, "0")}`;
+}
@@ -0,0 +1,438 @@
+/**
+ * Comanda do pedido para impressoras térmicas (ESC/POS)
+ *
+ * Converte o pedido retornado por getOrderDetails em linhas de texto já diagramadas
+ * para a largura do papel e, a partir delas, no fluxo de bytes ESC/POS ou na prévia em
+ * texto puro. Não depende do DOM: a mesma entrada sempre gera os mesmos bytes, então a
+ * saída pode ser conferida comparando buffers, sem impressora: `node escpos-ticket-check.mjs`
+ * compara com as referências de fixtures/escpos-ticket (58mm e 80mm).
+ */
+
+import { isPickupOrder } from './order-flow-utils.js';
+import { isSplitPayment, getOrderPayments, getTenderChange } from './split-payment-utils.js';
+
+// Colunas por linha na fonte A (12x24) de cada bobina
+export const PAPER_WIDTHS = {
+    '58mm': 32,
+    '80mm': 48,
+};
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+export const ESC_POS = {
+    INIT: [ESC, 0x40],
+    CODEPAGE_PC860: [ESC, 0x74, 3], // Página de código do português
+    ALIGN_LEFT: [ESC, 0x61, 0],
+    ALIGN_CENTER: [ESC, 0x61, 1],
+    ALIGN_RIGHT: [ESC, 0x61, 2],
+    BOLD_ON: [ESC, 0x45, 1],
+    BOLD_OFF: [ESC, 0x45, 0],
+    SIZE_NORMAL: [GS, 0x21, 0x00],
+    SIZE_DOUBLE: [GS, 0x21, 0x11], // Altura e largura duplas
+    FEED_AND_CUT: [GS, 0x56, 0x42, 0x03], // Avança 3 linhas e faz corte parcial
+};
+
+// Caracteres acentuados na página de código PC860 (português)
+const PC860_MAP = {
+    'Ç': 0x80, 'ü': 0x81, 'é': 0x82, 'â': 0x83, 'ã': 0x84, 'à': 0x85, 'Á': 0x86, 'ç': 0x87,
+    'ê': 0x88, 'Ê': 0x89, 'è': 0x8a, 'Í': 0x8b, 'Ô': 0x8c, 'ì': 0x8d, 'Ã': 0x8e, 'Â': 0x8f,
+    'É': 0x90, 'À': 0x91, 'È': 0x92, 'ô': 0x93, 'õ': 0x94, 'ò': 0x95, 'Ú': 0x96, 'ù': 0x97,
+    'Ì': 0x98, 'Õ': 0x99, 'Ü': 0x9a, 'Ó': 0x9f, 'á': 0xa0, 'í': 0xa1, 'ó': 0xa2, 'ú': 0xa3,
+    'ñ': 0xa4, 'Ñ': 0xa5, 'ª': 0xa6, 'º': 0xa7,
+};
+
+const DEFAULT_STORE_NAME = 'Royal Burguer';
+
+/**
+ * Converte texto para bytes PC860
+ * Caracteres fora da tabela perdem o acento; o que sobrar fora do ASCII vira '?'
+ * @param {string} text - Texto a converter
+ * @returns {Array<number>} Bytes
+ */
+export function encodeText(text) {
+    const bytes = [];
+    for (const char of String(text)) {
+        const code = char.charCodeAt(0);
+        if (code >= 0x20 && code < 0x7f) {
+            bytes.push(code);
+        } else if (PC860_MAP[char] !== undefined) {
+            bytes.push(PC860_MAP[char]);
+        } else {
+            const plain = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+            const plainCode = plain.charCodeAt(0);
+            bytes.push(plain.length === 1 && plainCode >= 0x20 && plainCode < 0x7f ? plainCode : 0x3f);
+        }
+    }
+    return bytes;
+}
+
+// ====== FORMATAÇÃO ======
+
+/**
+ * Formata valor em reais sem depender de Intl (que usa espaço não separável)
+ * @param {number} value - Valor
+ * @returns {string} Ex: "R$ 1.234,50"
+ */
+function formatMoney(value) {
+    const num = Number(value) || 0;
+    const sign = num < 0 ? '-' : '';
+    const [intPart, decPart] = Math.abs(num).toFixed(2).split('.');
+    const withThousands = intPart.replace(/\B(?=(\d{3})+(?!\d))/g, '.');
+    return `${sign}R$ ${withThousands},${decPart}`;
+}
+
+function formatDateTime(dateString) {
+    const date = new Date(dateString);
+    if (!dateString || isNaN(date.getTime())) return '';
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function formatCpf(cpf) {
+    const digits = String(cpf || '').replace(/\D/g, '');
+    if (digits.length !== 11) return String(cpf || '');
+    return digits.replace(/(\d{3})(\d{3})(\d{3})(\d{2})/, '$1.$2.$3-$4');
+}
+
+function formatPaymentMethod(method) {
+    const m = String(method || '').toLowerCase();
+    if (!m) return 'Não informado';
+    if (m.includes('pix')) return 'PIX';
+    if (m === 'credit' || m.includes('credito') || m.includes('credit')) return 'Cartão de Crédito';
+    if (m === 'debit' || m.includes('debito') || m.includes('debit')) return 'Cartão de Débito';
+    if (m === 'money' || m.includes('dinheiro') || m.includes('cash')) return 'Dinheiro';
+    return String(method);
+}
+
+function isCashPayment(method) {
+    const m = String(method || '').toLowerCase();
+    return m === 'money' || m.includes('dinheiro') || m.includes('cash');
+}
+
+function toNumber(value) {
+    const num = parseFloat(value);
+    return Number.isFinite(num) ? num : null;
+}
+
+/**
+ * Preço unitário de um extra/modificação nos campos que o backend pode retornar
+ * @param {Object} obj - Extra ou modificação
+ * @returns {number} Preço ou 0
+ */
+function getAddonPrice(obj) {
+    const candidates = [obj.additional_price, obj.ingredient_price, obj.unit_price, obj.price];
+    for (const candidate of candidates) {
+        const num = toNumber(candidate);
+        if (num !== null && num > 0) return num;
+    }
+    return 0;
+}
+
+function getItemTotal(item) {
+    const subtotal = toNumber(item.item_subtotal ?? item.subtotal);
+    if (subtotal !== null) return subtotal;
+    const quantity = parseInt(item.quantity, 10) || 1;
+    return (toNumber(item.unit_price) || 0) * quantity;
+}
+
+// ====== DIAGRAMAÇÃO ======
+
+/**
+ * Quebra o texto em linhas de até `width` colunas (palavras longas são cortadas)
+ * O recuo inicial do texto é mantido na primeira linha.
+ * @param {string} text - Texto
+ * @param {number} width - Colunas disponíveis
+ * @param {string} [hangingIndent=''] - Recuo das linhas de continuação
+ * @returns {Array<string>} Linhas
+ */
+function wrapText(text, width, hangingIndent = '') {
+    const raw = String(text || '');
+    const lead = raw.match(/^ */)[0];
+    const words = raw.trim().split(/\s+/).filter(Boolean);
+    const lines = [];
+    let prefix = lead;
+    let current = lead;
+
+    const hasContent = () => current.length > prefix.length;
+    const flush = () => {
+        lines.push(current);
+        prefix = hangingIndent;
+        current = hangingIndent;
+    };
+
+    words.forEach((word) => {
+        let rest = word;
+        while (rest) {
+            const room = width - current.length - (hasContent() ? 1 : 0);
+            if (rest.length <= room) {
+                current += `${hasContent() ? ' ' : ''}${rest}`;
+                return;
+            }
+            if (hasContent()) {
+                flush();
+                continue;
+            }
+            // Palavra maior que a linha inteira: corta
+            const cut = Math.max(1, width - current.length);
+            current += rest.slice(0, cut);
+            rest = rest.slice(cut);
+            flush();
+        }
+    });
+
+    if (hasContent() || lines.length === 0) lines.push(current);
+    return lines;
+}
+
+/**
+ * Texto à esquerda e valor alinhado à direita na primeira linha
+ * @param {string} left - Texto da esquerda
+ * @param {string} right - Texto da direita (ex: preço)
+ * @param {number} width - Colunas disponíveis
+ * @param {string} [hangingIndent=''] - Recuo das linhas de continuação
+ * @returns {Array<string>} Linhas
+ */
+function twoColumns(left, right, width, hangingIndent = '') {
+    const rightText = right ? String(right) : '';
+    const leftWidth = rightText ? width - rightText.length - 1 : width;
+    const [first, ...rest] = wrapText(left, leftWidth, hangingIndent);
+    return [rightText ? `${first.padEnd(leftWidth)} ${rightText}` : first, ...rest];
+}
+
+function formatAddress(order) {
+    const addr = order.address_data || (typeof order.address === 'object' ? order.address : null);
+    if (addr) {
+        const street = [addr.street, addr.number].filter(Boolean).join(', ');
+        const parts = [street, addr.complement, addr.neighborhood, addr.city].filter(Boolean);
+        if (parts.length > 0) return parts.join(' - ');
+        if (addr.delivery_address) return addr.delivery_address;
+    }
+    if (typeof order.address === 'string' && order.address) return order.address;
+    return order.delivery_address || 'Endereço não informado';
+}
+
+/**
+ * Monta as linhas da comanda
+ * @param {Object} order - Pedido (formato de getOrderDetails)
+ * @param {Object} [options]
+ * @param {string} [options.paperWidth='80mm'] - Uma das chaves de PAPER_WIDTHS
+ * @param {string} [options.storeName] - Nome impresso no topo
+ * @returns {Array<{text: string, align: string, bold: boolean, double: boolean}>} Linhas
+ */
+export function buildTicketLines(order, { paperWidth = '80mm', storeName = DEFAULT_STORE_NAME } = {}) {
+    const width = PAPER_WIDTHS[paperWidth];
+    if (!width) {
+        throw new Error(`Largura de papel inválida: ${paperWidth}`);
+    }
+    if (!order || typeof order !== 'object') {
+        throw new Error('Pedido inválido para impressão');
+    }
+
+    const lines = [];
+    const add = (text, style = {}) => lines.push({
+        text,
+        align: style.align || 'left',
+        bold: !!style.bold,
+        double: !!style.double,
+    });
+    const addWrapped = (text, style = {}) => {
+        const limit = style.double ? Math.floor(width / 2) : width;
+        wrapText(text, limit).forEach((line) => add(line, style));
+    };
+    const separator = (char = '-') => add(char.repeat(width));
+
+    const isPickup = isPickupOrder(order);
+    const orderId = order.order_id || order.id;
+    const code = order.confirmation_code || (orderId ? `#${orderId}` : '');
+
+    // Cabeçalho
+    addWrapped(storeName, { align: 'center', bold: true, double: true });
+    add('');
+    addWrapped(`PEDIDO ${code}`, { align: 'center', bold: true, double: true });
+    const createdAt = formatDateTime(order.created_at);
+    if (createdAt) add(createdAt, { align: 'center' });
+    addWrapped(isPickup ? 'RETIRADA NO BALCÃO' : 'ENTREGA', { align: 'center', bold: true });
+    separator('=');
+
+    // Cliente
+    const customerName = order.customer_name || order.customer?.full_name || order.customer?.name
+        || order.user?.full_name || order.user?.name;
+    const phone = order.customer_phone || order.phone || order.customer?.phone || order.user?.phone;
+    if (customerName) addWrapped(`Cliente: ${customerName}`);
+    if (phone) addWrapped(`Telefone: ${phone}`);
+    if (!isPickup) {
+        addWrapped(`Endereço: ${formatAddress(order)}`);
+    }
+    if (customerName || phone || !isPickup) separator();
+
+    // Itens
+    const items = Array.isArray(order.items) ? order.items : [];
+    items.forEach((item, index) => {
+        const quantity = parseInt(item.quantity, 10) || 1;
+        const name = item.product_name || item.product?.name || 'Produto';
+        twoColumns(`${quantity}x ${name}`, formatMoney(getItemTotal(item)), width, '   ')
+            .forEach((line) => add(line, { bold: true }));
+
+        const extras = item.extras || item.additional_items || [];
+        extras.forEach((extra) => {
+            const extraName = extra.ingredient_name || extra.name || extra.title || extra.nome || 'Ingrediente';
+            const extraQty = parseInt(extra.quantity ?? extra.qty ?? extra.quantidade ?? 1, 10) || 1;
+            const price = getAddonPrice(extra) * extraQty;
+            twoColumns(`  + ${extraQty}x ${extraName}`, price > 0 ? formatMoney(price) : '', width, '    ')
+                .forEach((line) => add(line));
+        });
+
+        const baseMods = item.base_modifications || [];
+        baseMods.forEach((mod) => {
+            const modName = mod.ingredient_name || mod.name || mod.nome || 'Ingrediente';
+            const delta = parseInt(mod.delta ?? 0, 10) || 0;
+            if (delta === 0) return;
+            const label = delta > 0 ? `  COM +${delta}x ${modName}` : `  SEM ${Math.abs(delta)}x ${modName}`;
+            const price = delta > 0 ? getAddonPrice(mod) * delta : 0;
+            twoColumns(label, price > 0 ? formatMoney(price) : '', width, '    ')
+                .forEach((line) => add(line));
+        });
+
+        const notes = item.notes || item.observacao || item.observation;
+        if (notes && String(notes).trim()) {
+            wrapText(`  Obs: ${String(notes).trim()}`, width, '       ').forEach((line) => add(line));
+        }
+
+        if (index < items.length - 1) add('');
+    });
+
+    const orderNotes = order.notes || order.observacao;
+    if (orderNotes && String(orderNotes).trim()) {
+        separator();
+        add('OBSERVAÇÃO DO PEDIDO', { bold: true });
+        addWrapped(String(orderNotes).trim());
+    }
+
+    separator();
+
+    // Totais
+    const total = toNumber(order.total_amount ?? order.total) ?? 0;
+    const subtotal = toNumber(order.subtotal);
+    const deliveryFee = isPickup ? null : toNumber(order.delivery_fee ?? order.fees);
+    const discount = toNumber(order.discount ?? order.discount_amount);
+
+    if (subtotal !== null) twoColumns('Subtotal', formatMoney(subtotal), width).forEach((l) => add(l));
+    if (deliveryFee !== null && deliveryFee > 0) {
+        twoColumns('Taxa de entrega', formatMoney(deliveryFee), width).forEach((l) => add(l));
+    }
+    if (discount !== null && discount > 0) {
+        twoColumns('Desconto', formatMoney(-discount), width).forEach((l) => add(l));
+    }
+    twoColumns('TOTAL', formatMoney(total), width).forEach((l) => add(l, { bold: true }));
+
+    // Pagamento
+    separator();
+    if (isSplitPayment(order)) {
+        // Uma linha por parte; o troco de cada parte em dinheiro vem logo abaixo
+        add('Pagamento dividido:');
+        getOrderPayments(order).forEach((part) => {
+            twoColumns(formatPaymentMethod(part.method), formatMoney(part.amount), width).forEach((l) => add(l));
+            const change = getTenderChange(part);
+            if (change > 0) {
+                twoColumns('  Valor pago', formatMoney(part.amount_paid), width).forEach((l) => add(l));
+                twoColumns('  TROCO', formatMoney(change), width).forEach((l) => add(l, { bold: true }));
+            }
+        });
+    } else {
+        addWrapped(`Pagamento: ${formatPaymentMethod(order.payment_method)}`);
+        if (isCashPayment(order.payment_method)) {
+            const amountPaid = toNumber(order.amount_paid);
+            let change = toNumber(order.change_for_amount);
+            if (change === null && amountPaid !== null && amountPaid > total) {
+                change = amountPaid - total;
+            }
+            if (amountPaid !== null) {
+                twoColumns('Valor pago', formatMoney(amountPaid), width).forEach((l) => add(l));
+            }
+            if (change !== null && change > 0) {
+                twoColumns('TROCO', formatMoney(change), width).forEach((l) => add(l, { bold: true }));
+            }
+        }
+    }
+
+    if (order.cpf_on_invoice) {
+        addWrapped(`CPF na nota: ${formatCpf(order.cpf_on_invoice)}`);
+    }
+
+    separator('=');
+    add('Obrigado pela preferência!', { align: 'center' });
+
+    return lines;
+}
+
+/**
+ * Gera o fluxo de bytes ESC/POS da comanda
+ * @param {Object} order - Pedido (formato de getOrderDetails)
+ * @param {Object} [options] - Mesmas opções de buildTicketLines
+ * @param {boolean} [options.cut=true] - Se deve avançar o papel e cortar ao final
+ * @returns {Uint8Array} Bytes prontos para enviar à impressora
+ */
+export function renderOrderTicket(order, { cut = true, ...options } = {}) {
+    const lines = buildTicketLines(order, options);
+    const bytes = [...ESC_POS.INIT, ...ESC_POS.CODEPAGE_PC860];
+
+    // Só emite comandos de estilo quando o estilo muda
+    let align = 'left';
+    let bold = false;
+    let double = false;
+    const alignCommands = {
+        left: ESC_POS.ALIGN_LEFT,
+        center: ESC_POS.ALIGN_CENTER,
+        right: ESC_POS.ALIGN_RIGHT,
+    };
+
+    lines.forEach((line) => {
+        if (line.align !== align) {
+            bytes.push(...alignCommands[line.align]);
+            align = line.align;
+        }
+        if (line.bold !== bold) {
+            bytes.push(...(line.bold ? ESC_POS.BOLD_ON : ESC_POS.BOLD_OFF));
+            bold = line.bold;
+        }
+        if (line.double !== double) {
+            bytes.push(...(line.double ? ESC_POS.SIZE_DOUBLE : ESC_POS.SIZE_NORMAL));
+            double = line.double;
+        }
+        bytes.push(...encodeText(line.text), LF);
+    });
+
+    // Restaurar estado padrão para o próximo trabalho de impressão
+    if (align !== 'left') bytes.push(...ESC_POS.ALIGN_LEFT);
+    if (bold) bytes.push(...ESC_POS.BOLD_OFF);
+    if (double) bytes.push(...ESC_POS.SIZE_NORMAL);
+    if (cut) bytes.push(...ESC_POS.FEED_AND_CUT);
+
+    return Uint8Array.from(bytes);
+}
+
+/**
+ * Prévia em texto puro da comanda, com as mesmas quebras de linha da impressão
+ * @param {Object} order - Pedido (formato de getOrderDetails)
+ * @param {Object} [options] - Mesmas opções de buildTicketLines
+ * @returns {string} Texto com largura fixa
+ */
+export function renderOrderTicketText(order, options = {}) {
+    const width = PAPER_WIDTHS[options.paperWidth || '80mm'];
+    return buildTicketLines(order, options)
+        .map((line) => {
+            // Texto em tamanho duplo ocupa duas colunas por caractere
+            const text = line.double ? line.text.split('').join(' ') : line.text;
+            if (line.align === 'center') {
+                const padding = Math.max(0, Math.floor((width - text.length) / 2));
+                return `${' '.repeat(padding)}${text}`;
+            }
+            if (line.align === 'right') {
+                return text.padStart(width);
+            }
+            return text;
+        })
+        .join('\n');
+}
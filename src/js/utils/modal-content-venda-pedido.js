@@ -9,6 +9,7 @@ import { getFinancialMovements } from '../api/financial-movements.js';
 import { escapeHTML } from './html-sanitizer.js';
 import { abrirModal, fecharModal } from '../ui/modais.js';
 import { showToast } from '../ui/alerts.js';
+import { isSplitPayment, getOrderPayments, formatTenderMethod, getTenderChange } from './split-payment-utils.js';
 
 /**
  * Formata valor monetário
@@ -122,7 +123,8 @@ export async function showVendaPedidoModal(orderId) {
         const orderDate = order.created_at || order.date || '';
         const orderType = formatOrderType(order.order_type);
         const orderStatus = formatOrderStatus(order.status);
-        const paymentMethod = formatPaymentMethod(order.payment_method || '-');
+        const paymentMethod = isSplitPayment(order) ? 'Dividido' : formatPaymentMethod(order.payment_method || '-');
+        const paymentParts = isSplitPayment(order) ? getOrderPayments(order) : [];
         const totalAmount = parseFloat(order.total_amount || order.total || 0);
         const subtotal = parseFloat(order.subtotal || order.sub_total || totalAmount);
         const discounts = parseFloat(order.discounts || order.discount || 0);
@@ -140,13 +142,17 @@ export async function showVendaPedidoModal(orderId) {
             const movements = Array.isArray(financialResponse) ? financialResponse : (financialResponse?.items || []);
             
             if (movements && movements.length > 0) {
-                const revenue = movements.find((m) => m.type === "REVENUE");
+                // Pagamento dividido gera uma receita por forma de pagamento
+                const revenues = movements.filter((m) => m.type === "REVENUE");
                 const cmv = movements.find((m) => m.type === "CMV");
                 const fee = movements.find(
                     (m) => m.type === "EXPENSE" && m.subcategory === "Taxas de Pagamento"
                 );
                 
-                const revenueValue = parseFloat(revenue?.value || revenue?.amount || 0);
+                const revenueValue = revenues.reduce(
+                    (sum, m) => sum + parseFloat(m.value || m.amount || 0),
+                    0
+                );
                 const cmvValue = parseFloat(cmv?.value || cmv?.amount || 0);
                 const feeValue = parseFloat(fee?.value || fee?.amount || 0);
                 const grossProfit = revenueValue - cmvValue;
@@ -212,6 +218,15 @@ export async function showVendaPedidoModal(orderId) {
                                     <span class="label">Método de Pagamento:</span>
                                     <span class="value">${escapeHTML(paymentMethod)}</span>
                                 </div>
+                                ${paymentParts.map((part) => {
+                                    const change = getTenderChange(part);
+                                    return `
+                                <div class="invoice-detail-item">
+                                    <span class="label">${escapeHTML(formatTenderMethod(part.method))}:</span>
+                                    <span class="value">R$ ${formatCurrency(part.amount)}${change > 0 ? ` (troco R$ ${formatCurrency(change)})` : ''}</span>
+                                </div>
+                                `;
+                                }).join('')}
                                 ${deliveryFee > 0 ? `
                                 <div class="invoice-detail-item">
                                     <span class="label">Taxa de Entrega:</span>
@@ -0,0 +1,241 @@
+/**
+ * Importação de NF-e (XML) para notas de compra
+ * Leitura do XML no navegador e sugestão de insumos pelo código do fornecedor ou pelo nome
+ */
+
+import { normalizeCNPJ } from "../api/suppliers.js";
+
+export const NFE_MAX_FILE_SIZE = 2 * 1024 * 1024; // 2MB; uma NF-e típica tem poucos KB
+
+const NAME_MATCH_THRESHOLD = 0.6; // Fração mínima das palavras do insumo presentes na descrição
+const TOKEN_SIMILARITY_THRESHOLD = 0.65; // Tolera grafias como "mucarela" × "mussarela"
+const STOPWORDS = new Set(["de", "da", "do", "das", "dos", "com", "sem", "e", "em", "para", "tipo"]);
+
+function byTag(parent, tag) {
+  return parent?.getElementsByTagNameNS("*", tag)[0] || null;
+}
+
+function text(parent, tag) {
+  return byTag(parent, tag)?.textContent.trim() || "";
+}
+
+function number(parent, tag) {
+  const value = parseFloat(text(parent, tag));
+  return Number.isFinite(value) ? value : 0;
+}
+
+/**
+ * Soma os valores de um imposto do item (ex: vICMS dentro de ICMS00, ICMS20...)
+ */
+function taxValue(imposto, group, tag) {
+  const node = byTag(imposto, group);
+  if (!node) return 0;
+  return Array.from(node.getElementsByTagNameNS("*", tag)).reduce(
+    (sum, el) => sum + (parseFloat(el.textContent) || 0),
+    0
+  );
+}
+
+function parseItem(det) {
+  const prod = byTag(det, "prod");
+  const imposto = byTag(det, "imposto");
+  const ean = text(prod, "cEAN");
+
+  return {
+    number: parseInt(det.getAttribute("nItem"), 10) || null,
+    code: text(prod, "cProd"),
+    ean: ean && ean !== "SEM GTIN" ? ean : null,
+    description: text(prod, "xProd"),
+    ncm: text(prod, "NCM"),
+    cfop: text(prod, "CFOP"),
+    unit: text(prod, "uCom"),
+    quantity: number(prod, "qCom"),
+    unitPrice: number(prod, "vUnCom"),
+    totalPrice: number(prod, "vProd"),
+    discount: number(prod, "vDesc"),
+    taxes: {
+      icms: taxValue(imposto, "ICMS", "vICMS"),
+      icms_st: taxValue(imposto, "ICMS", "vICMSST"),
+      ipi: taxValue(imposto, "IPI", "vIPI"),
+      pis: taxValue(imposto, "PIS", "vPIS"),
+      cofins: taxValue(imposto, "COFINS", "vCOFINS"),
+    },
+  };
+}
+
+/**
+ * Lê o XML de uma NF-e (com ou sem nfeProc)
+ * @param {string} xmlText - Conteúdo do arquivo
+ * @returns {Object} { accessKey, number, series, issueDate, emitter, items, totals }
+ * @throws {Error} Quando o arquivo não é uma NF-e válida
+ */
+export function parseNFeXML(xmlText) {
+  if (typeof xmlText !== "string" || xmlText.trim() === "") {
+    throw new Error("Arquivo XML vazio");
+  }
+
+  const doc = new DOMParser().parseFromString(xmlText, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length > 0) {
+    throw new Error("Arquivo XML inválido");
+  }
+
+  const infNFe = byTag(doc, "infNFe");
+  if (!infNFe) {
+    throw new Error("O arquivo não é uma NF-e (infNFe não encontrado)");
+  }
+
+  const ide = byTag(infNFe, "ide");
+  const emit = byTag(infNFe, "emit");
+  const icmsTot = byTag(byTag(infNFe, "total"), "ICMSTot");
+  const items = Array.from(infNFe.getElementsByTagNameNS("*", "det")).map(parseItem);
+
+  if (items.length === 0) {
+    throw new Error("A NF-e não possui itens");
+  }
+
+  // Chave: protocolo de autorização ou atributo Id ("NFe" + 44 dígitos)
+  const accessKey =
+    text(doc, "chNFe") || (infNFe.getAttribute("Id") || "").replace(/^NFe/, "");
+
+  const totals = {
+    products: number(icmsTot, "vProd"),
+    discount: number(icmsTot, "vDesc"),
+    freight: number(icmsTot, "vFrete"),
+    insurance: number(icmsTot, "vSeg"),
+    other: number(icmsTot, "vOutro"),
+    icms: number(icmsTot, "vICMS"),
+    icms_st: number(icmsTot, "vST"),
+    ipi: number(icmsTot, "vIPI"),
+    pis: number(icmsTot, "vPIS"),
+    cofins: number(icmsTot, "vCOFINS"),
+    total: number(icmsTot, "vNF"),
+  };
+  if (!totals.products) {
+    totals.products = items.reduce((sum, item) => sum + item.totalPrice, 0);
+  }
+  if (!totals.total) totals.total = totals.products;
+
+  return {
+    accessKey: /^\d{44}$/.test(accessKey) ? accessKey : null,
+    number: text(ide, "nNF"),
+    series: text(ide, "serie"),
+    // dhEmi (v3/v4) ou dEmi (v2); a data da compra usa só AAAA-MM-DD
+    issueDate: (text(ide, "dhEmi") || text(ide, "dEmi")).slice(0, 10),
+    emitter: {
+      cnpj: normalizeCNPJ(text(emit, "CNPJ")),
+      name: text(emit, "xNome"),
+      tradeName: text(emit, "xFant"),
+    },
+    items,
+    totals,
+  };
+}
+
+/**
+ * Lê o arquivo escolhido/arrastado pelo usuário
+ * @param {File} file - Arquivo XML
+ * @returns {Promise<Object>} NF-e lida (ver parseNFeXML)
+ */
+export async function readNFeFile(file) {
+  if (!file) throw new Error("Selecione o arquivo XML da NF-e");
+  if (!/\.xml$/i.test(file.name) && file.type !== "text/xml" && file.type !== "application/xml") {
+    throw new Error("Selecione um arquivo .xml");
+  }
+  if (file.size > NFE_MAX_FILE_SIZE) {
+    throw new Error("Arquivo muito grande para uma NF-e");
+  }
+  return parseNFeXML(await file.text());
+}
+
+function tokenize(value) {
+  return String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .split(" ")
+    .filter((token) => token.length > 1 && !STOPWORDS.has(token) && !/^\d+$/.test(token));
+}
+
+function bigrams(token) {
+  const list = [];
+  for (let i = 0; i < token.length - 1; i++) list.push(token.slice(i, i + 2));
+  return list;
+}
+
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  const pairsA = bigrams(a);
+  const pairsB = bigrams(b);
+  if (pairsA.length === 0 || pairsB.length === 0) return 0;
+
+  const remaining = [...pairsB];
+  let common = 0;
+  pairsA.forEach((pair) => {
+    const index = remaining.indexOf(pair);
+    if (index !== -1) {
+      common++;
+      remaining.splice(index, 1);
+    }
+  });
+  return (2 * common) / (pairsA.length + pairsB.length);
+}
+
+/**
+ * Semelhança entre o nome do insumo e a descrição do item (0 a 1)
+ * Fração das palavras do insumo encontradas (com tolerância de grafia) na descrição
+ * @param {string} ingredientName - Nome do insumo
+ * @param {string} description - Descrição do item na NF-e
+ * @returns {number}
+ */
+export function nameSimilarity(ingredientName, description) {
+  const ingredientTokens = tokenize(ingredientName);
+  const descriptionTokens = tokenize(description);
+  if (ingredientTokens.length === 0 || descriptionTokens.length === 0) return 0;
+
+  const matched = ingredientTokens.filter((token) =>
+    descriptionTokens.some((other) => tokenSimilarity(token, other) >= TOKEN_SIMILARITY_THRESHOLD)
+  );
+  return matched.length / ingredientTokens.length;
+}
+
+/**
+ * Sugere o insumo de um item da NF-e
+ * 1) código do item (cProd) igual ao código do vínculo com o fornecedor
+ * 2) nome semelhante à descrição do item
+ * @param {Object} item - Item da NF-e
+ * @param {Array} ingredients - Insumos disponíveis
+ * @param {Array} supplierLinks - Vínculos do fornecedor ({ ingredient_id, sku, purchase_unit })
+ * @returns {{ingredient: Object|null, link: Object|null, source: string|null, score: number}}
+ */
+export function matchNFeItem(item, ingredients, supplierLinks = []) {
+  const code = String(item.code || "").trim().toLowerCase();
+  const link = code
+    ? supplierLinks.find((l) => String(l.sku || "").trim().toLowerCase() === code)
+    : null;
+  const linked = link && ingredients.find((ing) => String(ing.id) === String(link.ingredient_id));
+  if (linked) {
+    return { ingredient: linked, link, source: "sku", score: 1 };
+  }
+
+  let best = null;
+  let bestScore = 0;
+  ingredients.forEach((ingredient) => {
+    const score = nameSimilarity(ingredient.name, item.description);
+    // Empate: prefere o nome mais completo ("Queijo Prato" antes de "Queijo")
+    const isBetter =
+      score > bestScore ||
+      (score === bestScore && best && tokenize(ingredient.name).length > tokenize(best.name).length);
+    if (score > 0 && isBetter) {
+      best = ingredient;
+      bestScore = score;
+    }
+  });
+
+  if (!best || bestScore < NAME_MATCH_THRESHOLD) {
+    return { ingredient: null, link: null, source: null, score: bestScore };
+  }
+
+  const bestLink = supplierLinks.find((l) => String(l.ingredient_id) === String(best.id)) || null;
+  return { ingredient: best, link: bestLink, source: "name", score: bestScore };
+}
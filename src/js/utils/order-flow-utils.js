@@ -0,0 +1,121 @@
+/**
+ * Regras de fluxo de pedidos compartilhadas
+ * Tempo de preparo e sequência de status usados pelo gerenciamento de pedidos
+ * e pela tela da cozinha (KDS)
+ */
+
+/**
+ * Verificar se o pedido é retirada no balcão (pickup)
+ * @param {Object} order - Objeto do pedido
+ * @returns {boolean} True se for pickup
+ */
+export function isPickupOrder(order) {
+  if (!order || typeof order !== "object") return false;
+  const orderType = String(
+    order.order_type || order.delivery_type || order.deliveryType || ""
+  ).toLowerCase();
+  return orderType === "pickup";
+}
+
+/**
+ * Extrair tempo de preparo de um item (função auxiliar para evitar duplicação)
+ * @param {Object} item - Item do pedido
+ * @returns {number} Tempo de preparo em minutos ou 0 se inválido
+ */
+function extractPreparationTimeFromItem(item) {
+  if (!item || typeof item !== "object") return 0;
+
+  const product = item.product || {};
+  let prepTime = 0;
+
+  // Priorizar tempo do produto/item
+  if (
+    product.preparation_time_minutes !== undefined &&
+    product.preparation_time_minutes !== null
+  ) {
+    prepTime = parseInt(product.preparation_time_minutes, 10);
+  } else if (
+    item.preparation_time_minutes !== undefined &&
+    item.preparation_time_minutes !== null
+  ) {
+    prepTime = parseInt(item.preparation_time_minutes, 10);
+  } else if (
+    product.preparation_time !== undefined &&
+    product.preparation_time !== null
+  ) {
+    prepTime = parseInt(product.preparation_time, 10);
+  }
+
+  return !isNaN(prepTime) && prepTime > 0 ? Math.max(0, prepTime) : 0;
+}
+
+/**
+ * Calcular tempo de preparo baseado nos produtos do pedido
+ * Usa o tempo de preparo de cada produto em vez de configurações fixas
+ * @param {Object} order - Objeto do pedido
+ * @returns {number} Tempo estimado de preparo em minutos
+ */
+export function calculatePreparationTime(order) {
+  if (
+    !order.items ||
+    !Array.isArray(order.items) ||
+    order.items.length === 0
+  ) {
+    return 15; // Fallback padrão
+  }
+
+  // Pegar o maior tempo de preparo entre os itens (preparo paralelo)
+  const maxPrepTime = order.items.reduce((max, item) => {
+    const prepTime = extractPreparationTimeFromItem(item);
+    return Math.max(max, prepTime);
+  }, 0);
+
+  // Se encontrou tempo válido, usar o maior tempo + buffer
+  if (maxPrepTime > 0) {
+    // Adicionar um pequeno buffer para múltiplos itens
+    const buffer =
+      order.items.length > 1 ? Math.ceil(order.items.length * 0.5) : 0;
+    return maxPrepTime + buffer;
+  }
+
+  return 15; // Fallback padrão
+}
+
+/**
+ * Obter próximo status baseado no status atual e tipo de pedido (conforme fluxo da API)
+ * @param {string} currentStatus - Status atual
+ * @param {boolean} isPickup - Se o pedido é para retirada no balcão
+ * @returns {string} Próximo status
+ */
+export function getNextStatus(currentStatus, isPickup = false) {
+  // Normalizar in_progress para ready quando for pickup
+  const normalizedStatus =
+    currentStatus === "in_progress" && isPickup ? "ready" : currentStatus;
+
+  if (isPickup) {
+    // Fluxo para pickup: preparing -> ready (pronto para retirada) -> completed
+    const pickupStatusFlow = {
+      scheduled: "pending", // Agendado entra na fila antes do horário
+      pending: "preparing",
+      preparing: "ready", // Para pickup: vai para "ready" em vez de "on_the_way"
+      ready: "completed",
+      in_progress: "completed", // Fallback - trata como ready, então próximo é completed
+      on_the_way: "completed", // Compatibilidade (backend pode converter on_the_way -> ready)
+      delivered: "completed",
+      paid: "completed",
+    };
+    return pickupStatusFlow[normalizedStatus] || currentStatus;
+  } else {
+    // Fluxo para delivery: preparing -> on_the_way -> completed
+    const deliveryStatusFlow = {
+      scheduled: "pending", // Agendado entra na fila antes do horário
+      pending: "preparing",
+      preparing: "on_the_way",
+      on_the_way: "completed",
+      in_progress: "on_the_way", // Para delivery, in_progress -> on_the_way
+      delivered: "completed",
+      paid: "completed",
+    };
+    return deliveryStatusFlow[currentStatus] || currentStatus;
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * Renderização compartilhada dos detalhes de itens de pedido
+ * Extras e modificações da receita base com a mesma marcação em todas as telas
+ * (detalhes do pedido do cliente, tela da cozinha, etc.)
+ */
+
+import { escapeHTML } from './html-sanitizer.js';
+
+/**
+ * Formata valor monetário no padrão usado nas listas de itens
+ * @param {number} value - Valor
+ * @returns {string} Valor formatado (ex: "+R$ 2,50")
+ */
+function formatPriceTag(value) {
+    return `+R$ ${value.toFixed(2).replace('.', ',')}`;
+}
+
+/**
+ * Renderizar HTML dos extras do item
+ * @param {Array} extras - Array de extras
+ * @param {Object} [options]
+ * @param {Function} [options.getPrice] - (extra, ingredientId) => preço unitário; sem ela, preços não são exibidos
+ * @returns {string} HTML dos extras
+ */
+export function renderItemExtrasHTML(extras, { getPrice = null } = {}) {
+    if (!extras || extras.length === 0) {
+        return '';
+    }
+
+    const extrasItems = extras.map(extra => {
+        const nome = extra.ingredient_name || extra.name || extra.title || extra.nome || 'Ingrediente';
+        const quantidade = parseInt(extra.quantity ?? extra.qty ?? extra.quantidade ?? 0, 10) || 0;
+        const ingredientId = extra.ingredient_id || extra.id;
+
+        const preco = getPrice ? getPrice(extra, ingredientId) : 0;
+        const precoFormatado = preco > 0 ? ` <span class="extra-price">${formatPriceTag(preco)}</span>` : '';
+
+        return `<li><span class="extra-quantity-badge">${quantidade}</span> <span class="extra-name">${escapeHTML(nome)}</span>${precoFormatado}</li>`;
+    }).join('');
+
+    return `
+        <div class="item-extras-separator"></div>
+        <div class="item-extras-list">
+            <strong>Extras:</strong>
+            <ul>
+                ${extrasItems}
+            </ul>
+        </div>
+    `;
+}
+
+/**
+ * Renderizar HTML das modificações da receita base
+ * @param {Array} baseMods - Array de modificações base ({ ingredient_id, delta, ... })
+ * @param {Object} [options]
+ * @param {Function} [options.getPrice] - (mod, ingredientId) => preço unitário; sem ela, preços não são exibidos
+ * @returns {string} HTML das modificações
+ */
+export function renderItemBaseModificationsHTML(baseMods, { getPrice = null } = {}) {
+    if (!baseMods || baseMods.length === 0) {
+        return '';
+    }
+
+    const baseModsItems = baseMods.map(bm => {
+        const nome = bm.ingredient_name || bm.name || bm.nome || 'Ingrediente';
+        const delta = parseInt(bm.delta ?? 0, 10) || 0;
+        const ingredientId = bm.ingredient_id || bm.id;
+
+        const precoUnitario = getPrice ? getPrice(bm, ingredientId) : 0;
+
+        const isPositive = delta > 0;
+        const icon = isPositive ? 'plus' : 'minus';
+        const colorClass = isPositive ? 'mod-add' : 'mod-remove';
+        const deltaValue = Math.abs(delta);
+
+        // Preço total = unitário x quantidade (apenas adições têm custo)
+        const precoTotal = precoUnitario * deltaValue;
+        const precoFormatado = (precoTotal > 0 && isPositive) ? ` <span class="base-mod-price">${formatPriceTag(precoTotal)}</span>` : '';
+
+        return `
+            <li>
+                <span class="base-mod-icon ${colorClass}">
+                    <i class="fa-solid fa-circle-${icon}"></i>
+                </span>
+                <span class="base-mod-quantity">${deltaValue}</span>
+                <span class="base-mod-name">${escapeHTML(nome)}</span>${precoFormatado}
+            </li>
+        `;
+    }).join('');
+
+    return `
+        <div class="item-extras-separator"></div>
+        <div class="item-base-mods-list">
+            <strong>Modificações:</strong>
+            <ul>
+                ${baseModsItems}
+            </ul>
+        </div>
+    `;
+}
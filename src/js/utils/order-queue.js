@@ -0,0 +1,350 @@
+/**
+ * Fila persistente de pedidos de saída
+ *
+ * Mantém os pedidos do checkout em IndexedDB até que o backend confirme o recebimento.
+ * Cada pedido recebe uma chave de idempotência gerada no cliente, enviada em todas as
+ * tentativas, para que reenvios (retry, reload da página, volta da conexão) nunca criem
+ * pedidos duplicados.
+ *
+ * Cada entrada guarda o usuário que a criou e só é reenviada na sessão dele, dentro de
+ * MAX_ENTRY_AGE_MS; o logout (logoutLocal) esvazia a fila.
+ */
+
+import { createOrder } from '../api/orders.js';
+import { getStoredUser } from '../api/api.js';
+
+const DB_NAME = 'royal-burger';
+const DB_VERSION = 1;
+const STORE_NAME = 'outbound-orders';
+
+// Tipos de erro (classifyNetworkError) que indicam falta de conexão: o pedido fica na fila
+const OFFLINE_ERROR_TYPES = ['connection', 'timeout', 'network'];
+
+// Pedido que não saiu em 2h não é mais o que o cliente quer receber: descartar
+const MAX_ENTRY_AGE_MS = 2 * 60 * 60 * 1000;
+
+export const ORDER_QUEUE_EVENTS = {
+    QUEUED: 'orderqueue:queued',
+    SUBMITTED: 'orderqueue:submitted',
+    FAILED: 'orderqueue:failed',
+};
+
+/**
+ * Gera uma chave de idempotência única para o pedido
+ * @returns {string} UUID v4
+ */
+export function generateIdempotencyKey() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+
+    // Fallback para navegadores sem randomUUID (contextos não seguros)
+    const bytes = new Uint8Array(16);
+    if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
+        crypto.getRandomValues(bytes);
+    } else {
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = Math.floor(Math.random() * 256);
+        }
+    }
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Verifica se o resultado de createOrder representa falha de conectividade
+ * @param {Object} result - Resultado retornado por createOrder
+ * @returns {boolean} True se o pedido deve permanecer na fila
+ */
+function isOfflineFailure(result) {
+    if (!result || result.success) return false;
+    if (result.status === 0) return true;
+    return OFFLINE_ERROR_TYPES.includes(result.errorType);
+}
+
+function getCurrentUserId() {
+    return getStoredUser()?.id ?? null;
+}
+
+/**
+ * Armazenamento dos pedidos pendentes
+ * Usa IndexedDB quando disponível e cai para memória caso contrário
+ */
+class OrderQueueStore {
+    constructor() {
+        this.dbPromise = null;
+        this.memory = new Map();
+    }
+
+    /**
+     * Abre (ou cria) o banco IndexedDB
+     * @returns {Promise<IDBDatabase|null>} Banco aberto ou null se indisponível
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        if (typeof indexedDB === 'undefined') {
+            this.dbPromise = Promise.resolve(null);
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    const store = db.createObjectStore(STORE_NAME, { keyPath: 'idempotencyKey' });
+                    store.createIndex('createdAt', 'createdAt');
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            // Modo privado/bloqueado: segue apenas em memória
+            request.onerror = () => resolve(null);
+            request.onblocked = () => resolve(null);
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Executa uma operação em uma transação do store
+     * @param {IDBTransactionMode} mode - 'readonly' ou 'readwrite'
+     * @param {Function} operation - Recebe o object store e retorna um IDBRequest
+     * @returns {Promise<any>} Resultado da requisição
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+        if (!db) return undefined;
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE_NAME, mode);
+            const request = operation(tx.objectStore(STORE_NAME));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    async put(entry) {
+        this.memory.set(entry.idempotencyKey, entry);
+        try {
+            await this.run('readwrite', (store) => store.put(entry));
+        } catch (_e) {
+            // Mantém a cópia em memória se o IndexedDB falhar (ex: quota)
+        }
+    }
+
+    async delete(idempotencyKey) {
+        this.memory.delete(idempotencyKey);
+        try {
+            await this.run('readwrite', (store) => store.delete(idempotencyKey));
+        } catch (_e) {
+            // Ignorar: a entrada em memória já foi removida
+        }
+    }
+
+    async clear() {
+        this.memory.clear();
+        try {
+            await this.run('readwrite', (store) => store.clear());
+        } catch (_e) {
+            // Ignorar: a memória já foi limpa
+        }
+    }
+
+    async getAll() {
+        let persisted = [];
+        try {
+            persisted = (await this.run('readonly', (store) => store.getAll())) || [];
+        } catch (_e) {
+            persisted = [];
+        }
+
+        const merged = new Map(persisted.map((entry) => [entry.idempotencyKey, entry]));
+        this.memory.forEach((entry, key) => merged.set(key, entry));
+
+        return Array.from(merged.values()).sort((a, b) => a.createdAt - b.createdAt);
+    }
+}
+
+/**
+ * Fila de pedidos com reenvio automático quando a conexão volta
+ */
+class OrderQueue {
+    constructor() {
+        this.store = new OrderQueueStore();
+        this.inFlight = new Set();
+        this.replaying = null;
+        this.listening = false;
+    }
+
+    /**
+     * Registra listeners de conectividade (idempotente)
+     */
+    init() {
+        if (this.listening || typeof window === 'undefined') return;
+        this.listening = true;
+
+        window.addEventListener('online', () => {
+            this.replay();
+        });
+
+        // Tentar enviar o que ficou pendente de sessões anteriores
+        this.replay();
+    }
+
+    /**
+     * Envia um pedido passando pela fila
+     * O pedido é persistido antes do envio; só sai da fila com resposta definitiva do servidor.
+     * @param {Object} orderData - Payload aceito por createOrder
+     * @returns {Promise<Object>} Resultado de createOrder acrescido de { queued, idempotencyKey }
+     */
+    async submit(orderData) {
+        const entry = {
+            idempotencyKey: generateIdempotencyKey(),
+            payload: orderData,
+            user_id: getCurrentUserId(),
+            createdAt: Date.now(),
+            attempts: 0,
+            lastError: null,
+        };
+
+        await this.store.put(entry);
+
+        const result = await this.send(entry);
+
+        if (result.queued) {
+            this.dispatch(ORDER_QUEUE_EVENTS.QUEUED, { idempotencyKey: entry.idempotencyKey });
+        }
+
+        return result;
+    }
+
+    /**
+     * Tenta enviar uma entrada da fila
+     * @param {Object} entry - Entrada persistida
+     * @returns {Promise<Object>} Resultado do envio
+     */
+    async send(entry) {
+        if (this.inFlight.has(entry.idempotencyKey)) {
+            return { success: false, queued: true, idempotencyKey: entry.idempotencyKey };
+        }
+
+        this.inFlight.add(entry.idempotencyKey);
+
+        try {
+            if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+                return { success: false, queued: true, idempotencyKey: entry.idempotencyKey };
+            }
+
+            // Copiar o payload: createOrder remove campos do objeto recebido
+            const result = await createOrder({ ...entry.payload }, {
+                idempotencyKey: entry.idempotencyKey,
+            });
+
+            if (isOfflineFailure(result)) {
+                entry.attempts += 1;
+                entry.lastError = result.error || null;
+                await this.store.put(entry);
+                return { ...result, queued: true, idempotencyKey: entry.idempotencyKey };
+            }
+
+            // Sucesso ou erro de negócio (estoque, loja fechada...): resposta definitiva
+            await this.store.delete(entry.idempotencyKey);
+            return { ...result, queued: false, idempotencyKey: entry.idempotencyKey };
+        } finally {
+            this.inFlight.delete(entry.idempotencyKey);
+        }
+    }
+
+    /**
+     * Reenvia os pedidos pendentes do usuário atual, em ordem de criação
+     * Entradas de outro usuário são descartadas sem aviso; as expiradas geram FAILED.
+     * @returns {Promise<Array>} Resultados dos envios
+     */
+    replay() {
+        if (this.replaying) return this.replaying;
+
+        this.replaying = (async () => {
+            const results = [];
+            try {
+                const entries = await this.store.getAll();
+                const userId = getCurrentUserId();
+                for (const entry of entries) {
+                    if ((entry.user_id ?? null) !== userId) {
+                        await this.store.delete(entry.idempotencyKey);
+                        continue;
+                    }
+
+                    if (Date.now() - entry.createdAt > MAX_ENTRY_AGE_MS) {
+                        await this.store.delete(entry.idempotencyKey);
+                        const expired = {
+                            success: false,
+                            error: 'O pedido ficou pendente por muito tempo e não foi enviado',
+                        };
+                        results.push(expired);
+                        this.dispatch(ORDER_QUEUE_EVENTS.FAILED, {
+                            idempotencyKey: entry.idempotencyKey,
+                            payload: entry.payload,
+                            result: expired,
+                        });
+                        continue;
+                    }
+
+                    const result = await this.send(entry);
+                    results.push(result);
+
+                    if (result.queued) {
+                        // Ainda offline: não adianta tentar os próximos agora
+                        break;
+                    }
+
+                    this.dispatch(
+                        result.success ? ORDER_QUEUE_EVENTS.SUBMITTED : ORDER_QUEUE_EVENTS.FAILED,
+                        { idempotencyKey: entry.idempotencyKey, payload: entry.payload, result }
+                    );
+                }
+            } finally {
+                this.replaying = null;
+            }
+            return results;
+        })();
+
+        return this.replaying;
+    }
+
+    /**
+     * Lista os pedidos aguardando envio
+     * @returns {Promise<Array>} Entradas pendentes
+     */
+    getPending() {
+        return this.store.getAll();
+    }
+
+    /**
+     * Remove um pedido da fila sem enviá-lo
+     * @param {string} idempotencyKey - Chave do pedido
+     */
+    discard(idempotencyKey) {
+        return this.store.delete(idempotencyKey);
+    }
+
+    /**
+     * Esvazia a fila (logout): pedidos pendentes não podem sair com a sessão de outro usuário
+     */
+    clear() {
+        return this.store.clear();
+    }
+
+    dispatch(eventName, detail) {
+        if (typeof window === 'undefined') return;
+        window.dispatchEvent(new CustomEvent(eventName, { detail }));
+    }
+}
+
+// Exporta uma instância única (Singleton)
+export const orderQueue = new OrderQueue();
@@ -0,0 +1,255 @@
+/**
+ * Linha do tempo de pedidos compartilhada
+ * Eventos registrados pelo backend a cada mudança (status, cancelamento, pagamento),
+ * exibidos completos para a equipe (gerenciamento de pedidos) e filtrados para o
+ * cliente (detalhes do pedido). Os horários dos eventos dão os tempos reais de cada etapa.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Tipos de evento registrados pelo backend
+ */
+export const ORDER_EVENT_TYPES = {
+  CREATED: "created",
+  STATUS_CHANGED: "status_changed",
+  CANCELLED: "cancelled",
+  PAYMENT_CONFIRMED: "payment_confirmed",
+  NOTE: "note",
+};
+
+/**
+ * Telas que originam mudanças de status (enviadas em updateOrderStatus)
+ */
+export const ORDER_EVENT_SOURCES = {
+  ADMIN_PANEL: "admin_panel",
+  DASHBOARD: "dashboard",
+  KDS: "kds",
+  SCHEDULE_RELEASE: "schedule_release", // Liberação automática de agendados
+  CUSTOMER_APP: "customer_app",
+};
+
+const SOURCE_LABELS = {
+  admin_panel: "Painel de pedidos",
+  dashboard: "Dashboard",
+  kds: "Tela da cozinha",
+  schedule_release: "Liberação automática",
+  customer_app: "Site do cliente",
+  system: "Sistema",
+};
+
+const STATUS_TITLES = {
+  scheduled: "Pedido agendado",
+  pending: "Pedido na fila",
+  preparing: "Preparo iniciado",
+  ready: "Pedido pronto",
+  in_progress: "Pedido pronto", // Fallback do backend quando 'ready' não está na constraint
+  on_the_way: "Saiu para entrega",
+  delivered: "Pedido entregue",
+  paid: "Pedido pago",
+  completed: "Pedido concluído",
+  cancelled: "Pedido cancelado",
+};
+
+// Eventos que o cliente pode ver (notas internas ficam só com a equipe)
+const CUSTOMER_EVENT_TYPES = [
+  ORDER_EVENT_TYPES.CREATED,
+  ORDER_EVENT_TYPES.STATUS_CHANGED,
+  ORDER_EVENT_TYPES.CANCELLED,
+  ORDER_EVENT_TYPES.PAYMENT_CONFIRMED,
+];
+
+/**
+ * Descrever o dispositivo atual ("Chrome em Android") para a trilha de auditoria
+ * @returns {string} Navegador e sistema ou string vazia fora do navegador
+ */
+export function describeClientDevice() {
+  if (typeof navigator === "undefined") return "";
+  const ua = navigator.userAgent || "";
+
+  // Ordem importa: o user agent do Edge contém "Chrome" e o do Chrome contém "Safari"
+  let browser = "Navegador";
+  if (/Edg\//.test(ua)) browser = "Edge";
+  else if (/OPR\//.test(ua)) browser = "Opera";
+  else if (/Firefox\//.test(ua)) browser = "Firefox";
+  else if (/Chrome\//.test(ua)) browser = "Chrome";
+  else if (/Safari\//.test(ua)) browser = "Safari";
+
+  let os = "";
+  if (/Android/.test(ua)) os = "Android";
+  else if (/iPhone|iPad|iPod/.test(ua)) os = "iOS";
+  else if (/Windows/.test(ua)) os = "Windows";
+  else if (/Mac OS X/.test(ua)) os = "macOS";
+  else if (/Linux/.test(ua)) os = "Linux";
+
+  return os ? `${browser} em ${os}` : browser;
+}
+
+/**
+ * Momento do evento
+ * @param {Object} event - Evento da linha do tempo
+ * @returns {Date|null} Data ou null se ausente/inválida
+ */
+export function getEventTime(event) {
+  const date = new Date(event?.created_at || event?.occurred_at);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Ordenar eventos do mais antigo para o mais recente, descartando os sem data
+ * @param {Array} events - Eventos retornados pela API
+ * @returns {Array} Eventos ordenados
+ */
+export function normalizeTimeline(events) {
+  if (!Array.isArray(events)) return [];
+  return events
+    .filter((event) => event && getEventTime(event))
+    .sort((a, b) => getEventTime(a) - getEventTime(b));
+}
+
+/**
+ * Eventos visíveis ao cliente, sem dados da equipe (quem alterou, tela, dispositivo)
+ * @param {Array} events - Eventos completos
+ * @returns {Array} Eventos filtrados e ordenados
+ */
+export function filterCustomerTimeline(events) {
+  return normalizeTimeline(events)
+    .filter(
+      (event) =>
+        CUSTOMER_EVENT_TYPES.includes(event.type) && event.visibility !== "internal"
+    )
+    .map((event) => ({
+      type: event.type,
+      created_at: event.created_at || event.occurred_at,
+      from_status: event.from_status,
+      to_status: event.to_status,
+      payment_method: event.payment_method,
+      reason: event.type === ORDER_EVENT_TYPES.CANCELLED ? event.reason : undefined,
+    }));
+}
+
+/**
+ * Primeiro momento em que o pedido atingiu cada status
+ * 'in_progress' conta como 'ready'; cancelamento e pagamento também entram no mapa.
+ * @param {Array} events - Eventos da linha do tempo
+ * @returns {Object<string, Date>} Status => data
+ */
+export function getStatusTimestamps(events) {
+  const timestamps = {};
+  const mark = (key, date) => {
+    if (key && !timestamps[key]) timestamps[key] = date;
+  };
+
+  normalizeTimeline(events).forEach((event) => {
+    const date = getEventTime(event);
+    const status = event.to_status === "in_progress" ? "ready" : event.to_status;
+
+    if (event.type === ORDER_EVENT_TYPES.CREATED) {
+      mark("created", date);
+      mark(status, date);
+    } else if (event.type === ORDER_EVENT_TYPES.STATUS_CHANGED) {
+      mark(status, date);
+    } else if (event.type === ORDER_EVENT_TYPES.CANCELLED) {
+      mark("cancelled", date);
+    } else if (event.type === ORDER_EVENT_TYPES.PAYMENT_CONFIRMED) {
+      mark("payment_confirmed", date);
+    }
+  });
+
+  return timestamps;
+}
+
+function minutesBetween(start, end) {
+  if (!start || !end) return null;
+  const diff = end - start;
+  return diff >= 0 ? Math.round(diff / MINUTE_MS) : null;
+}
+
+/**
+ * Tempos reais de cada etapa a partir dos eventos
+ * - fila: entrada na fila (ou criação) até o início do preparo
+ * - preparo: início do preparo até ficar pronto (ou sair para entrega)
+ * - expedição: fim do preparo até a entrega/retirada
+ * @param {Array} events - Eventos da linha do tempo
+ * @returns {{queue: number|null, preparation: number|null, dispatch: number|null, total: number|null}}
+ *          Minutos de cada etapa (null = etapa ainda não concluída)
+ */
+export function computeStageDurations(events) {
+  const t = getStatusTimestamps(events);
+  const queueStart = t.pending || t.created;
+  const preparationEnd = t.ready || t.on_the_way;
+  const finish = t.delivered || t.completed || t.paid;
+
+  return {
+    queue: minutesBetween(queueStart, t.preparing),
+    preparation: minutesBetween(t.preparing, preparationEnd),
+    dispatch: minutesBetween(preparationEnd, finish),
+    total: minutesBetween(queueStart, finish),
+  };
+}
+
+/**
+ * Formatar duração em minutos ("8 min", "1h 05min")
+ * @param {number|null} minutes - Duração
+ * @returns {string} Texto formatado ou "—" se indisponível
+ */
+export function formatStageDuration(minutes) {
+  if (minutes === null || minutes === undefined || !isFinite(minutes)) return "—";
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  return `${hours}h ${String(minutes % 60).padStart(2, "0")}min`;
+}
+
+/**
+ * Título, detalhe e ícone de um evento
+ * @param {Object} event - Evento da linha do tempo
+ * @param {Object} [options]
+ * @param {string} [options.audience="staff"] - "staff" inclui quem alterou, tela e dispositivo
+ * @returns {{title: string, detail: string, icon: string}} Textos sem HTML (escapar ao renderizar)
+ */
+export function describeTimelineEvent(event, { audience = "staff" } = {}) {
+  let title;
+  let icon;
+
+  switch (event.type) {
+    case ORDER_EVENT_TYPES.CREATED:
+      title = event.to_status === "scheduled" ? STATUS_TITLES.scheduled : "Pedido realizado";
+      icon = "fa-receipt";
+      break;
+    case ORDER_EVENT_TYPES.CANCELLED:
+      title = STATUS_TITLES.cancelled;
+      icon = "fa-ban";
+      break;
+    case ORDER_EVENT_TYPES.PAYMENT_CONFIRMED:
+      title = "Pagamento confirmado";
+      icon = "fa-circle-dollar-to-slot";
+      break;
+    case ORDER_EVENT_TYPES.NOTE:
+      title = "Anotação";
+      icon = "fa-note-sticky";
+      break;
+    default:
+      title =
+        event.from_status === "scheduled" && event.to_status === "pending"
+          ? "Liberado para a fila"
+          : STATUS_TITLES[event.to_status] || "Status atualizado";
+      icon = "fa-arrow-right";
+  }
+
+  const details = [];
+  if (event.reason) details.push(`Motivo: ${event.reason}`);
+  if (event.type === ORDER_EVENT_TYPES.PAYMENT_CONFIRMED && event.payment_method) {
+    details.push(String(event.payment_method));
+  }
+
+  if (audience === "staff") {
+    if (event.note) details.push(event.note);
+    const actor = event.actor?.full_name || event.actor?.name;
+    if (actor) details.push(actor);
+    const source = SOURCE_LABELS[event.source];
+    if (source) details.push(source);
+    if (event.device) details.push(event.device);
+  }
+
+  return { title, detail: details.join(" · "), icon };
+}
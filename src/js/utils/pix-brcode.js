@@ -0,0 +1,178 @@
+/**
+ * Pix Copia e Cola (BR Code)
+ *
+ * Monta localmente o payload EMV MPM do Pix estático: chave do recebedor, valor do pedido
+ * e txid derivado do código do pedido, fechado com CRC16. O mesmo texto alimenta o QR code
+ * e o campo "copia e cola". Não depende do DOM nem da API.
+ *
+ * Referência: Manual de Padrões para Iniciação do Pix (BCB), Anexo I.
+ */
+
+const PIX_GUI = 'br.gov.bcb.pix';
+const MAX_MERCHANT_NAME = 25;
+const MAX_MERCHANT_CITY = 15;
+const MAX_TXID = 25;
+const MAX_DESCRIPTION = 40;
+
+// Identificadores dos campos EMV usados no Pix estático
+const EMV = {
+    PAYLOAD_FORMAT: '00',
+    MERCHANT_ACCOUNT: '26',
+    MERCHANT_CATEGORY: '52',
+    CURRENCY: '53',
+    AMOUNT: '54',
+    COUNTRY: '58',
+    MERCHANT_NAME: '59',
+    MERCHANT_CITY: '60',
+    ADDITIONAL_DATA: '62',
+    CRC: '63',
+};
+
+const EVP_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Campo EMV no formato ID + tamanho (2 dígitos) + valor
+ * @param {string} id - Identificador do campo
+ * @param {string} value - Valor
+ * @returns {string} Campo codificado
+ */
+function tlv(id, value) {
+    const text = String(value);
+    if (text.length > 99) {
+        throw new Error(`Campo ${id} do BR Code excede 99 caracteres`);
+    }
+    return `${id}${String(text.length).padStart(2, '0')}${text}`;
+}
+
+/**
+ * Remove acentos e caracteres fora do conjunto aceito pelo BR Code
+ * @param {string} text - Texto livre
+ * @param {number} maxLength - Tamanho máximo do campo
+ * @returns {string} Texto em ASCII, maiúsculo e truncado
+ */
+function sanitizeText(text, maxLength) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^A-Za-z0-9 .\-]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toUpperCase()
+        .slice(0, maxLength)
+        .trim();
+}
+
+/**
+ * CRC16-CCITT (polinômio 0x1021, valor inicial 0xFFFF) exigido no campo 63
+ * @param {string} payload - Payload incluindo "6304"
+ * @returns {string} CRC em 4 dígitos hexadecimais maiúsculos
+ */
+export function crc16(payload) {
+    let crc = 0xffff;
+    for (let i = 0; i < payload.length; i++) {
+        crc ^= payload.charCodeAt(i) << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+            crc &= 0xffff;
+        }
+    }
+    return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+/**
+ * Tipo de uma chave Pix
+ * Telefone precisa do +55 para não ser confundido com CPF (ambos têm 11 dígitos).
+ * @param {string} key - Chave informada
+ * @returns {'cpf'|'cnpj'|'phone'|'email'|'evp'|null} Tipo ou null se inválida
+ */
+export function getPixKeyType(key) {
+    const value = String(key || '').trim();
+    if (!value) return null;
+    if (EVP_REGEX.test(value)) return 'evp';
+    if (EMAIL_REGEX.test(value)) return 'email';
+    if (/^\+55\d{10,11}$/.test(value.replace(/[\s()\-]/g, ''))) return 'phone';
+
+    const digits = value.replace(/[.\-/]/g, '');
+    if (/^\d{11}$/.test(digits)) return 'cpf';
+    if (/^\d{14}$/.test(digits)) return 'cnpj';
+    return null;
+}
+
+/**
+ * Normalizar a chave Pix para o formato do DICT (sem máscara, e-mail/EVP minúsculos)
+ * @param {string} key - Chave informada
+ * @returns {string|null} Chave normalizada ou null se inválida
+ */
+export function normalizePixKey(key) {
+    const value = String(key || '').trim();
+    switch (getPixKeyType(value)) {
+        case 'evp':
+        case 'email':
+            return value.toLowerCase();
+        case 'phone':
+            return `+${value.replace(/\D/g, '')}`;
+        case 'cpf':
+        case 'cnpj':
+            return value.replace(/\D/g, '');
+        default:
+            return null;
+    }
+}
+
+/**
+ * Identificador da transação a partir do pedido (alfanumérico, até 25 caracteres)
+ * @param {number|string} orderId - ID ou código do pedido
+ * @returns {string} txid ("***" quando não há pedido)
+ */
+export function buildPixTxid(orderId) {
+    const id = String(orderId ?? '').replace(/[^A-Za-z0-9]/g, '');
+    return id ? `PEDIDO${id}`.slice(0, MAX_TXID) : '***';
+}
+
+/**
+ * Montar o payload Pix Copia e Cola
+ * @param {Object} params
+ * @param {string} params.key - Chave Pix do recebedor
+ * @param {string} params.merchantName - Nome do recebedor (até 25 caracteres)
+ * @param {string} params.merchantCity - Cidade do recebedor (até 15 caracteres)
+ * @param {number} [params.amount] - Valor em reais (omitido = pagador digita o valor)
+ * @param {string} [params.txid] - Identificador da transação (use buildPixTxid)
+ * @param {string} [params.description] - Mensagem exibida ao pagador
+ * @returns {string} Payload pronto para QR code ou copia e cola
+ */
+export function buildPixPayload({ key, merchantName, merchantCity, amount, txid, description }) {
+    const pixKey = normalizePixKey(key);
+    if (!pixKey) {
+        throw new Error('Chave Pix inválida');
+    }
+    const name = sanitizeText(merchantName, MAX_MERCHANT_NAME);
+    const city = sanitizeText(merchantCity, MAX_MERCHANT_CITY);
+    if (!name || !city) {
+        throw new Error('Nome e cidade do recebedor Pix são obrigatórios');
+    }
+
+    let account = tlv('00', PIX_GUI) + tlv('01', pixKey);
+    const info = sanitizeText(description, MAX_DESCRIPTION);
+    if (info) account += tlv('02', info);
+
+    let payload =
+        tlv(EMV.PAYLOAD_FORMAT, '01') +
+        tlv(EMV.MERCHANT_ACCOUNT, account) +
+        tlv(EMV.MERCHANT_CATEGORY, '0000') +
+        tlv(EMV.CURRENCY, '986'); // BRL
+
+    const value = Number(amount);
+    if (Number.isFinite(value) && value > 0) {
+        payload += tlv(EMV.AMOUNT, value.toFixed(2));
+    }
+
+    payload +=
+        tlv(EMV.COUNTRY, 'BR') +
+        tlv(EMV.MERCHANT_NAME, name) +
+        tlv(EMV.MERCHANT_CITY, city) +
+        tlv(EMV.ADDITIONAL_DATA, tlv('05', txid || '***'));
+
+    payload += `${EMV.CRC}04`;
+    return payload + crc16(payload);
+}
@@ -7,6 +7,7 @@ import { getIngredientById } from '../api/ingredients.js';
 import { escapeHTML } from './html-sanitizer.js';
 import { cacheManager } from './cache-manager.js';
 import { abrirModal, fecharModal } from '../ui/modais.js';
+import { normalizeUnit, formatQuantity, formatUnitPrice } from './unit-conversion.js';
 
 /**
  * Formata valor monetário
@@ -71,90 +72,6 @@ function translateStatus(status) {
     return translations[status] || status;
 }
 
-/**
- * Normaliza unidade de medida
- * @param {string} unit - Unidade
- * @returns {string} Unidade normalizada
- */
-function normalizeUnit(unit) {
-    if (!unit) return 'un';
-    const u = unit.toLowerCase().trim();
-    if (u === 'kilogram' || u === 'kilograma') return 'kg';
-    if (u === 'gram' || u === 'grama') return 'g';
-    if (u === 'liter' || u === 'litro') return 'l';
-    if (u === 'milliliter' || u === 'mililitro') return 'ml';
-    if (u === 'unit' || u === 'unidade') return 'un';
-    return u;
-}
-
-/**
- * Formata quantidade com base na unidade de medida do ingrediente
- * 
- * ALTERAÇÃO CRÍTICA: O banco armazena na mesma unidade do ingrediente
- * Se o ingrediente tem stock_unit = 'kg', o banco armazena em kg, não em gramas
- * Portanto, NÃO deve converter dividindo por 1000 quando a unidade já é kg ou L
- * 
- * @param {number} quantity - Quantidade armazenada no banco (na mesma unidade do ingrediente)
- * @param {string} stockUnit - Unidade de estoque do ingrediente (kg, g, L, ml, un)
- * @returns {string} Quantidade formatada com unidade
- */
-function formatQuantity(quantity, stockUnit) {
-    if (!quantity || quantity === 0) return '0';
-    
-    const normalizedUnit = normalizeUnit(stockUnit);
-    let displayQuantity = quantity;
-    let displayUnit = normalizedUnit;
-
-    // ALTERAÇÃO CRÍTICA: Não converter quando unidade já é kg ou L
-    // O banco armazena na mesma unidade do ingrediente
-    // Se stock_unit = 'kg', quantity já está em kg (não precisa dividir por 1000)
-    
-    // Apenas usar a quantidade como está - banco armazena na mesma unidade do ingrediente
-    displayQuantity = quantity;
-    displayUnit = normalizedUnit;
-
-    // Formatar quantidade com decimais apropriados
-    let formattedQuantity;
-    if (displayUnit === 'kg' || displayUnit === 'L') {
-        // ALTERAÇÃO: Para kg e L, exibir com até 3 casas decimais se necessário
-        formattedQuantity = displayQuantity % 1 === 0 
-            ? displayQuantity.toFixed(0) 
-            : parseFloat(displayQuantity.toFixed(3)).toString();
-    } else if (displayUnit === 'g' || displayUnit === 'ml') {
-        // ALTERAÇÃO: Para g e ml, exibir com até 1 casa decimal se necessário
-        formattedQuantity = displayQuantity % 1 === 0 
-            ? displayQuantity.toFixed(0) 
-            : parseFloat(displayQuantity.toFixed(1)).toString();
-    } else {
-        // ALTERAÇÃO: Para unidades (un), exibir sem decimais ou com até 3 casas se necessário
-        formattedQuantity = displayQuantity % 1 === 0 
-            ? displayQuantity.toFixed(0) 
-            : parseFloat(displayQuantity.toFixed(3)).toString();
-    }
-
-    return `${formattedQuantity} ${displayUnit.toUpperCase()}`;
-}
-
-/**
- * Converte preço unitário da unidade base para unidade de exibição
- * @param {number} baseUnitPrice - Preço unitário na unidade base
- * @param {string} stockUnit - Unidade de estoque do ingrediente
- * @returns {number} Preço unitário na unidade de exibição
- */
-function formatUnitPrice(baseUnitPrice, stockUnit) {
-    if (!baseUnitPrice || baseUnitPrice === 0) return 0;
-    
-    const normalizedUnit = normalizeUnit(stockUnit);
-    
-    if (normalizedUnit === 'kg') {
-        return baseUnitPrice * 1000;
-    } else if (normalizedUnit === 'l') {
-        return baseUnitPrice * 1000;
-    }
-    
-    return baseUnitPrice;
-}
-
 /**
  * Carrega dados completos dos ingredientes com cache
  * ALTERAÇÃO: Usa cache para reduzir requisições
@@ -300,7 +217,10 @@ export async function showPurchaseInvoiceModal(invoice) {
                                     ${itemsWithIngredientData.map(item => {
                                         const quantity = item.quantity || 1;
                                         const stockUnit = item.ingredient_data?.stock_unit || 'un';
-                                        const formattedQuantity = formatQuantity(quantity, stockUnit);
+                                        let formattedQuantity = formatQuantity(quantity, stockUnit);
+                                        if (item.purchase_unit && normalizeUnit(item.purchase_unit) !== normalizeUnit(stockUnit)) {
+                                            formattedQuantity = `${formatQuantity(parseFloat(item.purchase_quantity) || 0, item.purchase_unit)} (${formattedQuantity})`;
+                                        }
                                         
                                         const unitPriceFromAPI = item.unit_price || item.price || 0;
                                         const totalPrice = item.total_price || (unitPriceFromAPI * quantity);
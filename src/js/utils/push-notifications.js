@@ -0,0 +1,195 @@
+/**
+ * Notificações Push (Web Push)
+ * Registra o service worker, assina o PushManager deste navegador e salva a
+ * assinatura no backend (user.js). Cada navegador tem a sua assinatura, identificada
+ * pelo endpoint: desativar aqui não afeta os outros dispositivos do cliente.
+ *
+ * Push simulado (só desenvolvimento/testes, em localhost):
+ * 1. localStorage.setItem('rb.push_mock_endpoint', 'http://127.0.0.1:5000/api/push-mock')
+ *    — a assinatura passa a usar esse endpoint em vez do serviço de push do navegador e é
+ *    salva no backend normalmente, para o backend de testes publicar nele;
+ * 2. deliverMockPush({ order_id, new_status, order_type, confirmation_code }) entrega o
+ *    payload ao service worker, que monta a notificação como num push real.
+ * Fora de localhost a chave é ignorada aqui e o service worker descarta MOCK_PUSH.
+ */
+
+import {
+    getPushPublicKey,
+    updateNotificationPreferences,
+    savePushSubscription,
+    deletePushSubscription
+} from '../api/user.js';
+
+// Service worker na raiz do site (escopo cobre index.html e src/pages/)
+const SERVICE_WORKER_URL = new URL('../../../service-worker.js', import.meta.url).href;
+
+export const PUSH_MOCK_STORAGE_KEY = 'rb.push_mock_endpoint';
+const MOCK_SUBSCRIPTION_KEY = 'rb.push_mock_subscription';
+const DEV_HOSTS = ['localhost', '127.0.0.1', '0.0.0.0'];
+
+/**
+ * Endpoint de push simulado configurado (apenas em localhost)
+ * @returns {string|null}
+ */
+function getMockEndpoint() {
+    if (typeof window === 'undefined' || !DEV_HOSTS.includes(window.location.hostname)) {
+        return null;
+    }
+    try {
+        return localStorage.getItem(PUSH_MOCK_STORAGE_KEY) || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function createMockSubscription(mockEndpoint) {
+    const id = typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+        ? crypto.randomUUID()
+        : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    return {
+        endpoint: `${mockEndpoint.replace(/\/$/, '')}/${id}`,
+        expirationTime: null,
+        keys: { p256dh: 'mock', auth: 'mock' }
+    };
+}
+
+/**
+ * Verifica se o navegador suporta push (ou se o push simulado está ativo)
+ * @returns {boolean}
+ */
+export function isPushSupported() {
+    if (typeof window === 'undefined' || !('serviceWorker' in navigator) || !('Notification' in window)) {
+        return false;
+    }
+    return Boolean(getMockEndpoint()) || 'PushManager' in window;
+}
+
+/**
+ * Permissão de notificação do navegador
+ * @returns {'granted'|'denied'|'default'|'unsupported'}
+ */
+export function getPushPermission() {
+    if (!isPushSupported()) return 'unsupported';
+    return Notification.permission;
+}
+
+/**
+ * Registra (ou reaproveita) o service worker
+ * @returns {Promise<ServiceWorkerRegistration>}
+ */
+export async function registerServiceWorker() {
+    const existing = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+    if (existing) return existing;
+    await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+    return navigator.serviceWorker.ready;
+}
+
+// Converte a chave VAPID (base64url) para o formato exigido pelo PushManager
+function urlBase64ToUint8Array(base64String) {
+    const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+    const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+    const raw = atob(base64);
+    return Uint8Array.from(raw, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Assinatura push atual deste navegador
+ * @returns {Promise<Object|null>} Assinatura serializada (toJSON) ou null
+ */
+export async function getPushSubscription() {
+    if (!isPushSupported()) return null;
+
+    if (getMockEndpoint()) {
+        const raw = localStorage.getItem(MOCK_SUBSCRIPTION_KEY);
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+    const subscription = registration ? await registration.pushManager.getSubscription() : null;
+    return subscription ? subscription.toJSON() : null;
+}
+
+/**
+ * Ativa as notificações push neste navegador e salva a assinatura no backend
+ * @param {number|string} userId - ID do cliente
+ * @returns {Promise<Object>} Assinatura salva
+ * @throws {Error} Sem suporte, permissão negada ou falha ao assinar
+ */
+export async function enablePushNotifications(userId) {
+    if (!isPushSupported()) {
+        throw new Error('Este navegador não suporta notificações push.');
+    }
+
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+        throw new Error('Permita as notificações nas configurações do navegador para ativar os avisos.');
+    }
+
+    const registration = await registerServiceWorker();
+
+    const mockEndpoint = getMockEndpoint();
+    if (mockEndpoint) {
+        const subscription = createMockSubscription(mockEndpoint);
+        await savePushSubscription(userId, subscription);
+        localStorage.setItem(MOCK_SUBSCRIPTION_KEY, JSON.stringify(subscription));
+        await updateNotificationPreferences(userId, { push_enabled: true });
+        return subscription;
+    }
+
+    const { public_key: publicKey } = await getPushPublicKey();
+    if (!publicKey) {
+        throw new Error('Notificações push não estão disponíveis no momento.');
+    }
+    const pushSubscription = await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(publicKey)
+    });
+    const subscription = pushSubscription.toJSON();
+
+    try {
+        await savePushSubscription(userId, subscription);
+    } catch (error) {
+        // Backend não guardou: não deixar uma assinatura órfã neste navegador
+        await pushSubscription.unsubscribe().catch(() => {});
+        throw error;
+    }
+    await updateNotificationPreferences(userId, { push_enabled: true });
+    return subscription;
+}
+
+/**
+ * Desativa as notificações push neste navegador e remove só a assinatura dele do backend
+ * @param {number|string} userId - ID do cliente
+ */
+export async function disablePushNotifications(userId) {
+    if (!isPushSupported()) return;
+
+    if (getMockEndpoint()) {
+        const mockSubscription = await getPushSubscription();
+        if (!mockSubscription) return;
+        await deletePushSubscription(userId, mockSubscription.endpoint);
+        localStorage.removeItem(MOCK_SUBSCRIPTION_KEY);
+        return;
+    }
+
+    const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+    const subscription = registration ? await registration.pushManager.getSubscription() : null;
+    if (!subscription) return;
+
+    // Remover no backend primeiro: se falhar, a assinatura local continua válida e o toggle volta
+    await deletePushSubscription(userId, subscription.endpoint);
+    await subscription.unsubscribe();
+}
+
+/**
+ * Entrega um payload ao service worker como se viesse do serviço de push (push simulado)
+ * @param {Object} payload - { order_id, new_status, order_type, confirmation_code }
+ * @returns {Promise<boolean>} False fora do modo simulado ou sem service worker ativo
+ */
+export async function deliverMockPush(payload) {
+    if (!getMockEndpoint() || !('serviceWorker' in navigator)) return false;
+    const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+    if (!registration?.active) return false;
+    registration.active.postMessage({ type: 'MOCK_PUSH', payload });
+    return true;
+}
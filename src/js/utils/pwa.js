@@ -0,0 +1,79 @@
+/**
+ * PWA da loja
+ * Registra o service worker (shell offline + cardápio em cache) e exibe o aviso de
+ * conexão: sem rede o cliente continua navegando e montando a cesta, mas a
+ * finalização do pedido fica desabilitada até a conexão voltar.
+ *
+ * Carregado pelas páginas da loja (index.html, produto.html); módulos que precisam
+ * saber do estado da conexão importam isOffline().
+ */
+
+import { registerServiceWorker } from './push-notifications.js';
+
+const OFFLINE_CLASS = 'sem-conexao';
+const BANNER_ID = 'offline-banner';
+
+let initialized = false;
+
+/**
+ * Verifica se o navegador está sem conexão
+ * @returns {boolean}
+ */
+export function isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+function getBanner() {
+    let banner = document.getElementById(BANNER_ID);
+    if (banner) return banner;
+
+    banner = document.createElement('div');
+    banner.id = BANNER_ID;
+    banner.className = 'offline-banner';
+    banner.setAttribute('role', 'status');
+    banner.innerHTML = `
+        <i class="fa-solid fa-wifi" aria-hidden="true"></i>
+        <p>Você está sem conexão. Dá para ver o cardápio e montar sua cesta; a finalização do pedido volta assim que a internet voltar.</p>
+    `;
+    document.body.prepend(banner);
+    return banner;
+}
+
+function updateConnectionState() {
+    const offline = isOffline();
+    document.body.classList.toggle(OFFLINE_CLASS, offline);
+    getBanner().hidden = !offline;
+}
+
+/**
+ * Inicializa service worker e aviso de conexão (idempotente)
+ */
+export function initPwa() {
+    if (initialized || typeof window === 'undefined') return;
+    initialized = true;
+
+    updateConnectionState();
+    window.addEventListener('online', updateConnectionState);
+    window.addEventListener('offline', updateConnectionState);
+
+    // Service worker exige HTTPS ou localhost; em file:// a loja segue funcionando sem cache offline
+    if ('serviceWorker' in navigator && window.isSecureContext) {
+        // Registrar após o load para não competir com o carregamento da página
+        const register = () => registerServiceWorker().catch(() => {
+            // Falha no registro não impede o uso online
+        });
+        if (document.readyState === 'complete') {
+            register();
+        } else {
+            window.addEventListener('load', register, { once: true });
+        }
+    }
+}
+
+if (typeof document !== 'undefined') {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initPwa);
+    } else {
+        initPwa();
+    }
+}
@@ -0,0 +1,101 @@
+/**
+ * Estrelas de avaliação compartilhadas
+ * Exibição de notas (cards da home, página do produto, painel) e campo de nota com
+ * 5 estrelas (avaliação do pedido). Estilos em global.css (.estrelas, .estrelas-input).
+ */
+
+import { escapeAttribute, escapeHTML } from "./html-sanitizer.js";
+
+export const MAX_RATING = 5;
+
+/**
+ * Formata a nota para exibição ("4,7")
+ * @param {number|string} value - Nota (0 a 5)
+ * @returns {string}
+ */
+export function formatRating(value) {
+  const number = parseFloat(value);
+  if (!Number.isFinite(number)) return "-";
+  return number.toFixed(1).replace(".", ",");
+}
+
+/**
+ * Verifica se o produto tem média para exibir
+ * @param {Object} source - Produto ou resumo { average_rating, review_count }
+ * @returns {boolean}
+ */
+export function hasRatings(source) {
+  return Boolean(source) && parseFloat(source.average_rating) > 0 && parseInt(source.review_count, 10) > 0;
+}
+
+/**
+ * HTML das estrelas de uma nota (meia estrela a partir de .5)
+ * @param {number|string} value - Nota (0 a 5)
+ * @returns {string}
+ */
+export function renderStars(value) {
+  const rating = Math.max(0, Math.min(MAX_RATING, parseFloat(value) || 0));
+  const rounded = Math.round(rating * 2) / 2;
+  let icons = "";
+  for (let star = 1; star <= MAX_RATING; star++) {
+    if (rounded >= star) {
+      icons += '<i class="fa-solid fa-star" aria-hidden="true"></i>';
+    } else if (rounded >= star - 0.5) {
+      icons += '<i class="fa-solid fa-star-half-stroke" aria-hidden="true"></i>';
+    } else {
+      icons += '<i class="fa-regular fa-star" aria-hidden="true"></i>';
+    }
+  }
+  return `<span class="estrelas" role="img" aria-label="Nota ${formatRating(rating)} de ${MAX_RATING}">${icons}</span>`;
+}
+
+/**
+ * Resumo compacto "★ 4,7 (23)" para cards de produto
+ * @param {Object} source - Produto ou resumo { average_rating, review_count }
+ * @returns {string} HTML (vazio se não houver avaliações)
+ */
+export function renderRatingBadge(source) {
+  if (!hasRatings(source)) return "";
+  const count = parseInt(source.review_count, 10);
+  return `<span class="nota-produto" aria-label="Nota ${formatRating(source.average_rating)} de ${MAX_RATING}, ${count} ${count === 1 ? "avaliação" : "avaliações"}">
+      <i class="fa-solid fa-star" aria-hidden="true"></i>${formatRating(source.average_rating)}
+      <span class="nota-produto__total">(${count})</span>
+    </span>`;
+}
+
+/**
+ * Campo de nota com 5 estrelas (radios acessíveis por teclado)
+ * @param {string} name - Nome do grupo de radios
+ * @param {Object} options
+ * @param {string} options.label - Legenda (ex.: "Comida")
+ * @param {number} [options.value] - Nota pré-selecionada
+ * @returns {string}
+ */
+export function renderStarInput(name, { label, value = 0 }) {
+  const safeName = escapeAttribute(name);
+  let stars = "";
+  // Ordem invertida no DOM + row-reverse no CSS: permite pintar as estrelas anteriores com ~
+  for (let star = MAX_RATING; star >= 1; star--) {
+    const id = `${safeName}-${star}`;
+    const text = `${star} ${star === 1 ? "estrela" : "estrelas"}`;
+    stars += `
+      <input type="radio" id="${id}" name="${safeName}" value="${star}" aria-label="${text}" ${star === value ? "checked" : ""}>
+      <label for="${id}" title="${text}"><i class="fa-solid fa-star" aria-hidden="true"></i></label>`;
+  }
+  return `
+    <fieldset class="estrelas-input">
+      <legend>${escapeHTML(label)}</legend>
+      <div class="estrelas-input__opcoes">${stars}</div>
+    </fieldset>`;
+}
+
+/**
+ * Lê a nota selecionada em um campo criado por renderStarInput
+ * @param {ParentNode} root - Container do formulário
+ * @param {string} name - Nome do grupo
+ * @returns {number|null}
+ */
+export function readStarInput(root, name) {
+  const checked = root.querySelector(`input[name="${CSS.escape(name)}"]:checked`);
+  return checked ? parseInt(checked.value, 10) : null;
+}
@@ -1,10 +1,20 @@
 /**
  * Cliente de Eventos em Tempo Real via SSE (Server-Sent Events)
  * ALTERAÇÃO: Implementado para atualizações automáticas no frontend
+ * Usado como transporte alternativo pelo realtimeHub (utils/realtime-hub.js), que é o
+ * ponto de assinatura dos módulos do painel.
  */
-import { API_BASE_URL } from '../api/api.js';
+import { API_BASE_URL, getStoredToken } from '../api/api.js';
 import { showToast } from '../ui/alerts.js';
 
+// Eventos nomeados escutados no stream (o realtimeHub substitui pela lista completa)
+const DEFAULT_EVENT_TYPES = [
+    'purchase.created',
+    'purchase.updated',
+    'financial_movement.created',
+    'financial_movement.payment_status_updated'
+];
+
 class RealtimeEventsClient {
     constructor() {
         this.eventSource = null;
@@ -14,6 +24,9 @@ class RealtimeEventsClient {
         this.reconnectDelay = 3000; // 3 segundos
         this.isConnected = false;
         this.reconnectTimer = null;
+        this.eventTypes = DEFAULT_EVENT_TYPES;
+        // Recebe todos os eventos como (type, data, id); usado pelo realtimeHub
+        this.onEvent = null;
     }
 
     /**
@@ -26,8 +39,8 @@ class RealtimeEventsClient {
         }
 
         try {
-            // ALTERAÇÃO: Obter token JWT do localStorage
-            const token = localStorage.getItem('token');
+            // Mesmo armazenamento de token das requisições (api.js)
+            const token = getStoredToken();
             if (!token) {
                 // ALTERAÇÃO: Removido console.warn - usar apenas em desenvolvimento
                 const isDev = typeof process !== "undefined" && process.env?.NODE_ENV === "development";
@@ -65,6 +78,7 @@ class RealtimeEventsClient {
                     console.error('Erro no stream de eventos:', error);
                 }
                 this.isConnected = false;
+                this._notifyListeners('disconnected', { connected: false });
                 this._handleReconnect();
             };
 
@@ -102,26 +116,11 @@ class RealtimeEventsClient {
      * ALTERAÇÃO: Escuta eventos por tipo usando addEventListener
      */
     _setupEventListeners() {
-        // Eventos de compras
-        this.eventSource.addEventListener('purchase.created', (event) => {
-            const data = JSON.parse(event.data);
-            this._handleEvent({ type: 'purchase.created', data: data.data });
-        });
-
-        this.eventSource.addEventListener('purchase.updated', (event) => {
-            const data = JSON.parse(event.data);
-            this._handleEvent({ type: 'purchase.updated', data: data.data });
-        });
-
-        // Eventos de movimentações financeiras
-        this.eventSource.addEventListener('financial_movement.created', (event) => {
-            const data = JSON.parse(event.data);
-            this._handleEvent({ type: 'financial_movement.created', data: data.data });
-        });
-
-        this.eventSource.addEventListener('financial_movement.payment_status_updated', (event) => {
-            const data = JSON.parse(event.data);
-            this._handleEvent({ type: 'financial_movement.payment_status_updated', data: data.data });
+        this.eventTypes.forEach((type) => {
+            this.eventSource.addEventListener(type, (event) => {
+                const data = JSON.parse(event.data);
+                this._handleEvent({ type, data: data.data, id: event.lastEventId || data.id });
+            });
         });
     }
 
@@ -130,7 +129,11 @@ class RealtimeEventsClient {
      * ALTERAÇÃO: Distribui evento para listeners registrados
      */
     _handleEvent(event) {
-        const { type, data } = event;
+        const { type, data, id } = event;
+
+        if (this.onEvent) {
+            this.onEvent(type, data, id);
+        }
         
         // ALTERAÇÃO: Notificar listeners específicos do tipo
         if (this.listeners.has(type)) {
@@ -0,0 +1,389 @@
+/**
+ * Hub de Eventos em Tempo Real
+ * Ponto único de assinatura para os módulos do painel. Junta os dois clientes existentes:
+ * - Socket.IO (api/socket-client.js), usado quando a biblioteca está carregada na página;
+ * - SSE (utils/realtime-events.js), usado sem Socket.IO ou quando o socket esgota as tentativas.
+ *
+ * Os nomes dos eventos são normalizados ('order_created', 'purchase:updated' → 'order.created',
+ * 'purchase.updated') e, após uma reconexão, os eventos perdidos são buscados a partir do
+ * último cursor recebido (id do evento ou horário) e entregues com meta.replayed = true.
+ *
+ * Uso:
+ *   import { realtimeHub, REALTIME_EVENTS } from '../../utils/realtime-hub.js';
+ *   const unsubscribe = realtimeHub.subscribe(REALTIME_EVENTS.ORDER_CREATED, (data, meta) => { ... });
+ */
+
+import { apiRequest } from '../api/api.js';
+import { socketService } from '../api/socket-client.js';
+import { getRealtimeClient } from './realtime-events.js';
+
+/**
+ * Eventos suportados (nomes normalizados)
+ */
+export const REALTIME_EVENTS = Object.freeze({
+    ORDER_CREATED: 'order.created',
+    ORDER_STATUS_CHANGED: 'order.status_changed',
+    FINANCIAL_MOVEMENT_CREATED: 'financial_movement.created',
+    FINANCIAL_MOVEMENT_UPDATED: 'financial_movement.updated',
+    FINANCIAL_MOVEMENT_DELETED: 'financial_movement.deleted',
+    FINANCIAL_MOVEMENT_PAYMENT_STATUS_UPDATED: 'financial_movement.payment_status_updated',
+    PURCHASE_CREATED: 'purchase.created',
+    PURCHASE_UPDATED: 'purchase.updated',
+    PURCHASE_DELETED: 'purchase.deleted',
+    RECURRENCE_MOVEMENTS_GENERATED: 'recurrence.movements_generated',
+    STOCK_ALERT: 'stock.alert',
+    TABLE_STATUS_CHANGED: 'table.status_changed'
+});
+
+/**
+ * @typedef {Object} OrderCreatedEvent
+ * @property {number} order_id
+ * @property {string} [status]
+ * @property {number} [total]
+ * @property {string} [order_type]
+ */
+
+/**
+ * @typedef {Object} OrderStatusChangedEvent
+ * @property {number} order_id
+ * @property {string} new_status
+ * @property {string} [old_status]
+ */
+
+/**
+ * @typedef {Object} StockAlertEvent
+ * @property {number} ingredient_id
+ * @property {string} [name]
+ * @property {string} status - 'low' | 'out_of_stock' | ...
+ */
+
+/**
+ * @typedef {Object} TableStatusChangedEvent
+ * @property {number} table_id
+ * @property {string} [table_name]
+ * @property {string} new_status
+ */
+
+/**
+ * @typedef {Object} RealtimeEventMeta
+ * @property {string} type - Nome normalizado do evento
+ * @property {string|null} id - Id do evento no servidor (quando enviado)
+ * @property {'socket'|'sse'} transport
+ * @property {boolean} replayed - Entregue pela recuperação após reconexão
+ */
+
+/**
+ * @callback RealtimeHandler
+ * @param {Object} data - Payload do evento (OrderCreatedEvent, StockAlertEvent...)
+ * @param {RealtimeEventMeta} meta
+ */
+
+const EVENT_NAMES = new Set(Object.values(REALTIME_EVENTS));
+const EVENT_PREFIXES = [...new Set([...EVENT_NAMES].map((name) => name.split('.')[0]))];
+
+// Nomes legados emitidos por versões anteriores do backend
+const EVENT_ALIASES = {
+    new_order: REALTIME_EVENTS.ORDER_CREATED,
+    order_status_updated: REALTIME_EVENTS.ORDER_STATUS_CHANGED,
+    low_stock_alert: REALTIME_EVENTS.STOCK_ALERT
+};
+
+const REPLAY_PATH = '/api/events/replay';
+const MAX_SEEN_IDS = 500;
+
+/**
+ * Normaliza o nome de um evento recebido de qualquer transporte
+ * @param {string} name - Ex.: 'order_created', 'purchase:updated', 'financial-movement.created'
+ * @returns {string|null} Nome normalizado ou null se não for um evento conhecido
+ */
+export function normalizeEventName(name) {
+    if (typeof name !== 'string') return null;
+
+    let key = name.trim().toLowerCase().replace(/[:/]/g, '.').replace(/-/g, '_');
+    if (EVENT_ALIASES[key]) return EVENT_ALIASES[key];
+
+    if (!key.includes('.')) {
+        // 'financial_movement_created' → 'financial_movement.created'
+        const prefix = EVENT_PREFIXES.find((candidate) => key.startsWith(`${candidate}_`));
+        if (prefix) {
+            key = `${prefix}.${key.slice(prefix.length + 1)}`;
+        }
+    }
+
+    return EVENT_NAMES.has(key) ? key : null;
+}
+
+function isValidSubscription(eventName) {
+    if (eventName === '*') return true;
+    if (eventName.endsWith('.*')) {
+        return EVENT_PREFIXES.includes(eventName.slice(0, -2));
+    }
+    return EVENT_NAMES.has(eventName);
+}
+
+// Socket e replay podem entregar o evento dentro de um envelope { type, data, id, timestamp }
+function unwrapPayload(payload) {
+    const isEnvelope = payload && typeof payload === 'object'
+        && payload.data !== undefined && (payload.type || payload.event);
+    const source = isEnvelope ? payload : (payload || {});
+    return {
+        data: isEnvelope ? payload.data : payload,
+        id: source.event_id ?? (isEnvelope ? source.id : null) ?? null,
+        timestamp: source.timestamp || null
+    };
+}
+
+class RealtimeHub {
+    constructor() {
+        this.listeners = new Map();
+        this.transport = null; // 'socket' | 'sse'
+        this.connected = false;
+        this.hasConnected = false;
+        // Último evento recebido: base para buscar o que foi perdido numa queda
+        this.cursor = { id: null, timestamp: null };
+        this.disconnectedAt = null;
+        this.seenIds = new Set();
+        this.boundSockets = new WeakSet();
+        this.socketHandlersRegistered = false;
+    }
+
+    /**
+     * Conecta escolhendo o transporte (idempotente)
+     * @param {Object} [options]
+     * @param {'auto'|'socket'|'sse'} [options.transport='auto'] - 'auto' usa Socket.IO se a
+     *   biblioteca estiver carregada na página e SSE caso contrário
+     */
+    connect({ transport = 'auto' } = {}) {
+        if (this.transport) return;
+
+        const socketAvailable = typeof window !== 'undefined' && Boolean(window.io);
+        if (transport === 'sse' || (transport === 'auto' && !socketAvailable)) {
+            this.useSse();
+        } else {
+            this.useSocket({ fallbackToSse: transport === 'auto' });
+        }
+    }
+
+    /**
+     * Encerra a conexão do transporte atual
+     */
+    disconnect() {
+        if (this.transport === 'socket') {
+            socketService.disconnect();
+        } else if (this.transport === 'sse') {
+            getRealtimeClient().disconnect();
+        }
+        this.transport = null;
+        this.connected = false;
+    }
+
+    /**
+     * Assina um evento (conecta o hub se ainda não estiver conectado)
+     * @param {string} eventName - Valor de REALTIME_EVENTS, prefixo ('purchase.*') ou '*'
+     * @param {RealtimeHandler} handler
+     * @returns {Function} Função que cancela a assinatura
+     * @throws {Error} Evento desconhecido
+     */
+    subscribe(eventName, handler) {
+        if (!isValidSubscription(eventName)) {
+            throw new Error(`Evento em tempo real desconhecido: ${eventName}`);
+        }
+        if (!this.listeners.has(eventName)) {
+            this.listeners.set(eventName, new Set());
+        }
+        this.listeners.get(eventName).add(handler);
+        this.connect();
+        return () => this.unsubscribe(eventName, handler);
+    }
+
+    /**
+     * Cancela uma assinatura
+     * @param {string} eventName
+     * @param {RealtimeHandler} handler
+     */
+    unsubscribe(eventName, handler) {
+        this.listeners.get(eventName)?.delete(handler);
+    }
+
+    /**
+     * @returns {boolean} Se o transporte atual está conectado
+     */
+    isConnected() {
+        return this.connected;
+    }
+
+    /**
+     * @returns {'socket'|'sse'|null} Transporte em uso
+     */
+    getTransport() {
+        return this.transport;
+    }
+
+    // ====== Transportes ======
+
+    useSocket({ fallbackToSse }) {
+        this.transport = 'socket';
+
+        if (!this.socketHandlersRegistered) {
+            this.socketHandlersRegistered = true;
+            const onConnected = () => {
+                if (this.transport !== 'socket') return;
+                this.attachSocket();
+                this.handleConnected();
+            };
+            window.addEventListener('socket:connected', onConnected);
+            window.addEventListener('socket:reconnected', onConnected);
+            window.addEventListener('socket:disconnected', () => {
+                if (this.transport === 'socket') this.handleDisconnected();
+            });
+            window.addEventListener('socket:error', (event) => {
+                const attempts = event.detail?.attempts || 0;
+                if (this.transport !== 'socket' || !fallbackToSse || attempts < socketService.maxReconnectAttempts) {
+                    return;
+                }
+                // Socket.IO esgotou as tentativas: seguir pelo stream SSE
+                this.handleDisconnected();
+                this.useSse();
+            });
+        }
+
+        socketService.connect();
+        if (socketService.getConnected()) {
+            this.attachSocket();
+            this.handleConnected();
+        }
+    }
+
+    attachSocket() {
+        const socket = socketService.socket;
+        if (!socket || this.boundSockets.has(socket)) return;
+        this.boundSockets.add(socket);
+
+        if (typeof socket.onAny === 'function') {
+            socket.onAny((eventName, payload) => this.dispatch(eventName, payload, { transport: 'socket' }));
+            return;
+        }
+        EVENT_NAMES.forEach((eventName) => {
+            socket.on(eventName, (payload) => this.dispatch(eventName, payload, { transport: 'socket' }));
+        });
+    }
+
+    useSse() {
+        this.transport = 'sse';
+        const client = getRealtimeClient();
+        client.eventTypes = [...EVENT_NAMES];
+        client.onEvent = (type, data, id) => {
+            this.dispatch(type, data, { transport: 'sse', id });
+        };
+        if (!this.sseHandlersRegistered) {
+            this.sseHandlersRegistered = true;
+            client.on('connected', () => {
+                if (this.transport === 'sse') this.handleConnected();
+            });
+            client.on('disconnected', () => {
+                if (this.transport === 'sse') this.handleDisconnected();
+            });
+        }
+        client.connect();
+    }
+
+    // ====== Conexão e recuperação ======
+
+    handleConnected() {
+        const isReconnect = this.hasConnected && !this.connected;
+        this.connected = true;
+        this.hasConnected = true;
+        window.dispatchEvent(new CustomEvent('realtime:connected', {
+            detail: { transport: this.transport, reconnected: isReconnect }
+        }));
+        if (isReconnect) {
+            this.replayMissedEvents();
+        }
+    }
+
+    handleDisconnected() {
+        if (!this.connected) return;
+        this.connected = false;
+        this.disconnectedAt = Date.now();
+        window.dispatchEvent(new CustomEvent('realtime:disconnected', {
+            detail: { transport: this.transport }
+        }));
+    }
+
+    /**
+     * Busca no servidor os eventos emitidos desde o último cursor
+     * Sem o endpoint de replay (ou com erro), os módulos seguem apenas com os eventos novos.
+     */
+    async replayMissedEvents() {
+        const params = new URLSearchParams();
+        if (this.cursor.id != null) {
+            params.append('after_id', this.cursor.id);
+        } else {
+            const since = this.cursor.timestamp || this.disconnectedAt;
+            if (!since) return;
+            params.append('since', new Date(since).toISOString());
+        }
+
+        try {
+            const response = await apiRequest(`${REPLAY_PATH}?${params.toString()}`, {
+                method: 'GET',
+                skipRetry: true
+            });
+            const events = Array.isArray(response) ? response : (response?.items || []);
+            events.forEach((event) => {
+                this.dispatch(event.type || event.event, event, {
+                    transport: this.transport,
+                    replayed: true
+                });
+            });
+        } catch (error) {
+            if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+                console.warn('[Realtime] Não foi possível recuperar eventos perdidos:', error.message);
+            }
+        }
+    }
+
+    // ====== Distribuição ======
+
+    dispatch(rawName, payload, { transport, id = null, replayed = false }) {
+        const type = normalizeEventName(rawName);
+        if (!type) return;
+
+        const unwrapped = unwrapPayload(payload);
+        const eventId = id || unwrapped.id;
+
+        // Eventos já entregues (ex.: chegaram pelo socket e de novo no replay)
+        if (eventId != null) {
+            const key = String(eventId);
+            if (this.seenIds.has(key)) return;
+            this.seenIds.add(key);
+            if (this.seenIds.size > MAX_SEEN_IDS) {
+                this.seenIds.delete(this.seenIds.values().next().value);
+            }
+        }
+
+        const timestamp = Date.parse(unwrapped.timestamp) || Date.now();
+        this.cursor = {
+            id: eventId ?? this.cursor.id,
+            timestamp: Math.max(timestamp, this.cursor.timestamp || 0)
+        };
+
+        /** @type {RealtimeEventMeta} */
+        const meta = { type, id: eventId != null ? String(eventId) : null, transport, replayed };
+        const prefix = `${type.split('.')[0]}.*`;
+        [type, prefix, '*'].forEach((eventName) => {
+            this.listeners.get(eventName)?.forEach((handler) => {
+                try {
+                    handler(unwrapped.data, meta);
+                } catch (error) {
+                    if (typeof window !== 'undefined' && window.DEBUG_MODE) {
+                        console.error(`[Realtime] Erro no listener de ${eventName}:`, error);
+                    }
+                }
+            });
+        });
+    }
+}
+
+// Instância única compartilhada pelos módulos do painel
+export const realtimeHub = new RealtimeHub();
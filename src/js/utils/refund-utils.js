@@ -0,0 +1,168 @@
+/**
+ * Regras de cancelamento e estorno de pedidos
+ * Valor a estornar (itens + parte proporcional do desconto + taxa de entrega),
+ * reversão de pontos de fidelidade e lançamentos financeiros negativos
+ */
+
+import { formatDateForAPI } from "./date-formatter.js";
+import { distributeAcrossPayments } from "./split-payment-utils.js";
+
+const CENTS = 100;
+const EARNED_POINTS_STATUSES = ["completed", "delivered", "paid"]; // Pontos só são creditados na conclusão
+const COST_REVERSAL_STATUSES = ["scheduled", "pending"]; // Cancelado antes do preparo: nada foi produzido
+export const REFUND_MOVEMENT_CATEGORY = "Vendas";
+
+function roundMoney(value) {
+  return Math.round((Number(value) || 0) * CENTS) / CENTS;
+}
+
+/**
+ * Valor total do pedido
+ * @param {Object} order - Pedido
+ * @returns {number} Total cobrado
+ */
+export function getOrderTotal(order) {
+  return parseFloat(order?.total_amount ?? order?.total ?? 0) || 0;
+}
+
+/**
+ * Quanto do pedido ainda pode ser estornado (total menos estornos anteriores)
+ * @param {Object} order - Pedido
+ * @returns {number} Saldo estornável
+ */
+export function getRefundableBalance(order) {
+  const refunded = parseFloat(order?.refunded_amount || 0) || 0;
+  return Math.max(0, roundMoney(getOrderTotal(order) - refunded));
+}
+
+/**
+ * Itens que ainda podem ser estornados
+ * @param {Array} items - Itens do pedido
+ * @param {Function} getItemTotal - Calcula o total do item (com extras e modificações)
+ * @returns {Array<{order_item_id: number, name: string, quantity: number, unit_amount: number}>}
+ *          Linhas com a quantidade restante (descontando estornos anteriores)
+ */
+export function buildRefundableLines(items, getItemTotal) {
+  return (items || [])
+    .map((item) => {
+      const quantity = parseInt(item.quantity || 1, 10) || 1;
+      const refunded = parseInt(item.refunded_quantity || 0, 10) || 0;
+      return {
+        order_item_id: item.id || item.order_item_id,
+        name: item.product_name || item.product?.name || "Produto",
+        quantity: Math.max(0, quantity - refunded),
+        unit_amount: roundMoney(getItemTotal(item) / quantity),
+      };
+    })
+    .filter((line) => line.order_item_id && line.quantity > 0);
+}
+
+/**
+ * Valor do estorno parcial
+ * O desconto do pedido é repartido proporcionalmente ao subtotal dos itens estornados.
+ * @param {Object} order - Pedido
+ * @param {Array<{unit_amount: number, quantity: number}>} selection - Linhas e quantidades a estornar
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDeliveryFee] - Devolver também a taxa de entrega
+ * @returns {{itemsAmount: number, discountShare: number, deliveryFee: number, amount: number}}
+ */
+export function calculateRefundAmount(order, selection, { includeDeliveryFee = false } = {}) {
+  const itemsAmount = roundMoney(
+    (selection || []).reduce((sum, line) => sum + line.unit_amount * line.quantity, 0)
+  );
+  const subtotal = parseFloat(order?.subtotal ?? 0) || 0;
+  const discount = parseFloat(order?.discounts ?? order?.discount ?? 0) || 0;
+  const discountShare =
+    subtotal > 0 ? roundMoney(Math.min(discount, (discount * itemsAmount) / subtotal)) : 0;
+  const deliveryFee = includeDeliveryFee
+    ? roundMoney(parseFloat(order?.delivery_fee ?? 0) || 0)
+    : 0;
+
+  return {
+    itemsAmount,
+    discountShare,
+    deliveryFee,
+    amount: Math.min(
+      getRefundableBalance(order),
+      Math.max(0, roundMoney(itemsAmount - discountShare + deliveryFee))
+    ),
+  };
+}
+
+/**
+ * Pontos a reverter proporcionalmente ao valor estornado
+ * @param {Object} order - Pedido (status, points_earned, points_redeemed)
+ * @param {number} ratio - Fração estornada do pedido (1 = cancelamento total)
+ * @returns {{earnedToRemove: number, redeemedToReturn: number}} Pontos inteiros
+ */
+export function calculatePointsReversal(order, ratio) {
+  const safeRatio = Math.min(1, Math.max(0, Number(ratio) || 0));
+  const earned = EARNED_POINTS_STATUSES.includes(order?.status)
+    ? parseInt(order?.points_earned || 0, 10) || 0
+    : 0;
+  const redeemed =
+    parseInt(order?.points_redeemed ?? order?.points_to_redeem ?? 0, 10) || 0;
+
+  return {
+    earnedToRemove: Math.floor(earned * safeRatio),
+    redeemedToReturn: Math.floor(redeemed * safeRatio),
+  };
+}
+
+/**
+ * Lançamentos negativos que espelham o estorno no financeiro
+ * Só reverte o que foi lançado: sem receita registrada para o pedido não há o que estornar.
+ * O CMV só é revertido no cancelamento total antes do preparo.
+ * @param {Object} params
+ * @param {Object} params.order - Pedido
+ * @param {Array} params.movements - Movimentações já vinculadas ao pedido
+ * @param {number} params.amount - Valor estornado
+ * @param {boolean} params.fullCancel - Se é cancelamento total
+ * @param {string} params.description - Descrição (código do pedido e motivo)
+ * @returns {Array<Object>} Lançamentos (mesmo formato de createFinancialMovement) enviados em reversal.movements
+ */
+export function buildRefundMovements({ order, movements, amount, fullCancel, description }) {
+  const orderId = order.order_id || order.id;
+  const sumOf = (type) =>
+    roundMoney(
+      (movements || [])
+        .filter((m) => m.type === type)
+        .reduce((sum, m) => sum + (parseFloat(m.value ?? m.amount ?? 0) || 0), 0)
+    );
+  const base = {
+    movement_date: formatDateForAPI(new Date()),
+    payment_status: "Paid",
+    related_entity_type: "order",
+    related_entity_id: orderId,
+  };
+  const result = [];
+
+  const revenue = sumOf("REVENUE");
+  if (revenue > 0 && amount > 0) {
+    // Pagamento dividido: um lançamento por forma de pagamento, proporcional a cada parte
+    distributeAcrossPayments(order, Math.min(revenue, roundMoney(amount)))
+      .filter((share) => share.amount > 0)
+      .forEach((share) => {
+        result.push({
+          ...base,
+          type: "REVENUE",
+          value: -share.amount,
+          category: REFUND_MOVEMENT_CATEGORY,
+          payment_method: share.method || undefined,
+          description,
+        });
+      });
+  }
+
+  const cmv = sumOf("CMV");
+  if (fullCancel && cmv > 0 && COST_REVERSAL_STATUSES.includes(order.status)) {
+    result.push({
+      ...base,
+      type: "CMV",
+      value: -cmv,
+      description: `${description} (reversão de CMV)`,
+    });
+  }
+
+  return result;
+}
@@ -0,0 +1,210 @@
+/**
+ * Pedir novamente
+ * Readiciona à cesta itens de um pedido anterior ou favoritos salvos, conferindo antes
+ * se o produto continua no cardápio, se há estoque para a montagem (simulateProductCapacity)
+ * e se o preço mudou. O resultado lista o que entrou, o que foi ajustado e o que ficou de fora.
+ */
+
+import { getProductById, simulateProductCapacity } from "../api/products.js";
+import { addToCart } from "../api/cart.js";
+import { formatPrice } from "./price-utils.js";
+
+/**
+ * Status de pedido que permitem pedir novamente
+ */
+export const REORDERABLE_ORDER_STATUSES = ["completed", "delivered", "paid"];
+
+/**
+ * Normaliza item de pedido ou favorito para o formato aceito pela cesta
+ * @param {Object} source - Item do pedido (order.items[]) ou favorito
+ * @returns {Object} { product_id, name, quantity, extras, base_modifications, notes, combo_selections, previous_price }
+ */
+export function toReorderItem(source) {
+  const previousPrice = parseFloat(source.product_price ?? source.product?.price);
+  return {
+    product_id: parseInt(source.product_id ?? source.product?.id, 10),
+    name: source.name || source.product_name || source.product?.name || "Produto",
+    quantity: Math.max(1, parseInt(source.quantity, 10) || 1),
+    extras: (source.extras || source.additional_items || [])
+      .map((extra) => ({
+        ingredient_id: parseInt(extra.ingredient_id ?? extra.id, 10),
+        quantity: parseInt(extra.quantity, 10),
+      }))
+      .filter((extra) => extra.ingredient_id > 0 && extra.quantity > 0),
+    base_modifications: (source.base_modifications || [])
+      .map((bm) => ({
+        ingredient_id: parseInt(bm.ingredient_id ?? bm.id, 10),
+        delta: parseInt(bm.delta, 10),
+      }))
+      .filter((bm) => bm.ingredient_id > 0 && Number.isInteger(bm.delta) && bm.delta !== 0),
+    notes: source.notes || "",
+    combo_selections: (source.combo_selections || [])
+      .map((sel) => ({ slot_id: sel.slot_id, product_id: sel.product_id }))
+      .filter((sel) => sel.slot_id && sel.product_id),
+    previous_price: Number.isFinite(previousPrice) ? previousPrice : null,
+  };
+}
+
+/**
+ * Extras são enviados em quantidade TOTAL (porções × unidades): ao reduzir a quantidade
+ * do item, reduz proporcionalmente as porções extras
+ */
+function scaleExtras(extras, fromQuantity, toQuantity) {
+  if (fromQuantity === toQuantity) return extras;
+  return extras.map((extra) => ({
+    ...extra,
+    quantity: Math.max(1, Math.round((extra.quantity * toQuantity) / fromQuantity)),
+  }));
+}
+
+/**
+ * Confere um item contra o cardápio e o estoque atuais
+ * @param {Object} item - Item normalizado por toReorderItem
+ * @returns {Promise<Object>} { ok, reason?, quantity, currentPrice, name }
+ */
+async function checkReorderItem(item) {
+  let product;
+  try {
+    const response = await getProductById(item.product_id, item.quantity);
+    product = response?.product || response;
+  } catch (error) {
+    return {
+      ok: false,
+      name: item.name,
+      reason: error?.status === 404 ? "saiu do cardápio" : "não foi possível consultar o produto",
+    };
+  }
+
+  const name = item.name !== "Produto" ? item.name : product?.name || item.name;
+  if (!product || product.is_active === false) {
+    return { ok: false, name, reason: "saiu do cardápio" };
+  }
+
+  let capacity;
+  try {
+    capacity = await simulateProductCapacity(
+      item.product_id,
+      item.extras,
+      item.quantity,
+      item.base_modifications,
+      item.combo_selections
+    );
+  } catch (error) {
+    return { ok: false, name, reason: "não foi possível conferir o estoque" };
+  }
+
+  const maxQuantity = parseInt(capacity?.max_quantity, 10) || 0;
+  if (capacity?.is_available === false || maxQuantity < 1) {
+    return {
+      ok: false,
+      name,
+      reason: capacity?.limiting_ingredient?.message || "sem estoque no momento",
+    };
+  }
+
+  const currentPrice = parseFloat(product.price);
+  return {
+    ok: true,
+    name,
+    quantity: Math.min(item.quantity, maxQuantity),
+    currentPrice: Number.isFinite(currentPrice) ? currentPrice : null,
+  };
+}
+
+/**
+ * Adiciona itens à cesta, um por vez, depois de conferir disponibilidade e preço
+ * @param {Array<Object>} sources - Itens do pedido ou favoritos
+ * @returns {Promise<Object>} { added, adjusted, skipped, priceChanges, offline }
+ */
+export async function reorderItems(sources) {
+  const result = { added: [], adjusted: [], skipped: [], priceChanges: [], offline: false };
+
+  for (const source of sources || []) {
+    const item = toReorderItem(source);
+    if (!(item.product_id > 0)) {
+      result.skipped.push({ name: item.name, reason: "item inválido" });
+      continue;
+    }
+
+    const check = await checkReorderItem(item);
+    if (!check.ok) {
+      result.skipped.push({ name: check.name, reason: check.reason });
+      continue;
+    }
+
+    const response = await addToCart(
+      item.product_id,
+      check.quantity,
+      scaleExtras(item.extras, item.quantity, check.quantity),
+      item.notes,
+      item.base_modifications,
+      item.combo_selections
+    );
+    if (!response.success) {
+      result.skipped.push({ name: check.name, reason: response.error || "não foi possível adicionar à cesta" });
+      continue;
+    }
+
+    result.offline = result.offline || Boolean(response.offline);
+    result.added.push({ name: check.name, quantity: check.quantity });
+    if (check.quantity < item.quantity) {
+      result.adjusted.push({ name: check.name, quantity: check.quantity, requested: item.quantity });
+    }
+    if (
+      item.previous_price !== null &&
+      check.currentPrice !== null &&
+      Math.abs(check.currentPrice - item.previous_price) >= 0.01
+    ) {
+      result.priceChanges.push({
+        name: check.name,
+        previous: item.previous_price,
+        current: check.currentPrice,
+      });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Texto do aviso exibido ao cliente após reorderItems
+ * @param {Object} result - Retorno de reorderItems
+ * @returns {{type: string, title: string, message: string}}
+ */
+export function summarizeReorder(result) {
+  const lines = [];
+
+  if (result.added.length > 0) {
+    const total = result.added.reduce((sum, item) => sum + item.quantity, 0);
+    lines.push(`${total} ${total === 1 ? "item adicionado" : "itens adicionados"} à cesta.`);
+  }
+  if (result.adjusted.length > 0) {
+    lines.push(
+      `Quantidade ajustada ao estoque: ${result.adjusted
+        .map((item) => `${item.name} (${item.quantity} de ${item.requested})`)
+        .join(", ")}.`
+    );
+  }
+  if (result.priceChanges.length > 0) {
+    lines.push(
+      `Preço atualizado: ${result.priceChanges
+        .map((item) => `${item.name} de ${formatPrice(item.previous)} para ${formatPrice(item.current)}`)
+        .join(", ")}.`
+    );
+  }
+  if (result.skipped.length > 0) {
+    lines.push(
+      `Não foi possível adicionar: ${result.skipped
+        .map((item) => `${item.name} (${item.reason})`)
+        .join(", ")}.`
+    );
+  }
+
+  if (result.added.length === 0) {
+    return { type: "error", title: "Nada foi adicionado", message: lines.join(" ") || "Nenhum item para adicionar." };
+  }
+  if (result.skipped.length > 0 || result.adjusted.length > 0 || result.priceChanges.length > 0) {
+    return { type: "warning", title: "Cesta atualizada com avisos", message: lines.join(" ") };
+  }
+  return { type: "success", title: "Itens Adicionados", message: lines.join(" ") };
+}
@@ -0,0 +1,165 @@
+/**
+ * Regras de pedidos agendados compartilhadas
+ * Geração de horários a partir do funcionamento da loja (checkout) e
+ * liberação automática dos agendados para a fila (gerenciamento de pedidos)
+ */
+
+import { getOpeningWindows } from "./store-hours-utils.js";
+
+export const SCHEDULED_STATUS = "scheduled";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Padrões usados quando a configuração pública não traz valores
+ */
+export const SCHEDULE_DEFAULTS = {
+  lead_minutes: 45, // Quanto antes do horário o pedido entra na fila
+  slot_minutes: 30, // Duração de cada janela
+  max_days_ahead: 2, // Quantos dias além de hoje o cliente pode escolher
+};
+
+/**
+ * Gerar janelas de agendamento a partir dos horários de funcionamento
+ * Exceções por data (feriados, horários especiais, turnos divididos) prevalecem sobre a grade semanal.
+ * @param {Array} storeHours - Horários da loja (day_of_week, opening_time, closing_time, is_open)
+ * @param {Object} [options]
+ * @param {Array} [options.exceptions] - Exceções de horário por data
+ * @param {Date} [options.now] - Data de referência
+ * @param {number} [options.slotMinutes] - Duração de cada janela
+ * @param {number} [options.daysAhead] - Dias além de hoje
+ * @param {number} [options.minLeadMinutes] - Antecedência mínima (tempo para preparar e entregar)
+ * @returns {Array<{value: string, start: Date, end: Date}>} Janelas ordenadas (value = início em ISO 8601)
+ */
+export function buildScheduleSlots(storeHours, options = {}) {
+  const {
+    exceptions = [],
+    now = new Date(),
+    slotMinutes = SCHEDULE_DEFAULTS.slot_minutes,
+    daysAhead = SCHEDULE_DEFAULTS.max_days_ahead,
+    minLeadMinutes = 0,
+  } = options;
+
+  if (slotMinutes <= 0) return [];
+
+  const earliest = now.getTime() + minLeadMinutes * MINUTE_MS;
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+  const limit = today.getTime() + (daysAhead + 1) * DAY_MS;
+  const slots = [];
+
+  getOpeningWindows(storeHours, exceptions, now, daysAhead).forEach((window) => {
+    const closeAt = window.end.getTime();
+    for (
+      let start = window.start.getTime();
+      start + slotMinutes * MINUTE_MS <= closeAt;
+      start += slotMinutes * MINUTE_MS
+    ) {
+      if (start < earliest || start >= limit) continue;
+      slots.push({
+        value: new Date(start).toISOString(),
+        start: new Date(start),
+        end: new Date(start + slotMinutes * MINUTE_MS),
+      });
+    }
+  });
+
+  return slots.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Rótulo do dia relativo à data de referência ("Hoje", "Amanhã" ou "sáb., 19/10")
+ * @param {Date} date - Data
+ * @param {Date} [now] - Data de referência
+ * @returns {string} Rótulo
+ */
+export function formatScheduleDay(date, now = new Date()) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+  const diffDays = Math.round((day - today) / DAY_MS);
+
+  if (diffDays === 0) return "Hoje";
+  if (diffDays === 1) return "Amanhã";
+  return day.toLocaleDateString("pt-BR", {
+    weekday: "short",
+    day: "2-digit",
+    month: "2-digit",
+  });
+}
+
+/**
+ * Agrupar janelas por dia para exibição
+ * @param {Array} slots - Janelas de buildScheduleSlots
+ * @param {Date} [now] - Data de referência
+ * @returns {Array<{label: string, slots: Array}>} Grupos na ordem cronológica
+ */
+export function groupSlotsByDay(slots, now = new Date()) {
+  const groups = new Map();
+  slots.forEach((slot) => {
+    const label = formatScheduleDay(slot.start, now);
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(slot);
+  });
+  return Array.from(groups, ([label, daySlots]) => ({ label, slots: daySlots }));
+}
+
+/**
+ * Formatar horário agendado ("Hoje, 19:30 - 20:00")
+ * @param {string|Date} scheduledFor - Início da janela
+ * @param {number} [slotMinutes] - Duração da janela (0 exibe só o início)
+ * @param {Date} [now] - Data de referência
+ * @returns {string} Texto formatado ou string vazia se a data for inválida
+ */
+export function formatScheduledFor(
+  scheduledFor,
+  slotMinutes = SCHEDULE_DEFAULTS.slot_minutes,
+  now = new Date()
+) {
+  const start = new Date(scheduledFor);
+  if (isNaN(start.getTime())) return "";
+
+  const formatTime = (date) =>
+    date.toLocaleTimeString("pt-BR", { hour: "2-digit", minute: "2-digit" });
+  const day = formatScheduleDay(start, now);
+
+  if (!slotMinutes) return `${day}, ${formatTime(start)}`;
+  const end = new Date(start.getTime() + slotMinutes * MINUTE_MS);
+  return `${day}, ${formatTime(start)} - ${formatTime(end)}`;
+}
+
+/**
+ * Verificar se o pedido está aguardando o horário agendado
+ * @param {Object} order - Objeto do pedido
+ * @returns {boolean} True se o pedido está na fila de agendados
+ */
+export function isScheduledOrder(order) {
+  return !!order && order.status === SCHEDULED_STATUS;
+}
+
+/**
+ * Momento em que um agendado deve entrar na fila como "pending"
+ * @param {Object} order - Pedido agendado (scheduled_for em ISO 8601)
+ * @param {number} leadMinutes - Antecedência configurada
+ * @returns {Date|null} Data de liberação ou null se o pedido não tem horário válido
+ */
+export function getScheduledReleaseTime(order, leadMinutes = SCHEDULE_DEFAULTS.lead_minutes) {
+  const scheduledFor = new Date(order?.scheduled_for);
+  if (isNaN(scheduledFor.getTime())) return null;
+  return new Date(scheduledFor.getTime() - leadMinutes * MINUTE_MS);
+}
+
+/**
+ * Verificar se um agendado já deve ser liberado para a fila
+ * @param {Object} order - Pedido agendado
+ * @param {number} leadMinutes - Antecedência configurada
+ * @param {Date} [now] - Data de referência
+ * @returns {boolean} True se já passou do momento de liberação
+ */
+export function isDueForRelease(order, leadMinutes, now = new Date()) {
+  if (!isScheduledOrder(order)) return false;
+  const releaseAt = getScheduledReleaseTime(order, leadMinutes);
+  return !!releaseAt && releaseAt <= now;
+}
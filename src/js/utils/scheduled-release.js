@@ -0,0 +1,98 @@
+/**
+ * Liberação automática dos pedidos agendados
+ *
+ * A liberação ("scheduled" → "pending") é feita pelas telas da equipe, não pelo backend:
+ * o gerenciamento de pedidos e a tela da cozinha (KDS) verificam a cada minuto e liberam
+ * os agendados cujo horário chegou. Sem nenhuma dessas telas aberta, os agendados só
+ * entram na fila quando uma delas for aberta.
+ *
+ * Várias telas podem tentar liberar o mesmo pedido: o backend aceita a primeira transição
+ * e recusa as demais (4xx), que apenas tiram o pedido da lista local.
+ */
+
+import { getAllOrders, updateOrderStatus } from "../api/orders.js";
+import { getSchedulingSettings } from "./settings-helper.js";
+import { SCHEDULED_STATUS, isDueForRelease, isScheduledOrder } from "./schedule-utils.js";
+import { ORDER_EVENT_SOURCES } from "./order-timeline-utils.js";
+import {
+  normalizePaginationResponse,
+  getItemsFromResponse,
+} from "./pagination-utils.js";
+
+export const SCHEDULE_CHECK_INTERVAL = 60000; // Verificação de agendados a liberar (1 minuto)
+const MAX_SCHEDULED_ORDERS = 50;
+
+// Respostas que indicam transição recusada (já liberado, cancelado, inexistente)
+const REJECTED_RELEASE_STATUSES = [400, 404, 409, 422];
+
+// IDs em liberação nesta aba (evita requisições duplicadas)
+const releasingOrders = new Set();
+
+/**
+ * Buscar os pedidos aguardando o horário agendado
+ * @returns {Promise<Array|null>} Pedidos agendados ou null se a busca falhou
+ */
+export async function fetchScheduledOrders() {
+  const result = await getAllOrders({
+    status: SCHEDULED_STATUS,
+    page_size: MAX_SCHEDULED_ORDERS,
+  });
+  if (!result.success) return null;
+
+  const items = getItemsFromResponse(
+    normalizePaginationResponse(result.data || result, "items")
+  );
+  return items.filter(isScheduledOrder);
+}
+
+/**
+ * Liberar um pedido agendado para a fila
+ * @param {number|string} orderId - ID do pedido
+ * @param {string} source - Origem registrada no histórico (ORDER_EVENT_SOURCES)
+ * @returns {Promise<{success: boolean, rejected: boolean, skipped?: boolean, error?: string}>}
+ *   rejected = o backend recusou a transição e não adianta tentar de novo
+ */
+export async function releaseScheduledOrder(orderId, source) {
+  const key = String(orderId);
+  if (releasingOrders.has(key)) {
+    return { success: false, rejected: false, skipped: true };
+  }
+  releasingOrders.add(key);
+
+  try {
+    const result = await updateOrderStatus(parseInt(key, 10), "pending", { source });
+    if (result.success) {
+      return { success: true, rejected: false };
+    }
+    return {
+      success: false,
+      rejected: REJECTED_RELEASE_STATUSES.includes(result.status),
+      error: result.error,
+    };
+  } finally {
+    releasingOrders.delete(key);
+  }
+}
+
+/**
+ * Buscar os agendados e liberar os que já passaram do horário de liberação
+ * Usado pelas telas que não exibem a raia de agendados (KDS).
+ * @returns {Promise<number>} Quantidade de pedidos liberados
+ */
+export async function releaseDueScheduledOrders() {
+  const [settings, orders] = await Promise.all([
+    getSchedulingSettings(),
+    fetchScheduledOrders(),
+  ]);
+  const dueOrders = (orders || []).filter((order) =>
+    isDueForRelease(order, settings?.lead_minutes)
+  );
+  if (dueOrders.length === 0) return 0;
+
+  const results = await Promise.all(
+    dueOrders.map((order) =>
+      releaseScheduledOrder(order.order_id || order.id, ORDER_EVENT_SOURCES.SCHEDULE_RELEASE)
+    )
+  );
+  return results.filter((result) => result.success).length;
+}
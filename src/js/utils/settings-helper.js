@@ -6,6 +6,12 @@
  */
 
 import { getPublicSettings } from '../api/settings.js';
+import { getDeliveryZones as fetchDeliveryZones, ZONE_TYPES, normalizeCep } from '../api/delivery-zones.js';
+import { SCHEDULE_DEFAULTS } from './schedule-utils.js';
+
+// Zonas mudam raramente: mesmo TTL do cache de configurações públicas
+const DELIVERY_ZONES_CACHE_TTL = 5 * 60 * 1000;
+const DELIVERY_ZONES_CACHE = { data: null, timestamp: 0 };
 
 /**
  * Carrega configurações públicas do sistema
@@ -42,6 +48,7 @@ export async function loadPublicSettings(forceRefresh = false) {
 function getDefaultSettings() {
     return {
         delivery_fee: 0,
+        store_location: null, // { latitude, longitude } usado pelas zonas por raio
         estimated_delivery_time: {
             initiation_minutes: 5,
             preparation_minutes: 20,
@@ -56,11 +63,17 @@ function getDefaultSettings() {
             telefone: '',
             email: ''
         },
+        pix_info: {
+            chave: '',
+            nome_recebedor: '',
+            cidade: ''
+        },
         loyalty_rates: {
             gain_rate: 0.10, // R$ 0,10 = 1 ponto (10 pontos por real)
             redemption_rate: 0.01,
             expiration_days: 60
-        }
+        },
+        scheduled_orders: { ...SCHEDULE_DEFAULTS }
     };
 }
 
@@ -85,6 +98,170 @@ export async function getDeliveryFee() {
     return settings.delivery_fee || 0;
 }
 
+/**
+ * Obtém as zonas de entrega ativas, ordenadas por prioridade
+ * @param {boolean} forceRefresh - Se true, ignora o cache
+ * @returns {Promise<Array>} Zonas de entrega (vazio se a loja usa taxa única)
+ */
+export async function getDeliveryZones(forceRefresh = false) {
+    const isCacheValid = DELIVERY_ZONES_CACHE.data &&
+        (Date.now() - DELIVERY_ZONES_CACHE.timestamp) < DELIVERY_ZONES_CACHE_TTL;
+    if (!forceRefresh && isCacheValid) {
+        return DELIVERY_ZONES_CACHE.data;
+    }
+
+    const result = await fetchDeliveryZones();
+    if (!result.success) {
+        // Mantém a última lista conhecida se a API falhar
+        return DELIVERY_ZONES_CACHE.data || [];
+    }
+
+    DELIVERY_ZONES_CACHE.data = result.data
+        .filter((zone) => zone.is_active !== false)
+        .sort((a, b) => (a.priority ?? 0) - (b.priority ?? 0));
+    DELIVERY_ZONES_CACHE.timestamp = Date.now();
+    return DELIVERY_ZONES_CACHE.data;
+}
+
+/**
+ * Normaliza nome de bairro para comparação (sem acentos, caixa ou espaços extras)
+ * @param {string} name - Nome do bairro
+ * @returns {string} Nome normalizado
+ */
+function normalizeNeighborhood(name) {
+    return String(name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Distância em km entre duas coordenadas (fórmula de haversine)
+ */
+function distanceInKm(lat1, lon1, lat2, lon2) {
+    const toRad = (deg) => (deg * Math.PI) / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Indica se há coordenadas do endereço e da loja para avaliar zonas por raio
+ */
+function hasRadiusCoordinates(address, storeLocation) {
+    return [address?.latitude, address?.longitude, storeLocation?.latitude, storeLocation?.longitude]
+        .every((value) => Number.isFinite(parseFloat(value)));
+}
+
+/**
+ * Encontra a zona que atende um endereço
+ * Zonas são avaliadas na ordem recebida (prioridade); a primeira que contém o endereço vence.
+ * Zonas por raio exigem coordenadas no endereço e a localização da loja.
+ * @param {Object} address - Endereço (zip_code, neighborhood/district/bairro, latitude, longitude)
+ * @param {Array} zones - Zonas ativas ordenadas por prioridade
+ * @param {Object|null} storeLocation - { latitude, longitude } da loja
+ * @returns {Object|null} Zona encontrada ou null se o endereço está fora da área
+ */
+export function resolveDeliveryZone(address, zones, storeLocation = null) {
+    if (!address || !Array.isArray(zones)) return null;
+
+    const cep = normalizeCep(address.zip_code || address.cep);
+    const neighborhood = normalizeNeighborhood(
+        address.neighborhood || address.district || address.bairro
+    );
+    const lat = parseFloat(address.latitude);
+    const lon = parseFloat(address.longitude);
+    const storeLat = parseFloat(storeLocation?.latitude);
+    const storeLon = parseFloat(storeLocation?.longitude);
+    const canMeasure = hasRadiusCoordinates(address, storeLocation);
+
+    return zones.find((zone) => {
+        if (zone.type === ZONE_TYPES.CEP_RANGE) {
+            const start = normalizeCep(zone.cep_start);
+            const end = normalizeCep(zone.cep_end);
+            return Boolean(cep && start && end) &&
+                Number(cep) >= Number(start) && Number(cep) <= Number(end);
+        }
+        if (zone.type === ZONE_TYPES.NEIGHBORHOOD) {
+            return Boolean(neighborhood) && (zone.neighborhoods || [])
+                .some((n) => normalizeNeighborhood(n) === neighborhood);
+        }
+        if (zone.type === ZONE_TYPES.RADIUS) {
+            return canMeasure &&
+                distanceInKm(storeLat, storeLon, lat, lon) <= Number(zone.radius_km);
+        }
+        return false;
+    }) || null;
+}
+
+/**
+ * Calcula taxa, pedido mínimo e prazo de entrega para um endereço
+ * Sem zonas configuradas, usa a taxa única (delivery_fee) e atende qualquer endereço.
+ * O backend revalida a zona ao calcular o total e ao criar o pedido.
+ * pending = true quando só o backend consegue decidir (zonas por raio sem coordenadas).
+ * @param {Object} address - Endereço de entrega
+ * @returns {Promise<Object>} { available, zone, fee, min_order_value, eta_minutes, reason, pending }
+ */
+export async function getDeliveryQuote(address) {
+    const [settings, zones] = await Promise.all([loadPublicSettings(), getDeliveryZones()]);
+    const flatFee = settings.delivery_fee || 0;
+
+    if (zones.length === 0) {
+        return {
+            available: true,
+            zone: null,
+            fee: flatFee,
+            min_order_value: 0,
+            eta_minutes: null,
+            reason: null
+        };
+    }
+
+    const zone = resolveDeliveryZone(address, zones, settings.store_location);
+
+    // Zona por raio sem coordenadas para medir: o endereço pode estar coberto, quem decide
+    // é o backend (calculateOrderTotal); até lá vale a taxa única
+    if (!zone && zones.some((z) => z.type === ZONE_TYPES.RADIUS) &&
+        !hasRadiusCoordinates(address, settings.store_location)) {
+        return {
+            available: true,
+            zone: null,
+            fee: flatFee,
+            min_order_value: 0,
+            eta_minutes: null,
+            reason: null,
+            pending: true
+        };
+    }
+
+    if (!zone) {
+        return {
+            available: false,
+            zone: null,
+            fee: 0,
+            min_order_value: 0,
+            eta_minutes: null,
+            reason: 'Ainda não entregamos neste endereço'
+        };
+    }
+
+    const fee = parseFloat(zone.fee);
+    const minOrder = parseFloat(zone.min_order_value);
+    const eta = parseInt(zone.eta_minutes, 10);
+    return {
+        available: true,
+        zone,
+        fee: Number.isFinite(fee) && fee >= 0 ? fee : flatFee,
+        min_order_value: Number.isFinite(minOrder) && minOrder > 0 ? minOrder : 0,
+        eta_minutes: Number.isFinite(eta) && eta > 0 ? eta : null,
+        reason: null
+    };
+}
+
 /**
  * Obtém os prazos de entrega estimados
  * @returns {Promise<Object>} Prazos em minutos
@@ -94,6 +271,25 @@ export async function getEstimatedDeliveryTimes() {
     return settings.estimated_delivery_time;
 }
 
+/**
+ * Obtém as regras de pedidos agendados
+ * @returns {Promise<Object>} { lead_minutes, slot_minutes, max_days_ahead }
+ */
+export async function getSchedulingSettings() {
+    const settings = await loadPublicSettings();
+    const scheduled = settings.scheduled_orders || {};
+    const positiveOr = (value, fallback) => {
+        const num = parseInt(value, 10);
+        return Number.isFinite(num) && num > 0 ? num : fallback;
+    };
+
+    return {
+        lead_minutes: positiveOr(scheduled.lead_minutes, SCHEDULE_DEFAULTS.lead_minutes),
+        slot_minutes: positiveOr(scheduled.slot_minutes, SCHEDULE_DEFAULTS.slot_minutes),
+        max_days_ahead: positiveOr(scheduled.max_days_ahead, SCHEDULE_DEFAULTS.max_days_ahead)
+    };
+}
+
 /**
  * Obtém informações da empresa
  * @returns {Promise<Object>} Informações da empresa
@@ -103,6 +299,26 @@ export async function getCompanyInfo() {
     return settings.company_info;
 }
 
+/**
+ * Obtém os dados do recebedor Pix (configurados em Configurações > Recebimento por Pix)
+ * O nome do recebedor cai para o nome fantasia quando não definido.
+ * @returns {Promise<{key: string, merchantName: string, merchantCity: string}|null>}
+ *          Dados para buildPixPayload ou null se a loja não configurou chave e cidade
+ */
+export async function getPixSettings() {
+    const settings = await loadPublicSettings();
+    const pix = settings.pix_info || {};
+    const key = String(pix.chave || '').trim();
+    const merchantCity = String(pix.cidade || '').trim();
+    if (!key || !merchantCity) return null;
+
+    return {
+        key,
+        merchantName: String(pix.nome_recebedor || settings.company_info?.nome_fantasia || '').trim(),
+        merchantCity
+    };
+}
+
 /**
  * Calcula o tempo estimado total de entrega baseado no status
  * @param {string} status - Status do pedido
@@ -0,0 +1,167 @@
+/**
+ * Pagamento dividido compartilhado
+ * Um pedido pode ser pago em várias partes (ex: parte Pix, parte dinheiro com troco,
+ * parte cartão). O pedido vai com payment_method 'split' e a lista em payments.
+ * Pedidos antigos (um único método) são tratados como uma parte só.
+ */
+
+export const SPLIT_PAYMENT_METHOD = "split";
+export const SPLIT_TENDER_METHODS = ["pix", "credit", "debit", "money"];
+export const MAX_SPLIT_PARTS = 4;
+
+const CENTS = 100;
+
+const TENDER_LABELS = {
+  pix: "PIX",
+  credit: "Cartão de Crédito",
+  debit: "Cartão de Débito",
+  money: "Dinheiro",
+};
+
+function roundMoney(value) {
+  return Math.round((Number(value) || 0) * CENTS) / CENTS;
+}
+
+function formatMoney(value) {
+  return `R$ ${roundMoney(value).toFixed(2).replace(".", ",")}`;
+}
+
+/**
+ * Rótulo do método de uma parte
+ * @param {string} method - pix, credit, debit ou money
+ * @returns {string} Rótulo para exibição
+ */
+export function formatTenderMethod(method) {
+  return TENDER_LABELS[method] || String(method || "Não informado");
+}
+
+/**
+ * Verificar se o pedido foi pago em mais de uma parte
+ * @param {Object} order - Pedido
+ * @returns {boolean} True se dividido
+ */
+export function isSplitPayment(order) {
+  return (
+    order?.payment_method === SPLIT_PAYMENT_METHOD ||
+    (Array.isArray(order?.payments) && order.payments.length > 1)
+  );
+}
+
+/**
+ * Troco de uma parte em dinheiro
+ * @param {Object} part - Parte (method, amount, amount_paid)
+ * @returns {number} Troco (0 se não houver)
+ */
+export function getTenderChange(part) {
+  if (part?.method !== "money") return 0;
+  const paid = parseFloat(part.amount_paid);
+  if (!Number.isFinite(paid)) return 0;
+  return Math.max(0, roundMoney(paid - (parseFloat(part.amount) || 0)));
+}
+
+/**
+ * Partes do pagamento de um pedido
+ * @param {Object} order - Pedido
+ * @returns {Array<{method: string, amount: number, amount_paid: number|null}>} Partes normalizadas
+ */
+export function getOrderPayments(order) {
+  if (Array.isArray(order?.payments) && order.payments.length > 0) {
+    return order.payments.map((p) => ({
+      method: p.method || p.payment_method,
+      amount: roundMoney(p.amount),
+      amount_paid: p.amount_paid !== undefined && p.amount_paid !== null ? parseFloat(p.amount_paid) : null,
+    }));
+  }
+  if (!order?.payment_method || order.payment_method === SPLIT_PAYMENT_METHOD) return [];
+
+  const amountPaid = parseFloat(order.amount_paid);
+  return [
+    {
+      method: order.payment_method,
+      amount: roundMoney(order.total_amount ?? order.total),
+      amount_paid: Number.isFinite(amountPaid) ? amountPaid : null,
+    },
+  ];
+}
+
+/**
+ * Soma das partes
+ * @param {Array} parts - Partes do pagamento
+ * @returns {number} Total das partes
+ */
+export function sumPayments(parts) {
+  return roundMoney((parts || []).reduce((sum, p) => sum + (parseFloat(p.amount) || 0), 0));
+}
+
+/**
+ * Validar a divisão antes de enviar o pedido
+ * @param {Array} parts - Partes (method, amount, amount_paid)
+ * @param {number} total - Total do pedido
+ * @param {Object} [options]
+ * @param {boolean} [options.requireCashPaid=true] - Exigir "troco para" nas partes em dinheiro (entrega)
+ * @returns {string|null} Mensagem de erro ou null se válida
+ */
+export function validateSplitPayments(parts, total, { requireCashPaid = true } = {}) {
+  if (!Array.isArray(parts) || parts.length < 2) {
+    return "Divida o pagamento em pelo menos duas partes.";
+  }
+  if (parts.length > MAX_SPLIT_PARTS) {
+    return `O pagamento pode ser dividido em no máximo ${MAX_SPLIT_PARTS} partes.`;
+  }
+
+  for (const part of parts) {
+    if (!SPLIT_TENDER_METHODS.includes(part.method)) {
+      return "Selecione a forma de pagamento de cada parte.";
+    }
+    if (!(roundMoney(part.amount) > 0)) {
+      return "Informe o valor de cada parte.";
+    }
+    if (part.method === "money" && requireCashPaid) {
+      const paid = parseFloat(part.amount_paid);
+      if (!Number.isFinite(paid) || paid < roundMoney(part.amount)) {
+        return `Informe quanto será pago em dinheiro (mínimo ${formatMoney(part.amount)}).`;
+      }
+    }
+  }
+
+  const diff = roundMoney(total - sumPayments(parts));
+  if (diff > 0) return `Faltam ${formatMoney(diff)} para completar o total.`;
+  if (diff < 0) return `As partes ultrapassam o total em ${formatMoney(-diff)}.`;
+  return null;
+}
+
+/**
+ * Texto de uma parte ("PIX: R$ 30,00", "Dinheiro: R$ 20,00 (troco: R$ 30,00)")
+ * @param {Object} part - Parte do pagamento
+ * @returns {string} Texto formatado
+ */
+export function formatTenderLine(part) {
+  const line = `${formatTenderMethod(part.method)}: ${formatMoney(part.amount)}`;
+  const change = getTenderChange(part);
+  return change > 0 ? `${line} (troco: ${formatMoney(change)})` : line;
+}
+
+/**
+ * Repartir um valor entre as partes do pagamento, proporcionalmente
+ * Usado para lançar estornos por forma de pagamento. A sobra de centavos vai para a última parte.
+ * @param {Object} order - Pedido
+ * @param {number} amount - Valor a repartir
+ * @returns {Array<{method: string, amount: number}>} Valor por forma de pagamento
+ */
+export function distributeAcrossPayments(order, amount) {
+  const parts = getOrderPayments(order);
+  const total = sumPayments(parts);
+  if (parts.length === 0 || total <= 0) {
+    return [{ method: order?.payment_method, amount: roundMoney(amount) }];
+  }
+
+  let allocated = 0;
+  return parts.map((part, index) => {
+    const share =
+      index === parts.length - 1
+        ? roundMoney(amount - allocated)
+        : roundMoney((amount * part.amount) / total);
+    allocated = roundMoney(allocated + share);
+    return { method: part.method, amount: share };
+  });
+}
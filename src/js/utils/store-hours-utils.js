@@ -0,0 +1,163 @@
+/**
+ * Regras de horário de funcionamento compartilhadas
+ * Combina a grade semanal (por dia da semana) com as exceções por data:
+ * feriados fechados, horários estendidos e turnos divididos (ex: almoço e jantar)
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Converter "HH:MM" em minutos desde a meia-noite
+ * @param {string} time - Horário HH:MM
+ * @returns {number|null} Minutos ou null se inválido
+ */
+export function timeToMinutes(time) {
+  const match = /^(\d{1,2}):(\d{2})/.exec(String(time || ""));
+  if (!match) return null;
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+/**
+ * Chave de data no fuso local ("2024-12-25")
+ * @param {Date} date - Data
+ * @returns {string} Data no formato YYYY-MM-DD
+ */
+export function toDateKey(date) {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, "0");
+  const day = String(d.getDate()).padStart(2, "0");
+  return `${d.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Converter chave YYYY-MM-DD em Date local (meia-noite)
+ * @param {string} dateKey - Data no formato YYYY-MM-DD
+ * @returns {Date|null} Data ou null se inválida
+ */
+export function fromDateKey(dateKey) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(dateKey || "").slice(0, 10));
+  if (!match) return null;
+  return new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+}
+
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+/**
+ * Exceção cadastrada para a data
+ * @param {Array} exceptions - Exceções (date, is_closed, shifts, description)
+ * @param {Date} date - Data
+ * @returns {Object|null} Exceção ou null se o dia segue a grade semanal
+ */
+export function findHoursException(exceptions, date) {
+  if (!Array.isArray(exceptions) || exceptions.length === 0) return null;
+  const key = toDateKey(date);
+  return exceptions.find((e) => String(e.date || "").slice(0, 10) === key) || null;
+}
+
+/**
+ * Turnos de funcionamento de uma data (a exceção prevalece sobre a grade semanal)
+ * @param {Array} storeHours - Grade semanal (day_of_week, opening_time, closing_time, is_open)
+ * @param {Array} exceptions - Exceções por data
+ * @param {Date} date - Data
+ * @returns {{shifts: Array<{opening_time: string, closing_time: string}>, exception: Object|null}}
+ */
+export function getShiftsForDate(storeHours, exceptions, date) {
+  const exception = findHoursException(exceptions, date);
+  if (exception) {
+    return {
+      shifts: exception.is_closed ? [] : exception.shifts || [],
+      exception,
+    };
+  }
+
+  const hours = (storeHours || []).find((h) => Number(h.day_of_week) === date.getDay());
+  if (!hours || hours.is_open === false) {
+    return { shifts: [], exception: null };
+  }
+  return {
+    shifts: [{ opening_time: hours.opening_time, closing_time: hours.closing_time }],
+    exception: null,
+  };
+}
+
+/**
+ * Janelas de funcionamento a partir de uma data
+ * Turnos que atravessam a meia-noite (ex: 18:00 às 02:00) terminam no dia seguinte,
+ * por isso a busca começa no dia anterior.
+ * @param {Array} storeHours - Grade semanal
+ * @param {Array} exceptions - Exceções por data
+ * @param {Date} from - Data de referência
+ * @param {number} [daysAhead=0] - Dias além da data de referência
+ * @returns {Array<{start: Date, end: Date, exception: Object|null}>} Janelas ordenadas
+ */
+export function getOpeningWindows(storeHours, exceptions, from, daysAhead = 0) {
+  const windows = [];
+
+  for (let offset = -1; offset <= daysAhead; offset++) {
+    const day = startOfDay(from);
+    day.setDate(day.getDate() + offset);
+
+    const { shifts, exception } = getShiftsForDate(storeHours, exceptions, day);
+    shifts.forEach((shift) => {
+      const opening = timeToMinutes(shift.opening_time);
+      const closing = timeToMinutes(shift.closing_time);
+      if (opening === null || closing === null) return;
+
+      const start = day.getTime() + opening * MINUTE_MS;
+      let end = day.getTime() + closing * MINUTE_MS;
+      if (end <= start) end += DAY_MS;
+
+      windows.push({ start: new Date(start), end: new Date(end), exception });
+    });
+  }
+
+  return windows.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Verificar se a loja está aberta em um momento
+ * @param {Array} storeHours - Grade semanal
+ * @param {Array} exceptions - Exceções por data
+ * @param {Date} [date] - Momento a verificar
+ * @returns {{isOpen: boolean, exception: Object|null}} Exceção que decidiu o resultado (null = grade semanal)
+ */
+export function getStoreStatusAt(storeHours, exceptions, date = new Date()) {
+  const current = getOpeningWindows(storeHours, exceptions, date).find(
+    (w) => w.start <= date && date < w.end
+  );
+  return {
+    isOpen: !!current,
+    exception: current ? current.exception : findHoursException(exceptions, date),
+  };
+}
+
+/**
+ * Próxima abertura a partir de um momento
+ * @param {Array} storeHours - Grade semanal
+ * @param {Array} exceptions - Exceções por data
+ * @param {Date} [from] - Momento de referência
+ * @param {number} [daysAhead=7] - Quantos dias procurar
+ * @returns {Date|null} Início da próxima janela ou null se não houver
+ */
+export function getNextOpening(storeHours, exceptions, from = new Date(), daysAhead = 7) {
+  const next = getOpeningWindows(storeHours, exceptions, from, daysAhead).find(
+    (w) => w.start > from
+  );
+  return next ? next.start : null;
+}
+
+/**
+ * Formatar turnos para exibição ("11:00 às 15:00 e 18:00 às 23:00")
+ * @param {Array} shifts - Turnos (opening_time, closing_time)
+ * @returns {string} Texto formatado
+ */
+export function formatShifts(shifts) {
+  return (shifts || [])
+    .map((s) => `${String(s.opening_time || "--:--").slice(0, 5)} às ${String(s.closing_time || "--:--").slice(0, 5)}`)
+    .join(" e ");
+}
@@ -0,0 +1,276 @@
+/**
+ * Armazenamento de tokens de autenticação
+ *
+ * Estratégia plugável (memória, sessionStorage ou localStorage) para o access token
+ * e o refresh token, com sincronização entre abas via BroadcastChannel.
+ * Padrão: sessionStorage, para que o refresh token (longo) não fique no localStorage;
+ * abas novas recebem os tokens das abertas pelo canal.
+ * Não depende de outros módulos para poder ser importado por header.js e api.js
+ * sem criar dependência circular.
+ */
+
+export const TOKEN_KEYS = {
+    access: 'rb.token',
+    refresh: 'rb.refresh',
+};
+
+export const TOKEN_STORAGE_STRATEGIES = {
+    MEMORY: 'memory',
+    SESSION: 'session',
+    LOCAL: 'local',
+};
+
+// Chave que guarda a estratégia escolhida (não é um segredo)
+const STRATEGY_KEY = 'rb.token_strategy';
+const CHANNEL_NAME = 'rb-auth';
+
+/**
+ * Backend em memória: tokens somem ao fechar/recarregar a aba
+ * (outras abas abertas os reenviam via broadcast)
+ */
+function createMemoryBackend() {
+    const values = new Map();
+    return {
+        getItem: (key) => (values.has(key) ? values.get(key) : null),
+        setItem: (key, value) => values.set(key, String(value)),
+        removeItem: (key) => values.delete(key),
+    };
+}
+
+/**
+ * Retorna um Web Storage se estiver acessível (pode lançar em modo privado/iframes)
+ * @param {string} name - 'localStorage' ou 'sessionStorage'
+ * @returns {Storage|null}
+ */
+function getWebStorage(name) {
+    try {
+        const storage = typeof window !== 'undefined' ? window[name] : null;
+        if (!storage) return null;
+        const probe = '__rb_probe__';
+        storage.setItem(probe, probe);
+        storage.removeItem(probe);
+        return storage;
+    } catch (_e) {
+        return null;
+    }
+}
+
+class TokenStorage {
+    constructor() {
+        this.memoryBackend = createMemoryBackend();
+        this.strategy = this.readPersistedStrategy();
+        this.migrateLegacyLocalTokens();
+        this.channel = null;
+        this.listeners = new Set();
+        this.setupChannel();
+    }
+
+    /**
+     * Lê a estratégia persistida (padrão: sessionStorage)
+     * @returns {string}
+     */
+    readPersistedStrategy() {
+        const local = getWebStorage('localStorage');
+        const saved = local ? local.getItem(STRATEGY_KEY) : null;
+        return Object.values(TOKEN_STORAGE_STRATEGIES).includes(saved)
+            ? saved
+            : TOKEN_STORAGE_STRATEGIES.SESSION;
+    }
+
+    /**
+     * Move para a estratégia atual os tokens que versões anteriores deixaram no
+     * localStorage, sem derrubar a sessão de quem já estava logado
+     */
+    migrateLegacyLocalTokens() {
+        if (this.strategy === TOKEN_STORAGE_STRATEGIES.LOCAL) return;
+        const local = getWebStorage('localStorage');
+        if (!local) return;
+
+        const access = local.getItem(TOKEN_KEYS.access);
+        const refresh = local.getItem(TOKEN_KEYS.refresh);
+        if (!access && !refresh) return;
+
+        local.removeItem(TOKEN_KEYS.access);
+        local.removeItem(TOKEN_KEYS.refresh);
+        this.writeToBackend(access, refresh);
+    }
+
+    /**
+     * Backend correspondente à estratégia atual
+     * @returns {{getItem: Function, setItem: Function, removeItem: Function}}
+     */
+    get backend() {
+        if (this.strategy === TOKEN_STORAGE_STRATEGIES.SESSION) {
+            return getWebStorage('sessionStorage') || this.memoryBackend;
+        }
+        if (this.strategy === TOKEN_STORAGE_STRATEGIES.LOCAL) {
+            return getWebStorage('localStorage') || this.memoryBackend;
+        }
+        return this.memoryBackend;
+    }
+
+    /**
+     * Troca a estratégia de armazenamento, migrando os tokens atuais
+     * @param {string} strategy - Uma de TOKEN_STORAGE_STRATEGIES
+     */
+    setStrategy(strategy) {
+        if (!Object.values(TOKEN_STORAGE_STRATEGIES).includes(strategy)) {
+            throw new Error(`Estratégia de armazenamento de token inválida: ${strategy}`);
+        }
+        if (strategy === this.strategy) return;
+
+        const access = this.getAccessToken();
+        const refresh = this.getRefreshToken();
+        this.removeFromBackend();
+
+        this.strategy = strategy;
+        const local = getWebStorage('localStorage');
+        if (local) local.setItem(STRATEGY_KEY, strategy);
+
+        this.writeToBackend(access, refresh);
+    }
+
+    getStrategy() {
+        return this.strategy;
+    }
+
+    getAccessToken() {
+        return this.backend.getItem(TOKEN_KEYS.access) || '';
+    }
+
+    getRefreshToken() {
+        return this.backend.getItem(TOKEN_KEYS.refresh) || '';
+    }
+
+    /**
+     * Salva os tokens e avisa as outras abas
+     * @param {Object} tokens
+     * @param {string} [tokens.accessToken]
+     * @param {string} [tokens.refreshToken] - Se omitido, o refresh token atual é mantido
+     * @param {boolean} [broadcast=true] - Se deve notificar outras abas
+     */
+    setTokens({ accessToken, refreshToken } = {}, broadcast = true) {
+        this.writeToBackend(accessToken, refreshToken);
+        this.notify('tokens');
+        if (broadcast) {
+            this.post({
+                type: 'tokens',
+                accessToken: this.getAccessToken(),
+                refreshToken: this.getRefreshToken(),
+            });
+        }
+    }
+
+    /**
+     * Remove os tokens e avisa as outras abas
+     * @param {boolean} [broadcast=true] - Se deve notificar outras abas
+     */
+    clear(broadcast = true) {
+        this.removeFromBackend();
+        this.notify('cleared');
+        if (broadcast) {
+            this.post({ type: 'cleared' });
+        }
+    }
+
+    writeToBackend(accessToken, refreshToken) {
+        const backend = this.backend;
+        if (accessToken) backend.setItem(TOKEN_KEYS.access, accessToken);
+        if (refreshToken) backend.setItem(TOKEN_KEYS.refresh, refreshToken);
+    }
+
+    removeFromBackend() {
+        const backend = this.backend;
+        backend.removeItem(TOKEN_KEYS.access);
+        backend.removeItem(TOKEN_KEYS.refresh);
+    }
+
+    /**
+     * Registra callback para mudanças de token (local ou vindas de outra aba)
+     * @param {Function} callback - Recebe o tipo da mudança ('tokens' | 'cleared')
+     * @returns {Function} Função para remover o listener
+     */
+    subscribe(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    notify(type) {
+        this.listeners.forEach((callback) => {
+            try {
+                callback(type);
+            } catch (_e) {
+                // Listener com erro não deve impedir os demais
+            }
+        });
+    }
+
+    /**
+     * Configura o canal entre abas. Abas novas pedem os tokens às abas abertas,
+     * o que permite usar memória/sessionStorage sem perder a sessão ao abrir outra aba.
+     */
+    setupChannel() {
+        if (typeof BroadcastChannel === 'undefined') return;
+
+        try {
+            this.channel = new BroadcastChannel(CHANNEL_NAME);
+        } catch (_e) {
+            this.channel = null;
+            return;
+        }
+
+        this.channel.onmessage = (event) => {
+            const message = event.data || {};
+
+            if (message.type === 'tokens') {
+                this.writeToBackend(message.accessToken, message.refreshToken);
+                this.notify('tokens');
+            } else if (message.type === 'cleared') {
+                this.removeFromBackend();
+                this.notify('cleared');
+            } else if (message.type === 'request' && this.getAccessToken()) {
+                this.post({
+                    type: 'tokens',
+                    accessToken: this.getAccessToken(),
+                    refreshToken: this.getRefreshToken(),
+                });
+            }
+        };
+
+        if (!this.getAccessToken() && this.strategy !== TOKEN_STORAGE_STRATEGIES.LOCAL) {
+            this.post({ type: 'request' });
+        }
+    }
+
+    post(message) {
+        if (!this.channel) return;
+        try {
+            this.channel.postMessage(message);
+        } catch (_e) {
+            // Canal fechado: ignorar
+        }
+    }
+}
+
+// Exporta uma instância única (Singleton)
+export const tokenStorage = new TokenStorage();
+
+/**
+ * Lê o campo exp (segundos) de um JWT sem validar assinatura
+ * @param {string} token - JWT
+ * @returns {number|null} Timestamp de expiração em ms ou null
+ */
+export function getTokenExpiration(token) {
+    if (!token || typeof token !== 'string') return null;
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+
+    try {
+        const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+        const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+        const payload = JSON.parse(atob(padded));
+        return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+    } catch (_e) {
+        return null;
+    }
+}
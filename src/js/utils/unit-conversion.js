@@ -0,0 +1,311 @@
+/**
+ * Conversão de unidades de medida dos insumos
+ * Usada por compras, ajuste de estoque e receitas dos produtos
+ *
+ * - Unidades padrão de peso (mg, g, kg), volume (ml, L) e contagem (un, dz)
+ * - Embalagens próprias de cada insumo (ex: caixa = 12 un, fardo = 6 L)
+ * - Peso ↔ volume pela densidade do insumo (g/ml)
+ * - Conversões impossíveis lançam erro com name "UnitConversionError"
+ */
+
+const UNITS = {
+  mg: { dimension: "mass", factor: 0.001, label: "mg" },
+  g: { dimension: "mass", factor: 1, label: "g" },
+  kg: { dimension: "mass", factor: 1000, label: "kg" },
+  ml: { dimension: "volume", factor: 1, label: "ml" },
+  l: { dimension: "volume", factor: 1000, label: "L" },
+  un: { dimension: "count", factor: 1, label: "un" },
+  dz: { dimension: "count", factor: 12, label: "dz" },
+};
+
+const UNIT_ALIASES = {
+  miligrama: "mg",
+  miligramas: "mg",
+  milligram: "mg",
+  gram: "g",
+  grama: "g",
+  gramas: "g",
+  gr: "g",
+  kilogram: "kg",
+  kilograma: "kg",
+  quilograma: "kg",
+  quilogramas: "kg",
+  kilo: "kg",
+  kilos: "kg",
+  milliliter: "ml",
+  mililitro: "ml",
+  mililitros: "ml",
+  liter: "l",
+  litro: "l",
+  litros: "l",
+  lt: "l",
+  unit: "un",
+  unidade: "un",
+  unidades: "un",
+  und: "un",
+  unid: "un",
+  duzia: "dz",
+  "dúzia": "dz",
+};
+
+const DIMENSION_NAMES = {
+  mass: "peso",
+  volume: "volume",
+  count: "unidade",
+};
+
+// Limite de aninhamento entre embalagens (ex: palete = 40 caixa, caixa = 12 un)
+const MAX_PACKAGING_DEPTH = 5;
+
+function conversionError(message) {
+  const error = new Error(message);
+  error.name = "UnitConversionError";
+  return error;
+}
+
+/**
+ * Indica se o erro veio de uma conversão impossível
+ * @param {Error} error - Erro capturado
+ * @returns {boolean}
+ */
+export function isUnitConversionError(error) {
+  return error?.name === "UnitConversionError";
+}
+
+/**
+ * Normaliza unidade para formato padrão (kg, g, l, ml, un...)
+ * Nomes desconhecidos (embalagens) voltam em minúsculas
+ * @param {string} unit - Unidade
+ * @returns {string} Unidade normalizada
+ */
+export function normalizeUnit(unit) {
+  if (!unit) return "un";
+  const u = String(unit).toLowerCase().trim();
+  return UNIT_ALIASES[u] || u;
+}
+
+/**
+ * Indica se a unidade é uma das unidades padrão (não embalagem)
+ * @param {string} unit - Unidade
+ * @returns {boolean}
+ */
+export function isStandardUnit(unit) {
+  return Boolean(UNITS[normalizeUnit(unit)]);
+}
+
+/**
+ * Rótulo de exibição da unidade (L maiúsculo, demais como normalizadas)
+ * @param {string} unit - Unidade
+ * @returns {string}
+ */
+export function getUnitLabel(unit) {
+  const normalized = normalizeUnit(unit);
+  return UNITS[normalized]?.label || normalized;
+}
+
+/**
+ * Valida e normaliza a lista de embalagens de um insumo
+ * Descarta entradas sem nome, com quantidade inválida ou que usam o nome de uma unidade padrão
+ * @param {Array} packagings - [{ name, quantity, unit }]
+ * @returns {Array} [{ name, quantity, unit }]
+ */
+export function normalizePackagingUnits(packagings) {
+  if (!Array.isArray(packagings)) return [];
+
+  const seen = new Set();
+  return packagings.reduce((list, packaging) => {
+    const name = normalizeUnit(packaging?.name || "");
+    const quantity = parseFloat(packaging?.quantity);
+    if (!packaging?.name || UNITS[name] || seen.has(name)) return list;
+    if (!Number.isFinite(quantity) || quantity <= 0) return list;
+
+    seen.add(name);
+    list.push({ name, quantity, unit: normalizeUnit(packaging.unit) });
+    return list;
+  }, []);
+}
+
+/**
+ * Monta o perfil de conversão a partir do insumo retornado pela API
+ * @param {Object} ingredient - Insumo (packaging_units, density)
+ * @returns {{packagings: Array, density: number|null}}
+ */
+export function getConversionProfile(ingredient) {
+  const density = parseFloat(ingredient?.density);
+  return {
+    packagings: normalizePackagingUnits(ingredient?.packaging_units),
+    density: Number.isFinite(density) && density > 0 ? density : null,
+  };
+}
+
+function resolveUnit(unit, profile, depth = 0) {
+  const normalized = normalizeUnit(unit);
+  if (UNITS[normalized]) return UNITS[normalized];
+
+  const packaging = (profile?.packagings || []).find(
+    (item) => normalizeUnit(item.name) === normalized
+  );
+  if (!packaging) {
+    throw conversionError(`Unidade "${unit}" não reconhecida para este insumo`);
+  }
+  if (depth >= MAX_PACKAGING_DEPTH) {
+    throw conversionError(`Embalagem "${packaging.name}" tem referência circular`);
+  }
+
+  const inner = resolveUnit(packaging.unit, profile, depth + 1);
+  return {
+    dimension: inner.dimension,
+    factor: inner.factor * parseFloat(packaging.quantity),
+    label: packaging.name,
+  };
+}
+
+function convertDimension(baseQuantity, source, target, profile) {
+  const isWeightVolume =
+    (source.dimension === "mass" && target.dimension === "volume") ||
+    (source.dimension === "volume" && target.dimension === "mass");
+
+  if (!isWeightVolume) {
+    throw conversionError(
+      `Não é possível converter ${source.label} (${DIMENSION_NAMES[source.dimension]}) em ${target.label} (${DIMENSION_NAMES[target.dimension]})`
+    );
+  }
+
+  const density = parseFloat(profile?.density);
+  if (!Number.isFinite(density) || density <= 0) {
+    throw conversionError(
+      `Informe a densidade do insumo para converter ${source.label} em ${target.label}`
+    );
+  }
+
+  // Base de peso em g e de volume em ml: g = ml × densidade
+  return source.dimension === "volume"
+    ? baseQuantity * density
+    : baseQuantity / density;
+}
+
+/**
+ * Converte quantidade entre unidades
+ * @param {number} quantity - Quantidade
+ * @param {string} fromUnit - Unidade de origem (padrão ou embalagem do insumo)
+ * @param {string} toUnit - Unidade de destino (padrão ou embalagem do insumo)
+ * @param {Object} [profile] - Perfil de conversão ({ packagings, density })
+ * @returns {number} Quantidade convertida
+ * @throws {Error} UnitConversionError quando as unidades não são conversíveis
+ */
+export function convertUnit(quantity, fromUnit, toUnit, profile = null) {
+  const value = Number(quantity);
+  if (!Number.isFinite(value)) {
+    throw conversionError("Quantidade inválida para conversão");
+  }
+
+  const source = resolveUnit(fromUnit, profile);
+  const target = resolveUnit(toUnit, profile);
+  if (value === 0) return 0;
+
+  let baseQuantity = value * source.factor;
+  if (source.dimension !== target.dimension) {
+    baseQuantity = convertDimension(baseQuantity, source, target, profile);
+  }
+
+  return baseQuantity / target.factor;
+}
+
+/**
+ * Indica se a conversão entre as unidades é possível para o perfil
+ * @param {string} fromUnit - Unidade de origem
+ * @param {string} toUnit - Unidade de destino
+ * @param {Object} [profile] - Perfil de conversão ({ packagings, density })
+ * @returns {boolean}
+ */
+export function canConvert(fromUnit, toUnit, profile = null) {
+  try {
+    convertUnit(1, fromUnit, toUnit, profile);
+    return true;
+  } catch (error) {
+    if (isUnitConversionError(error)) return false;
+    throw error;
+  }
+}
+
+/**
+ * Converte preço unitário (R$ por priceUnit) para R$ por targetUnit
+ * Ex: R$ 10/kg → R$ 0,01/g; R$ 2/un → R$ 24/caixa (caixa = 12 un)
+ * @param {number} price - Preço por priceUnit
+ * @param {string} priceUnit - Unidade do preço
+ * @param {string} targetUnit - Unidade desejada
+ * @param {Object} [profile] - Perfil de conversão ({ packagings, density })
+ * @returns {number} Preço por targetUnit
+ * @throws {Error} UnitConversionError quando as unidades não são conversíveis
+ */
+export function convertPrice(price, priceUnit, targetUnit, profile = null) {
+  const value = parseFloat(price) || 0;
+  if (value === 0) return 0;
+  return value * convertUnit(1, targetUnit, priceUnit, profile);
+}
+
+/**
+ * Lista as unidades em que uma quantidade do insumo pode ser informada
+ * A unidade de estoque vem primeiro, seguida das embalagens e das unidades padrão conversíveis
+ * @param {string} stockUnit - Unidade de estoque do insumo
+ * @param {Object} [profile] - Perfil de conversão ({ packagings, density })
+ * @returns {Array<{value: string, label: string}>}
+ */
+export function getCompatibleUnits(stockUnit, profile = null) {
+  const stock = normalizeUnit(stockUnit);
+  const options = [{ value: stock, label: getUnitLabel(stock) }];
+
+  (profile?.packagings || []).forEach((packaging) => {
+    if (!canConvert(packaging.name, stock, profile)) return;
+    options.push({
+      value: packaging.name,
+      label: `${packaging.name} (${formatNumber(packaging.quantity)} ${getUnitLabel(packaging.unit)})`,
+    });
+  });
+
+  Object.keys(UNITS).forEach((unit) => {
+    if (unit === stock || !canConvert(unit, stock, profile)) return;
+    options.push({ value: unit, label: UNITS[unit].label });
+  });
+
+  return options;
+}
+
+function formatNumber(value) {
+  return parseFloat(Number(value).toFixed(3)).toString().replace(".", ",");
+}
+
+/**
+ * Formata quantidade com a unidade (o banco armazena na unidade de estoque do insumo)
+ * g e ml com até 1 casa decimal; demais unidades com até 3
+ * @param {number} quantity - Quantidade
+ * @param {string} unit - Unidade da quantidade
+ * @returns {string} Quantidade formatada com unidade (ex: "1.5 KG")
+ */
+export function formatQuantity(quantity, unit) {
+  if (!quantity || quantity === 0) return "0";
+
+  const normalized = normalizeUnit(unit);
+  const decimals = normalized === "g" || normalized === "ml" ? 1 : 3;
+  const formatted =
+    quantity % 1 === 0
+      ? quantity.toFixed(0)
+      : parseFloat(quantity.toFixed(decimals)).toString();
+
+  return `${formatted} ${normalized.toUpperCase()}`;
+}
+
+/**
+ * Converte preço da unidade base do backend (por g ou ml) para a unidade de exibição
+ * Ex: R$ 0,04/g com estoque em kg → R$ 40/kg
+ * Só kg e L são convertidos, como o backend envia unit_price; demais unidades
+ * (g, ml, mg, un, dz) já chegam na própria unidade.
+ * @param {number} baseUnitPrice - Preço unitário na unidade base
+ * @param {string} stockUnit - Unidade de estoque do insumo
+ * @returns {number} Preço unitário na unidade de exibição
+ */
+export function formatUnitPrice(baseUnitPrice, stockUnit) {
+  if (!baseUnitPrice || baseUnitPrice === 0) return 0;
+  const normalized = normalizeUnit(stockUnit);
+  return normalized === "kg" || normalized === "l" ? baseUnitPrice * 1000 : baseUnitPrice;
+}